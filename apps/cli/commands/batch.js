@@ -0,0 +1,270 @@
+/**
+ * `infernet batch` — batch inference jobs (IPIP-0013): embed, chat,
+ * classify, summarize or extract over a file of items. The control
+ * plane splits it into chunks and fans them out across providers;
+ * results come back per chunk and `fetch` puts them in item order.
+ *
+ *   infernet batch submit <file> --kind <kind> --model <model> [flags]
+ *   infernet batch status <id>
+ *   infernet batch fetch <id> [--out results.jsonl]
+ *   infernet batch cancel <id>
+ *
+ * Authenticates with an API key (--api-key or INFERNET_API_KEY — billed
+ * and rate-limited like any inference call) or, failing that, the CLI
+ * bearer from `infernet login`.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { loadConfig } from "../lib/config.js";
+
+const HELP = `infernet batch — batch inference over a file of items
+
+Usage:
+  infernet batch submit <file> --kind <kind> --model <model> [flags]
+  infernet batch status <id>              Progress of a batch
+  infernet batch fetch <id> [--out file]  Results as JSONL, in item order
+  infernet batch cancel <id>              Stop a batch (finished chunks are kept)
+  infernet batch --help
+
+<file> is JSONL (one item per line: a JSON string, { "text": ... } or,
+for chat, { "messages": [...] }), a JSON array, or plain text (one item
+per non-empty line).
+
+Kinds: embed, chat, classify, summarize, extract
+
+Submit flags:
+  --kind <kind>           Required
+  --model <model>         Required
+  --labels <a,b,...>      classify: the labels to choose from
+  --fields <a,b,...>      extract: the fields to pull out
+  --instructions <text>   Extra system instructions for text kinds
+  --max-tokens <n>        Per-item completion limit
+  --chunk-size <n>        Items per chunk (default 64 embed, 16 otherwise)
+  --concurrency <n>       Chunks running at once (default 32)
+  --deadline <time>       RFC 3339; unfinished chunks fail after it
+  --webhook <url>         POSTed (HMAC-signed) when the batch finishes
+  --wait                  Poll until the batch finishes
+
+Common flags:
+  --api-key <inf_...>     API key (default: $INFERNET_API_KEY, then your login)
+  --json                  Print the raw JSON response
+`;
+
+const PATH = "/api/v1/jobs/batch";
+const WAIT_INTERVAL_MS = 5_000;
+
+export default async function batchCommand(args) {
+    if (args.has("help") || args.has("h")) {
+        process.stdout.write(HELP);
+        return 0;
+    }
+
+    const sub = args.positional?.[0];
+    if (!["submit", "status", "fetch", "cancel"].includes(sub)) {
+        process.stderr.write(`${sub ? `unknown subcommand: ${sub}\n` : ""}${HELP}`);
+        return 2;
+    }
+
+    const config = (await loadConfig()) ?? {};
+    const baseUrl = config?.controlPlane?.url;
+    const bearer = args.get("api-key") ?? process.env.INFERNET_API_KEY ?? config?.auth?.bearerToken;
+    if (!baseUrl) {
+        process.stderr.write("error: no controlPlane.url. Run `infernet init` first.\n");
+        return 1;
+    }
+    if (!bearer) {
+        process.stderr.write("error: no credentials. Pass --api-key, set INFERNET_API_KEY, or run `infernet login`.\n");
+        return 1;
+    }
+    const request = (method, path, body) => callApi({ baseUrl, bearer, method, path, body });
+
+    if (sub === "submit") return submit(args, request);
+
+    const id = args.positional?.[1];
+    if (!id) {
+        process.stderr.write(`error: usage: infernet batch ${sub} <id>\n`);
+        return 2;
+    }
+    const base = `${PATH}/${encodeURIComponent(id)}`;
+
+    if (sub === "status") {
+        const res = await request("GET", `${base}/status`);
+        if (!res.ok) return res.code;
+        if (args.has("json")) {
+            process.stdout.write(JSON.stringify(res.payload?.data ?? null, null, 2) + "\n");
+            return 0;
+        }
+        process.stdout.write(formatStatus(res.payload.data) + "\n");
+        return 0;
+    }
+
+    if (sub === "cancel") {
+        const res = await request("POST", `${base}/cancel`);
+        if (!res.ok) return res.code;
+        const data = res.payload?.data ?? {};
+        process.stdout.write(data.cancelled ? `✓ cancelled ${data.job_id}\n` : `batch ${data.job_id} already ${data.status}\n`);
+        return 0;
+    }
+
+    return fetchResults(args, request, base);
+}
+
+async function submit(args, request) {
+    const file = args.positional?.[1];
+    const kind = args.get("kind");
+    const model = args.get("model");
+    if (!file || !kind || !model) {
+        process.stderr.write("error: usage: infernet batch submit <file> --kind <kind> --model <model>\n");
+        return 2;
+    }
+
+    let items;
+    try {
+        items = parseItems(await readFile(file, "utf8"), extname(file));
+    } catch (err) {
+        process.stderr.write(`error: ${file}: ${err?.message ?? err}\n`);
+        return 1;
+    }
+
+    const options = {};
+    const list = (v) => (v ? v.split(",").map((s) => s.trim()).filter(Boolean) : undefined);
+    const int = (v) => (v === undefined ? undefined : Number(v));
+    for (const [key, value] of Object.entries({
+        labels: list(args.get("labels")),
+        fields: list(args.get("fields")),
+        instructions: args.get("instructions"),
+        max_tokens: int(args.get("max-tokens")),
+        chunk_size: int(args.get("chunk-size")),
+        max_concurrency: int(args.get("concurrency")),
+        deadline_at: args.get("deadline"),
+        webhook_url: args.get("webhook")
+    })) {
+        if (value !== undefined) options[key] = value;
+    }
+
+    const res = await request("POST", PATH, { kind, model, items, options });
+    if (!res.ok) return res.code;
+    const data = res.payload?.data ?? {};
+    if (args.has("json")) {
+        process.stdout.write(JSON.stringify(data, null, 2) + "\n");
+    } else {
+        process.stdout.write(`✓ submitted batch ${data.job_id}: ${data.item_count} items in ${data.chunk_count} chunks\n`);
+        if (data.webhook_secret) {
+            process.stdout.write(`\n  webhook secret: ${data.webhook_secret}\n\nCopy it now — it won't be shown again.\n`);
+        }
+    }
+    if (!args.has("wait")) return 0;
+    return waitForBatch(request, data.job_id);
+}
+
+async function waitForBatch(request, id) {
+    const path = `${PATH}/${encodeURIComponent(id)}/status`;
+    for (;;) {
+        const res = await request("GET", path);
+        if (!res.ok) return res.code;
+        const status = res.payload?.data;
+        process.stdout.write(formatStatus(status) + "\n");
+        if (!["queued", "in_progress"].includes(status?.status)) {
+            return status?.status === "completed" ? 0 : 1;
+        }
+        await new Promise((resolve) => setTimeout(resolve, WAIT_INTERVAL_MS));
+    }
+}
+
+async function fetchResults(args, request, base) {
+    const res = await request("GET", `${base}/manifest`);
+    if (!res.ok) return res.code;
+    const manifest = res.payload?.data ?? {};
+
+    const lines = [];
+    for (const chunk of manifest.chunks ?? []) {
+        const { offset, count } = chunk.items;
+        if (chunk.status !== "done") {
+            for (let i = 0; i < count; i++) lines.push({ index: offset + i, error: chunk.error ?? "failed" });
+            continue;
+        }
+        const part = await request("GET", chunk.result_url);
+        if (!part.ok) return part.code;
+        (part.payload?.data?.results ?? []).forEach((r, i) => lines.push({ index: offset + i, ...r }));
+    }
+
+    const body = lines.map((l) => JSON.stringify(l)).join("\n") + (lines.length ? "\n" : "");
+    const out = args.get("out");
+    if (!out) {
+        process.stdout.write(body);
+        return 0;
+    }
+    await writeFile(out, body);
+    const failed = lines.filter((l) => l.error).length;
+    process.stdout.write(`✓ wrote ${lines.length} results to ${out}${failed ? ` (${failed} failed)` : ""}\n`);
+    return 0;
+}
+
+/**
+ * Items from a batch input file: a JSON array (.json), JSONL (.jsonl /
+ * .ndjson), or anything else as one item per non-empty line. JSON items
+ * may be strings, `{ text }` or (chat) `{ messages }`.
+ */
+export function parseItems(text, ext = "") {
+    const normalize = (v, where) => {
+        if (typeof v === "string") return v;
+        if (v && typeof v === "object" && Array.isArray(v.messages)) return { messages: v.messages };
+        if (v && typeof v === "object" && typeof v.text === "string") return v.text;
+        throw new Error(`${where}: expected a string, { text } or { messages }`);
+    };
+    if (ext === ".json") {
+        const arr = JSON.parse(text);
+        if (!Array.isArray(arr)) throw new Error("expected a JSON array of items");
+        return arr.map((v, i) => normalize(v, `item ${i}`));
+    }
+    const lines = text.split(/\r?\n/);
+    const items = [];
+    lines.forEach((line, i) => {
+        if (line.trim() === "") return;
+        if (ext === ".jsonl" || ext === ".ndjson") {
+            let v;
+            try { v = JSON.parse(line); } catch { throw new Error(`line ${i + 1}: invalid JSON`); }
+            items.push(normalize(v, `line ${i + 1}`));
+        } else {
+            items.push(line);
+        }
+    });
+    if (items.length === 0) throw new Error("no items");
+    return items;
+}
+
+async function callApi({ baseUrl, bearer, method, path, body }) {
+    let res;
+    try {
+        res = await fetch(new URL(path, baseUrl), {
+            method,
+            headers: {
+                authorization: `Bearer ${bearer}`,
+                ...(body ? { "content-type": "application/json" } : {})
+            },
+            ...(body ? { body: JSON.stringify(body) } : {})
+        });
+    } catch (err) {
+        process.stderr.write(`error: could not reach ${baseUrl}: ${err?.message ?? err}\n`);
+        return { ok: false, code: 1 };
+    }
+
+    const text = await res.text();
+    let payload = null;
+    try { payload = text ? JSON.parse(text) : null; } catch { /* ignore */ }
+
+    if (!res.ok) {
+        const msg = payload?.error ?? `HTTP ${res.status}`;
+        process.stderr.write(`error: ${msg}\n`);
+        return { ok: false, code: 1 };
+    }
+    return { ok: true, payload };
+}
+
+function formatStatus(s) {
+    const c = s?.chunks ?? {};
+    const pct = Math.round((s?.progress ?? 0) * 100);
+    return `${s?.job_id}  ${s?.kind} ${s?.model}  ${s?.status}  ${pct}%  ` +
+        `(chunks: ${c.done ?? 0} done, ${c.running ?? 0} running, ${c.queued ?? 0} queued, ${c.failed ?? 0} failed of ${c.total ?? 0})`;
+}
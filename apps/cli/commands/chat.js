@@ -6,12 +6,21 @@
  *   infernet chat "what is 2+2"            # auto: P2P if configured, else local
  *   infernet chat --remote "..."           # force network — control plane required
  *   infernet chat --local  "..."           # force local — no control plane call
+ *   infernet chat --direct "..."           # network, tokens straight from the provider
  *
  * P2P path:
  *   POST <url>/api/chat                  → control plane creates job, picks
  *                                          a provider (or NIM fallback)
  *   GET  <url>/api/chat/stream/<jobId>   → SSE: job | meta | token | done | error
  *
+ * Direct path (--direct): POST <url>/api/chat/direct for a job ticket,
+ * dial the provider's P2P port and stream over infernet.compute.v1
+ * (lib/remote-chat.js). Falls back to the P2P path above when no
+ * reachable provider is available or the dial fails. Providers found
+ * on the Nostr relays first (lib/nostr-discovery.js) are sent along as
+ * candidates the control plane prefers, and dialed at the address they
+ * signed.
+ *
  * Local path:
  *   createEngine()  →  Ollama / Mojo / stub  →  tokens straight to stdout.
  *
@@ -19,8 +28,17 @@
  */
 
 import { createEngine, MSG } from "@infernetprotocol/engine";
+import { generateKeyPair } from "@infernetprotocol/auth";
 import { loadConfig } from "../lib/config.js";
-import { submitChatJob, streamChatEvents } from "../lib/remote-chat.js";
+import { discoveryRelays, findCapabilities } from "../lib/nostr-discovery.js";
+import {
+    parseProviderAddress,
+    requestDirectJob,
+    resolvePeer,
+    streamChatEvents,
+    streamDirectChat,
+    submitChatJob
+} from "../lib/remote-chat.js";
 
 const HELP = `infernet chat — run a chat inference (P2P network or local)
 
@@ -44,6 +62,11 @@ Common flags:
 
 Network-only flags:
   --url <url>            Control-plane URL override (default: config.controlPlane.url).
+  --direct               Stream tokens straight from the provider's P2P port
+                         (job ticket from the control plane). Falls back to
+                         the normal path if no provider is reachable.
+                         Prefers providers advertising on the Nostr relays
+                         (config.discovery.relays).
 
 Local-only flags:
   --backend <kind>       ollama | mojo | stub. Default: auto.
@@ -62,7 +85,69 @@ function emitJson(obj) {
     process.stdout.write(JSON.stringify(obj) + "\n");
 }
 
-async function runRemote({ baseUrl, messages, model, temperature, maxTokens, jsonMode }) {
+// Relays get this long to hand over their stored capability events.
+const NOSTR_LOOKUP_TIMEOUT_MS = 3000;
+
+/**
+ * Providers serving `model` that advertise on the Nostr relays. Best
+ * effort — an unreachable relay just contributes nothing.
+ */
+async function nostrCandidates(config, model) {
+    if (config.discovery?.nostr === false) return [];
+    const relays = discoveryRelays(config);
+    if (relays.length === 0) return [];
+    try {
+        return await findCapabilities({ relays, model, timeoutMs: NOSTR_LOOKUP_TIMEOUT_MS });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Get a direct job and open its stream. Returns null (after saying why)
+ * when the caller should use the relayed path instead; once the first
+ * frame is in, the job is committed to this provider.
+ */
+async function openDirect({ baseUrl, messages, model, temperature, maxTokens, identity, candidates, signal }) {
+    let job;
+    try {
+        job = await requestDirectJob(baseUrl, {
+            messages,
+            model,
+            maxTokens,
+            temperature,
+            clientPubkey: identity.publicKey,
+            candidates: candidates.map((c) => c.pubkey),
+            signal
+        });
+    } catch (err) {
+        process.stderr.write(`[infernet] direct job request failed (${err?.message ?? err}); using the control plane\n`);
+        return null;
+    }
+    if (!job) {
+        process.stderr.write("[infernet] no directly reachable provider; using the control plane\n");
+        return null;
+    }
+    try {
+        const advertised = candidates.find((c) => c.pubkey === job.provider.pubkey)?.multiaddr;
+        const addr = (advertised && parseProviderAddress(advertised)) || await resolvePeer(baseUrl, job.provider.pubkey, { signal });
+        if (!addr) throw new Error("provider has no advertised address");
+        const events = streamDirectChat(job, addr, identity, { signal });
+        const first = await events.next();
+        return { job, first, events };
+    } catch (err) {
+        if (signal.aborted) throw err;
+        process.stderr.write(`[infernet] direct connection failed (${err?.message ?? err}); using the control plane\n`);
+        return null;
+    }
+}
+
+async function* drain(first, events) {
+    if (!first.done) yield first.value;
+    yield* events;
+}
+
+async function runRemote({ baseUrl, messages, model, temperature, maxTokens, jsonMode, identity, candidates = [] }) {
     const ctrl = new AbortController();
     const onSigint = () => {
         process.stderr.write("\n[cancelled]\n");
@@ -73,17 +158,33 @@ async function runRemote({ baseUrl, messages, model, temperature, maxTokens, jso
     let exitCode = 0;
     try {
         let job;
-        try {
-            job = await submitChatJob(baseUrl, {
-                messages,
-                model,
-                maxTokens,
-                temperature,
-                signal: ctrl.signal
-            });
-        } catch (err) {
-            process.stderr.write(`error: failed to submit job to ${baseUrl}: ${err?.message ?? err}\n`);
-            return 1;
+        let stream = null;
+        if (identity) {
+            let direct = null;
+            try {
+                direct = await openDirect({ baseUrl, messages, model, temperature, maxTokens, identity, candidates, signal: ctrl.signal });
+            } catch {
+                return 130;
+            }
+            if (direct) {
+                job = { jobId: direct.job.jobId, source: "direct", provider: direct.job.provider };
+                stream = drain(direct.first, direct.events);
+            }
+        }
+        if (!job) {
+            try {
+                job = await submitChatJob(baseUrl, {
+                    messages,
+                    model,
+                    maxTokens,
+                    temperature,
+                    signal: ctrl.signal
+                });
+            } catch (err) {
+                process.stderr.write(`error: failed to submit job to ${baseUrl}: ${err?.message ?? err}\n`);
+                return 1;
+            }
+            stream = streamChatEvents(baseUrl, job.streamUrl, { signal: ctrl.signal });
         }
 
         if (!process.stdout.isTTY || jsonMode) {
@@ -99,7 +200,7 @@ async function runRemote({ baseUrl, messages, model, temperature, maxTokens, jso
 
         if (jsonMode) emitJson({ type: "job", ...job });
 
-        for await (const ev of streamChatEvents(baseUrl, job.streamUrl, { signal: ctrl.signal })) {
+        for await (const ev of stream) {
             if (jsonMode) {
                 emitJson(ev);
                 continue;
@@ -185,7 +286,7 @@ export default async function chat(args) {
 
     // Reclaim values eaten by the greedy parser for known-boolean flags.
     const reclaimed = [];
-    for (const name of ["json", "remote", "local"]) {
+    for (const name of ["json", "remote", "local", "direct"]) {
         const v = args.get(name);
         if (typeof v === "string") reclaimed.push(v);
     }
@@ -208,10 +309,11 @@ export default async function chat(args) {
     const cfgUrl = config.controlPlane?.url ?? null;
 
     // Mode resolution.
-    const wantRemote = args.has("remote");
+    const wantDirect = args.has("direct");
+    const wantRemote = args.has("remote") || wantDirect;
     const wantLocal = args.has("local");
     if (wantRemote && wantLocal) {
-        process.stderr.write("error: --remote and --local are mutually exclusive\n");
+        process.stderr.write(`error: --${wantDirect ? "direct" : "remote"} and --local are mutually exclusive\n`);
         return 2;
     }
     const urlArg = args.get("url");
@@ -232,18 +334,26 @@ export default async function chat(args) {
     if (mode === "remote") {
         if (!remoteUrl) {
             process.stderr.write(
-                "error: --remote requested but no control-plane URL configured.\n" +
+                `error: --${wantDirect ? "direct" : "remote"} requested but no control-plane URL configured.\n` +
                 "       set one with `infernet init` or pass --url <https://...>\n"
             );
             return 2;
         }
+        // The ticket is bound to whoever handshakes with this key; a
+        // node's own key if it has one, else a throwaway.
+        const identity = !wantDirect ? null
+            : config.node?.publicKey && config.node?.privateKey
+                ? { publicKey: config.node.publicKey, privateKey: config.node.privateKey }
+                : generateKeyPair();
         return runRemote({
             baseUrl: remoteUrl,
             messages,
             model,
             temperature,
             maxTokens,
-            jsonMode
+            jsonMode,
+            identity,
+            candidates: wantDirect ? await nostrCandidates(config, model) : []
         });
     }
 
@@ -33,13 +33,19 @@ Diagnostics:
   gpu          Inspect local GPUs (nvidia-smi / rocm-smi / system_profiler)
   firewall     Print commands to open the P2P port on your firewall
   chat         Run an inference (P2P network or --local engine)
-  tui          Live terminal dashboard (system / jobs / engine / peers)
+  peers        Find providers for a model through the DHT (no control plane)
+  msg          Encrypted DMs and public rooms with other operators
+  tui          Live terminal dashboard (system / jobs / engine / messages)
   doctor       End-to-end health check across all three sides
 
 Payments:
   payout       Manage payout coin/address
   payments     Show recent payment transactions
 
+API access:
+  keys         Manage API keys for /v1/chat/completions + /v1/embeddings
+  batch        Batch inference jobs: submit a file, poll, fetch results
+
 Other:
   help         Show this help
 
@@ -23,6 +23,7 @@ import crypto from 'node:crypto';
 import os from 'node:os';
 
 import { getConfigPath, loadConfig, saveConfig } from '../lib/config.js';
+import { loadRooms } from '../lib/messages.js';
 import { question } from '../lib/prompt.js';
 import {
     generateNostrKeyPair,
@@ -241,6 +242,9 @@ export default async function init(args) {
     } else {
         process.stdout.write(`P2P:           ${address ?? '(address not detected)'}:${port}\n`);
     }
+    // IPIP-0002: a fresh node starts out in the default rooms.
+    const rooms = await loadRooms();
+    process.stdout.write(`Rooms:         ${rooms.map((r) => `#${r}`).join(' ') || '(none)'}\n`);
 
     // GPU detection — purely informational during init; the actual coarse
     // capability is re-gathered on `register` and heartbeat.
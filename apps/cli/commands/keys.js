@@ -0,0 +1,150 @@
+/**
+ * `infernet keys` — manage API keys for the public inference API
+ * (/v1/chat/completions, /v1/embeddings).
+ *
+ *   infernet keys list
+ *   infernet keys create <name> [--rate-limit N] [--budget N] [--models a,b]
+ *   infernet keys revoke <id>
+ *
+ * Authenticates with the CLI bearer from `infernet login`; keys belong
+ * to the signed-in user, not to this node. The plaintext key is printed
+ * once by `create` — the control plane only stores its hash.
+ */
+
+import { loadConfig } from "../lib/config.js";
+
+const HELP = `infernet keys — manage API keys for the inference API
+
+Usage:
+  infernet keys list                      List your keys (prefix, quotas, usage)
+  infernet keys create <name> [flags]     Create a key (printed once)
+  infernet keys revoke <id>               Revoke a key immediately
+  infernet keys --help
+
+Create flags:
+  --rate-limit <n>    Requests per minute (default: server default, 60)
+  --budget <n>        Monthly token budget (default: unlimited)
+  --models <a,b,...>  Only allow these models (default: any)
+  --json              Print the raw JSON response
+
+Use a key as \`Authorization: Bearer inf_...\` — e.g.
+  OPENAI_API_BASE=<control-plane>/v1 OPENAI_API_KEY=inf_... <your tool>
+`;
+
+const PATH = "/api/v1/user/api-keys";
+
+export default async function keysCommand(args) {
+    if (args.has("help") || args.has("h")) {
+        process.stdout.write(HELP);
+        return 0;
+    }
+
+    const sub = args.positional?.[0] ?? "list";
+    if (!["list", "create", "revoke"].includes(sub)) {
+        process.stderr.write(`unknown subcommand: ${sub}\n${HELP}`);
+        return 2;
+    }
+
+    const config = (await loadConfig()) ?? {};
+    const baseUrl = config?.controlPlane?.url;
+    const bearer = config?.auth?.bearerToken;
+    if (!baseUrl) {
+        process.stderr.write("error: no controlPlane.url. Run `infernet init` first.\n");
+        return 1;
+    }
+    if (!bearer) {
+        process.stderr.write("error: not signed in. Run `infernet login` first.\n");
+        return 1;
+    }
+
+    const request = (method, path, body) =>
+        callApi({ baseUrl, bearer, method, path, body });
+
+    if (sub === "list") {
+        const res = await request("GET", PATH);
+        if (!res.ok) return res.code;
+        if (args.has("json")) {
+            process.stdout.write(JSON.stringify(res.payload?.data ?? [], null, 2) + "\n");
+            return 0;
+        }
+        const rows = res.payload?.data ?? [];
+        if (rows.length === 0) {
+            process.stdout.write("No API keys. Create one with `infernet keys create <name>`.\n");
+            return 0;
+        }
+        for (const k of rows) process.stdout.write(formatKey(k) + "\n");
+        return 0;
+    }
+
+    if (sub === "create") {
+        const name = args.positional?.[1];
+        if (!name) {
+            process.stderr.write("error: usage: infernet keys create <name> [--rate-limit N] [--budget N] [--models a,b]\n");
+            return 2;
+        }
+        const res = await request("POST", PATH, {
+            name,
+            rate_limit_per_min: args.get("rate-limit") ?? null,
+            monthly_token_budget: args.get("budget") ?? null,
+            allowed_models: args.get("models") ?? null
+        });
+        if (!res.ok) return res.code;
+        if (args.has("json")) {
+            process.stdout.write(JSON.stringify(res.payload, null, 2) + "\n");
+            return 0;
+        }
+        process.stdout.write(`✓ created ${formatKey(res.payload.data)}\n\n`);
+        process.stdout.write(`  ${res.payload.key}\n\n`);
+        process.stdout.write("Copy it now — it won't be shown again.\n");
+        return 0;
+    }
+
+    const id = args.positional?.[1];
+    if (!id) {
+        process.stderr.write("error: usage: infernet keys revoke <id>\n");
+        return 2;
+    }
+    const res = await request("DELETE", `${PATH}/${encodeURIComponent(id)}`);
+    if (!res.ok) return res.code;
+    process.stdout.write(`✓ revoked ${res.payload?.data?.name ?? id}\n`);
+    return 0;
+}
+
+async function callApi({ baseUrl, bearer, method, path, body }) {
+    let res;
+    try {
+        res = await fetch(new URL(path, baseUrl), {
+            method,
+            headers: {
+                authorization: `Bearer ${bearer}`,
+                ...(body ? { "content-type": "application/json" } : {})
+            },
+            ...(body ? { body: JSON.stringify(body) } : {})
+        });
+    } catch (err) {
+        process.stderr.write(`error: could not reach ${baseUrl}: ${err?.message ?? err}\n`);
+        return { ok: false, code: 1 };
+    }
+
+    const text = await res.text();
+    let payload = null;
+    try { payload = text ? JSON.parse(text) : null; } catch { /* ignore */ }
+
+    if (!res.ok) {
+        const msg = payload?.error ?? `HTTP ${res.status}`;
+        const hint = res.status === 401 ? " (run `infernet login` again)" : "";
+        process.stderr.write(`error: ${msg}${hint}\n`);
+        return { ok: false, code: 1 };
+    }
+    return { ok: true, payload };
+}
+
+function formatKey(k) {
+    const quota = [
+        `${k.rate_limit_per_min ?? "default"}/min`,
+        k.monthly_token_budget ? `budget ${k.monthly_token_budget} tokens/month` : "no budget",
+        k.allowed_models?.length ? `models ${k.allowed_models.join(",")}` : "any model"
+    ].join(", ");
+    const state = k.revoked_at ? " [revoked]" : "";
+    return `${k.id}  ${k.name}  ${k.key_prefix}…  (${quota})${state}`;
+}
@@ -0,0 +1,250 @@
+/**
+ * `infernet msg` — encrypted DMs and public rooms between operators
+ * (IPIP-0002).
+ *
+ *   infernet msg send <pubkey> "are you taking the 3090s down tonight?"
+ *   infernet msg send general "maintenance window 02:00-03:00 UTC"
+ *   infernet msg inbox --since 2d
+ *   infernet msg room join dev
+ *   infernet msg room tail support --follow
+ *
+ * Everything is signed by the node key and goes through the Nostr
+ * relays in config.discovery.relays (lib/messages.js). Messages fetched
+ * here are also kept locally, so `inbox --local` works offline.
+ *
+ * Rooms take a bare name (`general`) or a quoted `'#general'` — an
+ * unquoted `#` starts a shell comment.
+ */
+
+import { isHex64 } from "@infernetprotocol/auth";
+import { loadConfig } from "../lib/config.js";
+import {
+    DEFAULT_ROOMS,
+    MAX_AGE_SECONDS,
+    OPT_IN_ROOMS,
+    buildDirectMessage,
+    buildRoomMessage,
+    fetchMessages,
+    formatMessage,
+    loadBlocked,
+    loadRooms,
+    messageFilters,
+    normalizeRoom,
+    publishMessage,
+    readMessage,
+    readStoredMessages,
+    saveBlocked,
+    saveRooms,
+    shortKey,
+    storeEvents,
+    subscribeMessages
+} from "../lib/messages.js";
+import { discoveryRelays } from "../lib/nostr-discovery.js";
+
+const HELP = `infernet msg — encrypted operator messages and public rooms (IPIP-0002)
+
+Usage:
+  infernet msg send <pubkey> <text>     Encrypted direct message (NIP-44)
+  infernet msg send <room> <text>       Post to a public room
+  infernet msg inbox [--since 24h]      Direct messages to and from you
+  infernet msg room list                Joined rooms
+  infernet msg room join <room>         Join a room (e.g. dev, jobs)
+  infernet msg room leave <room>        Leave a room
+  infernet msg room tail <room>         Recent messages in a room
+  infernet msg block <pubkey>           Hide a pubkey's DMs and posts
+  infernet msg unblock <pubkey>
+  infernet msg pubkey                   Print your chat pubkey
+
+Flags:
+  --since <window>   Backlog window: 30m, 6h, 2d or unix seconds
+                     (default 24h for inbox, 1h for room tail)
+  --follow           Keep listening after the backlog (room tail, inbox)
+  --local            Read stored messages only; don't contact relays
+  --relays <urls>    Comma-separated wss:// relays (default:
+                     config.discovery.relays)
+  --strict           Drop DMs from non-Infernet Nostr clients
+  --full             Print full pubkeys instead of 8a3f..b2d1
+  --json             Print messages as JSON lines
+  -h, --help         Show this help
+
+Default rooms: ${DEFAULT_ROOMS.map((r) => `#${r}`).join(" ")} (opt-in: ${OPT_IN_ROOMS.map((r) => `#${r}`).join(" ")})
+`;
+
+export default async function msg(args) {
+    if (args.has("help") || args.has("h")) {
+        process.stdout.write(HELP);
+        return 0;
+    }
+    const [sub, ...rest] = args.positional ?? [];
+    const config = (await loadConfig()) ?? {};
+    const node = config.node ?? {};
+    if (!node.publicKey || !node.privateKey) {
+        process.stderr.write("error: no node identity. Run `infernet init` first.\n");
+        return 1;
+    }
+    const ctx = {
+        args,
+        identity: { publicKey: node.publicKey.toLowerCase(), privateKey: node.privateKey },
+        relays: relaysFrom(args, config)
+    };
+
+    switch (sub) {
+        case "send": return send(ctx, rest);
+        case "inbox": return inbox(ctx);
+        case "room": return room(ctx, rest);
+        case "block": return block(ctx, rest[0], true);
+        case "unblock": return block(ctx, rest[0], false);
+        case "pubkey":
+            process.stdout.write(`${ctx.identity.publicKey}\n`);
+            return 0;
+        default:
+            process.stderr.write(sub ? `unknown subcommand: ${sub}\n${HELP}` : HELP);
+            return 2;
+    }
+}
+
+function relaysFrom(args, config) {
+    const flag = args.get("relays");
+    return typeof flag === "string"
+        ? flag.split(",").map((r) => r.trim()).filter(Boolean)
+        : discoveryRelays(config);
+}
+
+function requireRelays(ctx) {
+    if (ctx.relays.length > 0) return true;
+    process.stderr.write("error: no relays. Set config.discovery.relays or pass --relays wss://...\n");
+    return false;
+}
+
+/** `--since` as unix seconds. Accepts 30m / 6h / 2d or a unix timestamp. */
+export function parseSince(value, fallbackSeconds, now = Date.now()) {
+    const t = Math.floor(now / 1000);
+    if (typeof value !== "string" || value === "") return t - fallbackSeconds;
+    const m = /^(\d+)([smhd])$/.exec(value);
+    if (m) return t - Number(m[1]) * { s: 1, m: 60, h: 3600, d: 86400 }[m[2]];
+    if (/^\d+$/.test(value)) return Number(value);
+    throw new Error(`invalid --since: ${value} (use e.g. 30m, 6h, 2d or unix seconds)`);
+}
+
+function printer(args) {
+    const full = args.has("full");
+    return (m) => process.stdout.write(args.has("json") ? `${JSON.stringify(m)}\n` : `${formatMessage(m, { full })}\n`);
+}
+
+async function send(ctx, [target, ...words]) {
+    const text = words.join(" ").trim();
+    if (!target || !text) {
+        process.stderr.write("usage: infernet msg send <pubkey|room> <text>\n");
+        return 2;
+    }
+    if (!requireRelays(ctx)) return 1;
+    const event = isHex64(target)
+        ? buildDirectMessage({ to: target, text, identity: ctx.identity })
+        : buildRoomMessage({ room: target, text, identity: ctx.identity });
+    const { accepted, relays } = await publishMessage(event, { relays: ctx.relays });
+    if (accepted === 0) {
+        process.stderr.write(`error: none of ${relays} relay(s) accepted the message\n`);
+        return 1;
+    }
+    await storeEvents([event]);
+    const where = isHex64(target) ? `@${shortKey(target.toLowerCase(), ctx.args.has("full"))}` : `#${normalizeRoom(target)}`;
+    process.stdout.write(`sent to ${where} (${accepted}/${relays} relays)\n`);
+    return 0;
+}
+
+async function inbox(ctx) {
+    const { args, identity } = ctx;
+    const since = parseSince(args.get("since"), MAX_AGE_SECONDS);
+    const strict = args.has("strict");
+    const blocked = await loadBlocked();
+    if (!args.has("local")) {
+        if (!requireRelays(ctx)) return 1;
+        const filters = messageFilters(identity.publicKey, [], since);
+        await storeEvents(await fetchMessages({ relays: ctx.relays, filters }));
+    }
+    const messages = await readStoredMessages(identity, { since, blocked, kind: "dm", strict });
+    const print = printer(args);
+    if (messages.length === 0 && !args.has("json")) process.stdout.write("No direct messages.\n");
+    messages.forEach(print);
+    if (!args.has("follow") || args.has("local")) return 0;
+    return follow(ctx, { filters: (s) => messageFilters(identity.publicKey, [], s), since, blocked, strict, print });
+}
+
+async function room(ctx, [action, name]) {
+    const { args, identity } = ctx;
+    const rooms = await loadRooms();
+    if (action === "list" || action === undefined) {
+        for (const r of rooms) process.stdout.write(`#${r}\n`);
+        if (rooms.length === 0) process.stdout.write("Not in any room. Try: infernet msg room join general\n");
+        return 0;
+    }
+    if (!name) {
+        process.stderr.write(`usage: infernet msg room ${action} <room>\n`);
+        return 2;
+    }
+    const r = normalizeRoom(name);
+    if (action === "join") {
+        await saveRooms([...rooms, r]);
+        process.stdout.write(`joined #${r}\n`);
+        return 0;
+    }
+    if (action === "leave") {
+        await saveRooms(rooms.filter((x) => x !== r));
+        process.stdout.write(`left #${r}\n`);
+        return 0;
+    }
+    if (action !== "tail") {
+        process.stderr.write(`unknown room action: ${action}\n`);
+        return 2;
+    }
+
+    const since = parseSince(args.get("since"), 60 * 60);
+    const blocked = await loadBlocked();
+    const filters = (s) => messageFilters(identity.publicKey, [r], s).filter((f) => f["#t"]);
+    if (!args.has("local")) {
+        if (!requireRelays(ctx)) return 1;
+        await storeEvents(await fetchMessages({ relays: ctx.relays, filters: filters(since) }));
+    }
+    const messages = await readStoredMessages(identity, { since, blocked, kind: "room", rooms: [r] });
+    const print = printer(args);
+    if (messages.length === 0 && !args.has("json")) process.stdout.write(`No messages in #${r} since ${new Date(since * 1000).toISOString()}.\n`);
+    messages.forEach(print);
+    if (!args.has("follow") || args.has("local")) return 0;
+    return follow(ctx, { filters, since, blocked, strict: false, print, shown: messages });
+}
+
+/** Print new messages as they arrive until Ctrl-C. */
+function follow(ctx, { filters, since, blocked, strict, print, shown = [] }) {
+    const skip = new Set(shown.map((m) => m.id));
+    const blockedSet = new Set(blocked);
+    const sub = subscribeMessages({
+        relays: ctx.relays,
+        filters,
+        since,
+        onEvent: (event) => {
+            const m = readMessage(event, ctx.identity, { strict });
+            if (!m || skip.has(m.id) || blockedSet.has(m.from)) return;
+            skip.add(m.id);
+            storeEvents([event]).catch(() => {});
+            print(m);
+        }
+    });
+    return new Promise((resolve) => {
+        process.once("SIGINT", () => {
+            sub.close();
+            resolve(0);
+        });
+    });
+}
+
+async function block(ctx, pubkey, add) {
+    if (!isHex64(pubkey ?? "")) {
+        process.stderr.write(`usage: infernet msg ${add ? "block" : "unblock"} <64-hex pubkey>\n`);
+        return 2;
+    }
+    const key = pubkey.toLowerCase();
+    const current = await loadBlocked();
+    await saveBlocked(add ? [...current, key] : current.filter((p) => p !== key));
+    process.stdout.write(`${add ? "blocked" : "unblocked"} ${shortKey(key, ctx.args.has("full"))}\n`);
+    return 0;
+}
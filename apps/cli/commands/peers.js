@@ -0,0 +1,141 @@
+/**
+ * `infernet peers` — find providers through the DHT.
+ *
+ *   infernet peers find --model qwen2.5:7b
+ *
+ * Runs a short-lived DHT client (lib/dht.js): seeds its routing table
+ * from --bootstrap, config.dht.bootstrap and the peers cache the daemon
+ * keeps (`~/.config/infernet/peers.json`), then walks to the nodes
+ * closest to `model:<name>` and collects the signed capability records
+ * providers published there. With --nostr it reads the providers'
+ * NIP-78 capability events from the Nostr relays instead
+ * (lib/nostr-discovery.js). Neither calls the control plane, so both
+ * keep working while that is down.
+ */
+
+import { generateKeyPair } from "@infernetprotocol/auth";
+import { loadConfig } from "../lib/config.js";
+import { createDhtNode, createTcpTransport } from "../lib/dht.js";
+import { discoveryRelays, findCapabilities } from "../lib/nostr-discovery.js";
+import { parseMultiaddr } from "../lib/p2p-client.js";
+import { loadCachedPeers } from "../lib/peers.js";
+
+const HELP = `infernet peers — discover providers without the control plane
+
+Usage:
+  infernet peers find --model <name> [flags]
+
+Flags:
+  --model <name>          Model to look up (as served, e.g. qwen2.5:7b)
+  --bootstrap <addrs>     Comma-separated /ip4/<host>/tcp/<port>/p2p/<pubkey>
+                          contacts, in addition to config.dht.bootstrap
+                          and the cached peer list
+  --nostr                 Ask the Nostr relays (config.discovery.relays)
+                          instead of the DHT
+  --relays <urls>         Comma-separated wss:// relays for --nostr
+  --json                  Print the raw records as JSON
+  -h, --help              Show this help
+
+The peer cache is filled by a running daemon (\`infernet start\`); on a
+fresh machine pass --bootstrap.
+`;
+
+export default async function peers(args) {
+    if (args.has("help") || args.has("h")) {
+        process.stdout.write(HELP);
+        return 0;
+    }
+    const sub = args.positional?.[0];
+    if (sub !== "find") {
+        process.stderr.write(sub ? `unknown subcommand: ${sub}\n${HELP}` : HELP);
+        return 2;
+    }
+    const model = args.get("model");
+    if (typeof model !== "string" || !model) {
+        process.stderr.write("error: --model <name> is required\n");
+        return 2;
+    }
+
+    const config = (await loadConfig()) ?? {};
+    if (args.has("nostr")) return findOnNostr(model, args, config);
+
+    const seeds = await bootstrapContacts(args.get("bootstrap"), config);
+    if (seeds.length === 0) {
+        process.stderr.write(
+            "error: no DHT contacts. Run the daemon once so it caches peers, " +
+            "or pass --bootstrap /ip4/<host>/tcp/<port>/p2p/<pubkey>\n"
+        );
+        return 1;
+    }
+
+    const identity = config.node?.publicKey && config.node?.privateKey
+        ? { publicKey: config.node.publicKey, privateKey: config.node.privateKey }
+        : generateKeyPair();
+    const transport = createTcpTransport({ identity });
+    try {
+        const dht = createDhtNode({ identity, transport });
+        const contacts = await dht.bootstrap(seeds);
+        if (contacts === 0) {
+            process.stderr.write(`error: none of the ${seeds.length} bootstrap contacts answered\n`);
+            return 1;
+        }
+        const providers = await dht.findProviders(model);
+        if (args.has("json")) {
+            process.stdout.write(JSON.stringify({ model, providers }, null, 2) + "\n");
+            return 0;
+        }
+        if (providers.length === 0) {
+            process.stdout.write(`No provider announced ${model} (asked ${contacts} DHT node(s)).\n`);
+            return 0;
+        }
+        for (const p of providers) {
+            process.stdout.write(`${p.pubkey}  ${p.multiaddr ?? "(no address)"}  until ${p.expires_at}\n`);
+        }
+        return 0;
+    } finally {
+        transport.close();
+    }
+}
+
+async function findOnNostr(model, args, config) {
+    const flag = args.get("relays");
+    const relays = typeof flag === "string"
+        ? flag.split(",").map((r) => r.trim()).filter(Boolean)
+        : discoveryRelays(config);
+    if (relays.length === 0) {
+        process.stderr.write("error: no relays. Set config.discovery.relays or pass --relays wss://...\n");
+        return 1;
+    }
+    const providers = await findCapabilities({ relays, model });
+    if (args.has("json")) {
+        process.stdout.write(JSON.stringify({ model, providers }, null, 2) + "\n");
+        return 0;
+    }
+    if (providers.length === 0) {
+        process.stdout.write(`No provider advertised ${model} on ${relays.length} relay(s).\n`);
+        return 0;
+    }
+    for (const p of providers) {
+        const price = p.price === null ? "" : `  $${p.price}/1k`;
+        process.stdout.write(`${p.pubkey}  ${p.multiaddr ?? "(no address)"}${price}  until ${p.expires_at}  (relays: ${p.relays})\n`);
+    }
+    return 0;
+}
+
+async function bootstrapContacts(flag, config) {
+    const addrs = [
+        ...(typeof flag === "string" ? flag.split(",") : []),
+        ...(Array.isArray(config.dht?.bootstrap) ? config.dht.bootstrap : [])
+    ];
+    const contacts = [];
+    for (const raw of addrs) {
+        const c = parseMultiaddr(raw.trim());
+        if (c?.peerId) contacts.push(c);
+        else process.stderr.write(`ignoring bootstrap address without /p2p/<pubkey>: ${raw}\n`);
+    }
+    for (const p of (await loadCachedPeers()) ?? []) {
+        const c = parseMultiaddr(p.multiaddr);
+        if (c && typeof p.pubkey === "string") contacts.push({ ...c, peerId: p.pubkey.toLowerCase() });
+    }
+    return contacts;
+}
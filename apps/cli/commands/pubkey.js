@@ -1,34 +1,77 @@
 /**
- * `infernet pubkey link` — claim this node's Nostr pubkey under your
- * Infernet user account, so /dashboard can show "providers I operate".
+ * `infernet pubkey` — manage this node's Nostr pubkey with the control plane.
  *
- * Authenticates with TWO credentials:
+ *   link      claim the pubkey under your Infernet user account, so
+ *             /dashboard can show "providers I operate"
+ *   rotate    move the node to a fresh keypair and revoke the old one
+ *   delegate  issue a scoped, time-bounded subkey (e.g. for a container)
+ *   revoke    withdraw a subkey issued by `delegate`
+ *
+ * `link` authenticates with TWO credentials:
  *   - bearer JWT (config.auth.bearerToken) — proves you're the Supabase user
  *   - Nostr signature (config.node.privateKey) — proves you own the pubkey
  *
  * Without both, the link can't safely happen — bearer alone wouldn't
  * prove pubkey control; signature alone wouldn't bind to a user.
+ *
+ * rotate / delegate / revoke use the v2 signed-request envelope
+ * (packages/auth/src/key-delegation.js) and need the master key: a node
+ * running on a delegated subkey can't manage keys.
  */
 
-import { signRequest, AUTH_HEADER } from "@infernetprotocol/auth";
-import { loadConfig } from "../lib/config.js";
+import fs from "node:fs/promises";
+
+import {
+    AUTH_HEADER,
+    DEFAULT_DELEGATION_SECONDS,
+    DELEGATION_SCOPES,
+    ENVELOPE_VERSION_V2,
+    createDelegation,
+    generateKeyPair,
+    signRequest,
+    signRotation
+} from "@infernetprotocol/auth";
+import { loadConfig, saveConfig } from "../lib/config.js";
 
-const HELP = `infernet pubkey link — bind this node's pubkey to your account
+const HELP = `infernet pubkey — manage this node's pubkey with the control plane
 
 Usage:
-  infernet pubkey link [flags]
+  infernet pubkey link [flags]        Bind this node's pubkey to your account
+  infernet pubkey rotate              Switch to a new keypair; revoke the old one
+  infernet pubkey delegate [flags]    Issue a scoped subkey (e.g. for a container)
+  infernet pubkey revoke <subkey>     Withdraw a subkey issued by \`delegate\`
 
-Flags:
+Link flags:
   --role <role>   provider | aggregator | client  (default: from config.node.role)
   --label <name>  Friendly label for this node (defaults to node name)
-  --help
 
-After this succeeds, /dashboard will show this provider under your account.
+Delegate flags:
+  --scopes <a,b>  What the subkey may call: ${Object.keys(DELEGATION_SCOPES).join(", ")}
+  --ttl <dur>     Lifetime, e.g. 12h, 7d (default: 7d, max: 90d)
+  --label <name>  Note kept with the delegation in this config
+  --out <file>    Write the subkey's config snippet here (default: stdout)
+
+Revoke flags:
+  --cert <file>   Certificate to withdraw, if it isn't in this config
+
+After \`link\` succeeds, /dashboard will show this provider under your account.
 You only need to do it once per (pubkey, role) pair — re-running is a no-op
 (or refreshes the label).
+
+\`rotate\` moves the node's registration, account links and pending commands
+to the new key. Restart the daemon afterwards; subkeys issued by the old key
+stop working.
+
+\`delegate\` prints {"node": {publicKey, privateKey, delegation}} — merge it
+into the container's config.json. Its requests act for this node but only
+within --scopes; key management, payouts/set and remove always need the
+master key.
 `;
 
-const PATH = "/api/v1/user/pubkey/link";
+const LINK_PATH = "/api/v1/user/pubkey/link";
+const ROTATE_PATH = "/api/v1/node/keys/rotate";
+const REVOKE_PATH = "/api/v1/node/keys/revoke";
+const SUBCOMMANDS = new Set(["link", "rotate", "delegate", "revoke"]);
 
 export default async function pubkeyCommand(args) {
     if (args.has("help") || args.has("h")) {
@@ -37,59 +80,55 @@ export default async function pubkeyCommand(args) {
     }
 
     const sub = args.positional?.[0] ?? "link";
-    if (sub !== "link") {
+    if (!SUBCOMMANDS.has(sub)) {
         process.stderr.write(`unknown subcommand: ${sub}\n${HELP}`);
         return 2;
     }
 
     const config = (await loadConfig()) ?? {};
-    const baseUrl = config?.controlPlane?.url;
-    const bearer = config?.auth?.bearerToken;
-    const role = (args.get("role") ?? config?.node?.role ?? "").toLowerCase();
-    const label = args.get("label") ?? config?.node?.name ?? null;
     const publicKey = config?.node?.publicKey;
     const privateKey = config?.node?.privateKey;
+    if (!publicKey || !privateKey) {
+        process.stderr.write("error: no node identity. Run `infernet init` first.\n");
+        return 1;
+    }
+    if (sub === "delegate") return delegate(args, config);
 
+    const baseUrl = config?.controlPlane?.url;
     if (!baseUrl) {
         process.stderr.write("error: no controlPlane.url. Run `infernet init` first.\n");
         return 1;
     }
-    if (!bearer) {
-        process.stderr.write("error: not signed in. Run `infernet login` first.\n");
-        return 1;
-    }
-    if (!publicKey || !privateKey) {
-        process.stderr.write("error: no node identity. Run `infernet init` first.\n");
-        return 1;
-    }
-    if (!["provider", "aggregator", "client"].includes(role)) {
-        process.stderr.write(`error: --role must be provider | aggregator | client (got ${role || "(none)"})\n`);
+    if (sub === "link") return link(args, config);
+    if (config.node.delegation) {
+        process.stderr.write("error: this node signs with a delegated subkey; run this where the master key lives.\n");
         return 1;
     }
+    return sub === "rotate" ? rotate(config) : revoke(args, config);
+}
 
-    const bodyText = JSON.stringify({ role, ...(label ? { label } : {}) });
-    const { header } = signRequest({
-        method: "POST",
-        path: PATH,
-        body: bodyText,
-        publicKey,
-        privateKey
-    });
+/**
+ * POST `body` signed by `keys` (plus `headers`). Returns the response
+ * data, or null after printing the error.
+ */
+async function signedPost({ baseUrl, path, body, keys, version, headers = {}, what }) {
+    const bodyText = JSON.stringify(body);
+    const { header } = signRequest({ method: "POST", path, body: bodyText, ...keys, version });
 
     let res;
     try {
-        res = await fetch(new URL(PATH, baseUrl), {
+        res = await fetch(new URL(path, baseUrl), {
             method: "POST",
             headers: {
                 "content-type": "application/json",
-                authorization: `Bearer ${bearer}`,
+                ...headers,
                 [AUTH_HEADER]: header
             },
             body: bodyText
         });
     } catch (err) {
         process.stderr.write(`error: could not reach ${baseUrl}: ${err?.message ?? err}\n`);
-        return 1;
+        return null;
     }
 
     const text = await res.text();
@@ -98,15 +137,40 @@ export default async function pubkeyCommand(args) {
 
     if (!res.ok) {
         const msg = payload?.error ?? `HTTP ${res.status}`;
-        process.stderr.write(`error: link failed — ${msg}\n`);
-        return 1;
+        process.stderr.write(`error: ${what} failed — ${msg}\n`);
+        return null;
     }
-
-    const row = payload?.data;
-    if (!row) {
+    if (!payload?.data) {
         process.stderr.write("error: server response missing data\n");
+        return null;
+    }
+    return payload.data;
+}
+
+async function link(args, config) {
+    const bearer = config?.auth?.bearerToken;
+    const role = (args.get("role") ?? config?.node?.role ?? "").toLowerCase();
+    const label = args.get("label") ?? config?.node?.name ?? null;
+    const { publicKey, privateKey } = config.node;
+
+    if (!bearer) {
+        process.stderr.write("error: not signed in. Run `infernet login` first.\n");
         return 1;
     }
+    if (!["provider", "aggregator", "client"].includes(role)) {
+        process.stderr.write(`error: --role must be provider | aggregator | client (got ${role || "(none)"})\n`);
+        return 1;
+    }
+
+    const row = await signedPost({
+        baseUrl: config.controlPlane.url,
+        path: LINK_PATH,
+        body: { role, ...(label ? { label } : {}) },
+        keys: { publicKey, privateKey },
+        headers: { authorization: `Bearer ${bearer}` },
+        what: "link"
+    });
+    if (!row) return 1;
     process.stdout.write(
         row.created
             ? `✓ linked ${role} pubkey ${publicKey.slice(0, 12)}… to your account\n`
@@ -114,3 +178,156 @@ export default async function pubkeyCommand(args) {
     );
     return 0;
 }
+
+/**
+ * The new keypair is parked in config.node.pendingRotation before the
+ * control plane hears of it, so a crash after the server switched over
+ * can't lose the only key it will accept. Re-running `rotate` finishes
+ * the same rotation (the server treats a repeat as a no-op).
+ */
+async function rotate(config) {
+    const node = config.node;
+    const next = node.pendingRotation ?? generateKeyPair();
+    if (!node.pendingRotation) {
+        node.pendingRotation = next;
+        await saveConfig(config);
+    }
+
+    const data = await signedPost({
+        baseUrl: config.controlPlane.url,
+        path: ROTATE_PATH,
+        body: signRotation({ oldPublicKey: node.publicKey, ...next }),
+        keys: { publicKey: node.publicKey, privateKey: node.privateKey },
+        version: ENVELOPE_VERSION_V2,
+        what: "rotate"
+    });
+    if (!data) {
+        process.stderr.write("The new key is kept in config as node.pendingRotation; re-run `infernet pubkey rotate` to retry.\n");
+        return 1;
+    }
+
+    const old = node.publicKey;
+    node.publicKey = next.publicKey;
+    node.privateKey = next.privateKey;
+    delete node.pendingRotation;
+    const dropped = node.delegations?.length ?? 0;
+    delete node.delegations;
+    await saveConfig(config);
+
+    const moved = Object.entries(data.moved ?? {}).filter(([, n]) => n > 0).map(([k, n]) => `${k} ${n}`);
+    process.stdout.write(`✓ rotated ${old.slice(0, 12)}… → ${next.publicKey.slice(0, 12)}…\n`);
+    if (moved.length > 0) process.stdout.write(`  moved: ${moved.join(", ")}\n`);
+    process.stdout.write(`  the old key is revoked${dropped > 0 ? `, and so are the ${dropped} subkey(s) it delegated` : ""}\n`);
+    process.stdout.write("Restart the daemon to use the new key: infernet stop && infernet start\n");
+    return 0;
+}
+
+/** `--ttl` in seconds. Accepts 30m / 12h / 7d or plain seconds. */
+export function parseTtl(value) {
+    if (value === undefined) return DEFAULT_DELEGATION_SECONDS;
+    const m = /^(\d+)([smhd])$/.exec(value);
+    if (m) return Number(m[1]) * { s: 1, m: 60, h: 3600, d: 86400 }[m[2]];
+    if (/^\d+$/.test(value)) return Number(value);
+    throw new Error(`invalid --ttl: ${value} (use e.g. 12h, 7d or seconds)`);
+}
+
+async function delegate(args, config) {
+    const node = config.node;
+    if (node.delegation) {
+        process.stderr.write("error: this node signs with a delegated subkey; it can't delegate further.\n");
+        return 1;
+    }
+    const scopes = String(args.get("scopes") ?? "").split(",").map((s) => s.trim()).filter(Boolean);
+    if (scopes.length === 0) {
+        process.stderr.write(`error: --scopes is required (${Object.keys(DELEGATION_SCOPES).join(", ")})\n`);
+        return 2;
+    }
+
+    const sub = generateKeyPair();
+    let certificate;
+    try {
+        certificate = createDelegation({
+            privateKey: node.privateKey,
+            publicKey: node.publicKey,
+            subkey: sub.publicKey,
+            scopes,
+            ttlSeconds: parseTtl(args.get("ttl"))
+        });
+    } catch (err) {
+        process.stderr.write(`error: ${err.message}\n`);
+        return 2;
+    }
+
+    const snippet = JSON.stringify({ node: { ...sub, delegation: certificate } }, null, 2) + "\n";
+    const out = args.get("out");
+    if (out) await fs.writeFile(out, snippet, { mode: 0o600 });
+
+    // Kept without the subkey's privkey — enough to revoke it later.
+    node.delegations = [
+        ...(node.delegations ?? []).filter((d) => d.certificate.expires_at > Math.floor(Date.now() / 1000)),
+        { label: args.get("label") ?? null, certificate }
+    ];
+    await saveConfig(config);
+
+    const expires = new Date(certificate.expires_at * 1000).toISOString();
+    if (out) {
+        process.stdout.write(`✓ delegated ${certificate.scopes.join(", ")} to ${sub.publicKey.slice(0, 12)}… until ${expires}\n`);
+        process.stdout.write(`  config snippet written to ${out} — merge it into the container's config.json\n`);
+    } else {
+        process.stdout.write(snippet);
+        process.stderr.write(`delegated ${certificate.scopes.join(", ")} to ${sub.publicKey.slice(0, 12)}… until ${expires}\n`);
+    }
+    return 0;
+}
+
+async function revoke(args, config) {
+    const node = config.node;
+    const target = args.positional?.[1]?.toLowerCase();
+    let certificate = null;
+    if (args.get("cert")) {
+        try {
+            const parsed = JSON.parse(await fs.readFile(args.get("cert"), "utf8"));
+            certificate = parsed?.node?.delegation ?? parsed?.delegation ?? parsed;
+        } catch (err) {
+            process.stderr.write(`error: can't read --cert: ${err?.message ?? err}\n`);
+            return 1;
+        }
+    } else {
+        const issued = node.delegations ?? [];
+        if (!target) {
+            if (issued.length === 0) process.stdout.write("No delegated subkeys in this config.\n");
+            for (const d of issued) {
+                const c = d.certificate;
+                const expires = new Date(c.expires_at * 1000).toISOString();
+                process.stdout.write(`${c.subkey}  ${c.scopes.join(",")}  until ${expires}${d.label ? `  (${d.label})` : ""}\n`);
+            }
+            process.stderr.write("usage: infernet pubkey revoke <subkey> [--cert <file>]\n");
+            return 2;
+        }
+        const matching = issued.filter((d) => d.certificate.subkey.startsWith(target));
+        if (matching.length !== 1) {
+            process.stderr.write(matching.length === 0
+                ? `error: no delegation to ${target} in this config (pass --cert <file>)\n`
+                : `error: ${target} matches ${matching.length} subkeys; give more of the key\n`);
+            return 1;
+        }
+        certificate = matching[0].certificate;
+    }
+
+    const data = await signedPost({
+        baseUrl: config.controlPlane.url,
+        path: REVOKE_PATH,
+        body: { delegation: certificate },
+        keys: { publicKey: node.publicKey, privateKey: node.privateKey },
+        version: ENVELOPE_VERSION_V2,
+        what: "revoke"
+    });
+    if (!data) return 1;
+
+    if (node.delegations) {
+        node.delegations = node.delegations.filter((d) => d.certificate.subkey !== certificate.subkey);
+        await saveConfig(config);
+    }
+    process.stdout.write(`✓ revoked subkey ${certificate.subkey.slice(0, 12)}…\n`);
+    return 0;
+}
@@ -12,11 +12,13 @@
 import { saveConfig, loadConfig } from '../lib/config.js';
 import { resolveP2pPort, detectLocalAddress } from '../lib/network.js';
 import { detectGpus, detectInterconnects, detectCpus, detectHost } from '@infernetprotocol/gpu';
+import { gatherModelDigests } from '../lib/model-fingerprint.js';
 
 /**
  * Probe Ollama for the actual list of models pulled locally, with
- * sizes. Empty array on any failure — we still want to register the
- * node even if the engine isn't up at register time.
+ * sizes and manifest digests. Empty array on any failure — we still
+ * want to register the node even if the engine isn't up at register
+ * time.
  */
 async function detectOllamaModels(host) {
     if (!host) return [];
@@ -28,7 +30,8 @@ async function detectOllamaModels(host) {
         return models
             .map((m) => ({
                 name: m.name ?? m.model,
-                size_bytes: typeof m.size === 'number' ? m.size : null
+                size_bytes: typeof m.size === 'number' ? m.size : null,
+                digest: typeof m.digest === 'string' ? m.digest : null
             }))
             .filter((m) => typeof m.name === 'string' && m.name);
     } catch {
@@ -36,6 +39,62 @@ async function detectOllamaModels(host) {
     }
 }
 
+/**
+ * Ask Ollama what each model can do. /api/show returns `capabilities`
+ * (e.g. ["completion", "vision", "tools"]) on Ollama ≥ 0.6; older
+ * daemons omit it and the model is left out of the map so callers fall
+ * back to the name heuristic. One request per model, 2 s each, in
+ * parallel — register/heartbeat only run this on the fitting subset.
+ */
+async function detectOllamaCapabilities(host, names) {
+    const out = new Map();
+    if (!host || names.length === 0) return out;
+    await Promise.all(names.map(async (name) => {
+        try {
+            const res = await fetch(new URL('/api/show', host), {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ model: name }),
+                signal: AbortSignal.timeout?.(2000)
+            });
+            if (!res.ok) return;
+            const json = await res.json();
+            if (Array.isArray(json?.capabilities)) out.set(name, json.capabilities);
+        } catch {
+            // best-effort; heuristic fallback below
+        }
+    }));
+    return out;
+}
+
+/**
+ * Name heuristic for vision (image-input) models, used when Ollama
+ * doesn't report capabilities: llava / bakllava, llama3.2-vision,
+ * moondream, minicpm-v, qwen2.5vl / qwen2-vl, granite3.2-vision, etc.
+ * Operators can list others in `engine.visionModels`.
+ */
+const VISION_NAME_PATTERN = /vision|llava|moondream|minicpm-v|[-.]?vl([-:.]|$)/i;
+
+export function isVisionModelName(name) {
+    if (typeof name !== 'string' || !name) return false;
+    return VISION_NAME_PATTERN.test(name);
+}
+
+/**
+ * Name heuristic for embedding models. Ollama's /api/tags doesn't say
+ * what a model is for, and advertising `nomic-embed-text` as a chat
+ * model routes chat jobs to a model that can't generate. Matches the
+ * common families (nomic-embed, mxbai-embed, snowflake-arctic-embed,
+ * bge, e5, gte, all-minilm); operators with oddly-named models list
+ * them in `engine.embeddingModels`.
+ */
+const EMBEDDING_NAME_PATTERN = /embed|(^|[-_/:.])(bge|e5|gte|minilm)([-_/:.]|$)/i;
+
+export function isEmbeddingModelName(name) {
+    if (typeof name !== 'string' || !name) return false;
+    return EMBEDDING_NAME_PATTERN.test(name);
+}
+
 /**
  * Filter out models that physically can't fit on this node. A node
  * advertising a model it can't actually serve is worse than not
@@ -192,11 +251,41 @@ export async function gatherCoarseSpecs() {
 
     // Always include the configured model if it's pulled — even if our
     // heuristic flagged it as too big, the operator explicitly chose it.
-    const served_models = [...new Set([
+    const advertised = [...new Set([
         ...(configuredModel && pulledModels.some((m) => m.name === configuredModel) ? [configuredModel] : []),
         ...fitting
     ])];
 
+    // Embedding models go in their own list — /v1/embeddings routes on
+    // `embedding_models`, chat routing on `served_models`.
+    const configuredEmbedding = new Set(
+        Array.isArray(config?.engine?.embeddingModels) ? config.engine.embeddingModels : []
+    );
+    const isEmbedding = (name) => configuredEmbedding.has(name) || isEmbeddingModelName(name);
+    const served_models = advertised.filter((name) => !isEmbedding(name));
+    const embedding_models = advertised.filter(isEmbedding);
+
+    // Vision models stay in `served_models` (they chat too); the
+    // `vision_models` subset tells the router which ones take images.
+    const capabilities = await detectOllamaCapabilities(ollamaHost, served_models);
+    const configuredVision = new Set(
+        Array.isArray(config?.engine?.visionModels) ? config.engine.visionModels : []
+    );
+    const vision_models = served_models.filter((name) => {
+        if (configuredVision.has(name)) return true;
+        const caps = capabilities.get(name);
+        return caps ? caps.includes('vision') : isVisionModelName(name);
+    });
+
+    // IPIP-0014 §2: what exactly each advertised name is, so routing
+    // can insist on known-good weights (lib/model-fingerprint.js).
+    const model_digests = await gatherModelDigests({
+        names: advertised,
+        ollamaModels: pulledModels,
+        modelPaths: config?.engine?.modelPaths,
+        warn: (msg) => process.stderr.write(`Note: ${msg}\n`)
+    });
+
     return {
         cpu: summarizeCpu(),
         gpu_count: gpus.length,
@@ -206,7 +295,10 @@ export async function gatherCoarseSpecs() {
             model: typeof g.model === 'string' ? g.model.slice(0, 64) : null
         })),
         interconnects: summarizeInterconnects(interconnects),
-        served_models
+        served_models,
+        embedding_models,
+        vision_models,
+        ...(Object.keys(model_digests).length > 0 ? { model_digests } : {})
     };
 }
 
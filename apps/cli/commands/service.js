@@ -90,6 +90,9 @@ export function buildServiceUnit({ nodeBin, cliEntry, environment = {}, descript
         `ExecStart=${nodeBin} ${cliEntry} start --foreground`,
         "Restart=on-failure",
         "RestartSec=10",
+        // SIGTERM drains in-flight jobs for up to 120s (start.js); give
+        // it that long before systemd escalates to SIGKILL.
+        "TimeoutStopSec=150",
         "Environment=NODE_ENV=production",
         ...envLines,
         "",
@@ -23,6 +23,7 @@ import { loadConfig, saveConfig, getConfigPath } from "../lib/config.js";
 import { question } from "../lib/prompt.js";
 import { applyFirewallRule, detectFirewall, describeFirewallHowTo } from "../lib/firewall.js";
 import { DEFAULT_P2P_PORT, resolveP2pPort } from "../lib/network.js";
+import { suggestConcurrency } from "../lib/concurrency.js";
 import {
     detectGpus, formatGpuLine,
     detectCpus, detectHost, formatCpuLine,
@@ -682,7 +683,9 @@ export default async function setup(args) {
             ...(existing.engine ?? {}),
             backend,
             ...(host ? { ollamaHost: host } : {}),
-            ...(chosenModel ? { model: chosenModel } : {})
+            ...(chosenModel ? { model: chosenModel } : {}),
+            // Keep an operator-set cap; otherwise seed one from VRAM.
+            concurrency: existing.engine?.concurrency ?? suggestConcurrency(detectedGpus)
         }
     };
     await saveConfig(merged);
@@ -694,6 +697,7 @@ export default async function setup(args) {
     if (merged.engine.model) {
         process.stdout.write(`    engine.model:      ${merged.engine.model}\n`);
     }
+    process.stdout.write(`    engine.concurrency: ${merged.engine.concurrency} parallel job(s)\n`);
 
     // ---- Identity (calls `infernet init` if needed) ----
     let configAfterId = await loadConfig();
@@ -9,15 +9,59 @@
  *
  * The running daemon:
  *   - Heartbeats every 30s via signed POST /api/v1/node/heartbeat
- *   - Polls /api/v1/node/jobs/poll every 15s (providers only), processes
- *     any returned jobs, emits streaming events via signed
+ *   - Polls /api/v1/node/jobs/poll every 15s (providers only) for as many
+ *     jobs as it has free slots, runs up to `concurrency` of them in
+ *     parallel, emits streaming events via signed
  *     POST /api/v1/node/jobs/:id/events, and closes the loop with
- *     POST /api/v1/node/jobs/:id/complete.
+ *     POST /api/v1/node/jobs/:id/complete. The cap comes from --concurrency,
+ *     config.engine.concurrency, INFERNET_CONCURRENCY or a VRAM-based
+ *     suggestion (lib/concurrency.js) and is advertised as
+ *     specs.load.concurrency_cap.
+ *   - Stops jobs the client cancelled: the poll response lists them
+ *     under `cancel` (and event posts answer `cancel: true` while one
+ *     is streaming). The engine generation is cancelled and the job
+ *     completed as cancelled with its partial result.
+ *   - Listens for peers on the P2P port. Each connection has to pass the
+ *     signed `infernet.handshake.v1` exchange (lib/handshake.js) before
+ *     any other command is answered; peer ids listed in
+ *     config.node.p2pBlocklist are turned away.
+ *   - Joins the Kademlia DHT over the same listener (lib/dht.js): providers
+ *     publish a signed capability record per served model every 10
+ *     minutes so `infernet peers find` works without the control plane.
+ *     Off with --no-dht or config.dht.enabled=false.
+ *   - Gossips network-wide events to DHT neighbours (lib/gossip.js):
+ *     providers announce themselves online, draining and offline and
+ *     re-announce their served models; revocation notices add the peer
+ *     to the P2P blocklist. Off with --no-gossip or
+ *     config.pubsub.enabled=false.
+ *   - Reaches providers behind NAT through circuit relays (lib/relay.js):
+ *     when /api/probe finds the P2P port closed, the daemon holds a
+ *     reservation on a relay (config.relay.relays, else /api/peers
+ *     ?relay=1) and heartbeats its `/p2p-circuit` multiaddr. Reachable
+ *     providers opt in to relaying with --relay or
+ *     config.relay.enabled=true.
+ *   - Exports remote objects over `infernet.rmi.v1` (lib/rmi.js,
+ *     lib/rmi-objects.js): the node's model registry, and KV cache
+ *     handles peers open through it, which live while the peer renews
+ *     its lease. Objects are published to the DHT object registry.
+ *     Off with --no-rmi or config.rmi.enabled=false.
+ *   - Advertises providers on Nostr (lib/nostr-discovery.js): a signed
+ *     NIP-78 capability event with served models, GPU tiers, price and
+ *     multiaddr goes to config.discovery.relays every minute and is
+ *     withdrawn on shutdown. Off with --no-nostr, --no-advertise or
+ *     config.discovery.nostr=false.
+ *   - Runs direct jobs for providers: a consumer holding a control-plane
+ *     job ticket submits it over `infernet.compute.v1` and the tokens
+ *     stream back on its socket (lib/direct-jobs.js). Only `meta`, a
+ *     text-free `done` summary and the completion reach the control plane.
  *   - Exposes a Unix-domain IPC socket at `~/.config/infernet/daemon.sock`
  *     so `infernet status`, `infernet stats`, `infernet stop`, etc. can ask
  *     the live process what it's doing.
- *   - Handles SIGINT / SIGTERM: sends a final heartbeat with status=offline,
- *     removes pid/sock files, exits 0.
+ *   - Handles SIGINT / SIGTERM: stops polling, sends a heartbeat with
+ *     status=offline so no new work is routed here, lets in-flight jobs
+ *     finish (up to --drain-timeout; jobs still running after that are
+ *     failed so their clients get an error instead of a hang), removes
+ *     pid/sock files, exits 0. A second signal skips the drain.
  *
  * The daemon never holds a database credential. Every request to the
  * control plane is signed with the node's Nostr privkey.
@@ -25,6 +69,7 @@
 
 import fs from 'node:fs/promises';
 import net from 'node:net';
+import dgram from 'node:dgram';
 import http from 'node:http';
 import { spawn } from 'node:child_process';
 import { chmodSync, unlinkSync } from 'node:fs';
@@ -37,9 +82,22 @@ import {
 import { spawnDetachedDaemon } from '../lib/daemonize.js';
 import { isDaemonAlive } from '../lib/ipc.js';
 import { resolveP2pPort, detectLocalAddress, formatEndpoint } from '../lib/network.js';
-import { executeChatJob, failChatJob, shutdownEngine } from '../lib/chat-executor.js';
+import { engineSampling, executeBatchJob, executeChatJob, executeEmbeddingsJob, failChatJob, shutdownEngine } from '../lib/chat-executor.js';
+import { freeSlots, resolveConcurrency } from '../lib/concurrency.js';
+import { COMPUTE_PROTOCOL, PROVIDER_PROTOCOLS, SUPPORTED_PROTOCOLS } from '../lib/handshake.js';
+import { createP2pServer } from '../lib/p2p-server.js';
+import { formatMultiaddr, parseMultiaddr } from '../lib/p2p-client.js';
+import { createDhtNode, createTcpTransport } from '../lib/dht.js';
+import { TOPICS, createGossipNode } from '../lib/gossip.js';
+import { bootstrapPeers, fetchPeers } from '../lib/peers.js';
+import { RELAY_PROTOCOL, createRelayClient, createRelayService } from '../lib/relay.js';
+import { RMI_PROTOCOL, createRmiRuntime } from '../lib/rmi.js';
+import { exportDaemonObjects } from '../lib/rmi-objects.js';
+import { createCapabilityPublisher, discoveryRelays } from '../lib/nostr-discovery.js';
+import { acceptDirectJob, loadPlatformKey } from '../lib/direct-jobs.js';
 import { gatherCoarseSpecs } from './register.js';
 import { detectGpus, detectHost } from '@infernetprotocol/gpu';
+import { CAPABILITY_REPUBLISH_SECONDS, DHT_PROTOCOL, DHT_REPUBLISH_SECONDS, PUBSUB_PROTOCOL } from '@infernetprotocol/auth';
 
 const HELP = `infernet start — run the node daemon
 
@@ -50,8 +108,21 @@ Flags:
   --foreground               Run in the current terminal (don't detach)
   --heartbeat-interval <ms>  Override heartbeat cadence (default 30000)
   --poll-interval <ms>       Override job poll cadence (default 15000)
+  --concurrency <n>          Max jobs run in parallel (default: config
+                             engine.concurrency, else suggested from VRAM)
+  --drain-timeout <ms>       How long SIGTERM waits for in-flight jobs
+                             (default 120000)
   --p2p-port <n>             TCP port for peer connections (default 46337)
   --no-p2p                   Don't bind the P2P TCP listener
+  --no-dht                   Don't join the DHT (also config.dht.enabled=false)
+  --no-gossip                Don't join pubsub gossip (also
+                             config.pubsub.enabled=false)
+  --no-nostr                 Don't advertise on Nostr relays (also
+                             config.discovery.nostr=false)
+  --relay                    Relay circuits for peers behind NAT (also
+                             config.relay.enabled=true)
+  --no-rmi                   Don't export remote objects (also
+                             config.rmi.enabled=false)
   --no-advertise             Don't send address/port in heartbeats
   --once                     Run one heartbeat + one poll and exit (debug)
   --help                     Show this help
@@ -62,6 +133,7 @@ live queries (see \`infernet status\`, \`infernet stats\`, \`infernet logs\`).
 
 const DEFAULT_HEARTBEAT_MS = 30_000;
 const DEFAULT_POLL_MS = 15_000;
+const DEFAULT_DRAIN_TIMEOUT_MS = 120_000;
 
 async function writePidFile(pid) {
     const p = getDaemonPidPath();
@@ -109,6 +181,11 @@ async function spawnAndReturn(args) {
     const p2pPort = args.get('p2p-port');
     if (p2pPort) passthrough.push('--p2p-port', p2pPort);
     if (args.has('no-p2p')) passthrough.push('--no-p2p');
+    if (args.has('no-dht')) passthrough.push('--no-dht');
+    if (args.has('no-gossip')) passthrough.push('--no-gossip');
+    if (args.has('no-nostr')) passthrough.push('--no-nostr');
+    if (args.has('relay')) passthrough.push('--relay');
+    if (args.has('no-rmi')) passthrough.push('--no-rmi');
     if (args.has('no-advertise')) passthrough.push('--no-advertise');
     if (args.has('once')) passthrough.push('--once');
 
@@ -130,10 +207,17 @@ async function runDaemon(args, ctx) {
 
     const heartbeatMs = Number.parseInt(args.get('heartbeat-interval') ?? '', 10) || DEFAULT_HEARTBEAT_MS;
     const pollMs     = Number.parseInt(args.get('poll-interval') ?? '', 10)      || DEFAULT_POLL_MS;
+    const drainTimeoutMs = Number.parseInt(args.get('drain-timeout') ?? '', 10)  || DEFAULT_DRAIN_TIMEOUT_MS;
     const once       = args.has('once');
 
     const p2pDisabled = args.has('no-p2p');
+    const dhtEnabled = !p2pDisabled && !args.has('no-dht') && config.dht?.enabled !== false;
+    // Gossip finds its peers through the DHT routing table.
+    const gossipEnabled = dhtEnabled && !args.has('no-gossip') && config.pubsub?.enabled !== false;
+    const relayEnabled = !p2pDisabled && (args.has('relay') || config.relay?.enabled === true);
+    const rmiEnabled = !p2pDisabled && !args.has('no-rmi') && config.rmi?.enabled !== false;
     const noAdvertise = args.has('no-advertise') || node.address === null;
+    const nostrRelays = args.has('no-nostr') || config.discovery?.nostr === false ? [] : discoveryRelays(config);
     // Bind port (what we listen on, locally) and advertised port (what we
     // tell the control plane to dial). Same value 99% of the time, but
     // hosting platforms that NAT the container (RunPod, anything with
@@ -155,6 +239,13 @@ async function runDaemon(args, ctx) {
     // wants the bind value.
     const p2pPort = bindPort;
     const advertisedAddress = noAdvertise ? null : (node.address ?? await detectLocalAddress());
+    // Where peers can dial us (DHT records, Nostr advertisements);
+    // without it we only look things up.
+    const dialAddress = advertisedAddress ? { host: advertisedAddress, port: advertisedPort } : null;
+
+    let detectedGpus = [];
+    try { detectedGpus = await detectGpus(); } catch { /* CPU-only or no tooling */ }
+    const concurrency = resolveConcurrency(config, { flag: args.get('concurrency'), gpus: detectedGpus });
 
     const startedAt = new Date();
     const stats = {
@@ -165,6 +256,7 @@ async function runDaemon(args, ctx) {
         jobsPicked: 0,
         jobsCompleted: 0,
         jobsFailed: 0,
+        jobsCancelled: 0,
         lastJobAt: null,
         lastPollAt: null,
         pollsOk: 0,
@@ -186,6 +278,7 @@ async function runDaemon(args, ctx) {
     process.stdout.write(`  config:    ${configPath}\n`);
     process.stdout.write(`  heartbeat: ${heartbeatMs}ms\n`);
     process.stdout.write(`  poll:      ${pollMs}ms\n`);
+    process.stdout.write(`  jobs:      up to ${concurrency.value} in parallel (${concurrency.source})\n`);
     if (!p2pDisabled) {
         process.stdout.write(`  p2p:       ${formatEndpoint(advertisedAddress ?? '-', advertisedPort)}${bindPort !== advertisedPort ? ` (binds locally :${bindPort})` : ''}\n`);
     } else {
@@ -196,11 +289,36 @@ async function runDaemon(args, ctx) {
     let heartbeatTimer = null;
     let pollTimer = null;
     let shuttingDown = false;
+    let polling = false;
+    // job id → promise settling when processJob() is done with it.
+    const inFlight = new Map();
+    // job id → AbortController whose abort() cancels the job's generation.
+    const jobAborts = new Map();
     let ipcServer = null;
     let p2pServer = null;
     let healthServer = null;
-    let p2pConnections = 0;
-    let p2pLastConnectionAt = null;
+    let p2p = null;
+    let dht = null;
+    let dhtTransport = null;
+    let dhtTimer = null;
+    const dhtStats = { lastBootstrapAt: null, lastPublishAt: null, recordsStored: 0 };
+    let gossip = null;
+    // What the gossip topics told us: provider pubkey → latest
+    // { status, models, multiaddr, at }.
+    const networkProviders = new Map();
+    let announcedModels = null;
+    // Mutable: revocations heard over gossip are appended while running.
+    const p2pBlocklist = Array.isArray(config.node?.p2pBlocklist) ? [...config.node.p2pBlocklist] : [];
+    // Serving circuits for others / our own reservation when unreachable.
+    let relayService = null;
+    let relayUdp = null;
+    let relayClient = null;
+    let rmi = null;
+    let nostr = null;
+    let nostrTimer = null;
+    const nostrStats = { lastPublishAt: null, relaysAccepted: 0 };
+    // Direct-job ids already accepted → when to forget them (replay defense).
+    const directJobsSeen = new Map();
 
     // Specs cache — re-detection (nvidia-smi, /sys/class/infiniband, Ollama
     // /api/tags) is cheap but not free. Refresh every SPECS_TTL_MS so the
@@ -308,6 +426,7 @@ async function runDaemon(args, ctx) {
         }
         return {
             active_jobs: stats.activeJobIds.size,
+            concurrency_cap: concurrency.value,
             load_avg_1m: Array.isArray(host.load_avg) ? +host.load_avg[0]?.toFixed(2) : null,
             ram: {
                 total_gb: +totalRamGb.toFixed(2),
@@ -345,11 +464,23 @@ async function runDaemon(args, ctx) {
         const bench = benchSummary();
         const load = await liveLoad();
         const reachable = await probeReachable();
+        if (reachable?.ok === false) ensureRelayReservation();
+        else if (reachable?.ok === true && relayClient) {
+            // A port-forward showed up; dial us directly from now on.
+            relayClient.stop();
+            relayClient = null;
+        }
+        const sampling = await engineSampling();
         return {
             ...base,
             ...(bench ? { bench } : {}),
+            ...(sampling ? { sampling } : {}),
+            // Batch chunks (IPIP-0013) only go to daemons that list `batch`.
+            job_types: ['chat', 'embeddings', 'batch'],
             load,
-            ...(reachable ? { reachable } : {})
+            ...(reachable ? { reachable } : {}),
+            ...(relayClient?.state.multiaddr ? { relay: { circuit: relayClient.state.multiaddr } } : {}),
+            ...(relayService && reachable?.ok ? { circuit_relay: { enabled: true } } : {})
         };
     }
 
@@ -380,7 +511,12 @@ async function runDaemon(args, ctx) {
         }
     }
 
-    async function processJob(job) {
+    /**
+     * @param {AbortSignal} signal
+     * @param {(event: object) => void} [relay]  set for direct jobs —
+     *   the consumer's socket (see submitDirectJob())
+     */
+    async function processJob(job, signal, relay) {
         const t0 = new Date().toISOString();
         stats.jobsPicked += 1;
         stats.activeJobIds.add(job.id);
@@ -390,12 +526,46 @@ async function runDaemon(args, ctx) {
         try {
             let resultPayload;
             if (job.type === 'chat') {
-                const result = await executeChatJob({ client, job, node });
-                recordBench(result);
+                const result = await executeChatJob({ client, job, node, signal, relay, digests: cachedSpecs?.model_digests });
+                // A cut-short generation would drag the tokens/s average down.
+                if (!result.cancelled) recordBench(result);
+                // Direct jobs: the output went to the consumer only; the
+                // control plane gets its hash for the CPR receipt.
                 resultPayload = {
                     type: 'chat',
-                    text: result.text,
+                    text: relay ? '' : result.text,
                     token_count: result.token_count,
+                    ...(result.usage ? { usage: result.usage } : {}),
+                    ...(result.tool_calls && !relay ? { tool_calls: result.tool_calls } : {}),
+                    ...(result.output_sha256 ? { output_sha256: result.output_sha256, transport: 'direct' } : {}),
+                    ...(result.cancelled ? { cancelled: true } : {}),
+                    duration_ms: result.duration_ms,
+                    completed_by: node.nodeId
+                };
+            } else if (job.type === 'embeddings') {
+                // The vectors ride on the job row, not the `done` event.
+                const result = await executeEmbeddingsJob({ client, job, node, digests: cachedSpecs?.model_digests });
+                resultPayload = {
+                    type: 'embeddings',
+                    model: result.model,
+                    embeddings: result.embeddings,
+                    count: result.count,
+                    dimensions: result.dimensions,
+                    ...(result.usage ? { usage: result.usage } : {}),
+                    duration_ms: result.duration_ms,
+                    completed_by: node.nodeId
+                };
+            } else if (job.type === 'batch') {
+                // One chunk of a batch job; the per-item results went
+                // out on the `done` event.
+                const result = await executeBatchJob({ client, job, node, signal, digests: cachedSpecs?.model_digests });
+                resultPayload = {
+                    type: 'batch',
+                    kind: result.kind,
+                    count: result.count,
+                    failed: result.failed,
+                    usage: result.usage,
+                    ...(result.cancelled ? { cancelled: true } : {}),
                     duration_ms: result.duration_ms,
                     completed_by: node.nodeId
                 };
@@ -403,16 +573,21 @@ async function runDaemon(args, ctx) {
                 await new Promise((resolve) => setTimeout(resolve, 500));
                 resultPayload = { stub: true, completed_by: node.nodeId };
             }
-            await client.completeJob(job.id, { status: 'completed', result: resultPayload });
-            stats.jobsCompleted += 1;
+            // The control plane closes a job the client cancelled as
+            // `cancelled` whatever we report; say so when we know.
+            const cancelled = signal.aborted || resultPayload.cancelled === true;
+            await client.completeJob(job.id, { status: cancelled ? 'cancelled' : 'completed', result: resultPayload });
+            if (cancelled) stats.jobsCancelled += 1;
+            else stats.jobsCompleted += 1;
             stats.activeJobIds.delete(job.id);
-            process.stdout.write(`[${new Date().toISOString()}] completed job ${job.id} type=${job.type ?? 'inference'}\n`);
+            process.stdout.write(`[${new Date().toISOString()}] ${cancelled ? 'cancelled' : 'completed'} job ${job.id} type=${job.type ?? 'inference'}\n`);
         } catch (err) {
             stats.jobsFailed += 1;
             stats.activeJobIds.delete(job.id);
             const msg = err?.message ?? String(err);
             process.stderr.write(`job ${job.id} failed: ${msg}\n`);
-            if (job.type === 'chat') {
+            relay?.({ type: 'error', message: msg });
+            if (job.type === 'chat' || job.type === 'embeddings' || job.type === 'batch') {
                 await failChatJob({ client, jobId: job.id, message: msg });
             }
             try {
@@ -423,20 +598,137 @@ async function runDaemon(args, ctx) {
         }
     }
 
+    /**
+     * Ask for at most as many jobs as there are free slots and start
+     * each one without waiting for it. Jobs stay `assigned` on the
+     * control plane while they run, so a later poll can hand back one
+     * that's already in flight — skip those. Polls never overlap.
+     * Cancellations ride on the same response and are handled even when
+     * every slot is busy.
+     */
     async function pollJobs() {
         stats.lastPollAt = new Date().toISOString();
         if (node.role !== 'provider') {
             stats.pollsOk += 1;
             return;
         }
+        const slots = freeSlots(concurrency.value, stats.activeJobIds.size);
+        if (shuttingDown || polling) return;
+        polling = true;
         try {
-            const result = await client.pollJobs({ limit: 5 });
+            // limit 0 isn't accepted; with no free slot we still poll
+            // for cancellations and just don't start anything.
+            const result = await client.pollJobs({ limit: Math.max(slots, 1) });
             stats.pollsOk += 1;
-            for (const job of result?.jobs ?? []) await processJob(job);
+            for (const jobId of result?.cancel ?? []) await cancelJob(jobId);
+            for (const job of result?.jobs ?? []) {
+                if (shuttingDown) break;
+                if (inFlight.has(job.id)) continue;
+                if (freeSlots(concurrency.value, stats.activeJobIds.size) === 0) break;
+                runJob(job);
+            }
         } catch (err) {
             stats.pollsFailed += 1;
             process.stderr.write(`job poll error: ${err?.message ?? err}\n`);
+        } finally {
+            polling = false;
+        }
+    }
+
+    function runJob(job, { relay } = {}) {
+        const abort = new AbortController();
+        jobAborts.set(job.id, abort);
+        const done = processJob(job, abort.signal, relay)
+            .catch((err) => process.stderr.write(`job ${job.id} threw: ${err?.message ?? err}\n`))
+            .finally(() => {
+                inFlight.delete(job.id);
+                jobAborts.delete(job.id);
+            });
+        inFlight.set(job.id, done);
+        return done;
+    }
+
+    /**
+     * `compute.submit` from a handshaken peer: check the ticket, then run
+     * the job with its events streamed back as JobStatus frames. One
+     * direct job per connection; `compute.cancel` or hanging up cancels it.
+     */
+    async function submitDirectJob(msg, peer, send) {
+        if (node.role !== 'provider' || !peer.protocols.includes(COMPUTE_PROTOCOL)) {
+            send({ ok: false, error: 'protocol-not-negotiated', cause: COMPUTE_PROTOCOL });
+            return;
+        }
+        if (peer.jobId) {
+            send({ ok: false, error: 'busy', cause: 'one direct job per connection' });
+            return;
+        }
+        let job;
+        try {
+            const platformKey = await loadPlatformKey(config.controlPlane?.url);
+            job = acceptDirectJob(msg, {
+                platformKey,
+                peerId: peer.peerId,
+                providerPubkey: node.publicKey,
+                seen: directJobsSeen
+            });
+        } catch (err) {
+            send({ ok: false, error: 'ticket-rejected', cause: err?.message ?? String(err) });
+            return;
         }
+        // Checked after the ticket so a replay can't probe our load.
+        if (shuttingDown || peer.closed || freeSlots(concurrency.value, stats.activeJobIds.size) === 0) {
+            directJobsSeen.delete(job.id);
+            send({ ok: false, error: 'no-capacity' });
+            return;
+        }
+        peer.jobId = job.id;
+        let finished = false;
+        const relay = (event) => {
+            if (finished) return;
+            const state = event.type === 'done' ? (event.reason === 'cancel' ? 'canceled' : 'complete')
+                : event.type === 'error' ? 'failed' : 'running';
+            finished = state !== 'running';
+            send({ ok: true, data: { job_id: job.id, state, event } });
+        };
+        await runJob(job, { relay });
+        peer.jobId = null;
+    }
+
+    /**
+     * A client cancelled `jobId`. Running here → cancel the generation;
+     * processJob() completes it. Not running (cancelled before we got to
+     * it, or left over from a previous daemon run) → close it out now so
+     * it doesn't sit in `cancelling`.
+     */
+    async function cancelJob(jobId) {
+        const abort = jobAborts.get(jobId);
+        if (abort) {
+            if (!abort.signal.aborted) {
+                process.stdout.write(`[${new Date().toISOString()}] cancelling job ${jobId}\n`);
+                abort.abort();
+            }
+            return;
+        }
+        try {
+            await client.completeJob(jobId, { status: 'cancelled' });
+            stats.jobsCancelled += 1;
+        } catch (err) {
+            process.stderr.write(`closing cancelled job ${jobId} failed: ${err?.message ?? err}\n`);
+        }
+    }
+
+    /**
+     * Wait for in-flight jobs, up to `timeoutMs` or until `abort`
+     * resolves. Returns the jobs that were still running when we gave up.
+     */
+    async function drainJobs(timeoutMs, abort) {
+        if (inFlight.size === 0) return [];
+        process.stdout.write(`draining ${inFlight.size} in-flight job(s) (up to ${Math.round(timeoutMs / 1000)}s)...\n`);
+        let timer;
+        const timeout = new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs); });
+        await Promise.race([Promise.allSettled([...inFlight.values()]), timeout, abort]);
+        clearTimeout(timer);
+        return [...inFlight.keys()];
     }
 
     /**
@@ -530,6 +822,8 @@ async function runDaemon(args, ctx) {
                 jobsPicked: stats.jobsPicked,
                 jobsCompleted: stats.jobsCompleted,
                 jobsFailed: stats.jobsFailed,
+                jobsCancelled: stats.jobsCancelled,
+                concurrency: concurrency.value,
                 activeJobs: stats.activeJobIds.size,
                 activeJobIds: Array.from(stats.activeJobIds),
                 lastJobAt: stats.lastJobAt,
@@ -542,8 +836,47 @@ async function runDaemon(args, ctx) {
                 port: p2pPort,
                 address: advertisedAddress,
                 endpoint: formatEndpoint(advertisedAddress ?? '-', p2pPort),
-                connectionsTotal: p2pConnections,
-                lastConnectionAt: p2pLastConnectionAt
+                connectionsTotal: p2p?.stats.connectionsTotal ?? 0,
+                lastConnectionAt: p2p?.stats.lastConnectionAt ?? null,
+                peersConnected: p2p?.peers.size ?? 0,
+                handshakesRejected: p2p?.stats.handshakesRejected ?? 0
+            },
+            dht: !dht ? { enabled: false } : {
+                enabled: true,
+                contacts: dht.table.size,
+                recordsHeld: dht.store.size,
+                recordsStored: dhtStats.recordsStored,
+                lastBootstrapAt: dhtStats.lastBootstrapAt,
+                lastPublishAt: dhtStats.lastPublishAt
+            },
+            gossip: !gossip ? { enabled: false } : {
+                enabled: true,
+                peers: gossip.peers.size,
+                mesh: Object.fromEntries(Array.from(gossip.meshes, ([topic, mesh]) => [topic, mesh.size])),
+                delivered: gossip.stats.delivered,
+                rejected: gossip.stats.rejected,
+                revoked: gossip.revoked.size,
+                providersOnline: Array.from(networkProviders.values()).filter((p) => p.status === 'online').length
+            },
+            relay: {
+                serving: !relayService ? null : {
+                    reservations: relayService.reservations.size,
+                    circuits: relayService.circuits.size,
+                    ...relayService.stats
+                },
+                circuit: relayClient?.state.multiaddr ?? null
+            },
+            rmi: !rmi ? { enabled: false } : {
+                enabled: true,
+                objects: rmi.objects.size,
+                leases: Array.from(rmi.leases.values()).reduce((n, holders) => n + holders.size, 0),
+                ...rmi.stats
+            },
+            nostr: !nostr ? { enabled: false } : {
+                enabled: true,
+                relays: nostrRelays.length,
+                relaysAccepted: nostrStats.relaysAccepted,
+                lastPublishAt: nostrStats.lastPublishAt
             }
         };
     }
@@ -594,65 +927,243 @@ async function runDaemon(args, ctx) {
         }
     }
 
-    function startP2pServer() {
-        return new Promise((resolve, reject) => {
-            const server = net.createServer((sock) => {
-                p2pConnections += 1;
-                p2pLastConnectionAt = new Date().toISOString();
-                sock.setEncoding('utf8');
-                let buf = '';
-                sock.on('data', async (chunk) => {
-                    buf += chunk;
-                    for (;;) {
-                        const nl = buf.indexOf('\n');
-                        if (nl < 0) break;
-                        const line = buf.slice(0, nl);
-                        buf = buf.slice(nl + 1);
-                        let msg;
-                        try { msg = JSON.parse(line); }
-                        catch (err) {
-                            try { sock.write(JSON.stringify({ ok: false, error: 'bad-json', cause: err?.message ?? String(err) }) + '\n'); } catch { /* ignore */ }
-                            continue;
-                        }
-                        let reply;
-                        switch (msg?.cmd) {
-                            case 'ping':
-                                reply = { ok: true, data: { pong: Date.now(), node_id: node.nodeId } };
-                                break;
-                            case 'info':
-                                reply = { ok: true, data: {
-                                    node_id: node.nodeId,
-                                    role: node.role,
-                                    name: node.name ?? null,
-                                    port: p2pPort
-                                } };
-                                break;
-                            default:
-                                reply = { ok: false, error: `unknown-cmd: ${msg?.cmd ?? '(none)'}` };
-                        }
-                        try { sock.write(JSON.stringify(reply) + '\n'); } catch {}
-                    }
-                });
-                sock.on('error', () => {});
-            });
-            server.once('error', reject);
-            server.listen({ port: p2pPort, host: '::', ipv6Only: false }, () => {
-                resolve(server);
-            });
+    /**
+     * P2P listener (lib/p2p-server.js) — handshake first, then the
+     * peer.v1 commands (`ping`, `info`), the DHT (`dht.*`), gossip
+     * (`pubsub.*`), relaying (`relay.*`) and remote objects (`rmi.*`)
+     * when they're on, and for providers compute.v1 (`compute.submit`, `compute.cancel`).
+     */
+    async function startP2pServer() {
+        p2p = createP2pServer({
+            identity: { publicKey: node.publicKey, privateKey: node.privateKey },
+            protocols: [
+                ...(node.role === 'provider' ? PROVIDER_PROTOCOLS : SUPPORTED_PROTOCOLS),
+                ...(dht ? [DHT_PROTOCOL] : []),
+                ...(gossip ? [PUBSUB_PROTOCOL] : []),
+                ...(relayService ? [RELAY_PROTOCOL] : []),
+                ...(rmi ? [RMI_PROTOCOL] : [])
+            ],
+            blocklist: p2pBlocklist,
+            onCommand(msg, peer, send) {
+                if (typeof msg?.cmd === 'string' && msg.cmd.startsWith('dht.') && dht) {
+                    return dht.handle(msg, peer);
+                }
+                if (typeof msg?.cmd === 'string' && msg.cmd.startsWith('pubsub.') && gossip) {
+                    return gossip.handle(msg, peer);
+                }
+                if (typeof msg?.cmd === 'string' && msg.cmd.startsWith('relay.') && relayService) {
+                    return relayService.handle(msg, peer, send);
+                }
+                if (typeof msg?.cmd === 'string' && msg.cmd.startsWith('rmi.') && rmi) {
+                    return rmi.handle(msg, peer);
+                }
+                switch (msg?.cmd) {
+                    case 'ping':
+                        return { ok: true, data: { pong: Date.now(), node_id: node.nodeId } };
+                    case 'info':
+                        return { ok: true, data: {
+                            node_id: node.nodeId,
+                            peer_id: node.publicKey,
+                            role: node.role,
+                            name: node.name ?? null,
+                            port: p2pPort
+                        } };
+                    case 'compute.submit':
+                        submitDirectJob(msg, peer, send).catch((err) => {
+                            process.stderr.write(`direct job error: ${err?.message ?? err}\n`);
+                        });
+                        return undefined;
+                    case 'compute.cancel':
+                        if (peer.jobId) jobAborts.get(peer.jobId)?.abort();
+                        return undefined;
+                    default:
+                        return { ok: false, error: `unknown-cmd: ${msg?.cmd ?? '(none)'}` };
+                }
+            },
+            // The consumer is gone — nobody to stream to.
+            onClose(peer) {
+                if (peer.jobId) jobAborts.get(peer.jobId)?.abort();
+                relayService?.dropPeer(peer);
+            }
+        });
+        await p2p.listen(p2pPort);
+        return p2p.server;
+    }
+
+    /**
+     * Join the DHT (lib/dht.js): seed the routing table from
+     * config.dht.bootstrap and the control plane's /api/peers (cached in
+     * peers.json, so a restart during a control-plane outage still
+     * finds the network), then — providers with an advertised address —
+     * publish a capability record per served model. Repeats every
+     * DHT_REPUBLISH_SECONDS; records expire on their own if we stop.
+     */
+    async function refreshDht() {
+        const seeds = [];
+        for (const ma of Array.isArray(config.dht?.bootstrap) ? config.dht.bootstrap : []) {
+            const c = parseMultiaddr(ma);
+            if (c?.peerId) seeds.push(c);
+        }
+        if (dht.table.size === 0 || dhtStats.lastBootstrapAt === null) {
+            const seedNodes = config.controlPlane?.url ? [config.controlPlane.url] : [];
+            const { peers } = await bootstrapPeers({ seedNodes });
+            for (const p of peers) {
+                const c = parseMultiaddr(p.multiaddr);
+                if (c && p.pubkey) seeds.push({ ...c, peerId: p.pubkey.toLowerCase() });
+            }
+        }
+        await dht.bootstrap(seeds);
+        dhtStats.lastBootstrapAt = new Date().toISOString();
+
+        const models = cachedSpecs?.served_models ?? [];
+        if (node.role !== 'provider' || !dialAddress || models.length === 0) return;
+        dhtStats.recordsStored = await dht.publishModels(models, {
+            role: node.role,
+            multiaddr: formatMultiaddr(dialAddress),
+            protocols: [COMPUTE_PROTOCOL]
+        });
+        dhtStats.lastPublishAt = new Date().toISOString();
+    }
+
+    /**
+     * Our P2P port is closed to the Internet: keep a reservation on a
+     * relay so consumers can still dial us through it (lib/relay.js).
+     * Circuits it brings in are served like any inbound connection.
+     */
+    function ensureRelayReservation() {
+        if (relayClient || !p2p || once) return;
+        relayClient = createRelayClient({
+            identity: { publicKey: node.publicKey, privateKey: node.privateKey },
+            relays: relayCandidates,
+            onCircuit: (socket, head) => p2p.adopt(socket, head),
+            onChange: (state) => {
+                process.stdout.write(state.multiaddr ? `relay: reachable via ${state.multiaddr}\n` : 'relay: reservation lost\n');
+            },
+            onError: (err) => process.stderr.write(`relay: ${err?.message ?? err}\n`)
+        });
+        relayClient.start();
+    }
+
+    // config.relay.relays first, then whatever relays the control plane lists.
+    async function relayCandidates() {
+        const candidates = [];
+        for (const ma of Array.isArray(config.relay?.relays) ? config.relay.relays : []) {
+            const c = parseMultiaddr(ma);
+            if (c?.peerId) candidates.push(c);
+        }
+        if (config.controlPlane?.url) {
+            try {
+                for (const p of await fetchPeers(config.controlPlane.url, { relay: true })) {
+                    const c = parseMultiaddr(p.multiaddr);
+                    if (c && p.pubkey) candidates.push({ ...c, peerId: p.pubkey.toLowerCase() });
+                }
+            } catch (err) {
+                process.stderr.write(`relay: couldn't list relays: ${err?.message ?? err}\n`);
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Gossip (lib/gossip.js) peers with our closest DHT contacts. A
+     * provider re-announces itself online each round, so nodes that
+     * joined since hear about it, and announces its models whenever the
+     * served set changes.
+     */
+    async function refreshGossip() {
+        for (const c of dht.table.closest(dht.table.selfId, 20)) {
+            await gossip.addPeer(c);
+        }
+        gossip.start();
+
+        const models = cachedSpecs?.served_models ?? [];
+        if (node.role !== 'provider' || !dialAddress || models.length === 0) return;
+        const multiaddr = formatMultiaddr(dialAddress);
+        await gossip.publish(TOPICS.availability, { status: 'online', models, multiaddr });
+        const key = [...models].sort().join(',');
+        if (key !== announcedModels) {
+            await gossip.publish(TOPICS.models, { models, multiaddr });
+            announcedModels = key;
+        }
+    }
+
+    function trackProvider(envelope, fields) {
+        const prev = networkProviders.get(envelope.sender_peer_id);
+        networkProviders.set(envelope.sender_peer_id, {
+            status: fields.status ?? prev?.status ?? 'online',
+            models: fields.models ?? prev?.models ?? [],
+            multiaddr: fields.multiaddr ?? prev?.multiaddr ?? null,
+            at: envelope.timestamp_unix
+        });
+    }
+
+    /**
+     * Publish our NIP-78 capability event (lib/nostr-discovery.js) so
+     * consumers watching the relays see what we serve and where to dial
+     * us. Replaceable — each run supersedes the last on every relay.
+     */
+    async function advertiseCapability() {
+        const models = cachedSpecs?.served_models ?? [];
+        if (models.length === 0) return;
+        const price = Number.parseFloat(node.price);
+        const { accepted } = await nostr.publish({
+            models,
+            multiaddr: formatMultiaddr(dialAddress),
+            gpus: cachedSpecs.gpus ?? [],
+            price: Number.isFinite(price) ? price : null
         });
+        nostrStats.relaysAccepted = accepted;
+        nostrStats.lastPublishAt = new Date().toISOString();
     }
 
+    // Resolved by a second signal during the drain → stop waiting.
+    let skipDrain = () => {};
+    const drainAborted = new Promise((resolve) => { skipDrain = resolve; });
+
     const shutdown = async (signal) => {
-        if (shuttingDown) return;
+        if (shuttingDown) {
+            if (inFlight.size > 0) {
+                process.stdout.write(`\nReceived ${signal} again; not waiting for in-flight jobs.\n`);
+                skipDrain();
+            }
+            return;
+        }
         shuttingDown = true;
         process.stdout.write(`\nReceived ${signal}; shutting down...\n`);
         if (heartbeatTimer) clearInterval(heartbeatTimer);
         if (pollTimer) clearInterval(pollTimer);
+        // Go offline first so the control plane stops routing to us
+        // while the drain runs.
         try {
             await client.heartbeat({ status: 'offline' });
         } catch (err) {
             process.stderr.write(`offline heartbeat failed: ${err?.message ?? err}\n`);
         }
+        if (nostrTimer) clearInterval(nostrTimer);
+        if (nostr) {
+            try { await nostr.withdraw(formatMultiaddr(dialAddress)); } catch { /* relays drop it on expiry */ }
+        }
+        if (gossip && node.role === 'provider' && inFlight.size > 0) {
+            try { await gossip.publish(TOPICS.availability, { status: 'draining' }); } catch { /* best effort */ }
+        }
+        const abandoned = await drainJobs(drainTimeoutMs, drainAborted);
+        if (gossip && node.role === 'provider') {
+            try { await gossip.publish(TOPICS.availability, { status: 'offline' }); } catch { /* best effort */ }
+        }
+        gossip?.stop();
+        rmi?.stop();
+        relayClient?.stop();
+        relayService?.close();
+        if (relayUdp) { try { relayUdp.close(); } catch {} }
+        for (const jobId of abandoned) {
+            const msg = 'provider daemon shut down before the job finished';
+            process.stderr.write(`job ${jobId} abandoned: ${msg}\n`);
+            await failChatJob({ client, jobId, message: msg });
+            try { await client.failJob(jobId, msg); } catch { /* best effort */ }
+        }
+        if (dhtTimer) clearInterval(dhtTimer);
+        dhtTransport?.close();
+        nostr?.close();
         if (ipcServer) { try { ipcServer.close(); } catch {} }
         if (p2pServer) { try { p2pServer.close(); } catch {} }
         if (healthServer) { try { healthServer.close(); } catch {} }
@@ -695,6 +1206,7 @@ async function runDaemon(args, ctx) {
                     last_heartbeat_error: snap.stats?.lastHeartbeatError ?? null,
                     jobs_completed: snap.stats?.jobsCompleted ?? 0,
                     jobs_failed: snap.stats?.jobsFailed ?? 0,
+                    jobs_cancelled: snap.stats?.jobsCancelled ?? 0,
                     active_jobs: stats.activeJobIds.size
                 });
                 res.writeHead(200, { 'content-type': 'application/json', 'cache-control': 'no-store' });
@@ -719,6 +1231,60 @@ async function runDaemon(args, ctx) {
         healthServer = null;
     }
 
+    if (dhtEnabled && !once) {
+        const identity = { publicKey: node.publicKey, privateKey: node.privateKey };
+        dhtTransport = createTcpTransport({
+            identity,
+            protocols: gossipEnabled ? [DHT_PROTOCOL, PUBSUB_PROTOCOL] : [DHT_PROTOCOL]
+        });
+        dht = createDhtNode({ identity, address: dialAddress, transport: dhtTransport });
+    }
+    if (gossipEnabled && dht) {
+        gossip = createGossipNode({
+            identity: { publicKey: node.publicKey, privateKey: node.privateKey },
+            address: dialAddress,
+            transport: dhtTransport,
+            authorities: Array.isArray(config.pubsub?.revocationAuthorities) ? config.pubsub.revocationAuthorities : []
+        });
+        gossip.subscribe(TOPICS.availability, (payload, envelope) => trackProvider(envelope, payload));
+        gossip.subscribe(TOPICS.models, (payload, envelope) => trackProvider(envelope, { models: payload.models, multiaddr: payload.multiaddr }));
+        gossip.subscribe(TOPICS.revocations, (payload) => {
+            const peerId = payload.peer_id.toLowerCase();
+            networkProviders.delete(peerId);
+            if (p2pBlocklist.includes(peerId)) return;
+            p2pBlocklist.push(peerId);
+            process.stdout.write(`gossip: peer ${peerId} revoked${payload.reason ? ` (${payload.reason})` : ''}\n`);
+        });
+    }
+    if (rmiEnabled && !once) {
+        rmi = createRmiRuntime({
+            identity: { publicKey: node.publicKey, privateKey: node.privateKey },
+            dht,
+            multiaddrs: () => (dialAddress ? [formatMultiaddr(dialAddress)] : [])
+        });
+        exportDaemonObjects(rmi, { servedModels: () => cachedSpecs?.served_models ?? [] });
+        rmi.start();
+    }
+    if (relayEnabled && !once) {
+        // Hole-punch observations share the P2P port number, over UDP.
+        relayUdp = dgram.createSocket({ type: 'udp6', ipv6Only: false });
+        try {
+            await new Promise((resolve, reject) => {
+                relayUdp.once('error', reject);
+                relayUdp.bind(bindPort, () => { relayUdp.removeListener('error', reject); resolve(); });
+            });
+            relayUdp.on('error', () => {});
+        } catch (err) {
+            process.stderr.write(`relay: UDP :${bindPort} unavailable, no hole punching (${err?.message ?? err})\n`);
+            try { relayUdp.close(); } catch {}
+            relayUdp = null;
+        }
+        relayService = createRelayService({
+            limits: config.relay?.limits ?? {},
+            udpPort: relayUdp ? advertisedPort : null
+        });
+        if (relayUdp) relayService.bindUdp(relayUdp);
+    }
     if (!p2pDisabled) {
         try {
             p2pServer = await startP2pServer();
@@ -738,7 +1304,31 @@ async function runDaemon(args, ctx) {
     await pollJobs();
     await pollNodeCommands();
 
+    if (p2pServer && dht && !once) {
+        const runDhtRefresh = () => refreshDht()
+            .then(() => (gossip ? refreshGossip() : null))
+            .catch((err) => {
+                process.stderr.write(`dht refresh failed: ${err?.message ?? err}\n`);
+            });
+        runDhtRefresh();
+        dhtTimer = setInterval(runDhtRefresh, DHT_REPUBLISH_SECONDS * 1000);
+    }
+
+    // Only worth advertising when consumers can dial what we publish.
+    if (p2pServer && !once && node.role === 'provider' && dialAddress && nostrRelays.length > 0) {
+        nostr = createCapabilityPublisher({
+            identity: { publicKey: node.publicKey, privateKey: node.privateKey },
+            relays: nostrRelays
+        });
+        const runAdvertise = () => advertiseCapability().catch((err) => {
+            process.stderr.write(`nostr advertise failed: ${err?.message ?? err}\n`);
+        });
+        runAdvertise();
+        nostrTimer = setInterval(runAdvertise, CAPABILITY_REPUBLISH_SECONDS * 1000);
+    }
+
     if (once) {
+        await Promise.allSettled([...inFlight.values()]);
         if (ipcServer) { try { ipcServer.close(); } catch {} }
         if (p2pServer) { try { p2pServer.close(); } catch {} }
         if (healthServer) { try { healthServer.close(); } catch {} }
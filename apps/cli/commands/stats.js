@@ -62,6 +62,9 @@ export default async function stats(args) {
 
     if (d.p2p?.enabled) {
         process.stdout.write(`P2P:           ${d.p2p.endpoint} (connections: ${d.p2p.connectionsTotal}`);
+        if (Number.isFinite(d.p2p.peersConnected)) {
+            process.stdout.write(`, peers: ${d.p2p.peersConnected}, rejected: ${d.p2p.handshakesRejected ?? 0}`);
+        }
         if (d.p2p.lastConnectionAt) {
             process.stdout.write(`, last: ${d.p2p.lastConnectionAt}`);
         }
@@ -69,12 +72,32 @@ export default async function stats(args) {
     } else {
         process.stdout.write('P2P:           disabled\n');
     }
+    if (d.dht?.enabled) {
+        process.stdout.write(`DHT:           contacts=${d.dht.contacts} held=${d.dht.recordsHeld} published=${d.dht.lastPublishAt ?? '-'}\n`);
+    }
+    if (d.gossip?.enabled) {
+        const mesh = Object.entries(d.gossip.mesh ?? {}).map(([t, n]) => `${t}=${n}`).join(' ') || '-';
+        process.stdout.write(`Gossip:        peers=${d.gossip.peers} providers=${d.gossip.providersOnline} delivered=${d.gossip.delivered} mesh ${mesh}\n`);
+    }
+    if (d.relay?.serving) {
+        const r = d.relay.serving;
+        process.stdout.write(`Relay:         reservations=${r.reservations} circuits=${r.circuits} opened=${r.circuitsOpened} capped=${r.circuitsCapped} bytes=${r.bytesRelayed}\n`);
+    }
+    if (d.relay?.circuit) {
+        process.stdout.write(`Relayed via:   ${d.relay.circuit}\n`);
+    }
+    if (d.rmi?.enabled) {
+        process.stdout.write(`RMI:           objects=${d.rmi.objects} leases=${d.rmi.leases} calls=${d.rmi.calls} errors=${d.rmi.errors} collected=${d.rmi.collected}\n`);
+    }
+    if (d.nostr?.enabled) {
+        process.stdout.write(`Nostr:         relays=${d.nostr.relaysAccepted}/${d.nostr.relays} published=${d.nostr.lastPublishAt ?? '-'}\n`);
+    }
 
     const s = d.stats ?? {};
     process.stdout.write(`\nHeartbeats:    ok=${s.heartbeatsOk} failed=${s.heartbeatsFailed} last=${s.lastHeartbeatAt ?? '-'}\n`);
     if (s.lastHeartbeatError) process.stdout.write(`  last error:  ${s.lastHeartbeatError}\n`);
     process.stdout.write(`Polls:         ok=${s.pollsOk} failed=${s.pollsFailed} last=${s.lastPollAt ?? '-'}\n`);
-    process.stdout.write(`Jobs:          picked=${s.jobsPicked} completed=${s.jobsCompleted} failed=${s.jobsFailed} active=${s.activeJobs}\n`);
+    process.stdout.write(`Jobs:          picked=${s.jobsPicked} completed=${s.jobsCompleted} failed=${s.jobsFailed} cancelled=${s.jobsCancelled ?? 0} active=${s.activeJobs}\n`);
     if (s.activeJobs > 0) {
         process.stdout.write(`  active ids:  ${s.activeJobIds.join(', ')}\n`);
     }
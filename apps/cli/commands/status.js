@@ -93,7 +93,7 @@ export default async function status(args, ctx) {
         }
         const s = daemon.stats ?? {};
         process.stdout.write(`  heartbeats: ok=${s.heartbeatsOk} failed=${s.heartbeatsFailed}\n`);
-        process.stdout.write(`  jobs:       completed=${s.jobsCompleted} active=${s.activeJobs}\n`);
+        process.stdout.write(`  jobs:       completed=${s.jobsCompleted} active=${s.activeJobs}${Number.isFinite(s.concurrency) ? `/${s.concurrency}` : ''}\n`);
     }
 
     if (node.role === 'provider') {
@@ -37,7 +37,7 @@ export default async function stop(args) {
     if (!explicitSignal && (await isDaemonAlive())) {
         const res = await sendToDaemon('shutdown', null, { timeoutMs: 5000 });
         if (res.ok) {
-            process.stdout.write('Daemon shutting down (IPC).\n');
+            process.stdout.write('Daemon shutting down (IPC); in-flight jobs finish first.\n');
             return 0;
         }
         process.stderr.write(
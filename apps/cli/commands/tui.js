@@ -4,7 +4,9 @@
  * React + blessed live monitor for the daemon. Polls the IPC socket
  * every 2s for the daemon's stats snapshot and the local Ollama for
  * loaded-model info, lays it out in four panels: System, Jobs,
- * Engine, Peers.
+ * Engine, Messages. The Messages panel shows stored DMs and joined-room
+ * posts and stays subscribed to the relays for new ones (IPIP-0002,
+ * lib/messages.js).
  *
  * Plain JS (no JSX build step) — uses React.createElement directly so
  * the CLI ships without a transpile.
@@ -22,6 +24,18 @@ import { render } from "react-blessed";
 
 import { isDaemonAlive, sendToDaemon } from "../lib/ipc.js";
 import { loadConfig, getConfigPath } from "../lib/config.js";
+import {
+    MAX_AGE_SECONDS,
+    formatMessage,
+    loadBlocked,
+    loadRooms,
+    messageFilters,
+    readMessage,
+    readStoredMessages,
+    storeEvents,
+    subscribeMessages
+} from "../lib/messages.js";
+import { discoveryRelays } from "../lib/nostr-discovery.js";
 
 const e = React.createElement;
 const HELP = `infernet tui — terminal dashboard
@@ -39,6 +53,8 @@ Keys (in TUI):
 `;
 
 const DEFAULT_OLLAMA_HOST = "http://localhost:11434";
+// Messages kept in the panel; older ones stay in the local store.
+const PANEL_MESSAGES = 50;
 
 function fmtUptime(ms) {
     if (typeof ms !== "number") return "?";
@@ -97,6 +113,51 @@ function KV({ k, v, top }) {
     );
 }
 
+/**
+ * Stored messages for the panel plus a live relay subscription that
+ * appends (and stores) new ones. Inert when the node has no keypair.
+ */
+function useMessages() {
+    const [state, setState] = useState({ enabled: false, rooms: [], relays: 0, list: [] });
+
+    useEffect(() => {
+        let sub = null;
+        let cancelled = false;
+        (async () => {
+            const cfg = await loadConfig();
+            const node = cfg?.node ?? {};
+            if (!node.publicKey || !node.privateKey) return;
+            const identity = { publicKey: node.publicKey.toLowerCase(), privateKey: node.privateKey };
+            const [rooms, blocked] = await Promise.all([loadRooms(), loadBlocked()]);
+            const since = Math.floor(Date.now() / 1000) - MAX_AGE_SECONDS;
+            const stored = await readStoredMessages(identity, { since, blocked, rooms });
+            const relays = discoveryRelays(cfg);
+            if (cancelled) return;
+            setState({ enabled: true, rooms, relays: relays.length, list: stored.slice(-PANEL_MESSAGES) });
+            const blockedSet = new Set(blocked);
+            sub = subscribeMessages({
+                relays,
+                filters: (s) => messageFilters(identity.publicKey, rooms, s),
+                since: stored.at(-1)?.created_at ?? since,
+                onEvent: (event) => {
+                    const m = readMessage(event, identity);
+                    if (!m || blockedSet.has(m.from)) return;
+                    storeEvents([event]).catch(() => {});
+                    setState((prev) => prev.list.some((x) => x.id === m.id)
+                        ? prev
+                        : { ...prev, list: [...prev.list, m].sort((a, b) => a.created_at - b.created_at).slice(-PANEL_MESSAGES) });
+                }
+            });
+        })().catch(() => {});
+        return () => {
+            cancelled = true;
+            sub?.close();
+        };
+    }, []);
+
+    return state;
+}
+
 function App({ refreshMs }) {
     const [config, setConfig] = useState(null);
     const [snap, setSnap] = useState(null);
@@ -104,6 +165,7 @@ function App({ refreshMs }) {
     const [ollama, setOllama] = useState({ reachable: false, models: [] });
     const [tick, setTick] = useState(0);
     const [error, setError] = useState(null);
+    const messages = useMessages();
 
     const refresh = useCallback(async () => {
         try {
@@ -212,18 +274,23 @@ function App({ refreshMs }) {
 
         e(
             Panel,
-            { label: "Peers (IPIP-0002, not yet implemented)", top: "45%", left: "50%", width: "50%", height: "50%-1", borderColor: "white" },
+            { label: "Messages", top: "45%", left: "50%", width: "50%", height: "50%-1", borderColor: "white" },
+            e(KV, {
+                top: 1,
+                k: "rooms: ",
+                v: messages.enabled ? (messages.rooms.map((r) => `#${r}`).join(" ") || "(none)") : "—"
+            }),
+            e(KV, { top: 2, k: "relays:", v: messages.enabled ? messages.relays : "—" }),
             e(
                 "box",
                 {
-                    top: 1, left: 1, width: "100%-2", height: "100%-2",
-                    content:
-                        "Operator-to-operator chat is specified in IPIP-0002.\n\n" +
-                        "Once implemented, this panel will show:\n" +
-                        "  • Default rooms: #general #support #news #offtopic\n" +
-                        "  • Unread DM count\n" +
-                        "  • Connected relays\n\n" +
-                        "Spec: ipips/ipip-0002.md"
+                    top: 4, left: 1, width: "100%-2", height: "100%-6",
+                    content: !messages.enabled
+                        ? "no node keypair — run `infernet init`"
+                        : (messages.list.length === 0
+                            ? "(no messages in the last 24h — try: infernet msg send general \"hi\")"
+                            : [...messages.list].reverse().map((m) => formatMessage(m)).join("\n")),
+                    tags: false
                 }
             )
         ),
@@ -42,6 +42,10 @@ import pubkey from './commands/pubkey.js';
 import debug from './commands/debug.js';
 import deploy from './commands/deploy.js';
 import consoleCmd from './commands/console.js';
+import keys from './commands/keys.js';
+import batch from './commands/batch.js';
+import peers from './commands/peers.js';
+import msg from './commands/msg.js';
 
 function parseArgs(argv) {
     const positional = [];
@@ -95,13 +99,13 @@ function parseArgs(argv) {
 const COMMANDS = {
     init, login, register, update, upgrade, remove,
     start, status, stop, stats, logs,
-    payout, payments, gpu, firewall, chat, setup, model, tui, doctor, service, pubkey, debug, deploy, console: consoleCmd, help
+    payout, payments, gpu, firewall, chat, setup, model, tui, doctor, service, pubkey, keys, batch, peers, msg, debug, deploy, console: consoleCmd, help
 };
 
 // Commands that can run without a loaded config.
 // `upgrade` and `remove` both work even without config: upgrade can run
 // the installer cold, and remove can wipe a half-installed box.
-const NO_CONFIG = new Set(['init', 'login', 'help', 'stats', 'logs', 'stop', 'gpu', 'firewall', 'chat', 'setup', 'model', 'tui', 'doctor', 'service', 'pubkey', 'debug', 'deploy', 'console', 'upgrade', 'remove']);
+const NO_CONFIG = new Set(['init', 'login', 'help', 'stats', 'logs', 'stop', 'gpu', 'firewall', 'chat', 'setup', 'model', 'tui', 'doctor', 'service', 'pubkey', 'keys', 'batch', 'peers', 'msg', 'debug', 'deploy', 'console', 'upgrade', 'remove']);
 // Commands that need a config but not a control-plane client (none today
 // — kept as a future escape hatch).
 const NO_CLIENT = new Set();
@@ -5,6 +5,21 @@
  * in-process stub, depending on env) and forwards them to the control
  * plane's `job_events` stream via signed POSTs. The daemon doesn't know
  * which engine backend is loaded — that's `createEngine()`'s problem.
+ * Embeddings jobs share the same engine and event path
+ * (`executeEmbeddingsJob`), and so do batch chunks (`executeBatchJob`).
+ *
+ * Cancellation: the control plane answers event posts with
+ * `{ cancel: true }` once the client has cancelled or disconnected, and
+ * the daemon aborts the `signal` it passes in when jobs/poll lists the
+ * job under `cancel`. Either way the generation is cancelled, the
+ * engine's `done` (reason "cancel") goes out with the partial text and
+ * usage, and the job is completed as cancelled so only the tokens
+ * actually generated are billed.
+ *
+ * Direct jobs (lib/direct-jobs.js): with a `relay`, events stream to the
+ * consumer's P2P socket instead, and the control plane only gets `meta`,
+ * `error` and a `done` summary — usage plus the sha256 of the output,
+ * never the text.
  *
  * Backend selection precedence (set by the operator at daemon start):
  *   1. INFERNET_ENGINE_BACKEND=mojo|stub
@@ -12,6 +27,7 @@
  *   3. otherwise → stub (canned tokens, daemon still works on a fresh box)
  */
 
+import { createHash } from "node:crypto";
 import { createEngine, MSG } from "@infernetprotocol/engine";
 import { loadConfig } from "./config.js";
 
@@ -22,9 +38,10 @@ const EVENT_BATCH_MAX = 16;
 const EVENT_BATCH_FLUSH_MS = 250;
 
 class EventBuffer {
-    constructor(client, jobId) {
+    constructor(client, jobId, { onCancel } = {}) {
         this.client = client;
         this.jobId = jobId;
+        this.onCancel = onCancel ?? null;
         this.events = [];
         this.lastFlush = Date.now();
     }
@@ -43,7 +60,42 @@ class EventBuffer {
         this.events = [];
         this.lastFlush = Date.now();
         try {
-            await this.client.postJobEvents(this.jobId, batch);
+            const res = await this.client.postJobEvents(this.jobId, batch);
+            if (res?.cancel === true && this.onCancel) this.onCancel();
+        } catch (err) {
+            process.stderr.write(`postJobEvents failed: ${err?.message ?? err}\n`);
+        }
+    }
+}
+
+/**
+ * EventBuffer's stand-in for direct jobs: every event goes to `send`
+ * (the consumer's socket) as it happens; the control plane hears about
+ * the start, a failure, and a text-free summary of the end.
+ */
+class DirectRelay {
+    constructor(client, jobId, send, { onCancel } = {}) {
+        this.client = client;
+        this.jobId = jobId;
+        this.send = send;
+        this.onCancel = onCancel ?? null;
+        this.outputSha256 = null;
+    }
+    async push(event_type, data) {
+        this.send({ type: event_type, ...data });
+        if (event_type === "meta" || event_type === "error") {
+            await this.post({ event_type, data });
+        } else if (event_type === "done") {
+            const { text, tool_calls: _toolCalls, ...summary } = data;
+            this.outputSha256 = createHash("sha256").update(text ?? "", "utf8").digest("hex");
+            await this.post({ event_type, data: { ...summary, text: "", output_sha256: this.outputSha256, transport: "direct" } });
+        }
+    }
+    async flush() {}
+    async post(event) {
+        try {
+            const res = await this.client.postJobEvents(this.jobId, [event]);
+            if (res?.cancel === true && this.onCancel) this.onCancel();
         } catch (err) {
             process.stderr.write(`postJobEvents failed: ${err?.message ?? err}\n`);
         }
@@ -88,6 +140,21 @@ function getEngine() {
     return enginePromise;
 }
 
+/**
+ * Sampling parameters the loaded engine honors, for the heartbeat's
+ * `specs.sampling`. Loads the engine on first call — the control plane
+ * needs the list before it will route any sampled request here. Null
+ * when the engine can't start (advertise nothing rather than guess).
+ */
+export async function engineSampling() {
+    try {
+        const engine = await getEngine();
+        return Array.isArray(engine.sampling) ? [...engine.sampling] : [];
+    } catch {
+        return null;
+    }
+}
+
 export async function shutdownEngine() {
     if (!enginePromise) return;
     try {
@@ -103,70 +170,356 @@ export async function shutdownEngine() {
 /**
  * Run the chat executor for one job.
  *
- * @param {{ client: any, job: any, node: any }} ctx
- * @returns {Promise<{ text: string, token_count: number, duration_ms: number }>}
+ * @param {{ client: any, job: any, node: any, signal?: AbortSignal, relay?: (event: object) => void, digests?: Record<string, string> }} ctx
+ *   `signal` cancels the generation (the daemon aborts it when jobs/poll
+ *   reports the job cancelled, or a direct consumer hangs up). `relay`
+ *   makes it a direct job: events go to it instead of job_events.
+ *   `digests` is the advertised `specs.model_digests`; the served
+ *   model's digest goes on the `meta` event (see modelDigestFields()).
+ * @returns {Promise<{ text: string, token_count: number, usage: object|null, tool_calls?: object[], duration_ms: number, cancelled?: true, output_sha256?: string }>}
  *   Full assistant response + token count + wall-clock duration.
+ *   `token_count` is the engine's real completion-token count when the
+ *   backend reports `usage` on its `done` event, else the number of
+ *   streamed chunks (an approximation — chunks aren't tokens). `usage`
+ *   is the backend's `{ prompt_tokens, completion_tokens, total_tokens }`
+ *   or null when it couldn't measure. `tool_calls` (OpenAI shape) is
+ *   present only when the model called tools. `cancelled` is set when
+ *   the generation was cancelled; `text` / `usage` then cover the
+ *   partial output (usage is estimated from streamed chunks if the
+ *   engine didn't count).
  *   Caller (start.js) uses these to maintain a rolling tokens-per-second
  *   benchmark advertised via heartbeat → enables speed-aware routing.
  */
-export async function executeChatJob({ client, job, node }) {
+export async function executeChatJob({ client, job, node, signal, relay, digests }) {
     const input = job?.input_spec ?? {};
     const messages = input.messages ?? [];
 
     const engine = await getEngine();
-    const buffer = new EventBuffer(client, job.id);
+    let generation = null;
+    let cancelled = false;
+    const cancel = () => {
+        if (cancelled) return;
+        cancelled = true;
+        generation?.cancel();
+    };
+    const buffer = relay
+        ? new DirectRelay(client, job.id, relay, { onCancel: cancel })
+        : new EventBuffer(client, job.id, { onCancel: cancel });
 
     const t0 = Date.now();
-    const generation = engine.generate({
+    generation = engine.generate({
         messages,
         model: job.model_name ?? null,
         max_tokens: input.max_tokens,
-        temperature: input.temperature
+        temperature: input.temperature,
+        // Validated OpenAI sampling block (top_p, stop, seed, penalties,
+        // logit_bias, response_format). The control plane only routes
+        // it here if our advertised `sampling` list covers every key.
+        ...(input.sampling && typeof input.sampling === "object" ? input.sampling : {}),
+        ...(Array.isArray(input.tools) && input.tools.length > 0
+            ? { tools: input.tools, tool_choice: input.tool_choice }
+            : {})
     });
 
+    if (signal?.aborted) cancel();
+    else signal?.addEventListener("abort", cancel, { once: true });
+
     let accumulated = "";
-    let tokenCount = 0;
-
-    for await (const ev of generation.stream) {
-        switch (ev.type) {
-            case MSG.META:
-                await buffer.push("meta", {
-                    provider_node_id: node.nodeId,
-                    provider_name: node.name ?? null,
-                    model: ev.model ?? job.model_name ?? null,
-                    started_at: ev.started_at ?? new Date().toISOString(),
-                    engine: engine.kind
-                });
-                break;
-            case MSG.TOKEN:
-                accumulated += ev.text ?? "";
-                tokenCount += 1;
-                await buffer.push("token", { text: ev.text ?? "" });
-                break;
-            case MSG.DONE:
-                if (typeof ev.text === "string" && ev.text.length > accumulated.length) {
-                    accumulated = ev.text;
+    let chunkCount = 0;
+    let usage = null;
+    let sawDone = false;
+    // Assembled tool calls keyed by delta index — deltas stream through
+    // to job_events as-is, the full calls ride on `done` and the result.
+    const toolCalls = new Map();
+
+    try {
+        for await (const ev of generation.stream) {
+            switch (ev.type) {
+                case MSG.META: {
+                    const model = ev.model ?? job.model_name ?? null;
+                    await buffer.push("meta", {
+                        provider_node_id: node.nodeId,
+                        provider_name: node.name ?? null,
+                        model,
+                        ...modelDigestFields(digests, model, job.model_name),
+                        started_at: ev.started_at ?? new Date().toISOString(),
+                        engine: engine.kind
+                    });
+                    break;
+                }
+                case MSG.TOKEN:
+                    accumulated += ev.text ?? "";
+                    chunkCount += 1;
+                    await buffer.push("token", { text: ev.text ?? "" });
+                    break;
+                case MSG.TOOL_CALL: {
+                    const index = Number.isInteger(ev.index) ? ev.index : toolCalls.size;
+                    const call = toolCalls.get(index) ?? { id: null, type: "function", function: { name: "", arguments: "" } };
+                    if (ev.call_id) call.id = ev.call_id;
+                    if (ev.name) call.function.name = ev.name;
+                    call.function.arguments += ev.arguments ?? "";
+                    toolCalls.set(index, call);
+                    await buffer.push("tool_call", {
+                        index,
+                        ...(ev.call_id ? { call_id: ev.call_id } : {}),
+                        ...(ev.name ? { name: ev.name } : {}),
+                        arguments: ev.arguments ?? ""
+                    });
+                    break;
                 }
-                await buffer.push("done", {
-                    text: accumulated,
-                    reason: ev.reason ?? "stop",
-                    finished_at: ev.finished_at ?? new Date().toISOString()
-                });
-                break;
-            case MSG.ERROR:
-                await buffer.push("error", { message: ev.message ?? "engine error" });
-                await buffer.flush();
-                throw new Error(ev.message ?? "engine error");
-            default:
-                // forward unknown event types verbatim — useful for backend
-                // extensions (logits, tool_call, etc.) once the protocol grows.
-                await buffer.push(ev.type, ev);
+                case MSG.DONE:
+                    if (typeof ev.text === "string" && ev.text.length > accumulated.length) {
+                        accumulated = ev.text;
+                    }
+                    if (ev.usage && typeof ev.usage === "object") usage = ev.usage;
+                    if (ev.reason === "cancel") cancelled = true;
+                    if (cancelled && !usage) usage = estimatedUsage(chunkCount);
+                    sawDone = true;
+                    await buffer.push("done", {
+                        text: accumulated,
+                        reason: cancelled ? "cancel" : ev.reason ?? (toolCalls.size > 0 ? "tool_calls" : "stop"),
+                        ...(toolCalls.size > 0 ? { tool_calls: assembledToolCalls(toolCalls) } : {}),
+                        ...(usage ? { usage } : {}),
+                        finished_at: ev.finished_at ?? new Date().toISOString()
+                    });
+                    break;
+                case MSG.ERROR:
+                    await buffer.push("error", { message: ev.message ?? "engine error" });
+                    await buffer.flush();
+                    throw new Error(ev.message ?? "engine error");
+                default:
+                    // forward unknown event types verbatim — useful for backend
+                    // extensions (logits, etc.) once the protocol grows.
+                    await buffer.push(ev.type, ev);
+            }
         }
+    } finally {
+        signal?.removeEventListener("abort", cancel);
+    }
+
+    // Backends that just end the stream on cancel never send `done`;
+    // close the job's event stream ourselves.
+    if (cancelled && !sawDone) {
+        usage = usage ?? estimatedUsage(chunkCount);
+        await buffer.push("done", {
+            text: accumulated,
+            reason: "cancel",
+            usage,
+            finished_at: new Date().toISOString()
+        });
     }
 
     await buffer.flush();
     const duration_ms = Date.now() - t0;
-    return { text: accumulated, token_count: tokenCount, duration_ms };
+    const token_count = Number.isFinite(usage?.completion_tokens) ? usage.completion_tokens : chunkCount;
+    return {
+        text: accumulated,
+        token_count,
+        usage,
+        ...(toolCalls.size > 0 ? { tool_calls: assembledToolCalls(toolCalls) } : {}),
+        duration_ms,
+        ...(cancelled ? { cancelled: true } : {}),
+        ...(buffer.outputSha256 ? { output_sha256: buffer.outputSha256 } : {})
+    };
+}
+
+/**
+ * `{ model_digest }` for the `meta` event when we advertised a weight
+ * fingerprint for the model (IPIP-0014 §2) — the control plane copies
+ * it into the job's CPR receipt. The engine may report the model under
+ * a slightly different name than the job asked for, so both are tried.
+ */
+function modelDigestFields(digests, ...names) {
+    for (const name of names) {
+        const digest = name ? digests?.[name] : null;
+        if (typeof digest === "string") return { model_digest: digest };
+    }
+    return {};
+}
+
+/**
+ * Usage for a cancelled generation whose engine didn't report counts:
+ * streamed chunks stand in for completion tokens, the prompt is unknown.
+ */
+function estimatedUsage(chunkCount) {
+    return { prompt_tokens: 0, completion_tokens: chunkCount, total_tokens: chunkCount, estimated: true };
+}
+
+/**
+ * Run an embeddings job: one `engine.embed()` call for the whole batch.
+ *
+ * The vectors go back in the returned result, which the caller writes to
+ * the job row; /v1/embeddings and batch chunks read them from there. The
+ * `done` event only says how many there are: a few hundred vectors is
+ * more than a Realtime message carries.
+ *
+ * @param {{ client: any, job: any, node: any, digests?: Record<string, string> }} ctx
+ * @returns {Promise<{ model: string|null, embeddings: number[][], count: number, dimensions: number, usage: object|null, duration_ms: number }>}
+ */
+export async function executeEmbeddingsJob({ client, job, node, digests }) {
+    const input = job?.input_spec ?? {};
+    const inputs = Array.isArray(input.input) ? input.input : [];
+    if (inputs.length === 0) throw new Error("embeddings job has no input");
+
+    const engine = await getEngine();
+    if (typeof engine.embed !== "function") {
+        throw new Error(`engine backend "${engine.kind}" does not support embeddings`);
+    }
+    const buffer = new EventBuffer(client, job.id);
+
+    const t0 = Date.now();
+    await buffer.push("meta", {
+        provider_node_id: node.nodeId,
+        provider_name: node.name ?? null,
+        model: job.model_name ?? null,
+        ...modelDigestFields(digests, job.model_name),
+        started_at: new Date().toISOString(),
+        engine: engine.kind
+    });
+
+    let out;
+    try {
+        out = await engine.embed({ input: inputs, model: job.model_name ?? null });
+    } catch (err) {
+        // The caller posts the `error` event (failChatJob) — just make
+        // sure `meta` lands ahead of it.
+        await buffer.flush();
+        throw err;
+    }
+
+    const usage = out.usage && typeof out.usage === "object" ? out.usage : null;
+    await buffer.push("done", {
+        model: out.model ?? job.model_name ?? null,
+        count: out.embeddings.length,
+        ...(usage ? { usage } : {}),
+        finished_at: new Date().toISOString()
+    });
+    await buffer.flush();
+
+    return {
+        model: out.model ?? job.model_name ?? null,
+        embeddings: out.embeddings,
+        count: out.embeddings.length,
+        dimensions: out.embeddings[0]?.length ?? 0,
+        usage,
+        duration_ms: Date.now() - t0
+    };
+}
+
+/**
+ * Run a `batch` job — one chunk of a batch inference job (IPIP-0013):
+ * `input_spec.requests` is a list of independent chat requests, run one
+ * after another on the loaded engine.
+ *
+ * A `progress` event goes out after every item, so a long chunk never
+ * looks stalled to the control plane's janitor. An item the engine
+ * fails on becomes `{ error }` in its slot and the rest still run; the
+ * job fails only when every item did. Results, in request order, ride
+ * on the `done` event — the control plane copies them onto the chunk.
+ *
+ * @param {{ client: any, job: any, node: any, signal?: AbortSignal, digests?: Record<string, string> }} ctx
+ * @returns {Promise<{ kind: string|null, count: number, failed: number, usage: object, duration_ms: number, cancelled?: true }>}
+ */
+export async function executeBatchJob({ client, job, node, signal, digests }) {
+    const input = job?.input_spec ?? {};
+    const requests = Array.isArray(input.requests) ? input.requests : [];
+    if (requests.length === 0) throw new Error("batch job has no requests");
+
+    const engine = await getEngine();
+    let generation = null;
+    let cancelled = false;
+    const cancel = () => {
+        if (cancelled) return;
+        cancelled = true;
+        generation?.cancel();
+    };
+    const buffer = new EventBuffer(client, job.id, { onCancel: cancel });
+    if (signal?.aborted) cancel();
+    else signal?.addEventListener("abort", cancel, { once: true });
+
+    const t0 = Date.now();
+    await buffer.push("meta", {
+        provider_node_id: node.nodeId,
+        provider_name: node.name ?? null,
+        model: job.model_name ?? null,
+        ...modelDigestFields(digests, job.model_name),
+        started_at: new Date().toISOString(),
+        engine: engine.kind
+    });
+
+    const results = [];
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let failed = 0;
+    try {
+        for (const [index, req] of requests.entries()) {
+            if (cancelled) break;
+            const item = await runBatchItem(engine, job, req, (g) => { generation = g; });
+            generation = null;
+            if (item.error) failed += 1;
+            for (const k of Object.keys(usage)) {
+                if (Number.isFinite(item.usage?.[k])) usage[k] += item.usage[k];
+            }
+            results.push(item.error ? { error: item.error } : { text: item.text, ...(item.usage ? { usage: item.usage } : {}) });
+            await buffer.push("progress", { index, count: requests.length, ...(item.error ? { failed: true } : {}) });
+        }
+    } finally {
+        signal?.removeEventListener("abort", cancel);
+    }
+
+    if (!cancelled && failed === requests.length) {
+        await buffer.flush();
+        throw new Error(`every request in the batch failed: ${results[0]?.error ?? "engine error"}`);
+    }
+    await buffer.push("done", {
+        model: job.model_name ?? null,
+        results,
+        usage,
+        ...(cancelled ? { reason: "cancel" } : {}),
+        finished_at: new Date().toISOString()
+    });
+    await buffer.flush();
+
+    return {
+        kind: input.kind ?? null,
+        count: results.length,
+        failed,
+        usage,
+        duration_ms: Date.now() - t0,
+        ...(cancelled ? { cancelled: true } : {})
+    };
+}
+
+/** One request of a batch job → `{ text, usage }` or `{ error }`. */
+async function runBatchItem(engine, job, req, onStart) {
+    let text = "";
+    let usage = null;
+    try {
+        const generation = engine.generate({
+            messages: req?.messages ?? [],
+            model: job.model_name ?? null,
+            max_tokens: req?.max_tokens,
+            temperature: req?.temperature
+        });
+        onStart(generation);
+        for await (const ev of generation.stream) {
+            if (ev.type === MSG.TOKEN) text += ev.text ?? "";
+            else if (ev.type === MSG.DONE) {
+                if (typeof ev.text === "string" && ev.text.length > text.length) text = ev.text;
+                if (ev.usage && typeof ev.usage === "object") usage = ev.usage;
+            } else if (ev.type === MSG.ERROR) {
+                return { error: ev.message ?? "engine error" };
+            }
+        }
+    } catch (err) {
+        return { error: err?.message ?? String(err) };
+    }
+    return { text, usage };
+}
+
+function assembledToolCalls(toolCalls) {
+    return [...toolCalls.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, call]) => call);
 }
 
 export async function failChatJob({ client, jobId, message }) {
@@ -0,0 +1,64 @@
+/**
+ * How many jobs the provider daemon runs at once.
+ *
+ * The control plane routes by `specs.load.active_jobs` vs
+ * `specs.load.concurrency_cap` (notSaturated() in
+ * apps/web/lib/data/chat.js, default cap 4), so whatever we pick here is
+ * advertised on every heartbeat and is also the ceiling on how many jobs
+ * the daemon asks for per poll.
+ *
+ * The suggestion is deliberately conservative. Each concurrent request
+ * needs its own KV cache next to the weights, and Ollama / llama.cpp
+ * split their context across parallel slots, so small cards get one or
+ * two slots while 48 GB+ boxes (or vLLM's continuous batching) can take
+ * more. Operators who know better set `engine.concurrency` explicitly.
+ */
+
+export const MIN_CONCURRENCY = 1;
+export const MAX_CONCURRENCY = 32;
+
+/**
+ * Suggest a concurrency cap from detected GPUs (`@infernetprotocol/gpu`
+ * detectGpus() output). CPU-only boxes get 1.
+ */
+export function suggestConcurrency(gpus = []) {
+    const totalVramGb = (Array.isArray(gpus) ? gpus : []).reduce(
+        (a, g) => a + (Number.isFinite(g?.vram_mb) ? g.vram_mb / 1024 : 0),
+        0
+    );
+    if (totalVramGb < 8) return 1;
+    if (totalVramGb < 16) return 2;
+    if (totalVramGb < 24) return 3;
+    if (totalVramGb < 48) return 4;
+    if (totalVramGb < 96) return 8;
+    return 16;
+}
+
+/**
+ * Resolve the cap: --concurrency flag → config.engine.concurrency →
+ * env INFERNET_CONCURRENCY → suggestConcurrency(gpus). Values are
+ * clamped to [MIN_CONCURRENCY, MAX_CONCURRENCY].
+ *
+ * @returns {{ value: number, source: 'flag' | 'config' | 'env' | 'auto' }}
+ */
+export function resolveConcurrency(config, { flag, gpus } = {}) {
+    const candidates = [
+        ['flag', flag],
+        ['config', config?.engine?.concurrency],
+        ['env', process.env.INFERNET_CONCURRENCY]
+    ];
+    for (const [source, raw] of candidates) {
+        const n = typeof raw === 'string' ? Number.parseInt(raw, 10) : raw;
+        if (Number.isInteger(n) && n > 0) return { value: clamp(n), source };
+    }
+    return { value: suggestConcurrency(gpus), source: 'auto' };
+}
+
+/** Free job slots — what the daemon may ask the control plane for. */
+export function freeSlots(cap, activeCount) {
+    return Math.max(0, cap - activeCount);
+}
+
+function clamp(n) {
+    return Math.min(MAX_CONCURRENCY, Math.max(MIN_CONCURRENCY, n));
+}
@@ -5,7 +5,10 @@
  *
  * Shape (v2 — signed-API era):
  *   {
- *     "controlPlane": { "url": "https://infernetprotocol.com" },
+ *     "controlPlane": {
+ *       "url": "https://infernetprotocol.com",
+ *       "wire": "json"       // or "protobuf" (protocol/docs/node-api.md)
+ *     },
  *     "node": {
  *       "id": "...",         // server-assigned uuid after register
  *       "nodeId": "...",     // human-readable slug e.g. provider-abc123
@@ -13,9 +16,34 @@
  *       "name": "...",
  *       "publicKey":  "...", // Nostr (secp256k1 / BIP-340 x-only) pubkey hex
  *       "privateKey": "...", // Nostr privkey hex — proves ownership on every call
+ *       "delegation": {...}, // set when the keypair above is a subkey
+ *                            // (`infernet pubkey delegate`); signs as the master
+ *       "delegations": [...], // subkeys this master issued, for `pubkey revoke`
+ *       "pendingRotation": {...}, // new keypair while `pubkey rotate` is in flight
  *       "payoutPublicKey": "...", // optional: separate identity for payouts
  *       "address": "...|null",
- *       "port": 46337
+ *       "port": 46337,
+ *       "price": 0.001       // optional: USD per 1k tokens, advertised on Nostr
+ *     },
+ *     "discovery": {         // optional (IPIP-0006)
+ *       "relays": ["wss://..."], // Nostr relays for capability events
+ *       "nostr": true        // false: don't advertise on relays
+ *     },
+ *     "pubsub": {            // optional (protocol/docs/pubsub.md)
+ *       "enabled": true,     // false: don't join gossip
+ *       "revocationAuthorities": ["<pubkey hex>"] // may revoke any peer id
+ *     },
+ *     "relay": {             // optional (protocol/docs/relay.md)
+ *       "enabled": false,    // true: relay circuits for peers behind NAT
+ *       "relays": ["/ip4/…/tcp/…/p2p/<pubkey>"], // tried first when we're unreachable
+ *       "limits": { "maxCircuitBytes": 67108864 } // see RELAY_LIMITS in lib/relay.js
+ *     },
+ *     "rmi": {               // optional (protocol/docs/rmi.md)
+ *       "enabled": true      // false: don't export remote objects
+ *     },
+ *     "engine": {            // optional; backend / model settings
+ *       "modelPaths": { "<model>": "/path/model.gguf" } // or a safetensors dir:
+ *                            // weight digests (lib/model-fingerprint.js)
  *     }
  *   }
  *
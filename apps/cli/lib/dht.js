@@ -0,0 +1,531 @@
+/**
+ * `infernet.dht.v1` — Kademlia over the P2P listener (IPIP-0016,
+ * protocol/docs/dht.md), so providers can be found without the control
+ * plane.
+ *
+ * Node ids are sha256 of the peer's Nostr pubkey; distance is XOR. The
+ * routing table keeps k = 20 contacts per bucket, preferring long-lived
+ * ones (a full bucket only admits a newcomer when its least recently
+ * seen contact fails a ping). Lookups are the usual iterative walk:
+ * ask the α = 3 closest unqueried contacts, merge what they return,
+ * stop once the k closest known have all answered.
+ *
+ * Wire (NDJSON after a handshake that selected infernet.dht.v1):
+ *
+ *   → { cmd: 'dht.ping', from? }
+ *   → { cmd: 'dht.find_node', target, from? }     ← { closer: [{ peer_id, multiaddr }] }
+ *   → { cmd: 'dht.find_value', key, from? }       ← { values: [record], closer: [...] }
+ *   → { cmd: 'dht.store', record, from? }         ← { stored: boolean }
+ *
+ * `from` is the sender's listening multiaddr; a node that sends it is
+ * added to the receiver's routing table (under the peer id its
+ * handshake proved). Clients that only look things up leave it out.
+ *
+ * Values are signed records (@infernetprotocol/auth dht-record.js),
+ * verified by every node that stores or reads them. A key holds one
+ * record per publisher, merged last-write-wins by Lamport timestamp —
+ * providers publish their capability record under `model:<name>` for
+ * each model they serve, and findProviders() collects them.
+ */
+
+import { createHash } from 'node:crypto';
+import {
+    DHT_PROTOCOL,
+    HANDSHAKE_PROTOCOL,
+    isHex64,
+    modelKey,
+    newerDhtRecord,
+    signDhtRecord,
+    verifyDhtRecord
+} from '@infernetprotocol/auth';
+
+import { dialPeer, formatMultiaddr, parseMultiaddr } from './p2p-client.js';
+
+export const K = 20;
+export const ALPHA = 3;
+const ID_BITS = 256;
+// Upper bound on lookup rounds; a converging walk needs far fewer.
+const MAX_LOOKUP_ROUNDS = 20;
+const RPC_TIMEOUT_MS = 5000;
+// Pooled connections to other DHT nodes close after this long unused.
+const IDLE_CONNECTION_MS = 60_000;
+// Storage caps — protocol/docs/dht.md "per-publisher quota". Publisher
+// ids cost nothing to mint, so MAX_RECORDS bounds the store as a whole.
+const MAX_RECORDS_PER_KEY = 64;
+const MAX_KEYS_PER_PUBLISHER = 100;
+const MAX_RECORDS = 20_000;
+
+/** Kademlia id (32 bytes) for a 64-hex peer id. */
+export function nodeIdFor(peerId) {
+    return createHash('sha256').update(Buffer.from(peerId, 'hex')).digest();
+}
+
+function xor(a, b) {
+    const out = Buffer.alloc(a.length);
+    for (let i = 0; i < a.length; i += 1) out[i] = a[i] ^ b[i];
+    return out;
+}
+
+/** Index of the bucket `id` falls in: leading zero bits of the distance. */
+function bucketIndex(selfId, id) {
+    const d = xor(selfId, id);
+    for (let i = 0; i < d.length; i += 1) {
+        if (d[i] !== 0) return i * 8 + Math.clz32(d[i]) - 24;
+    }
+    return ID_BITS - 1;
+}
+
+function byDistance(target) {
+    return (a, b) => Buffer.compare(xor(a.id ?? nodeIdFor(a.peerId), target), xor(b.id ?? nodeIdFor(b.peerId), target));
+}
+
+function contactToWire(c) {
+    return { peer_id: c.peerId, multiaddr: formatMultiaddr(c) };
+}
+
+function contactFromWire(w) {
+    if (typeof w?.peer_id !== 'string' || !isHex64(w.peer_id)) return null;
+    const addr = parseMultiaddr(w.multiaddr);
+    return addr ? { peerId: w.peer_id.toLowerCase(), host: addr.host, port: addr.port } : null;
+}
+
+/**
+ * k-buckets around `selfPeerId`. Contacts are `{ peerId, host, port }`;
+ * each bucket is ordered least → most recently seen.
+ */
+export class RoutingTable {
+    /**
+     * @param {string} selfPeerId
+     * @param {{ k?: number, ping?: (contact: object) => Promise<boolean> }} [opts]
+     *   `ping` decides whether a full bucket's oldest contact is still alive
+     */
+    constructor(selfPeerId, { k = K, ping = null } = {}) {
+        this.selfPeerId = selfPeerId;
+        this.selfId = nodeIdFor(selfPeerId);
+        this.k = k;
+        this.ping = ping;
+        this.buckets = Array.from({ length: ID_BITS }, () => []);
+        this.pinging = new Set();
+    }
+
+    get size() {
+        return this.buckets.reduce((n, b) => n + b.length, 0);
+    }
+
+    /** Insert or refresh a contact. Returns whether it is in the table. */
+    add(contact) {
+        if (!contact || contact.peerId === this.selfPeerId) return false;
+        const id = nodeIdFor(contact.peerId);
+        const index = bucketIndex(this.selfId, id);
+        const bucket = this.buckets[index];
+        const entry = { peerId: contact.peerId, host: contact.host, port: contact.port, id };
+        const i = bucket.findIndex((c) => c.peerId === contact.peerId);
+        if (i >= 0) {
+            bucket.splice(i, 1);
+            bucket.push(entry);
+            return true;
+        }
+        if (bucket.length < this.k) {
+            bucket.push(entry);
+            return true;
+        }
+        if (this.ping && !this.pinging.has(index)) {
+            this.pinging.add(index);
+            const oldest = bucket[0];
+            this.ping(oldest)
+                .catch(() => false)
+                .then((alive) => {
+                    if (alive) return;
+                    this.remove(oldest.peerId);
+                    if (bucket.length < this.k) bucket.push(entry);
+                })
+                .finally(() => this.pinging.delete(index));
+        }
+        return false;
+    }
+
+    remove(peerId) {
+        const bucket = this.buckets[bucketIndex(this.selfId, nodeIdFor(peerId))];
+        const i = bucket.findIndex((c) => c.peerId === peerId);
+        if (i >= 0) bucket.splice(i, 1);
+    }
+
+    /** The `count` known contacts closest to `target` (32-byte id). */
+    closest(target, count = this.k) {
+        return this.buckets.flat().sort(byDistance(target)).slice(0, count);
+    }
+}
+
+/**
+ * Records this node stores for the network: key → publisher → record.
+ * Callers verify records before put(). When a key or the whole store is
+ * full, a new record displaces whichever record there expires first, or
+ * is refused if that would be itself.
+ */
+export class RecordStore {
+    constructor({
+        maxPerKey = MAX_RECORDS_PER_KEY,
+        maxKeysPerPublisher = MAX_KEYS_PER_PUBLISHER,
+        maxRecords = MAX_RECORDS
+    } = {}) {
+        this.maxPerKey = maxPerKey;
+        this.maxKeysPerPublisher = maxKeysPerPublisher;
+        this.maxRecords = maxRecords;
+        this.byKey = new Map();
+        this.keysByPublisher = new Map();
+        this.count = 0;
+    }
+
+    get size() {
+        return this.count;
+    }
+
+    /** Merge `record` in. Returns false when it lost LWW or a quota refused it. */
+    put(record, now = Date.now()) {
+        this.prune(now);
+        const publisher = record.provider_peer_id;
+        const current = this.byKey.get(record.key)?.get(publisher);
+        if (current) {
+            if (newerDhtRecord(current, record) !== record || current.signature === record.signature) return false;
+            this.byKey.get(record.key).set(publisher, record);
+            return true;
+        }
+        const keys = this.keysByPublisher.get(publisher) ?? new Set();
+        if (keys.size >= this.maxKeysPerPublisher) return false;
+
+        const sameKey = this.byKey.get(record.key);
+        let victim = null;
+        if (sameKey && sameKey.size >= this.maxPerKey) victim = soonestExpiring(sameKey.values());
+        else if (this.count >= this.maxRecords) victim = soonestExpiring(this.all());
+        if (victim) {
+            if (victim.expires_at_unix >= record.expires_at_unix) return false;
+            this.delete(victim);
+        }
+
+        let records = this.byKey.get(record.key);
+        if (!records) {
+            records = new Map();
+            this.byKey.set(record.key, records);
+        }
+        records.set(publisher, record);
+        keys.add(record.key);
+        this.keysByPublisher.set(publisher, keys);
+        this.count += 1;
+        return true;
+    }
+
+    get(key, now = Date.now()) {
+        this.prune(now);
+        return [...(this.byKey.get(key)?.values() ?? [])];
+    }
+
+    prune(now = Date.now()) {
+        const t = Math.floor(now / 1000);
+        for (const records of this.byKey.values()) {
+            for (const record of records.values()) {
+                if (record.expires_at_unix < t) this.delete(record);
+            }
+        }
+    }
+
+    *all() {
+        for (const records of this.byKey.values()) yield* records.values();
+    }
+
+    delete(record) {
+        const records = this.byKey.get(record.key);
+        if (records?.delete(record.provider_peer_id)) this.count -= 1;
+        if (records?.size === 0) this.byKey.delete(record.key);
+        const keys = this.keysByPublisher.get(record.provider_peer_id);
+        keys?.delete(record.key);
+        if (keys?.size === 0) this.keysByPublisher.delete(record.provider_peer_id);
+    }
+}
+
+function soonestExpiring(records) {
+    let soonest = null;
+    for (const r of records) if (!soonest || r.expires_at_unix < soonest.expires_at_unix) soonest = r;
+    return soonest;
+}
+
+/**
+ * Dial-on-demand transport: one handshaken connection per remote node,
+ * reused for pipelined requests and closed when idle or on any error.
+ * `protocols` are offered in the handshake; a node that accepts none of
+ * them is dropped. The daemon shares one transport between the DHT and
+ * gossip (lib/gossip.js).
+ *
+ * @param {{ identity: { publicKey: string, privateKey: string }, protocols?: string[],
+ *           timeoutMs?: number, idleMs?: number }} opts
+ * @returns {{ request: (contact: object, cmd: string, payload?: object) => Promise<object>, close: () => void }}
+ */
+export function createTcpTransport({ identity, protocols = [DHT_PROTOCOL], timeoutMs = RPC_TIMEOUT_MS, idleMs = IDLE_CONNECTION_MS }) {
+    const pool = new Map();
+
+    function connect(contact) {
+        const pooled = pool.get(contact.peerId);
+        if (pooled) return pooled.peer;
+        const entry = { peer: null, timer: null };
+        entry.peer = dialPeer({
+            host: contact.host,
+            port: contact.port,
+            identity,
+            expectedPeerId: contact.peerId,
+            protocols: [HANDSHAKE_PROTOCOL, ...protocols],
+            timeoutMs
+        }).then((peer) => {
+            peer.onClose(() => {
+                clearTimeout(entry.timer);
+                if (pool.get(contact.peerId) === entry) pool.delete(contact.peerId);
+            });
+            if (!protocols.some((p) => peer.protocols.includes(p))) {
+                peer.close();
+                throw new Error(`peer ${contact.peerId} does not speak ${protocols.join(' or ')}`);
+            }
+            return peer;
+        });
+        entry.peer.catch(() => {
+            if (pool.get(contact.peerId) === entry) pool.delete(contact.peerId);
+        });
+        pool.set(contact.peerId, entry);
+        return entry.peer;
+    }
+
+    return {
+        async request(contact, cmd, payload = {}) {
+            const peer = await connect(contact);
+            const entry = pool.get(contact.peerId);
+            try {
+                return await peer.request(cmd, payload);
+            } catch (err) {
+                // A timed-out reply would arrive for the next request; drop the connection.
+                if (entry) pool.delete(contact.peerId);
+                peer.close();
+                throw err;
+            } finally {
+                if (entry && pool.get(contact.peerId) === entry) {
+                    clearTimeout(entry.timer);
+                    entry.timer = setTimeout(() => peer.close(), idleMs);
+                    entry.timer.unref?.();
+                }
+            }
+        },
+        close() {
+            for (const entry of pool.values()) {
+                clearTimeout(entry.timer);
+                entry.peer.then((peer) => peer.close(), () => {});
+            }
+            pool.clear();
+        }
+    };
+}
+
+/**
+ * @param {{ identity: { publicKey: string, privateKey: string },
+ *           address?: { host: string, port: number } | null,
+ *           transport: { request: Function }, k?: number, alpha?: number,
+ *           now?: () => number }} opts
+ *   `address` is where other nodes can dial us; null runs a client that
+ *   queries the DHT without joining other nodes' routing tables.
+ */
+export function createDhtNode({ identity, address = null, transport, k = K, alpha = ALPHA, now = () => Date.now() }) {
+    const self = identity.publicKey.toLowerCase();
+    const from = address ? formatMultiaddr(address) : null;
+    const store = new RecordStore();
+    const table = new RoutingTable(self, {
+        k,
+        ping: (contact) => rpc(contact, 'dht.ping').then(() => true, () => false)
+    });
+    // Seconds-seeded so a restarted publisher still outranks its old records.
+    let lamport = 0;
+    const nextLamport = () => {
+        lamport = Math.max(lamport + 1, Math.floor(now() / 1000));
+        return lamport;
+    };
+
+    async function rpc(contact, cmd, payload = {}) {
+        const reply = await transport.request(contact, cmd, { ...payload, ...(from ? { from } : {}) });
+        if (reply?.ok !== true) throw new Error(`${cmd}: ${reply?.error ?? 'failed'}`);
+        table.add(contact);
+        return reply.data ?? {};
+    }
+
+    function closerFor(target, exclude) {
+        return table.closest(target, k + 1).filter((c) => c.peerId !== exclude).slice(0, k).map(contactToWire);
+    }
+
+    function storeLocally(record) {
+        try {
+            return store.put(verifyDhtRecord(record, { now: now() }), now());
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Iterative lookup of `key` (64 hex). With `values`, also collects
+     * every verified record stored under it.
+     */
+    async function lookup(key, { values: wantValues = false } = {}) {
+        const target = Buffer.from(key, 'hex');
+        const sort = byDistance(target);
+        const candidates = new Map(table.closest(target).map((c) => [c.peerId, c]));
+        const queried = new Set();
+        const responded = new Map();
+        const found = new Map();
+        const collect = (record) => {
+            try {
+                const r = verifyDhtRecord(record, { now: now() });
+                if (r.key === key) found.set(r.provider_peer_id, newerDhtRecord(found.get(r.provider_peer_id), r));
+            } catch { /* skip unverifiable records */ }
+        };
+        if (wantValues) store.get(key, now()).forEach(collect);
+
+        for (let round = 0; round < MAX_LOOKUP_ROUNDS; round += 1) {
+            const batch = [...candidates.values()].sort(sort).slice(0, k)
+                .filter((c) => !queried.has(c.peerId))
+                .slice(0, alpha);
+            if (batch.length === 0) break;
+            await Promise.all(batch.map(async (contact) => {
+                queried.add(contact.peerId);
+                try {
+                    const data = wantValues
+                        ? await rpc(contact, 'dht.find_value', { key })
+                        : await rpc(contact, 'dht.find_node', { target: key });
+                    responded.set(contact.peerId, contact);
+                    for (const wire of Array.isArray(data.closer) ? data.closer : []) {
+                        const c = contactFromWire(wire);
+                        if (c && c.peerId !== self && !candidates.has(c.peerId)) candidates.set(c.peerId, c);
+                    }
+                    if (Array.isArray(data.values)) data.values.forEach(collect);
+                } catch {
+                    candidates.delete(contact.peerId);
+                    table.remove(contact.peerId);
+                }
+            }));
+        }
+        return { closest: [...responded.values()].sort(sort).slice(0, k), values: [...found.values()] };
+    }
+
+    /**
+     * Store a signed record on the k nodes closest to its key (and here,
+     * when we are one of them). Returns how many took it.
+     */
+    async function put(record) {
+        const { closest } = await lookup(record.key);
+        const target = Buffer.from(record.key, 'hex');
+        const farthest = closest[closest.length - 1];
+        const selfIsClose = closest.length < k
+            || Buffer.compare(xor(table.selfId, target), xor(farthest.id ?? nodeIdFor(farthest.peerId), target)) < 0;
+        let stored = selfIsClose && storeLocally(record) ? 1 : 0;
+        const results = await Promise.allSettled(closest.map((c) => rpc(c, 'dht.store', { record })));
+        for (const r of results) if (r.status === 'fulfilled' && r.value.stored) stored += 1;
+        return stored;
+    }
+
+    /**
+     * Sign `value` as our record under `key` (64 hex) and store it —
+     * capability records here, object registry entries in lib/rmi.js.
+     *
+     * @returns {Promise<number>}  nodes that stored it
+     */
+    function publish(key, value) {
+        return put(signDhtRecord({
+            key,
+            value,
+            publicKey: identity.publicKey,
+            privateKey: identity.privateKey,
+            lamport: nextLamport(),
+            now: now()
+        }));
+    }
+
+    return {
+        peerId: self,
+        table,
+        store,
+
+        /**
+         * Handler for `dht.*` lines from the P2P listener (lib/p2p-server.js).
+         * Synchronous, so pipelined requests are answered in order.
+         */
+        handle(msg, peer) {
+            if (!peer.protocols.includes(DHT_PROTOCOL)) {
+                return { ok: false, error: 'protocol-not-negotiated', cause: DHT_PROTOCOL };
+            }
+            const sender = typeof msg.from === 'string' ? parseMultiaddr(msg.from) : null;
+            if (sender) table.add({ peerId: peer.peerId, host: sender.host, port: sender.port });
+            switch (msg.cmd) {
+                case 'dht.ping':
+                    return { ok: true, data: { peer_id: self } };
+                case 'dht.find_node':
+                    if (typeof msg.target !== 'string' || !isHex64(msg.target)) return { ok: false, error: 'bad-target' };
+                    return { ok: true, data: { closer: closerFor(Buffer.from(msg.target, 'hex'), peer.peerId) } };
+                case 'dht.find_value':
+                    if (typeof msg.key !== 'string' || !isHex64(msg.key)) return { ok: false, error: 'bad-key' };
+                    return { ok: true, data: {
+                        values: store.get(msg.key.toLowerCase(), now()),
+                        closer: closerFor(Buffer.from(msg.key, 'hex'), peer.peerId)
+                    } };
+                case 'dht.store': {
+                    let record;
+                    try { record = verifyDhtRecord(msg.record, { now: now() }); }
+                    catch (err) { return { ok: false, error: 'bad-record', cause: err.message }; }
+                    return { ok: true, data: { stored: store.put(record, now()) } };
+                }
+                default:
+                    return { ok: false, error: `unknown-cmd: ${msg.cmd}` };
+            }
+        },
+
+        /**
+         * Join through known contacts (`{ peerId, host, port }`), then look
+         * up our own id so nearby nodes learn about us and we about them.
+         * Returns the routing table size.
+         */
+        async bootstrap(contacts) {
+            for (const c of contacts) {
+                if (c?.peerId && c.peerId !== self) table.add(c);
+            }
+            await lookup(nodeIdFor(self).toString('hex'));
+            return table.size;
+        },
+
+        lookup,
+
+        put,
+
+        /**
+         * Publish a capability record for each model we serve. `value`
+         * is shared by all of them (multiaddr, role, …); each record
+         * adds its `model`.
+         *
+         * @returns {Promise<number>}  records stored across the network
+         */
+        async publishModels(models, value) {
+            let stored = 0;
+            for (const model of models) stored += await publish(modelKey(model), { ...value, model });
+            return stored;
+        },
+
+        publish,
+
+        /**
+         * Providers that published a capability record for `model`, newest
+         * announcement per provider.
+         *
+         * @returns {Promise<Array<{ pubkey: string, multiaddr: string | null, expires_at: string, value: object }>>}
+         */
+        async findProviders(model) {
+            const { values } = await lookup(modelKey(model), { values: true });
+            return values
+                .filter((r) => r.value.model === model)
+                .map((r) => ({
+                    pubkey: r.provider_peer_id,
+                    multiaddr: typeof r.value.multiaddr === 'string' ? r.value.multiaddr : null,
+                    expires_at: new Date(r.expires_at_unix * 1000).toISOString(),
+                    value: r.value
+                }));
+        }
+    };
+}
@@ -0,0 +1,93 @@
+/**
+ * Provider side of direct consumer-to-provider inference
+ * (`infernet.compute.v1` over the P2P port).
+ *
+ * A consumer that got a job ticket from the control plane
+ * (POST /api/chat/direct) dials us, completes the handshake with the
+ * key the ticket names, and sends one line:
+ *
+ *   → { cmd: 'compute.submit', ticket, input }
+ *
+ * acceptDirectJob() checks the ticket against the control plane's
+ * platform key (its DID document) before any compute starts — right
+ * provider, right consumer, not expired, not replayed, input unchanged —
+ * and turns it into the job object the chat executor runs. The daemon
+ * then streams JobStatus-shaped frames back on the same socket:
+ *
+ *   ← { ok: true, data: { job_id, state: 'running',  event: { type: 'meta' | 'token' | 'tool_call', … } } }
+ *   ← { ok: true, data: { job_id, state: 'complete' | 'canceled', event: { type: 'done', … } } }
+ *   ← { ok: true, data: { job_id, state: 'failed', event: { type: 'error', message } } }
+ *
+ * A refused submit gets `{ ok: false, error: 'ticket-rejected', cause }`.
+ * Closing the socket cancels the job.
+ */
+
+import { ed25519PublicKeyFromMultibase, jobInputHash, verifyJobTicket } from '@infernetprotocol/auth';
+
+const PLATFORM_KEY_TTL_MS = 60 * 60 * 1000;
+const DID_FETCH_TIMEOUT_MS = 5000;
+
+let cachedKey = null;
+
+/**
+ * The control plane's ticket-signing key, from its
+ * /.well-known/did.json. Cached for an hour; a failed refresh keeps
+ * using the previous key.
+ *
+ * @param {string} controlPlaneUrl
+ * @param {{ fetchImpl?: typeof fetch }} [opts]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function loadPlatformKey(controlPlaneUrl, { fetchImpl = globalThis.fetch } = {}) {
+    if (cachedKey && cachedKey.url === controlPlaneUrl && Date.now() - cachedKey.at < PLATFORM_KEY_TTL_MS) {
+        return cachedKey.key;
+    }
+    try {
+        const res = await fetchImpl(new URL('/.well-known/did.json', controlPlaneUrl), {
+            headers: { accept: 'application/json' },
+            signal: AbortSignal.timeout(DID_FETCH_TIMEOUT_MS)
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const doc = await res.json();
+        const method = (doc?.verificationMethod ?? []).find((m) => m?.type === 'Ed25519VerificationKey2020');
+        const key = ed25519PublicKeyFromMultibase(method?.publicKeyMultibase);
+        cachedKey = { url: controlPlaneUrl, key, at: Date.now() };
+        return key;
+    } catch (err) {
+        if (cachedKey?.url === controlPlaneUrl) return cachedKey.key;
+        throw new Error(`can't load the control plane's ticket key: ${err?.message ?? err}`);
+    }
+}
+
+/**
+ * Validate a `compute.submit` line from an authenticated peer. Returns
+ * the job to run; throws with a reason the consumer can be told.
+ *
+ * @param {{ ticket: string, input: object }} msg
+ * @param {{ platformKey: Uint8Array, peerId: string, providerPubkey: string,
+ *           seen: Map<string, number>, now?: number }} ctx
+ *   `seen` = job ids already run → ticket expiry (ms), for replay defense
+ */
+export function acceptDirectJob(msg, { platformKey, peerId, providerPubkey, seen, now = Date.now() }) {
+    const claims = verifyJobTicket(msg?.ticket, { publicKey: platformKey, now });
+    if (claims.provider !== providerPubkey.toLowerCase()) throw new Error('ticket is for another provider');
+    if (claims.client !== peerId) throw new Error('ticket was issued to another client');
+    if (!msg.input || typeof msg.input !== 'object' || jobInputHash(msg.input) !== claims.input_sha256) {
+        throw new Error('input does not match the ticket');
+    }
+    for (const [jobId, expiresAt] of seen) {
+        if (expiresAt < now) seen.delete(jobId);
+    }
+    if (seen.has(claims.job_id)) throw new Error('ticket already used');
+    // Kept until well past expiry — verifyJobTicket allows some skew.
+    seen.set(claims.job_id, (claims.exp + 120) * 1000);
+
+    return {
+        id: claims.job_id,
+        type: 'chat',
+        title: 'direct',
+        model_name: claims.model ?? null,
+        input_spec: msg.input,
+        transport: 'direct'
+    };
+}
@@ -0,0 +1,498 @@
+/**
+ * `infernet.pubsub.v1` — gossipsub-style topic broadcast over the P2P
+ * listener (protocol/docs/pubsub.md), for network-wide events that every
+ * interested node wants a copy of without asking the control plane.
+ *
+ * Each node keeps, per subscribed topic, a mesh of D = 6 peers (kept
+ * between D_low = 4 and D_high = 12 by the heartbeat) and forwards new
+ * messages to it eagerly. Every heartbeat it also tells up to D_lazy
+ * non-mesh peers which message ids it has seen recently (IHAVE); they
+ * answer with the ones they missed, which repairs whatever the mesh
+ * dropped. Messages a node publishes itself go to every subscribed peer
+ * (flood publish), so a fresh mesh doesn't delay them.
+ *
+ * A received GossipMessage is dropped, in this order, when: its sender
+ * peer is graylisted; its ttl is out of range; its id was already seen
+ * or we are already in its seen_by chain; the envelope doesn't verify
+ * (@infernetprotocol/auth pubsub-envelope.js); its publisher is revoked;
+ * the topic's validator rejects the payload; or its publisher is over
+ * the per-topic rate limit. Otherwise it is delivered to local handlers
+ * and — while ttl > 0 — forwarded with ttl - 1 and ourselves appended
+ * to seen_by_peer_ids.
+ *
+ * Peer scores (gossipsub v1.1, simplified) decay every heartbeat:
+ * first deliveries raise a peer's score (capped), invalid messages and
+ * failed requests lower it. Peers below zero are pruned from meshes and
+ * never grafted; below GOSSIP_THRESHOLD they get no IHAVE and theirs
+ * are ignored; below GRAYLIST_THRESHOLD everything they send is dropped.
+ *
+ * Wire (NDJSON after a handshake that selected infernet.pubsub.v1):
+ *
+ *   → { cmd: 'pubsub.subscribe', topics, from? }  ← { topics }
+ *   → { cmd: 'pubsub.graft', topic, from? }       ← { grafted: boolean }
+ *   → { cmd: 'pubsub.prune', topic }              ← {}
+ *   → { cmd: 'pubsub.publish', message, from? }   ← { accepted: 'new' | 'duplicate' | 'ignored' | 'rejected' }
+ *   → { cmd: 'pubsub.ihave', topic, ids, from? }  ← { want: [message_id] }
+ *
+ * `message` is a GossipMessage: `{ envelope, seen_by_peer_ids, ttl }`.
+ * `from` is the sender's listening multiaddr, as for the DHT; without
+ * it a peer can send to us but can't be forwarded to.
+ */
+
+import { PUBSUB_MAX_TTL, PUBSUB_PROTOCOL, isHex64, signPubsubEnvelope, verifyPubsubEnvelope } from '@infernetprotocol/auth';
+
+import { formatMultiaddr, parseMultiaddr } from './p2p-client.js';
+
+/** The first network-wide topics and the payloads they carry. */
+export const TOPICS = {
+    // { status: 'online' | 'draining' | 'offline', models?: string[], multiaddr?: string }
+    availability: 'providers/availability',
+    // { models: string[], multiaddr?: string }
+    models: 'models/announce',
+    // { peer_id: string, reason?: string } — self-revocation, or from a configured authority
+    revocations: 'revocations'
+};
+
+export const D = 6;
+export const D_LOW = 4;
+export const D_HIGH = 12;
+export const D_LAZY = 6;
+export const HEARTBEAT_MS = 1000;
+export const DEFAULT_TTL = 8;
+// Message ids advertised in IHAVE cover this many heartbeats.
+const GOSSIP_WINDOWS = 3;
+// Seen ids outlive the envelope replay window (±60s) with margin.
+const SEEN_TTL_MS = 3 * 60 * 1000;
+const MAX_IHAVE_IDS = 500;
+// Per publisher, per topic.
+const RATE_WINDOW_MS = 10_000;
+const RATE_MAX = 20;
+const MAX_MODELS = 64;
+
+// Scoring.
+const FIRST_DELIVERY_WEIGHT = 1;
+const FIRST_DELIVERY_CAP = 20;
+const INVALID_MESSAGE_WEIGHT = -20;
+const FAILURE_WEIGHT = -5;
+const SCORE_DECAY = 0.9;
+export const GOSSIP_THRESHOLD = -10;
+export const GRAYLIST_THRESHOLD = -40;
+
+const isModelList = (v) => Array.isArray(v) && v.length <= MAX_MODELS && v.every((m) => typeof m === 'string' && m.length > 0 && m.length <= 200);
+
+/**
+ * Payload checks for TOPICS. Each throws with a reason or returns;
+ * `authorities` are pubkeys allowed to revoke others.
+ */
+export function defaultValidators({ authorities = new Set() } = {}) {
+    return {
+        [TOPICS.availability](payload) {
+            if (!['online', 'draining', 'offline'].includes(payload.status)) throw new Error('bad status');
+            if (payload.models !== undefined && !isModelList(payload.models)) throw new Error('bad models');
+            if (payload.multiaddr !== undefined && !parseMultiaddr(payload.multiaddr)) throw new Error('bad multiaddr');
+        },
+        [TOPICS.models](payload) {
+            if (!isModelList(payload.models) || payload.models.length === 0) throw new Error('bad models');
+            if (payload.multiaddr !== undefined && !parseMultiaddr(payload.multiaddr)) throw new Error('bad multiaddr');
+        },
+        [TOPICS.revocations](payload, envelope) {
+            if (typeof payload.peer_id !== 'string' || !isHex64(payload.peer_id)) throw new Error('bad peer_id');
+            if (payload.reason !== undefined && (typeof payload.reason !== 'string' || payload.reason.length > 200)) {
+                throw new Error('bad reason');
+            }
+            const target = payload.peer_id.toLowerCase();
+            if (target !== envelope.sender_peer_id && !authorities.has(envelope.sender_peer_id)) {
+                throw new Error('not authorized to revoke');
+            }
+        }
+    };
+}
+
+function shuffle(list) {
+    for (let i = list.length - 1; i > 0; i -= 1) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+}
+
+/**
+ * @param {{ identity: { publicKey: string, privateKey: string },
+ *           address?: { host: string, port: number } | null,
+ *           transport: { request: Function }, validators?: object,
+ *           authorities?: Iterable<string>, now?: () => number }} opts
+ *   `transport` is the DHT's (lib/dht.js createTcpTransport) with
+ *   PUBSUB_PROTOCOL among its protocols. `validators` maps topic →
+ *   (payload, envelope) check; topics without one accept any object.
+ */
+export function createGossipNode({ identity, address = null, transport, validators, authorities = [], now = () => Date.now() }) {
+    const self = identity.publicKey.toLowerCase();
+    const from = address ? formatMultiaddr(address) : null;
+    const checks = validators ?? defaultValidators({ authorities: new Set([...authorities].map((a) => a.toLowerCase())) });
+    // peerId → { contact | null, topics: Set, deliveries, invalid, failures }
+    const peers = new Map();
+    // topic → Set<peerId>
+    const meshes = new Map();
+    // topic → Set<handler>
+    const handlers = new Map();
+    // message id → forget-at (ms)
+    const seen = new Map();
+    // Recent messages for IHAVE/IWANT, one Map (id → { topic, message }) per heartbeat.
+    const history = [new Map()];
+    const revoked = new Set();
+    // `${sender}|${topic}` → { start, count }
+    const rates = new Map();
+    const stats = { delivered: 0, duplicates: 0, rejected: 0, ignored: 0, forwarded: 0 };
+    let timer = null;
+
+    function peerState(peerId) {
+        let p = peers.get(peerId);
+        if (!p) {
+            p = { contact: null, topics: new Set(), deliveries: 0, invalid: 0, failures: 0 };
+            peers.set(peerId, p);
+        }
+        return p;
+    }
+
+    function score(peerId) {
+        const p = peers.get(peerId);
+        if (!p) return 0;
+        return Math.min(p.deliveries, FIRST_DELIVERY_CAP) * FIRST_DELIVERY_WEIGHT
+            + p.invalid * INVALID_MESSAGE_WEIGHT
+            + p.failures * FAILURE_WEIGHT;
+    }
+
+    function learnContact(peerId, multiaddr) {
+        const p = peerState(peerId);
+        const c = typeof multiaddr === 'string' ? parseMultiaddr(multiaddr) : null;
+        if (c) p.contact = { peerId, host: c.host, port: c.port };
+        return p;
+    }
+
+    async function rpc(peerId, cmd, payload = {}) {
+        const p = peers.get(peerId);
+        if (!p?.contact) throw new Error(`no address for ${peerId}`);
+        try {
+            const reply = await transport.request(p.contact, cmd, { ...payload, ...(from ? { from } : {}) });
+            if (reply?.ok !== true) throw new Error(`${cmd}: ${reply?.error ?? 'failed'}`);
+            return reply.data ?? {};
+        } catch (err) {
+            p.failures += 1;
+            throw err;
+        }
+    }
+
+    function mesh(topic) {
+        let m = meshes.get(topic);
+        if (!m) {
+            m = new Set();
+            meshes.set(topic, m);
+        }
+        return m;
+    }
+
+    function remember(message) {
+        history[0].set(message.envelope.message_id, { topic: message.envelope.topic, message });
+    }
+
+    function recent(id) {
+        for (const window of history) {
+            const hit = window.get(id);
+            if (hit) return hit;
+        }
+        return null;
+    }
+
+    function overRate(sender, topic) {
+        const key = `${sender}|${topic}`;
+        const t = now();
+        const r = rates.get(key);
+        if (!r || t - r.start >= RATE_WINDOW_MS) {
+            rates.set(key, { start: t, count: 1 });
+            return false;
+        }
+        r.count += 1;
+        return r.count > RATE_MAX;
+    }
+
+    function send(peerIds, message) {
+        for (const peerId of peerIds) {
+            stats.forwarded += 1;
+            rpc(peerId, 'pubsub.publish', { message }).catch(() => {});
+        }
+    }
+
+    function forward(message, exclude) {
+        const { envelope, seen_by_peer_ids: seenBy, ttl } = message;
+        if (ttl <= 0 || !handlers.has(envelope.topic)) return;
+        const next = { envelope, seen_by_peer_ids: [...seenBy, self].slice(-(PUBSUB_MAX_TTL + 1)), ttl: ttl - 1 };
+        remember(next);
+        const skip = new Set([...seenBy, ...exclude, envelope.sender_peer_id]);
+        send([...mesh(envelope.topic)].filter((id) => !skip.has(id)), next);
+    }
+
+    function applyRevocation(payload) {
+        revoked.add(payload.peer_id.toLowerCase());
+    }
+
+    function deliver(envelope) {
+        stats.delivered += 1;
+        if (envelope.topic === TOPICS.revocations) applyRevocation(envelope.payload);
+        for (const handler of handlers.get(envelope.topic) ?? []) {
+            try { handler(envelope.payload, envelope); } catch { /* a handler's bug isn't the sender's */ }
+        }
+    }
+
+    /**
+     * Accept a GossipMessage from `fromPeerId` (null for our own). Runs
+     * synchronously; forwarding goes out in the background.
+     */
+    function receive(message, fromPeerId) {
+        const peer = fromPeerId ? peerState(fromPeerId) : null;
+        const penalize = () => { if (peer) peer.invalid += 1; stats.rejected += 1; return 'rejected'; };
+        if (peer && score(fromPeerId) < GRAYLIST_THRESHOLD) {
+            stats.ignored += 1;
+            return 'ignored';
+        }
+        const { envelope, ttl, seen_by_peer_ids: seenBy } = message ?? {};
+        if (!Number.isInteger(ttl) || ttl < 0 || ttl > PUBSUB_MAX_TTL) return penalize();
+        if (!Array.isArray(seenBy) || seenBy.length > PUBSUB_MAX_TTL + 1 || !seenBy.every((id) => typeof id === 'string')) {
+            return penalize();
+        }
+        const id = typeof envelope?.message_id === 'string' ? envelope.message_id.toLowerCase() : null;
+        if (id && (seen.has(id) || seenBy.includes(self))) {
+            stats.duplicates += 1;
+            return 'duplicate';
+        }
+        let verified;
+        try { verified = verifyPubsubEnvelope(envelope, { now: now() }); }
+        catch { return penalize(); }
+        if (revoked.has(verified.sender_peer_id) || !handlers.has(verified.topic)) {
+            stats.ignored += 1;
+            return 'ignored';
+        }
+        const check = checks[verified.topic];
+        try { check?.(verified.payload, verified); }
+        catch { return penalize(); }
+        if (overRate(verified.sender_peer_id, verified.topic)) {
+            stats.ignored += 1;
+            return 'ignored';
+        }
+        seen.set(verified.message_id, now() + SEEN_TTL_MS);
+        if (peer) peer.deliveries += 1;
+        const normalized = { envelope: verified, seen_by_peer_ids: seenBy.map((s) => s.toLowerCase()), ttl };
+        deliver(verified);
+        forward(normalized, fromPeerId ? [fromPeerId] : []);
+        return 'new';
+    }
+
+    function announceTopics() {
+        const topics = [...handlers.keys()];
+        for (const [peerId, p] of peers) {
+            if (!p.contact) continue;
+            rpc(peerId, 'pubsub.subscribe', { topics })
+                .then((data) => { p.topics = new Set(Array.isArray(data.topics) ? data.topics : []); }, () => {});
+        }
+    }
+
+    async function graft(topic, peerId) {
+        const m = mesh(topic);
+        m.add(peerId);
+        try {
+            const data = await rpc(peerId, 'pubsub.graft', { topic });
+            if (!data.grafted) m.delete(peerId);
+        } catch {
+            m.delete(peerId);
+        }
+    }
+
+    function prune(topic, peerId) {
+        mesh(topic).delete(peerId);
+        rpc(peerId, 'pubsub.prune', { topic }).catch(() => {});
+    }
+
+    async function gossip(topic) {
+        const ids = [];
+        for (const window of history.slice(0, GOSSIP_WINDOWS)) {
+            for (const [id, entry] of window) if (entry.topic === topic) ids.push(id);
+        }
+        if (ids.length === 0) return;
+        const m = mesh(topic);
+        const targets = shuffle([...peers.entries()]
+            .filter(([peerId, p]) => p.contact && p.topics.has(topic) && !m.has(peerId) && score(peerId) >= GOSSIP_THRESHOLD)
+            .map(([peerId]) => peerId))
+            .slice(0, D_LAZY);
+        await Promise.allSettled(targets.map(async (peerId) => {
+            const data = await rpc(peerId, 'pubsub.ihave', { topic, ids: ids.slice(-MAX_IHAVE_IDS) });
+            for (const id of Array.isArray(data.want) ? data.want : []) {
+                const entry = recent(id);
+                if (entry) send([peerId], entry.message);
+            }
+        }));
+    }
+
+    const node = {
+        peerId: self,
+        peers,
+        meshes,
+        stats,
+        revoked,
+        score,
+
+        /**
+         * Handler for `pubsub.*` lines from the P2P listener
+         * (lib/p2p-server.js). Synchronous, so pipelined requests are
+         * answered in order.
+         */
+        handle(msg, peer) {
+            if (!peer.protocols.includes(PUBSUB_PROTOCOL)) {
+                return { ok: false, error: 'protocol-not-negotiated', cause: PUBSUB_PROTOCOL };
+            }
+            const p = learnContact(peer.peerId, msg.from);
+            switch (msg.cmd) {
+                case 'pubsub.subscribe':
+                    if (!Array.isArray(msg.topics)) return { ok: false, error: 'bad-topics' };
+                    p.topics = new Set(msg.topics.filter((t) => typeof t === 'string').slice(0, 64));
+                    for (const [topic, m] of meshes) if (!p.topics.has(topic)) m.delete(peer.peerId);
+                    return { ok: true, data: { topics: [...handlers.keys()] } };
+                case 'pubsub.graft': {
+                    if (typeof msg.topic !== 'string') return { ok: false, error: 'bad-topic' };
+                    p.topics.add(msg.topic);
+                    const ok = handlers.has(msg.topic) && p.contact !== null && score(peer.peerId) >= 0;
+                    if (ok) mesh(msg.topic).add(peer.peerId);
+                    return { ok: true, data: { grafted: ok } };
+                }
+                case 'pubsub.prune':
+                    if (typeof msg.topic === 'string') meshes.get(msg.topic)?.delete(peer.peerId);
+                    return { ok: true, data: {} };
+                case 'pubsub.publish':
+                    return { ok: true, data: { accepted: receive(msg.message, peer.peerId) } };
+                case 'pubsub.ihave': {
+                    if (typeof msg.topic !== 'string' || !Array.isArray(msg.ids)) return { ok: false, error: 'bad-ihave' };
+                    if (!handlers.has(msg.topic) || score(peer.peerId) < GOSSIP_THRESHOLD) return { ok: true, data: { want: [] } };
+                    const want = msg.ids.slice(0, MAX_IHAVE_IDS)
+                        .filter((id) => typeof id === 'string' && isHex64(id) && !seen.has(id.toLowerCase()));
+                    return { ok: true, data: { want } };
+                }
+                default:
+                    return { ok: false, error: `unknown-cmd: ${msg.cmd}` };
+            }
+        },
+
+        /**
+         * Start talking pubsub with `contact` ({ peerId, host, port }):
+         * swap subscription lists. Resolves with whether it answered.
+         */
+        async addPeer(contact) {
+            if (!contact?.peerId || contact.peerId === self) return false;
+            const p = peerState(contact.peerId);
+            p.contact = { peerId: contact.peerId, host: contact.host, port: contact.port };
+            try {
+                const data = await rpc(contact.peerId, 'pubsub.subscribe', { topics: [...handlers.keys()] });
+                p.topics = new Set(Array.isArray(data.topics) ? data.topics : []);
+                return true;
+            } catch {
+                return false;
+            }
+        },
+
+        removePeer(peerId) {
+            peers.delete(peerId);
+            for (const m of meshes.values()) m.delete(peerId);
+        },
+
+        /**
+         * Receive `topic` and take part in relaying it. Returns an
+         * unsubscribe function.
+         */
+        subscribe(topic, handler) {
+            const isNew = !handlers.has(topic);
+            if (isNew) handlers.set(topic, new Set());
+            handlers.get(topic).add(handler);
+            if (isNew) announceTopics();
+            return () => {
+                const set = handlers.get(topic);
+                set?.delete(handler);
+                if (set?.size !== 0) return;
+                handlers.delete(topic);
+                for (const peerId of mesh(topic)) prune(topic, peerId);
+                meshes.delete(topic);
+                announceTopics();
+            };
+        },
+
+        /**
+         * Sign `payload` and send it to every peer subscribed to `topic`.
+         * Resolves with the envelope; delivered locally too when we are
+         * subscribed.
+         */
+        async publish(topic, payload, { ttl = DEFAULT_TTL } = {}) {
+            const envelope = signPubsubEnvelope({
+                topic,
+                payload,
+                publicKey: identity.publicKey,
+                privateKey: identity.privateKey,
+                now: now()
+            });
+            checks[topic]?.(payload, envelope);
+            seen.set(envelope.message_id, now() + SEEN_TTL_MS);
+            if (handlers.has(topic)) deliver(envelope);
+            const message = { envelope, seen_by_peer_ids: [self], ttl };
+            remember(message);
+            const targets = [...peers.entries()]
+                .filter(([peerId, p]) => p.contact && p.topics.has(topic) && score(peerId) >= 0)
+                .map(([peerId]) => peerId);
+            await Promise.allSettled(targets.map((peerId) => rpc(peerId, 'pubsub.publish', { message })));
+            return envelope;
+        },
+
+        /**
+         * Mesh upkeep, IHAVE gossip and score decay. start() runs it every
+         * HEARTBEAT_MS; tests call it directly.
+         */
+        async heartbeat() {
+            const t = now();
+            for (const [id, until] of seen) if (until <= t) seen.delete(id);
+            for (const [key, r] of rates) if (t - r.start >= RATE_WINDOW_MS) rates.delete(key);
+            for (const p of peers.values()) {
+                p.deliveries *= SCORE_DECAY;
+                p.invalid *= SCORE_DECAY;
+                p.failures *= SCORE_DECAY;
+            }
+
+            const work = [];
+            for (const topic of handlers.keys()) {
+                const m = mesh(topic);
+                for (const peerId of m) {
+                    const p = peers.get(peerId);
+                    if (!p || !p.topics.has(topic) || score(peerId) < 0) m.delete(peerId);
+                }
+                if (m.size < D_LOW) {
+                    const candidates = shuffle([...peers.entries()]
+                        .filter(([peerId, p]) => p.contact && p.topics.has(topic) && !m.has(peerId) && score(peerId) >= 0)
+                        .map(([peerId]) => peerId));
+                    for (const peerId of candidates.slice(0, D - m.size)) work.push(graft(topic, peerId));
+                } else if (m.size > D_HIGH) {
+                    const ranked = shuffle([...m]).sort((a, b) => score(b) - score(a));
+                    for (const peerId of ranked.slice(D)) prune(topic, peerId);
+                }
+                work.push(gossip(topic));
+            }
+            await Promise.allSettled(work);
+            history.unshift(new Map());
+            history.length = Math.min(history.length, GOSSIP_WINDOWS);
+        },
+
+        start(intervalMs = HEARTBEAT_MS) {
+            if (timer) return;
+            timer = setInterval(() => { node.heartbeat().catch(() => {}); }, intervalMs);
+            timer.unref?.();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+    return node;
+}
@@ -0,0 +1,82 @@
+/**
+ * `infernet.handshake.v1` for the daemon's P2P listener and `dialPeer()`
+ * — the message layer lives in @infernetprotocol/auth; this adds what
+ * this CLI speaks and the listener's per-address attempt cap.
+ *
+ * Until the protobuf wire lands, messages travel as NDJSON lines with
+ * the proto field names:
+ *
+ *   → { cmd: 'handshake', request: HandshakeRequest, sig }
+ *   ← { ok: true, data: { response: HandshakeResponse, sig } }
+ */
+
+import { createRequire } from 'node:module';
+import {
+    HANDSHAKE_PROTOCOL,
+    createHandshakeRequest as createRequest,
+    evaluateHandshake as evaluate
+} from '@infernetprotocol/auth';
+
+export {
+    HANDSHAKE_PROTOCOL,
+    MAX_CLOCK_SKEW_SECONDS,
+    REJECT_REASONS,
+    createHandshakeResponse,
+    verifyHandshakeResponse
+} from '@infernetprotocol/auth';
+
+const pkg = createRequire(import.meta.url)('../package.json');
+
+export const COMPUTE_PROTOCOL = 'infernet.compute.v1';
+// Everything a client-only node speaks. peer.v1 covers the `ping` /
+// `info` commands served once the handshake is accepted; providers add
+// COMPUTE_PROTOCOL (direct inference, lib/direct-jobs.js).
+export const SUPPORTED_PROTOCOLS = Object.freeze([HANDSHAKE_PROTOCOL, 'infernet.peer.v1']);
+export const PROVIDER_PROTOCOLS = Object.freeze([...SUPPORTED_PROTOCOLS, COMPUTE_PROTOCOL]);
+export const AGENT_VERSION = `infernet-cli/${pkg.version}`;
+
+/**
+ * Build the signed handshake line a dialer sends first.
+ *
+ * @param {{ publicKey: string, privateKey: string, agentVersion?: string,
+ *           protocols?: string[], now?: number }} opts  `now` in epoch ms
+ */
+export function createHandshakeRequest({ agentVersion = AGENT_VERSION, protocols = SUPPORTED_PROTOCOLS, ...rest }) {
+    return createRequest({ agentVersion, protocols, ...rest });
+}
+
+/**
+ * Receiver side: accept or reject a handshake line (see the auth
+ * package for the order of checks).
+ *
+ * @param {object} message  the parsed `{ cmd: 'handshake', request, sig }` line
+ * @param {{ protocols?: string[], now?: number, blocklist?: Iterable<string>,
+ *           atCapacity?: boolean }} [opts]
+ */
+export function evaluateHandshake(message, { protocols = SUPPORTED_PROTOCOLS, ...rest } = {}) {
+    return evaluate(message, { protocols, ...rest });
+}
+
+/**
+ * Sliding-window cap on handshake attempts per source address
+ * (protocol/docs/security.md: 30 / minute).
+ */
+export function createAttemptLimiter({ limit = 30, windowMs = 60_000 } = {}) {
+    const attempts = new Map();
+    return function allow(key, now = Date.now()) {
+        const recent = (attempts.get(key) ?? []).filter((t) => now - t < windowMs);
+        if (recent.length >= limit) {
+            attempts.set(key, recent);
+            return false;
+        }
+        recent.push(now);
+        attempts.set(key, recent);
+        // Keep the map from growing with one-off addresses.
+        if (attempts.size > 4096) {
+            for (const [k, times] of attempts) {
+                if (times.every((t) => now - t >= windowMs)) attempts.delete(k);
+            }
+        }
+        return true;
+    };
+}
@@ -0,0 +1,298 @@
+/**
+ * UDP hole punching for relayed circuits (lib/relay.js).
+ *
+ * Two peers behind NAT can often talk directly once each has sent a
+ * datagram towards the other: the outbound packet opens a mapping in
+ * its own NAT that the other side's packets then come in through. The
+ * relay coordinates the attempt:
+ *
+ *   1. Each side binds a UDP socket and asks the relay's UDP port what
+ *      address it sees (`observe`, authorized by a per-circuit token
+ *      handed out with the circuit) — its public mapping.
+ *   2. The two sides swap those addresses over the relayed circuit.
+ *   3. Both fire `punch` datagrams at each other for PUNCH_TIMEOUT_MS.
+ *      A side has succeeded once it has heard the other's nonce AND
+ *      the other has acknowledged hearing ours.
+ *   4. They swap verdicts over the circuit; only if both succeeded is
+ *      the session moved onto a reliable UDP stream and the circuit
+ *      closed. Otherwise traffic stays on the relay.
+ *
+ * The stream (createUdpStream) is a Duplex with sequence numbers,
+ * cumulative ACKs and retransmission — enough for NDJSON sessions, not
+ * a general-purpose transport. Everything that runs over it still
+ * starts with the signed handshake, so a forged address in step 2 can
+ * at worst make the attempt fail.
+ */
+
+import { Duplex } from 'node:stream';
+
+export const PUNCH_TIMEOUT_MS = 3000;
+const PUNCH_INTERVAL_MS = 100;
+const OBSERVE_TIMEOUT_MS = 2000;
+const OBSERVE_INTERVAL_MS = 250;
+
+// Stream packets: [type u8][seq u32 BE][payload]. Punch and observe
+// packets are JSON, so their first byte is '{' and never a type.
+const DATA = 1;
+const ACK = 2;
+const FIN = 3;
+const RST = 4;
+const HEADER_BYTES = 5;
+const SEGMENT_BYTES = 1200;
+const WINDOW = 64;
+const TICK_MS = 50;
+const RTO_MS = 250;
+const MAX_RTO_MS = 4000;
+const MAX_RETRIES = 8;
+const KEEPALIVE_MS = 10_000;
+const IDLE_TIMEOUT_MS = 45_000;
+const LINGER_MS = 500;
+
+const unmapped = (address) => address.replace(/^::ffff:/i, '');
+
+function parseJson(buf) {
+    if (buf[0] !== 0x7b) return null;
+    try { return JSON.parse(buf.toString('utf8')); } catch { return null; }
+}
+
+function sendJson(socket, message, { host, port }) {
+    socket.send(Buffer.from(JSON.stringify(message)), port, host, () => {});
+}
+
+/**
+ * Relay side: answer `observe` datagrams on `socket` with the address
+ * they came from. `isValid(token)` gates it to live circuits so the
+ * port isn't an open reflector. Returns a function that stops serving.
+ *
+ * @param {import('node:dgram').Socket} socket
+ * @param {(token: string) => boolean} isValid
+ */
+export function serveObservations(socket, isValid) {
+    const onMessage = (buf, rinfo) => {
+        const msg = parseJson(buf);
+        if (msg?.t !== 'observe' || typeof msg.token !== 'string' || !isValid(msg.token)) return;
+        sendJson(socket, { t: 'observed', host: unmapped(rinfo.address), port: rinfo.port }, { host: rinfo.address, port: rinfo.port });
+    };
+    socket.on('message', onMessage);
+    return () => socket.removeListener('message', onMessage);
+}
+
+/**
+ * Ask the relay at `relay` (its UDP port) which public address our
+ * `socket` maps to. Resolves `{ host, port }`, or null when it doesn't
+ * answer in time (UDP blocked, relay without an observer).
+ *
+ * @param {{ socket: import('node:dgram').Socket, relay: { host: string, port: number },
+ *           token: string, timeoutMs?: number }} opts
+ */
+export function observeAddress({ socket, relay, token, timeoutMs = OBSERVE_TIMEOUT_MS }) {
+    return new Promise((resolve) => {
+        const done = (result) => {
+            clearInterval(interval);
+            clearTimeout(timer);
+            socket.removeListener('message', onMessage);
+            resolve(result);
+        };
+        const onMessage = (buf) => {
+            const msg = parseJson(buf);
+            if (msg?.t === 'observed' && typeof msg.host === 'string' && Number.isInteger(msg.port)) {
+                done({ host: msg.host, port: msg.port });
+            }
+        };
+        socket.on('message', onMessage);
+        const ask = () => sendJson(socket, { t: 'observe', token }, relay);
+        const interval = setInterval(ask, OBSERVE_INTERVAL_MS);
+        const timer = setTimeout(() => done(null), timeoutMs);
+        ask();
+    });
+}
+
+/**
+ * Fire punch packets at `remote` until both directions are open or
+ * `timeoutMs` passes. `done` resolves true/false, but the attempt keeps
+ * acknowledging the other side's packets until `stop()` — call it only
+ * once the verdicts have been swapped, or the other side may never see
+ * our ack.
+ *
+ * @param {{ socket: import('node:dgram').Socket, remote: { host: string, port: number },
+ *           nonce: string, peerNonce: string, timeoutMs?: number }} opts
+ * @returns {{ done: Promise<boolean>, stop: () => void }}
+ */
+export function startPunch({ socket, remote, nonce, peerNonce, timeoutMs = PUNCH_TIMEOUT_MS }) {
+    let heard = false;
+    let acked = false;
+    let settle;
+    const done = new Promise((resolve) => { settle = resolve; });
+    const fire = () => sendJson(socket, { t: 'punch', nonce, ack: heard }, remote);
+    const onMessage = (buf) => {
+        const msg = parseJson(buf);
+        if (msg?.t !== 'punch' || msg.nonce !== peerNonce) return;
+        if (!heard) {
+            heard = true;
+            fire();
+        }
+        if (msg.ack === true) acked = true;
+        if (heard && acked) settle(true);
+    };
+    socket.on('message', onMessage);
+    const interval = setInterval(fire, PUNCH_INTERVAL_MS);
+    const timer = setTimeout(() => settle(false), timeoutMs);
+    fire();
+    return {
+        done,
+        stop() {
+            clearInterval(interval);
+            clearTimeout(timer);
+            socket.removeListener('message', onMessage);
+            settle(false);
+        }
+    };
+}
+
+function packet(type, seq, payload) {
+    const buf = Buffer.allocUnsafe(HEADER_BYTES + (payload?.length ?? 0));
+    buf.writeUInt8(type, 0);
+    buf.writeUInt32BE(seq, 1);
+    if (payload) payload.copy(buf, HEADER_BYTES);
+    return buf;
+}
+
+/**
+ * A reliable, ordered byte stream to `remote` over a UDP socket the
+ * two sides have punched through. Takes ownership of `socket`: it is
+ * closed when the stream is.
+ *
+ * @param {{ socket: import('node:dgram').Socket, remote: { host: string, port: number } }} opts
+ * @returns {import('node:stream').Duplex & { remoteAddress: string }}
+ */
+export function createUdpStream({ socket, remote }) {
+    let nextSeq = 0;
+    let expected = 0;
+    const queue = [];          // segments not yet sent: Buffer | FIN marker
+    const unacked = new Map(); // seq → { buf, sentAt, tries }
+    const early = new Map();   // out-of-order seq → Buffer | null (FIN)
+    let writeCb = null;
+    let finalCb = null;
+    let finSeq = -1;
+    let remoteEnded = false;
+    let localEnded = false;
+    let lastHeard = Date.now();
+    let lastSent = Date.now();
+
+    const transmit = (buf) => {
+        lastSent = Date.now();
+        socket.send(buf, remote.port, remote.host, () => {});
+    };
+
+    const pump = () => {
+        while (queue.length > 0 && unacked.size < WINDOW) {
+            const seg = queue.shift();
+            const seq = nextSeq++;
+            const buf = seg === FIN ? packet(FIN, seq) : packet(DATA, seq, seg);
+            if (seg === FIN) finSeq = seq;
+            unacked.set(seq, { buf, sentAt: Date.now(), tries: 0 });
+            transmit(buf);
+        }
+        if (queue.length === 0 && writeCb) {
+            const cb = writeCb;
+            writeCb = null;
+            cb();
+        }
+    };
+
+    const maybeFinished = () => {
+        if (!localEnded || !remoteEnded || stream.destroyed) return;
+        // Linger so a lost ACK for the other side's FIN can be resent.
+        setTimeout(() => stream.destroy(), LINGER_MS).unref?.();
+    };
+
+    const onMessage = (buf, rinfo) => {
+        if (unmapped(rinfo.address) !== unmapped(remote.host) || rinfo.port !== remote.port) return;
+        if (buf.length < HEADER_BYTES) return;
+        const type = buf.readUInt8(0);
+        const seq = buf.readUInt32BE(1);
+        lastHeard = Date.now();
+        if (type === ACK) {
+            for (const s of unacked.keys()) if (s < seq) unacked.delete(s);
+            if (finSeq >= 0 && seq > finSeq && finalCb) {
+                const cb = finalCb;
+                finalCb = null;
+                localEnded = true;
+                cb();
+                maybeFinished();
+            }
+            pump();
+            return;
+        }
+        if (type === RST) {
+            stream.destroy(new Error('peer reset the stream'));
+            return;
+        }
+        if (type !== DATA && type !== FIN) return;
+        if (seq >= expected && seq < expected + WINDOW * 2 && !early.has(seq)) {
+            early.set(seq, type === FIN ? null : buf.subarray(HEADER_BYTES));
+        }
+        while (early.has(expected)) {
+            const payload = early.get(expected);
+            early.delete(expected);
+            expected += 1;
+            if (payload === null) {
+                remoteEnded = true;
+                stream.push(null);
+            } else {
+                stream.push(payload);
+            }
+        }
+        transmit(packet(ACK, expected));
+        maybeFinished();
+    };
+
+    const tick = () => {
+        const t = Date.now();
+        for (const [, entry] of unacked) {
+            if (t - entry.sentAt < Math.min(MAX_RTO_MS, RTO_MS * 2 ** entry.tries)) continue;
+            if (entry.tries >= MAX_RETRIES) {
+                stream.destroy(new Error('udp stream timed out'));
+                return;
+            }
+            entry.tries += 1;
+            entry.sentAt = t;
+            transmit(entry.buf);
+        }
+        if (t - lastHeard > IDLE_TIMEOUT_MS) {
+            stream.destroy(new Error('udp stream idle'));
+            return;
+        }
+        // Keep both NAT mappings open while the session is quiet.
+        if (t - lastSent > KEEPALIVE_MS) transmit(packet(ACK, expected));
+    };
+
+    const stream = new Duplex({
+        allowHalfOpen: false,
+        read() {},
+        write(chunk, _encoding, cb) {
+            for (let i = 0; i < chunk.length; i += SEGMENT_BYTES) {
+                queue.push(chunk.subarray(i, i + SEGMENT_BYTES));
+            }
+            writeCb = cb;
+            pump();
+        },
+        final(cb) {
+            queue.push(FIN);
+            finalCb = cb;
+            pump();
+        },
+        destroy(err, cb) {
+            clearInterval(timer);
+            socket.removeListener('message', onMessage);
+            if (err) { try { socket.send(packet(RST, 0), remote.port, remote.host, () => {}); } catch { /* closed */ } }
+            try { socket.close(); } catch { /* already closed */ }
+            cb(err);
+        }
+    });
+    stream.remoteAddress = remote.host;
+    socket.on('message', onMessage);
+    const timer = setInterval(tick, TICK_MS);
+    timer.unref?.();
+    return stream;
+}
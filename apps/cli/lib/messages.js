@@ -0,0 +1,415 @@
+/**
+ * IPIP-0002 — operator-to-operator messages over Nostr relays.
+ *
+ * Direct messages are kind-14 events whose `content` is NIP-44 v2
+ * ciphertext for the recipient (`["p", <pubkey>]`); rooms are plain
+ * kind-1 notes tagged `["t", "infernet:<room>"]`. Both carry a
+ * `client` tag naming the wire version, and both are signed by the
+ * node key — the chat identity is the node identity.
+ *
+ * Everything received is kept in `~/.config/infernet/talk-messages.jsonl`
+ * as the raw signed event (DMs stay encrypted at rest), so `msg inbox`
+ * and the TUI show history when every relay is down. Joined rooms live
+ * in `talk-rooms.json` (seeded with DEFAULT_ROOMS on first use), the
+ * local block list in `talk-blocked.json`. All three are mode 0600.
+ *
+ * Delivery goes to every relay in config.discovery.relays, the same set
+ * capability advertisements use (lib/nostr-discovery.js); a message is
+ * delivered when any relay accepts it.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+    isHex64,
+    nip44ConversationKey,
+    nip44Decrypt,
+    nip44Encrypt,
+    signNostrEvent,
+    verifyNostrEvent
+} from '@infernetprotocol/auth';
+
+import { getConfigDir } from './config.js';
+import { connectRelay } from './nostr-discovery.js';
+
+export const DM_KIND = 14;
+export const ROOM_KIND = 1;
+export const TALK_CLIENT_TAG = 'infernet:talk:v1';
+export const ROOM_CLIENT_TAG = 'infernet:room:v1';
+export const DEFAULT_ROOMS = ['general', 'support', 'news', 'offtopic'];
+export const OPT_IN_ROOMS = ['dev', 'jobs'];
+// IPIP-0002 security considerations: drop events older than a day.
+export const MAX_AGE_SECONDS = 24 * 60 * 60;
+
+const ROOM_PREFIX = 'infernet:';
+const ROOM_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_STORED = 5000;
+const FETCH_TIMEOUT_MS = 5000;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 60_000;
+
+/** `#General` → `general`. Throws on anything that can't be a room name. */
+export function normalizeRoom(name) {
+    const room = String(name ?? '').trim().replace(/^#/, '').toLowerCase();
+    if (!ROOM_RE.test(room)) throw new Error(`invalid room name: ${name}`);
+    return room;
+}
+
+/**
+ * Encrypt `text` for `to` and sign the kind-14 event.
+ *
+ * @param {{ to: string, text: string, identity: { publicKey: string, privateKey: string },
+ *           now?: number }} opts  `now` in epoch ms
+ */
+export function buildDirectMessage({ to, text, identity, now = Date.now() }) {
+    if (!isHex64(to)) throw new Error('recipient must be a 64-hex pubkey');
+    const recipient = to.toLowerCase();
+    const content = nip44Encrypt(text, nip44ConversationKey(identity.privateKey, recipient));
+    return signNostrEvent({
+        kind: DM_KIND,
+        tags: [['p', recipient], ['client', TALK_CLIENT_TAG]],
+        content,
+        created_at: Math.floor(now / 1000)
+    }, identity);
+}
+
+/**
+ * Sign a kind-1 note for `room`. Full pubkeys mentioned in the text
+ * get a `p` tag so their clients can highlight the mention.
+ */
+export function buildRoomMessage({ room, text, identity, now = Date.now() }) {
+    const name = normalizeRoom(room);
+    if (typeof text !== 'string' || text.length === 0) throw new Error('message text is required');
+    const mentions = [...new Set(text.toLowerCase().match(/\b[0-9a-f]{64}\b/g) ?? [])];
+    return signNostrEvent({
+        kind: ROOM_KIND,
+        tags: [['t', `${ROOM_PREFIX}${name}`], ['client', ROOM_CLIENT_TAG], ...mentions.map((p) => ['p', p])],
+        content: text,
+        created_at: Math.floor(now / 1000)
+    }, identity);
+}
+
+/**
+ * Turn a received event into a message for display, or null when it
+ * isn't one: bad signature, a DM neither from nor to us, a note
+ * without an `infernet:` topic, or an unknown wire version.
+ *
+ * DMs from clients that don't set the `client` tag are kept and marked
+ * `foreign` unless `strict`.
+ *
+ * @returns {{ id: string, kind: 'dm' | 'room', from: string, to: string | null,
+ *             room: string | null, text: string, created_at: number,
+ *             outgoing: boolean, foreign: boolean } | null}
+ */
+export function readMessage(event, identity, { strict = false } = {}) {
+    if (event?.kind !== DM_KIND && event?.kind !== ROOM_KIND) return null;
+    if (!verifyNostrEvent(event)) return null;
+    const tag = (name) => event.tags.find((t) => t[0] === name)?.[1];
+    const client = tag('client');
+    const me = identity.publicKey.toLowerCase();
+
+    if (event.kind === ROOM_KIND) {
+        if (client !== ROOM_CLIENT_TAG) return null;
+        const topic = event.tags.find((t) => t[0] === 't' && t[1]?.startsWith(ROOM_PREFIX))?.[1];
+        if (!topic) return null;
+        const room = topic.slice(ROOM_PREFIX.length);
+        if (!ROOM_RE.test(room)) return null;
+        return {
+            id: event.id,
+            kind: 'room',
+            from: event.pubkey,
+            to: null,
+            room,
+            text: event.content,
+            created_at: event.created_at,
+            outgoing: event.pubkey === me,
+            foreign: false
+        };
+    }
+
+    if (client !== undefined && client !== TALK_CLIENT_TAG) return null;
+    if (client === undefined && strict) return null;
+    const to = tag('p')?.toLowerCase();
+    if (!to || !isHex64(to)) return null;
+    const outgoing = event.pubkey === me;
+    if (!outgoing && to !== me) return null;
+    let text;
+    try {
+        text = nip44Decrypt(event.content, nip44ConversationKey(identity.privateKey, outgoing ? to : event.pubkey));
+    } catch {
+        return null;
+    }
+    return {
+        id: event.id,
+        kind: 'dm',
+        from: event.pubkey,
+        to,
+        room: null,
+        text,
+        created_at: event.created_at,
+        outgoing,
+        foreign: client === undefined
+    };
+}
+
+/**
+ * NIP-01 filters for everything addressed to us, sent by us, or posted
+ * in `rooms`, newer than `since` (unix seconds).
+ */
+export function messageFilters(publicKey, rooms, since) {
+    const filters = [
+        { kinds: [DM_KIND], '#p': [publicKey], since },
+        { kinds: [DM_KIND], authors: [publicKey], since }
+    ];
+    if (rooms.length > 0) {
+        filters.push({ kinds: [ROOM_KIND], '#t': rooms.map((r) => `${ROOM_PREFIX}${r}`), since });
+    }
+    return filters;
+}
+
+/**
+ * Send a signed event to every relay. Resolves with how many accepted
+ * it; the message counts as delivered when that's at least one.
+ */
+export async function publishMessage(event, { relays, WebSocketImpl, timeoutMs = FETCH_TIMEOUT_MS }) {
+    const results = await Promise.allSettled(relays.map(async (url) => {
+        const r = await connectRelay(url, { WebSocketImpl, timeoutMs });
+        try {
+            return await r.publish(event);
+        } finally {
+            r.close();
+        }
+    }));
+    const accepted = results.filter((r) => r.status === 'fulfilled' && r.value.accepted).length;
+    return { accepted, relays: relays.length };
+}
+
+/**
+ * One-shot read: ask every relay for its stored events matching
+ * `filters` and resolve with them, de-duplicated, once each relay has
+ * sent EOSE (or failed, or timed out).
+ */
+export async function fetchMessages({ relays, filters, WebSocketImpl, timeoutMs = FETCH_TIMEOUT_MS }) {
+    const byId = new Map();
+    await Promise.allSettled(relays.map(async (url) => {
+        const r = await connectRelay(url, { WebSocketImpl, timeoutMs });
+        try {
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, timeoutMs);
+                r.subscribe(filters, {
+                    onEvent: (event) => { if (event?.id) byId.set(event.id, event); },
+                    onEose: () => { clearTimeout(timer); resolve(); }
+                });
+            });
+        } finally {
+            r.close();
+        }
+    }));
+    return [...byId.values()];
+}
+
+/**
+ * Live subscription on every relay. `filters(since)` builds the filters
+ * for each (re)connect; a dropped relay is retried with exponential
+ * backoff from the newest event seen, so reconnecting doesn't replay
+ * the whole window. Each event reaches `onEvent` once, whichever relay
+ * delivered it.
+ *
+ * @param {{ relays: string[], filters: (since: number) => object[],
+ *           since: number, onEvent: (event: object) => void,
+ *           WebSocketImpl?: Function, timeoutMs?: number }} opts
+ * @returns {{ close(): void }}
+ */
+export function subscribeMessages({ relays, filters, since, onEvent, WebSocketImpl, timeoutMs = FETCH_TIMEOUT_MS }) {
+    const seen = new Set();
+    const open = new Set();
+    const timers = new Set();
+    let closed = false;
+    let newest = since;
+
+    function deliver(event) {
+        if (!event?.id || seen.has(event.id)) return;
+        seen.add(event.id);
+        if (seen.size > MAX_STORED) seen.delete(seen.values().next().value);
+        if (Number.isInteger(event.created_at) && event.created_at > newest) newest = event.created_at;
+        onEvent(event);
+    }
+
+    function retry(url, delay) {
+        if (closed) return;
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            connect(url, Math.min(delay * 2, RECONNECT_MAX_MS));
+        }, delay);
+        timers.add(timer);
+    }
+
+    async function connect(url, delay) {
+        let r;
+        try {
+            r = await connectRelay(url, {
+                WebSocketImpl,
+                timeoutMs,
+                onClose: () => {
+                    open.delete(r);
+                    retry(url, RECONNECT_MIN_MS);
+                }
+            });
+        } catch {
+            retry(url, delay);
+            return;
+        }
+        if (closed) {
+            r.close();
+            return;
+        }
+        open.add(r);
+        r.subscribe(filters(newest), { onEvent: deliver });
+    }
+
+    for (const url of relays) connect(url, RECONNECT_MIN_MS);
+
+    return {
+        close() {
+            closed = true;
+            for (const t of timers) clearTimeout(t);
+            timers.clear();
+            for (const r of open) r.close();
+            open.clear();
+        }
+    };
+}
+
+/** `8f3a..b2d1`, or the whole pubkey with `full`. */
+export function shortKey(pubkey, full = false) {
+    return full ? pubkey : `${pubkey.slice(0, 4)}..${pubkey.slice(-4)}`;
+}
+
+/** One line per message, in the IPIP-0002 listening format. */
+export function formatMessage(m, { full = false } = {}) {
+    const time = new Date(m.created_at * 1000).toTimeString().slice(0, 8);
+    if (m.kind === 'room') {
+        const who = m.outgoing ? 'me' : shortKey(m.from, full);
+        return `[${time}] ${`#${m.room}`.padEnd(11)} <${who}> ${m.text}`;
+    }
+    const prefix = m.foreign ? '[non-infernet] ' : '';
+    const route = m.outgoing ? `me → @${shortKey(m.to, full)}` : `@${shortKey(m.from, full)} → me`;
+    return `[${time}] ${prefix}${route}  ${m.text}`;
+}
+
+// ---------------------------------------------------------------------------
+// Local state
+// ---------------------------------------------------------------------------
+
+export function getMessagesPath() {
+    return path.join(getConfigDir(), 'talk-messages.jsonl');
+}
+
+export function getRoomsPath() {
+    return path.join(getConfigDir(), 'talk-rooms.json');
+}
+
+export function getBlockedPath() {
+    return path.join(getConfigDir(), 'talk-blocked.json');
+}
+
+async function writePrivate(p, body) {
+    await fs.mkdir(path.dirname(p), { recursive: true, mode: 0o700 });
+    const tmp = `${p}.tmp`;
+    await fs.writeFile(tmp, body, { mode: 0o600 });
+    await fs.rename(tmp, p);
+}
+
+async function readJson(p) {
+    try {
+        return JSON.parse(await fs.readFile(p, 'utf8'));
+    } catch (err) {
+        if (err?.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+/** Stored raw events, oldest first. */
+export async function loadStoredEvents() {
+    let raw;
+    try {
+        raw = await fs.readFile(getMessagesPath(), 'utf8');
+    } catch (err) {
+        if (err?.code === 'ENOENT') return [];
+        throw err;
+    }
+    const events = [];
+    for (const line of raw.split('\n')) {
+        if (!line) continue;
+        try { events.push(JSON.parse(line)); } catch { /* skip a torn line */ }
+    }
+    return events;
+}
+
+/**
+ * Append the events not stored yet (by id). Resolves with the ones
+ * that were new. Keeps the newest MAX_STORED.
+ */
+export async function storeEvents(events) {
+    const stored = await loadStoredEvents();
+    const ids = new Set(stored.map((e) => e.id));
+    const fresh = [];
+    for (const e of events) {
+        if (!e?.id || ids.has(e.id)) continue;
+        ids.add(e.id);
+        fresh.push(e);
+    }
+    if (fresh.length === 0) return [];
+    const all = [...stored, ...fresh].sort((a, b) => a.created_at - b.created_at);
+    const kept = all.slice(-MAX_STORED);
+    await writePrivate(getMessagesPath(), kept.map((e) => JSON.stringify(e)).join('\n') + '\n');
+    return fresh;
+}
+
+/**
+ * Joined rooms. The first call on a node writes DEFAULT_ROOMS, so an
+ * operator who leaves a default room stays out of it.
+ */
+export async function loadRooms() {
+    const saved = await readJson(getRoomsPath());
+    if (Array.isArray(saved?.rooms)) return saved.rooms.filter((r) => ROOM_RE.test(r));
+    await saveRooms(DEFAULT_ROOMS);
+    return [...DEFAULT_ROOMS];
+}
+
+export async function saveRooms(rooms) {
+    const unique = [...new Set(rooms.map(normalizeRoom))];
+    await writePrivate(getRoomsPath(), JSON.stringify({ rooms: unique }, null, 2) + '\n');
+    return unique;
+}
+
+export async function loadBlocked() {
+    const saved = await readJson(getBlockedPath());
+    return Array.isArray(saved?.blocked) ? saved.blocked.filter(isHex64) : [];
+}
+
+export async function saveBlocked(pubkeys) {
+    const unique = [...new Set(pubkeys.map((p) => p.toLowerCase()))];
+    await writePrivate(getBlockedPath(), JSON.stringify({ blocked: unique }, null, 2) + '\n');
+    return unique;
+}
+
+/**
+ * Stored messages readable by `identity`, oldest first: newer than
+ * `since` (unix seconds), not from a blocked pubkey, and — when given —
+ * only DMs or only the listed rooms.
+ */
+export async function readStoredMessages(identity, { since = 0, blocked = [], kind, rooms, strict = false } = {}) {
+    const blockedSet = new Set(blocked);
+    const out = [];
+    for (const event of await loadStoredEvents()) {
+        if (!(event?.created_at >= since)) continue;
+        const msg = readMessage(event, identity, { strict });
+        if (!msg || blockedSet.has(msg.from)) continue;
+        if (kind && msg.kind !== kind) continue;
+        if (rooms && msg.kind === 'room' && !rooms.includes(msg.room)) continue;
+        out.push(msg);
+    }
+    return out;
+}
@@ -0,0 +1,241 @@
+/**
+ * Model weight fingerprints (IPIP-0014 §2).
+ *
+ * A provider advertises a content digest per served model in
+ * `specs.model_digests` ({ "<model name>": "sha256:<hex>" }) so the
+ * control plane can check it against its registry of known-good
+ * digests (models_canonical) instead of trusting the name alone.
+ *
+ * Where the digest comes from:
+ *   - Ollama: the manifest digest /api/tags reports for the tag. The
+ *     manifest lists every layer blob by sha256, so it pins the weights.
+ *   - a .gguf file: sha256 of the GGUF header — magic through the end
+ *     of the tensor-info table (metadata, tokenizer, every tensor's
+ *     name / shape / quant type / offset).
+ *   - a safetensors directory (vLLM / HF snapshot): sha256 over
+ *     config.json and each shard's JSON header, shards in name order
+ *     (from model.safetensors.index.json when there is one).
+ *
+ * The file digests cover layout, not every weight byte: hashing tens of
+ * GB on each specs refresh isn't an option. Swapped-in weights with an
+ * identical layout are the CPR canaries' job, not this one's.
+ *
+ * Operators map model names to files in `engine.modelPaths`
+ * ({ "<model name>": "/path/to/model.gguf" | "/path/to/snapshot" });
+ * those take precedence over Ollama's digest for the same name.
+ */
+
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const GGUF_MAGIC = 0x46554747; // "GGUF" little-endian
+const READ_CHUNK = 1 << 20;
+const MAX_GGUF_STRING = 1 << 24;
+const MAX_GGUF_COUNT = 1 << 24;
+const MAX_SAFETENSORS_HEADER = 100 * 1024 * 1024;
+
+// GGUF metadata value types → fixed byte size (strings and arrays are variable).
+const GGUF_FIXED_SIZE = { 0: 1, 1: 1, 2: 2, 3: 2, 4: 4, 5: 4, 6: 4, 7: 1, 10: 8, 11: 8, 12: 8 };
+const GGUF_STRING = 8;
+const GGUF_ARRAY = 9;
+
+/** `sha256:<hex>` from an Ollama /api/tags `digest`, or null. */
+export function ollamaFingerprint(digest) {
+    if (typeof digest !== 'string') return null;
+    const hex = digest.replace(/^sha256:/, '').toLowerCase();
+    return /^[0-9a-f]{64}$/.test(hex) ? `sha256:${hex}` : null;
+}
+
+/**
+ * Sequential little-endian reader over a file handle, buffering
+ * READ_CHUNK at a time — a GGUF header can run to tens of MB with a
+ * large tokenizer vocabulary.
+ */
+function fileReader(handle) {
+    let buf = Buffer.alloc(0);
+    let bufStart = 0;
+    let pos = 0;
+
+    async function take(n) {
+        if (pos + n > bufStart + buf.length) {
+            const next = Buffer.alloc(Math.max(n, READ_CHUNK));
+            const { bytesRead } = await handle.read(next, 0, next.length, pos);
+            if (bytesRead < n) throw new Error('truncated GGUF header');
+            buf = next.subarray(0, bytesRead);
+            bufStart = pos;
+        }
+        const out = buf.subarray(pos - bufStart, pos - bufStart + n);
+        pos += n;
+        return out;
+    }
+
+    async function u64() {
+        const n = (await take(8)).readBigUInt64LE(0);
+        if (n > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('GGUF value out of range');
+        return Number(n);
+    }
+
+    return {
+        get pos() { return pos; },
+        skip(n) { pos += n; },
+        u32: async () => (await take(4)).readUInt32LE(0),
+        u64,
+        async skipString() {
+            const len = await u64();
+            if (len > MAX_GGUF_STRING) throw new Error('GGUF string too long');
+            pos += len;
+        }
+    };
+}
+
+async function skipGgufValue(reader, type) {
+    if (type === GGUF_STRING) return reader.skipString();
+    if (type === GGUF_ARRAY) {
+        const itemType = await reader.u32();
+        const count = await reader.u64();
+        if (count > MAX_GGUF_COUNT) throw new Error('GGUF array too long');
+        if (itemType in GGUF_FIXED_SIZE) return reader.skip(count * GGUF_FIXED_SIZE[itemType]);
+        for (let i = 0; i < count; i++) await skipGgufValue(reader, itemType);
+        return;
+    }
+    if (!(type in GGUF_FIXED_SIZE)) throw new Error(`unknown GGUF value type ${type}`);
+    reader.skip(GGUF_FIXED_SIZE[type]);
+}
+
+/** Byte length of a GGUF file's header: magic through the tensor-info table. */
+export async function ggufHeaderLength(file) {
+    const handle = await fs.open(file, 'r');
+    try {
+        const reader = fileReader(handle);
+        if (await reader.u32() !== GGUF_MAGIC) throw new Error(`${file} is not a GGUF file`);
+        const version = await reader.u32();
+        // v1 used 32-bit counts and hasn't been written since 2023.
+        if (version < 2) throw new Error(`GGUF v${version} is not supported`);
+        const tensorCount = await reader.u64();
+        const kvCount = await reader.u64();
+        if (tensorCount > MAX_GGUF_COUNT || kvCount > MAX_GGUF_COUNT) throw new Error('GGUF header counts out of range');
+
+        for (let i = 0; i < kvCount; i++) {
+            await reader.skipString();
+            await skipGgufValue(reader, await reader.u32());
+        }
+        for (let i = 0; i < tensorCount; i++) {
+            await reader.skipString();
+            const dims = await reader.u32();
+            reader.skip(dims * 8 + 4 + 8); // dims, ggml type, data offset
+        }
+
+        const { size } = await handle.stat();
+        if (reader.pos > size) throw new Error('truncated GGUF header');
+        return reader.pos;
+    } finally {
+        await handle.close();
+    }
+}
+
+async function hashFileRange(hash, file, end) {
+    const handle = await fs.open(file, 'r');
+    try {
+        const chunk = Buffer.alloc(READ_CHUNK);
+        for (let pos = 0; pos < end;) {
+            const { bytesRead } = await handle.read(chunk, 0, Math.min(chunk.length, end - pos), pos);
+            if (bytesRead === 0) throw new Error(`${file} ended early`);
+            hash.update(chunk.subarray(0, bytesRead));
+            pos += bytesRead;
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+/** `sha256:<hex>` of a .gguf file's header. */
+export async function ggufFingerprint(file) {
+    const hash = createHash('sha256');
+    await hashFileRange(hash, file, await ggufHeaderLength(file));
+    return `sha256:${hash.digest('hex')}`;
+}
+
+async function safetensorsShards(dir) {
+    try {
+        const index = JSON.parse(await fs.readFile(path.join(dir, 'model.safetensors.index.json'), 'utf8'));
+        const shards = Object.values(index?.weight_map ?? {}).filter((f) => typeof f === 'string');
+        if (shards.length > 0) return [...new Set(shards)].sort();
+    } catch (err) {
+        if (err?.code !== 'ENOENT') throw err;
+    }
+    return (await fs.readdir(dir)).filter((f) => f.endsWith('.safetensors')).sort();
+}
+
+/** `sha256:<hex>` over a safetensors model directory's config and shard headers. */
+export async function safetensorsFingerprint(dir) {
+    const shards = await safetensorsShards(dir);
+    if (shards.length === 0) throw new Error(`no .safetensors files in ${dir}`);
+
+    const hash = createHash('sha256');
+    try {
+        hash.update(await fs.readFile(path.join(dir, 'config.json')));
+    } catch (err) {
+        if (err?.code !== 'ENOENT') throw err;
+    }
+    for (const shard of shards) {
+        const file = path.join(dir, shard);
+        const handle = await fs.open(file, 'r');
+        let headerLength;
+        try {
+            const prefix = Buffer.alloc(8);
+            const { bytesRead } = await handle.read(prefix, 0, 8, 0);
+            if (bytesRead < 8) throw new Error(`${file} is not a safetensors file`);
+            headerLength = Number(prefix.readBigUInt64LE(0));
+        } finally {
+            await handle.close();
+        }
+        if (headerLength > MAX_SAFETENSORS_HEADER) throw new Error(`${file}: safetensors header too large`);
+        hash.update(`${shard}\n`);
+        await hashFileRange(hash, file, 8 + headerLength);
+    }
+    return `sha256:${hash.digest('hex')}`;
+}
+
+// Keyed on path + size + mtime, so a specs refresh only re-reads files
+// that changed.
+const fileCache = new Map();
+
+/** Fingerprint whatever `target` is: a .gguf file or a safetensors directory. */
+export async function pathFingerprint(target) {
+    const stat = await fs.stat(target);
+    const cacheKey = `${target}:${stat.size}:${stat.mtimeMs}`;
+    if (fileCache.has(cacheKey)) return fileCache.get(cacheKey);
+    const digest = stat.isDirectory() ? await safetensorsFingerprint(target) : await ggufFingerprint(target);
+    fileCache.set(cacheKey, digest);
+    return digest;
+}
+
+/**
+ * Digests for `names`: `modelPaths` entries first, then the Ollama
+ * manifest digests (`ollamaModels` as returned with /api/tags'
+ * `digest`). Models nothing can fingerprint are left out. A path that
+ * can't be read is reported once per refresh and skipped.
+ *
+ * @param {{ names: string[], ollamaModels?: Array<{ name: string, digest?: string|null }>,
+ *           modelPaths?: Record<string, string>, warn?: (msg: string) => void }} opts
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function gatherModelDigests({ names, ollamaModels = [], modelPaths = {}, warn = () => {} }) {
+    const fromOllama = new Map(ollamaModels.map((m) => [m.name, ollamaFingerprint(m.digest)]));
+    const out = {};
+    for (const name of names) {
+        const target = typeof modelPaths?.[name] === 'string' ? modelPaths[name] : null;
+        if (target) {
+            try {
+                out[name] = await pathFingerprint(target);
+                continue;
+            } catch (err) {
+                warn(`can't fingerprint ${name} from ${target}: ${err?.message ?? err}`);
+            }
+        }
+        const digest = fromOllama.get(name);
+        if (digest) out[name] = digest;
+    }
+    return out;
+}
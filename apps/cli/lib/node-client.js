@@ -4,10 +4,28 @@
  * Every call is signed with the node's Nostr privkey (Schnorr / BIP-340)
  * and carries an X-Infernet-Auth envelope the server verifies. The node
  * never learns any DB credential — proof of ownership is the signature.
+ *
+ * With `wire: 'protobuf'` the hot endpoints (heartbeat, jobs/poll,
+ * jobs/:id/events) send and ask for protobuf bodies instead of JSON
+ * (lib/node-wire.js); the signature then covers the binary body.
+ * Callers get the same objects back either way.
+ *
+ * Job and command completion send an Idempotency-Key and are retried on
+ * transient failures: the control plane answers a retry of a call that
+ * already landed with the first response instead of recording it twice.
  */
 
+import { randomUUID } from 'node:crypto';
+
 import { signRequest, AUTH_HEADER } from '@infernetprotocol/auth';
 
+import { HEARTBEAT, JOB_EVENTS, POLL_JOBS, PROTOBUF_CONTENT_TYPE, protobufMediaType } from './node-wire.js';
+
+const WIRES = new Set(['json', 'protobuf']);
+
+// Waits between attempts of an idempotent call; its length is the retry count.
+const RETRY_DELAYS_MS = [500, 2000, 5000];
+
 function trimTrailingSlash(url) {
     return url.endsWith('/') ? url.slice(0, -1) : url;
 }
@@ -19,21 +37,41 @@ function trimTrailingSlash(url) {
  * @property {string} privateKey   - 64-char hex Nostr privkey
  * @property {string} [role]       - provider | aggregator | client
  * @property {number} [timeoutMs]  - per-request timeout (default 15000)
+ * @property {'json'|'protobuf'} [wire] - body encoding for the hot endpoints (default json)
+ * @property {object} [delegation] - certificate from the master key when
+ *   publicKey/privateKey are a delegated subkey (`infernet pubkey delegate`);
+ *   requests then go out as v2 envelopes acting for the master
+ * @property {number[]} [retryDelaysMs] - waits between attempts of job / command
+ *   completion (default 0.5s, 2s, 5s)
  */
 
-export function createNodeClient({ url, publicKey, privateKey, role, timeoutMs = 15000 }) {
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function createNodeClient({
+    url,
+    publicKey,
+    privateKey,
+    role,
+    timeoutMs = 15000,
+    wire = 'json',
+    delegation,
+    retryDelaysMs = RETRY_DELAYS_MS
+}) {
     if (!url) throw new Error('node client: url is required');
     if (!publicKey || !privateKey) throw new Error('node client: publicKey + privateKey are required');
+    if (!WIRES.has(wire)) throw new Error(`node client: wire must be one of ${[...WIRES].join(', ')}`);
     const base = trimTrailingSlash(url);
 
-    async function signedFetch(path, body) {
-        const bodyText = body === undefined ? '' : JSON.stringify(body);
+    async function post(path, body, headers) {
         const { header } = signRequest({
             method: 'POST',
             path,
-            body: bodyText,
+            body,
             publicKey,
-            privateKey
+            privateKey,
+            delegation
         });
         const controller = new AbortController();
         const timer = setTimeout(() => controller.abort(), timeoutMs);
@@ -41,17 +79,18 @@ export function createNodeClient({ url, publicKey, privateKey, role, timeoutMs =
         try {
             res = await fetch(base + path, {
                 method: 'POST',
-                headers: {
-                    'content-type': 'application/json',
-                    [AUTH_HEADER]: header
-                },
-                body: bodyText,
+                headers: { ...headers, [AUTH_HEADER]: header },
+                body,
                 signal: controller.signal
             });
         } finally {
             clearTimeout(timer);
         }
+        return res;
+    }
 
+    // Errors are JSON whichever wire the request used.
+    async function readJson(path, res) {
         let payload = null;
         const text = await res.text();
         if (text) {
@@ -68,10 +107,59 @@ export function createNodeClient({ url, publicKey, privateKey, role, timeoutMs =
         return payload?.data ?? null;
     }
 
+    async function signedFetch(path, body) {
+        const bodyText = body === undefined ? '' : JSON.stringify(body);
+        const res = await post(path, bodyText, { 'content-type': 'application/json' });
+        return readJson(path, res);
+    }
+
+    /**
+     * signedFetch for calls that must take effect once. Every attempt is
+     * signed afresh (nonces are single-use) under the same
+     * Idempotency-Key; network errors, 5xx and a 409 for a key still in
+     * use by the previous attempt are retried.
+     */
+    async function signedFetchIdempotent(path, body) {
+        const bodyText = body === undefined ? '' : JSON.stringify(body);
+        const headers = { 'content-type': 'application/json', 'idempotency-key': randomUUID() };
+        for (let attempt = 0; ; attempt++) {
+            const last = attempt >= retryDelaysMs.length;
+            let res;
+            try {
+                res = await post(path, bodyText, headers);
+            } catch (err) {
+                if (last) throw err;
+                await sleep(retryDelaysMs[attempt]);
+                continue;
+            }
+            const inUse = res.status === 409
+                && (await res.clone().json().catch(() => null))?.error === 'idempotency_key_in_use';
+            if (last || (res.status < 500 && !inUse)) return readJson(path, res);
+            await sleep(retryDelaysMs[attempt]);
+        }
+    }
+
+    /**
+     * POST `input` to a protobuf-capable endpoint (lib/node-wire.js).
+     * A control plane that answers JSON anyway is still understood.
+     */
+    async function signedFetchProto(path, endpoint, input) {
+        if (wire !== 'protobuf') return signedFetch(path, input);
+        const bytes = endpoint.request.encode(endpoint.toProto(input));
+        const res = await post(path, bytes, {
+            'content-type': protobufMediaType(endpoint.request),
+            accept: `${protobufMediaType(endpoint.response)}, application/json`
+        });
+        const type = (res.headers.get('content-type') ?? '').split(';')[0].trim().toLowerCase();
+        if (!res.ok || type !== PROTOBUF_CONTENT_TYPE) return readJson(path, res);
+        return endpoint.fromProto(endpoint.response.decode(new Uint8Array(await res.arrayBuffer())));
+    }
+
     return {
         base,
         publicKey,
         role,
+        wire,
         signedFetch,
 
         register(input) {
@@ -79,26 +167,26 @@ export function createNodeClient({ url, publicKey, privateKey, role, timeoutMs =
         },
 
         heartbeat(input = {}) {
-            return signedFetch('/api/v1/node/heartbeat', { role, ...input });
+            return signedFetchProto('/api/v1/node/heartbeat', HEARTBEAT, { role, ...input });
         },
 
         pollJobs(input = {}) {
-            return signedFetch('/api/v1/node/jobs/poll', input);
+            return signedFetchProto('/api/v1/node/jobs/poll', POLL_JOBS, input);
         },
 
         completeJob(jobId, input = {}) {
-            return signedFetch(`/api/v1/node/jobs/${encodeURIComponent(jobId)}/complete`, input);
+            return signedFetchIdempotent(`/api/v1/node/jobs/${encodeURIComponent(jobId)}/complete`, input);
         },
 
         failJob(jobId, error) {
-            return signedFetch(`/api/v1/node/jobs/${encodeURIComponent(jobId)}/complete`, {
+            return signedFetchIdempotent(`/api/v1/node/jobs/${encodeURIComponent(jobId)}/complete`, {
                 status: 'failed',
                 error: typeof error === 'string' ? error : String(error?.message ?? error)
             });
         },
 
         postJobEvents(jobId, events) {
-            return signedFetch(`/api/v1/node/jobs/${encodeURIComponent(jobId)}/events`, { events });
+            return signedFetchProto(`/api/v1/node/jobs/${encodeURIComponent(jobId)}/events`, JOB_EVENTS, { events });
         },
 
         remove() {
@@ -118,7 +206,7 @@ export function createNodeClient({ url, publicKey, privateKey, role, timeoutMs =
         },
 
         completeCommand(commandId, { status, result, error: errorMessage } = {}) {
-            return signedFetch(
+            return signedFetchIdempotent(
                 `/api/v1/node/commands/${encodeURIComponent(commandId)}/complete`,
                 { status, result, error: errorMessage }
             );
@@ -147,6 +235,8 @@ export function createNodeClientFromConfig(config) {
         url,
         publicKey: node.publicKey,
         privateKey: node.privateKey,
-        role: node.role
+        role: node.role,
+        wire: config?.controlPlane?.wire ?? 'json',
+        delegation: node.delegation
     });
 }
@@ -0,0 +1,74 @@
+/**
+ * Protobuf bodies for the node API's hot endpoints (protocol/docs/node-api.md).
+ *
+ * heartbeat, jobs/poll and jobs/:id/events accept `infernet.peer.v1` /
+ * `infernet.compute.v1` messages as well as JSON. Each endpoint below
+ * maps the JSON shape the rest of the daemon uses to its request
+ * message and the reply message back, so callers of lib/node-client.js
+ * see the same objects on either wire. Open-ended parts (extra specs,
+ * input_spec, event data) ride as JSON strings inside the message.
+ */
+
+import { computeV1, peerV1 } from '@infernetprotocol/protocol';
+
+export const PROTOBUF_CONTENT_TYPE = 'application/x-protobuf';
+
+/** Media type naming the exact message, version included. */
+export function protobufMediaType(desc) {
+    return `${PROTOBUF_CONTENT_TYPE}; proto=${desc.typeName}`;
+}
+
+function specsToProto(specs) {
+    const { gpus = [], gpu_count, served_models, embedding_models, vision_models, ...extra } = specs;
+    return {
+        gpus: gpus.map((g) => ({ vendor: g.vendor, vram_tier: g.vram_tier, model: g.model })),
+        gpu_count: gpu_count ?? gpus.length,
+        served_models: served_models ?? [],
+        embedding_models: embedding_models ?? [],
+        vision_models: vision_models ?? [],
+        extra_json: Object.keys(extra).length > 0 ? JSON.stringify(extra) : ''
+    };
+}
+
+export const HEARTBEAT = {
+    request: peerV1.Heartbeat,
+    response: peerV1.HeartbeatAck,
+    toProto: ({ role, status, address, port, specs }) => ({
+        role,
+        status,
+        address,
+        port,
+        specs: specs ? specsToProto(specs) : null
+    }),
+    fromProto: (m) => ({ id: m.id })
+};
+
+export const POLL_JOBS = {
+    request: computeV1.PollJobsRequest,
+    response: computeV1.PollJobsResponse,
+    toProto: ({ limit }) => ({ limit }),
+    fromProto: (m) => ({
+        provider_id: m.provider_id,
+        jobs: m.jobs.map((job) => ({
+            id: job.id,
+            title: job.title || null,
+            type: job.type || null,
+            status: job.status,
+            payment_offer: job.payment_offer,
+            payment_coin: job.payment_coin || null,
+            model_name: job.model_name || null,
+            input_spec: job.input_spec_json ? JSON.parse(job.input_spec_json) : null,
+            created_at: job.created_at || null
+        })),
+        cancel: m.cancel
+    })
+};
+
+export const JOB_EVENTS = {
+    request: computeV1.JobEventBatch,
+    response: computeV1.JobEventsAck,
+    toProto: ({ events }) => ({
+        events: events.map((e) => ({ event_type: e.event_type, data_json: JSON.stringify(e.data ?? {}) }))
+    }),
+    fromProto: (m) => ({ inserted: m.inserted, ...(m.cancel ? { cancel: true } : {}) })
+};
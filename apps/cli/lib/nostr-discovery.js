@@ -0,0 +1,295 @@
+/**
+ * IPIP-0006 phase 3 — Nostr capability advertising.
+ *
+ * Providers publish a signed NIP-78 event (kind 30078, d-tag
+ * `infernet:capability:v1`; @infernetprotocol/auth nostr-event.js) to
+ * the configured relays every minute: served models, coarse GPU tiers,
+ * price and the multiaddr to dial. Consumers subscribe to the same
+ * relays, verify every event, keep the newest per pubkey and hand the
+ * live providers to provider selection — none of it touches the
+ * control plane.
+ *
+ * Relays come from config.discovery.relays (DEFAULT_RELAYS otherwise).
+ * They are untrusted: an event only counts if its signature checks out
+ * and its `expires` tag hasn't passed, and candidates report how many
+ * relays carried them.
+ *
+ * NIP-01 over WebSocket: the global WebSocket when the runtime has one
+ * (Node 22+), else the `ws` package. Tests pass `WebSocketImpl`.
+ */
+
+import {
+    CAPABILITY_D_TAG,
+    CAPABILITY_KIND,
+    buildCapabilityEvent,
+    newerNostrEvent,
+    parseCapabilityEvent
+} from '@infernetprotocol/auth';
+
+export const DEFAULT_RELAYS = ['wss://relay.damus.io', 'wss://relay.nostr.info'];
+const RELAY_TIMEOUT_MS = 5000;
+
+/** Relay URLs from config.discovery.relays, or the defaults. */
+export function discoveryRelays(config) {
+    const relays = config?.discovery?.relays;
+    if (!Array.isArray(relays)) return DEFAULT_RELAYS;
+    return relays.filter((r) => typeof r === 'string' && /^wss?:\/\//.test(r));
+}
+
+async function resolveWebSocket(impl) {
+    if (impl) return impl;
+    if (typeof globalThis.WebSocket === 'function') return globalThis.WebSocket;
+    return (await import('ws')).default;
+}
+
+/**
+ * Open a NIP-01 connection to one relay.
+ *
+ * Resolves with `{ url, closed, publish(event) → { accepted, message },
+ * subscribe(filters, { onEvent, onEose }) → { close() }, close() }`.
+ * `onEose` also fires when the relay closes the subscription or drops
+ * the connection, so callers waiting on it never hang. `onClose` runs
+ * once the connection is gone, for callers that reconnect.
+ */
+export async function connectRelay(url, { WebSocketImpl, timeoutMs = RELAY_TIMEOUT_MS, onClose } = {}) {
+    const WS = await resolveWebSocket(WebSocketImpl);
+    const ws = new WS(url);
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            try { ws.close(); } catch { /* ignore */ }
+            reject(new Error(`${url}: connect timed out`));
+        }, timeoutMs);
+        ws.addEventListener('open', () => { clearTimeout(timer); resolve(); });
+        ws.addEventListener('error', (ev) => {
+            clearTimeout(timer);
+            reject(new Error(`${url}: ${ev?.message ?? ev?.error?.message ?? 'connection failed'}`));
+        });
+    });
+
+    // subscription id → { onEvent, onEose }
+    const subs = new Map();
+    // event id → settle(result) for publishes awaiting the relay's OK.
+    const pendingOk = new Map();
+    let closed = false;
+    let nextSub = 0;
+
+    ws.addEventListener('message', (ev) => {
+        let msg;
+        try { msg = JSON.parse(typeof ev.data === 'string' ? ev.data : String(ev.data)); }
+        catch { return; }
+        if (!Array.isArray(msg)) return;
+        const [type, a, b, c] = msg;
+        if (type === 'EVENT') {
+            subs.get(a)?.onEvent?.(b);
+        } else if (type === 'EOSE') {
+            subs.get(a)?.onEose?.();
+        } else if (type === 'CLOSED') {
+            const sub = subs.get(a);
+            subs.delete(a);
+            sub?.onEose?.();
+        } else if (type === 'OK') {
+            pendingOk.get(a)?.({ accepted: b === true, message: typeof c === 'string' ? c : '' });
+        }
+    });
+    ws.addEventListener('close', () => {
+        closed = true;
+        for (const settle of pendingOk.values()) settle({ accepted: false, message: 'connection closed' });
+        for (const sub of subs.values()) sub.onEose?.();
+        subs.clear();
+        onClose?.();
+    });
+
+    return {
+        url,
+        get closed() { return closed; },
+        publish(event) {
+            if (closed) return Promise.resolve({ accepted: false, message: 'connection closed' });
+            return new Promise((resolve) => {
+                const settle = (result) => {
+                    clearTimeout(timer);
+                    pendingOk.delete(event.id);
+                    resolve(result);
+                };
+                const timer = setTimeout(() => settle({ accepted: false, message: 'timed out' }), timeoutMs);
+                pendingOk.set(event.id, settle);
+                ws.send(JSON.stringify(['EVENT', event]));
+            });
+        },
+        subscribe(filters, { onEvent, onEose } = {}) {
+            nextSub += 1;
+            const id = `infernet-${nextSub}`;
+            subs.set(id, { onEvent, onEose });
+            ws.send(JSON.stringify(['REQ', id, ...filters]));
+            return {
+                close() {
+                    if (subs.delete(id) && !closed) ws.send(JSON.stringify(['CLOSE', id]));
+                }
+            };
+        },
+        close() {
+            try { ws.close(); } catch { /* ignore */ }
+        }
+    };
+}
+
+/**
+ * Provider side. Keeps one connection per relay open between
+ * publishes and reconnects lazily when one drops.
+ *
+ * @param {{ identity: { publicKey: string, privateKey: string }, relays: string[],
+ *           WebSocketImpl?: Function, now?: () => number }} opts
+ */
+export function createCapabilityPublisher({ identity, relays, WebSocketImpl, now = Date.now }) {
+    // url → Promise<relay>
+    const conns = new Map();
+
+    async function relay(url) {
+        let conn = conns.get(url);
+        if (!conn) {
+            conn = connectRelay(url, { WebSocketImpl });
+            conns.set(url, conn);
+        }
+        try {
+            const r = await conn;
+            if (!r.closed) return r;
+        } catch (err) {
+            conns.delete(url);
+            throw err;
+        }
+        conns.delete(url);
+        return relay(url);
+    }
+
+    async function send(capability, ttlSeconds) {
+        const event = buildCapabilityEvent({
+            ...capability,
+            publicKey: identity.publicKey,
+            privateKey: identity.privateKey,
+            ttlSeconds,
+            now: now()
+        });
+        const results = await Promise.allSettled(relays.map(async (url) => (await relay(url)).publish(event)));
+        const accepted = results.filter((r) => r.status === 'fulfilled' && r.value.accepted).length;
+        return { accepted, relays: relays.length, event };
+    }
+
+    return {
+        /**
+         * Sign `{ models, multiaddr, gpus, price, coins }` and send it to
+         * every relay. Resolves with how many accepted it.
+         */
+        publish(capability) {
+            return send(capability, undefined);
+        },
+        /**
+         * Replace our advertisement with one that lists no models and
+         * expires now, so consumers stop routing here before the last
+         * one would have lapsed.
+         */
+        withdraw(multiaddr = null) {
+            return send({ models: [], multiaddr }, 0);
+        },
+        close() {
+            for (const conn of conns.values()) conn.then((r) => r.close(), () => {});
+            conns.clear();
+        }
+    };
+}
+
+/**
+ * Consumer side. start() subscribes to every relay and resolves once
+ * each has delivered its stored events (or failed, or timed out);
+ * subscriptions stay open so later republishes keep the map current
+ * until close().
+ *
+ * @param {{ relays: string[], WebSocketImpl?: Function, timeoutMs?: number,
+ *           now?: () => number }} opts
+ */
+export function createCapabilityResolver({ relays, WebSocketImpl, timeoutMs = RELAY_TIMEOUT_MS, now = Date.now }) {
+    // pubkey → { event, capability, relays: Set<url> }
+    const byPubkey = new Map();
+    const open = [];
+
+    function accept(url, event) {
+        let capability;
+        try { capability = parseCapabilityEvent(event, { now: now() }); }
+        catch { return; }
+        const current = byPubkey.get(capability.pubkey);
+        if (current?.event.id === event.id) {
+            current.relays.add(url);
+            return;
+        }
+        if (current && newerNostrEvent(current.event, event) === current.event) return;
+        byPubkey.set(capability.pubkey, { event, capability, relays: new Set([url]) });
+    }
+
+    return {
+        /** Resolves with the number of relays that answered. */
+        async start() {
+            const results = await Promise.allSettled(relays.map(async (url) => {
+                const r = await connectRelay(url, { WebSocketImpl, timeoutMs });
+                open.push(r);
+                await new Promise((resolve) => {
+                    const timer = setTimeout(resolve, timeoutMs);
+                    // Relays index single-letter tags only, so filter on `d`.
+                    r.subscribe([{ kinds: [CAPABILITY_KIND], '#d': [CAPABILITY_D_TAG] }], {
+                        onEvent: (event) => accept(url, event),
+                        onEose: () => { clearTimeout(timer); resolve(); }
+                    });
+                });
+            }));
+            return results.filter((r) => r.status === 'fulfilled').length;
+        },
+
+        /**
+         * Live providers, optionally only those serving `model`, cheapest
+         * first (unpriced last). Expired advertisements are dropped here.
+         *
+         * @returns {{ pubkey: string, multiaddr: string | null, models: string[],
+         *             gpus: object[], price: number | null, coins: object[],
+         *             expires_at: string, relays: number }[]}
+         */
+        candidates({ model } = {}) {
+            const t = Math.floor(now() / 1000);
+            const out = [];
+            for (const [pubkey, { capability, relays: seenOn }] of byPubkey) {
+                if (capability.expires_at_unix < t) {
+                    byPubkey.delete(pubkey);
+                    continue;
+                }
+                if (model && !capability.models.includes(model)) continue;
+                out.push({
+                    pubkey,
+                    multiaddr: capability.multiaddr,
+                    models: capability.models,
+                    gpus: capability.gpus,
+                    price: capability.price,
+                    coins: capability.coins,
+                    expires_at: new Date(capability.expires_at_unix * 1000).toISOString(),
+                    relays: seenOn.size
+                });
+            }
+            return out.sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity) || b.relays - a.relays);
+        },
+
+        close() {
+            for (const r of open) r.close();
+            open.length = 0;
+        }
+    };
+}
+
+/**
+ * One-shot lookup: subscribe, wait for the relays' stored events, and
+ * return the candidates serving `model` (all live providers without
+ * one).
+ */
+export async function findCapabilities({ relays, model, WebSocketImpl, timeoutMs, now } = {}) {
+    const resolver = createCapabilityResolver({ relays, WebSocketImpl, timeoutMs, now });
+    try {
+        await resolver.start();
+        return resolver.candidates({ model });
+    } finally {
+        resolver.close();
+    }
+}
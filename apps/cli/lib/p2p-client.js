@@ -0,0 +1,236 @@
+/**
+ * Dial another node's P2P listener and run `infernet.handshake.v1`
+ * (lib/handshake.js) before anything else.
+ *
+ *   const peer = await dialPeer({ host, port, identity: { publicKey, privateKey } });
+ *   peer.peerId, peer.protocols      // verified remote identity + negotiated set
+ *   await peer.request('info');      // NDJSON command → its reply
+ *   for await (const frame of peer.stream('compute.submit', { ticket, input }, isLast)) …
+ *   peer.close();
+ *
+ * Throws when the connection fails, the reply isn't signed by the key
+ * it claims (or by `expectedPeerId`), or the remote rejects us — the
+ * error then carries `reason` from the HandshakeResponse.
+ *
+ * Providers behind NAT are reached through a relay instead
+ * (`/p2p-circuit` multiaddrs, lib/relay.js dialCircuit()); that path
+ * runs the same handshake over the relayed stream with openSession().
+ */
+
+import net from 'node:net';
+
+import { createHandshakeRequest, verifyHandshakeResponse } from './handshake.js';
+
+const DEFAULT_TIMEOUT_MS = 10_000;
+
+/**
+ * @param {{ host: string, port: number, identity: { publicKey: string, privateKey: string },
+ *           expectedPeerId?: string, protocols?: string[], agentVersion?: string,
+ *           timeoutMs?: number }} opts
+ * @returns {Promise<{ peerId: string, protocols: string[],
+ *           request: (cmd: string, payload?: object) => Promise<object>,
+ *           stream: (cmd: string, payload: object, isLast: (reply: object) => boolean) => AsyncGenerator<object>,
+ *           send: (cmd: string, payload?: object) => void, close: () => void,
+ *           exchange: (message: object) => Promise<object>,
+ *           detach: () => { socket: import('node:stream').Duplex, head: Buffer },
+ *           onClose: (fn: () => void) => void }>}
+ *   `stream` yields every reply line up to and including the one
+ *   `isLast` accepts; `send` is fire-and-forget (e.g. `compute.cancel`
+ *   while a stream is open); `exchange` writes a raw line and waits for
+ *   the next one (the relay's pre-handshake punch negotiation).
+ */
+export async function dialPeer({ host, port, identity, expectedPeerId, protocols, agentVersion, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!host || !port) throw new Error('dialPeer: host and port are required');
+    if (!identity?.publicKey || !identity?.privateKey) throw new Error('dialPeer: identity keypair is required');
+
+    const sock = net.connect({ host, port });
+    try {
+        await withTimeout(new Promise((resolve, reject) => {
+            sock.once('connect', resolve);
+            sock.once('error', reject);
+        }), timeoutMs, `connect to ${host}:${port} timed out`);
+    } catch (err) {
+        sock.destroy();
+        throw err;
+    }
+    return openSession(sock, { identity, expectedPeerId, protocols, agentVersion, timeoutMs });
+}
+
+/**
+ * Handshake over an already-connected duplex stream — a TCP socket, a
+ * spliced relay circuit or a hole-punched UDP stream — and return the
+ * same session object as dialPeer(). `head` is bytes already read off
+ * the stream that belong to this session. `detach()` hands the raw
+ * stream back (plus any unread bytes) for the relay to splice.
+ *
+ * @param {import('node:stream').Duplex} sock
+ * @param {{ identity: { publicKey: string, privateKey: string }, expectedPeerId?: string,
+ *           protocols?: string[], agentVersion?: string, timeoutMs?: number,
+ *           head?: Buffer }} opts
+ */
+export async function openSession(sock, { identity, expectedPeerId, protocols, agentVersion, timeoutMs = DEFAULT_TIMEOUT_MS, head }) {
+    const conn = lineConnection(sock, head);
+    try {
+        const hello = createHandshakeRequest({
+            publicKey: identity.publicKey,
+            privateKey: identity.privateKey,
+            ...(protocols ? { protocols } : {}),
+            ...(agentVersion ? { agentVersion } : {})
+        });
+        const reply = await withTimeout(conn.send(hello), timeoutMs, 'handshake timed out');
+        const response = verifyHandshakeResponse(reply, { requestSig: hello.sig, expectedPeerId });
+        if (!response.accepted) {
+            const err = new Error(`peer ${response.peer_id} rejected handshake: ${response.reason || 'no reason given'}`);
+            err.reason = response.reason;
+            throw err;
+        }
+        return {
+            peerId: response.peer_id,
+            protocols: response.selected_protocols,
+            request: (cmd, payload = {}) => withTimeout(conn.send({ ...payload, cmd }), timeoutMs, `${cmd} timed out`),
+            stream: (cmd, payload, isLast) => conn.stream({ ...payload, cmd }, isLast),
+            send: (cmd, payload = {}) => conn.write({ ...payload, cmd }),
+            exchange: (message) => withTimeout(conn.send(message), timeoutMs, 'peer timed out'),
+            detach: () => conn.detach(),
+            onClose: (fn) => { if (sock.destroyed) fn(); else sock.once('close', fn); },
+            close: () => sock.end()
+        };
+    } catch (err) {
+        sock.destroy();
+        throw err;
+    }
+}
+
+/**
+ * `/ip4/<addr>/tcp/<port>` or `/ip6/…` (what /api/peers returns) →
+ * `{ host, port }`; a trailing `/p2p/<pubkey>` (bootstrap lists) adds
+ * `peerId`. null for anything else.
+ */
+export function parseMultiaddr(multiaddr) {
+    const m = /^\/(ip4|ip6|dns4|dns6|dns)\/([^/]+)\/tcp\/(\d+)(?:\/p2p\/([0-9a-fA-F]{64}))?$/.exec(multiaddr ?? '');
+    if (!m) return null;
+    const port = Number(m[3]);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) return null;
+    return m[4] ? { host: m[2], port, peerId: m[4].toLowerCase() } : { host: m[2], port };
+}
+
+/**
+ * `/ip4/<relay>/tcp/<port>/p2p/<relay key>/p2p-circuit/p2p/<key>` — a
+ * peer reachable only through a relay (lib/relay.js) →
+ * `{ peerId, relay: { host, port, peerId } }`. null for anything else,
+ * including direct addresses (parseMultiaddr() takes those).
+ */
+export function parseCircuitMultiaddr(multiaddr) {
+    const m = /^(.+)\/p2p-circuit\/p2p\/([0-9a-fA-F]{64})$/.exec(multiaddr ?? '');
+    if (!m) return null;
+    const relay = parseMultiaddr(m[1]);
+    if (!relay?.peerId) return null;
+    return { peerId: m[2].toLowerCase(), relay };
+}
+
+/** Inverse of parseMultiaddr() for a bare `{ host, port }`. */
+export function formatMultiaddr({ host, port }) {
+    const family = host.includes(':') ? 'ip6' : /^[\d.]+$/.test(host) ? 'ip4' : 'dns';
+    return `/${family}/${host}/tcp/${port}`;
+}
+
+/**
+ * Replies come back in request order: each waiter takes one line, or —
+ * for a stream — every line until `isLast` says it's done. Lines with
+ * nobody waiting stay buffered, so `detach()` can hand them back
+ * unread when the stream is spliced or adopted elsewhere.
+ */
+function lineConnection(sock, head) {
+    const waiting = [];
+    let buf = Buffer.alloc(0);
+    let closedErr = null;
+    let detached = false;
+    const drain = () => {
+        while (!detached && waiting.length > 0) {
+            const nl = buf.indexOf(0x0a);
+            if (nl < 0) break;
+            const line = buf.subarray(0, nl).toString('utf8');
+            buf = buf.subarray(nl + 1);
+            const next = waiting[0];
+            let reply;
+            try { reply = JSON.parse(line); }
+            catch (err) {
+                waiting.shift();
+                next.reject(new Error(`bad reply from peer: ${err?.message ?? err}`));
+                continue;
+            }
+            if (next.resolve(reply) !== false) waiting.shift();
+        }
+    };
+    const onData = (chunk) => {
+        buf = buf.length > 0 ? Buffer.concat([buf, chunk]) : chunk;
+        drain();
+    };
+    const fail = (err) => {
+        closedErr = err ?? new Error('peer closed the connection');
+        while (waiting.length) waiting.shift().reject(closedErr);
+    };
+    const onClose = () => fail(closedErr);
+    sock.on('data', onData);
+    sock.on('error', fail);
+    sock.on('close', onClose);
+    // A stream handed over by detach() arrives paused.
+    sock.resume();
+    if (head?.length) onData(head);
+    const write = (message) => { sock.write(JSON.stringify(message) + '\n'); };
+    return {
+        write,
+        send(message) {
+            if (closedErr) return Promise.reject(closedErr);
+            return new Promise((resolve, reject) => {
+                waiting.push({ resolve, reject });
+                write(message);
+                drain();
+            });
+        },
+        async *stream(message, isLast) {
+            if (closedErr) throw closedErr;
+            const queue = [];
+            let ended = false;
+            let error = null;
+            let wake = null;
+            const notify = () => { const w = wake; wake = null; w?.(); };
+            waiting.push({
+                // false keeps this waiter at the head for the next line
+                resolve(reply) {
+                    queue.push(reply);
+                    ended = isLast(reply);
+                    notify();
+                    return ended;
+                },
+                reject(err) { error = err; notify(); }
+            });
+            write(message);
+            drain();
+            for (;;) {
+                if (queue.length) { yield queue.shift(); continue; }
+                if (ended) return;
+                if (error) throw error;
+                await new Promise((resolve) => { wake = resolve; });
+            }
+        },
+        detach() {
+            detached = true;
+            sock.pause();
+            sock.removeListener('data', onData);
+            sock.removeListener('error', fail);
+            sock.removeListener('close', onClose);
+            const rest = buf;
+            buf = Buffer.alloc(0);
+            return { socket: sock, head: rest };
+        }
+    };
+}
+
+function withTimeout(promise, ms, message) {
+    let t;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => { t = setTimeout(() => reject(new Error(message)), ms); })
+    ]).finally(() => clearTimeout(t));
+}
@@ -0,0 +1,189 @@
+/**
+ * The daemon's P2P listener — NDJSON over TCP, gated by
+ * `infernet.handshake.v1` (lib/handshake.js).
+ *
+ * Every connection must open with a signed handshake; until it is
+ * accepted nothing else is answered, and a rejected peer, a peer whose
+ * first line is anything else, one that sends more than
+ * MAX_HANDSHAKE_BYTES before its handshake line ends, or one that stays
+ * silent for `handshakeTimeoutMs` is disconnected. Handshaken or not, a
+ * peer whose line runs past `maxLineBytes` is disconnected too. After that each line goes to
+ * `onCommand(msg, peer, send)`: return a reply to have it sent, or
+ * nothing when the handler answers through `send` itself (streams).
+ *
+ * `peer` is `{ peerId, protocols, closed, detach }` — the verified
+ * remote key and the protocols negotiated with it; handlers may hang
+ * their own state on it. `detach()` stops reading commands and hands
+ * back the raw socket plus any unread bytes (a relay splicing two
+ * peers, lib/relay.js). `onClose(peer)` runs when an accepted peer
+ * disconnects.
+ *
+ * `adopt(stream, head)` serves a connection that didn't arrive on the
+ * listening socket — a circuit a relay spliced to us, or a hole-punched
+ * UDP stream — exactly as if it had.
+ *
+ * Kept separate from `infernet start` so tests can run several
+ * listeners in one process.
+ */
+
+import net from 'node:net';
+
+import { createAttemptLimiter, createHandshakeResponse, evaluateHandshake } from './handshake.js';
+
+// A dialer that hasn't sent its handshake by then is dropped.
+export const P2P_HANDSHAKE_TIMEOUT_MS = 10_000;
+export const MAX_P2P_PEERS = 64;
+// A handshake is well under 1 KiB; an unauthenticated dialer doesn't
+// get to make us buffer more than this.
+export const MAX_HANDSHAKE_BYTES = 16 * 1024;
+// Any later line. A compute.submit carries its request inline, images
+// included (up to 64 MiB of them after base64), so this is generous —
+// but a key costs nothing, so a handshaken peer is no reason to buffer
+// forever.
+export const MAX_LINE_BYTES = 80 * 1024 * 1024;
+
+/**
+ * @param {{ identity: { publicKey: string, privateKey: string }, protocols: string[],
+ *           blocklist?: string[], maxPeers?: number, handshakeTimeoutMs?: number, maxLineBytes?: number,
+ *           allowAttempt?: (address: string) => boolean,
+ *           onCommand: (msg: object, peer: object, send: (reply: object) => void) => object | void | Promise<object | void>,
+ *           onClose?: (peer: object) => void }} opts
+ */
+export function createP2pServer({
+    identity,
+    protocols,
+    blocklist = [],
+    maxPeers = MAX_P2P_PEERS,
+    handshakeTimeoutMs = P2P_HANDSHAKE_TIMEOUT_MS,
+    maxLineBytes = MAX_LINE_BYTES,
+    allowAttempt = createAttemptLimiter(),
+    onCommand,
+    onClose
+}) {
+    const stats = { connectionsTotal: 0, lastConnectionAt: null, handshakesRejected: 0 };
+    // Sockets that completed the handshake.
+    const peers = new Set();
+
+    function handleConnection(sock, head) {
+        stats.connectionsTotal += 1;
+        stats.lastConnectionAt = new Date().toISOString();
+        if (!allowAttempt(sock.remoteAddress ?? 'unknown')) {
+            sock.destroy();
+            return;
+        }
+        let peer = null;
+        const handshakeTimer = setTimeout(() => sock.destroy(), handshakeTimeoutMs);
+        const send = (reply) => { try { sock.write(JSON.stringify(reply) + '\n'); } catch { /* ignore */ } };
+        const fail = (err) => send({ ok: false, error: 'internal-error', cause: err?.message ?? String(err) });
+        // Synchronous handlers reply before the next line is read, so
+        // a dialer pipelining requests gets replies in order.
+        const dispatch = (msg) => {
+            let reply;
+            try { reply = onCommand(msg, peer, send); }
+            catch (err) { fail(err); return; }
+            if (typeof reply?.then === 'function') {
+                reply.then((r) => { if (r) send(r); }, fail);
+            } else if (reply) {
+                send(reply);
+            }
+        };
+        let buf = Buffer.alloc(0);
+        let detached = false;
+        const detach = () => {
+            detached = true;
+            sock.pause();
+            sock.removeListener('data', onData);
+            peers.delete(sock);
+            const rest = buf;
+            buf = Buffer.alloc(0);
+            return { socket: sock, head: rest };
+        };
+        const onData = (chunk) => {
+            buf = buf.length > 0 ? Buffer.concat([buf, chunk]) : chunk;
+            while (!detached) {
+                const nl = buf.indexOf(0x0a);
+                const lineBytes = nl < 0 ? buf.length : nl;
+                if (lineBytes > (peer ? maxLineBytes : MAX_HANDSHAKE_BYTES)) {
+                    sock.destroy();
+                    return;
+                }
+                if (nl < 0) break;
+                const line = buf.subarray(0, nl).toString('utf8');
+                buf = buf.subarray(nl + 1);
+                let msg;
+                try { msg = JSON.parse(line); }
+                catch (err) {
+                    send({ ok: false, error: 'bad-json', cause: err?.message ?? String(err) });
+                    continue;
+                }
+                if (peer) {
+                    dispatch(msg);
+                    continue;
+                }
+                clearTimeout(handshakeTimer);
+                if (msg?.cmd !== 'handshake') {
+                    send({ ok: false, error: 'handshake-required' });
+                    sock.end();
+                    return;
+                }
+                const verdict = evaluateHandshake(msg, {
+                    protocols,
+                    blocklist,
+                    atCapacity: peers.size >= maxPeers
+                });
+                send(createHandshakeResponse({
+                    publicKey: identity.publicKey,
+                    privateKey: identity.privateKey,
+                    verdict,
+                    requestSig: msg.sig
+                }));
+                if (!verdict.accepted) {
+                    stats.handshakesRejected += 1;
+                    sock.end();
+                    return;
+                }
+                peer = { peerId: verdict.peerId, protocols: verdict.selected_protocols, closed: false, detach };
+                peers.add(sock);
+            }
+        };
+        sock.on('data', onData);
+        sock.on('close', () => {
+            clearTimeout(handshakeTimer);
+            peers.delete(sock);
+            if (peer) {
+                peer.closed = true;
+                onClose?.(peer);
+            }
+        });
+        sock.on('error', () => {});
+        // Adopted streams were paused when their previous reader let go.
+        sock.resume();
+        if (head?.length) onData(head);
+    }
+
+    const server = net.createServer((sock) => handleConnection(sock));
+
+    return {
+        server,
+        stats,
+        peers,
+        /** Bind; `host` '::' listens dual-stack. Resolves with the bound port. */
+        listen(port, host = '::') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen({ port, host, ipv6Only: false }, () => {
+                    server.removeListener('error', reject);
+                    resolve(server.address().port);
+                });
+            });
+        },
+        /** Serve an already-connected duplex stream as an inbound peer. */
+        adopt(stream, head) {
+            handleConnection(stream, head);
+        },
+        close() {
+            server.close();
+            for (const sock of peers) sock.destroy();
+        }
+    };
+}
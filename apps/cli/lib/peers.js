@@ -34,7 +34,8 @@ export function getPeersCachePath() {
  * objects, or throws on network / HTTP / parse failure.
  *
  * @param {string} seedNode  control-plane base URL
- * @param {{ limit?: number, fetchImpl?: typeof fetch }} [opts]
+ * @param {{ limit?: number, relay?: boolean, fetchImpl?: typeof fetch }} [opts]
+ *   `relay` asks only for providers that serve as circuit relays
  */
 export async function fetchPeers(seedNode, opts = {}) {
     if (!seedNode) throw new Error("fetchPeers: seedNode is required");
@@ -42,6 +43,7 @@ export async function fetchPeers(seedNode, opts = {}) {
     const fetchImpl = opts.fetchImpl ?? globalThis.fetch;
     const url = new URL("/api/peers", seedNode);
     url.searchParams.set("limit", String(limit));
+    if (opts.relay) url.searchParams.set("relay", "1");
 
     const ctrl = new AbortController();
     const t = setTimeout(() => ctrl.abort(), FETCH_TIMEOUT_MS);
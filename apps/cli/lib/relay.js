@@ -0,0 +1,446 @@
+/**
+ * `infernet.relay.v1` — circuit relays for providers behind NAT.
+ *
+ * A node that /api/probe finds unreachable keeps an outbound
+ * connection to a reachable node that opted in as a relay (a
+ * *reservation*) and advertises
+ *
+ *   /ip4/<relay>/tcp/<port>/p2p/<relay key>/p2p-circuit/p2p/<own key>
+ *
+ * through its heartbeat, so /api/peers hands that out instead of an
+ * address nobody can dial. A consumer dials the relay and asks for a
+ * circuit; the relay tells the reserved node over its reservation,
+ * the node opens a second outbound connection to accept it, and the
+ * relay splices the two sockets. Both legs passed the relay's
+ * handshake, and the consumer then runs its own handshake with the
+ * node end-to-end over the circuit, so the relay can't pose as either.
+ *
+ * Before settling for the relay, the two ends try a UDP hole punch
+ * coordinated through it (lib/holepunch.js); when that works the
+ * session moves to the direct UDP path and the circuit is closed.
+ *
+ * Relays cap what they carry: reservations and concurrent circuits,
+ * bytes and lifetime per circuit, and total relayed bytes per second.
+ * Every circuit is accounted to the reserved node it reached.
+ *
+ * Wire (NDJSON after a handshake that selected infernet.relay.v1):
+ *
+ *   → { cmd: 'relay.reserve' }                     ← { state: 'reserved' }, then per circuit
+ *                                                   ← { state: 'incoming', circuit, from, punch }
+ *   → { cmd: 'relay.connect', target, punch? }     ← { circuit, punch: { token, udp_port } | null }
+ *   → { cmd: 'relay.accept', circuit }             ← { circuit, punch: { token, udp_port } | null }
+ *
+ * After the connect/accept replies the connection is a raw pipe to the
+ * other end. With `punch`, each side first sends one line
+ * `{ punch: { host, port, nonce } | null }` and then one `{ punched }`
+ * line and reads the other's; the handshake follows.
+ */
+
+import dgram from 'node:dgram';
+import net from 'node:net';
+import { randomBytes } from 'node:crypto';
+
+import { isHex64 } from '@infernetprotocol/auth';
+
+import { HANDSHAKE_PROTOCOL } from './handshake.js';
+import { createUdpStream, observeAddress, serveObservations, startPunch } from './holepunch.js';
+import { dialPeer, formatMultiaddr, openSession } from './p2p-client.js';
+
+export const RELAY_PROTOCOL = 'infernet.relay.v1';
+
+export const RELAY_LIMITS = Object.freeze({
+    maxReservations: 32,
+    maxCircuits: 64,
+    maxCircuitBytes: 64 * 1024 * 1024,
+    maxCircuitSeconds: 600,
+    rateBytesPerSecond: 1024 * 1024
+});
+
+// The target has this long to accept before the dialer is refused;
+// under the dialer's own 10s request timeout.
+const ACCEPT_TIMEOUT_MS = 8000;
+const RESERVE_BACKOFF_MS = [1000, 5000, 15_000, 60_000];
+
+const newId = () => randomBytes(16).toString('hex');
+
+/**
+ * The relay side. Route `relay.*` commands from the P2P listener to
+ * `handle`, and call `dropPeer(peer)` from its onClose.
+ *
+ * @param {{ limits?: Partial<typeof RELAY_LIMITS>, udpPort?: number | null }} [opts]
+ *   `udpPort` is the port bound with bindUdp(), as peers should dial it;
+ *   without it no hole punch is offered.
+ */
+export function createRelayService({ limits = {}, udpPort = null } = {}) {
+    const caps = { ...RELAY_LIMITS, ...limits };
+    const reservations = new Map(); // peerId → { peer, send }
+    const pending = new Map();      // circuit id → waiting for the target's relay.accept
+    const circuits = new Map();     // circuit id → spliced circuit
+    const punchTokens = new Map();  // token → circuit id
+    const accounting = new Map();   // reserved peerId → { circuits, bytes }
+    const stats = {
+        reservationsTotal: 0,
+        circuitsOpened: 0,
+        circuitsRefused: 0,
+        circuitsCapped: 0,
+        bytesRelayed: 0
+    };
+    const rate = { windowStart: 0, bytes: 0 };
+    let stopObserving = null;
+
+    function account(peerId) {
+        let entry = accounting.get(peerId);
+        if (!entry) {
+            entry = { circuits: 0, bytes: 0 };
+            accounting.set(peerId, entry);
+        }
+        return entry;
+    }
+
+    // ms to hold the sender back so the relay stays under its rate.
+    function throttle(bytes) {
+        const t = Date.now();
+        if (t - rate.windowStart >= 1000) {
+            rate.windowStart = t;
+            rate.bytes = 0;
+        }
+        rate.bytes += bytes;
+        return rate.bytes > caps.rateBytesPerSecond ? rate.windowStart + 1000 - t : 0;
+    }
+
+    function refuse(error) {
+        stats.circuitsRefused += 1;
+        return { ok: false, error };
+    }
+
+    function reserve(peer, send) {
+        const current = reservations.get(peer.peerId);
+        if (!current && reservations.size >= caps.maxReservations) return { ok: false, error: 'relay-full' };
+        reservations.set(peer.peerId, { peer, send });
+        if (!current) stats.reservationsTotal += 1;
+        send({ ok: true, data: { state: 'reserved' } });
+        return undefined;
+    }
+
+    function connect(msg, peer, send) {
+        const target = typeof msg.target === 'string' ? msg.target.toLowerCase() : '';
+        if (!isHex64(target) || target === peer.peerId) return { ok: false, error: 'bad-target' };
+        const reservation = reservations.get(target);
+        if (!reservation || reservation.peer.closed) return refuse('no-reservation');
+        if (circuits.size + pending.size >= caps.maxCircuits) return refuse('relay-busy');
+        const id = newId();
+        const punch = udpPort && msg.punch === true ? { dialer: newId(), target: newId() } : null;
+        pending.set(id, {
+            id,
+            from: peer.peerId,
+            target,
+            punch,
+            dialer: { peer, send },
+            timer: setTimeout(() => {
+                pending.delete(id);
+                send(refuse('target-timeout'));
+            }, ACCEPT_TIMEOUT_MS)
+        });
+        reservation.send({ ok: true, data: { state: 'incoming', circuit: id, from: peer.peerId, punch: Boolean(punch) } });
+        return undefined;
+    }
+
+    function accept(msg, peer, send) {
+        const c = pending.get(msg.circuit);
+        if (!c || c.target !== peer.peerId) return { ok: false, error: 'unknown-circuit' };
+        pending.delete(c.id);
+        clearTimeout(c.timer);
+        if (c.dialer.peer.closed) return { ok: false, error: 'dialer-gone' };
+        const punchFor = (token) => (c.punch ? { token, udp_port: udpPort } : null);
+        c.dialer.send({ ok: true, data: { circuit: c.id, punch: punchFor(c.punch?.dialer) } });
+        send({ ok: true, data: { circuit: c.id, punch: punchFor(c.punch?.target) } });
+        splice(c, c.dialer.peer.detach(), peer.detach());
+        return undefined;
+    }
+
+    function splice(c, a, b) {
+        const circuit = { id: c.id, from: c.from, target: c.target, bytes: 0, openedAt: new Date().toISOString(), close: null };
+        circuits.set(c.id, circuit);
+        if (c.punch) {
+            punchTokens.set(c.punch.dialer, c.id);
+            punchTokens.set(c.punch.target, c.id);
+        }
+        stats.circuitsOpened += 1;
+        const acct = account(c.target);
+        acct.circuits += 1;
+
+        let closed = false;
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearTimeout(deadline);
+            circuits.delete(c.id);
+            if (c.punch) {
+                punchTokens.delete(c.punch.dialer);
+                punchTokens.delete(c.punch.target);
+            }
+            a.socket.destroy();
+            b.socket.destroy();
+        };
+        const capped = () => {
+            stats.circuitsCapped += 1;
+            close();
+        };
+        const deadline = setTimeout(capped, caps.maxCircuitSeconds * 1000);
+        circuit.close = close;
+
+        const forward = (src, dst, head) => {
+            const carry = (chunk) => {
+                circuit.bytes += chunk.length;
+                acct.bytes += chunk.length;
+                stats.bytesRelayed += chunk.length;
+                if (circuit.bytes > caps.maxCircuitBytes) {
+                    capped();
+                    return;
+                }
+                const drained = dst.write(chunk);
+                const wait = throttle(chunk.length);
+                if (drained && wait === 0) return;
+                src.pause();
+                let blocked = (drained ? 0 : 1) + (wait > 0 ? 1 : 0);
+                const release = () => { if (--blocked === 0 && !closed) src.resume(); };
+                if (!drained) dst.once('drain', release);
+                if (wait > 0) setTimeout(release, wait);
+            };
+            if (head?.length) carry(head);
+            src.on('data', carry);
+            src.on('end', () => dst.end());
+            src.on('close', close);
+            src.resume();
+        };
+        forward(a.socket, b.socket, a.head);
+        forward(b.socket, a.socket, b.head);
+    }
+
+    return {
+        stats,
+        reservations,
+        circuits,
+        accounting,
+        /** onCommand for `relay.*`; replies through `send` where it has to wait. */
+        handle(msg, peer, send) {
+            switch (msg?.cmd) {
+                case 'relay.reserve': return reserve(peer, send);
+                case 'relay.connect': return connect(msg, peer, send);
+                case 'relay.accept':  return accept(msg, peer, send);
+                default:              return { ok: false, error: `unknown-cmd: ${msg?.cmd ?? '(none)'}` };
+            }
+        },
+        /** A P2P peer disconnected — release its reservation. */
+        dropPeer(peer) {
+            if (reservations.get(peer.peerId)?.peer === peer) reservations.delete(peer.peerId);
+        },
+        /** Answer hole-punch address observations on a bound UDP socket. */
+        bindUdp(socket) {
+            stopObserving = serveObservations(socket, (token) => punchTokens.has(token));
+        },
+        close() {
+            stopObserving?.();
+            for (const c of pending.values()) clearTimeout(c.timer);
+            pending.clear();
+            for (const c of [...circuits.values()]) c.close();
+            reservations.clear();
+        }
+    };
+}
+
+/**
+ * Our half of a punch attempt over a freshly spliced circuit (see the
+ * header). Resolves the direct UDP stream, or null to stay relayed.
+ */
+async function upgrade(session, punch, relayHost) {
+    if (!punch || !Number.isInteger(punch.udp_port)) return null;
+    const socket = dgram.createSocket(net.isIPv6(relayHost) ? 'udp6' : 'udp4');
+    const closeSocket = () => { try { socket.close(); } catch { /* already closed */ } };
+    try {
+        await new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.bind(0, () => { socket.removeListener('error', reject); resolve(); });
+        });
+        socket.on('error', () => {});
+        const observed = await observeAddress({ socket, relay: { host: relayHost, port: punch.udp_port }, token: punch.token });
+        const nonce = newId();
+        const theirs = (await session.exchange({ punch: observed ? { ...observed, nonce } : null }))?.punch;
+        if (!observed || typeof theirs?.host !== 'string' || !Number.isInteger(theirs?.port) || typeof theirs?.nonce !== 'string') {
+            closeSocket();
+            return null;
+        }
+        const attempt = startPunch({ socket, remote: theirs, nonce, peerNonce: theirs.nonce });
+        const punched = await attempt.done;
+        const verdict = await session.exchange({ punched });
+        attempt.stop();
+        if (punched && verdict?.punched === true) return createUdpStream({ socket, remote: { host: theirs.host, port: theirs.port } });
+        closeSocket();
+        return null;
+    } catch (err) {
+        closeSocket();
+        throw err;
+    }
+}
+
+function dialRelay(relay, identity, timeoutMs) {
+    return dialPeer({
+        host: relay.host,
+        port: relay.port,
+        identity,
+        expectedPeerId: relay.peerId,
+        protocols: [HANDSHAKE_PROTOCOL, RELAY_PROTOCOL],
+        timeoutMs
+    }).then((session) => {
+        if (session.protocols.includes(RELAY_PROTOCOL)) return session;
+        session.close();
+        throw new Error(`peer ${relay.peerId} is not a relay`);
+    });
+}
+
+/**
+ * Dial `target` through `relay` (from parseCircuitMultiaddr()) and run
+ * the handshake with it end-to-end. Resolves the same session object
+ * as dialPeer(), plus `via`: 'udp' when the hole punch worked, 'relay'
+ * otherwise.
+ *
+ * @param {{ relay: { host: string, port: number, peerId: string }, target: string,
+ *           identity: { publicKey: string, privateKey: string }, protocols?: string[],
+ *           punch?: boolean, timeoutMs?: number }} opts
+ */
+export async function dialCircuit({ relay, target, identity, protocols, punch = true, timeoutMs }) {
+    const session = await dialRelay(relay, identity, timeoutMs);
+    try {
+        const reply = await session.request('relay.connect', { target, punch });
+        if (reply?.ok !== true) {
+            throw new Error(`relay ${relay.peerId} refused the circuit: ${reply?.error ?? 'unknown'}`);
+        }
+        const direct = await upgrade(session, reply.data?.punch, relay.host);
+        if (direct) {
+            session.close();
+            const peer = await openSession(direct, { identity, expectedPeerId: target, protocols, timeoutMs });
+            return { ...peer, via: 'udp' };
+        }
+        const { socket, head } = session.detach();
+        const peer = await openSession(socket, { identity, expectedPeerId: target, protocols, timeoutMs, head });
+        return { ...peer, via: 'relay' };
+    } catch (err) {
+        session.close();
+        throw err;
+    }
+}
+
+/**
+ * Reserved-node side of one incoming circuit: connect back to the
+ * relay, accept, try the punch. Resolves `{ socket, head, via }` to
+ * serve as an inbound peer (p2p-server adopt()).
+ */
+export async function acceptCircuit({ relay, circuit, identity, timeoutMs }) {
+    const session = await dialRelay(relay, identity, timeoutMs);
+    try {
+        const reply = await session.request('relay.accept', { circuit });
+        if (reply?.ok !== true) throw new Error(`relay ${relay.peerId} dropped circuit ${circuit}: ${reply?.error ?? 'unknown'}`);
+        const direct = await upgrade(session, reply.data?.punch, relay.host);
+        if (direct) {
+            session.close();
+            return { socket: direct, head: undefined, via: 'udp' };
+        }
+        return { ...session.detach(), via: 'relay' };
+    } catch (err) {
+        session.close();
+        throw err;
+    }
+}
+
+/**
+ * Hold a reservation on the first relay in `relays()` that grants one,
+ * and hand each circuit it brings to `onCircuit(socket, head, info)`.
+ * Reconnects with backoff (1s → 60s) when the reservation drops.
+ * `state` is `{ relay, multiaddr, since, circuits, lastError }` —
+ * `multiaddr` is our `/p2p-circuit` address while reserved.
+ *
+ * @param {{ identity: { publicKey: string, privateKey: string },
+ *           relays: () => Promise<Array<{ host: string, port: number, peerId: string }>>,
+ *           onCircuit: (socket: import('node:stream').Duplex, head: Buffer | undefined,
+ *                       info: { from: string, via: string }) => void,
+ *           onChange?: (state: object) => void, onError?: (err: Error) => void }} opts
+ */
+export function createRelayClient({ identity, relays, onCircuit, onChange, onError }) {
+    const state = { relay: null, multiaddr: null, since: null, circuits: 0, lastError: null };
+    let session = null;
+    let stopped = false;
+    let retryTimer = null;
+    let failures = 0;
+
+    const setReserved = (relay) => {
+        state.relay = relay;
+        state.multiaddr = relay
+            ? `${formatMultiaddr(relay)}/p2p/${relay.peerId}/p2p-circuit/p2p/${identity.publicKey.toLowerCase()}`
+            : null;
+        state.since = relay ? new Date().toISOString() : null;
+        onChange?.(state);
+    };
+
+    const report = (err) => {
+        state.lastError = err?.message ?? String(err);
+        onError?.(err);
+    };
+
+    async function holdReservation(relay) {
+        session = await dialRelay(relay, identity);
+        const frames = session.stream('relay.reserve', {}, (reply) => reply?.ok !== true);
+        for await (const reply of frames) {
+            if (reply?.ok !== true) throw new Error(`relay ${relay.peerId} refused a reservation: ${reply?.error ?? 'unknown'}`);
+            if (reply.data?.state === 'reserved') {
+                failures = 0;
+                setReserved(relay);
+            } else if (reply.data?.state === 'incoming' && typeof reply.data.circuit === 'string') {
+                const from = reply.data.from;
+                acceptCircuit({ relay, circuit: reply.data.circuit, identity })
+                    .then(({ socket, head, via }) => {
+                        state.circuits += 1;
+                        onCircuit(socket, head, { from, via });
+                    })
+                    .catch(report);
+            }
+        }
+    }
+
+    async function run() {
+        if (stopped) return;
+        let candidates = [];
+        try {
+            candidates = (await relays()).filter((r) => r?.peerId && r.peerId !== identity.publicKey.toLowerCase());
+        } catch (err) {
+            report(err);
+        }
+        for (const relay of candidates) {
+            if (stopped) return;
+            try {
+                await holdReservation(relay);
+            } catch (err) {
+                report(err);
+            } finally {
+                session?.close();
+                session = null;
+                if (state.relay) setReserved(null);
+            }
+        }
+        if (stopped) return;
+        const delay = RESERVE_BACKOFF_MS[Math.min(failures, RESERVE_BACKOFF_MS.length - 1)];
+        failures += 1;
+        retryTimer = setTimeout(run, delay);
+    }
+
+    return {
+        state,
+        start() {
+            if (!stopped && !session && !retryTimer) run();
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(retryTimer);
+            session?.close();
+        }
+    };
+}
@@ -10,8 +10,21 @@
  * Flow:
  *   POST   /api/chat                         → { jobId, streamUrl, source, provider }
  *   GET    /api/chat/stream/<jobId>  (SSE)   → events: job | meta | token | done | error
+ *
+ * Direct flow — tokens come straight from the provider over its P2P
+ * port instead of through the control plane:
+ *   POST   /api/chat/direct                  → { jobId, ticket, input, provider }  (409: none reachable)
+ *   GET    /api/peers?pubkey=<provider>      → its multiaddr
+ *   dial, handshake.v1, compute.submit       → JobStatus frames until a terminal state
+ *
+ * Providers behind NAT advertise a `/p2p-circuit` multiaddr; those are
+ * dialed through their relay (lib/relay.js).
  */
 
+import { dialPeer, parseCircuitMultiaddr, parseMultiaddr } from "./p2p-client.js";
+import { COMPUTE_PROTOCOL, PROVIDER_PROTOCOLS } from "./handshake.js";
+import { dialCircuit } from "./relay.js";
+
 const DEFAULT_TIMEOUT_MS = 30_000;
 
 /**
@@ -113,3 +126,101 @@ export async function* streamChatEvents(baseUrl, streamPath, { signal } = {}) {
     const tail = flush();
     if (tail) yield tail;
 }
+
+/**
+ * Ask the control plane for a direct job. Returns null on 409 (no
+ * reachable provider) or 503 (direct inference not configured) — the
+ * caller falls back to submitChatJob(). `candidates` (provider pubkeys,
+ * e.g. from Nostr discovery) are preferred when one of them qualifies.
+ */
+export async function requestDirectJob(baseUrl, { messages, model, maxTokens, temperature, clientPubkey, candidates, signal } = {}) {
+    if (!baseUrl) throw new Error("requestDirectJob: baseUrl is required");
+    const body = { messages, clientPubkey };
+    if (model) body.modelName = model;
+    if (Array.isArray(candidates) && candidates.length > 0) body.candidates = candidates;
+    if (typeof maxTokens === "number") body.maxTokens = maxTokens;
+    if (typeof temperature === "number") body.temperature = temperature;
+
+    const res = await fetch(new URL("/api/chat/direct", baseUrl), {
+        method: "POST",
+        headers: { "content-type": "application/json", accept: "application/json" },
+        body: JSON.stringify(body),
+        signal
+    });
+    if (res.status === 409 || res.status === 503) return null;
+    if (!res.ok) {
+        let detail = "";
+        try { detail = await res.text(); } catch { /* ignore */ }
+        const err = new Error(`POST /api/chat/direct → HTTP ${res.status}: ${detail.slice(0, 200)}`);
+        err.status = res.status;
+        throw err;
+    }
+    return await res.json();
+}
+
+/**
+ * Where to dial `pubkey` per /api/peers: `{ host, port }`, `{ peerId,
+ * relay }` for a relayed provider (see dialProvider()), or null.
+ */
+export async function resolvePeer(baseUrl, pubkey, { signal } = {}) {
+    const url = new URL("/api/peers", baseUrl);
+    url.searchParams.set("pubkey", pubkey);
+    const res = await fetch(url, { headers: { accept: "application/json" }, signal });
+    if (!res.ok) throw new Error(`GET /api/peers → HTTP ${res.status}`);
+    const body = await res.json();
+    const peer = (body?.data ?? []).find((p) => p.pubkey === pubkey);
+    return peer ? parseProviderAddress(peer.multiaddr) : null;
+}
+
+/** A provider's advertised multiaddr, direct or relayed; null if neither. */
+export function parseProviderAddress(multiaddr) {
+    return parseMultiaddr(multiaddr) ?? parseCircuitMultiaddr(multiaddr);
+}
+
+function dialProvider(addr, pubkey, identity) {
+    if (addr.relay) {
+        return dialCircuit({ relay: addr.relay, target: pubkey, identity, protocols: PROVIDER_PROTOCOLS });
+    }
+    return dialPeer({ ...addr, identity, expectedPeerId: pubkey, protocols: PROVIDER_PROTOCOLS });
+}
+
+/**
+ * Dial the provider a direct job was issued for and stream it. Yields
+ * the same `{ event, data }` shape as streamChatEvents() ("meta" |
+ * "token" | "tool_call" | "done" | "error"). Aborting `signal` cancels
+ * the job on the provider.
+ *
+ * @param {{ ticket: string, input: object, provider: { pubkey: string } }} job  from requestDirectJob()
+ * @param {{ host: string, port: number } | { peerId: string, relay: object }} addr  from resolvePeer()
+ * @param {{ publicKey: string, privateKey: string }} identity  the key the ticket was issued to
+ */
+export async function* streamDirectChat(job, addr, identity, { signal } = {}) {
+    const peer = await dialProvider(addr, job.provider.pubkey, identity);
+    const onAbort = () => {
+        peer.send("compute.cancel");
+        peer.close();
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+        if (!peer.protocols.includes(COMPUTE_PROTOCOL)) {
+            throw new Error(`provider ${peer.peerId} does not offer ${COMPUTE_PROTOCOL}`);
+        }
+        const frames = peer.stream(
+            "compute.submit",
+            { ticket: job.ticket, input: job.input },
+            (reply) => reply?.ok !== true || reply.data?.state !== "running"
+        );
+        for await (const reply of frames) {
+            if (reply?.ok !== true) {
+                const cause = reply?.cause ? ` (${reply.cause})` : "";
+                yield { event: "error", data: { message: `provider refused the job: ${reply?.error ?? "unknown"}${cause}` } };
+                return;
+            }
+            const { type, ...data } = reply.data?.event ?? {};
+            yield { event: type ?? "message", data };
+        }
+    } finally {
+        signal?.removeEventListener("abort", onAbort);
+        peer.close();
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * The remote objects `infernet start` exports over `infernet.rmi.v1`
+ * (lib/rmi.js).
+ *
+ *   models:<peer id>   infernet.engine.ModelRegistry.v1   pinned
+ *       list()                       → { models }
+ *       openKvCache({ model, messages? }) → ObjectRef of a new KV cache handle
+ *
+ *   kv:<uuid>          infernet.engine.KvCacheHandle.v1   leased
+ *       append({ messages })          → { messages, chars }
+ *       read()                        → { model, messages }
+ *       close()                       → { closed: true }
+ *
+ * A KV cache handle keeps a conversation prefix on this node for the
+ * client that opened it — the part of a prompt the engine's prefix
+ * cache can reuse across requests. Only that client may call it, and
+ * it lives while the client renews its lease (rmi:dgc `dirty`); when
+ * the lease lapses the runtime's GC drops it.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { RMI_ERRORS, RmiError } from './rmi.js';
+
+export const MODEL_REGISTRY_TYPE = 'infernet.engine.ModelRegistry.v1';
+export const KV_CACHE_TYPE = 'infernet.engine.KvCacheHandle.v1';
+
+const MAX_HANDLES_PER_PEER = 8;
+const MAX_PREFIX_CHARS = 256 * 1024;
+const ROLES = new Set(['system', 'user', 'assistant']);
+
+function checkMessages(messages) {
+    if (!Array.isArray(messages) || !messages.every((m) => m && ROLES.has(m.role) && typeof m.content === 'string')) {
+        throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, 'messages must be [{ role, content }]');
+    }
+    return messages.map((m) => ({ role: m.role, content: m.content }));
+}
+
+const charsOf = (messages) => messages.reduce((n, m) => n + m.content.length, 0);
+
+/**
+ * Export the daemon's objects on `rmi`. `servedModels()` is read on
+ * every call, so the registry follows model pulls and removals.
+ *
+ * @param {ReturnType<import('./rmi.js').createRmiRuntime>} rmi
+ * @param {{ servedModels: () => string[] }} opts
+ * @returns {{ modelRegistry: object }}  the registry's ObjectRef
+ */
+export function exportDaemonObjects(rmi, { servedModels }) {
+    const handlesByPeer = new Map(); // peer id → open handle ids
+
+    function openKvCache({ model, messages = [] }, ctx) {
+        if (typeof model !== 'string' || !servedModels().includes(model)) {
+            throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, `model ${model} is not served here`);
+        }
+        const prefix = checkMessages(messages);
+        if (charsOf(prefix) > MAX_PREFIX_CHARS) throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, 'prefix too large');
+        const open = handlesByPeer.get(ctx.caller) ?? new Set();
+        if (open.size >= MAX_HANDLES_PER_PEER) {
+            throw new RmiError(RMI_ERRORS.STATE_CONFLICT, `at most ${MAX_HANDLES_PER_PEER} open KV cache handles per peer`);
+        }
+        const owner = ctx.caller;
+        const id = `kv:${randomUUID()}`;
+        const state = { model, messages: prefix };
+        const ref = ctx.export({
+            id,
+            typeName: KV_CACHE_TYPE,
+            authorize: (caller) => caller === owner,
+            snapshot: () => ({ model: state.model, messages: [...state.messages] }),
+            dispose() {
+                open.delete(id);
+                if (open.size === 0) handlesByPeer.delete(owner);
+            },
+            methods: {
+                append({ messages: more }) {
+                    const next = [...state.messages, ...checkMessages(more)];
+                    if (charsOf(next) > MAX_PREFIX_CHARS) throw new RmiError(RMI_ERRORS.STATE_CONFLICT, 'prefix would exceed its size limit');
+                    state.messages = next;
+                    return { messages: next.length, chars: charsOf(next) };
+                },
+                read() {
+                    return { model: state.model, messages: state.messages };
+                },
+                close() {
+                    rmi.unexport(id);
+                    return { closed: true };
+                }
+            }
+        });
+        open.add(id);
+        handlesByPeer.set(owner, open);
+        return ref;
+    }
+
+    const modelRegistry = rmi.exportObject({
+        id: `models:${rmi.peerId}`,
+        typeName: MODEL_REGISTRY_TYPE,
+        methods: {
+            list: () => ({ models: servedModels() }),
+            openKvCache
+        }
+    });
+    return { modelRegistry };
+}
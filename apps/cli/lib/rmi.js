@@ -0,0 +1,596 @@
+/**
+ * `infernet.rmi.v1` — remote objects exported by the daemon (IPIP-0021,
+ * protocol/docs/rmi.md).
+ *
+ * A node exports objects (its model registry, KV cache handles it
+ * opened for a client, …) under an `ObjectRef`; peers call their
+ * methods with RmiRequest / RmiResponse, encoded with the generated
+ * codecs in @infernetprotocol/protocol and carried over the handshaken
+ * P2P connection:
+ *
+ *   → { cmd: 'rmi.invoke', method: '/infernet.rmi.v1.RemoteObjectInvoker/Invoke',
+ *       request: <base64 RmiRequest> }
+ *   ← { ok: true, data: { response: <base64 RmiResponse> } }
+ *
+ * RMI failures travel inside the RmiResponse (`error_code`), so `ok` on
+ * the NDJSON line only says the call reached the runtime.
+ *
+ * `caller_signature` is the caller's Schnorr signature over
+ * "infernet.rmi.v1/request\n" + the encoded request without field 6.
+ * The receiver splits the fields, checks the signature against the
+ * handshake-authenticated peer and only then decodes (IPIP-0021 §8);
+ * the timestamp must be within 60 seconds. `request_id` is the
+ * idempotency key: a repeat with the same body gets the cached
+ * response, a repeat with a different body STATE_CONFLICT.
+ *
+ * Lifecycle (protocol/docs/remote-object-lifecycle.md):
+ *   - pinned objects live until the daemon unexports them
+ *   - transient ones (pinned: false) live while some peer holds a
+ *     lease. A method that exports an object leases it to its caller,
+ *     up to MAX_TRANSIENT_PER_CALLER live at once. The distributed GC
+ *     object `rmi:dgc` renews (`dirty`) and drops (`clean`) leases;
+ *     `dirty` only grants one to a peer already holding a lease on the
+ *     object or one its `authorize` admits. collect() — every
+ *     GC_INTERVAL_MS once started — destroys objects whose leases all
+ *     expired; later calls get OBJECT_NOT_FOUND
+ *   - migrate() hands an object to another peer and answers
+ *     OBJECT_MIGRATED for REDIRECT_TTL_MS
+ *
+ * With a DHT node, exported objects are published to the registry
+ * (protocol/docs/object-registry.md) under sha256("rmi:" + object_id)
+ * every REPUBLISH_MS; resolveObject() finds the current owner.
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+
+import { dhtKey, signMessage, verifyMessage } from '@infernetprotocol/auth';
+import { DEFAULT_MAX_MESSAGE_BYTES, rmiV1, splitFields } from '@infernetprotocol/protocol';
+
+export const RMI_PROTOCOL = 'infernet.rmi.v1';
+
+export const RMI_ERRORS = Object.freeze({
+    OBJECT_NOT_FOUND: 'OBJECT_NOT_FOUND',
+    METHOD_NOT_FOUND: 'METHOD_NOT_FOUND',
+    BAD_ARGUMENTS: 'BAD_ARGUMENTS',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    STATE_CONFLICT: 'STATE_CONFLICT',
+    TIMEOUT: 'TIMEOUT',
+    OBJECT_MIGRATED: 'OBJECT_MIGRATED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+export const DGC_OBJECT_ID = 'rmi:dgc';
+export const DGC_TYPE = 'infernet.rmi.DistributedGc.v1';
+export const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+export const MAX_LEASE_MS = 60 * 60 * 1000;
+export const REPUBLISH_MS = 5 * 60 * 1000;
+export const REDIRECT_TTL_MS = 60 * 60 * 1000;
+export const GC_INTERVAL_MS = 30 * 1000;
+export const MAX_TRANSIENT_PER_CALLER = 64;
+
+const INVOKE_PATH = rmiV1.RemoteObjectInvoker.methods.Invoke.path;
+const SIGNATURE_FIELD = 6;
+const SIGNING_PREFIX = new TextEncoder().encode(`${RMI_PROTOCOL}/request\n`);
+const MAX_SKEW_SECONDS = 60;
+const CALL_TIMEOUT_MS = 30_000;
+const MAX_REQUEST_ID_LENGTH = 128;
+// request_id → response, per caller. The replay window already refuses
+// anything older than a minute; the hour covers clients retrying with
+// a fresh timestamp.
+const IDEMPOTENCY_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHED_RESPONSES = 10_000;
+const RATE_WINDOW_MS = 10_000;
+const RATE_MAX_PER_PEER = 200;
+const RATE_MAX_PER_METHOD = 50;
+const MAX_REDIRECTS = 3;
+
+const JSON_TYPE = 'application/json';
+const BINARY_TYPE = 'application/octet-stream';
+
+/** An error a method can throw to answer with a specific RMI code. */
+export class RmiError extends Error {
+    constructor(code, message, { migratedTo = null } = {}) {
+        super(message || code);
+        this.name = 'RmiError';
+        this.code = code;
+        this.migratedTo = migratedTo;
+    }
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+        out.set(p, offset);
+        offset += p.length;
+    }
+    return out;
+}
+
+const signingBytes = (unsigned) => concat([SIGNING_PREFIX, unsigned]);
+const sha256Hex = (bytes) => createHash('sha256').update(bytes).digest('hex');
+
+/**
+ * Sign an RmiRequest (a plain object; missing fields default) as the
+ * caller. Returns it with `caller_signature` set.
+ */
+export function signRmiRequest(request, privateKey) {
+    const unsigned = rmiV1.RmiRequest.create({ ...request, caller_signature: new Uint8Array(0) });
+    const sig = signMessage(signingBytes(rmiV1.RmiRequest.encode(unsigned)), privateKey);
+    return { ...unsigned, caller_signature: Uint8Array.from(Buffer.from(sig, 'hex')) };
+}
+
+/**
+ * Check the signature on an encoded RmiRequest before decoding it.
+ * Returns the decoded request plus `bodyHash` (everything but the
+ * timestamp and signature — what request_id idempotency compares);
+ * throws RmiError UNAUTHORIZED / BAD_ARGUMENTS.
+ */
+export function verifyRmiRequest(bytes, callerPeerId, { now = Date.now(), maxBytes = DEFAULT_MAX_MESSAGE_BYTES } = {}) {
+    let fields;
+    try { fields = splitFields(bytes, { maxBytes }); }
+    catch (err) { throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, `malformed request: ${err.message}`); }
+    const sigs = fields.filter((f) => f.no === SIGNATURE_FIELD);
+    if (sigs.length !== 1) throw new RmiError(RMI_ERRORS.UNAUTHORIZED, 'missing caller signature');
+    const unsigned = concat(fields.filter((f) => f.no !== SIGNATURE_FIELD).map((f) => f.bytes));
+    // Field 6 is tag 0x32, a length byte (64), then the signature.
+    const sig = sigs[0].bytes.subarray(2);
+    if (sigs[0].bytes.length !== 66 || !verifyMessage(signingBytes(unsigned), Buffer.from(sig).toString('hex'), callerPeerId)) {
+        throw new RmiError(RMI_ERRORS.UNAUTHORIZED, 'caller signature invalid');
+    }
+    let request;
+    try { request = rmiV1.RmiRequest.decode(bytes, { maxBytes }); }
+    catch (err) { throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, `malformed request: ${err.message}`); }
+    if (Math.abs(Number(request.timestamp_unix) - Math.floor(now / 1000)) > MAX_SKEW_SECONDS) {
+        throw new RmiError(RMI_ERRORS.UNAUTHORIZED, 'timestamp outside the replay window');
+    }
+    if (request.request_id.length === 0 || request.request_id.length > MAX_REQUEST_ID_LENGTH) {
+        throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, 'request_id must be 1-128 characters');
+    }
+    if (!request.object_ref || !request.method_name) throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, 'object_ref and method_name are required');
+    const bodyHash = sha256Hex(rmiV1.RmiRequest.encode({ ...request, timestamp_unix: 0, caller_signature: new Uint8Array(0) }));
+    return { request, bodyHash };
+}
+
+/** MethodArgument list → `{ name: value }`: JSON parsed, binary as Buffer. */
+export function decodeArgs(args) {
+    // No prototype, so an argument named __proto__ is just a name.
+    const out = Object.create(null);
+    for (const arg of args) {
+        if (!arg.name || Object.hasOwn(out, arg.name)) throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, `bad argument name "${arg.name}"`);
+        if (arg.content_type === JSON_TYPE) {
+            try { out[arg.name] = JSON.parse(Buffer.from(arg.value).toString('utf8')); }
+            catch { throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, `argument "${arg.name}" is not valid JSON`); }
+        } else if (arg.content_type === BINARY_TYPE || arg.content_type === '') {
+            out[arg.name] = Buffer.from(arg.value);
+        } else {
+            throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, `argument "${arg.name}": unsupported content type ${arg.content_type}`);
+        }
+    }
+    return out;
+}
+
+/** `{ name: value }` → MethodArgument list (bytes stay binary, the rest JSON). */
+export function encodeArgs(args = {}) {
+    return Object.entries(args).map(([name, value]) => (value instanceof Uint8Array
+        ? { name, value, content_type: BINARY_TYPE }
+        : { name, value: new TextEncoder().encode(JSON.stringify(value ?? null)), content_type: JSON_TYPE }));
+}
+
+function encodeReturn(value) {
+    if (value === undefined) return { return_value: new Uint8Array(0), return_content_type: '' };
+    if (value instanceof Uint8Array) return { return_value: value, return_content_type: BINARY_TYPE };
+    return { return_value: new TextEncoder().encode(JSON.stringify(value)), return_content_type: JSON_TYPE };
+}
+
+function decodeReturn(response) {
+    if (response.return_content_type === JSON_TYPE) return JSON.parse(Buffer.from(response.return_value).toString('utf8'));
+    if (response.return_content_type === BINARY_TYPE) return Buffer.from(response.return_value);
+    return undefined;
+}
+
+function withDeadline(promise, ms) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new RmiError(RMI_ERRORS.TIMEOUT, `no result within ${ms}ms`)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * The serving side. Route `rmi.*` commands from the P2P listener to
+ * `handle`.
+ *
+ * @param {{ identity: { publicKey: string, privateKey: string },
+ *           dht?: { publish: Function } | null, multiaddrs?: () => string[],
+ *           callTimeoutMs?: number, maxTransientPerCaller?: number, now?: () => number }} opts
+ *   `dht` enables registry publishing; `multiaddrs` are advertised in
+ *   the records.
+ */
+export function createRmiRuntime({
+    identity,
+    dht = null,
+    multiaddrs = () => [],
+    callTimeoutMs = CALL_TIMEOUT_MS,
+    maxTransientPerCaller = MAX_TRANSIENT_PER_CALLER,
+    now = () => Date.now()
+}) {
+    const self = identity.publicKey.toLowerCase();
+    const objects = new Map();    // object_id → exported object
+    const leases = new Map();     // object_id → Map(peerId → expiresAt)
+    const redirects = new Map();  // object_id → { ref, until }
+    const responses = new Map();  // caller \n request_id → { bodyHash, response: Promise<bytes>, expiresAt }
+    const rates = new Map();      // rate key → { windowStart, count }
+    const transient = new Map();  // peerId → live objects its calls exported
+    const stats = { calls: 0, errors: 0, replayed: 0, collected: 0, published: 0 };
+    let timers = [];
+
+    const refOf = (obj) => ({ object_id: obj.id, type_name: obj.typeName, owner_peer_id: self });
+
+    function allow(key, max) {
+        const t = now();
+        const entry = rates.get(key);
+        if (!entry || t - entry.windowStart >= RATE_WINDOW_MS) {
+            rates.set(key, { windowStart: t, count: 1 });
+            return true;
+        }
+        entry.count += 1;
+        return entry.count <= max;
+    }
+
+    function grantLease(objectId, peerId, ms) {
+        const forObject = leases.get(objectId) ?? new Map();
+        forObject.set(peerId, now() + Math.min(Math.max(ms, 0), MAX_LEASE_MS));
+        leases.set(objectId, forObject);
+    }
+
+    /**
+     * Export an object. `methods` is the allowlist — only its own
+     * functions are callable, each as `fn(args, ctx)` with
+     * `ctx = { caller, ref, export }`. `authorize(callerPeerId, method)`
+     * can refuse callers. Transient objects (pinned: false) need a
+     * lease: `leaseTo` grants one to that peer up front.
+     *
+     * @returns {{ object_id: string, type_name: string, owner_peer_id: string }}
+     */
+    function exportObject({ id = randomUUID(), typeName, methods, authorize = null, pinned = true, leaseTo = null, leaseMs = DEFAULT_LEASE_MS, snapshot = null, dispose = null }) {
+        if (typeof typeName !== 'string' || !/\.v\d+$/.test(typeName)) throw new Error(`rmi: type name must end in a version, got ${typeName}`);
+        if (objects.has(id) || redirects.has(id)) throw new Error(`rmi: object ${id} already exported`);
+        const allowlist = new Map(Object.entries(methods ?? {}).filter(([, fn]) => typeof fn === 'function'));
+        const obj = { id, typeName, methods: allowlist, authorize, pinned, snapshot, dispose, exportedAt: now(), lastCalledAt: null };
+        objects.set(id, obj);
+        if (leaseTo) grantLease(id, leaseTo, leaseMs);
+        if (dht && id !== DGC_OBJECT_ID) publish(obj).catch(() => {});
+        return refOf(obj);
+    }
+
+    function destroy(obj) {
+        objects.delete(obj.id);
+        leases.delete(obj.id);
+        if (obj.exportedFor) {
+            const n = transient.get(obj.exportedFor) - 1;
+            if (n > 0) transient.set(obj.exportedFor, n);
+            else transient.delete(obj.exportedFor);
+        }
+        try { obj.dispose?.(); } catch { /* best effort */ }
+    }
+
+    async function publish(obj, ownerPeerId = self) {
+        const value = {
+            object_id: obj.id,
+            type_name: obj.typeName,
+            owner_peer_id: ownerPeerId,
+            multiaddrs: ownerPeerId === self ? multiaddrs() : [],
+            methods: [...obj.methods.keys()]
+        };
+        const stored = await dht.publish(dhtKey(`rmi:${obj.id}`), value);
+        stats.published += 1;
+        return stored;
+    }
+
+    async function dispatch(request, caller) {
+        const ref = request.object_ref;
+        const redirect = redirects.get(ref.object_id);
+        if (redirect && redirect.until > now()) {
+            throw new RmiError(RMI_ERRORS.OBJECT_MIGRATED, 'object moved to another peer', { migratedTo: redirect.ref });
+        }
+        const obj = objects.get(ref.object_id);
+        if (!obj) throw new RmiError(RMI_ERRORS.OBJECT_NOT_FOUND, `no object ${ref.object_id}`);
+        if (ref.type_name && ref.type_name !== obj.typeName) {
+            throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, `object is ${obj.typeName}, not ${ref.type_name}`);
+        }
+        if (obj.authorize && !obj.authorize(caller, request.method_name)) {
+            throw new RmiError(RMI_ERRORS.UNAUTHORIZED, `not allowed to call ${request.method_name}`);
+        }
+        const fn = obj.methods.get(request.method_name);
+        if (!fn) throw new RmiError(RMI_ERRORS.METHOD_NOT_FOUND, `${obj.typeName} has no method ${request.method_name}`);
+        if (!allow(`${caller}\n${obj.id}\n${request.method_name}`, RATE_MAX_PER_METHOD)) {
+            throw new RmiError(RMI_ERRORS.RATE_LIMITED, 'too many calls to this method');
+        }
+        const args = decodeArgs(request.args);
+        obj.lastCalledAt = now();
+        const ctx = {
+            caller,
+            ref: refOf(obj),
+            // Objects a method creates are leased to whoever called it.
+            export: (spec) => {
+                const live = transient.get(caller) ?? 0;
+                if (live >= maxTransientPerCaller) {
+                    throw new RmiError(RMI_ERRORS.RATE_LIMITED, `${live} objects still leased to you; release some first`);
+                }
+                const exported = exportObject({ pinned: false, ...spec, leaseTo: caller });
+                objects.get(exported.object_id).exportedFor = caller;
+                transient.set(caller, live + 1);
+                return exported;
+            }
+        };
+        return withDeadline(Promise.resolve().then(() => fn(args, ctx)), callTimeoutMs);
+    }
+
+    async function execute(request, caller) {
+        stats.calls += 1;
+        try {
+            const value = await dispatch(request, caller);
+            return rmiV1.RmiResponse.create({ request_id: request.request_id, ok: true, ...encodeReturn(value) });
+        } catch (err) {
+            stats.errors += 1;
+            const known = err instanceof RmiError && Object.hasOwn(RMI_ERRORS, err.code);
+            return rmiV1.RmiResponse.create({
+                request_id: request.request_id,
+                error_code: known ? err.code : RMI_ERRORS.INTERNAL_ERROR,
+                error_message: known ? err.message : 'internal error',
+                migrated_to: known ? err.migratedTo : null
+            });
+        }
+    }
+
+    /**
+     * Run one encoded RmiRequest from `caller` (its handshake-proven
+     * peer id). Resolves the encoded RmiResponse.
+     */
+    async function invokeBytes(bytes, caller) {
+        let verified;
+        try {
+            verified = verifyRmiRequest(bytes, caller, { now: now() });
+        } catch (err) {
+            stats.errors += 1;
+            return rmiV1.RmiResponse.encode({ error_code: err.code ?? RMI_ERRORS.BAD_ARGUMENTS, error_message: err.message });
+        }
+        const { request, bodyHash } = verified;
+        if (!allow(caller, RATE_MAX_PER_PEER)) {
+            stats.errors += 1;
+            return rmiV1.RmiResponse.encode({ request_id: request.request_id, error_code: RMI_ERRORS.RATE_LIMITED, error_message: 'too many calls' });
+        }
+        const key = `${caller}\n${request.request_id}`;
+        const cached = responses.get(key);
+        if (cached && cached.expiresAt > now()) {
+            if (cached.bodyHash !== bodyHash) {
+                return rmiV1.RmiResponse.encode({
+                    request_id: request.request_id,
+                    error_code: RMI_ERRORS.STATE_CONFLICT,
+                    error_message: 'request_id reused with a different payload'
+                });
+            }
+            stats.replayed += 1;
+            return cached.response;
+        }
+        if (responses.size >= MAX_CACHED_RESPONSES) responses.delete(responses.keys().next().value);
+        const response = execute(request, caller).then((r) => rmiV1.RmiResponse.encode(r));
+        responses.set(key, { bodyHash, response, expiresAt: now() + IDEMPOTENCY_TTL_MS });
+        return response;
+    }
+
+    /** Drop expired leases, idempotency entries and redirects; destroy unleased transient objects. */
+    function collect() {
+        const t = now();
+        for (const [id, forObject] of leases) {
+            for (const [peerId, expiresAt] of forObject) if (expiresAt <= t) forObject.delete(peerId);
+            if (forObject.size === 0) leases.delete(id);
+        }
+        for (const obj of [...objects.values()]) {
+            if (!obj.pinned && !leases.has(obj.id)) {
+                destroy(obj);
+                stats.collected += 1;
+            }
+        }
+        for (const [id, r] of redirects) if (r.until <= t) redirects.delete(id);
+        for (const [key, entry] of responses) if (entry.expiresAt <= t) responses.delete(key);
+        for (const [key, entry] of rates) if (t - entry.windowStart >= RATE_WINDOW_MS) rates.delete(key);
+    }
+
+    // The distributed GC is itself a remote object.
+    exportObject({
+        id: DGC_OBJECT_ID,
+        typeName: DGC_TYPE,
+        methods: {
+            dirty({ object_ids: ids, lease_ms: ms = DEFAULT_LEASE_MS }, { caller }) {
+                if (!Array.isArray(ids) || !Number.isFinite(ms)) throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, 'object_ids[] and lease_ms required');
+                const granted = [];
+                const missing = [];
+                const refused = [];
+                for (const id of ids) {
+                    const obj = id === DGC_OBJECT_ID ? null : objects.get(id);
+                    if (!obj) {
+                        missing.push(id);
+                    } else if (leases.get(id)?.has(caller) || obj.authorize?.(caller, 'dirty')) {
+                        // Otherwise any peer could keep someone else's objects alive.
+                        grantLease(id, caller, ms);
+                        granted.push(id);
+                    } else {
+                        refused.push(id);
+                    }
+                }
+                return { lease_ms: Math.min(Math.max(ms, 0), MAX_LEASE_MS), granted, missing, refused };
+            },
+            clean({ object_ids: ids }, { caller }) {
+                if (!Array.isArray(ids)) throw new RmiError(RMI_ERRORS.BAD_ARGUMENTS, 'object_ids[] required');
+                let released = 0;
+                for (const id of ids) if (leases.get(id)?.delete(caller)) released += 1;
+                return { released };
+            }
+        }
+    });
+
+    return {
+        peerId: self,
+        objects,
+        leases,
+        stats,
+        exportObject,
+
+        /** Stop serving an object now, leases or not. */
+        unexport(objectId) {
+            const obj = objects.get(objectId);
+            if (!obj || objectId === DGC_OBJECT_ID) return false;
+            destroy(obj);
+            return true;
+        },
+
+        /**
+         * Hand an object to `ownerPeerId`: we stop serving it and answer
+         * OBJECT_MIGRATED for REDIRECT_TTL_MS (and republish the registry
+         * record pointing at the new owner). Returns the object's
+         * snapshot() for the hand-off bundle, if it has one.
+         */
+        async migrate(objectId, ownerPeerId) {
+            const obj = objects.get(objectId);
+            if (!obj || objectId === DGC_OBJECT_ID) throw new Error(`rmi: no object ${objectId}`);
+            const state = obj.snapshot ? await obj.snapshot() : null;
+            redirects.set(objectId, { ref: { ...refOf(obj), owner_peer_id: ownerPeerId }, until: now() + REDIRECT_TTL_MS });
+            destroy(obj);
+            if (dht) await publish(obj, ownerPeerId).catch(() => {});
+            return state;
+        },
+
+        collect,
+        invokeBytes,
+
+        /**
+         * Handler for `rmi.*` lines from the P2P listener (lib/p2p-server.js).
+         */
+        handle(msg, peer) {
+            if (!peer.protocols.includes(RMI_PROTOCOL)) {
+                return { ok: false, error: 'protocol-not-negotiated', cause: RMI_PROTOCOL };
+            }
+            if (msg.cmd !== 'rmi.invoke') return { ok: false, error: `unknown-cmd: ${msg.cmd}` };
+            if ((msg.method ?? INVOKE_PATH) !== INVOKE_PATH) return { ok: false, error: `unknown-method: ${msg.method}` };
+            if (typeof msg.request !== 'string') return { ok: false, error: 'bad-request' };
+            return invokeBytes(new Uint8Array(Buffer.from(msg.request, 'base64')), peer.peerId)
+                .then((bytes) => ({ ok: true, data: { response: Buffer.from(bytes).toString('base64') } }));
+        },
+
+        /** Republish registry records now and every REPUBLISH_MS; run GC every GC_INTERVAL_MS. */
+        start() {
+            if (timers.length > 0) return;
+            const republish = () => {
+                if (!dht) return;
+                for (const obj of objects.values()) if (obj.id !== DGC_OBJECT_ID) publish(obj).catch(() => {});
+                for (const [id, r] of redirects) publish({ id, typeName: r.ref.type_name, methods: new Map() }, r.ref.owner_peer_id).catch(() => {});
+            };
+            timers = [setInterval(republish, REPUBLISH_MS), setInterval(collect, GC_INTERVAL_MS)];
+            for (const t of timers) t.unref?.();
+        },
+
+        stop() {
+            for (const t of timers) clearInterval(t);
+            timers = [];
+        }
+    };
+}
+
+/**
+ * Look `objectId` up in the registry: the newest signed record for it
+ * (highest lamport across publishers — an old owner republishes with
+ * the new owner after a migration). Resolves `{ ref, multiaddrs,
+ * methods }`, or null when nobody published it.
+ */
+export async function resolveObject(dht, objectId) {
+    const { values } = await dht.lookup(dhtKey(`rmi:${objectId}`), { values: true });
+    const best = values
+        .filter((r) => r.value.object_id === objectId && typeof r.value.owner_peer_id === 'string')
+        .sort((a, b) => b.lamport - a.lamport)[0];
+    if (!best) return null;
+    return {
+        ref: { object_id: objectId, type_name: String(best.value.type_name ?? ''), owner_peer_id: best.value.owner_peer_id },
+        multiaddrs: Array.isArray(best.value.multiaddrs) ? best.value.multiaddrs.filter((m) => typeof m === 'string') : [],
+        methods: Array.isArray(best.value.methods) ? best.value.methods : []
+    };
+}
+
+/**
+ * The calling side. `connect(ownerPeerId)` returns a P2P session
+ * (lib/p2p-client.js) to that peer, opened with RMI_PROTOCOL; calls
+ * follow OBJECT_MIGRATED redirects.
+ *
+ * The P2P listener answers a connection's commands in the order they
+ * finish, and the session pairs replies with requests in the order
+ * they were sent, so calls over one session are made one at a time.
+ *
+ * @param {{ identity: { publicKey: string, privateKey: string },
+ *           connect: (ownerPeerId: string) => Promise<{ request: Function }>,
+ *           now?: () => number }} opts
+ */
+export function createRmiClient({ identity, connect, now = () => Date.now() }) {
+    const queues = new WeakMap();
+
+    function stubFor(session) {
+        return rmiV1.createRemoteObjectInvokerClient({
+            async unary(path, bytes) {
+                const prev = queues.get(session) ?? Promise.resolve();
+                const call = prev.then(() => session.request('rmi.invoke', { method: path, request: Buffer.from(bytes).toString('base64') }));
+                queues.set(session, call.catch(() => {}));
+                const reply = await call;
+                if (reply?.ok !== true) throw new Error(`rmi.invoke: ${reply?.error ?? 'failed'}`);
+                return new Uint8Array(Buffer.from(reply.data.response, 'base64'));
+            }
+        });
+    }
+
+    /**
+     * Call `method` on the object `ref` points at. Resolves its return
+     * value; rejects with an RmiError carrying the RMI error code.
+     */
+    async function invoke(ref, method, args = {}, { requestId = randomUUID() } = {}) {
+        let target = ref;
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+            const session = await connect(target.owner_peer_id);
+            const request = signRmiRequest({
+                request_id: requestId,
+                object_ref: target,
+                method_name: method,
+                args: encodeArgs(args),
+                timestamp_unix: Math.floor(now() / 1000)
+            }, identity.privateKey);
+            const response = await stubFor(session).invoke(request);
+            if (response.ok) return decodeReturn(response);
+            if (response.error_code === RMI_ERRORS.OBJECT_MIGRATED && response.migrated_to) {
+                target = response.migrated_to;
+                continue;
+            }
+            throw new RmiError(response.error_code || RMI_ERRORS.INTERNAL_ERROR, response.error_message, { migratedTo: response.migrated_to });
+        }
+        throw new RmiError(RMI_ERRORS.OBJECT_MIGRATED, 'too many redirects');
+    }
+
+    const dgcRef = (ref) => ({ object_id: DGC_OBJECT_ID, type_name: DGC_TYPE, owner_peer_id: ref.owner_peer_id });
+
+    return {
+        invoke,
+
+        /** Take or renew a lease on `ref`. Resolves the lease length granted, or 0 if the object is gone. */
+        async lease(ref, leaseMs = DEFAULT_LEASE_MS) {
+            const result = await invoke(dgcRef(ref), 'dirty', { object_ids: [ref.object_id], lease_ms: leaseMs });
+            return result.granted.includes(ref.object_id) ? result.lease_ms : 0;
+        },
+
+        /** Drop our lease on `ref` so the owner can collect it. */
+        async release(ref) {
+            const result = await invoke(dgcRef(ref), 'clean', { object_ids: [ref.object_id] });
+            return result.released > 0;
+        }
+    };
+}
+
@@ -0,0 +1,43 @@
+import { NextResponse } from "next/server";
+import { authenticateApiKey } from "@/lib/data/api-keys";
+import { cancelChatJob } from "@/lib/data/chat";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * POST /api/chat/<jobId>/cancel
+ *
+ * Stop a chat or embeddings job. Jobs nobody has picked up are cancelled
+ * on the spot; a job a provider is running goes to `cancelling`, the
+ * daemon cancels its engine generation within a second or so and posts
+ * a `done` event with `reason: "cancel"` (partial text + usage), which
+ * ends any open stream for the job.
+ *
+ * Jobs created with an API key need the same `Authorization: Bearer
+ * inf_...`; anonymous jobs can be cancelled by anyone holding the id.
+ * Streaming clients don't need to call this — closing the
+ * /api/chat/stream/<jobId> or /v1/chat/completions connection cancels
+ * the job too.
+ *
+ * 200 { id, status, cancelled }  — `cancelled: false` when the job had
+ *                                  already finished (nothing to stop)
+ * 401 / 403 / 404
+ */
+export async function POST(request, { params }) {
+    const { jobId } = await params;
+    if (!jobId || typeof jobId !== "string") {
+        return NextResponse.json({ error: "jobId required" }, { status: 400 });
+    }
+
+    try {
+        const apiKey = await authenticateApiKey(request);
+        const result = await cancelChatJob(jobId, { reason: "client", apiKeyId: apiKey?.id ?? null });
+        return NextResponse.json(result, { headers: { "cache-control": "no-store" } });
+    } catch (e) {
+        return NextResponse.json(
+            { error: e?.message ?? "cancel failed" },
+            { status: e?.status ?? 500 }
+        );
+    }
+}
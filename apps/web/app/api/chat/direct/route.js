@@ -0,0 +1,97 @@
+import { NextResponse } from "next/server";
+import { authorizeApiKeyRequest } from "@/lib/data/api-keys";
+import { createDirectChatJob } from "@/lib/data/direct-chat";
+import { rateLimit, getClientIp } from "@/lib/rate-limit";
+import { validateChatMessages, validateTools } from "@/lib/chat-input";
+import { inlineRemoteImages } from "@/lib/chat-images";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * POST /api/chat/direct — create a chat job the consumer streams
+ * straight from the provider over P2P (lib/data/direct-chat.js).
+ *
+ * Body: same as /api/chat plus `clientPubkey` — the 64-hex Nostr pubkey
+ * the consumer will prove in the handshake — and optional `candidates`,
+ * provider pubkeys it found through Nostr discovery; one of them gets
+ * the job when any qualifies.
+ *
+ * 200 → { jobId, ticket, expiresAt, input, provider: { pubkey, nodeId, name, model } }
+ *       Resolve the provider's multiaddr with /api/peers?pubkey=<pubkey>,
+ *       dial it, send `{ cmd: "compute.submit", ticket, input }`.
+ * 409 → no reachable provider can take it right now; use /api/chat.
+ *
+ * Same auth and quotas as /api/chat.
+ */
+const limit = rateLimit({ name: "chat", windowMs: 60 * 60 * 1000, max: 20 });
+
+function err(status, error, detail) {
+  const body = { error };
+  if (detail !== undefined) body.detail = detail;
+  return NextResponse.json(body, { status });
+}
+
+export async function POST(request) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch {
+    return err(400, "Invalid JSON body");
+  }
+
+  const { messages, modelName, maxTokens, temperature, tools, toolChoice, clientPubkey, candidates, requireVerifiedWeights } = payload ?? {};
+  const invalid = validateChatMessages(messages) ?? validateTools(tools, toolChoice);
+  if (invalid) return err(400, invalid);
+
+  let apiKey;
+  try {
+    apiKey = await authorizeApiKeyRequest(request, { model: modelName });
+  } catch (e) {
+    return err(e?.status ?? 500, e?.message ?? "API key check failed");
+  }
+  if (!apiKey) {
+    const r = await limit.check(getClientIp(request));
+    if (!r.ok) {
+      return err(429, "Rate limit exceeded — try again later", {
+        resetAt: new Date(r.resetAt).toISOString()
+      });
+    }
+  }
+
+  try {
+    const created = await createDirectChatJob({
+      clientPubkey,
+      candidates,
+      messages: await inlineRemoteImages(messages),
+      modelName,
+      maxTokens,
+      temperature,
+      tools,
+      toolChoice,
+      apiKeyId: apiKey?.id,
+      requireVerified: requireVerifiedWeights === true
+    });
+    if (!created) {
+      return err(409, "No directly reachable provider can take this job right now.", {
+        hint: "Fall back to POST /api/chat."
+      });
+    }
+    const { job, provider, ticket, expiresAt, input } = created;
+    return NextResponse.json({
+      jobId: job.id,
+      ticket,
+      expiresAt,
+      input,
+      provider: {
+        pubkey: provider.public_key,
+        nodeId: provider.node_id,
+        name: provider.name,
+        model: job.model_name ?? null
+      }
+    });
+  } catch (e) {
+    if (e?.status === 400 || e?.status === 503) return err(e.status, e.message);
+    return err(500, "Failed to create direct chat job", e?.message ?? String(e));
+  }
+}
@@ -1,13 +1,23 @@
 import { NextResponse } from "next/server";
+import { authorizeApiKeyRequest } from "@/lib/data/api-keys";
 import { createChatJob } from "@/lib/data/chat";
 import { rateLimit, getClientIp } from "@/lib/rate-limit";
+import { validateChatMessages, validateTools } from "@/lib/chat-input";
+import { inlineRemoteImages } from "@/lib/chat-images";
+import { claimIdempotencyKey, consumerPrincipal, replayResponse } from "@/lib/idempotency/middleware";
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
 
+// A retry carrying the same Idempotency-Key gets the first response
+// (the same jobId) back instead of starting a second job
+// (lib/idempotency/middleware.js).
+//
 // 20 messages per IP per hour. Good enough to keep public playground
-// usable without letting a single IP burn the whole network.
-const limit = rateLimit({ windowMs: 60 * 60 * 1000, max: 20 });
+// usable without letting a single IP burn the whole network. Requests
+// carrying an `inf_` API key skip this and run under the key's own
+// quotas instead (lib/data/api-keys.js).
+const limit = rateLimit({ name: "chat", windowMs: 60 * 60 * 1000, max: 20 });
 
 function err(status, error, detail) {
   const body = { error };
@@ -16,14 +26,6 @@ function err(status, error, detail) {
 }
 
 export async function POST(request) {
-  const ip = getClientIp(request);
-  const r = limit.check(ip);
-  if (!r.ok) {
-    return err(429, "Rate limit exceeded — try again later", {
-      resetAt: new Date(r.resetAt).toISOString()
-    });
-  }
-
   let payload;
   try {
     payload = await request.json();
@@ -31,24 +33,53 @@ export async function POST(request) {
     return err(400, "Invalid JSON body");
   }
 
-  const { messages, modelName, maxTokens, temperature } = payload ?? {};
-  if (!Array.isArray(messages) || messages.length === 0) {
-    return err(400, "messages[] is required");
+  const { messages, modelName, maxTokens, temperature, tools, toolChoice, requireVerifiedWeights } = payload ?? {};
+  const invalid = validateChatMessages(messages) ?? validateTools(tools, toolChoice);
+  if (invalid) return err(400, invalid);
+
+  let apiKey;
+  try {
+    apiKey = await authorizeApiKeyRequest(request, { model: modelName });
+  } catch (e) {
+    return err(e?.status ?? 500, e?.message ?? "API key check failed");
   }
-  for (const m of messages) {
-    if (!m || typeof m.role !== "string" || typeof m.content !== "string") {
-      return err(400, "Each message must be { role, content } strings");
+  if (!apiKey) {
+    const r = await limit.check(getClientIp(request));
+    if (!r.ok) {
+      return err(429, "Rate limit exceeded — try again later", {
+        resetAt: new Date(r.resetAt).toISOString()
+      });
     }
   }
 
+  let idem;
   try {
-    const { job, provider, source } = await createChatJob({ messages, modelName, maxTokens, temperature });
+    idem = await claimIdempotencyKey(request, { principal: consumerPrincipal(request, apiKey), body: payload });
+  } catch (e) {
+    return err(e?.status ?? 500, e?.message ?? "idempotency check failed");
+  }
+  if (idem?.replay) return replayResponse(idem.replay);
+  if (idem?.conflict) return err(409, idem.conflict);
+
+  const respond = async (response) => (idem ? idem.commit(response) : response);
+  try {
+    const { job, provider, source } = await createChatJob({
+      messages: await inlineRemoteImages(messages),
+      modelName,
+      maxTokens,
+      temperature,
+      tools,
+      toolChoice,
+      apiKeyId: apiKey?.id,
+      // Only providers with canonical weights for the model (IPIP-0014 §2).
+      requireVerified: requireVerifiedWeights === true
+    });
     if (source === "none") {
-      return err(503, "The Infernet network has no live providers and the NVIDIA NIM fallback is not configured.", {
+      return respond(err(503, "The Infernet network has no live providers and the NVIDIA NIM fallback is not configured.", {
         hint: "Set NVIDIA_NIM_API_KEY on the control plane or wait for a provider to come online."
-      });
+      }));
     }
-    return NextResponse.json({
+    return respond(NextResponse.json({
       jobId: job.id,
       status: job.status,
       source,
@@ -56,8 +87,10 @@ export async function POST(request) {
         ? { id: provider.id, name: provider.name, nodeId: provider.node_id, gpuModel: provider.gpu_model, model: provider.model ?? null }
         : null,
       streamUrl: `/api/chat/stream/${job.id}`
-    });
+    }));
   } catch (e) {
-    return err(500, "Failed to create chat job", e?.message ?? String(e));
+    // 400s are the caller's request (image fetch / capability), not ours.
+    if (e?.status === 400) return respond(err(400, e.message));
+    return respond(err(500, "Failed to create chat job", e?.message ?? String(e)));
   }
 }
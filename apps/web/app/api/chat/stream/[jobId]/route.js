@@ -1,5 +1,5 @@
 import { getSupabaseServerClient } from "@/lib/supabase/server";
-import { getJobWithEvents } from "@/lib/data/chat";
+import { cancelChatJob, getJobWithEvents, watchForCancel } from "@/lib/data/chat";
 import { streamChatCompletion } from "@infernetprotocol/nim-adapter";
 
 export const runtime = "nodejs";
@@ -18,11 +18,17 @@ export const dynamic = "force-dynamic";
  *     Realtime; the provider daemon is responsible for writing tokens.
  *
  * In both cases the client sees the same SSE event types:
- *   job | meta | token | done | error
+ *   job | meta | token | tool_call | done | error
+ *
+ * Closing the connection before `done` cancels the job: the provider
+ * (or the NIM relay) stops generating and the job ends `cancelled`
+ * with a `done` event whose `reason` is "cancel".
  */
 export async function GET(_request, { params }) {
   const { jobId } = await params;
   const encoder = new TextEncoder();
+  // Replaced once the job is loaded; called from the stream's cancel().
+  let onDisconnect = () => {};
 
   function sseFrame(eventType, data, id) {
     let out = "";
@@ -33,6 +39,9 @@ export async function GET(_request, { params }) {
   }
 
   const stream = new ReadableStream({
+    cancel() {
+      onDisconnect();
+    },
     async start(controller) {
       const supabase = getSupabaseServerClient();
 
@@ -76,10 +85,19 @@ export async function GET(_request, { params }) {
       // Heartbeat keeps the connection alive through proxies in both paths.
       const hb = setInterval(() => safeEnqueue(encoder.encode(": ping\n\n")), 15_000);
 
+      const disconnect = new AbortController();
+      onDisconnect = () => {
+        closed = true;
+        disconnect.abort();
+        cancelChatJob(job.id, { reason: "disconnect", apiKeyId: job.api_key_id ?? null }).catch((e) => {
+          console.warn(`cancel on disconnect failed for job ${job.id}: ${e?.message ?? e}`);
+        });
+      };
+
       const fallback = job?.input_spec?.fallback;
       if (fallback === "nvidia-nim") {
         try {
-          await runNimFallback({ supabase, job, safeEnqueue, sseFrame });
+          await runNimFallback({ supabase, job, safeEnqueue, sseFrame, signal: disconnect.signal });
         } catch (e) {
           safeEnqueue(sseFrame("error", { message: e?.message ?? String(e) }));
         }
@@ -114,6 +132,12 @@ export async function GET(_request, { params }) {
         safeClose();
       }, 10 * 60 * 1000);
       if (typeof maxAlive.unref === "function") maxAlive.unref();
+
+      disconnect.signal.addEventListener("abort", () => {
+        try { supabase.removeChannel(channel); } catch { /* ignore */ }
+        clearInterval(hb);
+        clearTimeout(maxAlive);
+      }, { once: true });
     }
   });
 
@@ -131,13 +155,27 @@ export async function GET(_request, { params }) {
  * Stream a chat response from NVIDIA NIM. Tokens are enqueued to the
  * client (so the UI sees them live) AND inserted into `job_events` so
  * the job's audit trail looks identical to a real P2P provider run.
+ *
+ * `signal` (client disconnect) or a cancel request on the job row
+ * aborts the upstream request; the job then closes as `cancelled`.
  */
-async function runNimFallback({ supabase, job, safeEnqueue, sseFrame }) {
+async function runNimFallback({ supabase, job, safeEnqueue, sseFrame, signal }) {
   const input = job.input_spec ?? {};
   const messages = input.messages ?? [];
   const model = input.nim_model ?? job.model_name ?? undefined;
 
+  const upstream = new AbortController();
+  let cancelled = false;
+  const cancel = () => {
+    cancelled = true;
+    upstream.abort();
+  };
+  if (signal?.aborted) cancel();
+  else signal?.addEventListener("abort", cancel, { once: true });
+  const stopWatch = watchForCancel(job.id, cancel);
+
   let fullText = "";
+  let chunks = 0;
   let finalPersisted = false;
   const persistedMeta = await insertJobEvent(supabase, job.id, "meta", {
     provider_node_id: "nvidia-nim",
@@ -147,30 +185,73 @@ async function runNimFallback({ supabase, job, safeEnqueue, sseFrame }) {
   });
   if (persistedMeta) safeEnqueue(sseFrame("meta", persistedMeta.data, persistedMeta.id));
 
-  for await (const ev of streamChatCompletion({
-    messages,
-    model,
-    maxTokens: input.max_tokens,
-    temperature: input.temperature
-  })) {
-    if (ev.type === "meta") continue; // we already emitted our own meta above
-    if (ev.type === "token") {
-      fullText += ev.data?.text ?? "";
-      const persisted = await insertJobEvent(supabase, job.id, "token", ev.data);
-      safeEnqueue(sseFrame("token", ev.data, persisted?.id));
-    } else if (ev.type === "done") {
-      const data = { text: fullText, finished_at: ev.data?.finished_at ?? new Date().toISOString() };
-      const persisted = await insertJobEvent(supabase, job.id, "done", data);
-      safeEnqueue(sseFrame("done", data, persisted?.id));
-      await finalizeJob(supabase, job.id, { status: "completed", result: { type: "chat", text: fullText, source: "nvidia-nim" } });
-      finalPersisted = true;
-    } else if (ev.type === "error") {
-      const persisted = await insertJobEvent(supabase, job.id, "error", ev.data);
-      safeEnqueue(sseFrame("error", ev.data, persisted?.id));
-      await finalizeJob(supabase, job.id, { status: "failed", error: ev.data?.message ?? "nim error" });
-      finalPersisted = true;
-      break;
+  try {
+    for await (const ev of streamChatCompletion({
+      messages,
+      model,
+      maxTokens: input.max_tokens,
+      temperature: input.temperature,
+      tools: input.tools,
+      toolChoice: input.tool_choice,
+      sampling: input.sampling,
+      signal: upstream.signal
+    })) {
+      if (ev.type === "meta") continue; // we already emitted our own meta above
+      if (ev.type === "tool_call") {
+        const persisted = await insertJobEvent(supabase, job.id, "tool_call", ev.data);
+        safeEnqueue(sseFrame("tool_call", ev.data, persisted?.id));
+        continue;
+      }
+      if (ev.type === "token") {
+        fullText += ev.data?.text ?? "";
+        chunks += 1;
+        const persisted = await insertJobEvent(supabase, job.id, "token", ev.data);
+        safeEnqueue(sseFrame("token", ev.data, persisted?.id));
+      } else if (ev.type === "done") {
+        const usage = ev.data?.usage ?? null;
+        const data = {
+          text: fullText,
+          ...(ev.data?.reason ? { reason: ev.data.reason } : {}),
+          ...(usage ? { usage } : {}),
+          finished_at: ev.data?.finished_at ?? new Date().toISOString()
+        };
+        const persisted = await insertJobEvent(supabase, job.id, "done", data);
+        safeEnqueue(sseFrame("done", data, persisted?.id));
+        await finalizeJob(supabase, job.id, {
+          status: "completed",
+          result: {
+            type: "chat",
+            text: fullText,
+            source: "nvidia-nim",
+            ...(usage ? { usage, token_count: usage.completion_tokens } : {})
+          }
+        });
+        finalPersisted = true;
+      } else if (ev.type === "error") {
+        if (cancelled) break; // the aborted fetch surfaces as an error
+        const persisted = await insertJobEvent(supabase, job.id, "error", ev.data);
+        safeEnqueue(sseFrame("error", ev.data, persisted?.id));
+        await finalizeJob(supabase, job.id, { status: "failed", error: ev.data?.message ?? "nim error" });
+        finalPersisted = true;
+        break;
+      }
     }
+  } finally {
+    stopWatch();
+    signal?.removeEventListener("abort", cancel);
+  }
+
+  if (!finalPersisted && cancelled) {
+    // NIM only reports usage on a completed stream; bill the relayed chunks.
+    const usage = { prompt_tokens: 0, completion_tokens: chunks, total_tokens: chunks, estimated: true };
+    const data = { text: fullText, reason: "cancel", usage, finished_at: new Date().toISOString() };
+    const persisted = await insertJobEvent(supabase, job.id, "done", data);
+    safeEnqueue(sseFrame("done", data, persisted?.id));
+    await finalizeJob(supabase, job.id, {
+      status: "cancelled",
+      result: { type: "chat", text: fullText, source: "nvidia-nim", incomplete: true, usage, token_count: chunks }
+    });
+    return;
   }
 
   // Defensive: if NIM closed without a 'done' frame, still mark the job completed.
@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { sweepBatches } from "@/lib/data/batch";
+import { finalizeOpenAiBatches } from "@/lib/data/openai-batch";
+import { handleRoute } from "@/lib/http";
+
+/**
+ * IPIP-0013 — batch scheduler.
+ *
+ * One pass over every open batch job: settle chunks whose job finished,
+ * retry failed or timed-out chunks on another provider, dispatch queued
+ * ones up to each batch's max_concurrency, and close batches whose
+ * chunks have all settled (manifest + webhook). See lib/data/batch.js.
+ * Then finalize OpenAI-compatible batches (/v1/batches) whose batch job
+ * closed, so they reach `completed` without anyone polling them.
+ *
+ * Auth: bearer token matching `CRON_SECRET` env, same as /api/cron/cpr —
+ * fails closed when unset.
+ *
+ * Suggested cadence: every 30 seconds. Retry backoff is 1s / 5s / 25s,
+ * so the schedule, not the backoff, sets how fast a retry goes out.
+ */
+function authorized(request) {
+    const expected = process.env.CRON_SECRET;
+    if (!expected) return false;
+    const auth = request.headers.get("authorization") ?? "";
+    return auth === `Bearer ${expected}`;
+}
+
+export async function POST(request) {
+    return handleRoute(async () => {
+        if (!authorized(request)) {
+            return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+        }
+        const result = await sweepBatches();
+        const openaiFinalized = await finalizeOpenAiBatches();
+        return NextResponse.json({ data: { ...result, openai_finalized: openaiFinalized } });
+    });
+}
+
+// GET also runs the sweep for GET-only cron services. Same auth.
+export const GET = POST;
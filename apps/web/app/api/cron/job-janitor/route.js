@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import { sweepStaleJobs } from "@/lib/data/job-janitor";
+import { handleRoute } from "@/lib/http";
+
+/**
+ * IPIP-0014 §3 — stale-job janitor.
+ *
+ * Finds chat / embedding / batch-chunk jobs whose provider stopped heartbeating or
+ * made no progress, and hands them to another provider (bounded by
+ * MAX_REASSIGNS, then `failed` with "exhausted_reassigns"). See
+ * lib/data/job-janitor.js for the rules.
+ *
+ * Auth: bearer token matching `CRON_SECRET` env, same as /api/cron/cpr —
+ * fails closed when unset.
+ *
+ * Suggested cadence: every 30 seconds. A provider counts as gone after
+ * 90s without a heartbeat, so a slower schedule only adds to how long a
+ * client waits on a dead node.
+ */
+function authorized(request) {
+    const expected = process.env.CRON_SECRET;
+    if (!expected) return false;
+    const auth = request.headers.get("authorization") ?? "";
+    return auth === `Bearer ${expected}`;
+}
+
+export async function POST(request) {
+    return handleRoute(async () => {
+        if (!authorized(request)) {
+            return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+        }
+        const result = await sweepStaleJobs();
+        return NextResponse.json({ data: result });
+    });
+}
+
+// GET also runs the sweep for GET-only cron services. Same auth.
+export const GET = POST;
@@ -27,7 +27,7 @@ export const dynamic = "force-dynamic";
  * applied to deter enumeration.
  */
 
-const limit = rateLimit({ windowMs: 60 * 60 * 1000, max: 6 });
+const limit = rateLimit({ name: "deploy-runpod", windowMs: 60 * 60 * 1000, max: 6 });
 
 function err(status, error, detail) {
   const body = { error };
@@ -37,7 +37,7 @@ function err(status, error, detail) {
 
 export async function POST(request) {
   const ip = getClientIp(request);
-  const r = limit.check(ip);
+  const r = await limit.check(ip);
   if (!r.ok) {
     return err(429, "Rate limit exceeded", { resetAt: new Date(r.resetAt).toISOString() });
   }
@@ -11,10 +11,16 @@ import { handleRoute } from "@/lib/http";
  * fresh node can dial to populate its DHT routing table.
  *
  * Query params:
- *   ?limit=N   1..100 (default 20)
+ *   ?limit=N        1..100 (default 20)
+ *   ?pubkey=<hex>   just that provider (direct-inference consumers)
+ *   ?relay=1        only providers serving as circuit relays (nodes
+ *                   behind NAT looking for one)
  *
  * Response:
- *   { data: [{ pubkey, multiaddr, last_seen, served_models, gpu_model }, ...] }
+ *   { data: [{ pubkey, multiaddr, last_seen, served_models, gpu_model, reachable, relay }, ...] }
+ *
+ * `multiaddr` is a `/p2p-circuit` address for providers that are only
+ * reachable through a relay.
  */
 export async function GET(request) {
     return handleRoute(async () => {
@@ -23,7 +29,9 @@ export async function GET(request) {
         const limit = limitRaw != null ? Number.parseInt(limitRaw, 10) : undefined;
 
         const peers = await listOnlinePeers({
-            limit: Number.isFinite(limit) ? limit : undefined
+            limit: Number.isFinite(limit) ? limit : undefined,
+            pubkey: searchParams.get("pubkey") ?? undefined,
+            relay: searchParams.get("relay") === "1"
         });
 
         return NextResponse.json({ data: peers });
@@ -19,7 +19,9 @@ export const dynamic = "force-dynamic";
  *     who want a direct connection
  *   - unreachable nodes — still get jobs via control-plane polling
  *     (daemon's outbound HTTP doesn't need inbound), but should NOT
- *     be advertised as a libp2p peer
+ *     be advertised as a libp2p peer at their own address; the daemon
+ *     takes a relay reservation instead and /api/peers hands out its
+ *     /p2p-circuit multiaddr (protocol/docs/relay.md)
  *
  * Why a server-side probe instead of the daemon checking itself:
  *   - the daemon's `detectLocalAddress()` returns whatever the host
@@ -30,7 +32,7 @@ export const dynamic = "force-dynamic";
  * Heavily rate-limited (10/min/IP) — TCP connects are cheap but
  * we don't want this used as a generic port scanner.
  */
-const limit = rateLimit({ windowMs: 60 * 1000, max: 10 });
+const limit = rateLimit({ name: "probe", windowMs: 60 * 1000, max: 10 });
 
 const CONNECT_TIMEOUT_MS = 4000;
 const ALLOWED_PORTS = { min: 1024, max: 65535 };
@@ -53,7 +55,7 @@ function isPlausibleHost(host) {
 
 export async function GET(request) {
     const ip = getClientIp(request);
-    const r = limit.check(ip);
+    const r = await limit.check(ip);
     if (!r.ok) return err(429, "rate limited");
 
     const url = new URL(request.url);
@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { handleRoute } from "@/lib/http";
+import { batchCaller, cancelBatch } from "@/lib/data/batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * POST /api/v1/jobs/batch/<id>/cancel
+ *
+ * Chunks that haven't finished are cancelled (running ones on their
+ * provider too); finished chunks keep their results, and the manifest
+ * and webhook go out as for a completed batch.
+ *
+ *   200 { data: { job_id, status, cancelled } } — `cancelled: false`
+ *       when the batch had already finished
+ */
+export async function POST(request, { params }) {
+    return handleRoute(async () => {
+        const { id } = await params;
+        const { userId } = await batchCaller(request);
+        const data = await cancelBatch({ id, userId });
+        return NextResponse.json({ data }, { headers: { "cache-control": "no-store" } });
+    });
+}
@@ -0,0 +1,26 @@
+import { NextResponse } from "next/server";
+import { handleRoute } from "@/lib/http";
+import { batchCaller, getChunkResult } from "@/lib/data/batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /api/v1/jobs/batch/<id>/chunks/<index> — one chunk's results.
+ *
+ *   200 { data: { index, status, items: { offset, count }, provider,
+ *                 results: [ ... ] } }
+ *   404 no such chunk; 409 the chunk hasn't completed (or failed)
+ *
+ * `results[i]` belongs to item `offset + i`: `{ embedding }` (embed),
+ * `{ text }` (chat / summarize), `{ label, text }` (classify),
+ * `{ data, text }` (extract), or `{ error }` for an item that failed.
+ */
+export async function GET(request, { params }) {
+    return handleRoute(async () => {
+        const { id, index } = await params;
+        const { userId } = await batchCaller(request);
+        const data = await getChunkResult({ id, userId, index });
+        return NextResponse.json({ data });
+    });
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from "next/server";
+import { handleRoute } from "@/lib/http";
+import { batchCaller, getBatchManifest } from "@/lib/data/batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /api/v1/jobs/batch/<id>/manifest
+ *
+ *   200 { data: { v: 1, job_id, kind, model,
+ *                 chunks: [ { index, items: { offset, count }, status,
+ *                             attempts, result_url, provider }
+ *                         | { index, items, status: "failed", attempts,
+ *                             error, last_provider } ],
+ *                 summary: { total, done, failed, completed_at } } }
+ *   409 while chunks are still running
+ *
+ * `result_url`s are relative to this host.
+ */
+export async function GET(request, { params }) {
+    return handleRoute(async () => {
+        const { id } = await params;
+        const { userId } = await batchCaller(request);
+        const data = await getBatchManifest({ id, userId });
+        return NextResponse.json({ data });
+    });
+}
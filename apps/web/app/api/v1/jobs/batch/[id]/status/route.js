@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import { handleRoute } from "@/lib/http";
+import { batchCaller, getBatchStatus } from "@/lib/data/batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /api/v1/jobs/batch/<id>/status
+ *
+ *   200 { data: { job_id, kind, model, status,
+ *                 chunks: { total, queued, running, done, failed },
+ *                 progress, item_count, created_at, started_at,
+ *                 completed_at, deadline_at, result_manifest_url,
+ *                 webhook?: { delivered_at, attempts } } }
+ *
+ * `status` is queued → in_progress → completed | failed | cancelled.
+ * `result_manifest_url` is set once every chunk has settled.
+ *
+ * auth: any API key of the batch's owner, or their CLI bearer.
+ */
+export async function GET(request, { params }) {
+    return handleRoute(async () => {
+        const { id } = await params;
+        const { userId } = await batchCaller(request);
+        const data = await getBatchStatus({ id, userId });
+        return NextResponse.json({ data }, { headers: { "cache-control": "no-store" } });
+    });
+}
@@ -0,0 +1,56 @@
+import { NextResponse } from "next/server";
+import { handleRoute } from "@/lib/http";
+import { validateBatchInput } from "@/lib/batch";
+import { batchCaller, createBatch } from "@/lib/data/batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * POST /api/v1/jobs/batch — submit a batch inference job (IPIP-0013).
+ *
+ *   body: {
+ *     kind: "embed" | "chat" | "classify" | "summarize" | "extract",
+ *     model: "<model>",
+ *     items: [ "<text>", ... ]        (chat also takes { messages })
+ *     options?: {
+ *       chunk_size, max_concurrency, max_attempts, chunk_timeout_seconds,
+ *       max_tokens, temperature, instructions,
+ *       labels (classify), fields (extract),
+ *       deadline_at, webhook_url, provider_pubkey
+ *     }
+ *   }
+ *
+ *   202 { data: { job_id, chunk_count, item_count, status, status_url,
+ *                 webhook_secret? } }
+ *
+ * `webhook_secret` (only when webhook_url is set) is shown once; it keys
+ * the `x-infernet-signature` HMAC on the completion webhook.
+ *
+ * auth: `Authorization: Bearer inf_...` (rate limit + model allowlist
+ * apply to the submission; the chunks are billed to the key) or a CLI
+ * bearer from `infernet login`.
+ */
+export async function POST(request) {
+    return handleRoute(async () => {
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            const err = new Error("invalid JSON body");
+            err.status = 400;
+            throw err;
+        }
+
+        const { error, value } = validateBatchInput(body);
+        if (error) {
+            const err = new Error(error);
+            err.status = 400;
+            throw err;
+        }
+
+        const { userId, apiKeyId } = await batchCaller(request, { model: value.model });
+        const data = await createBatch({ userId, apiKeyId, input: value });
+        return NextResponse.json({ data }, { status: 202 });
+    });
+}
@@ -1,5 +1,6 @@
 import { NextResponse } from "next/server";
 import { handleRoute } from "@/lib/http";
+import { idempotent } from "@/lib/idempotency/middleware";
 import {
     verifySignedNextRequest,
     parseJsonBody
@@ -20,16 +21,18 @@ export const dynamic = "force-dynamic";
 export async function POST(request, { params }) {
     return handleRoute(async () => {
         const { id } = await params;
-        const { pubkey, body } = await verifySignedNextRequest(request);
-        const json = parseJsonBody(body);
-        const status = String(json.status ?? "").trim();
-        const result = await completeCommandForNode({
-            pubkey,
-            commandId: id,
-            status,
-            result: json.result,
-            errorMessage: typeof json.error === "string" ? json.error : null
+        const { pubkey, body, bytes } = await verifySignedNextRequest(request);
+        return idempotent(request, { principal: `node:${pubkey}`, body: bytes }, async () => {
+            const json = parseJsonBody(body);
+            const status = String(json.status ?? "").trim();
+            const result = await completeCommandForNode({
+                pubkey,
+                commandId: id,
+                status,
+                result: json.result,
+                errorMessage: typeof json.error === "string" ? json.error : null
+            });
+            return NextResponse.json({ data: result });
         });
-        return NextResponse.json({ data: result });
     });
 }
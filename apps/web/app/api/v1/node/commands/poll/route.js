@@ -1,5 +1,6 @@
 import { NextResponse } from "next/server";
 import { handleRoute } from "@/lib/http";
+import { idempotent } from "@/lib/idempotency/middleware";
 import {
     verifySignedNextRequest,
     parseJsonBody
@@ -21,10 +22,12 @@ export const dynamic = "force-dynamic";
  */
 export async function POST(request) {
     return handleRoute(async () => {
-        const { pubkey, body } = await verifySignedNextRequest(request);
-        const json = parseJsonBody(body);
-        const limit = Number.isFinite(json.limit) ? json.limit : 5;
-        const result = await pollCommandsForNode({ pubkey, limit });
-        return NextResponse.json({ data: result });
+        const { pubkey, body, bytes } = await verifySignedNextRequest(request);
+        return idempotent(request, { principal: `node:${pubkey}`, body: bytes }, async () => {
+            const json = parseJsonBody(body);
+            const limit = Number.isFinite(json.limit) ? json.limit : 5;
+            const result = await pollCommandsForNode({ pubkey, limit });
+            return NextResponse.json({ data: result });
+        });
     });
 }
@@ -1,27 +1,27 @@
-import { NextResponse } from "next/server";
-
 import { handleRoute } from "@/lib/http";
-import {
-    verifySignedNextRequest,
-    parseJsonBody
-} from "@/lib/auth/verify-signed-request";
+import { idempotent } from "@/lib/idempotency/middleware";
+import { verifySignedNextRequest } from "@/lib/auth/verify-signed-request";
 import { heartbeatNode } from "@/lib/data/node-api";
+import { HEARTBEAT, readNodeBody, replyFormat } from "@/lib/node-wire";
 
 const VALID_ROLES = new Set(["provider", "aggregator", "client"]);
 
 export async function POST(request) {
     return handleRoute(async () => {
-        const { pubkey, body } = await verifySignedNextRequest(request);
-        const json = parseJsonBody(body);
+        const reply = replyFormat(request, HEARTBEAT);
+        const { pubkey, body, bytes } = await verifySignedNextRequest(request);
+        return idempotent(request, { principal: `node:${pubkey}`, body: bytes }, async () => {
+            const json = readNodeBody(request, { body, bytes }, HEARTBEAT);
 
-        const role = typeof json.role === "string" ? json.role.toLowerCase() : null;
-        if (!VALID_ROLES.has(role)) {
-            const err = new Error(`role must be one of: ${[...VALID_ROLES].join(", ")}`);
-            err.status = 400;
-            throw err;
-        }
+            const role = typeof json.role === "string" ? json.role.toLowerCase() : null;
+            if (!VALID_ROLES.has(role)) {
+                const err = new Error(`role must be one of: ${[...VALID_ROLES].join(", ")}`);
+                err.status = 400;
+                throw err;
+            }
 
-        const row = await heartbeatNode({ role, pubkey, body: json });
-        return NextResponse.json({ data: row });
+            const row = await heartbeatNode({ role, pubkey, body: json });
+            return reply(row);
+        });
     });
 }
@@ -1,6 +1,7 @@
 import { NextResponse } from "next/server";
 
 import { handleRoute } from "@/lib/http";
+import { idempotent } from "@/lib/idempotency/middleware";
 import {
     verifySignedNextRequest,
     parseJsonBody
@@ -9,10 +10,12 @@ import { completeJobForNode } from "@/lib/data/node-api";
 
 export async function POST(request, { params }) {
     return handleRoute(async () => {
-        const { pubkey, body } = await verifySignedNextRequest(request);
-        const json = parseJsonBody(body);
-        const { id } = await params;
-        const row = await completeJobForNode({ pubkey, jobId: id, body: json });
-        return NextResponse.json({ data: row });
+        const { pubkey, body, bytes } = await verifySignedNextRequest(request);
+        return idempotent(request, { principal: `node:${pubkey}`, body: bytes }, async () => {
+            const json = parseJsonBody(body);
+            const { id } = await params;
+            const row = await completeJobForNode({ pubkey, jobId: id, body: json });
+            return NextResponse.json({ data: row });
+        });
     });
 }
@@ -1,22 +1,22 @@
-import { NextResponse } from "next/server";
-
 import { handleRoute } from "@/lib/http";
-import {
-    verifySignedNextRequest,
-    parseJsonBody
-} from "@/lib/auth/verify-signed-request";
+import { idempotent } from "@/lib/idempotency/middleware";
+import { verifySignedNextRequest } from "@/lib/auth/verify-signed-request";
 import { emitJobEvents } from "@/lib/data/node-api";
+import { JOB_EVENTS, readNodeBody, replyFormat } from "@/lib/node-wire";
 
 export async function POST(request, { params }) {
     return handleRoute(async () => {
-        const { pubkey, body } = await verifySignedNextRequest(request);
-        const json = parseJsonBody(body);
-        const { id } = await params;
-        const result = await emitJobEvents({
-            pubkey,
-            jobId: id,
-            events: json.events
+        const reply = replyFormat(request, JOB_EVENTS);
+        const { pubkey, body, bytes } = await verifySignedNextRequest(request);
+        return idempotent(request, { principal: `node:${pubkey}`, body: bytes }, async () => {
+            const json = readNodeBody(request, { body, bytes }, JOB_EVENTS);
+            const { id } = await params;
+            const result = await emitJobEvents({
+                pubkey,
+                jobId: id,
+                events: json.events
+            });
+            return reply(result);
         });
-        return NextResponse.json({ data: result });
     });
 }
@@ -1,17 +1,17 @@
-import { NextResponse } from "next/server";
-
 import { handleRoute } from "@/lib/http";
-import {
-    verifySignedNextRequest,
-    parseJsonBody
-} from "@/lib/auth/verify-signed-request";
+import { idempotent } from "@/lib/idempotency/middleware";
+import { verifySignedNextRequest } from "@/lib/auth/verify-signed-request";
 import { pollJobsForNode } from "@/lib/data/node-api";
+import { POLL_JOBS, readNodeBody, replyFormat } from "@/lib/node-wire";
 
 export async function POST(request) {
     return handleRoute(async () => {
-        const { pubkey, body } = await verifySignedNextRequest(request);
-        const json = parseJsonBody(body);
-        const result = await pollJobsForNode({ pubkey, limit: json.limit });
-        return NextResponse.json({ data: result });
+        const reply = replyFormat(request, POLL_JOBS);
+        const { pubkey, body, bytes } = await verifySignedNextRequest(request);
+        return idempotent(request, { principal: `node:${pubkey}`, body: bytes }, async () => {
+            const json = readNodeBody(request, { body, bytes }, POLL_JOBS);
+            const result = await pollJobsForNode({ pubkey, limit: json.limit });
+            return reply(result);
+        });
     });
 }
@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server";
+
+import { verifyDelegation } from "@infernetprotocol/auth";
+import { handleRoute } from "@/lib/http";
+import { idempotent } from "@/lib/idempotency/middleware";
+import {
+    verifySignedNextRequest,
+    parseJsonBody,
+    requireMasterKey
+} from "@/lib/auth/verify-signed-request";
+import { revokeDelegation } from "@/lib/data/node-keys";
+
+/**
+ * Revoke a subkey this node delegated. Signed by the master; the body
+ * carries the certificate being withdrawn:
+ *
+ *   { delegation: { v, master, subkey, scopes, not_before, expires_at, sig } }
+ *
+ * The certificate must be this master's own, so a node can only revoke
+ * delegations it issued.
+ */
+export async function POST(request) {
+    return handleRoute(async () => {
+        const verified = await verifySignedNextRequest(request);
+        requireMasterKey(verified);
+        return idempotent(request, { principal: `node:${verified.pubkey}`, body: verified.bytes }, async () => {
+            const json = parseJsonBody(verified.body);
+
+            try {
+                verifyDelegation(json.delegation);
+            } catch (err) {
+                err.status = 400;
+                throw err;
+            }
+            if (json.delegation.master !== verified.pubkey) {
+                const err = new Error("delegation was issued by a different key");
+                err.status = 403;
+                throw err;
+            }
+
+            const result = await revokeDelegation({ master: verified.pubkey, subkey: json.delegation.subkey });
+            return NextResponse.json({ data: result });
+        });
+    });
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from "next/server";
+
+import { verifyRotation } from "@infernetprotocol/auth";
+import { handleRoute } from "@/lib/http";
+import { idempotent } from "@/lib/idempotency/middleware";
+import {
+    verifySignedNextRequest,
+    parseJsonBody,
+    requireMasterKey
+} from "@/lib/auth/verify-signed-request";
+import { rotateNodePubkey } from "@/lib/data/node-keys";
+
+/**
+ * Rotate this node to a new master key. Signed by the current key;
+ * the body is the new key's signed statement (signRotation):
+ *
+ *   { new_pubkey, created_at, new_sig }
+ *
+ * Moves the node's rows to the new key and revokes the old one — every
+ * later request signed by it, or by a subkey it delegated, is refused.
+ * This route is the exception: a node that lost the response re-sends
+ * the same rotation signed by the old key, and gets a success that
+ * moved nothing.
+ */
+export async function POST(request) {
+    return handleRoute(async () => {
+        const verified = await verifySignedNextRequest(request, { allowRevokedKey: true });
+        requireMasterKey(verified);
+        return idempotent(request, { principal: `node:${verified.pubkey}`, body: verified.bytes }, async () => {
+            const json = parseJsonBody(verified.body);
+
+            let newPubkey;
+            try {
+                newPubkey = verifyRotation(json, { oldPublicKey: verified.pubkey });
+            } catch (err) {
+                err.status = 400;
+                throw err;
+            }
+
+            const result = await rotateNodePubkey({ oldPubkey: verified.pubkey, newPubkey });
+            return NextResponse.json({ data: result });
+        });
+    });
+}
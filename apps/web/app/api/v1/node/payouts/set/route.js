@@ -1,6 +1,7 @@
 import { NextResponse } from "next/server";
 
 import { handleRoute } from "@/lib/http";
+import { idempotent } from "@/lib/idempotency/middleware";
 import {
     verifySignedNextRequest,
     parseJsonBody
@@ -9,14 +10,16 @@ import { setPayoutForNode } from "@/lib/data/node-api";
 
 export async function POST(request) {
     return handleRoute(async () => {
-        const { pubkey, body } = await verifySignedNextRequest(request);
-        const json = parseJsonBody(body);
-        const result = await setPayoutForNode({
-            pubkey,
-            coin: typeof json.coin === "string" ? json.coin.toUpperCase() : null,
-            network: typeof json.network === "string" ? json.network : null,
-            address: typeof json.address === "string" ? json.address : null
+        const { pubkey, body, bytes } = await verifySignedNextRequest(request);
+        return idempotent(request, { principal: `node:${pubkey}`, body: bytes }, async () => {
+            const json = parseJsonBody(body);
+            const result = await setPayoutForNode({
+                pubkey,
+                coin: typeof json.coin === "string" ? json.coin.toUpperCase() : null,
+                network: typeof json.network === "string" ? json.network : null,
+                address: typeof json.address === "string" ? json.address : null
+            });
+            return NextResponse.json({ data: result });
         });
-        return NextResponse.json({ data: result });
     });
 }
@@ -1,6 +1,7 @@
 import { NextResponse } from "next/server";
 
 import { handleRoute } from "@/lib/http";
+import { idempotent } from "@/lib/idempotency/middleware";
 import {
     verifySignedNextRequest,
     parseJsonBody
@@ -11,17 +12,19 @@ const VALID_ROLES = new Set(["provider", "aggregator", "client"]);
 
 export async function POST(request) {
     return handleRoute(async () => {
-        const { pubkey, body } = await verifySignedNextRequest(request);
-        const json = parseJsonBody(body);
+        const { pubkey, body, bytes } = await verifySignedNextRequest(request);
+        return idempotent(request, { principal: `node:${pubkey}`, body: bytes }, async () => {
+            const json = parseJsonBody(body);
 
-        const role = typeof json.role === "string" ? json.role.toLowerCase() : null;
-        if (!VALID_ROLES.has(role)) {
-            const err = new Error(`role must be one of: ${[...VALID_ROLES].join(", ")}`);
-            err.status = 400;
-            throw err;
-        }
+            const role = typeof json.role === "string" ? json.role.toLowerCase() : null;
+            if (!VALID_ROLES.has(role)) {
+                const err = new Error(`role must be one of: ${[...VALID_ROLES].join(", ")}`);
+                err.status = 400;
+                throw err;
+            }
 
-        const row = await registerNode({ role, pubkey, body: json });
-        return NextResponse.json({ data: row });
+            const row = await registerNode({ role, pubkey, body: json });
+            return NextResponse.json({ data: row });
+        });
     });
 }
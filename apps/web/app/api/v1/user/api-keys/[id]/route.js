@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { handleRoute } from "@/lib/http";
+import { requireUser } from "@/lib/auth/current-user";
+import { revokeApiKey } from "@/lib/data/api-keys";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * DELETE /api/v1/user/api-keys/<id>
+ *
+ * Revoke one of the caller's API keys. Takes effect on the next
+ * request made with it; other keys on the account are untouched.
+ * 404 if the id isn't an active key owned by the caller.
+ *
+ * auth: CLI bearer OR Supabase session cookie
+ */
+
+export async function DELETE(request, { params }) {
+    return handleRoute(async () => {
+        const userId = await requireUser(request);
+        const { id } = await params;
+        const row = await revokeApiKey({ userId, id });
+        return NextResponse.json({ data: row });
+    });
+}
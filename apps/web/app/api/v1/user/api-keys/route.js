@@ -0,0 +1,56 @@
+import { NextResponse } from "next/server";
+import { handleRoute } from "@/lib/http";
+import { requireUser } from "@/lib/auth/current-user";
+import { validateApiKeyInput } from "@/lib/api-keys";
+import { createApiKey, listApiKeys } from "@/lib/data/api-keys";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Consumer API keys for the public inference API.
+ *
+ *   GET  /api/v1/user/api-keys
+ *     → { data: [ { id, name, key_prefix, rate_limit_per_min,
+ *                   monthly_token_budget, allowed_models, usage_month,
+ *                   tokens_used_month, created_at, last_used_at, revoked_at } ] }
+ *
+ *   POST /api/v1/user/api-keys
+ *     body: { name, rate_limit_per_min?, monthly_token_budget?, allowed_models? }
+ *     → { data: <row>, key: "inf_..." }   (the only time the key is shown)
+ *
+ *   auth: CLI bearer (`infernet keys`) OR Supabase session cookie (/settings)
+ *
+ * Revoke with DELETE /api/v1/user/api-keys/<id>.
+ */
+
+export async function GET(request) {
+    return handleRoute(async () => {
+        const userId = await requireUser(request);
+        return NextResponse.json({ data: await listApiKeys(userId) });
+    });
+}
+
+export async function POST(request) {
+    return handleRoute(async () => {
+        const userId = await requireUser(request);
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            const err = new Error("invalid JSON body");
+            err.status = 400;
+            throw err;
+        }
+
+        const { error, value } = validateApiKeyInput(body);
+        if (error) {
+            const err = new Error(error);
+            err.status = 400;
+            throw err;
+        }
+
+        const { data, key } = await createApiKey({ userId, input: value });
+        return NextResponse.json({ data, key }, { status: 201 });
+    });
+}
@@ -112,6 +112,21 @@ export default function ChatView({ initialModels = [] }) {
       } catch { /* ignore */ }
     });
 
+    // The provider went silent and the job was handed to another one,
+    // which starts the answer over.
+    es.addEventListener("reassigned", (e) => {
+      try {
+        const data = JSON.parse(e.data);
+        setMessages((prev) => updateLastAssistant(prev, (m) => ({
+          ...m,
+          content: "",
+          provider: data.provider_node_id
+            ? { nodeId: data.provider_node_id, name: data.provider_name, model: m.provider?.model }
+            : null
+        })));
+      } catch { /* ignore */ }
+    });
+
     es.addEventListener("done", () => {
       setMessages((prev) => updateLastAssistant(prev, (m) => ({ ...m, pending: false, done: true })));
       setStreaming(false);
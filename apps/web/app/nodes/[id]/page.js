@@ -1,6 +1,8 @@
 import { notFound } from "next/navigation";
 import Link from "next/link";
 import { getSupabaseServerClient } from "@/lib/supabase/server";
+import { getProviderCircuit } from "@/lib/data/provider-circuit";
+import { circuitGate } from "@/lib/scheduler/circuit";
 
 export const dynamic = "force-dynamic";
 
@@ -31,6 +33,7 @@ export default async function NodeDetailsPage({ params }) {
     const interconnects = specs.interconnects ?? null;
     const lastSeen = node.last_seen ? new Date(node.last_seen) : null;
     const lastSeenAgo = lastSeen ? humanAgo(Date.now() - lastSeen.getTime()) : "never";
+    const circuit = node.role === "provider" ? await getProviderCircuit(node.id) : null;
 
     return (
         <main className="mx-auto w-full max-w-4xl px-6 py-12 lg:px-10">
@@ -102,6 +105,8 @@ export default async function NodeDetailsPage({ params }) {
                 )}
             </section>
 
+            {node.role === "provider" ? <CircuitSection circuit={circuit} /> : null}
+
             {interconnects ? (
                 <section className="mb-8 rounded-[1.5rem] border border-white/10 bg-[var(--panel)] p-6">
                     <h2 className="text-lg font-semibold text-white">Interconnect</h2>
@@ -130,6 +135,46 @@ export default async function NodeDetailsPage({ params }) {
     );
 }
 
+const CIRCUIT_LABELS = {
+    closed: { text: "Healthy — receiving jobs", className: "text-emerald-400" },
+    probe: { text: "Recovering — next job is a probe", className: "text-amber-400" },
+    half_open: { text: "Recovering — probe job running", className: "text-amber-400" },
+    open: { text: "Paused — too many recent failures", className: "text-rose-400" }
+};
+
+/**
+ * The provider's circuit breaker (IPIP-0014 §4): whether routing is
+ * currently sending it jobs, and its recent outcomes.
+ */
+function CircuitSection({ circuit }) {
+    const gate = circuitGate(circuit);
+    const label = CIRCUIT_LABELS[circuit?.state === "half_open" && gate === "open" ? "half_open" : gate];
+    const recent = Array.isArray(circuit?.failure_window) ? circuit.failure_window : [];
+    const failures = recent.filter((o) => !o?.ok).length;
+    const probeAt = circuit?.next_probe_at ? Date.parse(circuit.next_probe_at) : null;
+
+    return (
+        <section className="mb-8 rounded-[1.5rem] border border-white/10 bg-[var(--panel)] p-6">
+            <h2 className="text-lg font-semibold text-white">Routing health</h2>
+            <p className={`mt-2 text-sm ${label.className}`}>{label.text}</p>
+            <ul className="mt-3 space-y-1 text-sm text-[var(--muted)]">
+                <li>
+                    Recent jobs:{" "}
+                    <span className="text-white">
+                        {recent.length === 0 ? "none recorded" : `${failures} of ${recent.length} failed`}
+                    </span>
+                </li>
+                {circuit?.consecutive_fail > 0 ? (
+                    <li>Failures in a row: <span className="text-white">{circuit.consecutive_fail}</span></li>
+                ) : null}
+                {circuit?.state === "open" && gate === "open" && probeAt ? (
+                    <li>Next probe: <span className="text-white">{humanIn(probeAt - Date.now())}</span></li>
+                ) : null}
+            </ul>
+        </section>
+    );
+}
+
 function Card({ label, children }) {
     return (
         <div className="rounded-[1.25rem] border border-white/10 bg-[var(--panel)] p-5">
@@ -159,6 +204,14 @@ async function loadPublicNode(id) {
     return null;
 }
 
+function humanIn(ms) {
+    const s = Math.max(0, Math.ceil(ms / 1000));
+    if (s < 60) return `in ${s}s`;
+    const m = Math.ceil(s / 60);
+    if (m < 60) return `in ${m}m`;
+    return `in ${Math.ceil(m / 60)}h`;
+}
+
 function humanAgo(ms) {
     if (!Number.isFinite(ms) || ms < 0) return "never";
     const s = Math.floor(ms / 1000);
@@ -0,0 +1,180 @@
+"use client";
+
+import { useState } from "react";
+import CopyButton from "@/components/copy-button";
+
+/**
+ * API key management on /settings.
+ *
+ * Create → POST /api/v1/user/api-keys, which returns the plaintext key
+ * exactly once; it's shown here until the page is left and never
+ * stored anywhere readable again. Revoke → DELETE
+ * /api/v1/user/api-keys/<id>. Client-side (rather than a form post +
+ * redirect like the rest of /settings) so the new key never rides in a
+ * redirect URL or lands in browser history.
+ */
+export default function ApiKeysPanel({ initialKeys = [], defaultRateLimit }) {
+    const [keys, setKeys] = useState(initialKeys);
+    const [name, setName] = useState("");
+    const [rate, setRate] = useState("");
+    const [budget, setBudget] = useState("");
+    const [models, setModels] = useState("");
+    const [newKey, setNewKey] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    async function create(e) {
+        e?.preventDefault?.();
+        setError(null);
+        setSubmitting(true);
+        try {
+            const res = await fetch("/api/v1/user/api-keys", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    name,
+                    rate_limit_per_min: rate || null,
+                    monthly_token_budget: budget || null,
+                    allowed_models: models || null
+                })
+            });
+            const body = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(body?.error ?? `HTTP ${res.status}`);
+            setKeys((prev) => [body.data, ...prev]);
+            setNewKey({ name: body.data.name, key: body.key });
+            setName("");
+            setRate("");
+            setBudget("");
+            setModels("");
+        } catch (err) {
+            setError(err?.message ?? String(err));
+        } finally {
+            setSubmitting(false);
+        }
+    }
+
+    async function revoke(id) {
+        setError(null);
+        try {
+            const res = await fetch(`/api/v1/user/api-keys/${encodeURIComponent(id)}`, { method: "DELETE" });
+            const body = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(body?.error ?? `HTTP ${res.status}`);
+            setKeys((prev) => prev.map((k) => (k.id === id ? body.data : k)));
+        } catch (err) {
+            setError(err?.message ?? String(err));
+        }
+    }
+
+    const inputClass =
+        "block w-full rounded-md border border-white/10 bg-[var(--panel-strong)] px-3 py-2 text-sm text-white outline-none focus:border-[var(--accent)] focus:ring-2 focus:ring-[var(--accent)]/30";
+
+    return (
+        <section className="mt-8 rounded-[1.5rem] border border-white/10 bg-[var(--panel)] p-6">
+            <h2 className="text-lg font-semibold text-white">API keys</h2>
+            <p className="mt-2 text-sm leading-6 text-[var(--muted)]">
+                Send as <code className="font-mono text-white">Authorization: Bearer inf_…</code> to{" "}
+                <code className="font-mono text-white">/v1/chat/completions</code> and{" "}
+                <code className="font-mono text-white">/v1/embeddings</code>. Each key has its own rate
+                limit, monthly token budget and model allowlist; revoking one leaves the others working.
+            </p>
+
+            {newKey ? (
+                <div className="mt-4 rounded-lg border border-emerald-400/30 bg-emerald-400/10 p-3 text-sm text-emerald-200">
+                    <p>
+                        Key <span className="font-semibold">{newKey.name}</span> created. Copy it now — it
+                        won&apos;t be shown again.
+                    </p>
+                    <div className="relative mt-2">
+                        <CopyButton text={newKey.key} />
+                        <pre className="overflow-x-auto rounded-md bg-black/40 p-3 pr-20 font-mono text-xs text-white">
+                            {newKey.key}
+                        </pre>
+                    </div>
+                </div>
+            ) : null}
+
+            <form onSubmit={create} className="mt-4 grid gap-3 sm:grid-cols-2">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Name (e.g. billing-service)"
+                    className={`${inputClass} sm:col-span-2`}
+                />
+                <input
+                    type="number"
+                    min="1"
+                    value={rate}
+                    onChange={(e) => setRate(e.target.value)}
+                    placeholder={`Requests / minute (default ${defaultRateLimit})`}
+                    className={inputClass}
+                />
+                <input
+                    type="number"
+                    min="1"
+                    value={budget}
+                    onChange={(e) => setBudget(e.target.value)}
+                    placeholder="Monthly token budget (unlimited)"
+                    className={inputClass}
+                />
+                <input
+                    type="text"
+                    value={models}
+                    onChange={(e) => setModels(e.target.value)}
+                    placeholder="Allowed models, comma-separated (any)"
+                    className={`${inputClass} sm:col-span-2`}
+                />
+                <button
+                    type="submit"
+                    disabled={submitting || !name.trim()}
+                    className="rounded-full bg-[var(--accent-strong)] px-6 py-2 text-sm font-semibold text-[var(--bg)] transition hover:bg-[var(--accent)] disabled:opacity-40 sm:col-span-2 sm:justify-self-start"
+                >
+                    {submitting ? "Creating…" : "Create key"}
+                </button>
+            </form>
+
+            {error ? (
+                <p className="mt-3 rounded-md border border-red-400/30 bg-red-400/10 p-2 text-xs text-red-200">
+                    {error}
+                </p>
+            ) : null}
+
+            {keys.length === 0 ? (
+                <p className="mt-4 text-sm text-[var(--muted)]">No API keys yet.</p>
+            ) : (
+                <ul className="mt-4 space-y-2">
+                    {keys.map((k) => (
+                        <li
+                            key={k.id}
+                            className="flex items-center justify-between gap-3 rounded-lg border border-white/10 bg-[var(--panel-strong)] px-4 py-3"
+                        >
+                            <div className="min-w-0 flex-1">
+                                <p className="truncate text-sm font-medium text-white">
+                                    {k.name} <span className="font-mono text-xs text-[var(--muted)]">{k.key_prefix}…</span>
+                                </p>
+                                <p className="truncate text-xs text-[var(--muted)]">
+                                    {k.rate_limit_per_min ?? defaultRateLimit}/min ·{" "}
+                                    {k.tokens_this_month ?? 0}
+                                    {k.monthly_token_budget ? ` / ${k.monthly_token_budget}` : ""} tokens this month ·{" "}
+                                    {k.allowed_models?.length ? k.allowed_models.join(", ") : "any model"} · last used{" "}
+                                    {k.last_used_at ? new Date(k.last_used_at).toLocaleString() : "never"}
+                                </p>
+                            </div>
+                            {k.revoked_at ? (
+                                <span className="text-xs text-[var(--muted)]">revoked</span>
+                            ) : (
+                                <button
+                                    type="button"
+                                    onClick={() => revoke(k.id)}
+                                    className="rounded-md border border-white/15 px-2.5 py-1 text-xs text-[var(--muted)] hover:text-white"
+                                >
+                                    Revoke
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+}
@@ -2,6 +2,9 @@ import { redirect } from "next/navigation";
 import Link from "next/link";
 import { getCurrentUser } from "@/lib/supabase/auth-server";
 import { getSupabaseServerClient } from "@/lib/supabase/server";
+import { listApiKeys } from "@/lib/data/api-keys";
+import { DEFAULT_KEY_RATE_LIMIT_PER_MIN, tokensUsedThisMonth } from "@/lib/api-keys";
+import ApiKeysPanel from "./api-keys-panel";
 
 export const dynamic = "force-dynamic";
 
@@ -19,6 +22,9 @@ export const metadata = {
  * Posting to /api/v1/user/settings updates both. Nodes opted out of
  * public listing don't appear in /status, /chat routing for non-owner
  * traffic, /api/peers, or the public /nodes/:id page.
+ *
+ * API keys for the inference API are managed by <ApiKeysPanel>, which
+ * talks to /api/v1/user/api-keys directly (outside the settings form).
  */
 export default async function SettingsPage({ searchParams }) {
     const user = await getCurrentUser();
@@ -46,6 +52,10 @@ export default async function SettingsPage({ searchParams }) {
     ]);
 
     const defaultIsPublic = links?.[0]?.default_is_public ?? true;
+    const apiKeys = (await listApiKeys(user.id)).map((k) => ({
+        ...k,
+        tokens_this_month: tokensUsedThisMonth(k)
+    }));
 
     return (
         <main className="mx-auto w-full max-w-3xl px-6 py-12 lg:px-10">
@@ -54,7 +64,7 @@ export default async function SettingsPage({ searchParams }) {
                     Settings
                 </p>
                 <h1 className="text-3xl font-semibold tracking-tight text-white sm:text-4xl">
-                    Account &amp; node privacy
+                    Account, node privacy &amp; API keys
                 </h1>
                 <p className="text-sm text-[var(--muted)]">
                     Signed in as <span className="font-mono text-white">{user.email ?? user.id}</span>.
@@ -155,6 +165,8 @@ export default async function SettingsPage({ searchParams }) {
                     Save settings
                 </button>
             </form>
+
+            <ApiKeysPanel initialKeys={apiKeys} defaultRateLimit={DEFAULT_KEY_RATE_LIMIT_PER_MIN} />
         </main>
     );
 }
@@ -0,0 +1,30 @@
+import { NextResponse } from "next/server";
+import { batchCaller } from "@/lib/data/batch";
+import { cancelOpenAiBatch } from "@/lib/data/openai-batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * POST /v1/batches/<id>/cancel — stop an in-progress batch. Running
+ * requests are cancelled on their providers; the batch ends `cancelled`
+ * with finished requests in the output file and the rest in the error
+ * file (`batch_cancelled`). 400 once the batch has finished.
+ */
+function err(status, message) {
+    return NextResponse.json(
+        { error: { message, type: "infernet_error", code: status } },
+        { status }
+    );
+}
+
+export async function POST(request, { params }) {
+    try {
+        const { id } = await params;
+        const { userId } = await batchCaller(request);
+        const data = await cancelOpenAiBatch({ id, userId });
+        return NextResponse.json(data, { headers: { "cache-control": "no-store" } });
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "batch cancel failed");
+    }
+}
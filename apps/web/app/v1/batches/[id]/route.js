@@ -0,0 +1,31 @@
+import { NextResponse } from "next/server";
+import { batchCaller } from "@/lib/data/batch";
+import { getOpenAiBatch } from "@/lib/data/openai-batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /v1/batches/<id> — the Batch object. `request_counts` follows the
+ * batch's chunks while it runs; once they've all settled the batch
+ * moves through `finalizing` to `completed` / `expired` / `cancelled`
+ * with `output_file_id` and `error_file_id` set (each null when it
+ * would be empty). Download them from /v1/files/<id>/content.
+ */
+function err(status, message) {
+    return NextResponse.json(
+        { error: { message, type: "infernet_error", code: status } },
+        { status }
+    );
+}
+
+export async function GET(request, { params }) {
+    try {
+        const { id } = await params;
+        const { userId } = await batchCaller(request);
+        const data = await getOpenAiBatch({ id, userId });
+        return NextResponse.json(data, { headers: { "cache-control": "no-store" } });
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "batch lookup failed");
+    }
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from "next/server";
+import { batchCaller } from "@/lib/data/batch";
+import { createOpenAiBatch, listOpenAiBatches, loadBatchInput } from "@/lib/data/openai-batch";
+import { validateBatchCreate } from "@/lib/openai-batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * OpenAI-compatible Batch API, so existing batch tooling (openai-python
+ * `client.batches`, JSONL pipelines) runs against Infernet unmodified.
+ *
+ *   POST /v1/batches
+ *     body: { input_file_id, endpoint: "/v1/chat/completions" | "/v1/embeddings",
+ *             completion_window: "24h", metadata? }
+ *     → the Batch object (status `in_progress`, or `failed` with
+ *       `errors.data[]` per bad line)
+ *   GET  /v1/batches[?limit=N&after=<batch id>]
+ *     → { object: "list", data, first_id, last_id, has_more }
+ *
+ * Each line of the input file (`{ custom_id, method: "POST", url, body }`)
+ * runs as one request of a batch job (IPIP-0013, lib/data/batch.js),
+ * fanned out in chunks across providers serving the model; every line
+ * must name the same model. Chat lines may set max_tokens /
+ * max_completion_tokens and temperature — tools, images, streaming and
+ * other sampling parameters are refused at validation. The completion
+ * window is the deadline: requests not done by then land in the error
+ * file as `batch_expired`.
+ *
+ * Auth: `Authorization: Bearer inf_...`. Creating a batch counts as one
+ * request against the key's rate limit and model allowlist; the
+ * requests in it are billed to the key as they run.
+ */
+function err(status, message) {
+    return NextResponse.json(
+        { error: { message, type: "infernet_error", code: status } },
+        { status }
+    );
+}
+
+export async function POST(request) {
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return err(400, "invalid JSON body");
+    }
+    const { error, value } = validateBatchCreate(body);
+    if (error) return err(400, error);
+
+    try {
+        const { userId, apiKeyId } = await batchCaller(request);
+        const parsed = await loadBatchInput({ userId, inputFileId: value.inputFileId, endpoint: value.endpoint });
+        // Metered once the model is known — it comes from the file.
+        if (parsed.value) await batchCaller(request, { model: parsed.value.model });
+        return NextResponse.json(await createOpenAiBatch({ userId, apiKeyId, input: value, parsed }));
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "batch creation failed");
+    }
+}
+
+export async function GET(request) {
+    try {
+        const { userId } = await batchCaller(request);
+        const url = new URL(request.url);
+        return NextResponse.json(await listOpenAiBatches({
+            userId,
+            limit: url.searchParams.get("limit") ?? undefined,
+            after: url.searchParams.get("after")
+        }));
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "listing batches failed");
+    }
+}
@@ -1,8 +1,20 @@
 import { NextResponse } from "next/server";
 import { randomUUID } from "node:crypto";
 import { rateLimit, getClientIp } from "@/lib/rate-limit";
+import { authorizeApiKeyRequest } from "@/lib/data/api-keys";
 import { createChatJob } from "@/lib/data/chat";
+import { claimIdempotencyKey, consumerPrincipal } from "@/lib/idempotency/middleware";
 import { streamJobEvents } from "@/lib/data/chat-stream";
+import { inlineRemoteImages } from "@/lib/chat-images";
+import { samplingFromBody, validateChatMessages, validateSampling, validateTools } from "@/lib/chat-input";
+import {
+    assembleToolCalls,
+    chunkFrame,
+    finishReasonFor,
+    toOpenAiUsage,
+    toolCallDelta,
+    usageFrame
+} from "@/lib/openai-format";
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
@@ -18,16 +30,75 @@ export const dynamic = "force-dynamic";
  *
  * Wire format:
  *   POST /v1/chat/completions
- *   Body: { model, messages, stream?, temperature?, max_tokens?, ... }
+ *   Body: { model, messages, stream?, temperature?, max_tokens?, tools?, tool_choice?,
+ *           top_p?, stop?, seed?, presence_penalty?, frequency_penalty?, logit_bias?,
+ *           n?, response_format? }
  *
- *   stream=false → single JSON: { id, object: "chat.completion", choices: [...] }
- *   stream=true  → SSE: `data: <chunk>\n\n` chunks then `data: [DONE]\n\n`
+ *   stream=false → single JSON: { id, object: "chat.completion", choices: [...], usage }
+ *   stream=true  → SSE: `data: <chunk>\n\n` chunks then `data: [DONE]\n\n`.
+ *                  With `stream_options: { include_usage: true }` a final
+ *                  chunk with empty `choices` and the `usage` block is sent
+ *                  right before [DONE], same as OpenAI.
+ *
+ * Tool calling: `tools` / `tool_choice` ride in input_spec to the
+ * provider's engine; its `tool_call` events come back as streamed
+ * `delta.tool_calls` (or `message.tool_calls` when not streaming) with
+ * `finish_reason: "tool_calls"`. The client runs the tools and sends the
+ * results back as `role: "tool"` messages in the next request.
+ *
+ * Sampling: everything beyond temperature / max_tokens is validated
+ * (chat-input.js), stored as input_spec.sampling and only routed to a
+ * provider whose engine advertises support for every parameter sent —
+ * e.g. `response_format: { type: "json_schema" }` becomes Ollama
+ * `format`, vLLM `guided_json` or a llama.cpp grammar. If no live
+ * provider can honor the block the request fails with 400 rather than
+ * running with settings quietly dropped. `n` must be 1.
+ *
+ * Provider failover: if the provider goes silent mid-job the job janitor
+ * hands it to another one (a `reassigned` event). Non-streaming requests
+ * just wait for the new answer; a stream that already sent deltas ends
+ * with an error chunk instead, since they can't be retracted.
+ *
+ * Images: user content may be an array of `text` / `image_url` parts.
+ * Remote https images are fetched and inlined as base64 here
+ * (chat-images.js) — providers only ever receive data URLs — and the job
+ * is only routed to a provider listing the model in specs.vision_models.
+ *
+ * `usage` is the token count reported by the provider's engine on its
+ * `done` event (Ollama eval counts / vLLM + llama.cpp usage frames).
+ * Zeros mean the serving engine couldn't measure.
+ *
+ * Verified weights: `require_verified_weights: true` (an Infernet
+ * extension) only routes to providers whose weight digest for `model`
+ * is in the control plane's canonical registry (IPIP-0014 §2) — a 400
+ * when none qualifies, never the NIM fallback. The digest the provider
+ * served with lands in the job's CPR receipt.
+ *
+ * Auth: `Authorization: Bearer inf_...` (an API key from /settings or
+ * `infernet keys create`) runs under that key's per-minute rate limit,
+ * monthly token budget and model allowlist (401 / 403 / 429), and the
+ * job is attributed to the key. Requests without an `inf_` key — OpenAI
+ * SDKs send placeholder keys like `sk-...` — are anonymous and share
+ * the per-IP limit below.
+ *
+ * Cancellation: closing the connection (stream or not) before the
+ * response is complete cancels the job — the provider stops its engine
+ * and bills only the tokens generated so far. A job cancelled from
+ * elsewhere (POST /api/chat/<jobId>/cancel) ends with
+ * `finish_reason: "stop"`.
+ *
+ * Idempotency: a request carrying an `Idempotency-Key` header creates
+ * its job once. A retry with the same key and body re-attaches to that
+ * job — same completion id, the answer rebuilt from the job's stored
+ * events — rather than running the prompt again; the same key with a
+ * different body is a 409 (lib/idempotency/middleware.js). Such a job
+ * isn't cancelled when the connection drops, since the retry needs it.
  *
  * Internally: createChatJob() routes to a P2P provider (model-aware
  * weighted random pick), streamJobEvents() relays the daemon's
  * tokens; this route reformats them as OpenAI chunks.
  */
-const limit = rateLimit({ windowMs: 60 * 60 * 1000, max: 20 });
+const limit = rateLimit({ name: "v1-chat", windowMs: 60 * 60 * 1000, max: 20 });
 
 function err(status, message) {
     // OpenAI-shaped error envelope so SDKs surface a useful message.
@@ -41,26 +112,7 @@ function makeId() {
     return `chatcmpl-${randomUUID().replace(/-/g, "").slice(0, 24)}`;
 }
 
-function chunkFrame({ id, model, deltaContent = null, finishReason = null, role = null }) {
-    const delta = {};
-    if (role) delta.role = role;
-    if (deltaContent !== null) delta.content = deltaContent;
-    return {
-        id,
-        object: "chat.completion.chunk",
-        created: Math.floor(Date.now() / 1000),
-        model,
-        choices: [
-            { index: 0, delta, finish_reason: finishReason }
-        ]
-    };
-}
-
 export async function POST(request) {
-    const ip = getClientIp(request);
-    const r = limit.check(ip);
-    if (!r.ok) return err(429, "Rate limit exceeded — try again later");
-
     let body;
     try {
         body = await request.json();
@@ -68,40 +120,82 @@ export async function POST(request) {
         return err(400, "invalid JSON body");
     }
 
-    const { model, messages, stream, temperature, max_tokens } = body ?? {};
-    if (!Array.isArray(messages) || messages.length === 0) {
-        return err(400, "messages[] is required");
+    const { model, messages, stream, stream_options, temperature, max_tokens, tools, tool_choice } = body ?? {};
+    const includeUsage = stream_options?.include_usage === true;
+    const invalid = validateChatMessages(messages) ?? validateTools(tools, tool_choice) ?? validateSampling(body);
+    if (invalid) return err(400, invalid);
+
+    let apiKey;
+    try {
+        apiKey = await authorizeApiKeyRequest(request, { model });
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "API key check failed");
     }
-    for (const m of messages) {
-        if (!m || typeof m.role !== "string" || typeof m.content !== "string") {
-            return err(400, "each message must be { role: string, content: string }");
-        }
+    if (!apiKey && !(await limit.check(getClientIp(request))).ok) {
+        return err(429, "Rate limit exceeded — try again later");
     }
 
-    let jobBundle;
+    let idem;
     try {
-        jobBundle = await createChatJob({
-            messages,
-            modelName: typeof model === "string" ? model : undefined,
-            maxTokens: Number.isFinite(max_tokens) ? max_tokens : undefined,
-            temperature: Number.isFinite(temperature) ? temperature : undefined
-        });
+        idem = await claimIdempotencyKey(request, { principal: consumerPrincipal(request, apiKey), body });
     } catch (e) {
-        return err(500, e?.message ?? "failed to create chat job");
+        return err(e?.status ?? 500, e?.message ?? "idempotency check failed");
     }
+    if (idem?.conflict) return err(409, idem.conflict);
+
+    // A replay re-attaches to the job the first request created.
+    let completion = idem?.replay?.body ?? null;
+    if (!completion) {
+        let jobBundle;
+        try {
+            jobBundle = await createChatJob({
+                messages: await inlineRemoteImages(messages),
+                modelName: typeof model === "string" ? model : undefined,
+                maxTokens: Number.isFinite(max_tokens) ? max_tokens : undefined,
+                temperature: Number.isFinite(temperature) ? temperature : undefined,
+                tools: Array.isArray(tools) && tools.length > 0 && tool_choice !== "none" ? tools : undefined,
+                toolChoice: tool_choice ?? undefined,
+                sampling: samplingFromBody(body) ?? undefined,
+                apiKeyId: apiKey?.id,
+                requireVerified: body.require_verified_weights === true
+            });
+        } catch (e) {
+            await idem?.release();
+            return err(e?.status === 400 ? 400 : 500, e?.message ?? "failed to create chat job");
+        }
+
+        if (jobBundle.source === "none") {
+            await idem?.release();
+            return err(503, "no live providers and no NIM fallback configured");
+        }
 
-    if (jobBundle.source === "none") {
-        return err(503, "no live providers and no NIM fallback configured");
+        const job = jobBundle.job;
+        completion = {
+            job_id: job.id,
+            id: makeId(),
+            model: job.model_name ?? model ?? "infernet",
+            created: Math.floor(Date.now() / 1000)
+        };
+        await idem?.save({ status: 200, type: "application/json", body: completion });
     }
 
-    const job = jobBundle.job;
-    const cmplId = makeId();
-    const reportedModel = job.model_name ?? model ?? "infernet";
+    const jobId = completion.job_id;
+    const cmplId = completion.id;
+    const reportedModel = completion.model;
+    // A caller sending a key means to retry, so hanging up mustn't cancel
+    // the job its retry will re-attach to.
+    const cancelOnDisconnect = !idem;
 
     // ---- Streaming path (OpenAI-shape SSE) -----------------------------
     if (stream === true) {
         const encoder = new TextEncoder();
+        // Aborted when the client hangs up; streamJobEvents then cancels
+        // the job so the provider stops generating.
+        const disconnect = new AbortController();
         const sse = new ReadableStream({
+            cancel() {
+                disconnect.abort();
+            },
             async start(controller) {
                 let closed = false;
                 const push = (text) => {
@@ -117,16 +211,39 @@ export async function POST(request) {
                 // First chunk announces the assistant role per OpenAI's spec.
                 push(`data: ${JSON.stringify(chunkFrame({ id: cmplId, model: reportedModel, role: "assistant", deltaContent: "" }))}\n\n`);
 
+                let sawToolCalls = false;
+                let sentContent = false;
                 try {
-                    for await (const ev of streamJobEvents(job.id)) {
+                    for await (const ev of streamJobEvents(jobId, { signal: cancelOnDisconnect ? disconnect.signal : undefined })) {
                         if (closed) break;
                         if (ev.type === "token") {
                             const text = ev.data?.text ?? "";
-                            if (text) push(`data: ${JSON.stringify(chunkFrame({ id: cmplId, model: reportedModel, deltaContent: text }))}\n\n`);
+                            if (text) {
+                                sentContent = true;
+                                push(`data: ${JSON.stringify(chunkFrame({ id: cmplId, model: reportedModel, deltaContent: text }))}\n\n`);
+                            }
+                        } else if (ev.type === "tool_call") {
+                            sawToolCalls = true;
+                            sentContent = true;
+                            push(`data: ${JSON.stringify(chunkFrame({ id: cmplId, model: reportedModel, toolCalls: [toolCallDelta(ev.data)] }))}\n\n`);
                         } else if (ev.type === "done") {
-                            push(`data: ${JSON.stringify(chunkFrame({ id: cmplId, model: reportedModel, finishReason: "stop" }))}\n\n`);
+                            const finishReason = finishReasonFor(ev.data?.reason, { sawToolCalls });
+                            push(`data: ${JSON.stringify(chunkFrame({ id: cmplId, model: reportedModel, finishReason }))}\n\n`);
+                            if (includeUsage) {
+                                push(`data: ${JSON.stringify(usageFrame({ id: cmplId, model: reportedModel, usage: toOpenAiUsage(ev.data?.usage) }))}\n\n`);
+                            }
+                            push(`data: [DONE]\n\n`);
+                            close();
+                            return;
+                        } else if (ev.type === "reassigned") {
+                            // Nothing sent yet: the new provider's output is
+                            // simply the response. Deltas already sent can't be
+                            // taken back, so fail the stream and stop the job.
+                            if (!sentContent) continue;
+                            push(`data: ${JSON.stringify({ id: cmplId, object: "chat.completion.chunk", error: { message: "provider went offline mid-response; retry the request" } })}\n\n`);
                             push(`data: [DONE]\n\n`);
                             close();
+                            disconnect.abort();
                             return;
                         } else if (ev.type === "error") {
                             const msg = ev.data?.message ?? "engine error";
@@ -164,13 +281,27 @@ export async function POST(request) {
     // ---- Non-streaming path (single JSON response) ---------------------
     let fullText = "";
     let finished = false;
+    let usage = null;
+    let doneReason = null;
+    let toolCalls = null;
+    const toolDeltas = [];
     try {
-        for await (const ev of streamJobEvents(job.id)) {
+        for await (const ev of streamJobEvents(jobId, { signal: cancelOnDisconnect ? request.signal : undefined })) {
             if (ev.type === "token") fullText += ev.data?.text ?? "";
-            else if (ev.type === "done") {
+            else if (ev.type === "tool_call") toolDeltas.push(ev.data);
+            else if (ev.type === "reassigned") {
+                // Another provider starts over; drop the partial answer.
+                fullText = "";
+                toolDeltas.length = 0;
+            } else if (ev.type === "done") {
                 if (typeof ev.data?.text === "string" && ev.data.text.length > fullText.length) {
                     fullText = ev.data.text;
                 }
+                usage = ev.data?.usage ?? null;
+                doneReason = ev.data?.reason ?? null;
+                if (Array.isArray(ev.data?.tool_calls) && ev.data.tool_calls.length > 0) {
+                    toolCalls = ev.data.tool_calls;
+                }
                 finished = true;
                 break;
             } else if (ev.type === "error") {
@@ -181,24 +312,27 @@ export async function POST(request) {
         return err(500, e?.message ?? String(e));
     }
 
-    if (!finished && !fullText) {
+    if (!toolCalls && toolDeltas.length > 0) toolCalls = assembleToolCalls(toolDeltas);
+
+    if (!finished && !fullText && !toolCalls) {
         return err(504, "stream ended without a response");
     }
 
+    const message = { role: "assistant", content: toolCalls && !fullText ? null : fullText };
+    if (toolCalls) message.tool_calls = toolCalls;
+
     return NextResponse.json({
         id: cmplId,
         object: "chat.completion",
-        created: Math.floor(Date.now() / 1000),
+        created: completion.created,
         model: reportedModel,
         choices: [
             {
                 index: 0,
-                message: { role: "assistant", content: fullText },
-                finish_reason: "stop"
+                message,
+                finish_reason: finishReasonFor(doneReason, { sawToolCalls: Boolean(toolCalls) })
             }
         ],
-        // Token-level usage isn't tracked yet; callers that need it
-        // should fall back to estimation (4 chars/token rough).
-        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+        usage: toOpenAiUsage(usage)
     });
 }
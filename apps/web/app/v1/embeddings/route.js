@@ -0,0 +1,93 @@
+import { NextResponse } from "next/server";
+import { rateLimit, getClientIp } from "@/lib/rate-limit";
+import { authorizeApiKeyRequest } from "@/lib/data/api-keys";
+import { createEmbeddingsJob, jobEmbeddings } from "@/lib/data/embeddings";
+import { streamJobEvents } from "@/lib/data/chat-stream";
+import { validateEmbeddingsInput, validateEncodingFormat } from "@/lib/embeddings-input";
+import { embeddingsList } from "@/lib/openai-format";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * OpenAI-compatible embeddings endpoint.
+ *
+ * Wire format:
+ *   POST /v1/embeddings
+ *   Body: { model, input: string | string[], encoding_format?: "float" | "base64" }
+ *   → { object: "list", data: [{ object: "embedding", index, embedding }], model, usage }
+ *
+ * `model` is required and must be advertised by a live provider in
+ * `specs.embedding_models` (the daemon splits embedding models out of
+ * `served_models` at heartbeat time). All inputs ride in one
+ * `type: "embeddings"` job; the provider embeds them in a single engine
+ * call and completes the job with the vectors in its `result`. This route
+ * waits for the job's `done` event, then reads them off the row — they'd
+ * be too big for the event itself. No NIM fallback — 503 when nobody
+ * serves the model.
+ *
+ * Auth: same as /v1/chat/completions — an `inf_` API key is metered
+ * against its own quotas, anything else shares the per-IP limit.
+ */
+const limit = rateLimit({ name: "v1-embeddings", windowMs: 60 * 60 * 1000, max: 60 });
+
+function err(status, message) {
+    return NextResponse.json(
+        { error: { message, type: "infernet_error", code: status } },
+        { status }
+    );
+}
+
+export async function POST(request) {
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return err(400, "invalid JSON body");
+    }
+
+    const { model, input, encoding_format } = body ?? {};
+    if (typeof model !== "string" || !model) return err(400, "model is required");
+    const invalid = validateEmbeddingsInput(input) ?? validateEncodingFormat(encoding_format);
+    if (invalid) return err(400, invalid);
+    const inputs = typeof input === "string" ? [input] : input;
+
+    let apiKey;
+    try {
+        apiKey = await authorizeApiKeyRequest(request, { model });
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "API key check failed");
+    }
+    if (!apiKey && !(await limit.check(getClientIp(request))).ok) {
+        return err(429, "Rate limit exceeded — try again later");
+    }
+
+    let job;
+    try {
+        ({ job } = await createEmbeddingsJob({ inputs, modelName: model, apiKeyId: apiKey?.id }));
+    } catch (e) {
+        return err(500, e?.message ?? "failed to create embeddings job");
+    }
+    if (!job) return err(503, `no live provider serves embedding model ${model}`);
+
+    try {
+        for await (const ev of streamJobEvents(job.id)) {
+            if (ev.type === "done") {
+                const embeddings = (await jobEmbeddings(job.id)) ?? [];
+                if (embeddings.length !== inputs.length) {
+                    return err(502, `provider returned ${embeddings.length} embeddings for ${inputs.length} inputs`);
+                }
+                return NextResponse.json(embeddingsList({
+                    model: ev.data?.model ?? model,
+                    embeddings,
+                    usage: ev.data?.usage,
+                    encodingFormat: encoding_format ?? "float"
+                }));
+            }
+            if (ev.type === "error") return err(502, ev.data?.message ?? "engine error");
+        }
+    } catch (e) {
+        return err(500, e?.message ?? String(e));
+    }
+    return err(504, "stream ended without a response");
+}
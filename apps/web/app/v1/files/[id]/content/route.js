@@ -0,0 +1,55 @@
+import { NextResponse } from "next/server";
+import { batchCaller } from "@/lib/data/batch";
+import { getFileContent } from "@/lib/data/openai-batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /v1/files/<id>/content — the file's bytes.
+ *
+ * Batch output and error files are streamed as they're rebuilt from the
+ * batch's chunk results (lib/data/openai-batch.js), so a large result
+ * never sits in memory whole.
+ */
+function err(status, message) {
+    return NextResponse.json(
+        { error: { message, type: "infernet_error", code: status } },
+        { status }
+    );
+}
+
+export async function GET(request, { params }) {
+    let content;
+    try {
+        const { id } = await params;
+        const { userId } = await batchCaller(request);
+        content = await getFileContent({ id, userId });
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "file download failed");
+    }
+
+    const headers = {
+        "content-type": "application/octet-stream",
+        "content-disposition": `attachment; filename="${content.file.filename.replace(/["\\\r\n]/g, "_")}"`
+    };
+    if (typeof content.body === "string") return new Response(content.body, { headers });
+
+    const encoder = new TextEncoder();
+    const iterator = content.body[Symbol.asyncIterator]();
+    const stream = new ReadableStream({
+        async pull(controller) {
+            try {
+                const { value, done } = await iterator.next();
+                if (done) controller.close();
+                else controller.enqueue(encoder.encode(value));
+            } catch (e) {
+                controller.error(e);
+            }
+        },
+        async cancel() {
+            await iterator.return?.();
+        }
+    });
+    return new Response(stream, { headers });
+}
@@ -0,0 +1,40 @@
+import { NextResponse } from "next/server";
+import { batchCaller } from "@/lib/data/batch";
+import { deleteFile, getFile } from "@/lib/data/openai-batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * GET    /v1/files/<id>  → the File object
+ * DELETE /v1/files/<id>  → { id, object: "file", deleted: true }
+ *
+ * Deleting a batch's input file doesn't affect the batch — its requests
+ * were read when it was created.
+ */
+function err(status, message) {
+    return NextResponse.json(
+        { error: { message, type: "infernet_error", code: status } },
+        { status }
+    );
+}
+
+export async function GET(request, { params }) {
+    try {
+        const { id } = await params;
+        const { userId } = await batchCaller(request);
+        return NextResponse.json(await getFile({ id, userId }));
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "file lookup failed");
+    }
+}
+
+export async function DELETE(request, { params }) {
+    try {
+        const { id } = await params;
+        const { userId } = await batchCaller(request);
+        return NextResponse.json(await deleteFile({ id, userId }));
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "file delete failed");
+    }
+}
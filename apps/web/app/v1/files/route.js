@@ -0,0 +1,73 @@
+import { NextResponse } from "next/server";
+import { batchCaller } from "@/lib/data/batch";
+import { createFile, listFiles } from "@/lib/data/openai-batch";
+import { MAX_FILE_BYTES } from "@/lib/openai-batch";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/**
+ * OpenAI-compatible file upload + list, for the Batch API (/v1/batches).
+ *
+ *   POST /v1/files   multipart/form-data: file=<batch .jsonl>, purpose=batch
+ *     → { id: "file-…", object: "file", bytes, created_at, filename, purpose, status }
+ *   GET  /v1/files[?purpose=batch|batch_output][&limit=N]
+ *     → { object: "list", data: [ <file> ], has_more }
+ *
+ * Only `purpose: "batch"` uploads are taken; batch output and error files
+ * (`batch_output`) are created by the batch itself. The JSONL is checked
+ * line by line when a batch is created from it, as with OpenAI. Files
+ * belong to the user behind the API key (`Authorization: Bearer inf_...`)
+ * — any of their keys, or their CLI login, can use them.
+ */
+function err(status, message) {
+    return NextResponse.json(
+        { error: { message, type: "infernet_error", code: status } },
+        { status }
+    );
+}
+
+export async function POST(request) {
+    try {
+        const { userId, apiKeyId } = await batchCaller(request);
+
+        let form;
+        try {
+            form = await request.formData();
+        } catch {
+            return err(400, "expected a multipart/form-data body with `file` and `purpose`");
+        }
+        const purpose = form.get("purpose");
+        const file = form.get("file");
+        if (purpose !== "batch") return err(400, "purpose must be \"batch\" (the only purpose this API stores)");
+        if (!file || typeof file === "string") return err(400, "file is required");
+        if (file.size > MAX_FILE_BYTES) return err(413, `file is larger than ${MAX_FILE_BYTES} bytes`);
+
+        const content = await file.text();
+        if (content.trim() === "") return err(400, "file is empty");
+        const data = await createFile({
+            userId,
+            apiKeyId,
+            filename: String(file.name || "batch.jsonl").slice(0, 255),
+            purpose,
+            content
+        });
+        return NextResponse.json(data);
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "file upload failed");
+    }
+}
+
+export async function GET(request) {
+    try {
+        const { userId } = await batchCaller(request);
+        const url = new URL(request.url);
+        return NextResponse.json(await listFiles({
+            userId,
+            purpose: url.searchParams.get("purpose"),
+            limit: url.searchParams.get("limit") ?? undefined
+        }));
+    } catch (e) {
+        return err(e?.status ?? 500, e?.message ?? "listing files failed");
+    }
+}
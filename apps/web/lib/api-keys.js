@@ -0,0 +1,153 @@
+import { createHash, randomBytes } from "node:crypto";
+
+/**
+ * Consumer API keys — format, hashing, input validation and quota
+ * checks. Pure helpers; the Supabase side lives in lib/data/api-keys.js.
+ *
+ * Keys look like `inf_<43 base64url chars>` (32 random bytes). Only the
+ * SHA-256 is stored, so a leaked table dump can't be replayed. A fast
+ * hash is fine here: the input is 256 bits of randomness, not a
+ * password, so there's nothing to brute-force.
+ *
+ * The `inf_` prefix is also how the API routes tell an Infernet key
+ * from the placeholder Bearer values OpenAI SDKs insist on sending
+ * (`sk-...`, "none", ...). Those are ignored and the request is treated
+ * as anonymous, so pointing an OpenAI client at us keeps working
+ * without a key.
+ */
+
+export const API_KEY_PREFIX = "inf_";
+export const DEFAULT_KEY_RATE_LIMIT_PER_MIN = 60;
+export const MAX_KEY_RATE_LIMIT_PER_MIN = 6000;
+export const MAX_KEYS_PER_USER = 50;
+
+const MAX_NAME_LENGTH = 64;
+const MAX_ALLOWED_MODELS = 32;
+const KEY_PATTERN = /^inf_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * @returns {{ key: string, prefix: string, hash: string }} the plaintext
+ *   key (show once), its display prefix and the hash to store
+ */
+export function generateApiKey() {
+    const key = API_KEY_PREFIX + randomBytes(32).toString("base64url");
+    return { key, prefix: keyPrefix(key), hash: hashApiKey(key) };
+}
+
+export function hashApiKey(key) {
+    return createHash("sha256").update(String(key)).digest("hex");
+}
+
+export function keyPrefix(key) {
+    return String(key).slice(0, API_KEY_PREFIX.length + 8);
+}
+
+/**
+ * Pull an Infernet API key out of an Authorization header. Returns null
+ * when there's no header or the bearer isn't an `inf_` token (anonymous
+ * request); returns the raw token otherwise, even if malformed, so the
+ * caller can reject it with a 401 instead of silently downgrading.
+ */
+export function apiKeyFromAuthorization(header) {
+    if (typeof header !== "string") return null;
+    const m = /^Bearer\s+(\S+)\s*$/i.exec(header.trim());
+    if (!m || !m[1].startsWith(API_KEY_PREFIX)) return null;
+    return m[1];
+}
+
+export function isWellFormedApiKey(key) {
+    return typeof key === "string" && KEY_PATTERN.test(key);
+}
+
+/**
+ * Validate a create-key request body (JSON from the CLI or the
+ * /settings panel). Returns `{ error }` or `{ value }` with the
+ * normalized row fields.
+ */
+export function validateApiKeyInput(body) {
+    const name = typeof body?.name === "string" ? body.name.trim() : "";
+    if (!name) return { error: "name is required" };
+    if (name.length > MAX_NAME_LENGTH) return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+
+    const rate = optionalInteger(body.rate_limit_per_min);
+    if (rate === undefined || (rate !== null && (rate < 1 || rate > MAX_KEY_RATE_LIMIT_PER_MIN))) {
+        return { error: `rate_limit_per_min must be an integer between 1 and ${MAX_KEY_RATE_LIMIT_PER_MIN}` };
+    }
+
+    const budget = optionalInteger(body.monthly_token_budget);
+    if (budget === undefined || (budget !== null && budget < 1)) {
+        return { error: "monthly_token_budget must be a positive integer" };
+    }
+
+    let models = body.allowed_models ?? null;
+    if (typeof models === "string") models = models.split(",");
+    if (models !== null) {
+        if (!Array.isArray(models)) return { error: "allowed_models must be an array of model names" };
+        models = [...new Set(models.map((m) => (typeof m === "string" ? m.trim() : "")).filter(Boolean))];
+        if (models.some((m) => m.length > 256)) return { error: "model names must be at most 256 characters" };
+        if (models.length > MAX_ALLOWED_MODELS) {
+            return { error: `allowed_models can list at most ${MAX_ALLOWED_MODELS} models` };
+        }
+        if (models.length === 0) models = null;
+    }
+
+    return {
+        value: {
+            name,
+            rate_limit_per_min: rate,
+            monthly_token_budget: budget,
+            allowed_models: models
+        }
+    };
+}
+
+// null/"" → null (unset), integer-ish → integer, anything else → undefined (invalid).
+function optionalInteger(v) {
+    if (v === null || v === undefined || v === "") return null;
+    const n = typeof v === "string" ? Number(v.trim()) : v;
+    return Number.isSafeInteger(n) ? n : undefined;
+}
+
+/**
+ * Tokens the key has spent in the month containing `now`. The stored
+ * tally belongs to `usage_month`; a tally from an earlier month is
+ * stale and counts as zero.
+ */
+export function tokensUsedThisMonth(key, now = new Date()) {
+    const month = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, "0")}`;
+    if (typeof key?.usage_month !== "string" || !key.usage_month.startsWith(month)) return 0;
+    return Number(key.tokens_used_month) || 0;
+}
+
+/**
+ * Decide whether a request may run under this key.
+ *
+ * @param {object} key            api_keys row
+ * @param {object} opts
+ * @param {string} [opts.model]   requested model
+ * @param {number} opts.recentRequests  this key's earlier requests in the current minute
+ * @param {Date}   [opts.now]
+ * @returns {{ status: number, message: string } | null} null when allowed
+ */
+export function keyQuotaViolation(key, { model, recentRequests = 0, now = new Date() } = {}) {
+    const allowed = Array.isArray(key?.allowed_models) ? key.allowed_models : [];
+    if (allowed.length > 0 && !allowed.includes(model)) {
+        return {
+            status: 403,
+            message: model
+                ? `model ${model} is not allowed for this API key`
+                : `this API key requires a model: one of ${allowed.join(", ")}`
+        };
+    }
+
+    const perMin = key?.rate_limit_per_min ?? DEFAULT_KEY_RATE_LIMIT_PER_MIN;
+    if (recentRequests >= perMin) {
+        return { status: 429, message: `API key rate limit exceeded (${perMin} requests/minute)` };
+    }
+
+    const budget = key?.monthly_token_budget;
+    if (budget != null && tokensUsedThisMonth(key, now) >= Number(budget)) {
+        return { status: 429, message: `API key monthly token budget exhausted (${budget} tokens)` };
+    }
+    return null;
+}
@@ -0,0 +1,30 @@
+import "server-only";
+import { verifyBearerHeader } from "@/lib/auth/bearer";
+import { getCurrentUser } from "@/lib/supabase/auth-server";
+
+/**
+ * The signed-in user behind a request to a /api/v1/user/* route: a CLI
+ * bearer in Authorization (`infernet login`), else the Supabase session
+ * cookie (the browser). Returns `{ userId }`, or null when neither is
+ * present or valid.
+ */
+export async function resolveUser(request) {
+    const claims = verifyBearerHeader(request.headers.get("authorization"));
+    if (claims?.sub) return { userId: claims.sub };
+    try {
+        const user = await getCurrentUser();
+        if (user?.id) return { userId: user.id };
+    } catch { /* fall through */ }
+    return null;
+}
+
+/** resolveUser() or a 401. Returns the user id. */
+export async function requireUser(request) {
+    const auth = await resolveUser(request);
+    if (!auth) {
+        const err = new Error("not signed in");
+        err.status = 401;
+        throw err;
+    }
+    return auth.userId;
+}
@@ -3,12 +3,32 @@ import "server-only";
 import {
     verifySignedRequest,
     AUTH_HEADER,
+    REPLAY_WINDOW_SECONDS,
     ReplayCache
 } from "@infernetprotocol/auth";
+import {
+    createPostgresReplayStore,
+    createPostgresRevocationStore,
+    sharedStateBackend
+} from "@/lib/data/shared-state";
+
+// Nonces are kept for twice the timestamp window: anything older is
+// already rejected on skew, so that's the longest a replay could land.
+const NONCE_TTL_SECONDS = REPLAY_WINDOW_SECONDS * 2;
+
+// Per-process by default. With INFERNET_SHARED_STATE=postgres every
+// instance claims nonces in the same table, so a request accepted by
+// one instance can't be replayed against a sibling.
+const replayStore = sharedStateBackend() === "postgres"
+    ? createPostgresReplayStore()
+    : new ReplayCache({ ttlSeconds: NONCE_TTL_SECONDS });
 
-// Per-process replay cache. In a horizontally-scaled deployment this should
-// move to a shared store (Redis / Supabase table) — fine for Phase 1.
-const replayCache = new ReplayCache();
+// Keys rotated away and delegations their master revoked
+// (lib/data/node-keys.js). Always the revoked_keys table, whatever
+// INFERNET_SHARED_STATE says: a revocation has to reach every instance
+// and survive a restart, and rotate_node_pubkey writes it there in the
+// same transaction as the move. A store error refuses the request.
+const revocationStore = createPostgresRevocationStore();
 
 const ROLE_TABLE = {
     provider: "providers",
@@ -21,11 +41,20 @@ export function tableForRole(role) {
 }
 
 /**
- * Verify a signed request and return `{ pubkey, body }`.
- * `body` is the raw text body that was signed — callers that need JSON
- * should parse it themselves. Throws on any verification failure.
+ * Verify a signed request and return `{ pubkey, signer, delegation, body, bytes }`.
+ * `pubkey` is who the request acts for: a v2 request signed by a
+ * delegated subkey (`signer`) acts for the certificate's master, within
+ * its scopes. `bytes` is the raw body that was signed and `body` the
+ * same bytes as UTF-8 text — callers that need JSON should parse it
+ * themselves, and protobuf bodies (lib/node-wire.js) decode `bytes`.
+ * Throws on any verification failure, including a revoked key.
+ *
+ * `allowRevokedKey` lets a request signed by a rotated-away master key
+ * through. Only the rotate route passes it: rotate_node_pubkey answers
+ * a repeat of a rotation that already happened and refuses anything
+ * else from a revoked key.
  */
-export async function verifySignedNextRequest(request) {
+export async function verifySignedNextRequest(request, { allowRevokedKey = false } = {}) {
     const header = request.headers.get(AUTH_HEADER);
     if (!header) {
         const err = new Error("missing X-Infernet-Auth header");
@@ -33,16 +62,17 @@ export async function verifySignedNextRequest(request) {
         throw err;
     }
 
-    // We must read the raw body text so its SHA-256 matches what the client
-    // signed. `request.text()` consumes the stream.
-    const bodyText = await request.text();
+    // We must read the raw body bytes so their SHA-256 matches what the
+    // client signed — a protobuf body doesn't survive a round trip through
+    // text. `request.arrayBuffer()` consumes the stream.
+    const bytes = new Uint8Array(await request.arrayBuffer());
     const url = new URL(request.url);
     const path = url.pathname + (url.search ?? "");
 
     const result = verifySignedRequest({
         method: request.method,
         path,
-        body: bodyText,
+        body: bytes,
         headerValue: header
     });
 
@@ -52,14 +82,47 @@ export async function verifySignedNextRequest(request) {
         throw err;
     }
 
-    if (replayCache.has(result.nonce)) {
+    if (!allowRevokedKey && await revocationStore.isRevoked(result.pubkey)) {
+        const err = new Error("key revoked");
+        err.status = 401;
+        throw err;
+    }
+    if (result.delegation && await revocationStore.isRevoked(result.signer, { delegatedBy: result.pubkey })) {
+        const err = new Error("delegated key revoked");
+        err.status = 401;
+        throw err;
+    }
+
+    if (!(await replayStore.claim(result.nonce, NONCE_TTL_SECONDS))) {
         const err = new Error("nonce already used");
         err.status = 401;
         throw err;
     }
-    replayCache.add(result.nonce);
 
-    return { pubkey: result.pubkey, body: bodyText };
+    return {
+        pubkey: result.pubkey,
+        signer: result.signer,
+        delegation: result.delegation,
+        body: new TextDecoder().decode(bytes),
+        bytes
+    };
+}
+
+/**
+ * Key-management routes: refuse a request a delegated subkey signed.
+ * Certificates never cover these paths, so this is belt and braces.
+ */
+export function requireMasterKey(verified) {
+    if (verified.delegation) {
+        const err = new Error("this call needs the node's master key, not a delegated key");
+        err.status = 403;
+        throw err;
+    }
+}
+
+/** Record a revocation; every later request it covers is refused. */
+export function revokeKey(pubkey, opts) {
+    return revocationStore.revoke(pubkey, opts);
 }
 
 export function parseJsonBody(bodyText) {
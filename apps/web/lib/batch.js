@@ -0,0 +1,375 @@
+import { createHmac } from "node:crypto";
+import { hasImageInput, validateChatMessages } from "@/lib/chat-input";
+import { MAX_EMBEDDING_INPUTS } from "@/lib/embeddings-input";
+import { isNonPublicHostname } from "@/lib/public-fetch";
+
+/**
+ * Batch inference (IPIP-0013) — the pure half: request validation,
+ * chunking, what a chunk asks its provider to do, how its output maps
+ * back onto items, the retry schedule, the result manifest and the
+ * completion-webhook signature. lib/data/batch.js does the I/O.
+ *
+ * A chunk is run by one ordinary job on one provider:
+ *
+ *   embed                          → an `embeddings` job over the chunk's strings
+ *   chat / classify / summarize /  → a `batch` job: one chat request per item,
+ *   extract                          run back to back by the daemon
+ *                                    (apps/cli/lib/chat-executor.js)
+ *
+ * Results never ride inline on the status endpoint — the manifest points
+ * at one result URL per chunk.
+ */
+
+export const BATCH_KINDS = Object.freeze(["embed", "chat", "classify", "summarize", "extract"]);
+export const MAX_BATCH_ITEMS = 100_000;
+export const MAX_ITEM_CHARS = 32_000;
+// A `batch` job runs its items one after another; keep a chunk short
+// enough to finish well inside the chunk timeout.
+export const MAX_TEXT_CHUNK_SIZE = 64;
+export const DEFAULT_CHUNK_SIZE = Object.freeze({ embed: 64, text: 16 });
+export const DEFAULT_MAX_CONCURRENCY = 32;
+export const MAX_CONCURRENCY = 256;
+export const DEFAULT_MAX_ATTEMPTS = 3;
+export const MAX_ATTEMPTS = 10;
+// One attempt of one chunk; past this the job is cancelled and retried.
+export const DEFAULT_CHUNK_TIMEOUT_SECONDS = 600;
+export const MAX_CHUNK_TIMEOUT_SECONDS = 3600;
+const MAX_TOKENS = 8192;
+const MAX_LABELS = 50;
+const MAX_FIELDS = 50;
+const MAX_INSTRUCTIONS_CHARS = 4_000;
+
+// Chunk statuses that won't change again.
+export const SETTLED_CHUNK_STATUSES = Object.freeze(["done", "failed_terminal", "cancelled"]);
+
+function fail(message) {
+    return { error: message };
+}
+
+function isNonEmptyStringList(v, max) {
+    return Array.isArray(v) && v.length > 0 && v.length <= max
+        && v.every((s) => typeof s === "string" && s.trim() !== "" && s.length <= 200);
+}
+
+function validateItem(kind, item, i) {
+    if (kind === "chat" && item && typeof item === "object" && !Array.isArray(item)) {
+        const err = validateChatMessages(item.messages);
+        if (err) return `items[${i}]: ${err}`;
+        if (hasImageInput(item.messages)) return `items[${i}]: image input is not supported in batches`;
+        if (item.max_tokens !== undefined && !(Number.isInteger(item.max_tokens) && item.max_tokens >= 1 && item.max_tokens <= MAX_TOKENS)) {
+            return `items[${i}].max_tokens must be an integer 1..${MAX_TOKENS}`;
+        }
+        if (item.temperature !== undefined && !(typeof item.temperature === "number" && item.temperature >= 0 && item.temperature <= 2)) {
+            return `items[${i}].temperature must be a number 0..2`;
+        }
+        return null;
+    }
+    if (typeof item !== "string" || item.length === 0) {
+        return kind === "chat"
+            ? `items[${i}] must be a non-empty string or { messages }`
+            : `items[${i}] must be a non-empty string`;
+    }
+    if (item.length > MAX_ITEM_CHARS) return `items[${i}] must be at most ${MAX_ITEM_CHARS} characters`;
+    return null;
+}
+
+function intOption(options, name, { min, max, fallback }) {
+    const v = options[name];
+    if (v === undefined || v === null) return { value: fallback };
+    if (!Number.isInteger(v) || v < min || v > max) return { error: `options.${name} must be an integer ${min}..${max}` };
+    return { value: v };
+}
+
+/**
+ * Validate a POST /api/v1/jobs/batch body. Returns `{ error }` (a 400)
+ * or `{ value }` — the batch with every option resolved to a default.
+ *
+ * @param {object} body
+ * @param {{ now?: number }} [opts]  epoch ms, for the deadline check
+ */
+export function validateBatchInput(body, { now = Date.now() } = {}) {
+    if (!body || typeof body !== "object") return fail("body must be a JSON object");
+    const { kind, model, items } = body;
+    const options = body.options ?? {};
+    if (!BATCH_KINDS.includes(kind)) return fail(`kind must be one of: ${BATCH_KINDS.join(", ")}`);
+    if (typeof model !== "string" || model === "") return fail("model is required");
+    if (!Array.isArray(items) || items.length === 0) return fail("items must be a non-empty array");
+    if (items.length > MAX_BATCH_ITEMS) return fail(`too many items (max ${MAX_BATCH_ITEMS} per batch)`);
+    if (typeof options !== "object" || Array.isArray(options)) return fail("options must be an object");
+    for (let i = 0; i < items.length; i++) {
+        const err = validateItem(kind, items[i], i);
+        if (err) return fail(err);
+    }
+
+    const maxChunk = kind === "embed" ? MAX_EMBEDDING_INPUTS : MAX_TEXT_CHUNK_SIZE;
+    const resolved = {};
+    for (const [name, range] of Object.entries({
+        chunk_size: { min: 1, max: maxChunk, fallback: kind === "embed" ? DEFAULT_CHUNK_SIZE.embed : DEFAULT_CHUNK_SIZE.text },
+        max_concurrency: { min: 1, max: MAX_CONCURRENCY, fallback: DEFAULT_MAX_CONCURRENCY },
+        max_attempts: { min: 1, max: MAX_ATTEMPTS, fallback: DEFAULT_MAX_ATTEMPTS },
+        chunk_timeout_seconds: { min: 30, max: MAX_CHUNK_TIMEOUT_SECONDS, fallback: DEFAULT_CHUNK_TIMEOUT_SECONDS },
+        max_tokens: { min: 1, max: MAX_TOKENS, fallback: kind === "classify" ? 16 : 512 }
+    })) {
+        const r = intOption(options, name, range);
+        if (r.error) return fail(r.error);
+        resolved[name] = r.value;
+    }
+
+    if (options.temperature !== undefined && !(typeof options.temperature === "number" && options.temperature >= 0 && options.temperature <= 2)) {
+        return fail("options.temperature must be a number 0..2");
+    }
+    if (options.instructions !== undefined
+        && (typeof options.instructions !== "string" || options.instructions.length > MAX_INSTRUCTIONS_CHARS)) {
+        return fail(`options.instructions must be a string of at most ${MAX_INSTRUCTIONS_CHARS} characters`);
+    }
+    if (kind === "classify" && !isNonEmptyStringList(options.labels, MAX_LABELS)) {
+        return fail(`classify needs options.labels: 1..${MAX_LABELS} non-empty strings`);
+    }
+    if (kind === "extract" && !isNonEmptyStringList(options.fields, MAX_FIELDS)) {
+        return fail(`extract needs options.fields: 1..${MAX_FIELDS} non-empty strings`);
+    }
+
+    let deadlineAt = null;
+    if (options.deadline_at !== undefined && options.deadline_at !== null) {
+        const t = typeof options.deadline_at === "string" ? Date.parse(options.deadline_at) : NaN;
+        if (!Number.isFinite(t)) return fail("options.deadline_at must be an RFC 3339 timestamp");
+        if (t <= now) return fail("options.deadline_at is in the past");
+        deadlineAt = new Date(t).toISOString();
+    }
+    let webhookUrl = null;
+    if (options.webhook_url !== undefined && options.webhook_url !== null) {
+        let u;
+        try { u = new URL(options.webhook_url); } catch { return fail("options.webhook_url must be a URL"); }
+        if (u.protocol !== "https:" && u.protocol !== "http:") return fail("options.webhook_url must be http(s)");
+        if (isNonPublicHostname(u.hostname)) return fail("options.webhook_url must point at a public host");
+        webhookUrl = u.toString();
+    }
+    if (options.result_destination !== undefined && options.result_destination !== null) {
+        return fail("options.result_destination is not supported yet — results are served by the control plane");
+    }
+    if (options.provider_pubkey !== undefined && options.provider_pubkey !== null
+        && !(typeof options.provider_pubkey === "string" && /^[0-9a-f]{64}$/i.test(options.provider_pubkey))) {
+        return fail("options.provider_pubkey must be 64 hex characters");
+    }
+
+    return {
+        value: {
+            kind,
+            model,
+            items,
+            deadlineAt,
+            webhookUrl,
+            options: {
+                ...resolved,
+                ...(options.temperature !== undefined ? { temperature: options.temperature } : {}),
+                ...(options.instructions ? { instructions: options.instructions } : {}),
+                ...(kind === "classify" ? { labels: options.labels } : {}),
+                ...(kind === "extract" ? { fields: options.fields } : {}),
+                ...(options.provider_pubkey ? { provider_pubkey: options.provider_pubkey.toLowerCase() } : {})
+            }
+        }
+    };
+}
+
+/** Split `items` into consecutive chunks of at most `size`. */
+export function splitIntoChunks(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+const SYSTEM_PROMPTS = {
+    classify: (o) => `Classify the text into exactly one of these labels: ${o.labels.join(", ")}. Reply with the label only.`,
+    summarize: () => "Summarize the text concisely. Reply with the summary only.",
+    extract: (o) => `Extract these fields from the text: ${o.fields.join(", ")}. Reply with a single JSON object using exactly those keys, with null for anything not present.`
+};
+
+/**
+ * The chat request for one item of a text-kind batch. `chat` items are
+ * sent as given (a bare string is one user turn, and a `{ messages }`
+ * item may set its own max_tokens / temperature); the other kinds wrap
+ * the item in a kind-specific system prompt plus `instructions`.
+ */
+export function itemRequest(kind, item, options) {
+    const extra = options.instructions ? [{ role: "system", content: options.instructions }] : [];
+    const own = kind === "chat" && typeof item === "object" ? item : {};
+    let messages;
+    if (kind === "chat") {
+        messages = typeof item === "string" ? [{ role: "user", content: item }] : item.messages;
+        messages = [...extra, ...messages];
+    } else {
+        messages = [{ role: "system", content: SYSTEM_PROMPTS[kind](options) }, ...extra, { role: "user", content: item }];
+    }
+    return {
+        messages,
+        max_tokens: own.max_tokens ?? options.max_tokens,
+        temperature: own.temperature ?? options.temperature ?? (kind === "chat" ? 0.7 : 0)
+    };
+}
+
+/**
+ * `{ type, title, input_spec }` for the job that runs one chunk.
+ */
+export function chunkJobSpec(batch, chunk) {
+    const items = chunk.payload;
+    const ref = { batch: { id: batch.id, chunk_index: chunk.chunk_index } };
+    // The submitter chose the provider; its failures don't move the breaker.
+    if (batch.options.provider_pubkey) ref.pinned = true;
+    if (batch.kind === "embed") {
+        return {
+            type: "embeddings",
+            title: `batch ${batch.id.slice(0, 8)} #${chunk.chunk_index} embeddings ×${items.length}`,
+            input_spec: { input: items, ...ref }
+        };
+    }
+    return {
+        type: "batch",
+        title: `batch ${batch.id.slice(0, 8)} #${chunk.chunk_index} ${batch.kind} ×${items.length}`,
+        input_spec: {
+            kind: batch.kind,
+            requests: items.map((item) => itemRequest(batch.kind, item, batch.options)),
+            ...ref
+        }
+    };
+}
+
+function matchLabel(text, labels) {
+    const t = text.trim().toLowerCase().replace(/[.!"'`]+$/g, "").replace(/^["'`]+/, "");
+    const exact = labels.find((l) => l.toLowerCase() === t);
+    if (exact) return exact;
+    // Longest first, so "very positive" wins over "positive".
+    return [...labels].sort((a, b) => b.length - a.length).find((l) => t.includes(l.toLowerCase())) ?? null;
+}
+
+function firstJsonObject(text) {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start === -1 || end <= start) return null;
+    try {
+        const v = JSON.parse(text.slice(start, end + 1));
+        return v && typeof v === "object" && !Array.isArray(v) ? v : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Map a chunk job's `done` event onto per-item results, in item order.
+ * Throws when the output doesn't line up with the chunk — the attempt
+ * then counts as failed and is retried elsewhere.
+ *
+ * @returns {Array<object>}  embed: `{ embedding }`; chat / summarize:
+ *   `{ text }`; classify: `{ label, text }` (label null when the reply
+ *   named none); extract: `{ data, text }` (data null when the reply
+ *   wasn't a JSON object). Text results carry the item's `usage` when
+ *   the engine reported it. A failed item is `{ error }`.
+ */
+export function chunkResults(batch, chunk, done) {
+    const count = chunk.payload.length;
+    if (batch.kind === "embed") {
+        const vectors = Array.isArray(done?.embeddings) ? done.embeddings : [];
+        if (vectors.length !== count) throw new Error(`provider returned ${vectors.length} embeddings for ${count} items`);
+        return vectors.map((embedding) => ({ embedding }));
+    }
+    const results = Array.isArray(done?.results) ? done.results : [];
+    if (results.length !== count) throw new Error(`provider returned ${results.length} results for ${count} items`);
+    return results.map((r) => {
+        if (typeof r?.error === "string") return { error: r.error };
+        const text = typeof r?.text === "string" ? r.text : "";
+        const usage = r?.usage && typeof r.usage === "object" ? { usage: r.usage } : {};
+        if (batch.kind === "classify") return { label: matchLabel(text, batch.options.labels), text, ...usage };
+        if (batch.kind === "extract") return { data: firstJsonObject(text), text, ...usage };
+        return { text, ...usage };
+    });
+}
+
+/**
+ * Delay before retry `attempt` (1-based count of attempts made so far):
+ * 1s, 5s, 25s, ... capped at 10 minutes.
+ */
+export function retryDelayMs(attempt) {
+    return Math.min(1000 * 5 ** Math.max(0, attempt - 1), 600_000);
+}
+
+/**
+ * What to do with a `running` chunk, given its attempt's job. Pure.
+ *
+ * @param {{ lease_expires_at?: string | null }} chunk
+ * @param {{ status: string } | null} job  null when the attempt never got one
+ * @param {{ now?: number }} [opts]
+ * @returns {{ action: 'ack' } | { action: 'nack', reason: string, cancelJob?: boolean } | null}
+ *   null: still running.
+ */
+export function chunkVerdict(chunk, job, { now = Date.now() } = {}) {
+    if (job?.status === "completed") return { action: "ack" };
+    if (job?.status === "failed") return { action: "nack", reason: job.error || "provider failed the chunk" };
+    if (job?.status === "cancelled") return { action: "nack", reason: "chunk job was cancelled" };
+    const leaseExpired = Date.parse(chunk.lease_expires_at ?? "") <= now;
+    if (!leaseExpired) return null;
+    if (!job) return { action: "nack", reason: "chunk was never started" };
+    return { action: "nack", reason: "chunk timed out", cancelJob: true };
+}
+
+/** Per-status chunk counts, as on the status endpoint. */
+export function chunkCounts(chunks) {
+    const counts = { total: chunks.length, queued: 0, running: 0, done: 0, failed: 0 };
+    for (const c of chunks) {
+        if (c.status === "running") counts.running += 1;
+        else if (c.status === "done") counts.done += 1;
+        else if (c.status === "failed_terminal" || c.status === "cancelled") counts.failed += 1;
+        else counts.queued += 1; // queued, or failed and waiting for its retry
+    }
+    return counts;
+}
+
+export function batchPaths(id) {
+    const base = `/api/v1/jobs/batch/${id}`;
+    return {
+        status: `${base}/status`,
+        manifest: `${base}/manifest`,
+        chunk: (index) => `${base}/chunks/${index}`
+    };
+}
+
+/**
+ * The result manifest (IPIP-0013): one entry per chunk with its result
+ * URL (relative to the control plane) or error, and who ran it.
+ */
+export function buildManifest(batch, chunks, { completedAt }) {
+    const paths = batchPaths(batch.id);
+    const sorted = [...chunks].sort((a, b) => a.chunk_index - b.chunk_index);
+    let offset = 0;
+    const entries = sorted.map((c) => {
+        const entry = {
+            index: c.chunk_index,
+            items: { offset, count: c.item_count },
+            status: c.status === "done" ? "done" : "failed",
+            attempts: c.attempts
+        };
+        offset += c.item_count;
+        if (c.status === "done") {
+            return { ...entry, result_url: paths.chunk(c.chunk_index), provider: c.last_provider_pubkey ?? null };
+        }
+        return { ...entry, error: c.last_error ?? (c.status === "cancelled" ? "batch cancelled" : "failed"), last_provider: c.last_provider_pubkey ?? null };
+    });
+    const done = entries.filter((e) => e.status === "done").length;
+    return {
+        v: 1,
+        job_id: batch.id,
+        kind: batch.kind,
+        model: batch.model,
+        chunks: entries,
+        summary: { total: entries.length, done, failed: entries.length - done, completed_at: completedAt }
+    };
+}
+
+export const WEBHOOK_SIGNATURE_HEADER = "x-infernet-signature";
+
+/**
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">` with the
+ * batch's webhook secret. Receivers recompute it and reject stale `t`.
+ */
+export function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const mac = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `t=${timestamp},v1=${mac}`;
+}
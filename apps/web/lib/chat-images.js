@@ -0,0 +1,107 @@
+import "server-only";
+
+import { IMAGE_MIME_TYPES, MAX_IMAGE_BYTES, MAX_TOTAL_IMAGE_BYTES, base64Bytes } from "@/lib/chat-input";
+import { publicFetch } from "@/lib/public-fetch";
+
+/**
+ * Inline remote `image_url` parts as base64 data URLs before a chat job
+ * is created.
+ *
+ * Why the control plane does this instead of the provider: providers sit
+ * on operators' home networks and GPU rentals, and we don't want a
+ * client prompt to make them dial arbitrary URLs. Ollama only takes raw
+ * base64 anyway. Fetching here also lets us enforce the same type and
+ * size limits on remote images as on inline ones — by the time a job
+ * row exists every image is a validated `data:image/...;base64,` URL.
+ *
+ * Guard rails on the fetch: https only, publicFetch() (public hosts
+ * only, connected to the address that was checked, no redirects), 10 s
+ * timeout, body capped at MAX_IMAGE_BYTES while streaming, Content-Type
+ * must be an allowed image type. On top of the per-image cap, all images
+ * in a request — data: URLs the client sent plus everything fetched —
+ * must fit in MAX_TOTAL_IMAGE_BYTES, since they all land in one
+ * `jobs.input_spec` row.
+ */
+
+const FETCH_TIMEOUT_MS = 10_000;
+
+/**
+ * @param {Array<object>} messages  already passed validateChatMessages()
+ * @returns {Promise<Array<object>>} messages with every https image inlined
+ * @throws {Error} with `status: 400` when an image can't be fetched or
+ *   violates the limits
+ */
+export async function inlineRemoteImages(messages, { fetchImpl, lookupImpl } = {}) {
+    const budget = { remaining: MAX_TOTAL_IMAGE_BYTES };
+    const out = [];
+    for (const m of messages) {
+        if (!Array.isArray(m?.content)) {
+            out.push(m);
+            continue;
+        }
+        const content = [];
+        for (const part of m.content) {
+            const url = part?.type === "image_url" ? part.image_url?.url : null;
+            if (typeof url === "string" && url.startsWith("https:")) {
+                const dataUrl = await fetchImageAsDataUrl(url, { fetchImpl, lookupImpl, budget });
+                content.push({ ...part, image_url: { ...part.image_url, url: dataUrl } });
+            } else {
+                if (typeof url === "string" && url.startsWith("data:")) {
+                    budget.remaining -= base64Bytes(url.slice(url.indexOf(",") + 1));
+                    if (budget.remaining < 0) throw overBudget();
+                }
+                content.push(part);
+            }
+        }
+        out.push({ ...m, content });
+    }
+    return out;
+}
+
+async function fetchImageAsDataUrl(url, { fetchImpl, lookupImpl, budget }) {
+    if (budget.remaining <= 0) throw overBudget();
+    let res;
+    try {
+        res = await publicFetch(url, {
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+            headers: { accept: IMAGE_MIME_TYPES.join(", ") }
+        }, { label: "image host", fetchImpl, lookupImpl });
+    } catch (err) {
+        if (err?.status === 400) throw err;
+        throw badImage(`could not fetch image ${url}: ${err?.message ?? err}`);
+    }
+    if (!res.ok) throw badImage(`image fetch ${url} returned HTTP ${res.status}`);
+
+    const mime = (res.headers.get("content-type") ?? "").split(";")[0].trim().toLowerCase();
+    if (!IMAGE_MIME_TYPES.includes(mime)) {
+        throw badImage(`image ${url} has unsupported content-type ${mime || "(none)"}`);
+    }
+    const declared = Number(res.headers.get("content-length"));
+    if (Number.isFinite(declared) && declared > MAX_IMAGE_BYTES) throw tooLarge(url);
+    if (Number.isFinite(declared) && declared > budget.remaining) throw overBudget();
+
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of res.body) {
+        total += chunk.byteLength;
+        if (total > MAX_IMAGE_BYTES) throw tooLarge(url);
+        if (total > budget.remaining) throw overBudget();
+        chunks.push(chunk);
+    }
+    budget.remaining -= total;
+    return `data:${mime};base64,${Buffer.concat(chunks).toString("base64")}`;
+}
+
+function badImage(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function tooLarge(url) {
+    return badImage(`image ${url} exceeds ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`);
+}
+
+function overBudget() {
+    return badImage(`images in one request exceed ${MAX_TOTAL_IMAGE_BYTES / (1024 * 1024)} MB in total`);
+}
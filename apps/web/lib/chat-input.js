@@ -0,0 +1,289 @@
+/**
+ * Validation for chat request bodies shared by /api/chat and the
+ * OpenAI-compatible /v1/chat/completions route.
+ *
+ * Every validator returns an error message string (surfaced to the
+ * caller as a 400) or null when the input is acceptable. Shapes follow
+ * OpenAI's chat-completions API so agent frameworks (LangChain, Cline,
+ * Aider, …) can talk to us unmodified.
+ */
+
+const MAX_TOOLS = 128;
+// Image limits, enforced before a job is created so providers never see
+// an oversized or malformed payload. Remote URLs are fetched and inlined
+// by chat-images.js under the same byte cap. MAX_TOTAL_IMAGE_BYTES bounds
+// everything one request inlines into its job row, inline and fetched alike.
+export const MAX_IMAGES_PER_REQUEST = 8;
+export const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+export const MAX_TOTAL_IMAGE_BYTES = 20 * 1024 * 1024;
+export const IMAGE_MIME_TYPES = Object.freeze(["image/png", "image/jpeg", "image/webp", "image/gif"]);
+const DATA_URL_PATTERN = /^data:(image\/[a-z+.-]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const TOOL_CHOICE_MODES = new Set(["none", "auto", "required"]);
+
+/**
+ * Messages may be plain `{ role, content: string }` turns, assistant
+ * turns that carry `tool_calls` (content may then be null), or
+ * `role: "tool"` results answering a previous call by `tool_call_id`.
+ * User turns may also use OpenAI's content-part array — `{ type: "text",
+ * text }` and `{ type: "image_url", image_url: { url, detail? } }` — with
+ * images as base64 `data:` URLs or public `https:` URLs.
+ */
+export function validateChatMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return "messages[] is required";
+    }
+    let images = 0;
+    for (const m of messages) {
+        if (!m || typeof m !== "object" || typeof m.role !== "string") {
+            return "each message must be { role: string, content: string }";
+        }
+        if (m.role === "assistant" && m.tool_calls !== undefined) {
+            const callErr = validateAssistantToolCalls(m.tool_calls);
+            if (callErr) return callErr;
+            if (m.content !== null && m.content !== undefined && typeof m.content !== "string") {
+                return "assistant message content must be a string or null";
+            }
+            continue;
+        }
+        if (m.role === "tool") {
+            if (typeof m.tool_call_id !== "string" || !m.tool_call_id) {
+                return "tool messages require a tool_call_id string";
+            }
+            if (typeof m.content !== "string") {
+                return "tool message content must be a string";
+            }
+            continue;
+        }
+        if (Array.isArray(m.content) && (m.role === "user" || m.role === "system")) {
+            const partsErr = validateContentParts(m.content, m.role);
+            if (partsErr) return partsErr;
+            images += m.content.filter((p) => p.type === "image_url").length;
+            if (images > MAX_IMAGES_PER_REQUEST) {
+                return `too many images (max ${MAX_IMAGES_PER_REQUEST} per request)`;
+            }
+            continue;
+        }
+        if (typeof m.content !== "string") {
+            return "each message must be { role: string, content: string }";
+        }
+    }
+    return null;
+}
+
+function validateContentParts(parts, role) {
+    if (parts.length === 0) return "content arrays must not be empty";
+    for (const part of parts) {
+        if (part?.type === "text") {
+            if (typeof part.text !== "string") return "text content parts need a text string";
+            continue;
+        }
+        if (part?.type === "image_url") {
+            if (role !== "user") return "image content parts are only allowed in user messages";
+            const imgErr = validateImageUrl(part.image_url);
+            if (imgErr) return imgErr;
+            continue;
+        }
+        return "content parts must be { type: \"text\" } or { type: \"image_url\" }";
+    }
+    return null;
+}
+
+function validateImageUrl(imageUrl) {
+    const url = imageUrl?.url;
+    if (typeof url !== "string" || !url) return "image_url.url must be a string";
+    if (imageUrl.detail !== undefined && !["auto", "low", "high"].includes(imageUrl.detail)) {
+        return "image_url.detail must be \"auto\", \"low\" or \"high\"";
+    }
+    if (url.startsWith("data:")) {
+        const m = DATA_URL_PATTERN.exec(url);
+        if (!m) return "image data URLs must be data:image/<type>;base64,<data>";
+        if (!IMAGE_MIME_TYPES.includes(m[1])) {
+            return `unsupported image type ${m[1]} (allowed: ${IMAGE_MIME_TYPES.join(", ")})`;
+        }
+        if (base64Bytes(m[2]) > MAX_IMAGE_BYTES) {
+            return `image exceeds ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`;
+        }
+        return null;
+    }
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return "image_url.url must be an https:// URL or a base64 data: URL";
+    }
+    if (parsed.protocol !== "https:") return "image_url.url must be an https:// URL or a base64 data: URL";
+    return null;
+}
+
+export function base64Bytes(b64) {
+    const padding = b64.endsWith("==") ? 2 : b64.endsWith("=") ? 1 : 0;
+    return Math.floor((b64.length * 3) / 4) - padding;
+}
+
+/**
+ * True when any message carries an image part. Image prompts are only
+ * routed to providers that advertise the model in `specs.vision_models`.
+ */
+export function hasImageInput(messages) {
+    return (messages ?? []).some(
+        (m) => Array.isArray(m?.content) && m.content.some((p) => p?.type === "image_url")
+    );
+}
+
+function validateAssistantToolCalls(calls) {
+    if (!Array.isArray(calls) || calls.length === 0) {
+        return "assistant tool_calls must be a non-empty array";
+    }
+    for (const c of calls) {
+        if (!c || typeof c.id !== "string" || !c.id) {
+            return "each tool_call needs an id string";
+        }
+        if (c.type !== undefined && c.type !== "function") {
+            return "tool_call type must be \"function\"";
+        }
+        if (typeof c.function?.name !== "string" || typeof c.function?.arguments !== "string") {
+            return "tool_call.function must be { name: string, arguments: string }";
+        }
+    }
+    return null;
+}
+
+/**
+ * `tools` is OpenAI's array of `{ type: "function", function: { name,
+ * description?, parameters? } }`. `tool_choice` is "none" | "auto" |
+ * "required" | `{ type: "function", function: { name } }`, and a named
+ * choice must reference one of the declared tools.
+ */
+export function validateTools(tools, toolChoice) {
+    if (tools === undefined || tools === null) {
+        return toolChoice === undefined || toolChoice === null || toolChoice === "none"
+            ? null
+            : "tool_choice requires tools[]";
+    }
+    if (!Array.isArray(tools)) return "tools must be an array";
+    if (tools.length > MAX_TOOLS) return `too many tools (max ${MAX_TOOLS})`;
+
+    const names = new Set();
+    for (const t of tools) {
+        if (!t || t.type !== "function" || !t.function || typeof t.function !== "object") {
+            return "each tool must be { type: \"function\", function: { name, parameters? } }";
+        }
+        const { name, description, parameters } = t.function;
+        if (typeof name !== "string" || !TOOL_NAME_PATTERN.test(name)) {
+            return "tool function names must match ^[a-zA-Z0-9_-]{1,64}$";
+        }
+        if (names.has(name)) return `duplicate tool name: ${name}`;
+        names.add(name);
+        if (description !== undefined && typeof description !== "string") {
+            return `tool ${name}: description must be a string`;
+        }
+        if (parameters !== undefined && (!parameters || typeof parameters !== "object" || Array.isArray(parameters))) {
+            return `tool ${name}: parameters must be a JSON Schema object`;
+        }
+    }
+
+    if (toolChoice === undefined || toolChoice === null) return null;
+    if (typeof toolChoice === "string") {
+        return TOOL_CHOICE_MODES.has(toolChoice)
+            ? null
+            : "tool_choice must be \"none\", \"auto\", \"required\" or a named function";
+    }
+    const chosen = toolChoice?.type === "function" ? toolChoice.function?.name : null;
+    if (typeof chosen !== "string") {
+        return "tool_choice must be \"none\", \"auto\", \"required\" or a named function";
+    }
+    if (!names.has(chosen)) return `tool_choice names an undeclared tool: ${chosen}`;
+    return null;
+}
+
+const MAX_STOP_SEQUENCES = 4;
+const MAX_LOGIT_BIAS_ENTRIES = 300;
+const SCHEMA_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * OpenAI sampling parameters beyond temperature / max_tokens: `top_p`,
+ * `stop`, `seed`, `presence_penalty`, `frequency_penalty`, `logit_bias`,
+ * `n` and `response_format`. Ranges match OpenAI's so a request that
+ * works there works here. `n` > 1 is rejected outright — a job streams
+ * exactly one completion.
+ */
+export function validateSampling(body) {
+    const { top_p, stop, seed, presence_penalty, frequency_penalty, logit_bias, n, response_format } = body ?? {};
+    if (top_p != null && !(typeof top_p === "number" && top_p >= 0 && top_p <= 1)) {
+        return "top_p must be a number between 0 and 1";
+    }
+    if (stop != null) {
+        const stops = typeof stop === "string" ? [stop] : stop;
+        if (!Array.isArray(stops) || stops.some((s) => typeof s !== "string" || s.length === 0)) {
+            return "stop must be a non-empty string or an array of non-empty strings";
+        }
+        if (stops.length > MAX_STOP_SEQUENCES) return `stop accepts at most ${MAX_STOP_SEQUENCES} sequences`;
+    }
+    if (seed != null && !Number.isSafeInteger(seed)) return "seed must be an integer";
+    for (const [name, value] of [["presence_penalty", presence_penalty], ["frequency_penalty", frequency_penalty]]) {
+        if (value != null && !(typeof value === "number" && value >= -2 && value <= 2)) {
+            return `${name} must be a number between -2 and 2`;
+        }
+    }
+    if (logit_bias != null) {
+        if (typeof logit_bias !== "object" || Array.isArray(logit_bias)) {
+            return "logit_bias must be an object mapping token ids to biases";
+        }
+        const entries = Object.entries(logit_bias);
+        if (entries.length > MAX_LOGIT_BIAS_ENTRIES) return `logit_bias accepts at most ${MAX_LOGIT_BIAS_ENTRIES} entries`;
+        for (const [token, bias] of entries) {
+            if (!/^\d+$/.test(token)) return "logit_bias keys must be token ids";
+            if (!(typeof bias === "number" && bias >= -100 && bias <= 100)) {
+                return "logit_bias values must be numbers between -100 and 100";
+            }
+        }
+    }
+    if (n != null && n !== 1) {
+        return Number.isInteger(n) && n > 1
+            ? "n > 1 is not supported — send one request per completion"
+            : "n must be a positive integer";
+    }
+    if (response_format != null) return validateResponseFormat(response_format);
+    return null;
+}
+
+function validateResponseFormat(format) {
+    const type = format?.type;
+    if (type === "text" || type === "json_object") return null;
+    if (type !== "json_schema") {
+        return "response_format.type must be \"text\", \"json_object\" or \"json_schema\"";
+    }
+    const spec = format.json_schema;
+    if (!spec || typeof spec !== "object") return "response_format.json_schema is required for type json_schema";
+    if (typeof spec.name !== "string" || !SCHEMA_NAME_PATTERN.test(spec.name)) {
+        return "response_format.json_schema.name must match ^[a-zA-Z0-9_-]{1,64}$";
+    }
+    if (!spec.schema || typeof spec.schema !== "object" || Array.isArray(spec.schema)) {
+        return "response_format.json_schema.schema must be a JSON Schema object";
+    }
+    if (spec.strict !== undefined && typeof spec.strict !== "boolean") {
+        return "response_format.json_schema.strict must be a boolean";
+    }
+    return null;
+}
+
+/**
+ * Pull the validated sampling parameters out of a request body into the
+ * block stored as `input_spec.sampling`. Unset parameters are omitted,
+ * `stop` is normalized to an array, and `response_format: text` (the
+ * default) is dropped. Returns null when nothing beyond the defaults was
+ * requested, so routing stays unconstrained.
+ */
+export function samplingFromBody(body) {
+    const { top_p, stop, seed, presence_penalty, frequency_penalty, logit_bias, response_format } = body ?? {};
+    const sampling = {};
+    if (top_p != null) sampling.top_p = top_p;
+    if (stop != null) sampling.stop = typeof stop === "string" ? [stop] : stop;
+    if (seed != null) sampling.seed = seed;
+    if (presence_penalty != null) sampling.presence_penalty = presence_penalty;
+    if (frequency_penalty != null) sampling.frequency_penalty = frequency_penalty;
+    if (logit_bias != null && Object.keys(logit_bias).length > 0) sampling.logit_bias = logit_bias;
+    if (response_format != null && response_format.type !== "text") sampling.response_format = response_format;
+    return Object.keys(sampling).length > 0 ? sampling : null;
+}
@@ -81,7 +81,19 @@ export function artifactHashFromEvents(events) {
 }
 
 /**
- * Map job status / failure reason to CPR outcome.
+ * The weight digest the provider reported on the job's `meta` event
+ * (IPIP-0014 §2), or null when it advertised none.
+ */
+function modelDigestFromEvents(events) {
+    const meta = (events ?? []).find((e) => e?.event_type === "meta");
+    const digest = meta?.data?.model_digest;
+    return typeof digest === "string" ? digest : null;
+}
+
+/**
+ * Map job status / failure reason to CPR outcome. A `cancelled` job is
+ * accepted: the client stopped it and the provider delivered everything
+ * up to that point (the job's result carries the partial usage).
  */
 export function outcomeFromJob(job, { disputed = false } = {}) {
     if (disputed) return { outcome: "disputed", dispute: true };
@@ -99,11 +111,16 @@ export function outcomeFromJob(job, { disputed = false } = {}) {
  *   client?: { public_key?, id? },
  *   events?: Array<{event_type:string,data:any}>,
  *   sla?: object,
+ *   artifactHash?: string,
+ *   modelDigest?: string,
  *   appUrl?: string
- * }} args
+ * }} args  `artifactHash` ("sha256:<hex>") stands in for `events` when
+ *   the output never went through job_events (direct P2P jobs).
+ *   `modelDigest` is the weight fingerprint the job ran on; without it
+ *   the `meta` event's `model_digest` is used.
  */
 export function buildReceiptBody(args) {
-    const { job, provider, client, events, sla, appUrl } = args;
+    const { job, provider, client, events, sla, artifactHash, modelDigest, appUrl } = args;
     if (!job || !job.id) throw new Error("buildReceiptBody: job.id is required");
     if (!provider || !provider.public_key) {
         throw new Error("buildReceiptBody: provider.public_key is required");
@@ -127,7 +144,8 @@ export function buildReceiptBody(args) {
         sla:           sla ?? null,
         outcome,
         dispute,
-        artifact_hash: events ? artifactHashFromEvents(events) : null,
+        artifact_hash: artifactHash ?? (events ? artifactHashFromEvents(events) : null),
+        model_digest:  modelDigest ?? modelDigestFromEvents(events),
         created_at:    new Date().toISOString()
     };
     return body;
@@ -136,6 +154,7 @@ export function buildReceiptBody(args) {
 export const __testables__ = {
     canonicalize,
     artifactHashFromEvents,
+    modelDigestFromEvents,
     outcomeFromJob,
     categoryFor,
     partyDid,
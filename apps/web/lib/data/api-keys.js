@@ -0,0 +1,152 @@
+import "server-only";
+import { getSupabaseServerClient } from "@/lib/supabase/server";
+import {
+    MAX_KEYS_PER_USER,
+    apiKeyFromAuthorization,
+    generateApiKey,
+    hashApiKey,
+    isWellFormedApiKey,
+    keyQuotaViolation
+} from "@/lib/api-keys";
+import { defaultRateLimitStore } from "@/lib/rate-limit";
+
+/**
+ * api_keys data layer — owner-side create / list / revoke, and the
+ * request-time check the inference routes run before creating a job.
+ *
+ * The key hash never leaves this module: list/create return
+ * PUBLIC_COLUMNS only, and the plaintext key is returned exactly once,
+ * from createApiKey().
+ */
+
+const PUBLIC_COLUMNS =
+    "id, name, key_prefix, rate_limit_per_min, monthly_token_budget, allowed_models, " +
+    "usage_month, tokens_used_month, created_at, last_used_at, revoked_at";
+
+// Per-key request counter (one-minute windows). Shared across instances
+// with INFERNET_SHARED_STATE=postgres, like every other limiter.
+const keyRequests = defaultRateLimitStore();
+
+function withStatus(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * @param {{ userId: string, input: object }} args  input already passed
+ *   validateApiKeyInput()
+ * @returns {Promise<{ data: object, key: string }>}
+ */
+export async function createApiKey({ userId, input }) {
+    const supabase = getSupabaseServerClient();
+    const { count, error: countErr } = await supabase
+        .from("api_keys")
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", userId)
+        .is("revoked_at", null);
+    if (countErr) throw withStatus(countErr.message, 500);
+    if ((count ?? 0) >= MAX_KEYS_PER_USER) {
+        throw withStatus(`at most ${MAX_KEYS_PER_USER} active API keys per account — revoke one first`, 409);
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const { data, error } = await supabase
+        .from("api_keys")
+        .insert({ ...input, user_id: userId, key_prefix: prefix, key_hash: hash })
+        .select(PUBLIC_COLUMNS)
+        .single();
+    if (error) throw withStatus(error.message, 500);
+    return { data, key };
+}
+
+export async function listApiKeys(userId) {
+    const supabase = getSupabaseServerClient();
+    const { data, error } = await supabase
+        .from("api_keys")
+        .select(PUBLIC_COLUMNS)
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false });
+    if (error) throw withStatus(error.message, 500);
+    return data ?? [];
+}
+
+/**
+ * Revoke one of the caller's keys. Revocation is a soft delete so jobs
+ * keep their attribution; the key stops authenticating immediately.
+ */
+export async function revokeApiKey({ userId, id }) {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(id))) {
+        throw withStatus("no active API key with that id", 404);
+    }
+    const supabase = getSupabaseServerClient();
+    const { data, error } = await supabase
+        .from("api_keys")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .is("revoked_at", null)
+        .select(PUBLIC_COLUMNS)
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!data) throw withStatus("no active API key with that id", 404);
+    return data;
+}
+
+/**
+ * Resolve the request's `inf_` bearer to its api_keys row without
+ * metering — for calls that manage an existing job (cancel) rather than
+ * start one. Null for anonymous requests; 401 for unknown, malformed or
+ * revoked keys.
+ */
+export async function authenticateApiKey(request) {
+    const raw = apiKeyFromAuthorization(request.headers.get("authorization"));
+    if (raw === null) return null;
+    if (!isWellFormedApiKey(raw)) throw withStatus("invalid API key", 401);
+
+    const supabase = getSupabaseServerClient();
+    const { data: key, error } = await supabase
+        .from("api_keys")
+        .select("id, user_id, rate_limit_per_min, monthly_token_budget, allowed_models, usage_month, tokens_used_month, revoked_at")
+        .eq("key_hash", hashApiKey(raw))
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!key || key.revoked_at) throw withStatus("invalid API key", 401);
+    return key;
+}
+
+/**
+ * Authenticate and meter an inference request.
+ *
+ * Returns null for anonymous requests (no `inf_` bearer) — the caller
+ * falls back to its IP limiter. Otherwise returns the api_keys row the
+ * job should be attributed to, or throws with `status`:
+ *   401  unknown, malformed or revoked key
+ *   403  model not on the key's allowlist
+ *   429  per-minute rate limit or monthly token budget exceeded
+ *
+ * The rate limit is an atomic per-key counter in the rate-limit store
+ * (lib/rate-limit.js), bumped by every call, so concurrent requests
+ * can't all slip in under one reading. A batch submission is one
+ * request however many chunk jobs it turns into.
+ *
+ * @param {{ model?: string, store?: { hit: Function } }} [opts]  `store`
+ *   overrides the request counter (tests)
+ */
+export async function authorizeApiKeyRequest(request, { model, store = keyRequests } = {}) {
+    const key = await authenticateApiKey(request);
+    if (!key) return null;
+
+    const { count } = await store.hit(`api-key:${key.id}`, 60_000);
+    const violation = keyQuotaViolation(key, { model, recentRequests: count - 1 });
+    if (violation) throw withStatus(violation.message, violation.status);
+
+    const supabase = getSupabaseServerClient();
+    const { error: touchErr } = await supabase
+        .from("api_keys")
+        .update({ last_used_at: new Date().toISOString() })
+        .eq("id", key.id);
+    if (touchErr) console.warn(`api_keys last_used_at update failed: ${touchErr.message}`);
+
+    return key;
+}
@@ -0,0 +1,749 @@
+import "server-only";
+import { randomBytes } from "node:crypto";
+import { getSupabaseServerClient } from "@/lib/supabase/server";
+import { publicFetch, resolvePublicHost } from "@/lib/public-fetch";
+import { verifyBearerHeader } from "@/lib/auth/bearer";
+import { authenticateApiKey, authorizeApiKeyRequest } from "@/lib/data/api-keys";
+import { cancelChatJob, pickChatProvider } from "@/lib/data/chat";
+import { jobEmbeddings, pickEmbeddingProvider } from "@/lib/data/embeddings";
+import {
+    SETTLED_CHUNK_STATUSES,
+    WEBHOOK_SIGNATURE_HEADER,
+    batchPaths,
+    buildManifest,
+    chunkJobSpec,
+    chunkResults,
+    chunkVerdict,
+    retryDelayMs,
+    signWebhook,
+    splitIntoChunks
+} from "@/lib/batch";
+
+/**
+ * Batch inference (IPIP-0013) — jobs_batch / jobs_batch_chunks.
+ *
+ * createBatch() stores the batch and its chunks and dispatches the first
+ * wave right away; sweepBatches() (POST /api/cron/batch, every ~30s)
+ * moves every open batch along. One pass over a batch (advanceBatch):
+ *
+ *   1. running chunks: look at the attempt's job (chunkVerdict).
+ *        completed           → results from its `done` event (embeddings:
+ *                              the job's `result`), chunk `done`
+ *        failed / cancelled  → retry after 1s, 5s, 25s … (`failed`), or
+ *        lease expired         `failed_terminal` once max_attempts are used.
+ *                              A timed-out job is cancelled first.
+ *   2. past options.deadline_at → every unsettled chunk `failed_terminal`.
+ *   3. dispatch queued chunks (and failed ones whose retry is due) up to
+ *      max_concurrency, each to a provider picked like any job of its
+ *      type — avoiding providers that already had a go at the chunk
+ *      when another one qualifies, or only options.provider_pubkey when
+ *      pinned. No provider → the chunk waits for the next sweep.
+ *   4. nothing unsettled → write the manifest, close the batch and POST
+ *      the webhook (retried on later sweeps until it gets a 2xx).
+ *
+ * Each attempt is an ordinary jobs row (batch_chunk_id set), so the job
+ * janitor's reassignment, cancellation, API-key billing and CPR
+ * receipts all apply unchanged. Every chunk write is guarded on the
+ * status + attempt it read, so overlapping sweeps can't double-dispatch
+ * or double-settle a chunk.
+ */
+
+const BATCH_COLUMNS =
+    "id, user_id, api_key_id, kind, model, status, chunk_count, item_count, options, deadline_at, " +
+    "result_manifest_url, webhook_url, webhook_attempts, webhook_delivered_at, created_at, started_at, completed_at";
+const CHUNK_COLUMNS =
+    "id, chunk_index, status, attempts, max_attempts, item_count, last_error, attempt_job_id, " +
+    "last_provider, last_provider_pubkey, tried_provider_ids, visible_at, lease_expires_at";
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const OPEN_STATUSES = ["queued", "in_progress"];
+const UNSETTLED_CHUNK_STATUSES = ["queued", "running", "failed"];
+const CHUNK_INSERT_SLICE = 500;
+const PAGE = 1000;
+const RESULT_PAGE = 16;
+const SWEEP_LIMIT = 50;
+export const MAX_WEBHOOK_ATTEMPTS = 5;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+function withStatus(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Who a batch request is for. An `inf_` API key is billed and, when
+ * `model` is given (submission), metered like any inference request; a
+ * CLI bearer (`infernet login`) acts for its user with no key attached.
+ * Batches belong to the user, so any of their keys can read one.
+ *
+ * @returns {Promise<{ userId: string, apiKeyId: string | null }>}
+ */
+export async function batchCaller(request, { model } = {}) {
+    const key = model !== undefined
+        ? await authorizeApiKeyRequest(request, { model })
+        : await authenticateApiKey(request);
+    if (key) return { userId: key.user_id, apiKeyId: key.id };
+    const claims = verifyBearerHeader(request.headers.get("authorization"));
+    if (claims?.sub) return { userId: claims.sub, apiKeyId: null };
+    throw withStatus("batch jobs need an API key (Authorization: Bearer inf_...) or a CLI login", 401);
+}
+
+/**
+ * Store a validated batch (validateBatchInput) and dispatch its first
+ * chunks.
+ *
+ * @param {{ userId: string, apiKeyId?: string | null, input: object }} args
+ * @returns {Promise<{ job_id: string, chunk_count: number, item_count: number,
+ *                     status: string, status_url: string, webhook_secret?: string }>}
+ *   `webhook_secret` — the HMAC key for the completion webhook — is only
+ *   ever returned here.
+ */
+export async function createBatch({ userId, apiKeyId = null, input }) {
+    const supabase = getSupabaseServerClient();
+    const chunks = splitIntoChunks(input.items, input.options.chunk_size);
+    // Checked again on every delivery (DNS can change); this catches a
+    // private host before the batch is accepted.
+    if (input.webhookUrl) await resolvePublicHost(new URL(input.webhookUrl).hostname, { label: "webhook host" });
+    const webhookSecret = input.webhookUrl ? randomBytes(32).toString("hex") : null;
+
+    const { data: batch, error } = await supabase
+        .from("jobs_batch")
+        .insert({
+            user_id: userId,
+            api_key_id: apiKeyId,
+            kind: input.kind,
+            model: input.model,
+            chunk_count: chunks.length,
+            item_count: input.items.length,
+            options: input.options,
+            deadline_at: input.deadlineAt,
+            webhook_url: input.webhookUrl,
+            webhook_secret: webhookSecret
+        })
+        .select(BATCH_COLUMNS)
+        .single();
+    if (error) throw withStatus(error.message, 500);
+
+    const rows = chunks.map((items, i) => ({
+        job_id: batch.id,
+        chunk_index: i,
+        item_count: items.length,
+        payload: items,
+        max_attempts: input.options.max_attempts
+    }));
+    for (let i = 0; i < rows.length; i += CHUNK_INSERT_SLICE) {
+        const { error: chunkErr } = await supabase.from("jobs_batch_chunks").insert(rows.slice(i, i + CHUNK_INSERT_SLICE));
+        if (chunkErr) {
+            await supabase.from("jobs_batch").delete().eq("id", batch.id);
+            throw withStatus(chunkErr.message, 500);
+        }
+    }
+
+    let status = batch.status;
+    try {
+        ({ status } = await advanceBatch(supabase, batch));
+    } catch (err) {
+        // The sweep picks it up; the submission itself succeeded.
+        console.warn(`batch ${batch.id}: first dispatch failed: ${err?.message ?? err}`);
+    }
+    return {
+        job_id: batch.id,
+        chunk_count: chunks.length,
+        item_count: input.items.length,
+        status,
+        status_url: batchPaths(batch.id).status,
+        ...(webhookSecret ? { webhook_secret: webhookSecret } : {})
+    };
+}
+
+async function batchForUser(supabase, id, userId) {
+    if (!UUID_RE.test(String(id))) throw withStatus("batch not found", 404);
+    const { data, error } = await supabase
+        .from("jobs_batch")
+        .select(`${BATCH_COLUMNS}, manifest`)
+        .eq("id", id)
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!data || data.user_id !== userId) throw withStatus("batch not found", 404);
+    return data;
+}
+
+async function countChunks(supabase, batchId, statuses) {
+    const { count, error } = await supabase
+        .from("jobs_batch_chunks")
+        .select("id", { count: "exact", head: true })
+        .eq("job_id", batchId)
+        .in("status", statuses);
+    if (error) throw withStatus(error.message, 500);
+    return count ?? 0;
+}
+
+/** GET /api/v1/jobs/batch/<id>/status, minus absolute URLs. */
+export async function getBatchStatus({ id, userId }) {
+    const supabase = getSupabaseServerClient();
+    const batch = await batchForUser(supabase, id, userId);
+    const [queued, running, done, failed] = await Promise.all([
+        countChunks(supabase, batch.id, ["queued", "failed"]),
+        countChunks(supabase, batch.id, ["running"]),
+        countChunks(supabase, batch.id, ["done"]),
+        countChunks(supabase, batch.id, ["failed_terminal", "cancelled"])
+    ]);
+    const total = batch.chunk_count;
+    return {
+        job_id: batch.id,
+        kind: batch.kind,
+        model: batch.model,
+        status: batch.status,
+        chunks: { total, queued, running, done, failed },
+        progress: total > 0 ? Math.round(((done + failed) / total) * 1000) / 1000 : 0,
+        item_count: batch.item_count,
+        created_at: batch.created_at,
+        started_at: batch.started_at,
+        completed_at: batch.completed_at,
+        deadline_at: batch.deadline_at,
+        result_manifest_url: batch.result_manifest_url,
+        ...(batch.webhook_url
+            ? { webhook: { delivered_at: batch.webhook_delivered_at, attempts: batch.webhook_attempts } }
+            : {})
+    };
+}
+
+/** The result manifest; 409 while the batch is still running. */
+export async function getBatchManifest({ id, userId }) {
+    const supabase = getSupabaseServerClient();
+    const batch = await batchForUser(supabase, id, userId);
+    if (!batch.manifest) throw withStatus(`batch is ${batch.status}; the manifest is written once every chunk settles`, 409);
+    return batch.manifest;
+}
+
+/**
+ * One chunk's results: `{ index, status, items: { offset, count }, results }`.
+ * `results[i]` belongs to item `offset + i`.
+ */
+export async function getChunkResult({ id, userId, index }) {
+    const supabase = getSupabaseServerClient();
+    const batch = await batchForUser(supabase, id, userId);
+    const i = Number(index);
+    if (!Number.isInteger(i) || i < 0 || i >= batch.chunk_count) throw withStatus("chunk not found", 404);
+    const { data: chunk, error } = await supabase
+        .from("jobs_batch_chunks")
+        .select("chunk_index, status, item_count, result, last_error, last_provider_pubkey")
+        .eq("job_id", batch.id)
+        .eq("chunk_index", i)
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!chunk) throw withStatus("chunk not found", 404);
+    if (chunk.status !== "done") {
+        throw withStatus(`chunk ${i} is ${chunk.status}${chunk.last_error ? `: ${chunk.last_error}` : ""}`, 409);
+    }
+    return {
+        index: chunk.chunk_index,
+        status: chunk.status,
+        items: { offset: i * batch.options.chunk_size, count: chunk.item_count },
+        provider: chunk.last_provider_pubkey,
+        results: chunk.result
+    };
+}
+
+/**
+ * Cancel a batch: unsettled chunks become `cancelled`, their running
+ * jobs are cancelled on the provider, and the manifest (covering what
+ * finished) is written and the webhook fired as for a finished batch.
+ *
+ * @returns {Promise<{ job_id: string, status: string, cancelled: boolean }>}
+ */
+export async function cancelBatch({ id, userId }) {
+    const supabase = getSupabaseServerClient();
+    const batch = await batchForUser(supabase, id, userId);
+    if (!OPEN_STATUSES.includes(batch.status)) return { job_id: batch.id, status: batch.status, cancelled: false };
+
+    const { data: claimed, error } = await supabase
+        .from("jobs_batch")
+        .update({ status: "cancelled" })
+        .eq("id", batch.id)
+        .in("status", OPEN_STATUSES)
+        .select("id")
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!claimed) return cancelBatch({ id, userId });
+
+    const running = await chunksWhere(supabase, batch.id, ["running"]);
+    await Promise.all(running.map((c) => cancelAttempt(supabase, c)));
+    const { error: chunkErr } = await supabase
+        .from("jobs_batch_chunks")
+        .update({ status: "cancelled", done_at: new Date().toISOString() })
+        .eq("job_id", batch.id)
+        .in("status", UNSETTLED_CHUNK_STATUSES);
+    if (chunkErr) throw withStatus(chunkErr.message, 500);
+
+    await closeBatch(supabase, { ...batch, status: "cancelled" }, { status: "cancelled", from: ["cancelled"] });
+    return { job_id: batch.id, status: "cancelled", cancelled: true };
+}
+
+/**
+ * One pass over every open batch, then retry undelivered webhooks.
+ * Returns counts for the cron response / logs.
+ */
+export async function sweepBatches({ now = Date.now() } = {}) {
+    const supabase = getSupabaseServerClient();
+    const summary = { batches: 0, dispatched: 0, done: 0, retried: 0, failed: 0, closed: 0, webhooks: 0 };
+
+    const { data: open, error } = await supabase
+        .from("jobs_batch")
+        .select(BATCH_COLUMNS)
+        .in("status", OPEN_STATUSES)
+        .order("created_at", { ascending: true })
+        .limit(SWEEP_LIMIT);
+    if (error) throw withStatus(error.message, 500);
+    for (const batch of open ?? []) {
+        summary.batches += 1;
+        try {
+            const counts = await advanceBatch(supabase, batch, { now });
+            for (const k of ["dispatched", "done", "retried", "failed"]) summary[k] += counts[k];
+            if (counts.closed) summary.closed += 1;
+        } catch (err) {
+            console.warn(`batch sweep: ${batch.id} failed: ${err?.message ?? err}`);
+        }
+    }
+
+    const { data: pending, error: hookErr } = await supabase
+        .from("jobs_batch")
+        .select(`${BATCH_COLUMNS}, manifest, webhook_secret`)
+        .in("status", ["completed", "failed", "cancelled"])
+        .not("webhook_url", "is", null)
+        .is("webhook_delivered_at", null)
+        .lt("webhook_attempts", MAX_WEBHOOK_ATTEMPTS)
+        .limit(SWEEP_LIMIT);
+    if (hookErr) throw withStatus(hookErr.message, 500);
+    for (const batch of pending ?? []) {
+        if (await deliverWebhook(supabase, batch)) summary.webhooks += 1;
+    }
+    return summary;
+}
+
+async function chunksWhere(supabase, batchId, statuses, { visibleBy, limit } = {}) {
+    let query = supabase
+        .from("jobs_batch_chunks")
+        .select(CHUNK_COLUMNS)
+        .eq("job_id", batchId)
+        .in("status", statuses)
+        .order("chunk_index", { ascending: true });
+    if (visibleBy) query = query.lte("visible_at", visibleBy);
+    query = query.limit(limit ?? PAGE);
+    const { data, error } = await query;
+    if (error) throw withStatus(error.message, 500);
+    return data ?? [];
+}
+
+/**
+ * One pass over one batch (steps 1–4 above).
+ *
+ * @returns {Promise<{ status: string, dispatched: number, done: number, retried: number, failed: number, closed: boolean }>}
+ */
+async function advanceBatch(supabase, batch, { now = Date.now() } = {}) {
+    const counts = { status: batch.status, dispatched: 0, done: 0, retried: 0, failed: 0, closed: false };
+    const tally = (outcome) => { if (outcome) counts[outcome] += 1; };
+
+    // 1. Settle what finished.
+    const running = await chunksWhere(supabase, batch.id, ["running"]);
+    const jobIds = running.map((c) => c.attempt_job_id).filter(Boolean);
+    const jobs = new Map();
+    if (jobIds.length > 0) {
+        const { data, error } = await supabase
+            .from("jobs")
+            .select("id, status, error, provider_id, api_key_id")
+            .in("id", jobIds);
+        if (error) throw withStatus(error.message, 500);
+        for (const j of data ?? []) jobs.set(j.id, j);
+    }
+    let stillRunning = 0;
+    for (const chunk of running) {
+        const job = chunk.attempt_job_id ? jobs.get(chunk.attempt_job_id) ?? null : null;
+        const verdict = chunkVerdict(chunk, job, { now });
+        if (!verdict) {
+            stillRunning += 1;
+        } else if (verdict.action === "ack") {
+            tally(await settleDone(supabase, batch, chunk, job));
+        } else {
+            if (verdict.cancelJob) await cancelAttempt(supabase, chunk, job);
+            tally(await nackChunk(supabase, chunk, verdict.reason, now));
+        }
+    }
+
+    // 2. Out of time.
+    if (batch.deadline_at && Date.parse(batch.deadline_at) <= now) {
+        const left = await chunksWhere(supabase, batch.id, ["running", "queued", "failed"]);
+        for (const chunk of left) {
+            if (chunk.status === "running") await cancelAttempt(supabase, chunk);
+            if (await terminate(supabase, chunk, "batch deadline passed")) counts.failed += 1;
+        }
+        stillRunning = 0;
+    } else {
+        // 3. Dispatch.
+        const free = batch.options.max_concurrency - stillRunning;
+        if (free > 0) {
+            const ready = await chunksWhere(supabase, batch.id, ["queued", "failed"], {
+                visibleBy: new Date(now).toISOString(),
+                limit: free
+            });
+            for (const chunk of ready) {
+                const outcome = await dispatchChunk(supabase, batch, chunk, now);
+                if (outcome === "no_provider") break;
+                if (outcome === "dispatched") counts.dispatched += 1;
+            }
+        }
+    }
+
+    // 4. Close out.
+    if (await countChunks(supabase, batch.id, UNSETTLED_CHUNK_STATUSES) === 0) {
+        const done = await countChunks(supabase, batch.id, ["done"]);
+        const status = done > 0 ? "completed" : "failed";
+        counts.closed = await closeBatch(supabase, batch, { status, from: OPEN_STATUSES });
+        counts.status = counts.closed ? status : counts.status;
+    } else if (batch.status === "queued" && counts.dispatched > 0) {
+        const { error } = await supabase
+            .from("jobs_batch")
+            .update({ status: "in_progress", started_at: new Date(now).toISOString() })
+            .eq("id", batch.id)
+            .eq("status", "queued");
+        if (error) throw withStatus(error.message, 500);
+        counts.status = "in_progress";
+    }
+    return counts;
+}
+
+async function pickChunkProvider(batch, exclude) {
+    const pinned = batch.options.provider_pubkey ?? null;
+    const pick = (ex) => batch.kind === "embed"
+        ? pickEmbeddingProvider({ modelName: batch.model, exclude: ex, prefer: pinned ? [pinned] : [] })
+        : pickChatProvider({ modelName: batch.model, batch: true, exclude: ex, prefer: pinned ? [pinned] : [] });
+    try {
+        let provider = await pick(exclude);
+        // A different provider when possible — the same one beats none.
+        if (!provider && exclude.length > 0) provider = await pick([]);
+        if (provider && pinned && String(provider.public_key ?? "").toLowerCase() !== pinned) return null;
+        return provider;
+    } catch (err) {
+        if (err?.status === 400) return null;
+        throw err;
+    }
+}
+
+/**
+ * Claim a chunk for a provider, then create the job that runs it.
+ * Returns "dispatched", "no_provider" or null (lost a race).
+ */
+async function dispatchChunk(supabase, batch, chunk, now) {
+    const provider = await pickChunkProvider(batch, chunk.tried_provider_ids ?? []);
+    if (!provider) return "no_provider";
+
+    const at = new Date(now).toISOString();
+    const attempts = chunk.attempts + 1;
+    const { data: claimed, error } = await supabase
+        .from("jobs_batch_chunks")
+        .update({
+            status: "running",
+            attempts,
+            attempt_job_id: null,
+            last_provider: provider.id,
+            last_provider_pubkey: provider.public_key ?? null,
+            tried_provider_ids: [...new Set([...(chunk.tried_provider_ids ?? []), provider.id])],
+            lease_expires_at: new Date(now + batch.options.chunk_timeout_seconds * 1000).toISOString()
+        })
+        .eq("id", chunk.id)
+        .eq("status", chunk.status)
+        .eq("attempts", chunk.attempts)
+        .select(CHUNK_COLUMNS)
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!claimed) return null;
+
+    const { data: payloadRow, error: payloadErr } = await supabase
+        .from("jobs_batch_chunks")
+        .select("payload")
+        .eq("id", chunk.id)
+        .single();
+    if (payloadErr) throw withStatus(payloadErr.message, 500);
+
+    const spec = chunkJobSpec(batch, { ...claimed, payload: payloadRow.payload });
+    const { data: job, error: jobErr } = await supabase
+        .from("jobs")
+        .insert({
+            ...spec,
+            status: "assigned",
+            provider_id: provider.id,
+            model_name: batch.model,
+            payment_offer: 0,
+            assigned_at: at,
+            updated_at: at,
+            api_key_id: batch.api_key_id,
+            batch_chunk_id: chunk.id
+        })
+        .select("id")
+        .single();
+    if (jobErr) {
+        await nackChunk(supabase, claimed, `could not create the chunk job: ${jobErr.message}`, now);
+        return null;
+    }
+
+    const { error: linkErr } = await supabase
+        .from("jobs_batch_chunks")
+        .update({ attempt_job_id: job.id })
+        .eq("id", chunk.id)
+        .eq("attempts", attempts);
+    if (linkErr) throw withStatus(linkErr.message, 500);
+    return "dispatched";
+}
+
+async function settleDone(supabase, batch, chunk, job) {
+    const { data: row, error: rowErr } = await supabase.from("jobs_batch_chunks").select("payload").eq("id", chunk.id).single();
+    if (rowErr) throw withStatus(rowErr.message, 500);
+
+    // Embedding vectors are on the job row (jobEmbeddings()); the other
+    // kinds' results are on the `done` event.
+    let output;
+    if (batch.kind === "embed") {
+        output = { embeddings: await jobEmbeddings(job.id, { timeoutMs: 0 }) };
+    } else {
+        const { data: done, error: evErr } = await supabase
+            .from("job_events")
+            .select("data")
+            .eq("job_id", job.id)
+            .eq("event_type", "done")
+            .order("id", { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        if (evErr) throw withStatus(evErr.message, 500);
+        output = done?.data;
+    }
+
+    let results;
+    try {
+        results = chunkResults(batch, { ...chunk, payload: row.payload }, output);
+    } catch (err) {
+        return nackChunk(supabase, chunk, err.message, Date.now());
+    }
+
+    // The janitor may have moved the job since dispatch; credit whoever finished it.
+    let pubkey = chunk.last_provider_pubkey;
+    if (job.provider_id && job.provider_id !== chunk.last_provider) {
+        const { data: p } = await supabase.from("providers").select("public_key").eq("id", job.provider_id).maybeSingle();
+        pubkey = p?.public_key ?? null;
+    }
+    const { data: updated, error } = await supabase
+        .from("jobs_batch_chunks")
+        .update({
+            status: "done",
+            result: results,
+            result_url: batchPaths(batch.id).chunk(chunk.chunk_index),
+            last_error: null,
+            last_provider: job.provider_id ?? chunk.last_provider,
+            last_provider_pubkey: pubkey,
+            lease_expires_at: null,
+            done_at: new Date().toISOString()
+        })
+        .eq("id", chunk.id)
+        .eq("status", "running")
+        .eq("attempts", chunk.attempts)
+        .select("id")
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    return updated ? "done" : null;
+}
+
+/** A failed attempt: retry after the backoff, or give up. */
+async function nackChunk(supabase, chunk, reason, now) {
+    if (chunk.attempts >= chunk.max_attempts) {
+        return (await terminate(supabase, chunk, `${reason} (after ${chunk.attempts} attempts)`)) ? "failed" : null;
+    }
+    const { data: updated, error } = await supabase
+        .from("jobs_batch_chunks")
+        .update({
+            status: "failed",
+            last_error: String(reason).slice(0, 1024),
+            lease_expires_at: null,
+            visible_at: new Date(now + retryDelayMs(chunk.attempts)).toISOString()
+        })
+        .eq("id", chunk.id)
+        .eq("status", "running")
+        .eq("attempts", chunk.attempts)
+        .select("id")
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    return updated ? "retried" : null;
+}
+
+async function terminate(supabase, chunk, reason) {
+    const { data: updated, error } = await supabase
+        .from("jobs_batch_chunks")
+        .update({
+            status: "failed_terminal",
+            last_error: String(reason).slice(0, 1024),
+            lease_expires_at: null,
+            done_at: new Date().toISOString()
+        })
+        .eq("id", chunk.id)
+        .eq("status", chunk.status)
+        .eq("attempts", chunk.attempts)
+        .select("id")
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    return Boolean(updated);
+}
+
+/** Stop a chunk's job on its provider. Best effort — the chunk moves on regardless. */
+async function cancelAttempt(supabase, chunk, job = null) {
+    if (!chunk.attempt_job_id) return;
+    try {
+        let apiKeyId = job?.api_key_id;
+        if (job === null) {
+            const { data } = await supabase.from("jobs").select("api_key_id").eq("id", chunk.attempt_job_id).maybeSingle();
+            apiKeyId = data?.api_key_id ?? null;
+        }
+        await cancelChatJob(chunk.attempt_job_id, { reason: "batch", apiKeyId: apiKeyId ?? null });
+    } catch (err) {
+        console.warn(`batch: cancelling job ${chunk.attempt_job_id} failed: ${err?.message ?? err}`);
+    }
+}
+
+async function allChunks(supabase, batchId) {
+    const out = [];
+    for (let from = 0; ; from += PAGE) {
+        const { data, error } = await supabase
+            .from("jobs_batch_chunks")
+            .select(CHUNK_COLUMNS)
+            .eq("job_id", batchId)
+            .order("chunk_index", { ascending: true })
+            .range(from, from + PAGE - 1);
+        if (error) throw withStatus(error.message, 500);
+        out.push(...(data ?? []));
+        if (!data || data.length < PAGE) return out;
+    }
+}
+
+/**
+ * Every chunk's status, by chunk_index — for progress counts that need
+ * more than the per-status totals (lib/data/openai-batch.js).
+ */
+export async function chunkStatuses(batchId) {
+    const supabase = getSupabaseServerClient();
+    const out = [];
+    for (let from = 0; ; from += PAGE) {
+        const { data, error } = await supabase
+            .from("jobs_batch_chunks")
+            .select("chunk_index, status")
+            .eq("job_id", batchId)
+            .order("chunk_index", { ascending: true })
+            .range(from, from + PAGE - 1);
+        if (error) throw withStatus(error.message, 500);
+        for (const c of data ?? []) out[c.chunk_index] = c.status;
+        if (!data || data.length < PAGE) return out;
+    }
+}
+
+/**
+ * A settled batch's chunks with their results, in index order, a few at
+ * a time — an embed chunk's vectors run to megabytes.
+ */
+export async function* chunkResultPages(batchId, { pageSize = RESULT_PAGE } = {}) {
+    const supabase = getSupabaseServerClient();
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase
+            .from("jobs_batch_chunks")
+            .select("chunk_index, status, item_count, result, last_error, done_at")
+            .eq("job_id", batchId)
+            .order("chunk_index", { ascending: true })
+            .range(from, from + pageSize - 1);
+        if (error) throw withStatus(error.message, 500);
+        if (data?.length) yield data;
+        if (!data || data.length < pageSize) return;
+    }
+}
+
+/**
+ * Write the manifest and the final status (guarded on `from`), then fire
+ * the webhook. Returns false if another pass closed the batch first.
+ */
+async function closeBatch(supabase, batch, { status, from }) {
+    const chunks = await allChunks(supabase, batch.id);
+    if (chunks.some((c) => !SETTLED_CHUNK_STATUSES.includes(c.status))) return false;
+    const completedAt = new Date().toISOString();
+    const manifest = buildManifest(batch, chunks, { completedAt });
+    const { data: closed, error } = await supabase
+        .from("jobs_batch")
+        .update({
+            status,
+            manifest,
+            result_manifest_url: batchPaths(batch.id).manifest,
+            completed_at: completedAt
+        })
+        .eq("id", batch.id)
+        .in("status", from)
+        .is("manifest", null)
+        .select(`${BATCH_COLUMNS}, manifest, webhook_secret`)
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!closed) return false;
+    if (closed.webhook_url) await deliverWebhook(supabase, closed);
+    return true;
+}
+
+/**
+ * POST the completion notice to the batch's webhook_url, signed with its
+ * secret (signWebhook). At-least-once: each try claims an attempt number
+ * first, and a non-2xx reply leaves the batch for the next sweep until
+ * MAX_WEBHOOK_ATTEMPTS. `X-Infernet-Webhook-Id` is the same on every
+ * try so receivers can drop repeats. Sent with publicFetch(), like
+ * remote image fetches: public hosts only, connected to the address
+ * that was checked, no redirects, 10 s.
+ */
+async function deliverWebhook(supabase, batch) {
+    const attempt = batch.webhook_attempts + 1;
+    const { data: claimed, error } = await supabase
+        .from("jobs_batch")
+        .update({ webhook_attempts: attempt })
+        .eq("id", batch.id)
+        .eq("webhook_attempts", batch.webhook_attempts)
+        .is("webhook_delivered_at", null)
+        .select("id")
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!claimed) return false;
+
+    const body = JSON.stringify({
+        type: `batch.${batch.status}`,
+        job_id: batch.id,
+        kind: batch.kind,
+        model: batch.model,
+        status: batch.status,
+        result_manifest_url: batch.result_manifest_url,
+        summary: batch.manifest?.summary ?? null,
+        attempt
+    });
+    let failure = null;
+    try {
+        const res = await publicFetch(batch.webhook_url, {
+            method: "POST",
+            headers: {
+                "content-type": "application/json",
+                [WEBHOOK_SIGNATURE_HEADER]: signWebhook(batch.webhook_secret, body),
+                "x-infernet-webhook-id": `batch-${batch.id}`
+            },
+            body,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        }, { label: "webhook host" });
+        if (!res.ok) failure = `HTTP ${res.status}`;
+    } catch (err) {
+        failure = err?.message ?? String(err);
+    }
+
+    const { error: markErr } = await supabase
+        .from("jobs_batch")
+        .update(failure
+            ? { webhook_last_error: failure.slice(0, 512) }
+            : { webhook_delivered_at: new Date().toISOString(), webhook_last_error: null })
+        .eq("id", batch.id);
+    if (markErr) console.warn(`batch ${batch.id}: webhook bookkeeping failed: ${markErr.message}`);
+    if (failure) console.warn(`batch ${batch.id}: webhook attempt ${attempt} failed: ${failure}`);
+    return !failure;
+}
@@ -1,13 +1,13 @@
 import "server-only";
 import { getSupabaseServerClient } from "@/lib/supabase/server";
-import { getJobWithEvents } from "@/lib/data/chat";
+import { cancelChatJob, getJobWithEvents, watchForCancel } from "@/lib/data/chat";
 import { streamChatCompletion } from "@infernetprotocol/nim-adapter";
 import { makeStreamSanitizer, sanitizeText } from "@/lib/sanitize-stream";
 
 /**
  * Async generator that yields normalized job events for a given job:
  *
- *   { type: 'meta' | 'token' | 'done' | 'error', data, id? }
+ *   { type: 'meta' | 'token' | 'tool_call' | 'reassigned' | 'done' | 'error', data, id? }
  *
  * Handles both routing paths transparently:
  *   - input_spec.fallback === 'nvidia-nim' → relays the NIM stream and
@@ -23,10 +23,22 @@ import { makeStreamSanitizer, sanitizeText } from "@/lib/sanitize-stream";
  *   - 'done' or 'error' event is yielded
  *   - 10-min absolute timeout fires (defends against abandoned connections)
  *   - the consumer's `for await` is broken out of (channel cleanup runs)
+ *   - `signal` aborts
+ *
+ * `signal` is the client connection: when it aborts before the job
+ * finished, the job is cancelled (reason "disconnect") so the provider
+ * stops generating tokens nobody will read. A provider's `done` event
+ * then carries `reason: "cancel"`; the NIM relay stops itself and
+ * closes the job the same way.
+ *
+ * A `reassigned` event means the job janitor (lib/data/job-janitor.js)
+ * took the job from a provider that went silent; whatever streamed
+ * before it is void and the next provider starts from scratch. Consumers
+ * drop their accumulated text on it.
  */
 const MAX_ALIVE_MS = 10 * 60 * 1000;
 
-export async function* streamJobEvents(jobId) {
+export async function* streamJobEvents(jobId, { signal } = {}) {
     const supabase = getSupabaseServerClient();
 
     const { job, events: pre } = await getJobWithEvents(jobId, 0);
@@ -35,6 +47,22 @@ export async function* streamJobEvents(jobId) {
         return;
     }
 
+    const onAbort = () => {
+        cancelChatJob(job.id, { reason: "disconnect", apiKeyId: job.api_key_id ?? null }).catch((err) => {
+            console.warn(`cancel on disconnect failed for job ${job.id}: ${err?.message ?? err}`);
+        });
+    };
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+        yield* relayJobEvents({ supabase, job, pre, signal });
+    } finally {
+        signal?.removeEventListener("abort", onAbort);
+    }
+}
+
+async function* relayJobEvents({ supabase, job, pre, signal }) {
+    const jobId = job.id;
     yield { type: "job", data: job };
 
     // One sanitizer per stream — strips known training-data-leak tag
@@ -42,7 +70,7 @@ export async function* streamJobEvents(jobId) {
     // community fine-tunes. Applied to every token + the final 'done'
     // body so the audit trail and the user-visible stream are both
     // clean.
-    const sanitizer = makeStreamSanitizer();
+    let sanitizer = makeStreamSanitizer();
 
     let lastId = 0;
     for (const ev of pre) {
@@ -58,13 +86,14 @@ export async function* streamJobEvents(jobId) {
             yield { type: "done", data: { ...ev.data, text: cleanFull }, id: ev.id };
             return;
         } else {
+            if (ev.event_type === "reassigned") sanitizer = makeStreamSanitizer();
             yield { type: ev.event_type, data: ev.data, id: ev.id };
             if (ev.event_type === "error") return;
         }
     }
 
     if (job?.input_spec?.fallback === "nvidia-nim") {
-        yield* runNimFallback({ supabase, job });
+        yield* runNimFallback({ supabase, job, signal });
         return;
     }
 
@@ -98,9 +127,17 @@ export async function* streamJobEvents(jobId) {
     channel.subscribe();
 
     const deadline = Date.now() + MAX_ALIVE_MS;
+    const wake = () => {
+        if (resolveNext) {
+            const r = resolveNext;
+            resolveNext = null;
+            r();
+        }
+    };
+    signal?.addEventListener("abort", wake, { once: true });
 
     try {
-        while (!closed) {
+        while (!closed && !signal?.aborted) {
             if (queue.length === 0) {
                 const remaining = deadline - Date.now();
                 if (remaining <= 0) {
@@ -126,21 +163,38 @@ export async function* streamJobEvents(jobId) {
                 yield { type: "done", data: { ...ev.data, text: cleanFull }, id: ev.id };
                 return;
             } else {
+                // The previous provider's half-open tag must not swallow
+                // the new provider's output.
+                if (ev.type === "reassigned") sanitizer = makeStreamSanitizer();
                 yield ev;
                 if (ev.type === "error") return;
             }
         }
     } finally {
         closed = true;
+        signal?.removeEventListener("abort", wake);
         try { supabase.removeChannel(channel); } catch { /* ignore */ }
     }
 }
 
-async function* runNimFallback({ supabase, job }) {
+async function* runNimFallback({ supabase, job, signal }) {
     const input = job.input_spec ?? {};
     const messages = input.messages ?? [];
     const model = input.nim_model ?? job.model_name ?? undefined;
 
+    // Stop the upstream request when the client goes away or someone
+    // cancels the job through the API; either way the relay closes the
+    // job as `cancelled` with what it has so far.
+    const upstream = new AbortController();
+    let cancelled = false;
+    const cancel = () => {
+        cancelled = true;
+        upstream.abort();
+    };
+    if (signal?.aborted) cancel();
+    else signal?.addEventListener("abort", cancel, { once: true });
+    const stopWatch = watchForCancel(job.id, cancel);
+
     const persistedMeta = await insertJobEvent(supabase, job.id, "meta", {
         provider_node_id: "nvidia-nim",
         provider_name: "NVIDIA NIM (fallback)",
@@ -150,19 +204,45 @@ async function* runNimFallback({ supabase, job }) {
     yield { type: "meta", data: persistedMeta?.data, id: persistedMeta?.id };
 
     let fullText = "";
+    let chunks = 0;
     let finalized = false;
     const sanitizer = makeStreamSanitizer();
 
+    const finishCancelled = async () => {
+        const cleanFull = sanitizeText(fullText) + sanitizer.flush();
+        // NIM reports usage only on a completed stream; bill the chunks
+        // that were relayed.
+        const usage = { prompt_tokens: 0, completion_tokens: chunks, total_tokens: chunks, estimated: true };
+        const data = { text: cleanFull, reason: "cancel", usage, finished_at: new Date().toISOString() };
+        const persisted = await insertJobEvent(supabase, job.id, "done", data);
+        await finalizeJob(supabase, job.id, {
+            status: "cancelled",
+            result: { type: "chat", text: fullText, source: "nvidia-nim", incomplete: true, usage, token_count: chunks }
+        });
+        finalized = true;
+        return { type: "done", data, id: persisted?.id };
+    };
+
     try {
         for await (const ev of streamChatCompletion({
             messages,
             model,
             maxTokens: input.max_tokens,
-            temperature: input.temperature
+            temperature: input.temperature,
+            tools: input.tools,
+            toolChoice: input.tool_choice,
+            sampling: input.sampling,
+            signal: upstream.signal
         })) {
             if (ev.type === "meta") continue;
+            if (ev.type === "tool_call") {
+                const persisted = await insertJobEvent(supabase, job.id, "tool_call", ev.data);
+                yield { type: "tool_call", data: ev.data, id: persisted?.id };
+                continue;
+            }
             if (ev.type === "token") {
                 fullText += ev.data?.text ?? "";
+                chunks += 1;
                 const cleanText = sanitizer.process(ev.data?.text ?? "");
                 const cleanData = cleanText
                     ? { ...ev.data, text: cleanText }
@@ -174,19 +254,31 @@ async function* runNimFallback({ supabase, job }) {
             } else if (ev.type === "done") {
                 const tail = sanitizer.flush();
                 const cleanFull = sanitizeText(fullText) + tail;
+                const usage = ev.data?.usage ?? null;
                 const data = {
                     text: cleanFull,
+                    ...(ev.data?.reason ? { reason: ev.data.reason } : {}),
+                    ...(usage ? { usage } : {}),
                     finished_at: ev.data?.finished_at ?? new Date().toISOString()
                 };
                 const persisted = await insertJobEvent(supabase, job.id, "done", data);
                 await finalizeJob(supabase, job.id, {
                     status: "completed",
-                    result: { type: "chat", text: fullText, source: "nvidia-nim" }
+                    result: {
+                        type: "chat",
+                        text: fullText,
+                        source: "nvidia-nim",
+                        ...(usage ? { usage, token_count: usage.completion_tokens } : {})
+                    }
                 });
                 finalized = true;
                 yield { type: "done", data, id: persisted?.id };
                 return;
             } else if (ev.type === "error") {
+                if (cancelled) {
+                    yield await finishCancelled();
+                    return;
+                }
                 const persisted = await insertJobEvent(supabase, job.id, "error", ev.data);
                 await finalizeJob(supabase, job.id, {
                     status: "failed",
@@ -198,7 +290,12 @@ async function* runNimFallback({ supabase, job }) {
             }
         }
     } finally {
-        if (!finalized) {
+        stopWatch();
+        signal?.removeEventListener("abort", cancel);
+        if (!finalized && cancelled) {
+            upstream.abort();
+            await finishCancelled();
+        } else if (!finalized) {
             await finalizeJob(supabase, job.id, {
                 status: "completed",
                 result: { type: "chat", text: fullText, source: "nvidia-nim", incomplete: true }
@@ -1,6 +1,10 @@
 import "server-only";
 import { getSupabaseServerClient } from "@/lib/supabase/server";
-import { isNimConfigured, nimVirtualProvider } from "@infernetprotocol/nim-adapter";
+import { isNimConfigured, nimVirtualProvider, NIM_SAMPLING_PARAMS } from "@infernetprotocol/nim-adapter";
+import { hasImageInput } from "@/lib/chat-input";
+import { canonicalDigests } from "@/lib/data/model-registry";
+import { circuitStates, claimProbe } from "@/lib/data/provider-circuit";
+import { circuitGate } from "@/lib/scheduler/circuit";
 
 /**
  * Pick a P2P provider to serve a chat job.
@@ -11,6 +15,39 @@ import { isNimConfigured, nimVirtualProvider } from "@infernetprotocol/nim-adapt
  *   - if a model is requested, the provider's specs.served_models must
  *     include it (so we don't route to a node that can't serve the
  *     model — that 500s mid-stream and rots reputation)
+ *   - if the prompt carries images (`vision`), the provider must list
+ *     the model in specs.vision_models — or, with no model requested,
+ *     advertise any vision model (createChatJob then pins that model).
+ *     Providers serving the model text-only get a 400, not a job whose
+ *     images are silently dropped.
+ *   - `requireVerified` keeps only providers whose advertised weight
+ *     digest for the model (specs.model_digests) is in the canonical
+ *     registry (models_canonical, IPIP-0014 §2). It needs a model name
+ *     and a registry entry for it; either missing, or providers serving
+ *     the model with none verified, is a 400 rather than a quiet
+ *     fallback to unverified weights.
+ *   - if sampling parameters are requested, the provider's
+ *     specs.sampling must list every one of them. Engines differ
+ *     (Ollama has no logit_bias, the stub honors nothing) and a
+ *     silently ignored `response_format` is worse than an error.
+ *     When providers serve the model but none can honor the block,
+ *     this throws a 400 naming the parameters instead of returning null.
+ *   - providers in `exclude` (ids) are skipped — the job janitor passes
+ *     the ones a job was already taken away from.
+ *   - `reachable` keeps only providers whose last probe found their P2P
+ *     port open from the Internet (specs.reachable.ok), or that hold a
+ *     relay reservation (specs.relay.circuit) — direct
+ *     consumer-to-provider jobs have to be able to dial them.
+ *   - `batch` keeps only providers whose daemon runs `batch` jobs
+ *     (specs.job_types) — batch chunks of chat requests, IPIP-0013.
+ *   - providers whose circuit breaker is open (IPIP-0014 §4, see
+ *     lib/scheduler/circuit.js) are skipped. One whose cooldown ran out
+ *     stays in the draw, but only gets the job if it wins the probe
+ *     slot (claimProbe) — otherwise the pick is redrawn without it.
+ *   - `prefer` (public keys) narrows the set to those providers when
+ *     any of them survived the filters above — a consumer that found
+ *     providers through Nostr capability events (IPIP-0006) passes
+ *     them here. Otherwise it is ignored.
  *
  * Selection from the filtered set:
  *   - reputation-weighted random pick. Higher-reputation providers get
@@ -21,34 +58,149 @@ import { isNimConfigured, nimVirtualProvider } from "@infernetprotocol/nim-adapt
  * Returns null if no provider qualifies. Callers decide whether to use
  * the NIM fallback (see createChatJob).
  */
-export async function pickChatProvider({ modelName } = {}) {
+export async function pickChatProvider({ modelName, sampling, vision = false, exclude = [], reachable = false, batch = false, prefer = [], requireVerified = false } = {}) {
   const supabase = getSupabaseServerClient();
+  const hasModel = typeof modelName === "string" && modelName;
+  let canonical = null;
+  if (requireVerified) {
+    if (!hasModel) throw withStatus("verified weights require a model name", 400);
+    canonical = await canonicalDigests(modelName);
+    if (canonical.size === 0) throw withStatus(`no canonical weight digest is registered for ${modelName}`, 400);
+  }
   const twoMinAgo = new Date(Date.now() - 2 * 60 * 1000).toISOString();
 
   const { data, error } = await supabase
     .from("providers")
-    .select("id, node_id, name, reputation, price, gpu_model, specs")
+    .select("id, node_id, name, public_key, reputation, price, gpu_model, specs")
     .eq("status", "available")
     .gte("last_seen", twoMinAgo);
 
   if (error) throw error;
 
-  let candidates = data ?? [];
+  const excluded = new Set(exclude);
+  let candidates = (data ?? []).filter((p) => !excluded.has(p.id));
+  if (reachable) {
+    candidates = candidates.filter((p) => p?.specs?.reachable?.ok === true || typeof p?.specs?.relay?.circuit === "string");
+  }
+  if (batch) {
+    candidates = candidates.filter((p) => Array.isArray(p?.specs?.job_types) && p.specs.job_types.includes("batch"));
+  }
 
-  if (typeof modelName === "string" && modelName) {
+  if (hasModel) {
     candidates = candidates.filter((p) => {
       const served = Array.isArray(p?.specs?.served_models) ? p.specs.served_models : [];
       return served.includes(modelName);
     });
   }
 
+  // Capability before saturation: a busy node that could honor the
+  // request means "try again later", not "unsupported".
+  if (vision && candidates.length > 0) {
+    const capable = candidates.filter((p) => visionModelFor(p, modelName));
+    if (capable.length === 0) {
+      const err = new Error(modelName
+        ? `${modelName} does not accept image input on any live provider`
+        : "no live provider serves a vision model");
+      err.status = 400;
+      throw err;
+    }
+    candidates = capable;
+  }
+
+  if (canonical && candidates.length > 0) {
+    const verified = candidates.filter((p) => verifiedDigestFor(p, modelName, canonical));
+    if (verified.length === 0) throw withStatus(`no live provider serves ${modelName} with verified weights`, 400);
+    candidates = verified;
+  }
+
+  if (sampling && candidates.length > 0) {
+    const capable = candidates.filter((p) => missingSampling(p?.specs?.sampling, sampling).length === 0);
+    if (capable.length === 0) {
+      // Name what the best-equipped candidate still lacks.
+      const missing = candidates
+        .map((p) => missingSampling(p?.specs?.sampling, sampling))
+        .sort((a, b) => a.length - b.length)[0];
+      throw samplingError(missing, modelName ? `any live provider serving ${modelName}` : "any live provider");
+    }
+    candidates = capable;
+  }
+
   // Hard filter: drop saturated nodes. A node with active_jobs at or
   // above its concurrency cap shouldn't get more work — it's currently
   // unable to serve. Default cap = 4 if the node didn't advertise one.
   candidates = candidates.filter(notSaturated);
 
-  if (candidates.length === 0) return null;
-  return reputationWeightedPick(candidates);
+  return pickPastBreakers(candidates, { prefer });
+}
+
+/** Whether `provider`'s public key is one of `prefer` (any case). */
+function isPreferred(provider, prefer) {
+  const key = String(provider.public_key ?? "").toLowerCase();
+  return prefer.some((k) => String(k).toLowerCase() === key);
+}
+
+/**
+ * The last step of picking a provider, shared with
+ * pickEmbeddingProvider: skip providers whose circuit breaker is open,
+ * narrow to `prefer` (public keys) when any survived, then a
+ * reputation-weighted pick. A provider whose cooldown ran out only gets
+ * the job if it wins the probe slot (claimProbe); otherwise the pick is
+ * redrawn without it.
+ *
+ * @returns {Promise<object | null>}
+ */
+export async function pickPastBreakers(candidates, { prefer = [] } = {}) {
+  const circuits = await circuitStates(candidates.map((p) => p.id));
+  const gates = new Map(candidates.map((p) => [p.id, circuitGate(circuits.get(p.id))]));
+  let open = candidates.filter((p) => gates.get(p.id) !== "open");
+
+  if (prefer.length > 0) {
+    const preferred = open.filter((p) => isPreferred(p, prefer));
+    if (preferred.length > 0) open = preferred;
+  }
+
+  while (open.length > 0) {
+    const pick = reputationWeightedPick(open);
+    if (gates.get(pick.id) !== "probe" || await claimProbe(circuits.get(pick.id))) return pick;
+    open = open.filter((p) => p !== pick);
+  }
+  return null;
+}
+
+/**
+ * The vision model a provider would use for an image prompt: `modelName`
+ * if it's in specs.vision_models, else (no model requested) the first
+ * advertised vision model. Null when the provider can't take images.
+ */
+export function visionModelFor(p, modelName) {
+  const vision = Array.isArray(p?.specs?.vision_models) ? p.specs.vision_models : [];
+  if (typeof modelName === "string" && modelName) return vision.includes(modelName) ? modelName : null;
+  return vision.find((m) => typeof m === "string" && m) ?? null;
+}
+
+/**
+ * The digest a provider advertises for `modelName` when it's one of the
+ * `canonical` ones (a Set from canonicalDigests()), else null.
+ */
+export function verifiedDigestFor(p, modelName, canonical) {
+  const digest = p?.specs?.model_digests?.[modelName];
+  return typeof digest === "string" && canonical.has(digest) ? digest : null;
+}
+
+/**
+ * Keys of `sampling` that aren't in `supported` (a provider's
+ * specs.sampling, or the NIM adapter's list). Providers that predate
+ * sampling passthrough advertise nothing and so support nothing.
+ */
+export function missingSampling(supported, sampling) {
+  const have = new Set(Array.isArray(supported) ? supported : []);
+  return Object.keys(sampling ?? {}).filter((k) => !have.has(k));
+}
+
+function samplingError(missing, where) {
+  const err = new Error(`${missing.join(", ")} ${missing.length === 1 ? "is" : "are"} not supported by ${where}`);
+  err.status = 400;
+  return err;
 }
 
 const DEFAULT_CONCURRENCY_CAP = 4;
@@ -148,29 +300,82 @@ export function headroomScore(c) {
  *   3. If neither is available, the job is left 'pending' and callers
  *      should warn the user that the network is idle.
  *
+ * Image prompts only go to P2P providers with a matching vision model;
+ * the NIM fallback's default model is text-only, so it's never used for
+ * them.
+ *
+ * A `sampling` block narrows both paths to engines that honor every
+ * parameter in it; if that leaves nothing while providers (or NIM) are
+ * otherwise up, this throws an error with `status: 400`.
+ *
+ * `requireVerified` only routes to providers whose weight digest for
+ * the model is in the canonical registry (see pickChatProvider). NIM's
+ * weights can't be fingerprinted, so it never serves those jobs; the
+ * flag is kept on input_spec so a reassigned job stays verified.
+ *
  * @param {Object} params
- * @param {Array<{role: string, content: string}>} params.messages
+ * @param {Array<{role: string, content: string|Array<object>}>} params.messages
+ *   content arrays may carry `image_url` parts, already inlined as data
+ *   URLs by chat-images.js
  * @param {string} [params.modelName]
  * @param {number} [params.maxTokens]
  * @param {number} [params.temperature]
- * @returns {Promise<{ job: Object, provider: Object | null, source: 'p2p' | 'nim' | 'none' }>}
+ * @param {Array<Object>} [params.tools]   OpenAI-shaped function tools
+ * @param {string|Object} [params.toolChoice]
+ * @param {Object} [params.sampling]      validated block from samplingFromBody()
+ * @param {string} [params.apiKeyId]      api_keys.id the job is billed to
+ * @param {boolean} [params.requireVerified]  require canonical weights
+ * @param {{ clientPubkey: string, prefer?: string[] }} [params.direct]  route
+ *   to a reachable provider the consumer (holding `clientPubkey`) will
+ *   stream from over P2P (lib/data/direct-chat.js), favoring the `prefer`
+ *   pubkeys. No NIM fallback; no row is created when no reachable
+ *   provider qualifies.
+ * @returns {Promise<{ job: Object | null, provider: Object | null, source: 'p2p' | 'nim' | 'none' }>}
  */
-export async function createChatJob({ messages, modelName, maxTokens = 512, temperature = 0.7 }) {
+export async function createChatJob({ messages, modelName, maxTokens = 512, temperature = 0.7, tools, toolChoice, sampling, apiKeyId = null, direct = null, requireVerified = false }) {
   const supabase = getSupabaseServerClient();
   const now = new Date().toISOString();
+  const vision = hasImageInput(messages);
 
-  const p2pProvider = await pickChatProvider({ modelName });
-  const nimAvailable = !p2pProvider && isNimConfigured();
+  let p2pProvider = null;
+  let p2pSamplingErr = null;
+  try {
+    p2pProvider = await pickChatProvider({ modelName, sampling, vision, reachable: Boolean(direct), prefer: direct?.prefer ?? [], requireVerified });
+  } catch (err) {
+    if (err?.status !== 400) throw err;
+    p2pSamplingErr = err;
+  }
+  if (direct && !p2pProvider) {
+    if (p2pSamplingErr) throw p2pSamplingErr;
+    return { job: null, provider: null, source: "none" };
+  }
+  const nimMissing = missingSampling(NIM_SAMPLING_PARAMS, sampling);
+  const nimAvailable = !p2pProvider && !vision && !requireVerified && isNimConfigured() && nimMissing.length === 0;
+  if (!p2pProvider && !nimAvailable) {
+    if (p2pSamplingErr) throw p2pSamplingErr;
+    if (isNimConfigured() && !vision && !requireVerified) throw samplingError(nimMissing, "the NVIDIA NIM fallback");
+  }
   const source = p2pProvider ? "p2p" : nimAvailable ? "nim" : "none";
 
   const inputSpec = {
     messages,
     max_tokens: maxTokens,
     temperature,
-    ...(nimAvailable ? { fallback: "nvidia-nim" } : {})
+    ...(Array.isArray(tools) && tools.length > 0
+      ? { tools, ...(toolChoice !== undefined ? { tool_choice: toolChoice } : {}) }
+      : {}),
+    ...(sampling ? { sampling } : {}),
+    ...(requireVerified ? { require_verified_weights: true } : {}),
+    ...(nimAvailable ? { fallback: "nvidia-nim" } : {}),
+    // Polling skips these; the consumer brings the job to the provider.
+    ...(direct ? { transport: "direct", client_pubkey: direct.clientPubkey } : {}),
+    // The consumer picked this provider (Nostr discovery): its outcome
+    // doesn't move the breaker.
+    ...(p2pProvider && isPreferred(p2pProvider, direct?.prefer ?? []) ? { pinned: true } : {})
   };
 
   const status = p2pProvider ? "assigned" : nimAvailable ? "running" : "pending";
+  const jobModel = vision && p2pProvider ? visionModelFor(p2pProvider, modelName) : modelName ?? null;
 
   const { data: job, error } = await supabase
     .from("jobs")
@@ -179,11 +384,12 @@ export async function createChatJob({ messages, modelName, maxTokens = 512, temp
       type: "chat",
       status,
       provider_id: p2pProvider?.id ?? null,
-      model_name: modelName ?? null,
+      model_name: jobModel,
       input_spec: inputSpec,
       payment_offer: 0,
       assigned_at: p2pProvider || nimAvailable ? now : null,
-      updated_at: now
+      updated_at: now,
+      api_key_id: apiKeyId
     })
     .select()
     .single();
@@ -196,7 +402,12 @@ export async function createChatJob({ messages, modelName, maxTokens = 512, temp
 
 function firstUserPrompt(messages) {
   for (const m of messages ?? []) {
-    if (m?.role === "user" && typeof m.content === "string") return m.content;
+    if (m?.role !== "user") continue;
+    if (typeof m.content === "string") return m.content;
+    if (Array.isArray(m.content)) {
+      const text = m.content.find((p) => p?.type === "text" && typeof p.text === "string");
+      if (text) return text.text;
+    }
   }
   return "";
 }
@@ -217,6 +428,115 @@ export async function getJobWithEvents(jobId, sinceId = 0) {
   return { job, events: events ?? [] };
 }
 
+const TERMINAL_JOB_STATUSES = new Set(["completed", "failed", "cancelled"]);
+
+/**
+ * Cancel a chat / embeddings job.
+ *
+ *   - nobody holds it yet (`pending`) → `cancelled` right away, plus a
+ *     `done` event with reason "cancel" so any open stream ends.
+ *   - a provider or the NIM relay holds it → `cancelling`. The holder
+ *     stops generating and completes the job as `cancelled` with its
+ *     partial result (see emitJobEvents / pollJobsForNode /
+ *     completeJobForNode in node-api.js, and the relays in
+ *     chat-stream.js and the stream route).
+ *   - already finished or cancelling → no-op.
+ *
+ * Jobs created under an API key can only be cancelled with that key;
+ * the job id is the capability for anonymous ones, same as streaming.
+ * Internal callers (disconnect handling) pass the job's own key id.
+ *
+ * @param {string} jobId
+ * @param {{ reason?: 'client' | 'disconnect', apiKeyId?: string | null }} [opts]
+ * @returns {Promise<{ id: string, status: string, cancelled: boolean }>}
+ *   `cancelled` is false when the call changed nothing.
+ */
+export async function cancelChatJob(jobId, { reason = "client", apiKeyId = null } = {}) {
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(jobId))) {
+    throw withStatus("job not found", 404);
+  }
+  const supabase = getSupabaseServerClient();
+  const { data: job, error } = await supabase
+    .from("jobs")
+    .select("id, status, provider_id, api_key_id")
+    .eq("id", jobId)
+    .maybeSingle();
+  if (error) throw withStatus(error.message, 500);
+  if (!job) throw withStatus("job not found", 404);
+  if (job.api_key_id && job.api_key_id !== apiKeyId) {
+    throw withStatus("job was created with a different API key", 403);
+  }
+  if (TERMINAL_JOB_STATUSES.has(job.status) || job.status === "cancelling") {
+    return { id: job.id, status: job.status, cancelled: false };
+  }
+
+  const now = new Date().toISOString();
+  const held = job.status !== "pending";
+  const patch = {
+    status: held ? "cancelling" : "cancelled",
+    cancel_requested_at: now,
+    cancel_reason: reason,
+    updated_at: now,
+    ...(held ? {} : { completed_at: now })
+  };
+  // Guard on the status we read so a completion that lands in between
+  // isn't overwritten.
+  const { data: updated, error: upErr } = await supabase
+    .from("jobs")
+    .update(patch)
+    .eq("id", job.id)
+    .eq("status", job.status)
+    .select("id, status")
+    .maybeSingle();
+  if (upErr) throw withStatus(upErr.message, 500);
+  if (!updated) return cancelChatJob(jobId, { reason, apiKeyId });
+
+  if (!held) {
+    await supabase.from("job_events").insert({
+      job_id: job.id,
+      event_type: "done",
+      data: { text: "", reason: "cancel", finished_at: now }
+    });
+  }
+  return { id: updated.id, status: updated.status, cancelled: true };
+}
+
+const CANCEL_POLL_MS = 2_000;
+
+/**
+ * Watch a job row for a cancel request and call `onCancel` once when one
+ * shows up. For the in-process NIM relays, which have no daemon to hear
+ * about it from emitJobEvents / jobs/poll. Returns a stop function.
+ */
+export function watchForCancel(jobId, onCancel, intervalMs = CANCEL_POLL_MS) {
+  const supabase = getSupabaseServerClient();
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+  const timer = setInterval(async () => {
+    try {
+      const { data } = await supabase.from("jobs").select("status").eq("id", jobId).maybeSingle();
+      if (stopped) return;
+      if (data?.status === "cancelling" || data?.status === "cancelled") {
+        stop();
+        onCancel();
+      }
+    } catch {
+      // transient read failure — try again next tick
+    }
+  }, intervalMs);
+  if (typeof timer.unref === "function") timer.unref();
+  return stop;
+}
+
+function withStatus(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
 /**
  * Models the playground can offer to clients = distinct
  * specs.served_models across providers that are online right now.
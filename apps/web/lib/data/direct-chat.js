@@ -0,0 +1,95 @@
+import "server-only";
+import { ed25519SeedFromPkcs8, jobInputHash, signJobTicket } from "@infernetprotocol/auth";
+import { platformDid } from "@/lib/cpr/receipts";
+import { createChatJob } from "@/lib/data/chat";
+
+/**
+ * Direct consumer-to-provider chat.
+ *
+ * The normal path relays every token provider → job_events → Realtime →
+ * SSE. For providers whose P2P port is reachable, a consumer can ask
+ * for a direct job instead:
+ *
+ *   1. createDirectChatJob() creates the job (billing, api key, CPR
+ *      receipts all hang off it as usual) assigned to a reachable
+ *      provider, flagged input_spec.transport = "direct" so the provider
+ *      doesn't pick it up by polling.
+ *   2. It signs a job ticket (@infernetprotocol/auth job-ticket.js) with
+ *      the platform DID key — the one published at /.well-known/did.json —
+ *      binding job, provider, consumer pubkey and a hash of the input.
+ *   3. The consumer looks the provider up in /api/peers, dials it,
+ *      completes handshake.v1 with the key the ticket names and submits
+ *      `{ ticket, input }` over infernet.compute.v1. Tokens stream back
+ *      on that socket only.
+ *   4. The provider posts `meta`, a `done` summary (usage + output
+ *      sha256, no text) and the completion to the control plane, which
+ *      bills usage and uses the hash as the receipt's artifact_hash.
+ *
+ * Needs DID_PRIVATE_KEY_BASE64 (tooling/generate-secrets.mjs); without
+ * it direct jobs are unavailable (503) and consumers use /api/chat.
+ */
+
+function ticketSeed() {
+  const raw = process.env.DID_PRIVATE_KEY_BASE64;
+  if (!raw) throw withStatus("direct inference is not configured on this control plane (DID_PRIVATE_KEY_BASE64 unset)", 503);
+  try {
+    return ed25519SeedFromPkcs8(raw);
+  } catch (err) {
+    throw withStatus(`DID_PRIVATE_KEY_BASE64 is invalid: ${err.message}`, 500);
+  }
+}
+
+/**
+ * The part of input_spec the consumer forwards to the provider — the
+ * ticket pins its hash. Routing flags stay control-plane side.
+ */
+export function directJobInput(inputSpec) {
+  const { transport: _transport, client_pubkey: _clientPubkey, ...input } = inputSpec ?? {};
+  return input;
+}
+
+// Cap on consumer-supplied candidate pubkeys.
+const MAX_CANDIDATES = 64;
+
+/**
+ * @param {Object} params  createChatJob() params plus `clientPubkey`
+ *   (the consumer's 64-hex Nostr pubkey it will handshake with) and
+ *   optional `candidates` — provider pubkeys the consumer found on its
+ *   own (Nostr capability events); one of them is picked if any
+ *   qualifies
+ * @returns {Promise<{ job: Object, provider: Object, ticket: string, expiresAt: string, input: Object } | null>}
+ *   null when no reachable provider can take the job
+ */
+export async function createDirectChatJob({ clientPubkey, candidates, ...params }) {
+  if (typeof clientPubkey !== "string" || !/^[0-9a-f]{64}$/i.test(clientPubkey)) {
+    throw withStatus("clientPubkey must be a 64-hex Nostr public key", 400);
+  }
+  if (candidates !== undefined && (!Array.isArray(candidates) || candidates.length > MAX_CANDIDATES
+      || !candidates.every((k) => typeof k === "string" && /^[0-9a-f]{64}$/i.test(k)))) {
+    throw withStatus(`candidates must be an array of at most ${MAX_CANDIDATES} 64-hex public keys`, 400);
+  }
+  const seed = ticketSeed();
+  const { job, provider } = await createChatJob({
+    ...params,
+    direct: { clientPubkey: clientPubkey.toLowerCase(), prefer: candidates ?? [] }
+  });
+  if (!job) return null;
+
+  const input = directJobInput(job.input_spec);
+  const { ticket, claims } = signJobTicket({
+    iss: platformDid(),
+    job_id: job.id,
+    provider: provider.public_key,
+    client: clientPubkey.toLowerCase(),
+    model: job.model_name ?? null,
+    input_sha256: jobInputHash(input)
+  }, seed);
+
+  return { job, provider, ticket, expiresAt: new Date(claims.exp * 1000).toISOString(), input };
+}
+
+function withStatus(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
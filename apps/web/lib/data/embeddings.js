@@ -0,0 +1,110 @@
+import "server-only";
+import { getSupabaseServerClient } from "@/lib/supabase/server";
+import { notSaturated, pickPastBreakers } from "@/lib/data/chat";
+
+/**
+ * Pick a P2P provider to serve an embeddings job.
+ *
+ * Same liveness, saturation and circuit-breaker filters and weighted
+ * pick as pickChatProvider (pickPastBreakers), but matched against
+ * `specs.embedding_models` — the daemon advertises embedding models
+ * separately from chat models so a chat job never lands on
+ * `nomic-embed-text` and vice versa.
+ *
+ * Returns null if no provider qualifies. There is no NIM fallback for
+ * embeddings. `exclude` (provider ids) is for the job janitor and batch
+ * retries; `prefer` (public keys) narrows the pick the same way it does
+ * for pickChatProvider.
+ */
+export async function pickEmbeddingProvider({ modelName, exclude = [], prefer = [] }) {
+  const supabase = getSupabaseServerClient();
+  const twoMinAgo = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from("providers")
+    .select("id, node_id, name, public_key, reputation, price, gpu_model, specs")
+    .eq("status", "available")
+    .gte("last_seen", twoMinAgo);
+
+  if (error) throw error;
+
+  const excluded = new Set(exclude);
+  const candidates = (data ?? [])
+    .filter((p) => !excluded.has(p.id))
+    .filter((p) => {
+      const served = Array.isArray(p?.specs?.embedding_models) ? p.specs.embedding_models : [];
+      return served.includes(modelName);
+    })
+    .filter(notSaturated);
+
+  return pickPastBreakers(candidates, { prefer });
+}
+
+/**
+ * Create one embeddings job for a batch of inputs and assign it to a
+ * provider serving `modelName`. The provider embeds the whole batch in
+ * a single engine call and returns the vectors, in input order, in the
+ * job's `result` (jobEmbeddings()).
+ *
+ * @param {Object} params
+ * @param {string[]} params.inputs     already validated (embeddings-input.js)
+ * @param {string} params.modelName
+ * @returns {Promise<{ job: Object | null, provider: Object | null }>}
+ *   `job` is null when no provider serves the model — nothing is inserted.
+ */
+export async function createEmbeddingsJob({ inputs, modelName, apiKeyId = null }) {
+  const provider = await pickEmbeddingProvider({ modelName });
+  if (!provider) return { job: null, provider: null };
+
+  const supabase = getSupabaseServerClient();
+  const now = new Date().toISOString();
+  const { data: job, error } = await supabase
+    .from("jobs")
+    .insert({
+      title: `embeddings ×${inputs.length}`,
+      type: "embeddings",
+      status: "assigned",
+      provider_id: provider.id,
+      model_name: modelName,
+      input_spec: { input: inputs },
+      payment_offer: 0,
+      assigned_at: now,
+      updated_at: now,
+      api_key_id: apiKeyId
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { job, provider };
+}
+
+const OPEN_JOB_STATUSES = new Set(["pending", "assigned", "running", "cancelling"]);
+const RESULT_POLL_MS = 250;
+const RESULT_WAIT_MS = 30_000;
+
+/**
+ * The vectors an embeddings job produced, in input order, or null if it
+ * has none. They're on the job row's `result`: the `done` event only
+ * announces them, since a few hundred vectors is past what a Realtime
+ * message carries. The daemon posts `done` just before it completes the
+ * job, so this waits (up to `timeoutMs`) for the row to close.
+ *
+ * @param {string} jobId
+ * @returns {Promise<number[][] | null>}
+ */
+export async function jobEmbeddings(jobId, { timeoutMs = RESULT_WAIT_MS, pollMs = RESULT_POLL_MS } = {}) {
+  const supabase = getSupabaseServerClient();
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const { data: job, error } = await supabase
+      .from("jobs")
+      .select("status, result")
+      .eq("id", jobId)
+      .maybeSingle();
+    if (error) throw error;
+    if (Array.isArray(job?.result?.embeddings)) return job.result.embeddings;
+    if (!job || !OPEN_JOB_STATUSES.has(job.status) || Date.now() >= deadline) return null;
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+  }
+}
@@ -0,0 +1,310 @@
+import "server-only";
+import { getSupabaseServerClient } from "@/lib/supabase/server";
+import { hasImageInput } from "@/lib/chat-input";
+import { pickChatProvider } from "@/lib/data/chat";
+import { pickEmbeddingProvider } from "@/lib/data/embeddings";
+import { recordProviderOutcome } from "@/lib/data/provider-circuit";
+import { classifyOutcome } from "@/lib/scheduler/circuit";
+import { JOB_TICKET_TTL_SECONDS } from "@infernetprotocol/auth";
+
+/**
+ * Job janitor — heartbeat-stale reassignment (IPIP-0014 §3).
+ *
+ * A provider that crashes or loses its network mid-job never completes
+ * it, and without this the job sat in `assigned` until the SSE consumer
+ * gave up after 10 minutes. sweepStaleJobs() runs from
+ * /api/cron/job-janitor and, for each held job:
+ *
+ *   - provider's last_seen older than STALE_HEARTBEAT_MS, or no
+ *     job_events row (and no assignment) for NO_PROGRESS_MS
+ *       → hand it to another provider picked the way the job was first
+ *         routed (same model / vision / sampling / verified-weights
+ *         constraints), never one it was already taken from. No
+ *         candidate → back to `pending`, retried on later sweeps until
+ *         NO_PROGRESS_MS passes.
+ *       → after MAX_REASSIGNS handoffs → `failed` ("exhausted_reassigns").
+ *   - `cancelling` job whose provider went silent → `cancelled` (nobody
+ *     is left to finish the cancel).
+ *
+ * Every handoff writes a `reassigned` job_events row
+ * `{ reason, attempt, from_provider_id, provider_node_id?, provider_name? }`.
+ * Stream consumers treat it as "discard what you have, the new provider
+ * starts over" (lib/data/chat-stream.js, the /api/chat/stream route).
+ * The old provider's late events and completion are refused by
+ * node-api.js because the job no longer belongs to it. A job failed
+ * here keeps its provider_id (for the record and the breaker), so that
+ * provider's late /complete is refused on status instead:
+ * completeJobForNode only closes a job that's still open.
+ *
+ * Batch chunk jobs (type "batch", lib/data/batch.js) are swept too; their
+ * daemon posts a `progress` event per item, which counts as activity.
+ * The batch scheduler retries a chunk whose job fails for good.
+ *
+ * Direct jobs (input_spec.transport = "direct", lib/data/direct-chat.js)
+ * are never handed off — the consumer is streaming from that provider
+ * and nobody else could serve the socket. They fail instead when the
+ * provider goes silent, or when no provider event ever arrived and the
+ * ticket has long expired (the consumer never showed up).
+ *
+ * Pinned jobs (input_spec.pinned: a batch chunk whose submitter chose
+ * the provider, lib/batch.js chunkJobSpec) aren't handed off either —
+ * any other provider would break the pin. They fail, and the batch
+ * scheduler retries the chunk on the pinned provider (pickChunkProvider).
+ *
+ * A job taken from a provider that went silent counts as a timeout
+ * against that provider's circuit breaker (IPIP-0014 §4).
+ *
+ * Every write is guarded on the status + provider the sweep read, so
+ * overlapping sweeps or a completion racing a handoff can't double-move
+ * a job.
+ */
+
+// Heartbeats go out every 30s; three missed ones is a dead node.
+export const STALE_HEARTBEAT_MS = 90_000;
+// Long enough for a cold model load before the first token.
+export const NO_PROGRESS_MS = 180_000;
+export const MAX_REASSIGNS = 3;
+// A direct job whose consumer never connected: ticket lifetime + slack.
+export const DIRECT_START_MS = (JOB_TICKET_TTL_SECONDS + 60) * 1000;
+const SWEEP_LIMIT = 100;
+// Verdict reasons that are the held job's provider's fault.
+const PROVIDER_TIMEOUTS = new Set(["provider_stale", "no_progress", "exhausted_reassigns"]);
+
+/**
+ * Decide what to do with one job. Pure — the sweep feeds it the job row,
+ * its provider's last heartbeat and its latest activity.
+ *
+ * @param {{ status: string, reassign_count?: number, input_spec?: object }} job
+ * @param {{ providerLastSeen: number | null, lastActivityAt: number, lastEventAt?: number | null,
+ *           now?: number, staleMs?: number, progressMs?: number, maxReassigns?: number }} facts
+ *   times in epoch ms; `lastActivityAt` = newest of assignment / handoff
+ *   and the job's last event, `lastEventAt` = the last event alone (null
+ *   when there is none)
+ * @returns {{ action: 'reassign' | 'fail' | 'cancel', reason: string } | null}
+ */
+export function janitorVerdict(job, {
+    providerLastSeen,
+    lastActivityAt,
+    lastEventAt = null,
+    now = Date.now(),
+    staleMs = STALE_HEARTBEAT_MS,
+    progressMs = NO_PROGRESS_MS,
+    maxReassigns = MAX_REASSIGNS
+}) {
+    const providerStale = !Number.isFinite(providerLastSeen) || now - providerLastSeen > staleMs;
+    const noProgress = now - lastActivityAt > progressMs;
+
+    if (job.status === "cancelling") {
+        return providerStale ? { action: "cancel", reason: "provider_stale" } : null;
+    }
+    if (job.status === "pending") {
+        // Handed off earlier with nobody to take it; keep trying a while.
+        return noProgress
+            ? { action: "fail", reason: "no_provider" }
+            : { action: "reassign", reason: "awaiting_provider" };
+    }
+    if (job.status !== "assigned") return null;
+
+    if (job.input_spec?.transport === "direct") {
+        if (providerStale) return { action: "fail", reason: "provider_stale" };
+        if (lastEventAt == null && now - lastActivityAt > DIRECT_START_MS) return { action: "fail", reason: "ticket_unused" };
+        return null;
+    }
+
+    const reason = providerStale ? "provider_stale" : noProgress ? "no_progress" : null;
+    if (!reason) return null;
+    if (job.input_spec?.pinned === true) return { action: "fail", reason };
+    if ((job.reassign_count ?? 0) >= maxReassigns) return { action: "fail", reason: "exhausted_reassigns" };
+    return { action: "reassign", reason };
+}
+
+/**
+ * One janitor pass. Returns counts for the cron response / logs.
+ *
+ * @returns {Promise<{ scanned: number, reassigned: number, requeued: number, failed: number, cancelled: number }>}
+ */
+export async function sweepStaleJobs({ now = Date.now() } = {}) {
+    const supabase = getSupabaseServerClient();
+    const summary = { scanned: 0, reassigned: 0, requeued: 0, failed: 0, cancelled: 0 };
+
+    // A job held for less than the heartbeat threshold can't be stale
+    // yet; pending handoffs are always re-examined.
+    const heldBefore = new Date(now - STALE_HEARTBEAT_MS).toISOString();
+    const { data: jobs, error } = await supabase
+        .from("jobs")
+        .select("id, type, status, provider_id, model_name, input_spec, assigned_at, updated_at, reassign_count, excluded_provider_ids")
+        .in("type", ["chat", "embeddings", "batch"])
+        .or(`and(status.in.(assigned,cancelling),assigned_at.lt.${heldBefore}),and(status.eq.pending,reassign_count.gt.0)`)
+        .order("assigned_at", { ascending: true, nullsFirst: true })
+        .limit(SWEEP_LIMIT);
+    if (error) throw withStatus(error.message, 500);
+    if (!jobs?.length) return summary;
+
+    const providerIds = [...new Set(jobs.map((j) => j.provider_id).filter(Boolean))];
+    const lastSeen = new Map();
+    if (providerIds.length > 0) {
+        const { data: providers, error: provErr } = await supabase
+            .from("providers")
+            .select("id, last_seen")
+            .in("id", providerIds);
+        if (provErr) throw withStatus(provErr.message, 500);
+        for (const p of providers ?? []) lastSeen.set(p.id, Date.parse(p.last_seen));
+    }
+
+    for (const job of jobs) {
+        summary.scanned += 1;
+        const verdict = janitorVerdict(job, {
+            providerLastSeen: job.provider_id ? lastSeen.get(job.provider_id) ?? null : null,
+            ...await activity(supabase, job),
+            now
+        });
+        if (!verdict) continue;
+
+        try {
+            if (verdict.action === "cancel") {
+                if (await closeJob(supabase, job, { status: "cancelled", event: "done", data: { text: "", reason: "cancel" } })) {
+                    summary.cancelled += 1;
+                    await noteTimeout(job, verdict.reason);
+                }
+            } else if (verdict.action === "fail") {
+                const message = FAIL_MESSAGES[verdict.reason]?.(job) ?? `job failed: ${verdict.reason}`;
+                if (await closeJob(supabase, job, { status: "failed", error: message, event: "error", data: { message, reason: verdict.reason } })) {
+                    summary.failed += 1;
+                    await noteTimeout(job, verdict.reason);
+                }
+            } else {
+                const moved = await reassignJob(supabase, job, verdict.reason);
+                if (moved) {
+                    summary[moved] += 1;
+                    await noteTimeout(job, verdict.reason);
+                }
+            }
+        } catch (err) {
+            console.warn(`job janitor: ${job.id} ${verdict.action} failed: ${err?.message ?? err}`);
+        }
+    }
+    return summary;
+}
+
+const FAIL_MESSAGES = {
+    exhausted_reassigns: (job) => `job failed: ${job.reassign_count} providers went silent before finishing it (exhausted_reassigns)`,
+    no_provider: () => "job failed: no provider available to take it over",
+    no_progress: () => "job failed: the provider it was pinned to stopped making progress",
+    provider_stale: (job) => job.input_spec?.transport === "direct"
+        ? "job failed: the provider went offline during a direct job"
+        : "job failed: the provider it was pinned to went offline",
+    ticket_unused: () => "job failed: the consumer never connected to the provider before the ticket expired"
+};
+
+/**
+ * `lastEventAt`: the job's newest event, epoch ms (null if none).
+ * `lastActivityAt`: that or the assignment / handoff time, whichever is later.
+ */
+async function activity(supabase, job) {
+    const base = Date.parse(job.status === "pending" ? job.updated_at : job.assigned_at ?? job.updated_at) || 0;
+    const { data } = await supabase
+        .from("job_events")
+        .select("created_at")
+        .eq("job_id", job.id)
+        .order("id", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    const lastEventAt = data?.created_at ? Date.parse(data.created_at) : null;
+    return { lastEventAt, lastActivityAt: Math.max(base, lastEventAt ?? 0) };
+}
+
+/**
+ * Move a job to a fresh provider, or back to `pending` when none
+ * qualifies. Returns "reassigned", "requeued" or null (lost a race /
+ * still waiting).
+ */
+async function reassignJob(supabase, job, reason) {
+    const fromProvider = job.provider_id ?? null;
+    const exclude = [...new Set([...(job.excluded_provider_ids ?? []), ...(fromProvider ? [fromProvider] : [])])];
+    const provider = await pickReplacement(job, exclude);
+
+    // A pending job that still has nowhere to go: leave it for the next sweep.
+    if (!provider && job.status === "pending") return null;
+
+    const now = new Date().toISOString();
+    const attempt = (job.reassign_count ?? 0) + (fromProvider ? 1 : 0);
+    const patch = {
+        status: provider ? "assigned" : "pending",
+        provider_id: provider?.id ?? null,
+        assigned_at: provider ? now : null,
+        updated_at: now,
+        reassign_count: attempt,
+        excluded_provider_ids: exclude
+    };
+    let query = supabase.from("jobs").update(patch).eq("id", job.id).eq("status", job.status);
+    query = fromProvider ? query.eq("provider_id", fromProvider) : query.is("provider_id", null);
+    const { data: updated, error } = await query.select("id").maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!updated) return null;
+
+    await insertEvent(supabase, job.id, "reassigned", {
+        reason,
+        attempt,
+        from_provider_id: fromProvider,
+        ...(provider
+            ? { provider_node_id: provider.node_id, provider_name: provider.name ?? null }
+            : { waiting: true }),
+        at: now
+    });
+    return provider ? "reassigned" : "requeued";
+}
+
+async function pickReplacement(job, exclude) {
+    const input = job.input_spec ?? {};
+    try {
+        if (job.type === "embeddings") {
+            return await pickEmbeddingProvider({ modelName: job.model_name, exclude });
+        }
+        if (job.type === "batch") {
+            return await pickChatProvider({ modelName: job.model_name ?? undefined, batch: true, exclude });
+        }
+        return await pickChatProvider({
+            modelName: job.model_name ?? undefined,
+            sampling: input.sampling,
+            vision: hasImageInput(input.messages),
+            requireVerified: input.require_verified_weights === true,
+            exclude
+        });
+    } catch (err) {
+        // 400 = no remaining provider can honor the job's constraints.
+        if (err?.status === 400) return null;
+        throw err;
+    }
+}
+
+async function noteTimeout(job, reason) {
+    if (job.provider_id && PROVIDER_TIMEOUTS.has(reason)) {
+        await recordProviderOutcome(job.provider_id, classifyOutcome({ status: "timeout", pinned: job.input_spec?.pinned === true }));
+    }
+}
+
+async function closeJob(supabase, job, { status, error: message, event, data }) {
+    const now = new Date().toISOString();
+    let query = supabase
+        .from("jobs")
+        .update({ status, updated_at: now, completed_at: now, ...(message ? { error: message } : {}) })
+        .eq("id", job.id)
+        .eq("status", job.status);
+    query = job.provider_id ? query.eq("provider_id", job.provider_id) : query.is("provider_id", null);
+    const { data: updated, error } = await query.select("id").maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!updated) return false;
+    await insertEvent(supabase, job.id, event, { ...data, finished_at: now });
+    return true;
+}
+
+async function insertEvent(supabase, jobId, eventType, data) {
+    const { error } = await supabase.from("job_events").insert({ job_id: jobId, event_type: eventType, data });
+    if (error) console.warn(`job janitor: ${eventType} event for ${jobId} not recorded: ${error.message}`);
+}
+
+function withStatus(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
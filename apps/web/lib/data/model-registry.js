@@ -0,0 +1,30 @@
+import "server-only";
+
+import { getSupabaseServerClient } from "@/lib/supabase/server";
+
+/**
+ * IPIP-0014 §2 — the canonical registry of weight digests.
+ *
+ * Providers advertise `specs.model_digests` ({ "<model>": "sha256:<hex>" });
+ * models_canonical lists the digests known to be genuine for each model
+ * name. A provider is *verified* for a model when the digest it
+ * advertises for it is one of those. The advertised digest is still the
+ * provider's claim — this catches a mislabelled or swapped-in model, the
+ * CPR canaries catch a provider that lies about its digest.
+ */
+
+/**
+ * Known-good digests for `modelName` (empty when the registry has none).
+ *
+ * @param {string} modelName
+ * @returns {Promise<Set<string>>}
+ */
+export async function canonicalDigests(modelName) {
+    const supabase = getSupabaseServerClient();
+    const { data, error } = await supabase
+        .from("models_canonical")
+        .select("digest")
+        .eq("model_name", modelName);
+    if (error) throw error;
+    return new Set((data ?? []).map((row) => row.digest));
+}
@@ -2,8 +2,11 @@ import "server-only";
 
 import { getSupabaseServerClient } from "@/lib/supabase/server";
 import { tableForRole } from "@/lib/auth/verify-signed-request";
+import { recordProviderOutcome } from "@/lib/data/provider-circuit";
+import { classifyOutcome } from "@/lib/scheduler/circuit";
 
 const MAX_SPECS_GPUS = 16;
+const EVENT_PAGE = 1000;
 
 /**
  * Scrub an incoming specs object to the coarse, privacy-preserving shape we
@@ -148,6 +151,16 @@ export async function heartbeatNode({ role, pubkey, body }) {
     return { id: existing.id };
 }
 
+/**
+ * Jobs for this provider to start, plus `cancel`: ids of its jobs a
+ * client has cancelled (status `cancelling`). The daemon stops those if
+ * they're running and completes them either way — a job cancelled before
+ * the daemon ever started it is closed out from here too.
+ *
+ * Direct jobs (input_spec.transport = "direct") are never handed out
+ * here: the consumer brings them over P2P with a signed ticket
+ * (lib/data/direct-chat.js).
+ */
 export async function pollJobsForNode({ pubkey, limit = 5 }) {
     const supabase = getSupabaseServerClient();
     const { data: provider, error: provErr } = await supabase
@@ -163,20 +176,37 @@ export async function pollJobsForNode({ pubkey, limit = 5 }) {
         .select("id, title, type, status, payment_offer, payment_coin, model_name, input_spec, created_at")
         .eq("provider_id", provider.id)
         .in("status", ["assigned"])
+        .or("input_spec->>transport.is.null,input_spec->>transport.neq.direct")
         .order("created_at", { ascending: true })
         .limit(Math.min(Math.max(Number(limit) || 5, 1), 25));
 
     if (error) throw withStatus(error.message, 500);
-    return { provider_id: provider.id, jobs: data ?? [] };
+
+    const { data: cancelling, error: cancelErr } = await supabase
+        .from("jobs")
+        .select("id")
+        .eq("provider_id", provider.id)
+        .eq("status", "cancelling")
+        .limit(100);
+    if (cancelErr) throw withStatus(cancelErr.message, 500);
+
+    return {
+        provider_id: provider.id,
+        jobs: data ?? [],
+        cancel: (cancelling ?? []).map((j) => j.id)
+    };
 }
 
+// Statuses a provider may still complete a job from.
+const OPEN_JOB_STATUSES = ["assigned", "running", "cancelling"];
+
 export async function completeJobForNode({ pubkey, jobId, body }) {
     if (!jobId) throw withStatus("jobId is required", 400);
     const supabase = getSupabaseServerClient();
 
     const { data: provider, error: provErr } = await supabase
         .from("providers")
-        .select("id")
+        .select("id, specs")
         .eq("public_key", pubkey)
         .maybeSingle();
     if (provErr) throw withStatus(provErr.message, 500);
@@ -184,7 +214,7 @@ export async function completeJobForNode({ pubkey, jobId, body }) {
 
     const { data: job, error: jobErr } = await supabase
         .from("jobs")
-        .select("id, provider_id, payment_offer, payment_coin, status")
+        .select("id, type, provider_id, payment_offer, payment_coin, payment_tx_hash, status, model_name, assigned_at, input_spec")
         .eq("id", jobId)
         .maybeSingle();
     if (jobErr) throw withStatus(jobErr.message, 500);
@@ -193,18 +223,53 @@ export async function completeJobForNode({ pubkey, jobId, body }) {
 
     const completedAt = new Date().toISOString();
     const failed = body.status === "failed";
+    // A job the client cancelled closes as `cancelled` whatever the
+    // daemon reports — it may have finished the generation just before
+    // it heard. The partial result is kept so its usage gets billed.
+    const cancelled = job.status === "cancelling" || body.status === "cancelled";
     const patch = {
-        status: failed ? "failed" : "completed",
+        status: cancelled ? "cancelled" : failed ? "failed" : "completed",
         updated_at: completedAt,
         completed_at: completedAt
     };
     if (!failed && body.result !== undefined) patch.result = body.result;
     if (failed && typeof body.error === "string") patch.error = body.error.slice(0, 1024);
 
-    const { error: markErr } = await supabase.from("jobs").update(patch).eq("id", job.id);
+    // Only an open job closes. A second /complete — a retry sent without
+    // an Idempotency-Key or after a 5xx released it, a direct ticket
+    // replayed after a restart, a provider the janitor already gave up
+    // on — finds it closed and gets the row back as it is: the payment,
+    // breaker outcome and receipt went with the first close.
+    const { data: closed, error: markErr } = await supabase
+        .from("jobs")
+        .update(patch)
+        .eq("id", job.id)
+        .eq("provider_id", provider.id)
+        .in("status", OPEN_JOB_STATUSES)
+        .select("id, status")
+        .maybeSingle();
     if (markErr) throw withStatus(markErr.message, 500);
+    if (!closed) {
+        const { data: current, error: curErr } = await supabase
+            .from("jobs")
+            .select("id, status")
+            .eq("id", job.id)
+            .maybeSingle();
+        if (curErr) throw withStatus(curErr.message, 500);
+        return { id: job.id, status: current?.status ?? job.status };
+    }
 
-    if (!failed) {
+    // IPIP-0014 §4: every finished job moves its provider's breaker.
+    await recordProviderOutcome(provider.id, classifyOutcome({
+        status: patch.status,
+        firstTokenMs: await firstTokenMs(supabase, job),
+        error: patch.error,
+        pinned: job.input_spec?.pinned === true
+    }));
+
+    // Cancelled jobs that produced output still pay out: the provider
+    // spent the compute until the client walked away.
+    if (!failed && (!cancelled || patch.result !== undefined)) {
         const amount = Number.parseFloat(job.payment_offer ?? 0) || 0;
         if (amount > 0) {
             const coin = job.payment_coin ?? "USDC";
@@ -217,7 +282,7 @@ export async function completeJobForNode({ pubkey, jobId, body }) {
                 amount_usd: amount,
                 address: "pending-payout",
                 status: "pending",
-                metadata: { via: "node-api" }
+                metadata: { via: "node-api", ...(cancelled ? { cancelled: true } : {}) }
             });
             if (payErr) {
                 // Non-fatal — payment accounting is follow-up work.
@@ -242,7 +307,9 @@ export async function completeJobForNode({ pubkey, jobId, body }) {
                 payment_coin: job.payment_coin,
                 payment_tx_hash: job.payment_tx_hash
             },
-            provider: { public_key: pubkey, id: provider.id }
+            provider: { public_key: pubkey, id: provider.id },
+            artifactHash: await jobArtifactHash(supabase, job, body.result),
+            modelDigest: await jobModelDigest(supabase, job, provider)
         });
         // Fire-and-await but suppress all errors — worst case the row
         // ends up `pending` and the worker handles it.
@@ -256,6 +323,72 @@ export async function completeJobForNode({ pubkey, jobId, body }) {
     return { id: job.id, status: patch.status };
 }
 
+/**
+ * Assignment → first streamed token (or tool call), from job_events.
+ * Null for jobs that stream none through the control plane (embeddings,
+ * batch chunks, direct jobs).
+ */
+async function firstTokenMs(supabase, job) {
+    if (!job.assigned_at) return null;
+    const { data } = await supabase
+        .from("job_events")
+        .select("created_at")
+        .eq("job_id", job.id)
+        .in("event_type", ["token", "tool_call"])
+        .order("id", { ascending: true })
+        .limit(1)
+        .maybeSingle();
+    return data?.created_at ? Date.parse(data.created_at) - Date.parse(job.assigned_at) : null;
+}
+
+/**
+ * The weight digest a job ran on (IPIP-0014 §2): what the daemon put on
+ * the job's `meta` event, else what the provider advertises for the
+ * job's model. Undefined when neither says.
+ */
+async function jobModelDigest(supabase, job, provider) {
+    const { data: meta } = await supabase
+        .from("job_events")
+        .select("data")
+        .eq("job_id", job.id)
+        .eq("event_type", "meta")
+        .order("id", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    const reported = meta?.data?.model_digest;
+    if (typeof reported === "string") return reported;
+    const advertised = job.model_name ? provider.specs?.model_digests?.[job.model_name] : null;
+    return typeof advertised === "string" ? advertised : undefined;
+}
+
+/**
+ * The receipt's artifact_hash. A direct job's tokens never touch
+ * job_events, so only there do we take the hash the provider reports
+ * for what it streamed; a relayed job's is computed from the tokens we
+ * relayed, whatever the provider claims.
+ */
+async function jobArtifactHash(supabase, job, result) {
+    if (job.input_spec?.transport === "direct") {
+        const hex = result?.output_sha256;
+        return typeof hex === "string" && /^[0-9a-f]{64}$/.test(hex) ? `sha256:${hex}` : undefined;
+    }
+    const { artifactHashFromEvents } = await import("@/lib/cpr/receipts");
+    const tokens = [];
+    for (let from = 0; ; from += EVENT_PAGE) {
+        const { data, error } = await supabase
+            .from("job_events")
+            .select("event_type, data")
+            .eq("job_id", job.id)
+            .eq("event_type", "token")
+            .order("id", { ascending: true })
+            .range(from, from + EVENT_PAGE - 1);
+        if (error) throw error;
+        tokens.push(...(data ?? []));
+        if (!data || data.length < EVENT_PAGE) break;
+    }
+    return artifactHashFromEvents(tokens);
+}
+
 export async function removeNode({ role, pubkey }) {
     const table = tableForRole(role);
     if (!table) throw withStatus(`invalid role: ${role}`, 400);
@@ -290,7 +423,9 @@ export async function getSelfRow({ role, pubkey }) {
 }
 
 const EVENT_BATCH_MAX = 200;
-const EVENT_TYPES = new Set(["meta", "token", "done", "error"]);
+// `progress`: items finished so far in a `batch` job (IPIP-0013) — also
+// what keeps the job janitor from taking a long chunk for a stalled one.
+const EVENT_TYPES = new Set(["meta", "token", "tool_call", "progress", "done", "error"]);
 
 export async function emitJobEvents({ pubkey, jobId, events }) {
     if (!jobId) throw withStatus("jobId is required", 400);
@@ -312,7 +447,7 @@ export async function emitJobEvents({ pubkey, jobId, events }) {
 
     const { data: job, error: jobErr } = await supabase
         .from("jobs")
-        .select("id, provider_id")
+        .select("id, provider_id, status")
         .eq("id", jobId)
         .maybeSingle();
     if (jobErr) throw withStatus(jobErr.message, 500);
@@ -334,7 +469,10 @@ export async function emitJobEvents({ pubkey, jobId, events }) {
 
     const { error } = await supabase.from("job_events").insert(rows);
     if (error) throw withStatus(error.message, 500);
-    return { inserted: rows.length };
+    // The daemon posts events every few hundred ms while generating, so
+    // the response is the quickest way to tell it the client cancelled.
+    const cancel = job.status === "cancelling" || job.status === "cancelled";
+    return { inserted: rows.length, ...(cancel ? { cancel: true } : {}) };
 }
 
 export async function listPaymentsForNode({ role, pubkey, limit = 20 }) {
@@ -0,0 +1,62 @@
+import "server-only";
+
+import { getSupabaseServerClient } from "@/lib/supabase/server";
+import { revokeKey } from "@/lib/auth/verify-signed-request";
+
+/**
+ * Node key management for the v2 signed-request envelope
+ * (packages/auth/src/key-delegation.js). Callers have already verified
+ * the request and that the master key — not a delegated subkey —
+ * signed it.
+ */
+
+function withStatus(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Move the node at `oldPubkey` to `newPubkey`: its providers /
+ * aggregators / clients row, pubkey_links and pending node_commands,
+ * then revoke the old key. The move is one transaction
+ * (rotate_node_pubkey); a retry of a rotation that already went through
+ * moves nothing and succeeds, and rotating a revoked key anywhere else
+ * is a 409. The rotate route lets the revoked old key reach this so the
+ * retry works.
+ */
+export async function rotateNodePubkey({ oldPubkey, newPubkey }) {
+    const supabase = getSupabaseServerClient();
+    const { data, error } = await supabase.rpc("rotate_node_pubkey", {
+        p_old: oldPubkey,
+        p_new: newPubkey
+    });
+    if (error) {
+        if (error.code === "23505") throw withStatus("new key is already in use", 409);
+        if (error.code === "22023") throw withStatus(error.message, 409);
+        throw withStatus(error.message, 500);
+    }
+    // The function wrote revoked_keys too, which is what
+    // verifySignedNextRequest checks.
+    const row = (Array.isArray(data) ? data[0] : data) ?? {};
+    return {
+        old_pubkey: oldPubkey,
+        new_pubkey: newPubkey,
+        moved: {
+            providers: row.moved_providers ?? 0,
+            aggregators: row.moved_aggregators ?? 0,
+            clients: row.moved_clients ?? 0,
+            pubkey_links: row.moved_links ?? 0,
+            node_commands: row.moved_commands ?? 0
+        }
+    };
+}
+
+/**
+ * Revoke `master`'s delegation to `subkey`. Other masters' delegations
+ * to the same key, and the key itself, are unaffected.
+ */
+export async function revokeDelegation({ master, subkey }) {
+    await revokeKey(subkey, { delegatedBy: master });
+    return { master, subkey, revoked: true };
+}
@@ -0,0 +1,464 @@
+import "server-only";
+import { randomBytes } from "node:crypto";
+import { getSupabaseServerClient } from "@/lib/supabase/server";
+import { validateBatchInput } from "@/lib/batch";
+import { cancelBatch, chunkResultPages, chunkStatuses, createBatch } from "@/lib/data/batch";
+import {
+    batchObject,
+    fileObject,
+    lineAssembler,
+    parseBatchFile,
+    progressCounts
+} from "@/lib/openai-batch";
+
+/**
+ * openai_files / openai_batches data layer — the OpenAI-compatible Batch
+ * API (/v1/files, /v1/batches) over batch jobs (lib/data/batch.js).
+ *
+ * Lifecycle of a batch:
+ *
+ *   validating → in_progress → finalizing → completed | expired | cancelled
+ *       ↘ failed (the input file didn't validate; `errors` says why)
+ *   in_progress → cancelling → finalizing → cancelled
+ *
+ * While the batch job runs, `request_counts` is worked out from its
+ * chunks. Once the job closes, finalizeBatch() walks the chunk results
+ * once to count requests and size the output / error files, and records
+ * those as file rows without content — downloads rebuild the lines from
+ * the chunks. It runs from the GET that first sees the job closed, from
+ * cancel, and from the batch sweep (/api/cron/batch).
+ */
+
+const FILE_COLUMNS = "id, purpose, filename, bytes, created_at, batch_id, batch_part";
+const BATCH_COLUMNS =
+    "id, user_id, api_key_id, endpoint, model, input_file_id, completion_window, metadata, status, errors, " +
+    "batch_job_id, request_counts, output_file_id, error_file_id, created_at, in_progress_at, expires_at, " +
+    "finalizing_at, completed_at, failed_at, expired_at, cancelling_at, cancelled_at";
+const RUNNING = ["in_progress", "cancelling"];
+const CLOSED_JOB_STATUSES = ["completed", "failed", "cancelled"];
+// A finalize that hasn't finished in this long is assumed dead and redone.
+const FINALIZE_STALE_MS = 5 * 60_000;
+const SWEEP_LIMIT = 50;
+const LIST_LIMIT_MAX = 100;
+
+function withStatus(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function newId(prefix) {
+    return `${prefix}${randomBytes(12).toString("hex")}`;
+}
+
+// ---------------------------------------------------------------------------
+// Files
+// ---------------------------------------------------------------------------
+
+/** Store an uploaded batch input file. */
+export async function createFile({ userId, apiKeyId = null, filename, purpose, content }) {
+    const supabase = getSupabaseServerClient();
+    const { data, error } = await supabase
+        .from("openai_files")
+        .insert({
+            id: newId("file-"),
+            user_id: userId,
+            api_key_id: apiKeyId,
+            purpose,
+            filename,
+            bytes: Buffer.byteLength(content, "utf8"),
+            content
+        })
+        .select(FILE_COLUMNS)
+        .single();
+    if (error) throw withStatus(error.message, 500);
+    return fileObject(data);
+}
+
+export async function listFiles({ userId, purpose = null, limit = LIST_LIMIT_MAX }) {
+    const supabase = getSupabaseServerClient();
+    const size = Math.min(Math.max(1, Number(limit) || LIST_LIMIT_MAX), LIST_LIMIT_MAX);
+    let query = supabase
+        .from("openai_files")
+        .select(FILE_COLUMNS)
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .limit(size + 1);
+    if (purpose) query = query.eq("purpose", purpose);
+    const { data, error } = await query;
+    if (error) throw withStatus(error.message, 500);
+    const rows = data ?? [];
+    return { object: "list", data: rows.slice(0, size).map(fileObject), has_more: rows.length > size };
+}
+
+async function fileRow(supabase, id, userId, columns = FILE_COLUMNS) {
+    const { data, error } = await supabase
+        .from("openai_files")
+        .select(columns)
+        .eq("id", String(id))
+        .eq("user_id", userId)
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!data) throw withStatus(`No such File object: ${id}`, 404);
+    return data;
+}
+
+export async function getFile({ id, userId }) {
+    return fileObject(await fileRow(getSupabaseServerClient(), id, userId));
+}
+
+export async function deleteFile({ id, userId }) {
+    const supabase = getSupabaseServerClient();
+    const row = await fileRow(supabase, id, userId, "id");
+    const { error } = await supabase.from("openai_files").delete().eq("id", row.id).eq("user_id", userId);
+    if (error) throw withStatus(error.message, 500);
+    return { id: row.id, object: "file", deleted: true };
+}
+
+/**
+ * A file's content: the uploaded text, or — for a batch's output / error
+ * file — an async iterable of JSONL text rebuilt from its chunks.
+ *
+ * @returns {Promise<{ file: object, body: string | AsyncIterable<string> }>}
+ */
+export async function getFileContent({ id, userId }) {
+    const supabase = getSupabaseServerClient();
+    const row = await fileRow(supabase, id, userId, `${FILE_COLUMNS}, content`);
+    if (row.content !== null) return { file: fileObject(row), body: row.content };
+
+    const batch = await batchRow(supabase, row.batch_id, userId, `${BATCH_COLUMNS}, requests`);
+    if (!batch.batch_job_id) throw withStatus("the batch this file came from is gone", 410);
+    return { file: fileObject(row), body: batchLines(batch, row.batch_part) };
+}
+
+async function* batchLines(batch, part) {
+    const assembler = lineAssembler(batch, batch.requests);
+    for await (const page of chunkResultPages(batch.batch_job_id)) {
+        for (const chunk of page) {
+            const lines = assembler.push(chunk)[part];
+            if (lines.length > 0) yield lines.join("\n") + "\n";
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Batches
+// ---------------------------------------------------------------------------
+
+async function batchRow(supabase, id, userId, columns = BATCH_COLUMNS) {
+    const { data, error } = await supabase
+        .from("openai_batches")
+        .select(columns)
+        .eq("id", String(id))
+        .eq("user_id", userId)
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!data) throw withStatus(`No such Batch object: ${id}`, 404);
+    return data;
+}
+
+/**
+ * Read and validate a batch's input file. The route authorizes the
+ * caller for the parsed model before createOpenAiBatch() runs it.
+ *
+ * @returns {Promise<ReturnType<typeof parseBatchFile>>}
+ */
+export async function loadBatchInput({ userId, inputFileId, endpoint }) {
+    const supabase = getSupabaseServerClient();
+    const file = await fileRow(supabase, inputFileId, userId, "id, purpose, content");
+    if (file.purpose !== "batch" || file.content === null) {
+        throw withStatus(`File ${inputFileId} is not a batch input file (purpose must be "batch")`, 400);
+    }
+    return parseBatchFile(file.content, endpoint);
+}
+
+/**
+ * Create the batch: `failed` straight away when the input didn't
+ * validate, otherwise a batch job over the parsed items, due by
+ * `expires_at` (the completion window).
+ *
+ * @param {{ userId: string, apiKeyId?: string | null, input: object, parsed: object, now?: number }} args
+ *   input: validateBatchCreate().value; parsed: loadBatchInput()
+ */
+export async function createOpenAiBatch({ userId, apiKeyId = null, input, parsed, now = Date.now() }) {
+    const supabase = getSupabaseServerClient();
+    const nowIso = new Date(now).toISOString();
+    const base = {
+        id: newId("batch_"),
+        user_id: userId,
+        api_key_id: apiKeyId,
+        endpoint: input.endpoint,
+        input_file_id: input.inputFileId,
+        completion_window: input.completionWindow,
+        metadata: input.metadata,
+        created_at: nowIso
+    };
+
+    let errors = parsed.errors ?? null;
+    let jobInput = null;
+    if (!errors) {
+        const expiresAt = new Date(now + input.windowMs).toISOString();
+        const checked = validateBatchInput({
+            kind: parsed.value.kind,
+            model: parsed.value.model,
+            items: parsed.value.items,
+            options: { deadline_at: expiresAt }
+        }, { now });
+        if (checked.error) errors = [{ code: "invalid_request", line: null, message: checked.error, param: null }];
+        else jobInput = checked.value;
+    }
+
+    if (errors) {
+        const { data, error } = await supabase
+            .from("openai_batches")
+            .insert({
+                ...base,
+                status: "failed",
+                errors: { object: "list", data: errors },
+                request_counts: { total: 0, completed: 0, failed: 0 },
+                failed_at: nowIso
+            })
+            .select(BATCH_COLUMNS)
+            .single();
+        if (error) throw withStatus(error.message, 500);
+        return batchObject(data);
+    }
+
+    const total = parsed.value.requests.length;
+    const { error: insertErr } = await supabase.from("openai_batches").insert({
+        ...base,
+        model: parsed.value.model,
+        status: "validating",
+        requests: parsed.value.requests,
+        request_counts: { total, completed: 0, failed: 0 },
+        expires_at: jobInput.deadlineAt
+    });
+    if (insertErr) throw withStatus(insertErr.message, 500);
+
+    let job;
+    try {
+        job = await createBatch({ userId, apiKeyId, input: jobInput });
+    } catch (err) {
+        await supabase
+            .from("openai_batches")
+            .update({
+                status: "failed",
+                errors: { object: "list", data: [{ code: "server_error", line: null, message: err?.message ?? String(err), param: null }] },
+                failed_at: new Date().toISOString()
+            })
+            .eq("id", base.id);
+        throw err;
+    }
+
+    const { data, error } = await supabase
+        .from("openai_batches")
+        .update({ status: "in_progress", batch_job_id: job.job_id, in_progress_at: new Date().toISOString() })
+        .eq("id", base.id)
+        .select(BATCH_COLUMNS)
+        .single();
+    if (error) throw withStatus(error.message, 500);
+    return batchObject(data);
+}
+
+/**
+ * One batch as OpenAI's Batch object. A running batch whose job has
+ * closed is finalized on the way out.
+ */
+export async function getOpenAiBatch({ id, userId }) {
+    const supabase = getSupabaseServerClient();
+    const row = await batchRow(supabase, id, userId);
+    return batchObject(...(await refresh(supabase, row)));
+}
+
+/** `[row, requestCounts]` with the row finalized if its job is done. */
+async function refresh(supabase, row) {
+    if (!RUNNING.includes(row.status) || !row.batch_job_id) return [row];
+    const job = await jobStatus(supabase, row.batch_job_id);
+    if (job && CLOSED_JOB_STATUSES.includes(job.status)) {
+        const finalized = await finalizeBatch(supabase, row, job);
+        if (finalized) return [finalized];
+    }
+    const { data: withRequests, error } = await supabase
+        .from("openai_batches")
+        .select("requests")
+        .eq("id", row.id)
+        .single();
+    if (error) throw withStatus(error.message, 500);
+    const statuses = await chunkStatuses(row.batch_job_id);
+    return [row, progressCounts(withRequests.requests ?? [], statuses, job?.options?.chunk_size ?? 1)];
+}
+
+async function jobStatus(supabase, jobId) {
+    const { data, error } = await supabase
+        .from("jobs_batch")
+        .select("id, status, options")
+        .eq("id", jobId)
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    return data;
+}
+
+/**
+ * GET /v1/batches — newest first, `after` is the last id of the
+ * previous page.
+ */
+export async function listOpenAiBatches({ userId, limit = 20, after = null }) {
+    const supabase = getSupabaseServerClient();
+    const size = Math.min(Math.max(1, Number(limit) || 20), LIST_LIMIT_MAX);
+    let query = supabase
+        .from("openai_batches")
+        .select(BATCH_COLUMNS)
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .order("id", { ascending: false })
+        .limit(size + 1);
+    if (after) {
+        const cursor = await batchRow(supabase, after, userId, "created_at");
+        query = query.lt("created_at", cursor.created_at);
+    }
+    const { data, error } = await query;
+    if (error) throw withStatus(error.message, 500);
+    const page = (data ?? []).slice(0, size).map((row) => batchObject(row));
+    return {
+        object: "list",
+        data: page,
+        first_id: page[0]?.id ?? null,
+        last_id: page.at(-1)?.id ?? null,
+        has_more: (data ?? []).length > size
+    };
+}
+
+/**
+ * Cancel a batch. Unfinished requests end up in the error file with
+ * `batch_cancelled`; finished ones keep their output.
+ */
+export async function cancelOpenAiBatch({ id, userId }) {
+    const supabase = getSupabaseServerClient();
+    const row = await batchRow(supabase, id, userId);
+    if (row.status !== "in_progress") {
+        if (RUNNING.includes(row.status)) return getOpenAiBatch({ id, userId });
+        throw withStatus(`Cannot cancel a batch with status ${row.status}`, 400);
+    }
+
+    const { data: claimed, error } = await supabase
+        .from("openai_batches")
+        .update({ status: "cancelling", cancelling_at: new Date().toISOString() })
+        .eq("id", row.id)
+        .eq("status", "in_progress")
+        .select(BATCH_COLUMNS)
+        .maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!claimed) return getOpenAiBatch({ id, userId });
+
+    await cancelBatch({ id: claimed.batch_job_id, userId });
+    return batchObject(...(await refresh(supabase, claimed)));
+}
+
+/**
+ * Finalize batches whose job has closed, and redo finalizes that died
+ * halfway. Called by the batch sweep; returns how many it finished.
+ */
+export async function finalizeOpenAiBatches({ now = Date.now() } = {}) {
+    const supabase = getSupabaseServerClient();
+    const staleBefore = new Date(now - FINALIZE_STALE_MS).toISOString();
+    const { data, error } = await supabase
+        .from("openai_batches")
+        .select(BATCH_COLUMNS)
+        .or(`status.in.(${RUNNING.join(",")}),and(status.eq.finalizing,finalizing_at.lt.${staleBefore})`)
+        .order("created_at", { ascending: true })
+        .limit(SWEEP_LIMIT);
+    if (error) throw withStatus(error.message, 500);
+
+    let finalized = 0;
+    for (const row of data ?? []) {
+        try {
+            const job = row.batch_job_id ? await jobStatus(supabase, row.batch_job_id) : null;
+            if (!job || !CLOSED_JOB_STATUSES.includes(job.status)) continue;
+            if (await finalizeBatch(supabase, row, job, { now })) finalized += 1;
+        } catch (err) {
+            console.warn(`openai batch ${row.id}: finalize failed: ${err?.message ?? err}`);
+        }
+    }
+    return finalized;
+}
+
+/**
+ * Count the outcome per request and record the output / error files.
+ * Claimed through `finalizing` so two callers don't both write files.
+ * Returns the final row, or null when someone else holds the claim.
+ */
+async function finalizeBatch(supabase, row, job, { now = Date.now() } = {}) {
+    const claimedAt = new Date(now).toISOString();
+    let claim = supabase
+        .from("openai_batches")
+        .update({ status: "finalizing", finalizing_at: claimedAt })
+        .eq("id", row.id);
+    claim = row.status === "finalizing"
+        ? claim.eq("status", "finalizing").eq("finalizing_at", row.finalizing_at)
+        : claim.in("status", RUNNING);
+    const { data: claimed, error } = await claim.select(`${BATCH_COLUMNS}, requests`).maybeSingle();
+    if (error) throw withStatus(error.message, 500);
+    if (!claimed) return null;
+
+    const sizes = { output: { lines: 0, bytes: 0 }, error: { lines: 0, bytes: 0 } };
+    let expired = false;
+    const assembler = lineAssembler(claimed, claimed.requests ?? []);
+    for await (const page of chunkResultPages(job.id)) {
+        for (const chunk of page) {
+            const lines = assembler.push(chunk);
+            for (const part of ["output", "error"]) {
+                for (const line of lines[part]) {
+                    sizes[part].lines += 1;
+                    sizes[part].bytes += Buffer.byteLength(line, "utf8") + 1;
+                }
+            }
+            if (chunk.status === "failed_terminal" && chunk.last_error === "batch deadline passed") expired = true;
+        }
+    }
+
+    const files = {};
+    for (const part of ["output", "error"]) {
+        if (sizes[part].lines === 0) continue;
+        const { data: file, error: fileErr } = await supabase
+            .from("openai_files")
+            .insert({
+                id: newId("file-"),
+                user_id: claimed.user_id,
+                api_key_id: claimed.api_key_id,
+                purpose: "batch_output",
+                filename: `${claimed.id}_${part}.jsonl`,
+                bytes: sizes[part].bytes,
+                batch_id: claimed.id,
+                batch_part: part
+            })
+            .select("id")
+            .single();
+        if (fileErr) throw withStatus(fileErr.message, 500);
+        files[part] = file.id;
+    }
+
+    const status = job.status === "cancelled" ? "cancelled" : expired ? "expired" : "completed";
+    const doneAt = new Date().toISOString();
+    const { data: final, error: finalErr } = await supabase
+        .from("openai_batches")
+        .update({
+            status,
+            output_file_id: files.output ?? null,
+            error_file_id: files.error ?? null,
+            request_counts: { total: (claimed.requests ?? []).length, completed: sizes.output.lines, failed: sizes.error.lines },
+            [`${status}_at`]: doneAt
+        })
+        .eq("id", claimed.id)
+        .eq("status", "finalizing")
+        .eq("finalizing_at", claimedAt)
+        .select(BATCH_COLUMNS)
+        .maybeSingle();
+    if (finalErr) throw withStatus(finalErr.message, 500);
+    if (!final) {
+        // Taken over as stale mid-way; the other finalize writes its own files.
+        const ids = Object.values(files);
+        if (ids.length > 0) await supabase.from("openai_files").delete().in("id", ids);
+        return null;
+    }
+    return final;
+}
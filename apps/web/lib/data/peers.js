@@ -28,6 +28,23 @@ function buildMultiaddr(address, port) {
     return `/${family}/${address}/tcp/${port}`;
 }
 
+// `/…/p2p/<relay>/p2p-circuit/p2p/<pubkey>`, as heartbeated by a
+// provider holding a relay reservation.
+const CIRCUIT_RE = /^\/(ip4|ip6|dns4|dns6|dns)\/[^/]+\/tcp\/\d+\/p2p\/[0-9a-f]{64}\/p2p-circuit\/p2p\/([0-9a-f]{64})$/;
+
+/**
+ * Where consumers should dial a provider: its own address when the last
+ * probe found it reachable (or it hasn't been probed), otherwise the
+ * relay circuit it advertises — if that circuit really ends at its key.
+ */
+function peerMultiaddr(row) {
+    const direct = buildMultiaddr(row.address, row.port);
+    if (row.specs?.reachable?.ok !== false) return direct;
+    const circuit = typeof row.specs?.relay?.circuit === "string" ? row.specs.relay.circuit.toLowerCase() : null;
+    const m = circuit ? CIRCUIT_RE.exec(circuit) : null;
+    return m && m[2] === row.public_key?.toLowerCase() ? circuit : direct;
+}
+
 function extractServedModels(specs) {
     if (!specs || typeof specs !== "object") return [];
     const gpus = Array.isArray(specs.gpus) ? specs.gpus : [];
@@ -63,13 +80,18 @@ function extractInterconnects(specs) {
 }
 
 /**
- * @param {{ limit?: number }} [opts]
+ * @param {{ limit?: number, pubkey?: string, relay?: boolean }} [opts]
+ *   `pubkey` narrows to one provider — how a direct-inference consumer
+ *   resolves the provider its job ticket names; `relay` to providers
+ *   serving as circuit relays — how a node behind NAT finds one
  * @returns {Promise<Array<{
  *   pubkey: string|null,
  *   multiaddr: string|null,
  *   last_seen: string|null,
  *   served_models: string[],
- *   gpu_model: string|null
+ *   gpu_model: string|null,
+ *   reachable: boolean,
+ *   relay: boolean
  * }>>}
  */
 export async function listOnlinePeers(opts = {}) {
@@ -79,12 +101,15 @@ export async function listOnlinePeers(opts = {}) {
     const supabase = getSupabaseServerClient();
     const liveAfter = new Date(Date.now() - LIVE_WINDOW_MIN * 60 * 1000).toISOString();
 
-    const { data, error } = await supabase
+    let query = supabase
         .from("providers")
         .select("public_key, address, port, gpu_model, specs, last_seen")
         .eq("status", "available")
         .gte("last_seen", liveAfter)
-        .not("public_key", "is", null)
+        .not("public_key", "is", null);
+    if (typeof opts.pubkey === "string" && opts.pubkey) query = query.eq("public_key", opts.pubkey.toLowerCase());
+    if (opts.relay) query = query.eq("specs->circuit_relay->>enabled", "true");
+    const { data, error } = await query
         .order("last_seen", { ascending: false })
         .limit(limit);
 
@@ -92,18 +117,23 @@ export async function listOnlinePeers(opts = {}) {
 
     return (data ?? []).map((row) => ({
         pubkey: row.public_key,
-        multiaddr: buildMultiaddr(row.address, row.port),
+        multiaddr: peerMultiaddr(row),
         last_seen: row.last_seen,
         served_models: extractServedModels(row.specs),
         gpu_model: row.gpu_model ?? null,
         gpu_count: Array.isArray(row.specs?.gpus) ? row.specs.gpus.length : 0,
         cpu: extractCpu(row.specs),
-        interconnects: extractInterconnects(row.specs)
+        interconnects: extractInterconnects(row.specs),
+        // Last probe found the P2P port open — direct inference works.
+        reachable: row.specs?.reachable?.ok === true,
+        // Offers to relay circuits for providers behind NAT.
+        relay: row.specs?.circuit_relay?.enabled === true
     }));
 }
 
 export const __testables__ = {
     buildMultiaddr,
+    peerMultiaddr,
     extractServedModels,
     DEFAULT_LIMIT,
     MAX_LIMIT,
@@ -0,0 +1,132 @@
+import "server-only";
+
+import { getSupabaseServerClient } from "@/lib/supabase/server";
+import { initialCircuit, recordOutcome, startProbe } from "@/lib/scheduler/circuit";
+
+/**
+ * provider_circuit_state reads and writes (IPIP-0014 §4; the state
+ * machine is lib/scheduler/circuit.js).
+ *
+ * The breaker is advisory: a store error never fails a completion or a
+ * routing decision. Reads that fail treat every provider as closed —
+ * the behavior before breakers existed — and writes that fail are
+ * logged and dropped.
+ *
+ * Writes are optimistic (compare-and-set on `version`), so two
+ * instances recording outcomes for one provider at once don't lose
+ * either; the loser re-reads and retries up to WRITE_ATTEMPTS times.
+ */
+
+const WRITE_ATTEMPTS = 3;
+const COLUMNS = "provider_id, state, consecutive_fail, trip_count, opened_at, next_probe_at, failure_window, version, updated_at";
+
+/**
+ * Circuit rows for `providerIds`, keyed by id. Providers without a row
+ * are absent (closed).
+ *
+ * @param {string[]} providerIds
+ * @returns {Promise<Map<string, object>>}
+ */
+export async function circuitStates(providerIds) {
+    if (providerIds.length === 0) return new Map();
+    const supabase = getSupabaseServerClient();
+    const { data, error } = await supabase
+        .from("provider_circuit_state")
+        .select(COLUMNS)
+        .in("provider_id", providerIds);
+    if (error) {
+        console.warn(`circuit state unavailable, routing without breakers: ${error.message}`);
+        return new Map();
+    }
+    return new Map((data ?? []).map((row) => [row.provider_id, row]));
+}
+
+/** One provider's circuit row, or null (closed). For the node page. */
+export async function getProviderCircuit(providerId) {
+    const supabase = getSupabaseServerClient();
+    const { data, error } = await supabase
+        .from("provider_circuit_state")
+        .select(COLUMNS)
+        .eq("provider_id", providerId)
+        .maybeSingle();
+    if (error) {
+        console.warn(`circuit state for ${providerId} unavailable: ${error.message}`);
+        return null;
+    }
+    return data ?? null;
+}
+
+/**
+ * Fold a job outcome (classifyOutcome()) into the provider's breaker.
+ * A null outcome is a job that doesn't count. Never throws.
+ */
+export async function recordProviderOutcome(providerId, outcome) {
+    if (!providerId || !outcome) return;
+    try {
+        await updateCircuit(providerId, (circuit) => recordOutcome(circuit, outcome));
+    } catch (err) {
+        console.warn(`circuit outcome for ${providerId} not recorded: ${err?.message ?? err}`);
+    }
+}
+
+/**
+ * Take the probe slot of an open breaker whose cooldown ran out. True
+ * when this caller got it and may route one job to the provider; false
+ * when another instance took it first (or the store is down — an open
+ * breaker stays shut rather than risk a stampede of probes).
+ *
+ * @param {object} circuit  the row circuitStates() returned
+ */
+export async function claimProbe(circuit) {
+    try {
+        return await compareAndSet(circuit, startProbe(circuit));
+    } catch (err) {
+        console.warn(`circuit probe for ${circuit.provider_id} not claimed: ${err?.message ?? err}`);
+        return false;
+    }
+}
+
+async function updateCircuit(providerId, fold) {
+    const supabase = getSupabaseServerClient();
+    for (let attempt = 0; attempt < WRITE_ATTEMPTS; attempt++) {
+        const { data: row, error } = await supabase
+            .from("provider_circuit_state")
+            .select(COLUMNS)
+            .eq("provider_id", providerId)
+            .maybeSingle();
+        if (error) throw error;
+
+        if (!row) {
+            const { error: insErr } = await supabase
+                .from("provider_circuit_state")
+                .insert({ provider_id: providerId, ...fold(initialCircuit()), version: 1 });
+            if (!insErr) return;
+            if (insErr.code !== "23505") throw insErr; // another instance created it first
+            continue;
+        }
+        if (await compareAndSet(row, fold(row))) return;
+    }
+    throw new Error(`gave up after ${WRITE_ATTEMPTS} concurrent updates`);
+}
+
+async function compareAndSet(row, next) {
+    const supabase = getSupabaseServerClient();
+    const { data, error } = await supabase
+        .from("provider_circuit_state")
+        .update({
+            state: next.state,
+            consecutive_fail: next.consecutive_fail,
+            trip_count: next.trip_count,
+            opened_at: next.opened_at,
+            next_probe_at: next.next_probe_at,
+            failure_window: next.failure_window,
+            version: row.version + 1,
+            updated_at: new Date().toISOString()
+        })
+        .eq("provider_id", row.provider_id)
+        .eq("version", row.version)
+        .select("provider_id")
+        .maybeSingle();
+    if (error) throw error;
+    return Boolean(data);
+}
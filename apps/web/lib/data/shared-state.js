@@ -0,0 +1,202 @@
+import "server-only";
+import { getSupabaseServerClient } from "@/lib/supabase/server";
+
+/**
+ * Postgres-backed stores for state that has to be shared by every
+ * Next.js instance: rate-limit counters (lib/rate-limit.js), the
+ * signed-request nonce cache and key revocations
+ * (lib/auth/verify-signed-request.js), and idempotency records
+ * (lib/idempotency/middleware.js). Enabled with
+ * INFERNET_SHARED_STATE=postgres; the in-memory stores stay the default
+ * for tests and single-node dev. Revocations are the exception: they
+ * always live in revoked_keys, since a per-process list would forget a
+ * rotated-away key on restart and never hear of one revoked elsewhere.
+ *
+ *   rate_limit_buckets  one row per limiter key; rate_limit_hit() does
+ *                       the increment-or-reset in a single upsert.
+ *   request_nonces      one row per accepted nonce; the primary key is
+ *                       the replay check (a duplicate insert = replay).
+ *   revoked_keys        one row per rotated-away key or revoked
+ *                       delegation; never expires. Used with either
+ *                       backend.
+ *   idempotency_records one row per (principal, endpoint, key); the
+ *                       primary key is the claim, the cached response
+ *                       is filled in when the handler finishes.
+ *
+ * All but revoked_keys carry an expiry. Each instance deletes lapsed rows at most
+ * once per PRUNE_INTERVAL_MS, piggybacking on normal traffic, so no cron
+ * is required.
+ *
+ * Failure posture differs on purpose: a rate-limit store error lets the
+ * request through (an outage in a throttle shouldn't take the API down),
+ * a nonce store error rejects it (accepting a possible replay is worse
+ * than a retry), and so does a revocation store error or an
+ * idempotency store error on claim.
+ */
+
+const PRUNE_INTERVAL_MS = 60_000;
+let lastPruneAt = 0;
+
+/** "postgres" when INFERNET_SHARED_STATE=postgres, else "memory". */
+export function sharedStateBackend() {
+    const v = (process.env.INFERNET_SHARED_STATE ?? "").trim().toLowerCase();
+    return v === "postgres" ? "postgres" : "memory";
+}
+
+function withStatus(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+export function createPostgresRateLimitStore() {
+    async function hit(key, windowMs) {
+        maybePrune();
+        const supabase = getSupabaseServerClient();
+        const { data, error } = await supabase.rpc("rate_limit_hit", {
+            p_key: key,
+            p_window_ms: Math.ceil(windowMs)
+        });
+        const row = Array.isArray(data) ? data[0] : data;
+        if (error || !row) {
+            console.warn(`rate_limit_hit failed, allowing request: ${error?.message ?? "no row returned"}`);
+            return { count: 0, resetAt: Date.now() + windowMs };
+        }
+        return { count: Number(row.hits), resetAt: Date.parse(row.reset_at) };
+    }
+
+    return { kind: "postgres", hit };
+}
+
+export function createPostgresReplayStore() {
+    async function claim(nonce, ttlSeconds) {
+        maybePrune();
+        const supabase = getSupabaseServerClient();
+        const { error } = await supabase.from("request_nonces").insert({
+            nonce,
+            expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+        });
+        if (!error) return true;
+        if (error.code === "23505") return false; // unique_violation → already used
+        throw withStatus(`nonce store unavailable: ${error.message}`, 503);
+    }
+
+    return { kind: "postgres", claim };
+}
+
+export function createPostgresRevocationStore() {
+    async function revoke(pubkey, { delegatedBy = "", replacedBy = null } = {}) {
+        const supabase = getSupabaseServerClient();
+        const { error } = await supabase.from("revoked_keys").upsert(
+            { pubkey, delegated_by: delegatedBy, replaced_by: replacedBy },
+            { onConflict: "pubkey,delegated_by", ignoreDuplicates: true }
+        );
+        if (error) throw withStatus(`revocation store unavailable: ${error.message}`, 503);
+    }
+
+    async function isRevoked(pubkey, { delegatedBy = "" } = {}) {
+        const supabase = getSupabaseServerClient();
+        const { data, error } = await supabase
+            .from("revoked_keys")
+            .select("pubkey")
+            .eq("pubkey", pubkey)
+            .in("delegated_by", delegatedBy ? ["", delegatedBy] : [""])
+            .limit(1);
+        if (error) throw withStatus(`revocation store unavailable: ${error.message}`, 503);
+        return (data ?? []).length > 0;
+    }
+
+    return { kind: "postgres", revoke, isRevoked };
+}
+
+export function createPostgresIdempotencyStore() {
+    const match = (query, { principal, endpoint, key }) =>
+        query.eq("principal", principal).eq("endpoint", endpoint).eq("key", key);
+
+    async function insert({ principal, endpoint, key, hash, createdAt, expiresAt }) {
+        maybePrune();
+        const supabase = getSupabaseServerClient();
+        const { error } = await supabase.from("idempotency_records").insert({
+            principal,
+            endpoint,
+            key,
+            request_hash: hash,
+            created_at: new Date(createdAt).toISOString(),
+            expires_at: new Date(expiresAt).toISOString()
+        });
+        if (!error) return true;
+        if (error.code === "23505") return false; // unique_violation → key already claimed
+        throw withStatus(`idempotency store unavailable: ${error.message}`, 503);
+    }
+
+    async function get(id) {
+        const supabase = getSupabaseServerClient();
+        const { data, error } = await match(
+            supabase.from("idempotency_records").select(
+                "principal, endpoint, key, request_hash, response_status, response_type, response_body, created_at, expires_at"
+            ),
+            id
+        ).maybeSingle();
+        if (error) throw withStatus(`idempotency store unavailable: ${error.message}`, 503);
+        if (!data) return null;
+        return {
+            principal: data.principal,
+            endpoint: data.endpoint,
+            key: data.key,
+            hash: data.request_hash,
+            createdAt: Date.parse(data.created_at),
+            expiresAt: Date.parse(data.expires_at),
+            response: data.response_status === null
+                ? null
+                : { status: data.response_status, type: data.response_type, body: data.response_body }
+        };
+    }
+
+    async function complete(id, { status, type, body }) {
+        const supabase = getSupabaseServerClient();
+        const { error } = await match(
+            supabase.from("idempotency_records").update({
+                response_status: status,
+                response_type: type,
+                response_body: body
+            }),
+            id
+        );
+        if (error) throw withStatus(error.message, 500);
+    }
+
+    async function remove(id, createdAt) {
+        const supabase = getSupabaseServerClient();
+        const { error } = await match(supabase.from("idempotency_records").delete(), id)
+            .eq("created_at", new Date(createdAt).toISOString());
+        if (error) throw withStatus(`idempotency store unavailable: ${error.message}`, 503);
+    }
+
+    return { kind: "postgres", insert, get, complete, remove };
+}
+
+/**
+ * Delete lapsed counters, nonces and idempotency records. Exported for
+ * tooling; request paths call it through maybePrune() and never wait on
+ * it.
+ */
+export async function pruneSharedState() {
+    const supabase = getSupabaseServerClient();
+    const now = new Date().toISOString();
+    const [buckets, nonces, idempotency] = await Promise.all([
+        supabase.from("rate_limit_buckets").delete().lt("reset_at", now),
+        supabase.from("request_nonces").delete().lt("expires_at", now),
+        supabase.from("idempotency_records").delete().lt("expires_at", now)
+    ]);
+    const error = buckets.error ?? nonces.error ?? idempotency.error;
+    if (error) throw withStatus(error.message, 500);
+}
+
+function maybePrune() {
+    const now = Date.now();
+    if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+    lastPruneAt = now;
+    pruneSharedState().catch((err) => {
+        console.warn(`shared state prune failed: ${err?.message ?? err}`);
+    });
+}
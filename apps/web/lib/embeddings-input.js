@@ -0,0 +1,38 @@
+/**
+ * Validation for /v1/embeddings request bodies.
+ *
+ * Same contract as chat-input.js: return an error message string
+ * (surfaced as a 400) or null when the input is acceptable. `input`
+ * follows OpenAI's shape — a string or an array of strings — minus the
+ * pre-tokenized integer-array forms, which only make sense against a
+ * tokenizer we don't control.
+ */
+
+// One job carries the whole batch; keep it small enough that the job
+// row's `result`, which holds every vector, stays a reasonable size.
+export const MAX_EMBEDDING_INPUTS = 256;
+const MAX_INPUT_CHARS = 32_000;
+const ENCODING_FORMATS = new Set(["float", "base64"]);
+
+export function validateEmbeddingsInput(input) {
+    const inputs = typeof input === "string" ? [input] : input;
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+        return "input must be a string or a non-empty array of strings";
+    }
+    if (inputs.length > MAX_EMBEDDING_INPUTS) {
+        return `too many inputs (max ${MAX_EMBEDDING_INPUTS} per request)`;
+    }
+    for (const s of inputs) {
+        if (typeof s !== "string") {
+            return "input must be a string or an array of strings (token arrays are not supported)";
+        }
+        if (s.length === 0) return "input strings must not be empty";
+        if (s.length > MAX_INPUT_CHARS) return `input strings must be at most ${MAX_INPUT_CHARS} characters`;
+    }
+    return null;
+}
+
+export function validateEncodingFormat(format) {
+    if (format === undefined || format === null) return null;
+    return ENCODING_FORMATS.has(format) ? null : "encoding_format must be \"float\" or \"base64\"";
+}
@@ -0,0 +1,261 @@
+import "server-only";
+
+import { createHash } from "node:crypto";
+import { NextResponse } from "next/server";
+import { createPostgresIdempotencyStore, sharedStateBackend } from "@/lib/data/shared-state";
+import { getClientIp } from "@/lib/rate-limit";
+
+/**
+ * IPIP-0014 §1 — idempotency keys for mutating endpoints.
+ *
+ * A client that isn't sure its request landed (timeout, dropped
+ * connection, a daemon restarting mid-call) retries with the same
+ * `Idempotency-Key` header (`X-Idempotency-Key` is accepted too). The
+ * first request with a key runs; later ones with the same key and the
+ * same payload get its response back verbatim, with
+ * `Idempotent-Replayed: true`. The same key with a different payload is
+ * a client bug and gets 409 `idempotency_key_reuse_with_different_payload`.
+ *
+ * Keys are scoped to a principal (node pubkey, API key, or for an
+ * anonymous consumer its client address — consumerPrincipal()) and an
+ * endpoint path, so two callers picking the same key never see each
+ * other's responses. The payload hash covers method, path and body.
+ *
+ * Claiming is insert-first: a record is written before the handler
+ * runs, so of two concurrent requests with one key exactly one executes
+ * and the other gets 409 `idempotency_key_in_use`. A record whose
+ * handler never finished (crashed instance) is taken over after
+ * LOCK_TTL_MS. Responses with status ≥ 500 and thrown errors release
+ * the key instead of being cached — a retry should run again. Records
+ * expire after RECORD_TTL_MS.
+ *
+ * Store interface (memory here, postgres in lib/data/shared-state.js):
+ *   insert(record)          → Promise<boolean>  false when the id exists
+ *   get(id)                 → Promise<record | null>
+ *   complete(id, response)  → Promise<void>
+ *   remove(id, createdAt)   → Promise<void>     only that claim, not a newer one
+ * where id is `{ principal, endpoint, key }` and a record adds
+ * `{ hash, createdAt, expiresAt, response: { status, type, body } | null }`.
+ * `body` is the parsed JSON for JSON responses and base64 otherwise
+ * (protobuf replies from lib/node-wire.js).
+ */
+
+export const IDEMPOTENCY_HEADERS = ["idempotency-key", "x-idempotency-key"];
+export const MAX_KEY_BYTES = 128;
+export const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+export const LOCK_TTL_MS = 10 * 60 * 1000;
+
+export const KEY_REUSE = "idempotency_key_reuse_with_different_payload";
+export const KEY_IN_USE = "idempotency_key_in_use";
+
+function withStatus(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * The request's idempotency key, or null when it sent none. Throws 400
+ * for an empty or oversized key rather than silently ignoring it.
+ */
+export function idempotencyKeyFrom(request) {
+    for (const name of IDEMPOTENCY_HEADERS) {
+        const value = request.headers.get(name);
+        if (value === null || value === undefined) continue;
+        const key = value.trim();
+        if (!key || Buffer.byteLength(key) > MAX_KEY_BYTES) {
+            throw withStatus(`${name} must be 1-${MAX_KEY_BYTES} bytes`, 400);
+        }
+        return key;
+    }
+    return null;
+}
+
+/** sha256 over method, path and body (raw bytes, text, or a parsed JSON value). */
+export function requestHash({ method, path, body }) {
+    const hash = createHash("sha256").update(`${method.toUpperCase()} ${path}\n`);
+    if (body instanceof Uint8Array || typeof body === "string") hash.update(body);
+    else if (body !== undefined) hash.update(JSON.stringify(body));
+    return hash.digest("hex");
+}
+
+export function createMemoryIdempotencyStore() {
+    /** @type {Map<string, object>} */
+    const records = new Map();
+    const idOf = ({ principal, endpoint, key }) => JSON.stringify([principal, endpoint, key]);
+    let sweep = null;
+
+    function ensureSweep() {
+        if (sweep) return;
+        sweep = setInterval(() => {
+            const now = Date.now();
+            for (const [k, r] of records) if (r.expiresAt <= now) records.delete(k);
+        }, 60_000);
+        if (typeof sweep.unref === "function") sweep.unref();
+    }
+
+    async function insert(record) {
+        ensureSweep();
+        const id = idOf(record);
+        if (records.has(id)) return false;
+        records.set(id, { ...record, response: null });
+        return true;
+    }
+
+    async function get(id) {
+        return records.get(idOf(id)) ?? null;
+    }
+
+    async function complete(id, response) {
+        const record = records.get(idOf(id));
+        if (record) record.response = response;
+    }
+
+    async function remove(id, createdAt) {
+        if (records.get(idOf(id))?.createdAt === createdAt) records.delete(idOf(id));
+    }
+
+    return { kind: "memory", insert, get, complete, remove };
+}
+
+let defaultStore = null;
+
+/** Per-process store, or the shared table with INFERNET_SHARED_STATE=postgres. */
+export function defaultIdempotencyStore() {
+    defaultStore ??= sharedStateBackend() === "postgres"
+        ? createPostgresIdempotencyStore()
+        : createMemoryIdempotencyStore();
+    return defaultStore;
+}
+
+async function toStored(response) {
+    const type = (response.headers.get("content-type") ?? "").split(";")[0].trim().toLowerCase();
+    const bytes = Buffer.from(await response.arrayBuffer());
+    const body = type === "application/json"
+        ? (bytes.length ? JSON.parse(bytes.toString("utf8")) : null)
+        : bytes.toString("base64");
+    return { status: response.status, type: type || null, body };
+}
+
+function storedResponse(stored, headers = {}) {
+    if (stored.type) headers["Content-Type"] = stored.type;
+    const body = stored.type === "application/json"
+        ? JSON.stringify(stored.body)
+        : Buffer.from(stored.body ?? "", "base64");
+    return new Response(body, { status: stored.status, headers });
+}
+
+/**
+ * The principal a consumer request's keys belong to: its API key, else
+ * the client address. Anonymous callers don't share one namespace —
+ * otherwise a stranger reusing a key would replay someone else's job.
+ */
+export function consumerPrincipal(request, apiKey) {
+    return apiKey ? `key:${apiKey.id}` : `anon:${getClientIp(request)}`;
+}
+
+/** Rebuild a cached response. */
+export function replayResponse(stored) {
+    return storedResponse(stored, { "Idempotent-Replayed": "true" });
+}
+
+/**
+ * Claim the request's idempotency key for `principal`. Returns:
+ *
+ *   null                 no key sent — run the handler as usual
+ *   { replay }           a finished earlier request; answer with replayResponse(replay)
+ *   { conflict }         KEY_REUSE or KEY_IN_USE — answer 409
+ *   { save, commit, release }   this request owns the key
+ *
+ * `commit(response)` caches a Response (or releases the key for ≥ 500)
+ * and returns an equivalent one to send; `save(stored)` caches
+ * something other than the response itself (see /v1/chat/completions);
+ * `release()` gives the key up so a retry runs again.
+ *
+ * `body` is what the payload hash covers: the raw bytes when the route
+ * has them, else the parsed JSON body.
+ */
+export async function claimIdempotencyKey(request, { principal, body, store = defaultIdempotencyStore() }) {
+    const key = idempotencyKeyFrom(request);
+    if (!key) return null;
+
+    const url = new URL(request.url);
+    const id = { principal: String(principal), endpoint: url.pathname, key };
+    const hash = requestHash({ method: request.method, path: url.pathname + url.search, body });
+
+    // Two rounds: the second follows an expired or abandoned record we
+    // just cleared (or one that vanished between insert and get).
+    for (let round = 0; round < 2; round++) {
+        const now = Date.now();
+        if (await store.insert({ ...id, hash, createdAt: now, expiresAt: now + RECORD_TTL_MS })) {
+            return claimed(store, id, now);
+        }
+        const existing = await store.get(id);
+        if (!existing) continue;
+        if (existing.expiresAt <= now) {
+            await store.remove(id, existing.createdAt);
+            continue;
+        }
+        if (existing.hash !== hash) return { conflict: KEY_REUSE };
+        if (existing.response) return { replay: existing.response };
+        if (now - existing.createdAt > LOCK_TTL_MS) {
+            await store.remove(id, existing.createdAt);
+            continue;
+        }
+        return { conflict: KEY_IN_USE };
+    }
+    return { conflict: KEY_IN_USE };
+}
+
+function claimed(store, id, createdAt) {
+    async function save(stored) {
+        try {
+            await store.complete(id, stored);
+        } catch (err) {
+            // The work is done; failing the request now would only
+            // invite a retry. The claim stays locked until LOCK_TTL_MS.
+            console.warn(`idempotency record for ${id.endpoint} not saved: ${err?.message ?? err}`);
+        }
+    }
+
+    async function release() {
+        try {
+            await store.remove(id, createdAt);
+        } catch (err) {
+            console.warn(`idempotency key for ${id.endpoint} not released: ${err?.message ?? err}`);
+        }
+    }
+
+    async function commit(response) {
+        if (response.status >= 500) {
+            await release();
+            return response;
+        }
+        const stored = await toStored(response);
+        await save(stored);
+        return storedResponse(stored);
+    }
+
+    return { save, commit, release };
+}
+
+/**
+ * Run `handler` (→ Response) at most once per idempotency key. For
+ * routes whose errors are `{ error: string }` — the /api surface; the
+ * OpenAI-shaped /v1 routes use claimIdempotencyKey() directly.
+ */
+export async function idempotent(request, { principal, body, store }, handler) {
+    const claim = await claimIdempotencyKey(request, { principal, body, store });
+    if (!claim) return handler();
+    if (claim.replay) return replayResponse(claim.replay);
+    if (claim.conflict) return NextResponse.json({ error: claim.conflict }, { status: 409 });
+
+    let response;
+    try {
+        response = await handler();
+    } catch (err) {
+        await claim.release();
+        throw err;
+    }
+    return claim.commit(response);
+}
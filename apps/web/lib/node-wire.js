@@ -0,0 +1,166 @@
+import "server-only";
+
+/**
+ * Content negotiation for the node API's hot endpoints — heartbeat,
+ * jobs/poll and jobs/:id/events — which speak JSON or protobuf
+ * (`infernet.peer.v1` / `infernet.compute.v1`, see
+ * protocol/docs/node-api.md).
+ *
+ * A node sends protobuf with
+ *
+ *   Content-Type: application/x-protobuf; proto=infernet.peer.v1.Heartbeat
+ *
+ * and gets a protobuf reply by putting the same media type, naming the
+ * reply message, in Accept. `proto` carries the package version: a node
+ * speaking a version this control plane doesn't gets a 415 (request) or
+ * 406 (reply) naming the one it does, never a misdecoded body. Without
+ * the parameter the endpoint's own message is assumed. Errors stay JSON.
+ *
+ * The mappers turn each protobuf message into the JSON body the route
+ * always accepted, so lib/data/node-api.js only ever sees one shape.
+ */
+
+import { NextResponse } from "next/server";
+import { WireError, computeV1, peerV1 } from "@infernetprotocol/protocol";
+
+import { parseJsonBody } from "@/lib/auth/verify-signed-request";
+
+export const PROTOBUF_CONTENT_TYPE = "application/x-protobuf";
+
+const JSON_TYPES = new Set(["application/json", "application/*", "*/*"]);
+
+function withStatus(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/** `type/subtype; k=v` → `{ type, params }`, type lower-cased. */
+function parseMediaType(value) {
+    const [type, ...rest] = String(value ?? "").split(";");
+    const params = {};
+    for (const part of rest) {
+        const eq = part.indexOf("=");
+        if (eq === -1) continue;
+        params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim().replace(/^"(.*)"$/, "$1");
+    }
+    return { type: type.trim().toLowerCase(), params };
+}
+
+function parseJsonObject(text, what) {
+    if (!text) return {};
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (err) {
+        throw withStatus(`${what} is not valid JSON: ${err.message}`, 400);
+    }
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw withStatus(`${what} must be a JSON object`, 400);
+    }
+    return value;
+}
+
+function specsFromProto(specs) {
+    return {
+        ...parseJsonObject(specs.extra_json, "specs.extra_json"),
+        gpus: specs.gpus.map((g) => ({ vendor: g.vendor, vram_tier: g.vram_tier, model: g.model || null })),
+        gpu_count: specs.gpu_count,
+        served_models: specs.served_models,
+        embedding_models: specs.embedding_models,
+        vision_models: specs.vision_models
+    };
+}
+
+export const HEARTBEAT = {
+    request: peerV1.Heartbeat,
+    response: peerV1.HeartbeatAck,
+    fromProto(m) {
+        const body = { role: m.role };
+        if (m.status) body.status = m.status;
+        if (m.address) body.address = m.address;
+        if (m.port) body.port = m.port;
+        if (m.specs) body.specs = specsFromProto(m.specs);
+        return body;
+    },
+    toProto: (data) => ({ id: String(data.id) })
+};
+
+export const POLL_JOBS = {
+    request: computeV1.PollJobsRequest,
+    response: computeV1.PollJobsResponse,
+    fromProto: (m) => (m.limit ? { limit: m.limit } : {}),
+    toProto: (data) => ({
+        provider_id: data.provider_id,
+        jobs: data.jobs.map((job) => ({
+            id: job.id,
+            title: job.title,
+            type: job.type,
+            status: job.status,
+            payment_offer: Number(job.payment_offer) || 0,
+            payment_coin: job.payment_coin,
+            model_name: job.model_name,
+            input_spec_json: job.input_spec == null ? "" : JSON.stringify(job.input_spec),
+            created_at: job.created_at
+        })),
+        cancel: data.cancel
+    })
+};
+
+export const JOB_EVENTS = {
+    request: computeV1.JobEventBatch,
+    response: computeV1.JobEventsAck,
+    fromProto: (m) => ({
+        events: m.events.map((e, i) => ({
+            event_type: e.event_type,
+            data: parseJsonObject(e.data_json, `events[${i}].data_json`)
+        }))
+    }),
+    toProto: (data) => ({ inserted: data.inserted, cancel: data.cancel === true })
+};
+
+function checkVersion(proto, desc, status) {
+    if (!proto || proto === desc.typeName) return;
+    throw withStatus(`unsupported message ${proto}; this endpoint speaks ${desc.typeName}`, status);
+}
+
+/**
+ * Pick the reply format from Accept before doing any work. Returns
+ * `reply(data)` → Response: the protobuf message when the node asked
+ * for it, otherwise the usual `{ data }` JSON. Throws 406 when the
+ * node only accepts a protobuf version we don't speak.
+ */
+export function replyFormat(request, endpoint) {
+    const offers = (request.headers.get("accept") ?? "").split(",").map(parseMediaType);
+    const proto = offers.filter((o) => o.type === PROTOBUF_CONTENT_TYPE);
+    const desc = endpoint.response;
+    if (proto.some((o) => !o.params.proto || o.params.proto === desc.typeName)) {
+        return (data) => new NextResponse(desc.encode(endpoint.toProto(data)), {
+            headers: { "content-type": `${PROTOBUF_CONTENT_TYPE}; proto=${desc.typeName}` }
+        });
+    }
+    if (proto.length > 0 && !offers.some((o) => JSON_TYPES.has(o.type))) {
+        checkVersion(proto[0].params.proto, desc, 406);
+    }
+    return (data) => NextResponse.json({ data });
+}
+
+/**
+ * The request body as the endpoint's JSON shape, decoded from protobuf
+ * when Content-Type says so. `body`/`bytes` come from
+ * verifySignedNextRequest — the signature covers `bytes` either way.
+ */
+export function readNodeBody(request, { body, bytes }, endpoint) {
+    const { type, params } = parseMediaType(request.headers.get("content-type"));
+    if (type !== PROTOBUF_CONTENT_TYPE) return parseJsonBody(body);
+    const desc = endpoint.request;
+    checkVersion(params.proto, desc, 415);
+    let message;
+    try {
+        message = desc.decode(bytes);
+    } catch (err) {
+        if (err instanceof WireError) throw withStatus(`invalid ${desc.typeName} body: ${err.message}`, 400);
+        throw err;
+    }
+    return endpoint.fromProto(message);
+}
@@ -0,0 +1,337 @@
+import { createHash } from "node:crypto";
+import { hasImageInput, validateChatMessages } from "@/lib/chat-input";
+import { validateEmbeddingsInput, validateEncodingFormat } from "@/lib/embeddings-input";
+import { embeddingsList, toOpenAiUsage } from "@/lib/openai-format";
+import { MAX_BATCH_ITEMS } from "@/lib/batch";
+
+/**
+ * OpenAI Batch API compatibility (/v1/files + /v1/batches) — the pure
+ * half: parsing an uploaded batch JSONL file, OpenAI's object shapes,
+ * and turning chunk results back into output / error JSONL lines.
+ * lib/data/openai-batch.js does the I/O.
+ *
+ * An OpenAI batch runs as an ordinary batch job (lib/batch.js): every
+ * line becomes one item (`/v1/chat/completions`) or as many items as its
+ * `input` has strings (`/v1/embeddings`). `requests` records each
+ * line's custom_id and item count, so a line's items are the `count`
+ * after the previous lines'. The output and error files are never
+ * stored — they are rebuilt from the chunk results when read, in input
+ * order, and come out the same every time (request ids are derived, not
+ * random).
+ */
+
+export const SUPPORTED_ENDPOINTS = Object.freeze(["/v1/chat/completions", "/v1/embeddings"]);
+// OpenAI's own per-batch limit.
+export const MAX_BATCH_REQUESTS = 50_000;
+export const MAX_FILE_BYTES = 50 * 1024 * 1024;
+export const MAX_COMPLETION_WINDOW_HOURS = 168;
+// Stop collecting line errors after this many; the rest are the same story.
+const MAX_REPORTED_ERRORS = 100;
+
+// Body keys a batched request may carry. Anything else (tools, top_p,
+// response_format, ...) is refused at validation rather than dropped —
+// batch chunks only run messages + max_tokens + temperature.
+const CHAT_KEYS = new Set(["model", "messages", "max_tokens", "max_completion_tokens", "temperature", "n", "stream", "user", "store", "metadata"]);
+const EMBEDDING_KEYS = new Set(["model", "input", "encoding_format", "user"]);
+
+function lineError(line, code, message, param = null) {
+    return { code, line, message, param };
+}
+
+/** `"24h"` → milliseconds, or null when it isn't 1..168 hours. */
+export function completionWindowMs(window) {
+    const m = /^(\d+)h$/.exec(String(window ?? ""));
+    const hours = m ? Number(m[1]) : NaN;
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_COMPLETION_WINDOW_HOURS) return null;
+    return hours * 3_600_000;
+}
+
+/**
+ * Parse and validate a batch input file against the batch's endpoint.
+ *
+ * @returns {{ errors: Array<{ code, line, message, param }> } |
+ *   { value: { kind: "chat" | "embed", model: string, items: Array, requests: Array<{ custom_id: string, count: number, encoding_format?: string }> } }}
+ *   `line` is 1-based, as in OpenAI's `errors.data`.
+ */
+export function parseBatchFile(text, endpoint) {
+    const errors = [];
+    const report = (e) => { errors.push(e); return errors.length >= MAX_REPORTED_ERRORS; };
+    const kind = endpoint === "/v1/embeddings" ? "embed" : "chat";
+    const seen = new Set();
+    const items = [];
+    const requests = [];
+    let model = null;
+
+    const lines = String(text).split("\n");
+    for (let i = 0; i < lines.length; i++) {
+        const raw = lines[i].trim();
+        if (raw === "") continue;
+        const n = i + 1;
+        if (requests.length >= MAX_BATCH_REQUESTS) {
+            report(lineError(n, "too_many_requests", `a batch holds at most ${MAX_BATCH_REQUESTS} requests`));
+            break;
+        }
+        let req;
+        try {
+            req = JSON.parse(raw);
+        } catch {
+            if (report(lineError(n, "invalid_json_line", "line is not valid JSON"))) break;
+            continue;
+        }
+        const problem = checkRequest(req, endpoint, kind);
+        if (problem) {
+            if (report(lineError(n, problem.code, problem.message, problem.param ?? null))) break;
+            continue;
+        }
+        if (seen.has(req.custom_id)) {
+            if (report(lineError(n, "duplicate_custom_id", `custom_id "${req.custom_id}" is used more than once`, "custom_id"))) break;
+            continue;
+        }
+        seen.add(req.custom_id);
+        model ??= req.body.model;
+        if (req.body.model !== model) {
+            if (report(lineError(n, "mismatched_model", `every request in a batch must use the same model (${model})`, "body.model"))) break;
+            continue;
+        }
+
+        const body = req.body;
+        if (kind === "embed") {
+            const inputs = typeof body.input === "string" ? [body.input] : body.input;
+            items.push(...inputs);
+            requests.push({
+                custom_id: req.custom_id,
+                count: inputs.length,
+                ...(body.encoding_format === "base64" ? { encoding_format: "base64" } : {})
+            });
+        } else {
+            const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+            items.push({
+                messages: body.messages,
+                ...(maxTokens !== undefined && maxTokens !== null ? { max_tokens: maxTokens } : {}),
+                ...(typeof body.temperature === "number" ? { temperature: body.temperature } : {})
+            });
+            requests.push({ custom_id: req.custom_id, count: 1 });
+        }
+    }
+
+    if (errors.length === 0 && requests.length === 0) errors.push(lineError(null, "empty_file", "the input file has no requests"));
+    if (errors.length === 0 && items.length > MAX_BATCH_ITEMS) {
+        errors.push(lineError(null, "too_many_requests", `at most ${MAX_BATCH_ITEMS} embedding inputs per batch`));
+    }
+    if (errors.length > 0) return { errors };
+    return { value: { kind, model, items, requests } };
+}
+
+function checkRequest(req, endpoint, kind) {
+    if (!req || typeof req !== "object" || Array.isArray(req)) return { code: "invalid_request", message: "each line must be a JSON object" };
+    if (typeof req.custom_id !== "string" || req.custom_id === "" || req.custom_id.length > 512) {
+        return { code: "missing_custom_id", message: "custom_id must be a non-empty string", param: "custom_id" };
+    }
+    if (req.method !== "POST") return { code: "invalid_method", message: "method must be POST", param: "method" };
+    if (req.url !== endpoint) {
+        return { code: "mismatched_endpoint", message: `url must be the batch's endpoint (${endpoint})`, param: "url" };
+    }
+    const body = req.body;
+    if (!body || typeof body !== "object" || Array.isArray(body)) return { code: "invalid_request", message: "body must be an object", param: "body" };
+    if (typeof body.model !== "string" || body.model === "") return { code: "invalid_request", message: "body.model is required", param: "body.model" };
+
+    const allowed = kind === "embed" ? EMBEDDING_KEYS : CHAT_KEYS;
+    const extra = Object.keys(body).find((k) => !allowed.has(k));
+    if (extra) return { code: "unsupported_parameter", message: `body.${extra} is not supported in batches`, param: `body.${extra}` };
+
+    if (kind === "embed") {
+        const invalid = validateEmbeddingsInput(body.input) ?? validateEncodingFormat(body.encoding_format);
+        return invalid ? { code: "invalid_request", message: invalid, param: "body.input" } : null;
+    }
+    const invalid = validateChatMessages(body.messages);
+    if (invalid) return { code: "invalid_request", message: invalid, param: "body.messages" };
+    if (hasImageInput(body.messages)) return { code: "unsupported_parameter", message: "image input is not supported in batches", param: "body.messages" };
+    if (body.stream === true) return { code: "unsupported_parameter", message: "stream is not supported in batches", param: "body.stream" };
+    if (body.n !== undefined && body.n !== 1) return { code: "unsupported_parameter", message: "n must be 1", param: "body.n" };
+    const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+    if (maxTokens !== undefined && maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens >= 1 && maxTokens <= 8192)) {
+        return { code: "invalid_request", message: "max_tokens must be an integer 1..8192", param: "body.max_tokens" };
+    }
+    if (body.temperature !== undefined && body.temperature !== null
+        && !(typeof body.temperature === "number" && body.temperature >= 0 && body.temperature <= 2)) {
+        return { code: "invalid_request", message: "temperature must be a number 0..2", param: "body.temperature" };
+    }
+    return null;
+}
+
+/**
+ * Request counts while the batch runs, from its chunks' statuses (index
+ * order). A request counts once every chunk holding its items settled:
+ * failed if any of them failed, else completed. Items that failed
+ * inside a finished chunk are only known once the batch is finalized.
+ */
+export function progressCounts(requests, chunkStatuses, chunkSize) {
+    const counts = { total: requests.length, completed: 0, failed: 0 };
+    let offset = 0;
+    for (const r of requests) {
+        const first = Math.floor(offset / chunkSize);
+        const last = Math.floor((offset + r.count - 1) / chunkSize);
+        offset += r.count;
+        let settled = true;
+        let failed = false;
+        for (let c = first; c <= last; c++) {
+            const s = chunkStatuses[c];
+            if (s === "failed_terminal" || s === "cancelled") failed = true;
+            else if (s !== "done") settled = false;
+        }
+        if (failed) counts.failed += 1;
+        else if (settled) counts.completed += 1;
+    }
+    return counts;
+}
+
+function unix(ts) {
+    return ts ? Math.floor(Date.parse(ts) / 1000) : null;
+}
+
+/** An openai_batches row as OpenAI's Batch object. */
+export function batchObject(row, requestCounts = row.request_counts) {
+    return {
+        id: row.id,
+        object: "batch",
+        endpoint: row.endpoint,
+        errors: row.errors ?? null,
+        input_file_id: row.input_file_id,
+        completion_window: row.completion_window,
+        status: row.status,
+        output_file_id: row.output_file_id ?? null,
+        error_file_id: row.error_file_id ?? null,
+        created_at: unix(row.created_at),
+        in_progress_at: unix(row.in_progress_at),
+        expires_at: unix(row.expires_at),
+        finalizing_at: unix(row.finalizing_at),
+        completed_at: unix(row.completed_at),
+        failed_at: unix(row.failed_at),
+        expired_at: unix(row.expired_at),
+        cancelling_at: unix(row.cancelling_at),
+        cancelled_at: unix(row.cancelled_at),
+        request_counts: requestCounts ?? { total: 0, completed: 0, failed: 0 },
+        metadata: row.metadata ?? null
+    };
+}
+
+/** An openai_files row as OpenAI's File object. */
+export function fileObject(row) {
+    return {
+        id: row.id,
+        object: "file",
+        bytes: row.bytes,
+        created_at: unix(row.created_at),
+        filename: row.filename,
+        purpose: row.purpose,
+        status: "processed",
+        status_details: null
+    };
+}
+
+function derivedId(prefix, ...parts) {
+    return prefix + createHash("sha256").update(parts.join(":")).digest("hex").slice(0, 24);
+}
+
+// Chunk errors the batch machinery writes, as OpenAI error codes.
+function errorCode(message) {
+    if (message === "batch deadline passed") return "batch_expired";
+    if (message === "batch cancelled") return "batch_cancelled";
+    return "request_failed";
+}
+
+/**
+ * Turns a batch's settled chunks, fed in index order, into output and
+ * error JSONL lines in request order. A request whose items all
+ * succeeded goes to the output file with a 200 response body; any
+ * failed item sends it to the error file.
+ *
+ * @param {{ id: string, endpoint: string, model: string }} batch  the openai_batches row
+ * @param {Array<{ custom_id: string, count: number, encoding_format?: string }>} requests
+ */
+export function lineAssembler(batch, requests) {
+    let r = 0;
+    let pending = [];
+    let created = null;
+
+    function emit(out) {
+        const req = requests[r];
+        const id = derivedId("batch_req_", batch.id, r);
+        const failed = pending.find((p) => p.error !== undefined);
+        if (failed) {
+            out.error.push(JSON.stringify({
+                id,
+                custom_id: req.custom_id,
+                response: null,
+                error: { code: errorCode(failed.error), message: failed.error }
+            }));
+        } else {
+            out.output.push(JSON.stringify({
+                id,
+                custom_id: req.custom_id,
+                response: { status_code: 200, request_id: derivedId("req_", batch.id, r), body: responseBody(batch, req, pending, r, created) },
+                error: null
+            }));
+        }
+        r += 1;
+        pending = [];
+    }
+
+    return {
+        /**
+         * @param {{ status: string, item_count: number, result?: Array | null, last_error?: string | null, done_at?: string | null }} chunk
+         * @returns {{ output: string[], error: string[] }}
+         */
+        push(chunk) {
+            const out = { output: [], error: [] };
+            created = unix(chunk.done_at) ?? created ?? Math.floor(Date.now() / 1000);
+            const reason = chunk.last_error ?? (chunk.status === "cancelled" ? "batch cancelled" : "failed");
+            for (let i = 0; i < chunk.item_count; i++) {
+                pending.push(chunk.status === "done" ? chunk.result?.[i] ?? { error: "missing result" } : { error: reason });
+                while (r < requests.length && pending.length >= requests[r].count) emit(out);
+            }
+            return out;
+        }
+    };
+}
+
+function responseBody(batch, req, results, index, created) {
+    if (batch.endpoint === "/v1/embeddings") {
+        return embeddingsList({
+            model: batch.model,
+            embeddings: results.map((x) => x.embedding),
+            usage: null,
+            encodingFormat: req.encoding_format ?? "float"
+        });
+    }
+    const [item] = results;
+    return {
+        id: derivedId("chatcmpl-", batch.id, index),
+        object: "chat.completion",
+        created,
+        model: batch.model,
+        choices: [{ index: 0, message: { role: "assistant", content: item.text ?? "" }, logprobs: null, finish_reason: "stop" }],
+        usage: toOpenAiUsage(item.usage)
+    };
+}
+
+/**
+ * Validate a POST /v1/batches body. Returns `{ error }` (a 400) or
+ * `{ value: { inputFileId, endpoint, completionWindow, windowMs, metadata } }`.
+ */
+export function validateBatchCreate(body) {
+    if (!body || typeof body !== "object") return { error: "body must be a JSON object" };
+    const { input_file_id: inputFileId, endpoint, completion_window: completionWindow = "24h", metadata = null } = body;
+    if (typeof inputFileId !== "string" || inputFileId === "") return { error: "input_file_id is required" };
+    if (!SUPPORTED_ENDPOINTS.includes(endpoint)) return { error: `endpoint must be one of: ${SUPPORTED_ENDPOINTS.join(", ")}` };
+    const windowMs = completionWindowMs(completionWindow);
+    if (windowMs === null) return { error: `completion_window must be "<hours>h", 1..${MAX_COMPLETION_WINDOW_HOURS} hours` };
+    if (metadata !== null) {
+        const entries = typeof metadata === "object" && !Array.isArray(metadata) ? Object.entries(metadata) : null;
+        if (!entries || entries.length > 16
+            || entries.some(([k, v]) => k.length > 64 || typeof v !== "string" || v.length > 512)) {
+            return { error: "metadata must be an object of at most 16 string values (keys ≤ 64, values ≤ 512 characters)" };
+        }
+    }
+    return { value: { inputFileId, endpoint, completionWindow, windowMs, metadata } };
+}
@@ -0,0 +1,120 @@
+/**
+ * Shape normalized job events into OpenAI wire objects (chat completions
+ * and embeddings).
+ *
+ * The provider daemon (and the NIM fallback) write engine-neutral events
+ * into `job_events`; /v1/chat/completions and /v1/embeddings re-emit them
+ * in OpenAI's format. Keeping the shaping here — instead of inline in the
+ * route — lets it be unit-tested without a running Next.js server.
+ */
+
+export function chunkFrame({ id, model, deltaContent = null, finishReason = null, role = null, toolCalls = null }) {
+    const delta = {};
+    if (role) delta.role = role;
+    if (deltaContent !== null) delta.content = deltaContent;
+    if (toolCalls) delta.tool_calls = toolCalls;
+    return {
+        id,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [
+            { index: 0, delta, finish_reason: finishReason }
+        ]
+    };
+}
+
+export function usageFrame({ id, model, usage }) {
+    return {
+        id,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [],
+        usage
+    };
+}
+
+/**
+ * Normalize the engine's `done.usage` block into OpenAI's shape. Always
+ * returns all three fields so SDK typings that treat them as required
+ * don't trip on a provider that couldn't count.
+ */
+export function toOpenAiUsage(usage) {
+    const prompt = Number.isFinite(usage?.prompt_tokens) ? usage.prompt_tokens : 0;
+    const completion = Number.isFinite(usage?.completion_tokens) ? usage.completion_tokens : 0;
+    return {
+        prompt_tokens: prompt,
+        completion_tokens: completion,
+        total_tokens: prompt + completion
+    };
+}
+
+/**
+ * One `tool_call` job event → one streamed `delta.tool_calls[]` entry.
+ * `id` / `type` / `function.name` only appear on the first delta of a
+ * call (the one that carries `call_id`), matching OpenAI's stream.
+ */
+export function toolCallDelta(data) {
+    const fn = { arguments: typeof data?.arguments === "string" ? data.arguments : "" };
+    if (data?.name) fn.name = data.name;
+    return {
+        index: Number.isInteger(data?.index) ? data.index : 0,
+        ...(data?.call_id ? { id: data.call_id, type: "function" } : {}),
+        function: fn
+    };
+}
+
+/**
+ * Fold streamed `tool_call` deltas into complete OpenAI `tool_calls`,
+ * ordered by index. Used by the non-streaming response when the `done`
+ * event didn't carry the assembled list.
+ */
+export function assembleToolCalls(deltas) {
+    const byIndex = new Map();
+    for (const d of deltas) {
+        const index = Number.isInteger(d?.index) ? d.index : 0;
+        const call = byIndex.get(index) ?? { id: null, type: "function", function: { name: "", arguments: "" } };
+        if (d?.call_id) call.id = d.call_id;
+        if (d?.name) call.function.name = d.name;
+        call.function.arguments += typeof d?.arguments === "string" ? d.arguments : "";
+        byIndex.set(index, call);
+    }
+    return [...byIndex.entries()].sort(([a], [b]) => a - b).map(([, call]) => call);
+}
+
+/**
+ * Map the engine's `done.reason` onto OpenAI's `finish_reason`. A
+ * generation that produced tool calls always finishes with "tool_calls"
+ * so clients know to run them and send the results back.
+ */
+export function finishReasonFor(reason, { sawToolCalls = false } = {}) {
+    if (sawToolCalls || reason === "tool_calls") return "tool_calls";
+    if (reason === "length") return "length";
+    return "stop";
+}
+
+/**
+ * Build OpenAI's embeddings list response from the vectors on an
+ * embeddings job's `done` event. `encodingFormat: "base64"` packs each
+ * vector as little-endian float32 bytes, which is what openai-python
+ * requests by default.
+ */
+export function embeddingsList({ model, embeddings, usage, encodingFormat = "float" }) {
+    const prompt = Number.isFinite(usage?.prompt_tokens) ? usage.prompt_tokens : 0;
+    return {
+        object: "list",
+        data: embeddings.map((vector, index) => ({
+            object: "embedding",
+            index,
+            embedding: encodingFormat === "base64" ? float32Base64(vector) : vector
+        })),
+        model,
+        usage: { prompt_tokens: prompt, total_tokens: prompt }
+    };
+}
+
+function float32Base64(vector) {
+    const floats = Float32Array.from(vector);
+    return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength).toString("base64");
+}
@@ -0,0 +1,148 @@
+import "server-only";
+
+import { lookup } from "node:dns/promises";
+import net from "node:net";
+import { Agent, fetch as undiciFetch } from "undici";
+
+/**
+ * Server-side requests to URLs a user chose — remote chat images
+ * (chat-images.js) and batch completion webhooks (data/batch.js) — go
+ * through publicFetch() so they can't be pointed at the control plane's
+ * own network (SSRF).
+ *
+ *   - the host must resolve only to public addresses. Addresses are
+ *     classified by their bytes, so IPv4-mapped (`::ffff:7f00:1`),
+ *     IPv4-compatible and 6to4 forms are judged by the IPv4 address
+ *     they carry, and NAT64 (64:ff9b::/96), Teredo and multicast are
+ *     refused outright.
+ *   - the connection goes to the address that was checked: a one-off
+ *     undici Agent whose `connect.lookup` returns it, so a DNS answer
+ *     that changes between the check and the connect (rebinding) is
+ *     never used. TLS still verifies against the hostname.
+ *   - no redirects — a 3xx to a private address would skip the check.
+ */
+
+const BLOCKED_V4 = new net.BlockList();
+for (const [prefix, bits] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+    ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24],
+    ["192.88.99.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24],
+    ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) BLOCKED_V4.addSubnet(prefix, bits, "ipv4");
+
+const BLOCKED_V6 = new net.BlockList();
+for (const [prefix, bits] of [
+    ["64:ff9b::", 96], ["64:ff9b:1::", 48], ["100::", 64], ["2001::", 32],
+    ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["fec0::", 10], ["ff00::", 8]
+]) BLOCKED_V6.addSubnet(prefix, bits, "ipv6");
+
+/** The 16 bytes of an IPv6 address (already validated by net.isIPv6). */
+function ipv6Bytes(address) {
+    let text = address.toLowerCase().replace(/%.*$/, "");
+    const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted[1].split(".").map(Number);
+        text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.includes("::") ? text.split("::") : [text, null];
+    const left = head ? head.split(":") : [];
+    const right = tail ? tail.split(":") : [];
+    const groups = tail === null ? left : [...left, ...Array(8 - left.length - right.length).fill("0"), ...right];
+    const bytes = Buffer.alloc(16);
+    groups.forEach((g, i) => bytes.writeUInt16BE(parseInt(g, 16), i * 2));
+    return bytes;
+}
+
+const v4String = (bytes) => Array.from(bytes).join(".");
+
+/**
+ * True for anything but a globally routable unicast address: loopback,
+ * RFC 1918, link-local, CGNAT, documentation / benchmarking, multicast,
+ * reserved, IPv6 ULA / site-local / link-local, and the IPv6 forms that
+ * embed or translate to an IPv4 address (judged by that address, or
+ * refused when it can't be told). Unparseable input counts as non-public.
+ */
+export function isNonPublicAddress(address) {
+    if (net.isIPv4(address)) return BLOCKED_V4.check(address, "ipv4");
+    if (!net.isIPv6(address)) return true;
+
+    const bytes = ipv6Bytes(address);
+    const zeros = (n) => bytes.subarray(0, n).every((b) => b === 0);
+    // ::ffff:a.b.c.d (mapped) and ::a.b.c.d (compatible, which covers :: and ::1)
+    if (zeros(10) && bytes[10] === 0xff && bytes[11] === 0xff) return isNonPublicAddress(v4String(bytes.subarray(12)));
+    if (zeros(12)) return true;
+    // 6to4: 2002:AABB:CCDD::/48 routes to a.b.c.d.
+    if (bytes[0] === 0x20 && bytes[1] === 0x02) return isNonPublicAddress(v4String(bytes.subarray(2, 6)));
+    return BLOCKED_V6.check(address.replace(/%.*$/, ""), "ipv6");
+}
+
+/**
+ * Host names that are never public whatever DNS says, and IP literals
+ * that aren't. Sync, for validating a URL before it's stored; the real
+ * check happens again at request time (resolvePublicHost).
+ */
+export function isNonPublicHostname(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal")) return true;
+    return net.isIP(host) ? isNonPublicAddress(host) : false;
+}
+
+function withStatus(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Resolve `hostname` and check every address it has. Returns the one
+ * to connect to.
+ *
+ * @param {string} hostname  a URL's hostname (IPv6 in brackets is fine)
+ * @param {{ label?: string, lookupImpl?: typeof lookup }} [opts]  `label`
+ *   prefixes error messages ("image host", "webhook host")
+ * @returns {Promise<{ address: string, family: 4 | 6 }>}
+ * @throws {Error} with `status: 400`
+ */
+export async function resolvePublicHost(hostname, { label = "host", lookupImpl = lookup } = {}) {
+    const host = hostname.replace(/^\[|\]$/g, "");
+    if (isNonPublicHostname(host)) throw withStatus(`${label} ${hostname} is not a public address`, 400);
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await lookupImpl(host, { all: true });
+    } catch {
+        throw withStatus(`${label} ${hostname} does not resolve`, 400);
+    }
+    if (addresses.length === 0 || addresses.some((a) => isNonPublicAddress(a.address))) {
+        throw withStatus(`${label} ${hostname} is not a public address`, 400);
+    }
+    return { address: addresses[0].address, family: addresses[0].family };
+}
+
+/** A `connect.lookup` that always answers with the address we checked. */
+export function pinnedLookup({ address, family }) {
+    return (_hostname, options, callback) => {
+        if (options?.all) callback(null, [{ address, family }]);
+        else callback(null, address, family);
+    };
+}
+
+/**
+ * fetch() a user-supplied URL: public hosts only, connected to the
+ * checked address, redirects refused. Throws (status 400) before any
+ * request is made when the host isn't public.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @param {{ label?: string, fetchImpl?: typeof fetch, lookupImpl?: typeof lookup }} [opts]
+ */
+export async function publicFetch(url, init = {}, { label, fetchImpl = undiciFetch, lookupImpl } = {}) {
+    const resolved = await resolvePublicHost(new URL(url).hostname, { label, lookupImpl });
+    const dispatcher = new Agent({ connect: { lookup: pinnedLookup(resolved) } });
+    try {
+        return await fetchImpl(url, { ...init, redirect: "error", dispatcher });
+    } finally {
+        // Lets the in-flight request (and its body) finish, then frees
+        // the socket.
+        dispatcher.close().catch(() => {});
+    }
+}
@@ -1,21 +1,67 @@
 import "server-only";
 
+import { createPostgresRateLimitStore, sharedStateBackend } from "@/lib/data/shared-state";
+
 /**
- * Very simple in-memory rate limiter keyed on a string (typically an IP
- * address). Good enough for MVP chat; replace with a Redis/Supabase-
- * backed limiter before scaling beyond one Next.js process.
+ * Fixed-window rate limiter keyed on a string (typically an IP address),
+ * over a pluggable counter store.
  *
  * Usage:
- *   const limit = rateLimit({ windowMs: 60_000, max: 20 });
- *   const res = limit.check(ip);
+ *   const limit = rateLimit({ name: "chat", windowMs: 60_000, max: 20 });
+ *   const res = await limit.check(ip);
  *   if (!res.ok) return new Response('slow down', { status: 429 });
+ *
+ * Store interface:
+ *   hit(key, windowMs) → Promise<{ count, resetAt }>
+ * increments the counter for `key` (starting a fresh window of
+ * `windowMs` if the last one has lapsed) and returns the post-increment
+ * count plus the window's reset time in epoch ms. It must be atomic —
+ * two concurrent hits must never both see the same count.
+ *
+ * Stores:
+ *   - memory   (default) per-process Map. Tests and single-node dev.
+ *   - postgres shared across every Next.js instance via an upsert on
+ *              rate_limit_buckets (lib/data/shared-state.js). Pick it with
+ *              INFERNET_SHARED_STATE=postgres when running more than one
+ *              instance — otherwise each one hands out its own `max`.
  */
 
-export function rateLimit({ windowMs, max }) {
+export function rateLimit({ name = "default", windowMs, max, store = defaultRateLimitStore() }) {
+  async function check(key) {
+    // `name` namespaces the counter so two limiters keyed on the same IP
+    // don't share a bucket in a shared store.
+    const { count, resetAt } = await store.hit(`${name}:${key}`, windowMs);
+    const remaining = Math.max(0, max - count);
+    const ok = count <= max;
+    return { ok, remaining, resetAt };
+  }
+
+  return { check };
+}
+
+export function createMemoryRateLimitStore() {
   /** @type {Map<string, { count: number, reset: number }>} */
   const bucket = new Map();
+  let longestWindowMs = 30_000;
+  let sweep = null;
 
-  function check(key) {
+  // Periodically prune expired entries so the Map doesn't grow unbounded
+  // in a long-running server process.
+  function ensureSweep(windowMs) {
+    if (sweep && windowMs <= longestWindowMs) return;
+    longestWindowMs = Math.max(longestWindowMs, windowMs);
+    if (sweep) clearInterval(sweep);
+    sweep = setInterval(() => {
+      const now = Date.now();
+      for (const [k, v] of bucket) if (v.reset <= now) bucket.delete(k);
+    }, longestWindowMs);
+    // In Next.js' dev server this would otherwise prevent the process from
+    // exiting when the app is stopped.
+    if (typeof sweep.unref === "function") sweep.unref();
+  }
+
+  async function hit(key, windowMs) {
+    ensureSweep(windowMs);
     const now = Date.now();
     let entry = bucket.get(key);
     if (!entry || entry.reset <= now) {
@@ -23,22 +69,17 @@ export function rateLimit({ windowMs, max }) {
       bucket.set(key, entry);
     }
     entry.count += 1;
-    const remaining = Math.max(0, max - entry.count);
-    const ok = entry.count <= max;
-    return { ok, remaining, resetAt: entry.reset };
+    return { count: entry.count, resetAt: entry.reset };
   }
 
-  // Periodically prune expired entries so the Map doesn't grow unbounded
-  // in a long-running server process.
-  const sweep = setInterval(() => {
-    const now = Date.now();
-    for (const [k, v] of bucket) if (v.reset <= now) bucket.delete(k);
-  }, Math.max(windowMs, 30_000));
-  // In Next.js' dev server this would otherwise prevent the process from
-  // exiting when the app is stopped.
-  if (typeof sweep.unref === "function") sweep.unref();
+  return { kind: "memory", hit };
+}
 
-  return { check };
+/** Store selected by INFERNET_SHARED_STATE ("memory" | "postgres"). */
+export function defaultRateLimitStore() {
+  return sharedStateBackend() === "postgres"
+    ? createPostgresRateLimitStore()
+    : createMemoryRateLimitStore();
 }
 
 export function getClientIp(request) {
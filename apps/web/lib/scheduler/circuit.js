@@ -0,0 +1,148 @@
+/**
+ * IPIP-0014 §4 — per-provider circuit breakers, the state machine.
+ *
+ * A provider that fails every job used to keep its full share of
+ * traffic until its reputation caught up. Each provider now has a
+ * breaker fed by the outcome of every job it finishes:
+ *
+ *   closed → open       FAILURE_THRESHOLD failures in a row, or at least
+ *                       FAILURE_RATE of the last WINDOW_SIZE jobs failed
+ *                       (only once the window is full — a provider with
+ *                       little history stays closed)
+ *   open → half_open    after the cooldown, one probe job is let through
+ *   half_open → closed  the next outcome is a success
+ *   half_open → open    the next outcome is a failure, with a longer
+ *                       cooldown (COOLDOWNS_MS, capped at the last one)
+ *
+ * A failure is a job the provider failed, a job taken away from it by
+ * the janitor (heartbeat stale / no progress), or a completed job whose
+ * first token came later than SLOW_FIRST_TOKEN_MS after assignment.
+ * Cancelled jobs count as successes. Two kinds of job don't count at
+ * all: one that failed because of its input (isInputError — the prompt
+ * overflowed the context, the engine refused a tool schema), which any
+ * provider would have failed, and one the consumer pinned to this
+ * provider (input_spec.pinned: a batch's provider_pubkey, or a direct
+ * job's Nostr-discovered `prefer`), which routing had no say in.
+ * A probe that never reports back
+ * (the provider vanished with it) frees the slot for another probe
+ * after PROBE_TIMEOUT_MS.
+ *
+ * Pure functions over a circuit record
+ *   { state, consecutive_fail, trip_count, opened_at, next_probe_at, failure_window }
+ * (timestamps ISO strings, failure_window the last WINDOW_SIZE
+ * `{ ok, reason, at }`), as stored in provider_circuit_state; the
+ * reading and writing is in lib/data/provider-circuit.js.
+ */
+
+export const FAILURE_THRESHOLD = 5;
+export const WINDOW_SIZE = 20;
+export const FAILURE_RATE = 0.5;
+export const COOLDOWNS_MS = [30_000, 2 * 60_000, 8 * 60_000, 30 * 60_000, 60 * 60_000];
+export const PROBE_TIMEOUT_MS = 10 * 60_000;
+export const SLOW_FIRST_TOKEN_MS = 60_000;
+
+export function initialCircuit() {
+    return { state: "closed", consecutive_fail: 0, trip_count: 0, opened_at: null, next_probe_at: null, failure_window: [] };
+}
+
+/** Cooldown before the `trips`-th consecutive trip's probe (1-based). */
+export function cooldownMs(trips) {
+    return COOLDOWNS_MS[Math.min(Math.max(trips, 1), COOLDOWNS_MS.length) - 1];
+}
+
+// A request the engine turned down as malformed. The daemon's backends
+// report an upstream rejection as "<backend> HTTP <status>: <detail>";
+// any 4xx but 408 / 429 (slow or busy — the provider's problem) is about
+// the request. The phrases catch engines that say so mid-stream.
+const INPUT_REJECTION = /\bHTTP 4(?!08|29)\d\d\b/;
+const INPUT_PHRASES = /context (length|window|size)|maximum context|prompt is too long|too many tokens|invalid tool|tool schema|does not support tool_choice/i;
+
+/** True when a job's error message says its input, not the provider, was at fault. */
+export function isInputError(message) {
+    return typeof message === "string" && (INPUT_REJECTION.test(message) || INPUT_PHRASES.test(message));
+}
+
+/**
+ * The breaker outcome for a finished job, or null when the job says
+ * nothing about the provider (pinned, or failed on its input).
+ *
+ * @param {{ status: string, firstTokenMs?: number|null, error?: string|null, pinned?: boolean }} job
+ *   `status` is the job's final status, or "timeout" when the janitor
+ *   gave up on the provider; `firstTokenMs` is assignment → first
+ *   token, when measured; `error` the failure message
+ * @returns {{ ok: boolean, reason: string } | null}
+ */
+export function classifyOutcome({ status, firstTokenMs = null, error = null, pinned = false }) {
+    if (pinned) return null;
+    if (status === "failed") return isInputError(error) ? null : { ok: false, reason: "error" };
+    if (status === "timeout") return { ok: false, reason: "timeout" };
+    if (status === "completed" && Number.isFinite(firstTokenMs) && firstTokenMs > SLOW_FIRST_TOKEN_MS) {
+        return { ok: false, reason: "slow_first_token" };
+    }
+    return { ok: true, reason: status === "cancelled" ? "cancelled" : "ok" };
+}
+
+function tripped(circuit, now) {
+    const trips = circuit.trip_count + 1;
+    return {
+        ...circuit,
+        state: "open",
+        trip_count: trips,
+        opened_at: new Date(now).toISOString(),
+        next_probe_at: new Date(now + cooldownMs(trips)).toISOString()
+    };
+}
+
+/**
+ * Fold one outcome into the circuit.
+ *
+ * @param {object} circuit
+ * @param {{ ok: boolean, reason: string }} outcome  from classifyOutcome()
+ * @param {number} [now]
+ * @returns {object} the next circuit record
+ */
+export function recordOutcome(circuit, outcome, now = Date.now()) {
+    const entry = { ok: outcome.ok, reason: outcome.reason, at: new Date(now).toISOString() };
+    const window = [...(circuit.failure_window ?? []), entry].slice(-WINDOW_SIZE);
+    const next = {
+        ...circuit,
+        consecutive_fail: outcome.ok ? 0 : circuit.consecutive_fail + 1,
+        failure_window: window
+    };
+
+    if (circuit.state === "half_open") {
+        if (!outcome.ok) return tripped(next, now);
+        // Start over: the failures that tripped it shouldn't trip it again.
+        return { ...next, state: "closed", opened_at: null, next_probe_at: null, failure_window: [entry] };
+    }
+    // Jobs handed out before the breaker opened can still finish; they
+    // go into the window but don't move an open breaker.
+    if (circuit.state === "open") return next;
+
+    const failures = window.filter((e) => !e.ok).length;
+    if (next.consecutive_fail >= FAILURE_THRESHOLD
+        || (window.length >= WINDOW_SIZE && failures / window.length >= FAILURE_RATE)) {
+        return tripped(next, now);
+    }
+    // A full window without tripping: back to the shortest cooldown.
+    if (window.length >= WINDOW_SIZE && next.trip_count > 0) return { ...next, trip_count: 0 };
+    return next;
+}
+
+/**
+ * What routing may do with a provider:
+ *   "closed"  route as usual
+ *   "probe"   route one job (claim it with startProbe() first)
+ *   "open"    skip
+ * A provider without a circuit record is "closed".
+ */
+export function circuitGate(circuit, now = Date.now()) {
+    if (!circuit || circuit.state === "closed") return "closed";
+    const probeAt = circuit.next_probe_at ? Date.parse(circuit.next_probe_at) : 0;
+    return probeAt <= now ? "probe" : "open";
+}
+
+/** The circuit once a probe job has been routed to the provider. */
+export function startProbe(circuit, now = Date.now()) {
+    return { ...circuit, state: "half_open", next_probe_at: new Date(now + PROBE_TIMEOUT_MS).toISOString() };
+}
@@ -5,11 +5,13 @@ const nextConfig = {
     "@infernetprotocol/payments",
     "@infernetprotocol/deploy-providers",
     "@infernetprotocol/nim-adapter",
+    "@infernetprotocol/engine",
     "@infernetprotocol/db",
     "@infernetprotocol/gpu",
     "@infernetprotocol/auth",
     "@infernetprotocol/logger",
-    "@infernetprotocol/inference"
+    "@infernetprotocol/inference",
+    "@infernetprotocol/protocol"
   ],
   // Next.js 16 moved this out of `experimental` to the top level.
   typedRoutes: false
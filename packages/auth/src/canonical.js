@@ -0,0 +1,13 @@
+/**
+ * Canonical JSON — the byte string every signed P2P message is signed
+ * over. Object keys sorted at every depth, no insignificant whitespace,
+ * `undefined` members dropped. Any implementation that produces the
+ * same bytes verifies the same signatures.
+ */
+
+export function canonicalJson(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return '{' + keys.map((k) => JSON.stringify(k) + ':' + canonicalJson(value[k])).join(',') + '}';
+}
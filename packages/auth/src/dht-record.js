@@ -0,0 +1,110 @@
+/**
+ * `infernet.dht.v1` records — the signed values peers store for each
+ * other in the DHT (IPIP-0016, protocol/proto/dht/v1/dht.proto).
+ *
+ * DHT peers are untrusted relays, so a record carries its publisher's
+ * signature and every peer verifies it before storing, forwarding or
+ * using it:
+ *
+ *   sig = sign("infernet.dht.v1/record\n" + canonicalJson({
+ *             key, value, provider_peer_id, expires_at_unix, lamport }))
+ *
+ * `key` is the hex sha256 of the record name (`model:<name>`,
+ * `provider:<pubkey>`). Several publishers may write under one key —
+ * every provider serving a model publishes its own capability record
+ * under `model:<name>` — so a key holds one record per publisher, and
+ * two records from the same publisher merge last-write-wins by
+ * `lamport` (IPIP-0016 §7).
+ */
+
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+
+import { canonicalJson } from './canonical.js';
+import { isHex64 } from './keys.js';
+import { signMessage, verifyMessage } from './sig.js';
+
+export const DHT_PROTOCOL = 'infernet.dht.v1';
+// IPIP-0016 §6: provider records live an hour and are republished
+// every 10 minutes.
+export const DHT_RECORD_TTL_SECONDS = 60 * 60;
+export const DHT_REPUBLISH_SECONDS = 10 * 60;
+// Clock skew tolerated on expires_at_unix.
+const LEEWAY_SECONDS = 60;
+// Stored records are small JSON; anything bigger is junk.
+const MAX_VALUE_BYTES = 4096;
+
+function recordSigningString({ key, value, provider_peer_id, expires_at_unix, lamport }) {
+    return `${DHT_PROTOCOL}/record\n${canonicalJson({ key, value, provider_peer_id, expires_at_unix, lamport })}`;
+}
+
+/** DHT key (64 hex) for a record name such as `model:qwen2.5:7b`. */
+export function dhtKey(name) {
+    return bytesToHex(sha256(new TextEncoder().encode(String(name))));
+}
+
+/** Key providers of `model` publish their capability records under. */
+export function modelKey(model) {
+    return dhtKey(`model:${model}`);
+}
+
+/**
+ * @param {{ key: string, value: object, publicKey: string, privateKey: string,
+ *           lamport: number, ttlSeconds?: number, now?: number }} opts  `now` in epoch ms
+ */
+export function signDhtRecord({ key, value, publicKey, privateKey, lamport, ttlSeconds = DHT_RECORD_TTL_SECONDS, now = Date.now() }) {
+    if (!isHex64(key)) throw new Error('dht record: key must be 64 hex characters');
+    if (!isHex64(publicKey) || !isHex64(privateKey)) {
+        throw new Error('dht record: publicKey and privateKey must be 64 hex characters');
+    }
+    const record = {
+        key: key.toLowerCase(),
+        value,
+        provider_peer_id: publicKey.toLowerCase(),
+        expires_at_unix: Math.floor(now / 1000) + ttlSeconds,
+        lamport
+    };
+    return { ...record, signature: signMessage(recordSigningString(record), privateKey) };
+}
+
+/**
+ * Check a record received from a peer. Returns it (keys lower-cased);
+ * throws with a short reason when it is malformed, expired, claims a
+ * lifetime longer than a record may have, or isn't signed by its
+ * publisher.
+ *
+ * @param {object} record
+ * @param {{ now?: number }} [opts]
+ */
+export function verifyDhtRecord(record, { now = Date.now() } = {}) {
+    if (!record || typeof record !== 'object'
+        || typeof record.key !== 'string' || !isHex64(record.key)
+        || typeof record.provider_peer_id !== 'string' || !isHex64(record.provider_peer_id)
+        || !record.value || typeof record.value !== 'object' || Array.isArray(record.value)
+        || !Number.isSafeInteger(record.lamport) || record.lamport < 0
+        || !Number.isInteger(record.expires_at_unix)
+        || typeof record.signature !== 'string') {
+        throw new Error('malformed record');
+    }
+    if (canonicalJson(record.value).length > MAX_VALUE_BYTES) throw new Error('record value too large');
+    const t = Math.floor(now / 1000);
+    if (record.expires_at_unix < t) throw new Error('record expired');
+    if (record.expires_at_unix > t + DHT_RECORD_TTL_SECONDS + LEEWAY_SECONDS) throw new Error('record lifetime too long');
+    const normalized = { ...record, key: record.key.toLowerCase(), provider_peer_id: record.provider_peer_id.toLowerCase() };
+    if (!verifyMessage(recordSigningString(normalized), record.signature, normalized.provider_peer_id)) {
+        throw new Error('record signature invalid');
+    }
+    return normalized;
+}
+
+/**
+ * Last-write-wins between two records from the same publisher: higher
+ * `lamport` wins; a tie keeps the lexicographically larger signature so
+ * every peer converges on the same one.
+ */
+export function newerDhtRecord(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    if (a.lamport !== b.lamport) return a.lamport > b.lamport ? a : b;
+    return a.signature >= b.signature ? a : b;
+}
@@ -0,0 +1,158 @@
+/**
+ * `infernet.handshake.v1` message layer — first contact between peers.
+ *
+ * Spec: protocol/docs/handshake.md, IDL protocol/proto/handshake/v1.
+ * `peer_id` is the node's 64-hex Nostr pubkey and `public_key` the same
+ * 32 bytes as hex, so "public_key derives peer_id" is an equality check.
+ * Both sides sign with that key:
+ *
+ *   request sig  = sign("infernet.handshake.v1/request\n"  + canonicalJson(request))
+ *   response sig = sign("infernet.handshake.v1/response\n" + canonicalJson({ response, request_sig }))
+ *
+ * Binding the response to the request's signature means a recorded
+ * acceptance can't be replayed to a different dialer. The receiver
+ * checks, in order: shape, key ↔ peer_id, signature, ±60s clock skew,
+ * blocklist, capacity, protocol overlap — the first failure is the
+ * rejection reason. Transport (NDJSON lines today) is the caller's
+ * business. Fixtures: protocol/tests/conformance/handshake/v1.
+ */
+
+import { canonicalJson } from './canonical.js';
+import { isHex64 } from './keys.js';
+import { signMessage, verifyMessage } from './sig.js';
+
+export const HANDSHAKE_PROTOCOL = 'infernet.handshake.v1';
+export const MAX_CLOCK_SKEW_SECONDS = 60;
+export const REJECT_REASONS = Object.freeze({
+    malformed: 'malformed handshake',
+    badKey: 'public_key does not derive peer_id',
+    badSignature: 'invalid signature',
+    skew: 'timestamp skew too large',
+    blocked: 'blocked',
+    capacity: 'capacity',
+    noOverlap: 'no overlapping protocol versions'
+});
+
+function requestSigningString(request) {
+    return `${HANDSHAKE_PROTOCOL}/request\n${canonicalJson(request)}`;
+}
+
+function responseSigningString(response, requestSig) {
+    return `${HANDSHAKE_PROTOCOL}/response\n${canonicalJson({ response, request_sig: requestSig })}`;
+}
+
+function nowSeconds(now) {
+    return Math.floor((now ?? Date.now()) / 1000);
+}
+
+/**
+ * Build the signed handshake line a dialer sends first.
+ *
+ * @param {{ publicKey: string, privateKey: string, agentVersion: string,
+ *           protocols: string[], now?: number }} opts  `now` in epoch ms
+ * @returns {{ cmd: 'handshake', request: object, sig: string }}
+ */
+export function createHandshakeRequest({ publicKey, privateKey, agentVersion, protocols, now }) {
+    if (!isHex64(publicKey) || !isHex64(privateKey)) {
+        throw new Error('handshake: publicKey and privateKey must be 64 hex characters');
+    }
+    const key = publicKey.toLowerCase();
+    const request = {
+        peer_id: key,
+        agent_version: agentVersion,
+        supported_protocols: [...protocols],
+        public_key: key,
+        timestamp_unix: nowSeconds(now)
+    };
+    return { cmd: 'handshake', request, sig: signMessage(requestSigningString(request), privateKey) };
+}
+
+/**
+ * Receiver side: decide whether to accept a handshake line.
+ *
+ * @param {object} message  the parsed `{ cmd: 'handshake', request, sig }` line
+ * @param {{ protocols: string[], now?: number, blocklist?: Iterable<string>,
+ *           atCapacity?: boolean }} opts  `protocols` = what the receiver speaks
+ * @returns {{ accepted: boolean, reason: string, selected_protocols: string[], peerId: string | null }}
+ */
+export function evaluateHandshake(message, { protocols, now, blocklist = [], atCapacity = false }) {
+    const reject = (reason, peerId = null) => ({ accepted: false, reason, selected_protocols: [], peerId });
+    const request = message?.request;
+    if (!isWellFormedRequest(request) || typeof message.sig !== 'string') return reject(REJECT_REASONS.malformed);
+
+    const peerId = request.peer_id.toLowerCase();
+    if (!isHex64(request.public_key) || request.public_key.toLowerCase() !== peerId) {
+        return reject(REJECT_REASONS.badKey);
+    }
+    if (!verifyMessage(requestSigningString(request), message.sig, peerId)) {
+        return reject(REJECT_REASONS.badSignature);
+    }
+    if (Math.abs(nowSeconds(now) - request.timestamp_unix) > MAX_CLOCK_SKEW_SECONDS) {
+        return reject(REJECT_REASONS.skew, peerId);
+    }
+    for (const blocked of blocklist) {
+        if (String(blocked).toLowerCase() === peerId) return reject(REJECT_REASONS.blocked, peerId);
+    }
+    if (atCapacity) return reject(REJECT_REASONS.capacity, peerId);
+
+    const ours = new Set(protocols);
+    const selected = request.supported_protocols.filter((p) => p !== HANDSHAKE_PROTOCOL && ours.has(p));
+    if (selected.length === 0) return reject(REJECT_REASONS.noOverlap, peerId);
+    return { accepted: true, reason: '', selected_protocols: [...new Set(selected)], peerId };
+}
+
+function isWellFormedRequest(request) {
+    return Boolean(request)
+        && typeof request.peer_id === 'string'
+        && isHex64(request.peer_id)
+        && typeof request.public_key === 'string'
+        && typeof request.agent_version === 'string'
+        && Array.isArray(request.supported_protocols)
+        && request.supported_protocols.every((p) => typeof p === 'string')
+        && Number.isInteger(request.timestamp_unix);
+}
+
+/**
+ * Receiver side: the signed reply line for a verdict from evaluateHandshake().
+ *
+ * @param {{ publicKey: string, privateKey: string, verdict: object, requestSig: string }} opts
+ */
+export function createHandshakeResponse({ publicKey, privateKey, verdict, requestSig }) {
+    const response = {
+        peer_id: publicKey.toLowerCase(),
+        accepted: verdict.accepted,
+        selected_protocols: verdict.selected_protocols,
+        reason: verdict.reason
+    };
+    return {
+        ok: true,
+        data: { response, sig: signMessage(responseSigningString(response, requestSig ?? ''), privateKey) }
+    };
+}
+
+/**
+ * Dialer side: check the receiver's reply to our request. Returns the
+ * HandshakeResponse; throws when the reply is unsigned, signed by
+ * someone else, or not from `expectedPeerId` (when given). A validly
+ * signed rejection is returned, not thrown — the caller decides how to
+ * report `reason`.
+ *
+ * @param {object} reply  parsed reply line
+ * @param {{ requestSig: string, expectedPeerId?: string }} opts
+ */
+export function verifyHandshakeResponse(reply, { requestSig, expectedPeerId }) {
+    if (reply?.ok === false) throw new Error(`handshake refused: ${reply.error ?? 'unknown error'}`);
+    const response = reply?.data?.response;
+    const sig = reply?.data?.sig;
+    if (!response || typeof response.peer_id !== 'string' || !isHex64(response.peer_id) || typeof sig !== 'string') {
+        throw new Error('handshake: malformed response');
+    }
+    const peerId = response.peer_id.toLowerCase();
+    if (expectedPeerId && peerId !== expectedPeerId.toLowerCase()) {
+        throw new Error(`handshake: expected peer ${expectedPeerId}, got ${peerId}`);
+    }
+    if (!verifyMessage(responseSigningString(response, requestSig), sig, peerId)) {
+        throw new Error('handshake: response signature does not verify');
+    }
+    return { ...response, peer_id: peerId, selected_protocols: response.selected_protocols ?? [] };
+}
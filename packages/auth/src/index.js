@@ -5,10 +5,27 @@
  * - `sig`  : Schnorr sign / verify over arbitrary messages.
  * - `signed-request` : HTTP envelope that lets a node prove ownership of a
  *   Nostr pubkey on every request without sharing a DB credential.
+ * - `key-delegation` : scoped, time-bounded subkeys and key rotation for
+ *   the v2 envelope.
+ * - `handshake` : `infernet.handshake.v1` messages for P2P first contact.
+ * - `job-ticket` : control-plane-signed tickets for direct P2P inference.
+ * - `dht-record` : signed `infernet.dht.v1` records and their LWW merge.
+ * - `pubsub-envelope` : signed `infernet.pubsub.v1` gossip envelopes.
+ * - `nostr-event` : NIP-01 event signing and the NIP-78 capability
+ *   advertisement providers publish to relays.
+ * - `nip44` : NIP-44 v2 encryption for operator direct messages.
  * - `nostr` : legacy browser-extension helpers (NIP-07). Kept for the web UI.
  */
 
 export * from './keys.js';
 export * from './sig.js';
 export * from './signed-request.js';
+export * from './key-delegation.js';
+export * from './canonical.js';
+export * from './handshake.js';
+export * from './job-ticket.js';
+export * from './dht-record.js';
+export * from './pubsub-envelope.js';
+export * from './nostr-event.js';
+export * from './nip44.js';
 export * from './nostr.js';
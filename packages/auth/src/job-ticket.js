@@ -0,0 +1,139 @@
+/**
+ * Direct-inference job tickets.
+ *
+ * When a consumer streams from a provider over the P2P port instead of
+ * through the control plane, the provider needs proof that the control
+ * plane created (and will bill) the job. The control plane signs a
+ * short-lived ticket with its platform DID key (Ed25519, the key behind
+ * /.well-known/did.json); the provider verifies it offline against that
+ * published key.
+ *
+ * Wire form: `base64url(claimsJson) + "." + base64url(ed25519Sig(claimsJson))`
+ *
+ * Claims:
+ *   v             JOB_TICKET_VERSION
+ *   iss           platform DID (did:web:<host>)
+ *   job_id        jobs.id the provider reports back to
+ *   provider      provider's Nostr pubkey — only it may run the ticket
+ *   client        consumer's Nostr pubkey — only the peer that proved
+ *                 this key in the handshake may present it
+ *   model         model to run (may be null)
+ *   input_sha256  sha256(canonicalJson(input)) of the job input the
+ *                 consumer will forward, so it can't swap the prompt
+ *   iat, exp      unix seconds; exp - iat = JOB_TICKET_TTL_SECONDS
+ */
+
+import { ed25519 } from '@noble/curves/ed25519.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+
+import { canonicalJson } from './canonical.js';
+
+export const JOB_TICKET_VERSION = 1;
+export const JOB_TICKET_TTL_SECONDS = 120;
+// Clock skew tolerated on iat / exp.
+const LEEWAY_SECONDS = 30;
+
+// PKCS#8 DER for an Ed25519 key is a fixed 16-byte prefix + the 32-byte seed.
+const PKCS8_ED25519_LENGTH = 48;
+// Multicodec prefix for an ed25519 public key.
+const ED25519_PUB_MULTICODEC = [0xed, 0x01];
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base64urlEncode(bytes) {
+    return Buffer.from(bytes).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64urlDecode(str) {
+    const pad = '='.repeat((4 - (str.length % 4)) % 4);
+    const b64 = (str + pad).replace(/-/g, '+').replace(/_/g, '/');
+    return new Uint8Array(Buffer.from(b64, 'base64'));
+}
+
+function base58Decode(str) {
+    let num = 0n;
+    for (const ch of str) {
+        const digit = BASE58_ALPHABET.indexOf(ch);
+        if (digit < 0) throw new Error(`invalid base58 character "${ch}"`);
+        num = num * 58n + BigInt(digit);
+    }
+    const hex = num === 0n ? '' : num.toString(16);
+    const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+    let zeros = 0;
+    while (zeros < str.length && str[zeros] === '1') zeros += 1;
+    return new Uint8Array(Buffer.concat([Buffer.alloc(zeros), body]));
+}
+
+/**
+ * The 32-byte Ed25519 seed inside a base64 PKCS#8 DER key — the format
+ * tooling/generate-secrets.mjs writes to DID_PRIVATE_KEY_BASE64.
+ */
+export function ed25519SeedFromPkcs8(base64) {
+    const der = Buffer.from(String(base64 ?? ''), 'base64');
+    if (der.length !== PKCS8_ED25519_LENGTH) throw new Error('not an Ed25519 PKCS#8 key');
+    return new Uint8Array(der.subarray(-32));
+}
+
+/**
+ * Raw 32-byte public key from a `z…` multibase Ed25519 key, as found in
+ * a DID document's `publicKeyMultibase` (DID_VERIFICATION_KEY).
+ */
+export function ed25519PublicKeyFromMultibase(multibase) {
+    if (typeof multibase !== 'string' || !multibase.startsWith('z')) {
+        throw new Error('expected a base58btc (z…) multibase key');
+    }
+    const bytes = base58Decode(multibase.slice(1));
+    if (bytes.length !== 34 || bytes[0] !== ED25519_PUB_MULTICODEC[0] || bytes[1] !== ED25519_PUB_MULTICODEC[1]) {
+        throw new Error('multibase key is not an ed25519 public key');
+    }
+    return bytes.subarray(2);
+}
+
+/** sha256 hex of the job input the ticket pins. */
+export function jobInputHash(input) {
+    return bytesToHex(sha256(new TextEncoder().encode(canonicalJson(input ?? {}))));
+}
+
+/**
+ * @param {object} claims  everything but v / iat / exp
+ * @param {Uint8Array} seed  32-byte Ed25519 private key seed
+ * @param {{ now?: number, ttlSeconds?: number }} [opts]  `now` in epoch ms
+ * @returns {{ ticket: string, claims: object }}
+ */
+export function signJobTicket(claims, seed, { now = Date.now(), ttlSeconds = JOB_TICKET_TTL_SECONDS } = {}) {
+    const iat = Math.floor(now / 1000);
+    const full = { ...claims, v: JOB_TICKET_VERSION, iat, exp: iat + ttlSeconds };
+    const body = new TextEncoder().encode(canonicalJson(full));
+    const sig = ed25519.sign(body, seed);
+    return { ticket: `${base64urlEncode(body)}.${base64urlEncode(sig)}`, claims: full };
+}
+
+/**
+ * Verify a ticket against the platform's public key. Returns the claims;
+ * throws with a short reason (`bad ticket`, `ticket signature invalid`,
+ * `ticket expired`, …) the provider can send back to the consumer.
+ *
+ * @param {string} ticket
+ * @param {{ publicKey: Uint8Array, now?: number }} opts
+ */
+export function verifyJobTicket(ticket, { publicKey, now = Date.now() }) {
+    const [body64, sig64, extra] = typeof ticket === 'string' ? ticket.split('.') : [];
+    if (!body64 || !sig64 || extra !== undefined) throw new Error('bad ticket');
+    let body;
+    let claims;
+    try {
+        body = base64urlDecode(body64);
+        claims = JSON.parse(new TextDecoder().decode(body));
+    } catch {
+        throw new Error('bad ticket');
+    }
+    let valid = false;
+    try { valid = ed25519.verify(base64urlDecode(sig64), body, publicKey); } catch { valid = false; }
+    if (!valid) throw new Error('ticket signature invalid');
+    if (claims?.v !== JOB_TICKET_VERSION) throw new Error(`unsupported ticket version ${claims?.v}`);
+    const t = Math.floor(now / 1000);
+    if (!Number.isInteger(claims.exp) || t > claims.exp + LEEWAY_SECONDS) throw new Error('ticket expired');
+    if (!Number.isInteger(claims.iat) || claims.iat > t + LEEWAY_SECONDS) throw new Error('ticket not yet valid');
+    return claims;
+}
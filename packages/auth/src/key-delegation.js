@@ -0,0 +1,201 @@
+/**
+ * Delegated subkeys and key rotation for the v2 signed-request envelope
+ * (signed-request.js).
+ *
+ * A node's long-lived key — its master — can hand a container a subkey
+ * that may sign only some requests, for a bounded time, so the master
+ * privkey never leaves the operator's machine. The master signs a
+ * delegation certificate:
+ *
+ *   { v, master, subkey, scopes, not_before, expires_at, sig }
+ *
+ * `sig` is the master's Schnorr signature over
+ * `infernet-delegation/1\n` + canonicalJson(certificate without sig).
+ * A v2 envelope signed by the subkey carries the certificate, and the
+ * control plane treats the request as the master's — but only on paths
+ * the certificate's scopes cover (DELEGATION_SCOPES). Key management is
+ * in no scope: rotating and revoking always take the master key.
+ *
+ * Rotation moves a node to a new master key. The new key signs a
+ * statement naming the old one (signRotation), proving the node holds
+ * it; the request carrying that statement is signed by the old key.
+ * Afterwards the control plane refuses the old key outright.
+ */
+
+import { canonicalJson } from './canonical.js';
+import { isHex64 } from './keys.js';
+import { signMessage, verifyMessage } from './sig.js';
+
+export const DELEGATION_VERSION = 1;
+export const MAX_DELEGATION_SECONDS = 90 * 24 * 60 * 60;
+export const DEFAULT_DELEGATION_SECONDS = 7 * 24 * 60 * 60;
+// A rotation statement is only good this close to its created_at.
+export const ROTATION_WINDOW_SECONDS = 300;
+// Clock skew tolerated on not_before / expires_at.
+const LEEWAY_SECONDS = 30;
+
+const DELEGATION_DOMAIN = 'infernet-delegation/1\n';
+const ROTATION_DOMAIN = 'infernet-rotation/1\n';
+
+/**
+ * What a delegated key may call, by scope. `*` matches one path
+ * segment. Anything not listed here — payouts/set, remove, key
+ * management, every /api/v1/user route — needs the master key.
+ */
+export const DELEGATION_SCOPES = Object.freeze({
+    heartbeat: ['/api/v1/node/heartbeat'],
+    jobs: ['/api/v1/node/jobs/poll', '/api/v1/node/jobs/*/events', '/api/v1/node/jobs/*/complete'],
+    commands: ['/api/v1/node/commands/poll', '/api/v1/node/commands/*/complete'],
+    register: ['/api/v1/node/register'],
+    read: ['/api/v1/node/me', '/api/v1/node/payments/list', '/api/v1/node/payouts/list']
+});
+
+function matches(pattern, path) {
+    const want = pattern.split('/');
+    const got = path.split('/');
+    return want.length === got.length && want.every((seg, i) => seg === '*' ? got[i] !== '' : seg === got[i]);
+}
+
+/** True if `scopes` cover `path` (query string ignored). */
+export function scopesAllow(scopes, path) {
+    const bare = String(path).split('?')[0];
+    return scopes.some((scope) => (DELEGATION_SCOPES[scope] ?? []).some((pattern) => matches(pattern, bare)));
+}
+
+function delegationClaims(cert) {
+    return {
+        v: cert.v,
+        master: cert.master,
+        subkey: cert.subkey,
+        scopes: cert.scopes,
+        not_before: cert.not_before,
+        expires_at: cert.expires_at
+    };
+}
+
+/**
+ * Delegate `scopes` to `subkey` for `ttlSeconds`, signed by the master
+ * keypair.
+ *
+ * @param {{ privateKey: string, publicKey: string, subkey: string, scopes: string[],
+ *           ttlSeconds?: number, now?: number }} opts  `now` in epoch ms
+ */
+export function createDelegation({ privateKey, publicKey, subkey, scopes, ttlSeconds = DEFAULT_DELEGATION_SECONDS, now = Date.now() }) {
+    if (!isHex64(publicKey) || !isHex64(subkey)) throw new Error('publicKey and subkey must be 64 hex characters');
+    if (publicKey.toLowerCase() === subkey.toLowerCase()) throw new Error('a key cannot delegate to itself');
+    if (!Array.isArray(scopes) || scopes.length === 0) throw new Error('at least one scope is required');
+    const unknown = scopes.filter((s) => !Object.hasOwn(DELEGATION_SCOPES, s));
+    if (unknown.length > 0) throw new Error(`unknown scope: ${unknown.join(', ')}`);
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > MAX_DELEGATION_SECONDS) {
+        throw new Error(`ttlSeconds must be 1..${MAX_DELEGATION_SECONDS}`);
+    }
+    const notBefore = Math.floor(now / 1000);
+    const claims = {
+        v: DELEGATION_VERSION,
+        master: publicKey.toLowerCase(),
+        subkey: subkey.toLowerCase(),
+        scopes: [...new Set(scopes)].sort(),
+        not_before: notBefore,
+        expires_at: notBefore + ttlSeconds
+    };
+    return { ...claims, sig: signMessage(DELEGATION_DOMAIN + canonicalJson(claims), privateKey) };
+}
+
+/**
+ * Check a delegation certificate's shape, signature and validity window.
+ * Returns it; throws with a short reason the server can send back.
+ *
+ * @param {object} cert
+ * @param {{ now?: number }} [opts]  `now` in epoch ms
+ */
+export function verifyDelegation(cert, { now = Date.now() } = {}) {
+    if (!cert || typeof cert !== 'object') throw new Error('delegation must be an object');
+    if (cert.v !== DELEGATION_VERSION) throw new Error(`unsupported delegation version: ${cert.v}`);
+    if (!isHex64(cert.master) || !isHex64(cert.subkey)) throw new Error('delegation keys must be 64 hex chars');
+    if (cert.master === cert.subkey) throw new Error('delegation to the master itself');
+    if (!Array.isArray(cert.scopes) || cert.scopes.length === 0 || !cert.scopes.every((s) => Object.hasOwn(DELEGATION_SCOPES, s))) {
+        throw new Error('delegation scopes invalid');
+    }
+    if (!Number.isInteger(cert.not_before) || !Number.isInteger(cert.expires_at)
+        || cert.expires_at <= cert.not_before || cert.expires_at - cert.not_before > MAX_DELEGATION_SECONDS) {
+        throw new Error('delegation validity window invalid');
+    }
+    if (typeof cert.sig !== 'string' || !verifyMessage(DELEGATION_DOMAIN + canonicalJson(delegationClaims(cert)), cert.sig, cert.master)) {
+        throw new Error('delegation signature invalid');
+    }
+    const t = Math.floor(now / 1000);
+    if (cert.not_before > t + LEEWAY_SECONDS) throw new Error('delegation not yet valid');
+    if (t > cert.expires_at + LEEWAY_SECONDS) throw new Error('delegation expired');
+    return cert;
+}
+
+function rotationStatement(oldPubkey, newPubkey, createdAt) {
+    return `${ROTATION_DOMAIN}${oldPubkey}\n${newPubkey}\n${createdAt}`;
+}
+
+/**
+ * The new key's half of a rotation: `{ new_pubkey, created_at, new_sig }`,
+ * sent as the body of a request signed by the old key.
+ *
+ * @param {{ oldPublicKey: string, privateKey: string, publicKey: string, now?: number }} opts
+ *   `privateKey`/`publicKey` are the NEW keypair; `now` in epoch ms
+ */
+export function signRotation({ oldPublicKey, privateKey, publicKey, now = Date.now() }) {
+    if (!isHex64(oldPublicKey) || !isHex64(publicKey)) throw new Error('oldPublicKey and publicKey must be 64 hex characters');
+    const createdAt = Math.floor(now / 1000);
+    const newPubkey = publicKey.toLowerCase();
+    return {
+        new_pubkey: newPubkey,
+        created_at: createdAt,
+        new_sig: signMessage(rotationStatement(oldPublicKey.toLowerCase(), newPubkey, createdAt), privateKey)
+    };
+}
+
+/**
+ * Check a rotation body against the (already authenticated) old key.
+ * Returns the new pubkey; throws with a short reason.
+ *
+ * @param {object} body
+ * @param {{ oldPublicKey: string, now?: number }} opts  `now` in epoch ms
+ */
+export function verifyRotation(body, { oldPublicKey, now = Date.now() }) {
+    const newPubkey = typeof body?.new_pubkey === 'string' ? body.new_pubkey.toLowerCase() : null;
+    if (!isHex64(newPubkey)) throw new Error('new_pubkey must be 64 hex chars');
+    if (newPubkey === oldPublicKey.toLowerCase()) throw new Error('new_pubkey is the current key');
+    if (!Number.isInteger(body.created_at) || Math.abs(Math.floor(now / 1000) - body.created_at) > ROTATION_WINDOW_SECONDS) {
+        throw new Error('rotation statement outside its time window');
+    }
+    if (typeof body.new_sig !== 'string'
+        || !verifyMessage(rotationStatement(oldPublicKey.toLowerCase(), newPubkey, body.created_at), body.new_sig, newPubkey)) {
+        throw new Error('new key signature invalid');
+    }
+    return newPubkey;
+}
+
+/**
+ * Revocation store interface — anything with
+ *
+ *   revoke(pubkey, { delegatedBy?, replacedBy? }) → void | Promise<void>
+ *   isRevoked(pubkey, { delegatedBy? })           → boolean | Promise<boolean>
+ *
+ * A key revoked outright (rotated away) is refused everywhere. With
+ * `delegatedBy`, only that master's delegation to the key is revoked —
+ * a master can't use a certificate naming someone else's key to lock
+ * that key out. `isRevoked(key, { delegatedBy })` is true for either.
+ * RevocationList below is the in-memory implementation; the control
+ * plane swaps in a Postgres-backed one with INFERNET_SHARED_STATE.
+ */
+
+/** In-memory revocation store. Per-process and forgotten on restart. */
+export class RevocationList {
+    constructor() {
+        this.revoked = new Map(); // `${pubkey}|${delegatedBy ?? ''}` → { replacedBy, revokedAt }
+    }
+    revoke(pubkey, { delegatedBy = '', replacedBy = null } = {}) {
+        this.revoked.set(`${pubkey.toLowerCase()}|${delegatedBy.toLowerCase()}`, { replacedBy, revokedAt: Date.now() });
+    }
+    isRevoked(pubkey, { delegatedBy = '' } = {}) {
+        const key = pubkey.toLowerCase();
+        return this.revoked.has(`${key}|`) || (delegatedBy !== '' && this.revoked.has(`${key}|${delegatedBy.toLowerCase()}`));
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * NIP-44 v2 payload encryption — what IPIP-0002 direct messages carry
+ * in `content`.
+ *
+ *   conversation_key = HKDF-extract(salt "nip44-v2", ECDH(a, B).x)
+ *   chacha_key ‖ chacha_nonce ‖ hmac_key = HKDF-expand(conversation_key, nonce, 76)
+ *   payload = base64(0x02 ‖ nonce ‖ ChaCha20(padded) ‖ HMAC-SHA256(hmac_key, nonce ‖ ciphertext))
+ *
+ * `padded` is the u16 big-endian length, the UTF-8 plaintext and zeros
+ * up to the next padding bucket, so ciphertexts only leak a coarse
+ * length. The conversation key is symmetric — both sides derive the
+ * same one from their own private key and the other's pubkey.
+ */
+
+import { chacha20 } from '@noble/ciphers/chacha.js';
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { expand, extract } from '@noble/hashes/hkdf.js';
+import { hmac } from '@noble/hashes/hmac.js';
+import { concatBytes, hexToBytes, randomBytes } from '@noble/hashes/utils.js';
+
+import { isHex64 } from './keys.js';
+
+const VERSION = 2;
+const SALT = new TextEncoder().encode('nip44-v2');
+const MIN_PLAINTEXT = 1;
+const MAX_PLAINTEXT = 65535;
+
+function paddedLength(len) {
+    if (len <= 32) return 32;
+    const nextPower = 1 << (Math.floor(Math.log2(len - 1)) + 1);
+    const chunk = nextPower <= 256 ? 32 : nextPower / 8;
+    return chunk * (Math.floor((len - 1) / chunk) + 1);
+}
+
+function pad(plaintext) {
+    const bytes = new TextEncoder().encode(plaintext);
+    if (bytes.length < MIN_PLAINTEXT || bytes.length > MAX_PLAINTEXT) {
+        throw new Error('nip44: plaintext must be 1..65535 bytes');
+    }
+    const out = new Uint8Array(2 + paddedLength(bytes.length));
+    new DataView(out.buffer).setUint16(0, bytes.length);
+    out.set(bytes, 2);
+    return out;
+}
+
+function unpad(padded) {
+    const len = new DataView(padded.buffer, padded.byteOffset).getUint16(0);
+    if (len < MIN_PLAINTEXT || padded.length !== 2 + paddedLength(len)) throw new Error('nip44: invalid padding');
+    return new TextDecoder().decode(padded.subarray(2, 2 + len));
+}
+
+function messageKeys(conversationKey, nonce) {
+    const keys = expand(sha256, conversationKey, nonce, 76);
+    return { chachaKey: keys.subarray(0, 32), chachaNonce: keys.subarray(32, 44), hmacKey: keys.subarray(44, 76) };
+}
+
+// btoa/atob exist in browsers and Node 16+; Buffer only in Node.
+function toBase64(bytes) {
+    let bin = '';
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin);
+}
+
+function fromBase64(text) {
+    const bin = atob(text);
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i += 1) out[i] = bin.charCodeAt(i);
+    return out;
+}
+
+function equalBytes(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i += 1) diff |= a[i] ^ b[i];
+    return diff === 0;
+}
+
+/**
+ * Shared key between `privateKey` and `publicKey` (both 64 hex; the
+ * pubkey x-only as everywhere else). Returns 32 bytes.
+ */
+export function nip44ConversationKey(privateKey, publicKey) {
+    if (!isHex64(privateKey) || !isHex64(publicKey)) {
+        throw new Error('nip44: privateKey and publicKey must be 64 hex characters');
+    }
+    const shared = secp256k1.getSharedSecret(hexToBytes(privateKey), hexToBytes(`02${publicKey}`));
+    return extract(sha256, shared.subarray(1, 33), SALT);
+}
+
+/**
+ * @param {string} plaintext
+ * @param {Uint8Array} conversationKey  from nip44ConversationKey()
+ * @param {Uint8Array} [nonce]  32 random bytes; only tests pass one
+ * @returns {string} base64 payload
+ */
+export function nip44Encrypt(plaintext, conversationKey, nonce = randomBytes(32)) {
+    const { chachaKey, chachaNonce, hmacKey } = messageKeys(conversationKey, nonce);
+    const ciphertext = chacha20(chachaKey, chachaNonce, pad(plaintext));
+    const mac = hmac(sha256, hmacKey, concatBytes(nonce, ciphertext));
+    return toBase64(concatBytes(new Uint8Array([VERSION]), nonce, ciphertext, mac));
+}
+
+/** Throws when the payload is malformed, of another version, or fails its MAC. */
+export function nip44Decrypt(payload, conversationKey) {
+    if (typeof payload !== 'string' || payload.length < 132 || payload.length > 87472 || payload[0] === '#') {
+        throw new Error('nip44: invalid payload');
+    }
+    let data;
+    try { data = fromBase64(payload); }
+    catch { throw new Error('nip44: invalid payload'); }
+    if (data[0] !== VERSION) throw new Error(`nip44: unsupported version ${data[0]}`);
+    if (data.length < 99 || data.length > 65603) throw new Error('nip44: invalid payload');
+    const nonce = data.subarray(1, 33);
+    const ciphertext = data.subarray(33, data.length - 32);
+    const mac = data.subarray(data.length - 32);
+    const { chachaKey, chachaNonce, hmacKey } = messageKeys(conversationKey, nonce);
+    if (!equalBytes(hmac(sha256, hmacKey, concatBytes(nonce, ciphertext)), mac)) {
+        throw new Error('nip44: invalid MAC');
+    }
+    return unpad(chacha20(chachaKey, chachaNonce, ciphertext));
+}
@@ -0,0 +1,164 @@
+/**
+ * Nostr events (NIP-01) and the NIP-78 capability advertisement
+ * providers publish so consumers can find them through relays instead
+ * of the control plane (IPIP-0006).
+ *
+ * An event's id is the sha256 of its NIP-01 serialization
+ *
+ *   JSON.stringify([0, pubkey, created_at, kind, tags, content])
+ *
+ * and `sig` is a BIP-340 signature over that id — exactly what
+ * signMessage() produces for the serialization, so the node's existing
+ * key signs events as-is.
+ *
+ * The capability event is a parameterized replaceable event (kind
+ * 30078, NIP-33): relays keep only the newest one per pubkey and
+ * `d` tag, so each republish replaces the last.
+ *
+ *   ["d", "infernet:capability:v1"]   ["client", "infernet:discover:v1"]
+ *   ["m", "<model>"]…                 ["addr", "<multiaddr>"]
+ *   ["gpu", "<vendor>", "<vram tier>"]…  ["price", "<usd per 1k tokens>"]
+ *   ["coin", "<code>", "<network>"]…  ["expires", "<unix seconds>"]
+ *
+ * Relays are untrusted: consumers verify the signature and drop events
+ * whose `expires` has passed.
+ */
+
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+
+import { isHex64 } from './keys.js';
+import { signMessage, verifyMessage } from './sig.js';
+
+export const CAPABILITY_KIND = 30078;
+export const CAPABILITY_D_TAG = 'infernet:capability:v1';
+export const CAPABILITY_CLIENT_TAG = 'infernet:discover:v1';
+// IPIP-0006: republish every 60s. An event outlives three missed
+// republishes before consumers drop it.
+export const CAPABILITY_REPUBLISH_SECONDS = 60;
+export const CAPABILITY_TTL_SECONDS = 3 * CAPABILITY_REPUBLISH_SECONDS;
+// Longest `expires` a consumer accepts, so a provider can't pin a stale
+// advertisement for days.
+const MAX_CAPABILITY_TTL_SECONDS = 60 * 60;
+// Clock skew tolerated on created_at / expires.
+const LEEWAY_SECONDS = 60;
+const MAX_MODELS = 64;
+
+function serializeEvent({ pubkey, created_at, kind, tags, content }) {
+    return JSON.stringify([0, pubkey, created_at, kind, tags, content]);
+}
+
+/** NIP-01 event id (64 hex). */
+export function nostrEventId(event) {
+    return bytesToHex(sha256(new TextEncoder().encode(serializeEvent(event))));
+}
+
+/**
+ * @param {{ kind: number, tags?: string[][], content?: string, created_at?: number }} template
+ * @param {{ publicKey: string, privateKey: string }} keys
+ */
+export function signNostrEvent({ kind, tags = [], content = '', created_at = Math.floor(Date.now() / 1000) }, { publicKey, privateKey }) {
+    if (!isHex64(publicKey) || !isHex64(privateKey)) {
+        throw new Error('nostr event: publicKey and privateKey must be 64 hex characters');
+    }
+    const event = { pubkey: publicKey.toLowerCase(), created_at, kind, tags, content };
+    return { id: nostrEventId(event), ...event, sig: signMessage(serializeEvent(event), privateKey) };
+}
+
+/** True when `event` is well-formed, its id matches and its signature verifies. */
+export function verifyNostrEvent(event) {
+    if (!event || typeof event !== 'object'
+        || typeof event.pubkey !== 'string' || !isHex64(event.pubkey)
+        || typeof event.id !== 'string' || typeof event.sig !== 'string'
+        || !Number.isInteger(event.created_at) || !Number.isInteger(event.kind)
+        || typeof event.content !== 'string'
+        || !Array.isArray(event.tags) || !event.tags.every((t) => Array.isArray(t) && t.every((v) => typeof v === 'string'))) {
+        return false;
+    }
+    if (nostrEventId(event) !== event.id) return false;
+    return verifyMessage(serializeEvent(event), event.sig, event.pubkey);
+}
+
+/**
+ * Sign a provider's capability advertisement.
+ *
+ * @param {{ models: string[], multiaddr?: string | null,
+ *           gpus?: { vendor: string, vram_tier: string }[],
+ *           price?: number | null, coins?: { code: string, network?: string }[],
+ *           publicKey: string, privateKey: string,
+ *           ttlSeconds?: number, now?: number }} opts  `now` in epoch ms
+ */
+export function buildCapabilityEvent({
+    models,
+    multiaddr = null,
+    gpus = [],
+    price = null,
+    coins = [],
+    publicKey,
+    privateKey,
+    ttlSeconds = CAPABILITY_TTL_SECONDS,
+    now = Date.now()
+}) {
+    const created_at = Math.floor(now / 1000);
+    const tags = [
+        ['d', CAPABILITY_D_TAG],
+        ['client', CAPABILITY_CLIENT_TAG],
+        ...models.slice(0, MAX_MODELS).map((m) => ['m', String(m)])
+    ];
+    if (multiaddr) tags.push(['addr', multiaddr]);
+    for (const g of gpus) tags.push(['gpu', String(g.vendor ?? 'unknown'), String(g.vram_tier ?? 'unknown')]);
+    if (Number.isFinite(price) && price >= 0) tags.push(['price', String(price)]);
+    for (const c of coins) tags.push(c.network ? ['coin', c.code, c.network] : ['coin', c.code]);
+    tags.push(['expires', String(created_at + ttlSeconds)]);
+    return signNostrEvent({ kind: CAPABILITY_KIND, tags, content: '', created_at }, { publicKey, privateKey });
+}
+
+/**
+ * Check a capability event received from a relay and flatten it.
+ * Throws with a short reason when it isn't one, isn't signed by its
+ * pubkey, has expired, or claims too long a lifetime.
+ *
+ * @returns {{ pubkey: string, id: string, created_at: number, expires_at_unix: number,
+ *             models: string[], multiaddr: string | null,
+ *             gpus: { vendor: string, vram_tier: string }[],
+ *             price: number | null, coins: { code: string, network: string | null }[] }}
+ */
+export function parseCapabilityEvent(event, { now = Date.now() } = {}) {
+    if (event?.kind !== CAPABILITY_KIND) throw new Error('not a capability event');
+    const tag = (name) => event.tags?.find?.((t) => Array.isArray(t) && t[0] === name)?.[1];
+    if (tag('d') !== CAPABILITY_D_TAG) throw new Error('not a capability event');
+    if (!verifyNostrEvent(event)) throw new Error('event signature invalid');
+
+    const t = Math.floor(now / 1000);
+    const expires = Number.parseInt(tag('expires') ?? '', 10);
+    if (!Number.isInteger(expires)) throw new Error('capability event has no expires tag');
+    if (expires < t) throw new Error('capability event expired');
+    if (event.created_at > t + LEEWAY_SECONDS || expires > event.created_at + MAX_CAPABILITY_TTL_SECONDS) {
+        throw new Error('capability event lifetime too long');
+    }
+
+    const all = (name) => event.tags.filter((x) => x[0] === name);
+    const price = Number.parseFloat(tag('price') ?? '');
+    return {
+        pubkey: event.pubkey.toLowerCase(),
+        id: event.id,
+        created_at: event.created_at,
+        expires_at_unix: expires,
+        models: [...new Set(all('m').map((x) => x[1]).filter(Boolean))].slice(0, MAX_MODELS),
+        multiaddr: tag('addr') || null,
+        gpus: all('gpu').map((x) => ({ vendor: x[1] ?? 'unknown', vram_tier: x[2] ?? 'unknown' })),
+        price: Number.isFinite(price) && price >= 0 ? price : null,
+        coins: all('coin').filter((x) => x[1]).map((x) => ({ code: x[1], network: x[2] ?? null }))
+    };
+}
+
+/**
+ * NIP-33 replacement between two events from the same pubkey and `d`
+ * tag: the later `created_at` wins, a tie keeps the lower id.
+ */
+export function newerNostrEvent(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    if (a.created_at !== b.created_at) return a.created_at > b.created_at ? a : b;
+    return a.id <= b.id ? a : b;
+}
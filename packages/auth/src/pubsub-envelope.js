@@ -0,0 +1,107 @@
+/**
+ * `infernet.pubsub.v1` envelopes — the signed unit of gossip
+ * (protocol/proto/pubsub/v1/pubsub.proto, protocol/docs/pubsub.md).
+ *
+ * Gossip is forwarded by peers that never saw the publisher, so every
+ * receiver checks the publisher's signature itself:
+ *
+ *   message_id = sha256(sender_peer_id "|" timestamp_unix "|" sha256(payload))
+ *   sig = sign("infernet.pubsub.v1/envelope\n"
+ *              + message_id "|" topic "|" sender_peer_id "|" timestamp_unix "|" sha256(payload))
+ *
+ * `payload` is a JSON object on the NDJSON transport (the proto's
+ * `bytes`); sha256(payload) is taken over its canonical JSON so every
+ * peer hashes the same bytes. The id is derived, not chosen, so one
+ * publisher can't mint fresh ids to slip a payload past dedup.
+ */
+
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+
+import { canonicalJson } from './canonical.js';
+import { isHex64 } from './keys.js';
+import { signMessage, verifyMessage } from './sig.js';
+
+export const PUBSUB_PROTOCOL = 'infernet.pubsub.v1';
+// protocol/docs/pubsub.md: TTL above this is dropped; ±60s replay window.
+export const PUBSUB_MAX_TTL = 16;
+export const PUBSUB_MAX_SKEW_SECONDS = 60;
+const MAX_TOPIC_LENGTH = 128;
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+const hashHex = (text) => bytesToHex(sha256(new TextEncoder().encode(text)));
+
+function envelopeSigningString({ message_id, topic, sender_peer_id, timestamp_unix, payloadHash }) {
+    return `${PUBSUB_PROTOCOL}/envelope\n${message_id}|${topic}|${sender_peer_id}|${timestamp_unix}|${payloadHash}`;
+}
+
+/** The message id an envelope with these fields must carry. */
+export function pubsubMessageId({ sender_peer_id, timestamp_unix, payload }) {
+    return hashHex(`${sender_peer_id}|${timestamp_unix}|${hashHex(canonicalJson(payload))}`);
+}
+
+/**
+ * @param {{ topic: string, payload: object, publicKey: string, privateKey: string,
+ *           now?: number }} opts  `now` in epoch ms
+ */
+export function signPubsubEnvelope({ topic, payload, publicKey, privateKey, now = Date.now() }) {
+    if (!isHex64(publicKey) || !isHex64(privateKey)) {
+        throw new Error('pubsub envelope: publicKey and privateKey must be 64 hex characters');
+    }
+    if (typeof topic !== 'string' || topic.length === 0 || topic.length > MAX_TOPIC_LENGTH) {
+        throw new Error('pubsub envelope: topic must be a non-empty string');
+    }
+    const sender_peer_id = publicKey.toLowerCase();
+    const timestamp_unix = Math.floor(now / 1000);
+    const payloadHash = hashHex(canonicalJson(payload));
+    const message_id = hashHex(`${sender_peer_id}|${timestamp_unix}|${payloadHash}`);
+    return {
+        message_id,
+        topic,
+        sender_peer_id,
+        timestamp_unix,
+        payload,
+        signature: signMessage(envelopeSigningString({ message_id, topic, sender_peer_id, timestamp_unix, payloadHash }), privateKey)
+    };
+}
+
+/**
+ * Check an envelope received from a peer. Returns it (sender
+ * lower-cased); throws with a short reason when it is malformed, its id
+ * doesn't match its contents, its timestamp is outside the replay
+ * window, or it isn't signed by its sender.
+ *
+ * @param {object} envelope
+ * @param {{ now?: number }} [opts]
+ */
+export function verifyPubsubEnvelope(envelope, { now = Date.now() } = {}) {
+    if (!envelope || typeof envelope !== 'object'
+        || typeof envelope.message_id !== 'string' || !isHex64(envelope.message_id)
+        || typeof envelope.topic !== 'string' || envelope.topic.length === 0 || envelope.topic.length > MAX_TOPIC_LENGTH
+        || typeof envelope.sender_peer_id !== 'string' || !isHex64(envelope.sender_peer_id)
+        || !Number.isInteger(envelope.timestamp_unix)
+        || !envelope.payload || typeof envelope.payload !== 'object' || Array.isArray(envelope.payload)
+        || typeof envelope.signature !== 'string') {
+        throw new Error('malformed envelope');
+    }
+    const payloadJson = canonicalJson(envelope.payload);
+    if (payloadJson.length > MAX_PAYLOAD_BYTES) throw new Error('payload too large');
+    const sender_peer_id = envelope.sender_peer_id.toLowerCase();
+    const payloadHash = hashHex(payloadJson);
+    const message_id = envelope.message_id.toLowerCase();
+    if (hashHex(`${sender_peer_id}|${envelope.timestamp_unix}|${payloadHash}`) !== message_id) {
+        throw new Error('message id mismatch');
+    }
+    if (Math.abs(envelope.timestamp_unix - Math.floor(now / 1000)) > PUBSUB_MAX_SKEW_SECONDS) {
+        throw new Error('envelope timestamp out of range');
+    }
+    const signed = envelopeSigningString({
+        message_id,
+        topic: envelope.topic,
+        sender_peer_id,
+        timestamp_unix: envelope.timestamp_unix,
+        payloadHash
+    });
+    if (!verifyMessage(signed, envelope.signature, sender_peer_id)) throw new Error('envelope signature invalid');
+    return { ...envelope, message_id, sender_peer_id };
+}
@@ -4,20 +4,35 @@
  *
  * Protocol:
  *   - The client computes a canonical string:
- *       `${method}\n${path}\n${created_at}\n${nonce}\n${sha256_hex(body)}`
+ *       v1: `${method}\n${path}\n${created_at}\n${nonce}\n${sha256_hex(body)}`
+ *       v2: `infernet-auth/2\n` + the v1 string
  *   - Signs it with Schnorr (BIP-340) using the node's 32-byte Nostr privkey.
  *   - Attaches an `X-Infernet-Auth` header with base64url-encoded JSON:
- *       { v, pubkey, created_at, nonce, sig }
+ *       { v, pubkey, created_at, nonce, sig, delegation? }
+ *
+ * v2 adds delegation: `pubkey` may be a subkey whose certificate
+ * (key-delegation.js) rides in `delegation`, and the request then acts
+ * for the certificate's master within its scopes. The prefix keeps a v1
+ * signature from being replayed as v2. Without a delegation a node keeps
+ * sending v1, which every control plane understands.
  *
  * The server verifies:
- *   1. `v === 1`
+ *   1. `v` is 1 or 2
  *   2. `created_at` is within +/- REPLAY_WINDOW_SECONDS of now
  *   3. `nonce` has not been seen before (caller-provided replay cache)
  *   4. signature is valid for (method, path, created_at, nonce, sha256(body))
- *   5. `pubkey` is authorized for the target resource (caller check)
+ *   5. v2 + delegation: the certificate is valid, names `pubkey` as its
+ *      subkey, and its scopes cover `path`
+ *   6. the acting pubkey is authorized for the target resource and no
+ *      key involved is revoked (caller checks)
  *
  * `path` must be the request path + query (e.g. `/api/v1/node/heartbeat`),
  * not the full URL, so proxies rewriting hostnames don't break the sig.
+ *
+ * `body` is hashed as the exact bytes on the wire: UTF-8 for JSON text,
+ * the encoded message as-is for `application/x-protobuf` bodies. Both
+ * sides must hash the raw bytes — decoding a binary body to a string
+ * and back is lossy.
  */
 
 import { sha256 } from '@noble/hashes/sha2.js';
@@ -25,9 +40,12 @@ import { bytesToHex, hexToBytes, randomBytes } from '@noble/hashes/utils.js';
 
 import { signMessage, verifyMessage } from './sig.js';
 import { isHex64 } from './keys.js';
+import { scopesAllow, verifyDelegation } from './key-delegation.js';
 
 export const AUTH_HEADER = 'x-infernet-auth';
 export const ENVELOPE_VERSION = 1;
+export const ENVELOPE_VERSION_V2 = 2;
+const ENVELOPE_VERSIONS = new Set([ENVELOPE_VERSION, ENVELOPE_VERSION_V2]);
 export const REPLAY_WINDOW_SECONDS = 60;
 
 function utf8(value) {
@@ -38,8 +56,19 @@ function sha256Hex(bytes) {
     return bytesToHex(sha256(bytes));
 }
 
-function canonicalString({ method, path, createdAt, nonce, bodyHashHex }) {
-    return `${method.toUpperCase()}\n${path}\n${createdAt}\n${nonce}\n${bodyHashHex}`;
+// string → UTF-8; Uint8Array (incl. Buffer) / ArrayBuffer → as-is;
+// nothing → empty. Anything else is a caller bug, not an empty body.
+function bodyBytes(body) {
+    if (body === undefined || body === null) return new Uint8Array(0);
+    if (typeof body === 'string') return utf8(body);
+    if (body instanceof Uint8Array) return body;
+    if (body instanceof ArrayBuffer) return new Uint8Array(body);
+    throw new TypeError('body must be a string, Uint8Array or ArrayBuffer');
+}
+
+function canonicalString({ version, method, path, createdAt, nonce, bodyHashHex }) {
+    const v1 = `${method.toUpperCase()}\n${path}\n${createdAt}\n${nonce}\n${bodyHashHex}`;
+    return version === ENVELOPE_VERSION_V2 ? `infernet-auth/2\n${v1}` : v1;
 }
 
 function base64urlEncode(bytes) {
@@ -59,28 +88,37 @@ function base64urlDecode(str) {
  * @param {Object} opts
  * @param {string} opts.method - HTTP method
  * @param {string} opts.path   - request path + query string
- * @param {string} opts.body   - request body as a string (use '' for GET)
+ * @param {string|Uint8Array|ArrayBuffer} opts.body - exact body bytes, or a
+ *   string sent as UTF-8 (use '' for GET)
  * @param {string} opts.privateKey - 64-char hex Nostr privkey
  * @param {string} opts.publicKey  - 64-char hex Nostr pubkey (x-only)
+ * @param {Object} [opts.delegation] - certificate delegating to `publicKey`
+ *   (createDelegation); implies v2
+ * @param {number} [opts.version]  - 1 (default) or 2
  */
-export function signRequest({ method, path, body, privateKey, publicKey }) {
+export function signRequest({ method, path, body, privateKey, publicKey, delegation, version }) {
     if (!isHex64(privateKey) || !isHex64(publicKey)) {
         throw new Error('privateKey and publicKey must be 64 hex characters');
     }
+    const v = delegation ? ENVELOPE_VERSION_V2 : (version ?? ENVELOPE_VERSION);
+    if (!ENVELOPE_VERSIONS.has(v)) throw new Error(`unsupported envelope version: ${v}`);
+    if (delegation && delegation.subkey !== publicKey.toLowerCase()) {
+        throw new Error('delegation is for a different subkey');
+    }
     const createdAt = Math.floor(Date.now() / 1000);
     const nonce = bytesToHex(randomBytes(16));
-    const bodyBytes = typeof body === 'string' ? utf8(body) : (body ?? new Uint8Array(0));
-    const bodyHashHex = sha256Hex(bodyBytes);
+    const bodyHashHex = sha256Hex(bodyBytes(body));
 
-    const canonical = canonicalString({ method, path, createdAt, nonce, bodyHashHex });
+    const canonical = canonicalString({ version: v, method, path, createdAt, nonce, bodyHashHex });
     const sig = signMessage(canonical, privateKey);
 
     const envelope = {
-        v: ENVELOPE_VERSION,
+        v,
         pubkey: publicKey.toLowerCase(),
         created_at: createdAt,
         nonce,
-        sig
+        sig,
+        ...(delegation ? { delegation } : {})
     };
     const header = base64urlEncode(utf8(JSON.stringify(envelope)));
     return { header, bodyHashHex };
@@ -99,7 +137,7 @@ export function parseAuthHeader(headerValue) {
     } catch (err) {
         throw new Error(`invalid X-Infernet-Auth envelope: ${err?.message ?? err}`);
     }
-    if (json?.v !== ENVELOPE_VERSION) {
+    if (!ENVELOPE_VERSIONS.has(json?.v)) {
         throw new Error(`unsupported envelope version: ${json?.v}`);
     }
     if (!isHex64(json.pubkey)) {
@@ -114,21 +152,27 @@ export function parseAuthHeader(headerValue) {
     if (typeof json.sig !== 'string' || json.sig.length !== 128) {
         throw new Error('envelope sig must be a 128-char hex string');
     }
+    if (json.delegation !== undefined && (json.v !== ENVELOPE_VERSION_V2 || !json.delegation || typeof json.delegation !== 'object')) {
+        throw new Error('envelope delegation requires v2 and must be an object');
+    }
     return json;
 }
 
 /**
- * Verify a signed request. Returns { ok: true, pubkey } on success or
- * { ok: false, error } on failure.
+ * Verify a signed request. Returns { ok: true, pubkey, signer, delegation }
+ * on success or { ok: false, error } on failure. `pubkey` is the key the
+ * request acts for — the certificate's master when a subkey signed it
+ * (then `signer` is the subkey), else the signer itself.
  *
  * The caller is responsible for:
  *   - de-duplicating `nonce` values (replay cache)
  *   - authorizing `pubkey` against the target resource
+ *   - refusing revoked keys (`pubkey`, and `signer` under `delegation`)
  *
  * @param {Object} opts
  * @param {string} opts.method
  * @param {string} opts.path
- * @param {string|Uint8Array} opts.body - exact bytes the client sent
+ * @param {string|Uint8Array|ArrayBuffer} opts.body - exact bytes the client sent
  * @param {string} opts.headerValue - value of X-Infernet-Auth
  * @param {number} [opts.now] - override current time (seconds) for tests
  */
@@ -146,12 +190,15 @@ export function verifySignedRequest({ method, path, body, headerValue, now }) {
         return { ok: false, error: `timestamp outside replay window (skew=${skew}s)` };
     }
 
-    const bodyBytes = typeof body === 'string'
-        ? utf8(body)
-        : (body instanceof Uint8Array ? body : new Uint8Array(0));
-    const bodyHashHex = sha256Hex(bodyBytes);
+    let bodyHashHex;
+    try {
+        bodyHashHex = sha256Hex(bodyBytes(body));
+    } catch (err) {
+        return { ok: false, error: err.message };
+    }
 
     const canonical = canonicalString({
+        version: env.v,
         method,
         path,
         createdAt: env.created_at,
@@ -162,13 +209,50 @@ export function verifySignedRequest({ method, path, body, headerValue, now }) {
     if (!verifyMessage(canonical, env.sig, env.pubkey)) {
         return { ok: false, error: 'signature verification failed' };
     }
-    return { ok: true, pubkey: env.pubkey, nonce: env.nonce, createdAt: env.created_at };
+
+    const signer = env.pubkey.toLowerCase();
+    const delegation = env.delegation ?? null;
+    if (delegation) {
+        try {
+            verifyDelegation(delegation, { now: nowSec * 1000 });
+        } catch (err) {
+            return { ok: false, error: err.message };
+        }
+        if (delegation.subkey !== signer) {
+            return { ok: false, error: 'delegation is for a different subkey' };
+        }
+        if (!scopesAllow(delegation.scopes, path)) {
+            return { ok: false, error: `delegated key may not call ${path.split('?')[0]}` };
+        }
+    }
+    return {
+        ok: true,
+        pubkey: delegation ? delegation.master : signer,
+        signer,
+        delegation,
+        version: env.v,
+        nonce: env.nonce,
+        createdAt: env.created_at
+    };
 }
 
+/**
+ * Replay store interface — anything with
+ *
+ *   claim(nonce, ttlSeconds) → boolean | Promise<boolean>
+ *
+ * that records `nonce` and returns true the first time it's seen, false
+ * on every later call until the TTL lapses. The check and the insert
+ * must be one atomic step, otherwise two instances racing on the same
+ * nonce can both accept it. ReplayCache below is the in-memory
+ * implementation; the control plane swaps in a Postgres-backed one
+ * (unique-nonce insert) when it runs more than one instance.
+ */
+
 /**
  * In-memory replay cache — LRU-ish Map keyed by nonce with a hard ceiling.
- * For serverless/Next.js this is per-process; behind a load balancer you'd
- * want to swap this for Redis / Supabase. Good enough for Phase 1.
+ * Per-process: fine for tests and a single instance, but behind a load
+ * balancer a nonce seen by one instance can be replayed against another.
  */
 export class ReplayCache {
     constructor({ max = 10_000, ttlSeconds = REPLAY_WINDOW_SECONDS * 2 } = {}) {
@@ -185,11 +269,18 @@ export class ReplayCache {
         }
         return true;
     }
-    add(nonce) {
+    add(nonce, ttlSeconds) {
         if (this.seen.size >= this.max) {
             const firstKey = this.seen.keys().next().value;
             if (firstKey) this.seen.delete(firstKey);
         }
-        this.seen.set(nonce, Date.now() + this.ttlMs);
+        const ttlMs = Number.isFinite(ttlSeconds) ? ttlSeconds * 1000 : this.ttlMs;
+        this.seen.set(nonce, Date.now() + ttlMs);
+    }
+    /** Replay store interface: true if `nonce` is new (and now recorded). */
+    claim(nonce, ttlSeconds) {
+        if (this.has(nonce)) return false;
+        this.add(nonce, ttlSeconds);
+        return true;
     }
 }
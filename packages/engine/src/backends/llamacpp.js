@@ -14,12 +14,19 @@
  *     many small models on commodity hardware
  *
  * The adapter speaks OpenAI's /v1/chat/completions SSE — same logic
- * as vllm.js, different defaults.
+ * as vllm.js, different defaults (including the
+ * `stream_options.include_usage` trailing usage frame).
+ * `response_format` is turned into a grammar via llama-server's
+ * `json_schema` field (see `grammarConstraint`).
+ * Image content parts pass through as-is; llama-server accepts them
+ * when started with a multimodal projector (`--mmproj`).
+ * `embed()` hits `/v1/embeddings`, which llama-server exposes when
+ * started with `--embedding`.
  */
 
 import { randomUUID } from "node:crypto";
 import { AsyncQueue } from "../async-queue.js";
-import { MSG, PROTOCOL_VERSION } from "../protocol.js";
+import { MSG, PROTOCOL_VERSION, SAMPLING_PARAMS, makeUsage, toolCallDeltas } from "../protocol.js";
 
 const DEFAULT_HOST = "http://localhost:8080";
 const PROBE_TIMEOUT_MS = 500;
@@ -60,7 +67,11 @@ export async function createLlamacppBackend({
         kind: "llamacpp",
         host,
         hasApiKey: Boolean(apiKey),
-        generate({ messages, id, model = null, max_tokens, temperature } = {}) {
+        sampling: Object.freeze([...SAMPLING_PARAMS]),
+        generate({
+            messages, id, model = null, max_tokens, temperature, tools, tool_choice,
+            top_p, stop, seed, presence_penalty, frequency_penalty, logit_bias, response_format
+        } = {}) {
             const genId = id ?? randomUUID();
             const stream = new AsyncQueue();
             const ctrl = new AbortController();
@@ -82,10 +93,24 @@ export async function createLlamacppBackend({
                 const body = {
                     model: resolvedModel,
                     messages: Array.isArray(messages) ? messages : [],
-                    stream: true
+                    stream: true,
+                    // Ask for a trailing usage chunk (empty `choices`,
+                    // populated `usage`) right before [DONE].
+                    stream_options: { include_usage: true }
                 };
                 if (typeof temperature === "number") body.temperature = temperature;
                 if (typeof max_tokens === "number") body.max_tokens = max_tokens;
+                if (typeof top_p === "number") body.top_p = top_p;
+                if (Array.isArray(stop) && stop.length > 0) body.stop = stop;
+                if (Number.isInteger(seed)) body.seed = seed;
+                if (typeof presence_penalty === "number") body.presence_penalty = presence_penalty;
+                if (typeof frequency_penalty === "number") body.frequency_penalty = frequency_penalty;
+                if (logit_bias && typeof logit_bias === "object") body.logit_bias = logit_bias;
+                Object.assign(body, grammarConstraint(response_format));
+                if (Array.isArray(tools) && tools.length > 0) {
+                    body.tools = tools;
+                    if (tool_choice !== undefined) body.tool_choice = tool_choice;
+                }
 
                 const headers = { "content-type": "application/json" };
                 if (apiKey) headers["authorization"] = `Bearer ${apiKey}`;
@@ -120,6 +145,7 @@ export async function createLlamacppBackend({
                 let acc = "";
                 let buf = "";
                 let finishReason = null;
+                let usage = null;
                 const decoder = new TextDecoder();
 
                 try {
@@ -139,6 +165,7 @@ export async function createLlamacppBackend({
                                     id: genId,
                                     reason: finishReason ?? "stop",
                                     text: acc,
+                                    ...(usage ? { usage } : {}),
                                     finished_at: new Date().toISOString()
                                 });
                                 stream.end();
@@ -173,9 +200,18 @@ export async function createLlamacppBackend({
                                     text
                                 });
                             }
+                            for (const tc of toolCallDeltas(choice)) {
+                                stream.push({ v: PROTOCOL_VERSION, type: MSG.TOOL_CALL, id: genId, ...tc });
+                            }
                             if (choice?.finish_reason) {
                                 finishReason = choice.finish_reason;
                             }
+                            if (parsed.usage) {
+                                usage = makeUsage(
+                                    parsed.usage.prompt_tokens,
+                                    parsed.usage.completion_tokens
+                                ) ?? usage;
+                            }
                         }
                     }
                     stream.push({
@@ -184,6 +220,7 @@ export async function createLlamacppBackend({
                         id: genId,
                         reason: finishReason ?? "stop",
                         text: acc,
+                        ...(usage ? { usage } : {}),
                         finished_at: new Date().toISOString()
                     });
                     stream.end();
@@ -206,12 +243,68 @@ export async function createLlamacppBackend({
                 cancel: () => ctrl.abort()
             };
         },
+        /**
+         * Embed a batch of strings in one round trip via the
+         * OpenAI-compatible /v1/embeddings. Resolves `{ model,
+         * embeddings, usage }` with vectors in input order (sorted by
+         * the response's `index`); rejects on transport or HTTP errors.
+         */
+        async embed({ input, model = null, signal } = {}) {
+            const resolvedModel = model ?? defaultModel;
+            if (!resolvedModel) {
+                throw new Error("llamacpp backend: no embedding model — pass model in the job");
+            }
+            const inputs = Array.isArray(input) ? input : [input];
+            const headers = { "content-type": "application/json" };
+            if (apiKey) headers["authorization"] = `Bearer ${apiKey}`;
+            const res = await fetchImpl(new URL("/v1/embeddings", host), {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ model: resolvedModel, input: inputs }),
+                signal
+            });
+            if (!res.ok) {
+                let detail = "";
+                try {
+                    detail = await res.text();
+                } catch {
+                    // best-effort
+                }
+                throw new Error(`llamacpp HTTP ${res.status}: ${detail.slice(0, 200)}`);
+            }
+            const parsed = await res.json();
+            const data = Array.isArray(parsed?.data) ? [...parsed.data] : [];
+            data.sort((a, b) => (a?.index ?? 0) - (b?.index ?? 0));
+            if (data.length !== inputs.length) {
+                throw new Error(
+                    `llamacpp returned ${data.length} embeddings for ${inputs.length} inputs`
+                );
+            }
+            return {
+                model: parsed.model ?? resolvedModel,
+                embeddings: data.map((d) => d?.embedding ?? []),
+                usage: makeUsage(parsed.usage?.prompt_tokens)
+            };
+        },
         async shutdown() {
             // The llama.cpp / llama-swap server is owned by the operator.
         }
     };
 }
 
+/**
+ * OpenAI `response_format` → llama-server's `json_schema` field, which it
+ * compiles to a GBNF grammar before sampling. JSON mode is the schema
+ * `{ type: "object" }` (any object).
+ */
+export function grammarConstraint(responseFormat) {
+    if (responseFormat?.type === "json_object") return { json_schema: { type: "object" } };
+    if (responseFormat?.type === "json_schema" && responseFormat.json_schema?.schema) {
+        return { json_schema: responseFormat.json_schema.schema };
+    }
+    return {};
+}
+
 function pushTerminal(stream, genId, ctrl, err, accSoFar) {
     if (ctrl.signal.aborted) {
         stream.push({
@@ -27,6 +27,8 @@ export async function createMojoBackend({
     return {
         kind: "mojo",
         binary: bin,
+        // The scaffold binary ignores sampling fields entirely.
+        sampling: Object.freeze([]),
         generate: (req) => proc.generate(req),
         shutdown: (opts) => proc.shutdown(opts)
     };
@@ -11,6 +11,28 @@
  * Ollama running picks `ollama` automatically; nodes without it fall
  * through to `stub` (or `mojo` if `INFERNET_ENGINE_BIN` is set).
  *
+ * Tools: OpenAI-shaped `tools` go through unchanged (Ollama accepts the
+ * same schema). Ollama returns whole calls on `message.tool_calls` with
+ * `arguments` as an object, so we emit one `tool_call` event per call
+ * with the arguments re-serialized, and translate OpenAI-style history
+ * (string arguments, `tool_call_id` on tool results) into Ollama's shape
+ * on the way in. Ollama has no `tool_choice`: "none" drops the tools,
+ * "auto" is what it does anyway, and a forced choice ("required" or a
+ * named function) fails the generation rather than quietly letting the
+ * model answer in text.
+ *
+ * Images: OpenAI `image_url` content parts become Ollama's per-message
+ * `images` array (see `toOllamaMessages`).
+ *
+ * Embeddings: `embed()` posts the whole batch to `/api/embed` and
+ * resolves with the vectors — there's nothing to stream.
+ *
+ * Sampling: top_p / stop / seed / penalties go in `options`;
+ * `response_format` becomes `format` (see `ollamaFormat`).
+ *
+ * Usage: the final `done:true` chunk's `prompt_eval_count` / `eval_count`
+ * are forwarded as `usage` on our `done` event.
+ *
  * Cancellation: each generation owns an AbortController; `cancel()`
  * aborts the in-flight fetch, which surfaces a `done` event with
  * `reason: "cancel"`.
@@ -19,7 +41,7 @@
 import os from "node:os";
 import { randomUUID } from "node:crypto";
 import { AsyncQueue } from "../async-queue.js";
-import { MSG, PROTOCOL_VERSION } from "../protocol.js";
+import { MSG, PROTOCOL_VERSION, makeUsage } from "../protocol.js";
 
 const DEFAULT_HOST = "http://localhost:11434";
 const PROBE_TIMEOUT_MS = 500;
@@ -72,7 +94,12 @@ export async function createOllamaBackend({
         kind: "ollama",
         host,
         numThread,
-        generate({ messages, id, model = null, max_tokens, temperature } = {}) {
+        // No logit_bias: Ollama's options have no equivalent.
+        sampling: Object.freeze(["top_p", "stop", "seed", "presence_penalty", "frequency_penalty", "response_format"]),
+        generate({
+            messages, id, model = null, max_tokens, temperature, tools, tool_choice,
+            top_p, stop, seed, presence_penalty, frequency_penalty, response_format
+        } = {}) {
             const genId = id ?? randomUUID();
             const stream = new AsyncQueue();
             const ctrl = new AbortController();
@@ -90,15 +117,36 @@ export async function createOllamaBackend({
                     stream.end();
                     return;
                 }
+                const forced = forcedToolChoice(tool_choice);
+                if (forced) {
+                    stream.push({
+                        v: PROTOCOL_VERSION,
+                        type: MSG.ERROR,
+                        id: genId,
+                        message: `ollama backend does not support tool_choice ${forced} — Ollama can't force a tool call`
+                    });
+                    stream.end();
+                    return;
+                }
 
                 const body = {
                     model: resolvedModel,
-                    messages: Array.isArray(messages) ? messages : [],
+                    messages: Array.isArray(messages) ? toOllamaMessages(messages) : [],
                     stream: true,
                     options: {}
                 };
+                if (Array.isArray(tools) && tools.length > 0 && tool_choice !== "none") {
+                    body.tools = tools;
+                }
                 if (typeof temperature === "number") body.options.temperature = temperature;
                 if (typeof max_tokens === "number") body.options.num_predict = max_tokens;
+                if (typeof top_p === "number") body.options.top_p = top_p;
+                if (Array.isArray(stop) && stop.length > 0) body.options.stop = stop;
+                if (Number.isInteger(seed)) body.options.seed = seed;
+                if (typeof presence_penalty === "number") body.options.presence_penalty = presence_penalty;
+                if (typeof frequency_penalty === "number") body.options.frequency_penalty = frequency_penalty;
+                const format = ollamaFormat(response_format);
+                if (format) body.format = format;
                 // Bound CPU usage by default so one inference can't peg
                 // every core. Operator can lift the cap via OLLAMA_NUM_THREAD.
                 if (Number.isFinite(numThread) && numThread > 0) {
@@ -136,6 +184,7 @@ export async function createOllamaBackend({
                 }
 
                 let metaSent = false;
+                let toolCallCount = 0;
                 let acc = "";
                 let buf = "";
                 const decoder = new TextDecoder();
@@ -177,13 +226,40 @@ export async function createOllamaBackend({
                                 });
                             }
 
+                            const calls = Array.isArray(parsed?.message?.tool_calls)
+                                ? parsed.message.tool_calls
+                                : [];
+                            for (const call of calls) {
+                                const fn = call?.function ?? {};
+                                const args = fn.arguments;
+                                stream.push({
+                                    v: PROTOCOL_VERSION,
+                                    type: MSG.TOOL_CALL,
+                                    id: genId,
+                                    index: toolCallCount,
+                                    call_id: typeof call?.id === "string" && call.id
+                                        ? call.id
+                                        : `call_${randomUUID().replace(/-/g, "").slice(0, 24)}`,
+                                    name: typeof fn.name === "string" ? fn.name : "",
+                                    arguments: typeof args === "string" ? args : JSON.stringify(args ?? {})
+                                });
+                                toolCallCount += 1;
+                            }
+
                             if (parsed.done) {
+                                // The final chunk carries Ollama's own token
+                                // counts: prompt_eval_count (prompt) and
+                                // eval_count (generated).
+                                const usage = makeUsage(parsed.prompt_eval_count, parsed.eval_count);
                                 stream.push({
                                     v: PROTOCOL_VERSION,
                                     type: MSG.DONE,
                                     id: genId,
-                                    reason: parsed.done_reason ?? "stop",
+                                    reason: toolCallCount > 0 && (parsed.done_reason ?? "stop") === "stop"
+                                        ? "tool_calls"
+                                        : parsed.done_reason ?? "stop",
                                     text: acc,
+                                    ...(usage ? { usage } : {}),
                                     finished_at: new Date().toISOString()
                                 });
                                 stream.end();
@@ -220,6 +296,45 @@ export async function createOllamaBackend({
                 cancel: () => ctrl.abort()
             };
         },
+        /**
+         * Embed a batch of strings in one round trip via /api/embed.
+         * Resolves `{ model, embeddings, usage }` with one vector per
+         * input, in input order; rejects on transport or HTTP errors.
+         */
+        async embed({ input, model = null, signal } = {}) {
+            const resolvedModel = model ?? defaultModel;
+            if (!resolvedModel) {
+                throw new Error("ollama backend: no embedding model — pass model in the job");
+            }
+            const inputs = Array.isArray(input) ? input : [input];
+            const res = await fetchImpl(new URL("/api/embed", host), {
+                method: "POST",
+                headers: { "content-type": "application/json" },
+                body: JSON.stringify({ model: resolvedModel, input: inputs }),
+                signal
+            });
+            if (!res.ok) {
+                let detail = "";
+                try {
+                    detail = await res.text();
+                } catch {
+                    // best-effort
+                }
+                throw new Error(`ollama HTTP ${res.status}: ${detail.slice(0, 200)}`);
+            }
+            const parsed = await res.json();
+            const embeddings = Array.isArray(parsed?.embeddings) ? parsed.embeddings : [];
+            if (embeddings.length !== inputs.length) {
+                throw new Error(
+                    `ollama returned ${embeddings.length} embeddings for ${inputs.length} inputs`
+                );
+            }
+            return {
+                model: parsed.model ?? resolvedModel,
+                embeddings,
+                usage: makeUsage(parsed.prompt_eval_count)
+            };
+        },
         async shutdown() {
             // The Ollama daemon is owned by the operator, not by us.
             // Nothing to clean up.
@@ -227,6 +342,79 @@ export async function createOllamaBackend({
     };
 }
 
+/**
+ * Rewrite OpenAI-shaped chat history into what Ollama's /api/chat wants:
+ * assistant `tool_calls[].function.arguments` as objects (OpenAI sends
+ * JSON strings), `tool` results tagged with `tool_name` (OpenAI only
+ * carries `tool_call_id`), `content: null` as an empty string, and
+ * OpenAI content-part arrays split into joined `content` text plus raw
+ * base64 `images` (Ollama takes no data-URL prefix and no remote URLs —
+ * the control plane has already inlined those).
+ * Plain text messages pass through untouched.
+ */
+export function toOllamaMessages(messages) {
+    const callNames = new Map();
+    return messages.map((m) => {
+        if (!m || typeof m !== "object") return m;
+        if (m.role === "assistant" && Array.isArray(m.tool_calls)) {
+            const tool_calls = m.tool_calls.map((tc) => {
+                const fn = tc?.function ?? {};
+                if (tc?.id) callNames.set(tc.id, fn.name);
+                let args = fn.arguments;
+                if (typeof args === "string") {
+                    try { args = JSON.parse(args); } catch { args = {}; }
+                }
+                return { function: { name: fn.name, arguments: args ?? {} } };
+            });
+            return { role: "assistant", content: m.content ?? "", tool_calls };
+        }
+        if (Array.isArray(m.content)) {
+            const text = m.content
+                .filter((p) => p?.type === "text" && typeof p.text === "string")
+                .map((p) => p.text)
+                .join("\n");
+            const images = m.content
+                .filter((p) => p?.type === "image_url")
+                .map((p) => dataUrlBase64(p.image_url?.url))
+                .filter(Boolean);
+            return { role: m.role, content: text, ...(images.length > 0 ? { images } : {}) };
+        }
+        if (m.role === "tool") {
+            const name = m.name ?? callNames.get(m.tool_call_id);
+            return {
+                role: "tool",
+                content: typeof m.content === "string" ? m.content : JSON.stringify(m.content ?? ""),
+                ...(name ? { tool_name: name } : {})
+            };
+        }
+        return m;
+    });
+}
+
+function dataUrlBase64(url) {
+    if (typeof url !== "string") return null;
+    const comma = url.indexOf(",");
+    return url.startsWith("data:") && comma !== -1 ? url.slice(comma + 1) : null;
+}
+
+/**
+ * OpenAI `response_format` → Ollama's `format`: "json" for free-form
+ * JSON mode, the bare JSON Schema for structured outputs (Ollama
+ * constrains decoding to the schema itself).
+ */
+export function ollamaFormat(responseFormat) {
+    if (responseFormat?.type === "json_object") return "json";
+    if (responseFormat?.type === "json_schema") return responseFormat.json_schema?.schema ?? "json";
+    return null;
+}
+
+/** How a `tool_choice` that forces a call reads in an error, or null for "none" / "auto". */
+function forcedToolChoice(toolChoice) {
+    if (toolChoice === "required") return "\"required\"";
+    if (toolChoice?.type === "function") return `function ${toolChoice.function?.name ?? "(unnamed)"}`;
+    return null;
+}
+
 function pushTerminal(stream, genId, ctrl, err, accSoFar) {
     if (ctrl.signal.aborted) {
         stream.push({
@@ -26,7 +26,14 @@ function lastUserMessage(messages) {
     if (!Array.isArray(messages)) return "";
     for (let i = messages.length - 1; i >= 0; i -= 1) {
         const m = messages[i];
-        if (m?.role === "user" && typeof m.content === "string") return m.content;
+        if (m?.role !== "user") continue;
+        if (typeof m.content === "string") return m.content;
+        if (Array.isArray(m.content)) {
+            return m.content
+                .filter((p) => p?.type === "text" && typeof p.text === "string")
+                .map((p) => p.text)
+                .join(" ");
+        }
     }
     return "";
 }
@@ -34,12 +41,15 @@ function lastUserMessage(messages) {
 export async function createStubBackend({ tokenDelayMs = 60 } = {}) {
     return {
         kind: "stub",
+        // Canned tokens — no sampling to control.
+        sampling: Object.freeze([]),
         generate({ messages, id, model = null } = {}) {
             const genId = id ?? randomUUID();
             const stream = new AsyncQueue();
             const userText = lastUserMessage(messages);
             const fullText = STUB_RESPONSE_TEMPLATE(userText);
             const tokens = fullText.split(/(\s+)/).filter(Boolean);
+            let acc = "";
 
             (async () => {
                 stream.push({
@@ -50,7 +60,6 @@ export async function createStubBackend({ tokenDelayMs = 60 } = {}) {
                     started_at: new Date().toISOString()
                 });
 
-                let acc = "";
                 for (const tok of tokens) {
                     if (stream.closed) return;
                     acc += tok;
@@ -86,7 +95,20 @@ export async function createStubBackend({ tokenDelayMs = 60 } = {}) {
             return {
                 id: genId,
                 stream,
-                cancel: () => stream.end()
+                // Same contract as the real backends: a cancelled
+                // generation ends with `done` reason "cancel".
+                cancel: () => {
+                    if (stream.closed) return;
+                    stream.push({
+                        v: PROTOCOL_VERSION,
+                        type: MSG.DONE,
+                        id: genId,
+                        reason: "cancel",
+                        text: acc,
+                        finished_at: new Date().toISOString()
+                    });
+                    stream.end();
+                }
             };
         },
         async shutdown() {
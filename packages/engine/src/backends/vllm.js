@@ -16,7 +16,18 @@
  *
  * Streaming: vLLM uses OpenAI-style Server-Sent Events — each line is
  * `data: {...}` JSON, terminated by `data: [DONE]`. We translate that
- * into our v1 protocol events.
+ * into our v1 protocol events. We request
+ * `stream_options.include_usage` so the last data frame carries real
+ * prompt/completion token counts, which ride out on our `done` event.
+ *
+ * Sampling: the OpenAI knobs pass straight through; JSON Schema
+ * `response_format` maps to `guided_json` (see `guidedDecoding`).
+ *
+ * Images: OpenAI content-part arrays (`text` + `image_url`) pass
+ * through unchanged — vLLM serves vision models on the same endpoint.
+ *
+ * Embeddings: `embed()` posts the whole batch to `/v1/embeddings`
+ * (served when vLLM runs an embedding model with `--task embed`).
  *
  * Cancellation: each generation owns an AbortController; `cancel()`
  * aborts the in-flight fetch, which surfaces a `done` event with
@@ -25,7 +36,7 @@
 
 import { randomUUID } from "node:crypto";
 import { AsyncQueue } from "../async-queue.js";
-import { MSG, PROTOCOL_VERSION } from "../protocol.js";
+import { MSG, PROTOCOL_VERSION, SAMPLING_PARAMS, makeUsage, toolCallDeltas } from "../protocol.js";
 
 const DEFAULT_HOST = "http://localhost:8000";
 const PROBE_TIMEOUT_MS = 500;
@@ -64,7 +75,11 @@ export async function createVllmBackend({
         kind: "vllm",
         host,
         hasApiKey: Boolean(apiKey),
-        generate({ messages, id, model = null, max_tokens, temperature } = {}) {
+        sampling: Object.freeze([...SAMPLING_PARAMS]),
+        generate({
+            messages, id, model = null, max_tokens, temperature, tools, tool_choice,
+            top_p, stop, seed, presence_penalty, frequency_penalty, logit_bias, response_format
+        } = {}) {
             const genId = id ?? randomUUID();
             const stream = new AsyncQueue();
             const ctrl = new AbortController();
@@ -86,10 +101,24 @@ export async function createVllmBackend({
                 const body = {
                     model: resolvedModel,
                     messages: Array.isArray(messages) ? messages : [],
-                    stream: true
+                    stream: true,
+                    // Ask for a trailing usage chunk (empty `choices`,
+                    // populated `usage`) right before [DONE].
+                    stream_options: { include_usage: true }
                 };
                 if (typeof temperature === "number") body.temperature = temperature;
                 if (typeof max_tokens === "number") body.max_tokens = max_tokens;
+                if (typeof top_p === "number") body.top_p = top_p;
+                if (Array.isArray(stop) && stop.length > 0) body.stop = stop;
+                if (Number.isInteger(seed)) body.seed = seed;
+                if (typeof presence_penalty === "number") body.presence_penalty = presence_penalty;
+                if (typeof frequency_penalty === "number") body.frequency_penalty = frequency_penalty;
+                if (logit_bias && typeof logit_bias === "object") body.logit_bias = logit_bias;
+                Object.assign(body, guidedDecoding(response_format));
+                if (Array.isArray(tools) && tools.length > 0) {
+                    body.tools = tools;
+                    if (tool_choice !== undefined) body.tool_choice = tool_choice;
+                }
 
                 const headers = { "content-type": "application/json" };
                 if (apiKey) headers["authorization"] = `Bearer ${apiKey}`;
@@ -128,6 +157,7 @@ export async function createVllmBackend({
                 let acc = "";
                 let buf = "";
                 let finishReason = null;
+                let usage = null;
                 const decoder = new TextDecoder();
 
                 try {
@@ -147,6 +177,7 @@ export async function createVllmBackend({
                                     id: genId,
                                     reason: finishReason ?? "stop",
                                     text: acc,
+                                    ...(usage ? { usage } : {}),
                                     finished_at: new Date().toISOString()
                                 });
                                 stream.end();
@@ -181,9 +212,18 @@ export async function createVllmBackend({
                                     text
                                 });
                             }
+                            for (const tc of toolCallDeltas(choice)) {
+                                stream.push({ v: PROTOCOL_VERSION, type: MSG.TOOL_CALL, id: genId, ...tc });
+                            }
                             if (choice?.finish_reason) {
                                 finishReason = choice.finish_reason;
                             }
+                            if (parsed.usage) {
+                                usage = makeUsage(
+                                    parsed.usage.prompt_tokens,
+                                    parsed.usage.completion_tokens
+                                ) ?? usage;
+                            }
                         }
                     }
                     // body ended without [DONE] — surface as stop with whatever we have.
@@ -193,6 +233,7 @@ export async function createVllmBackend({
                         id: genId,
                         reason: finishReason ?? "stop",
                         text: acc,
+                        ...(usage ? { usage } : {}),
                         finished_at: new Date().toISOString()
                     });
                     stream.end();
@@ -215,6 +256,49 @@ export async function createVllmBackend({
                 cancel: () => ctrl.abort()
             };
         },
+        /**
+         * Embed a batch of strings in one round trip via the
+         * OpenAI-compatible /v1/embeddings. Resolves `{ model,
+         * embeddings, usage }` with vectors in input order (sorted by
+         * the response's `index`); rejects on transport or HTTP errors.
+         */
+        async embed({ input, model = null, signal } = {}) {
+            const resolvedModel = model ?? defaultModel;
+            if (!resolvedModel) {
+                throw new Error("vllm backend: no embedding model — pass model in the job");
+            }
+            const inputs = Array.isArray(input) ? input : [input];
+            const headers = { "content-type": "application/json" };
+            if (apiKey) headers["authorization"] = `Bearer ${apiKey}`;
+            const res = await fetchImpl(new URL("/v1/embeddings", host), {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ model: resolvedModel, input: inputs }),
+                signal
+            });
+            if (!res.ok) {
+                let detail = "";
+                try {
+                    detail = await res.text();
+                } catch {
+                    // best-effort
+                }
+                throw new Error(`vllm HTTP ${res.status}: ${detail.slice(0, 200)}`);
+            }
+            const parsed = await res.json();
+            const data = Array.isArray(parsed?.data) ? [...parsed.data] : [];
+            data.sort((a, b) => (a?.index ?? 0) - (b?.index ?? 0));
+            if (data.length !== inputs.length) {
+                throw new Error(
+                    `vllm returned ${data.length} embeddings for ${inputs.length} inputs`
+                );
+            }
+            return {
+                model: parsed.model ?? resolvedModel,
+                embeddings: data.map((d) => d?.embedding ?? []),
+                usage: makeUsage(parsed.usage?.prompt_tokens)
+            };
+        },
         async shutdown() {
             // The vLLM server is owned by the operator, not by us.
             // Nothing to clean up.
@@ -222,6 +306,20 @@ export async function createVllmBackend({
     };
 }
 
+/**
+ * OpenAI `response_format` → vLLM structured outputs. JSON mode passes
+ * through as `response_format`; a JSON Schema goes to `guided_json` so
+ * decoding is constrained to it (vLLM's own extension, honored by every
+ * guided-decoding backend it ships).
+ */
+export function guidedDecoding(responseFormat) {
+    if (responseFormat?.type === "json_object") return { response_format: { type: "json_object" } };
+    if (responseFormat?.type === "json_schema" && responseFormat.json_schema?.schema) {
+        return { guided_json: responseFormat.json_schema.schema };
+    }
+    return {};
+}
+
 function pushTerminal(stream, genId, ctrl, err, accSoFar) {
     if (ctrl.signal.aborted) {
         stream.push({
@@ -8,6 +8,10 @@
  *   }
  *   await engine.shutdown();
  *
+ *   // Backends that can serve embedding models (ollama, vllm, llamacpp)
+ *   // also expose a one-shot batch call:
+ *   const { embeddings, usage } = await engine.embed({ input: ["a", "b"], model });
+ *
  * Backends:
  *   - "vllm"   — high-throughput OpenAI-compatible server (PagedAttention,
  *                tensor + pipeline parallelism via Ray). NVIDIA-only.
@@ -11,7 +11,9 @@
  *
  * Outbound (JS → engine):
  *   { v:1, type:"load",     model }
- *   { v:1, type:"generate", id, messages, model?, max_tokens?, temperature?, ... }
+ *   { v:1, type:"generate", id, messages, model?, max_tokens?, temperature?, tools?, tool_choice?,
+ *                           top_p?, stop?, seed?, presence_penalty?, frequency_penalty?,
+ *                           logit_bias?, response_format?, ... }
  *   { v:1, type:"cancel",   id }
  *   { v:1, type:"shutdown" }
  *
@@ -19,10 +21,35 @@
  *   { v:1, type:"ready",    model? }                              // engine-level
  *   { v:1, type:"meta",     id, model?, started_at }              // generation start
  *   { v:1, type:"token",    id, text }                            // streamed token
- *   { v:1, type:"done",     id, reason:"stop"|"length"|"cancel", text }
+ *   { v:1, type:"tool_call", id, index, call_id?, name?, arguments } // tool-call delta
+ *   { v:1, type:"done",     id, reason:"stop"|"length"|"cancel"|"tool_calls", text, usage? }
  *   { v:1, type:"error",    id?, message }                        // id absent → engine-level
  *   { v:1, type:"log",      level:"info"|"warn"|"error", message }
  *
+ * `tool_call` mirrors OpenAI's streamed `delta.tool_calls[]` entries:
+ * `index` identifies the call within the generation, `call_id` and `name`
+ * arrive on the first delta for that index, and `arguments` is a JSON
+ * string fragment — concatenate fragments per index to get the full
+ * argument object. Backends whose upstream returns whole calls (Ollama)
+ * emit exactly one event per call with the complete JSON string.
+ * `tools` / `tool_choice` on `generate` use OpenAI's request shapes.
+ *
+ * `messages[].content` is a string or OpenAI's content-part array
+ * (`{ type:"text", text }` / `{ type:"image_url", image_url:{ url } }`).
+ * Image URLs reaching an engine are always base64 `data:` URLs — the
+ * control plane inlines remote images before a job is created.
+ *
+ * Sampling fields beyond `temperature` / `max_tokens` use OpenAI's names
+ * and shapes (`stop` is always an array here). Each backend lists the
+ * ones it can honor in its `sampling` array — drawn from SAMPLING_PARAMS
+ * — and the daemon advertises that list so the control plane only routes
+ * a request to providers that won't silently drop a setting.
+ *
+ * `usage` on `done` is optional: `{ prompt_tokens, completion_tokens,
+ * total_tokens }` as counted by the upstream tokenizer. Backends that
+ * can't get real counts omit it and callers fall back to counting
+ * `token` events.
+ *
  * Bumping PROTOCOL_VERSION is a breaking change. Mirror any change in
  * engine/mojo/src/main.mojo.
  */
@@ -39,11 +66,58 @@ export const MSG = Object.freeze({
     READY: "ready",
     META: "meta",
     TOKEN: "token",
+    TOOL_CALL: "tool_call",
     DONE: "done",
     ERROR: "error",
     LOG: "log"
 });
 
+/**
+ * Optional sampling parameters a backend may support. `temperature` and
+ * `max_tokens` aren't listed: every backend honors them.
+ */
+export const SAMPLING_PARAMS = Object.freeze([
+    "top_p",
+    "stop",
+    "seed",
+    "presence_penalty",
+    "frequency_penalty",
+    "logit_bias",
+    "response_format"
+]);
+
+/**
+ * Build a `usage` block for a `done` event from upstream counts. Returns
+ * null when neither count is a usable number so backends can spread it
+ * conditionally and never ship a block full of zeros they didn't measure.
+ */
+export function makeUsage(promptTokens, completionTokens) {
+    const prompt = Number.isFinite(promptTokens) && promptTokens >= 0 ? Math.floor(promptTokens) : null;
+    const completion =
+        Number.isFinite(completionTokens) && completionTokens >= 0 ? Math.floor(completionTokens) : null;
+    if (prompt === null && completion === null) return null;
+    return {
+        prompt_tokens: prompt ?? 0,
+        completion_tokens: completion ?? 0,
+        total_tokens: (prompt ?? 0) + (completion ?? 0)
+    };
+}
+
+/**
+ * Translate an OpenAI-compatible stream chunk's `delta.tool_calls[]`
+ * (vLLM, llama-server) into `tool_call` event fields. Fragments are
+ * passed through as-is; the consumer concatenates `arguments` per index.
+ */
+export function toolCallDeltas(choice) {
+    const calls = Array.isArray(choice?.delta?.tool_calls) ? choice.delta.tool_calls : [];
+    return calls.map((tc, i) => ({
+        index: Number.isInteger(tc?.index) ? tc.index : i,
+        ...(typeof tc?.id === "string" && tc.id ? { call_id: tc.id } : {}),
+        ...(typeof tc?.function?.name === "string" && tc.function.name ? { name: tc.function.name } : {}),
+        arguments: typeof tc?.function?.arguments === "string" ? tc.function.arguments : ""
+    }));
+}
+
 export function encode(msg) {
     return JSON.stringify({ v: PROTOCOL_VERSION, ...msg }) + "\n";
 }
@@ -15,9 +15,25 @@
  * OpenAI-shaped endpoint by just swapping the base URL + key.
  */
 
+import { makeUsage } from "@infernetprotocol/engine/protocol";
+
 const DEFAULT_BASE_URL = "https://integrate.api.nvidia.com/v1";
 const DEFAULT_MODEL = "meta/llama-3.3-70b-instruct";
 
+/**
+ * Sampling parameters NIM's OpenAI-compatible endpoint honors (beyond
+ * temperature / max_tokens). No logit_bias — NIM accepts the field on
+ * some models and ignores it on others, so we don't claim it.
+ */
+export const NIM_SAMPLING_PARAMS = Object.freeze([
+    "top_p",
+    "stop",
+    "seed",
+    "presence_penalty",
+    "frequency_penalty",
+    "response_format"
+]);
+
 export function isNimConfigured() {
     return typeof process.env.NVIDIA_NIM_API_KEY === "string" && process.env.NVIDIA_NIM_API_KEY.length > 0;
 }
@@ -35,7 +51,8 @@ export function nimDefaults() {
  *
  *   { type: 'meta',  data: { provider: 'nvidia-nim', model, started_at } }
  *   { type: 'token', data: { text } }
- *   { type: 'done',  data: { text, finished_at } }
+ *   { type: 'tool_call', data: { index, call_id?, name?, arguments } }
+ *   { type: 'done',  data: { text, reason?, usage?, finished_at } }
  *   { type: 'error', data: { message } }
  *
  * @param {{
@@ -43,11 +60,14 @@ export function nimDefaults() {
  *   model?: string,
  *   maxTokens?: number,
  *   temperature?: number,
+ *   tools?: Array<object>,
+ *   toolChoice?: string | object,
+ *   sampling?: object,
  *   signal?: AbortSignal
  * }} opts
  */
 export async function* streamChatCompletion(opts = {}) {
-    const { messages, maxTokens = 512, temperature = 0.7, signal } = opts;
+    const { messages, maxTokens = 512, temperature = 0.7, tools, toolChoice, sampling, signal } = opts;
     if (!Array.isArray(messages) || messages.length === 0) {
         throw new Error("nim: messages[] is required");
     }
@@ -79,7 +99,13 @@ export async function* streamChatCompletion(opts = {}) {
                 messages,
                 max_tokens: maxTokens,
                 temperature,
-                stream: true
+                stream: true,
+                stream_options: { include_usage: true },
+                // Already filtered to NIM_SAMPLING_PARAMS by the router.
+                ...(sampling && typeof sampling === "object" ? sampling : {}),
+                ...(Array.isArray(tools) && tools.length > 0
+                    ? { tools, ...(toolChoice !== undefined ? { tool_choice: toolChoice } : {}) }
+                    : {})
             }),
             signal
         });
@@ -98,6 +124,8 @@ export async function* streamChatCompletion(opts = {}) {
     }
 
     let fullText = "";
+    let usage = null;
+    let finishReason = null;
     try {
         for await (const frame of parseOpenAiSseFrames(res.body)) {
             if (frame === "[DONE]") break;
@@ -106,9 +134,29 @@ export async function* streamChatCompletion(opts = {}) {
                 fullText += delta;
                 yield { type: "token", data: { text: delta } };
             }
+            const toolCalls = frame?.choices?.[0]?.delta?.tool_calls;
+            if (Array.isArray(toolCalls)) {
+                for (const [i, tc] of toolCalls.entries()) {
+                    yield {
+                        type: "tool_call",
+                        data: {
+                            index: Number.isInteger(tc?.index) ? tc.index : i,
+                            ...(tc?.id ? { call_id: tc.id } : {}),
+                            ...(tc?.function?.name ? { name: tc.function.name } : {}),
+                            arguments: typeof tc?.function?.arguments === "string" ? tc.function.arguments : ""
+                        }
+                    };
+                }
+            }
             const finish = frame?.choices?.[0]?.finish_reason;
             if (finish) {
                 // finish reason appears before [DONE]; the loop breaks next iteration.
+                finishReason = finish;
+            }
+            // include_usage → a trailing frame with empty `choices` and
+            // the upstream token counts.
+            if (frame?.usage && typeof frame.usage === "object") {
+                usage = makeUsage(frame.usage.prompt_tokens, frame.usage.completion_tokens);
             }
         }
     } catch (err) {
@@ -116,7 +164,15 @@ export async function* streamChatCompletion(opts = {}) {
         return;
     }
 
-    yield { type: "done", data: { text: fullText, finished_at: new Date().toISOString() } };
+    yield {
+        type: "done",
+        data: {
+            text: fullText,
+            ...(finishReason ? { reason: finishReason } : {}),
+            ...(usage ? { usage } : {}),
+            finished_at: new Date().toISOString()
+        }
+    };
 }
 
 /**
@@ -14,12 +14,14 @@
  *   modelName?: string,
  *   maxTokens?: number,
  *   temperature?: number,
+ *   tools?: Array<object>,
+ *   toolChoice?: string | object,
  *   signal?: AbortSignal
  * }} opts
  * @returns {AsyncIterableIterator<{ type: string, data: any, id?: number|string }>}
  */
 export async function* streamChat(client, opts = {}) {
-    const { messages, modelName, maxTokens, temperature, signal } = opts;
+    const { messages, modelName, maxTokens, temperature, tools, toolChoice, signal } = opts;
     if (!Array.isArray(messages) || messages.length === 0) {
         throw new Error("chat: messages[] is required");
     }
@@ -27,7 +29,7 @@ export async function* streamChat(client, opts = {}) {
     const initRes = await client.fetch(client._url("/api/chat"), {
         method: "POST",
         headers: client._headers({ "Content-Type": "application/json" }),
-        body: JSON.stringify({ messages, modelName, maxTokens, temperature }),
+        body: JSON.stringify({ messages, modelName, maxTokens, temperature, tools, toolChoice }),
         signal
     });
     const init = await client._json(initRes);
@@ -55,13 +57,15 @@ export async function* streamChat(client, opts = {}) {
 /**
  * Non-streaming convenience: accumulate tokens and return the full text.
  *
- * @returns {Promise<{ text: string, jobId: string, provider: any, meta: any }>}
+ * @returns {Promise<{ text: string, jobId: string, provider: any, meta: any, usage: any, toolCalls: any[] }>}
  */
 export async function sendChat(client, opts) {
     let text = "";
     let jobId = null;
     let provider = null;
     let meta = null;
+    let usage = null;
+    const toolCalls = [];
 
     for await (const ev of streamChat(client, opts)) {
         switch (ev.type) {
@@ -75,6 +79,17 @@ export async function sendChat(client, opts) {
             case "token":
                 text += ev.data?.text ?? "";
                 break;
+            case "tool_call": {
+                const index = Number.isInteger(ev.data?.index) ? ev.data.index : 0;
+                toolCalls[index] ??= { id: null, type: "function", function: { name: "", arguments: "" } };
+                if (ev.data?.call_id) toolCalls[index].id = ev.data.call_id;
+                if (ev.data?.name) toolCalls[index].function.name = ev.data.name;
+                toolCalls[index].function.arguments += ev.data?.arguments ?? "";
+                break;
+            }
+            case "done":
+                usage = ev.data?.usage ?? null;
+                break;
             case "error": {
                 const err = new Error(ev.data?.message ?? "chat error");
                 err.event = ev;
@@ -83,7 +98,7 @@ export async function sendChat(client, opts) {
         }
     }
 
-    return { text, jobId, provider, meta };
+    return { text, jobId, provider, meta, usage, toolCalls: toolCalls.filter(Boolean) };
 }
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,26 @@
+import type { InfernetClient, ChatOptions, ChatEvent } from "./index.js";
+
+export interface DirectChatOptions extends ChatOptions {
+    /** Nostr keypair (64-hex) to handshake with. Default: a fresh one. */
+    identity?: { publicKey: string; privateKey: string };
+    /** Stream through the control plane when no provider is directly reachable. Default true. */
+    fallback?: boolean;
+}
+
+export interface DirectChatResult {
+    text: string;
+    jobId: string | null;
+    provider: { pubkey: string; nodeId: string | null; name: string | null; model: string | null } | null;
+    usage: { prompt_tokens?: number; completion_tokens?: number; total_tokens?: number } | null;
+    toolCalls: any[];
+}
+
+export declare function streamDirectChat(
+    client: InfernetClient,
+    opts: DirectChatOptions
+): AsyncIterableIterator<ChatEvent>;
+
+export declare function sendDirectChat(
+    client: InfernetClient,
+    opts: DirectChatOptions
+): Promise<DirectChatResult>;
@@ -0,0 +1,176 @@
+/**
+ * Direct chat — tokens straight from the provider (Node.js only).
+ *
+ * Instead of tailing the control plane's SSE relay, ask it for a signed
+ * job ticket (POST /api/chat/direct), dial the assigned provider's P2P
+ * port, prove our key with `infernet.handshake.v1` and stream the job
+ * over `infernet.compute.v1`. The control plane still bills the job and
+ * issues its CPR receipt from the provider's summary.
+ *
+ * Needs raw TCP (`node:net`) and Schnorr signing, hence a separate
+ * entry point from the browser-safe `@infernetprotocol/sdk`.
+ */
+
+import net from "node:net";
+import { createHandshakeRequest, generateKeyPair, verifyHandshakeResponse } from "@infernetprotocol/auth";
+import { streamChat } from "./chat.js";
+
+const COMPUTE_PROTOCOL = "infernet.compute.v1";
+const PROTOCOLS = ["infernet.handshake.v1", "infernet.peer.v1", COMPUTE_PROTOCOL];
+const DIAL_TIMEOUT_MS = 10_000;
+
+/**
+ * Same events as streamChat(): a `job` event first (with
+ * `transport: "direct"`), then `meta` / `token` / `tool_call` and a
+ * final `done` or `error`.
+ *
+ * @param {import("./index.js").InfernetClient} client
+ * @param {import("./index.js").ChatOptions & {
+ *   identity?: { publicKey: string, privateKey: string },
+ *   fallback?: boolean
+ * }} opts
+ *   `identity` — Nostr keypair to handshake with (default: a fresh one).
+ *   `fallback` — when no provider is directly reachable, stream through
+ *   the control plane instead of throwing (default true).
+ * @returns {AsyncIterableIterator<{ type: string, data: any }>}
+ */
+export async function* streamDirectChat(client, opts = {}) {
+    const { messages, modelName, maxTokens, temperature, tools, toolChoice, signal, fallback = true } = opts;
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error("chat: messages[] is required");
+    }
+    const identity = opts.identity ?? generateKeyPair();
+
+    let job;
+    try {
+        job = await client._post("/api/chat/direct", {
+            messages, modelName, maxTokens, temperature, tools, toolChoice,
+            clientPubkey: identity.publicKey
+        }, { signal });
+    } catch (err) {
+        if (fallback && (err?.status === 409 || err?.status === 503)) {
+            yield* streamChat(client, opts);
+            return;
+        }
+        throw err;
+    }
+
+    const peers = await client._get("/api/peers", { pubkey: job.provider.pubkey });
+    const addr = parseMultiaddr(peers?.data?.find((p) => p.pubkey === job.provider.pubkey)?.multiaddr);
+    if (!addr) throw new Error(`chat: provider ${job.provider.pubkey} has no reachable address`);
+
+    const conn = await dial(addr, identity, job.provider.pubkey);
+    const onAbort = () => {
+        conn.write({ cmd: "compute.cancel" });
+        conn.close();
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+        yield { type: "job", data: { jobId: job.jobId, provider: job.provider, transport: "direct" } };
+        conn.write({ cmd: "compute.submit", ticket: job.ticket, input: job.input });
+        for await (const reply of conn.lines()) {
+            if (reply?.ok !== true) {
+                const cause = reply?.cause ? ` (${reply.cause})` : "";
+                yield { type: "error", data: { message: `provider refused the job: ${reply?.error ?? "unknown"}${cause}` } };
+                return;
+            }
+            const { type, ...data } = reply.data?.event ?? {};
+            yield { type: type ?? "message", data };
+            if (reply.data?.state !== "running") return;
+        }
+        throw new Error("chat: provider closed the connection mid-job");
+    } finally {
+        signal?.removeEventListener("abort", onAbort);
+        conn.close();
+    }
+}
+
+/**
+ * Non-streaming convenience over streamDirectChat().
+ *
+ * @returns {Promise<{ text: string, jobId: string|null, provider: any, usage: any, toolCalls: any[] }>}
+ */
+export async function sendDirectChat(client, opts) {
+    let text = "";
+    let jobId = null;
+    let provider = null;
+    let usage = null;
+    let toolCalls = [];
+    for await (const ev of streamDirectChat(client, opts)) {
+        if (ev.type === "job") ({ jobId, provider } = ev.data);
+        else if (ev.type === "token") text += ev.data?.text ?? "";
+        else if (ev.type === "error") throw new Error(ev.data?.message ?? "chat error");
+        else if (ev.type === "done") {
+            if (typeof ev.data?.text === "string" && ev.data.text.length > text.length) text = ev.data.text;
+            usage = ev.data?.usage ?? null;
+            toolCalls = ev.data?.tool_calls ?? [];
+        }
+    }
+    return { text, jobId, provider, usage, toolCalls };
+}
+
+function parseMultiaddr(multiaddr) {
+    const m = /^\/(ip4|ip6|dns4|dns6|dns)\/([^/]+)\/tcp\/(\d+)$/.exec(multiaddr ?? "");
+    return m ? { host: m[2], port: Number(m[3]) } : null;
+}
+
+/** Connect and handshake; returns an NDJSON line reader/writer. */
+async function dial({ host, port }, identity, expectedPeerId) {
+    const sock = net.connect({ host, port });
+    sock.setEncoding("utf8");
+    sock.setTimeout(DIAL_TIMEOUT_MS, () => sock.destroy(new Error(`connect to ${host}:${port} timed out`)));
+
+    const queue = [];
+    let error = null;
+    let wake = null;
+    const notify = () => { const w = wake; wake = null; w?.(); };
+    let buf = "";
+    sock.on("data", (chunk) => {
+        buf += chunk;
+        let nl;
+        while ((nl = buf.indexOf("\n")) !== -1) {
+            const line = buf.slice(0, nl);
+            buf = buf.slice(nl + 1);
+            try { queue.push(JSON.parse(line)); } catch { /* skip */ }
+        }
+        notify();
+    });
+    sock.on("error", (err) => { error = err; notify(); });
+    sock.on("close", () => { error ??= new Error("provider closed the connection"); notify(); });
+
+    const next = async () => {
+        for (;;) {
+            if (queue.length) return queue.shift();
+            if (error) throw error;
+            await new Promise((resolve) => { wake = resolve; });
+        }
+    };
+    const write = (message) => { sock.write(JSON.stringify(message) + "\n"); };
+    const close = () => sock.end();
+
+    try {
+        const hello = createHandshakeRequest({ ...identity, agentVersion: "infernet-sdk-js", protocols: PROTOCOLS });
+        write(hello);
+        const response = verifyHandshakeResponse(await next(), { requestSig: hello.sig, expectedPeerId });
+        if (!response.accepted) throw new Error(`provider rejected handshake: ${response.reason || "no reason given"}`);
+        if (!response.selected_protocols.includes(COMPUTE_PROTOCOL)) {
+            throw new Error(`provider does not offer ${COMPUTE_PROTOCOL}`);
+        }
+    } catch (err) {
+        sock.destroy();
+        throw err;
+    }
+    // Handshake done; a generation may pause longer than the dial timeout.
+    sock.setTimeout(0);
+
+    return {
+        write,
+        close,
+        async *lines() {
+            for (;;) {
+                try { yield await next(); }
+                catch { return; }
+            }
+        }
+    };
+}
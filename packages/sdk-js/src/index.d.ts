@@ -1,24 +1,49 @@
 export interface InfernetClientOptions {
     baseUrl: string;
+    /** Infernet API key (`inf_…`), sent as `Authorization: Bearer`. */
     apiKey?: string;
     fetch?: typeof fetch;
 }
 
+export interface ToolCall {
+    id: string;
+    type: "function";
+    function: { name: string; arguments: string };
+}
+
+export type ContentPart =
+    | { type: "text"; text: string }
+    | { type: "image_url"; image_url: { url: string; detail?: "auto" | "low" | "high" } };
+
 export interface ChatMessage {
-    role: "user" | "assistant" | "system" | string;
-    content: string;
+    role: "user" | "assistant" | "system" | "tool" | string;
+    /** Text, or text + image parts (images as data: or https: URLs). */
+    content: string | ContentPart[] | null;
+    /** Assistant turns that called tools. */
+    tool_calls?: ToolCall[];
+    /** Tool results: the id of the call this message answers. */
+    tool_call_id?: string;
 }
 
+export interface ToolDefinition {
+    type: "function";
+    function: { name: string; description?: string; parameters?: Record<string, unknown> };
+}
+
+export type ToolChoice = "none" | "auto" | "required" | { type: "function"; function: { name: string } };
+
 export interface ChatOptions {
     messages: ChatMessage[];
     modelName?: string;
     maxTokens?: number;
     temperature?: number;
+    tools?: ToolDefinition[];
+    toolChoice?: ToolChoice;
     signal?: AbortSignal;
 }
 
 export interface ChatEvent {
-    type: "job" | "meta" | "token" | "done" | "error" | string;
+    type: "job" | "meta" | "token" | "tool_call" | "done" | "error" | string;
     data: any;
     id?: number | string;
 }
@@ -37,11 +62,125 @@ export interface ChatJobInit {
     streamUrl: string;
 }
 
+export interface ChatUsage {
+    prompt_tokens: number;
+    completion_tokens: number;
+    total_tokens: number;
+}
+
 export interface ChatCompleteResult {
     text: string;
     jobId: string | null;
     provider: ChatProvider | null;
     meta: any;
+    /** Engine-reported token counts; null when the provider couldn't measure. */
+    usage: ChatUsage | null;
+    /** Tool calls the model made, assembled from the streamed deltas. */
+    toolCalls: ToolCall[];
+}
+
+export interface CancelChatResult {
+    id: string;
+    /** `cancelling` while the provider winds down, else the final status. */
+    status: string;
+    /** false when the job had already finished — nothing was stopped. */
+    cancelled: boolean;
+}
+
+export type BatchKind = "embed" | "chat" | "classify" | "summarize" | "extract";
+
+export interface BatchOptions {
+    chunk_size?: number;
+    max_concurrency?: number;
+    max_attempts?: number;
+    chunk_timeout_seconds?: number;
+    max_tokens?: number;
+    temperature?: number;
+    instructions?: string;
+    /** classify: the labels to choose from. */
+    labels?: string[];
+    /** extract: the fields to pull out. */
+    fields?: string[];
+    /** RFC 3339; chunks unfinished by then fail. */
+    deadline_at?: string;
+    webhook_url?: string;
+    provider_pubkey?: string;
+}
+
+export interface BatchInput {
+    kind: BatchKind;
+    model: string;
+    items: Array<string | { messages: ChatMessage[] }>;
+    options?: BatchOptions;
+}
+
+export interface BatchSubmitted {
+    job_id: string;
+    chunk_count: number;
+    item_count: number;
+    status: string;
+    status_url: string;
+    /** HMAC key for the completion webhook — only returned here. */
+    webhook_secret?: string;
+}
+
+export interface BatchStatus {
+    job_id: string;
+    kind: BatchKind;
+    model: string;
+    status: "queued" | "in_progress" | "completed" | "failed" | "cancelled";
+    chunks: { total: number; queued: number; running: number; done: number; failed: number };
+    /** Settled chunks / total, 0..1. */
+    progress: number;
+    item_count: number;
+    created_at: string;
+    started_at: string | null;
+    completed_at: string | null;
+    deadline_at: string | null;
+    result_manifest_url: string | null;
+    webhook?: { delivered_at: string | null; attempts: number };
+}
+
+export interface BatchManifestChunk {
+    index: number;
+    items: { offset: number; count: number };
+    status: "done" | "failed";
+    attempts: number;
+    result_url?: string;
+    provider?: string | null;
+    error?: string;
+    last_provider?: string | null;
+}
+
+export interface BatchManifest {
+    v: 1;
+    job_id: string;
+    kind: BatchKind;
+    model: string;
+    chunks: BatchManifestChunk[];
+    summary: { total: number; done: number; failed: number; completed_at: string };
+}
+
+export type BatchItemResult =
+    | { embedding: number[] }
+    | { text: string; usage?: ChatUsage }
+    | { label: string | null; text: string; usage?: ChatUsage }
+    | { data: Record<string, unknown> | null; text: string; usage?: ChatUsage }
+    | { error: string };
+
+export interface BatchChunkResult {
+    index: number;
+    status: "done";
+    items: { offset: number; count: number };
+    provider: string | null;
+    results: BatchItemResult[];
+}
+
+export interface CancelBatchResult {
+    job_id: string;
+    status: string;
+    /** false when the batch had already finished. */
+    cancelled: boolean;
 }
 
 export interface InvoiceOptions {
@@ -80,6 +219,13 @@ export declare class InfernetClient {
 
     chat(opts: ChatOptions): AsyncIterableIterator<ChatEvent>;
     chatComplete(opts: ChatOptions): Promise<ChatCompleteResult>;
+    cancelChat(jobId: string): Promise<CancelChatResult>;
+
+    submitBatch(batch: BatchInput): Promise<BatchSubmitted>;
+    getBatchStatus(id: string): Promise<BatchStatus>;
+    getBatchManifest(id: string): Promise<BatchManifest>;
+    getBatchChunk(id: string, index: number): Promise<BatchChunkResult>;
+    cancelBatch(id: string): Promise<CancelBatchResult>;
 
     createInvoice(opts: InvoiceOptions): Promise<Invoice>;
 }
@@ -54,13 +54,15 @@ export class InfernetClient {
      * Submit a chat message and return an async iterator over SSE events.
      * Each yielded value is `{ type, data, id }`.
      *
-     *   type: 'job' | 'meta' | 'token' | 'done' | 'error'
+     *   type: 'job' | 'meta' | 'token' | 'tool_call' | 'done' | 'error'
      *
      * @param {{
-     *   messages: Array<{ role: string, content: string }>,
+     *   messages: Array<{ role: string, content: string | null }>,
      *   modelName?: string,
      *   maxTokens?: number,
      *   temperature?: number,
+     *   tools?: Array<object>,
+     *   toolChoice?: string | object,
      *   signal?: AbortSignal
      * }} opts
      */
@@ -76,6 +78,57 @@ export class InfernetClient {
         return sendChat(this, opts);
     }
 
+    /**
+     * Cancel a chat job (the `jobId` from the `job` event). The provider
+     * stops generating and the stream ends with a `done` event whose
+     * `reason` is "cancel". Aborting the `signal` passed to chat() does
+     * the same for the job being streamed.
+     *
+     * @param {string} jobId
+     * @returns {Promise<{ id: string, status: string, cancelled: boolean }>}
+     */
+    cancelChat(jobId) {
+        return this._post(`/api/chat/${encodeURIComponent(jobId)}/cancel`);
+    }
+
+    // -----------------------------------------------------------------------
+    // Batch inference (IPIP-0013) — needs an `apiKey`
+    // -----------------------------------------------------------------------
+    /**
+     * Submit a batch job. The control plane splits `items` into chunks
+     * and runs them across providers; poll getBatchStatus() or pass
+     * `options.webhook_url`.
+     *
+     * @param {{
+     *   kind: "embed" | "chat" | "classify" | "summarize" | "extract",
+     *   model: string,
+     *   items: Array<string | { messages: Array<object> }>,
+     *   options?: object
+     * }} batch
+     * @returns {Promise<{ job_id: string, chunk_count: number, item_count: number, status: string, status_url: string, webhook_secret?: string }>}
+     */
+    async submitBatch(batch) {
+        return (await this._post("/api/v1/jobs/batch", batch)).data;
+    }
+
+    async getBatchStatus(id) {
+        return (await this._get(`/api/v1/jobs/batch/${encodeURIComponent(id)}/status`)).data;
+    }
+
+    /** The result manifest; rejects with status 409 until the batch finishes. */
+    async getBatchManifest(id) {
+        return (await this._get(`/api/v1/jobs/batch/${encodeURIComponent(id)}/manifest`)).data;
+    }
+
+    /** One chunk's results — `results[i]` is item `items.offset + i`. */
+    async getBatchChunk(id, index) {
+        return (await this._get(`/api/v1/jobs/batch/${encodeURIComponent(id)}/chunks/${Number(index)}`)).data;
+    }
+
+    async cancelBatch(id) {
+        return (await this._post(`/api/v1/jobs/batch/${encodeURIComponent(id)}/cancel`)).data;
+    }
+
     // -----------------------------------------------------------------------
     // Payments
     // -----------------------------------------------------------------------
@@ -0,0 +1,198 @@
+// Code generated by tooling/protocol-codegen.mjs from protocol/proto/compute/v1/compute.proto. DO NOT EDIT.
+
+import { bindService, createClient, message, service } from '../../wire.js';
+
+/** Version metadata (IPIP-0021 §6). */
+export const PACKAGE_INFO = Object.freeze({
+    package: 'infernet.compute.v1',
+    version: 1,
+    source: 'protocol/proto/compute/v1/compute.proto',
+    source_sha256: '5d81d804837f5f997446d7cae6f3b1d7b8fad6a617a1ec5463ef390a3f172c11',
+    generator: 'infernet-protocol-codegen/1'
+});
+
+/**
+ * `infernet.compute.v1.ResourceOffer`
+ *
+ * @typedef {object} ResourceOffer
+ * @property {string} peer_id
+ * @property {number} cpu_cores
+ * @property {number | bigint} memory_mb
+ * @property {string[]} gpu_models e.g. ["RTX 4090"]
+ * @property {number | bigint} gpu_memory_mb
+ * @property {string[]} runtimes e.g. ["vllm", "ollama", "docker"]
+ */
+export const ResourceOffer = message('infernet.compute.v1.ResourceOffer', [
+    { no: 1, name: 'peer_id', type: 'string' },
+    { no: 2, name: 'cpu_cores', type: 'uint32' },
+    { no: 3, name: 'memory_mb', type: 'uint64' },
+    { no: 4, name: 'gpu_models', type: 'string', repeated: true },
+    { no: 5, name: 'gpu_memory_mb', type: 'uint64' },
+    { no: 6, name: 'runtimes', type: 'string', repeated: true }
+]);
+
+/**
+ * `infernet.compute.v1.JobRequest`
+ *
+ * @typedef {object} JobRequest
+ * @property {string} job_id
+ * @property {string} image Docker image OR engine model id
+ * @property {string[]} args
+ * @property {number} required_cpu_cores
+ * @property {number | bigint} required_memory_mb
+ * @property {number | bigint} required_gpu_memory_mb
+ * @property {string} payment_intent_id External causal token — threads
+ * this job to its payment record. See IPIP-0014 §10. Workers MUST refuse
+ * to start work if the payment_intent_id does not validate.
+ */
+export const JobRequest = message('infernet.compute.v1.JobRequest', [
+    { no: 1, name: 'job_id', type: 'string' },
+    { no: 2, name: 'image', type: 'string' },
+    { no: 3, name: 'args', type: 'string', repeated: true },
+    { no: 4, name: 'required_cpu_cores', type: 'uint32' },
+    { no: 5, name: 'required_memory_mb', type: 'uint64' },
+    { no: 6, name: 'required_gpu_memory_mb', type: 'uint64' },
+    { no: 7, name: 'payment_intent_id', type: 'string' }
+]);
+
+/**
+ * `infernet.compute.v1.JobStatus`
+ *
+ * @typedef {object} JobStatus
+ * @property {string} job_id
+ * @property {string} state queued | running | complete | failed | canceled
+ * @property {number} exit_code
+ * @property {string} stdout_cid content-addressed (e.g. ipfs://...)
+ * @property {string} stderr_cid
+ */
+export const JobStatus = message('infernet.compute.v1.JobStatus', [
+    { no: 1, name: 'job_id', type: 'string' },
+    { no: 2, name: 'state', type: 'string' },
+    { no: 3, name: 'exit_code', type: 'int32' },
+    { no: 4, name: 'stdout_cid', type: 'string' },
+    { no: 5, name: 'stderr_cid', type: 'string' }
+]);
+
+/**
+ * `infernet.compute.v1.PollJobsRequest`
+ *
+ * @typedef {object} PollJobsRequest
+ * @property {number} limit 1-25; 0 = server default
+ */
+export const PollJobsRequest = message('infernet.compute.v1.PollJobsRequest', [
+    { no: 1, name: 'limit', type: 'uint32' }
+]);
+
+/**
+ * `infernet.compute.v1.AssignedJob` — A job the control plane assigned to
+ * the polling provider.
+ *
+ * @typedef {object} AssignedJob
+ * @property {string} id
+ * @property {string} title
+ * @property {string} type chat | embeddings | inference
+ * @property {string} status
+ * @property {number} payment_offer
+ * @property {string} payment_coin
+ * @property {string} model_name
+ * @property {string} input_spec_json the job's input_spec as a JSON object
+ * @property {string} created_at RFC 3339
+ */
+export const AssignedJob = message('infernet.compute.v1.AssignedJob', [
+    { no: 1, name: 'id', type: 'string' },
+    { no: 2, name: 'title', type: 'string' },
+    { no: 3, name: 'type', type: 'string' },
+    { no: 4, name: 'status', type: 'string' },
+    { no: 5, name: 'payment_offer', type: 'double' },
+    { no: 6, name: 'payment_coin', type: 'string' },
+    { no: 7, name: 'model_name', type: 'string' },
+    { no: 8, name: 'input_spec_json', type: 'string' },
+    { no: 9, name: 'created_at', type: 'string' }
+]);
+
+/**
+ * `infernet.compute.v1.PollJobsResponse`
+ *
+ * @typedef {object} PollJobsResponse
+ * @property {string} provider_id
+ * @property {Array<AssignedJob>} jobs
+ * @property {string[]} cancel Ids of this provider's jobs a client
+ * cancelled: stop them if running and complete them as cancelled either
+ * way.
+ */
+export const PollJobsResponse = message('infernet.compute.v1.PollJobsResponse', [
+    { no: 1, name: 'provider_id', type: 'string' },
+    { no: 2, name: 'jobs', message: () => AssignedJob, repeated: true },
+    { no: 3, name: 'cancel', type: 'string', repeated: true }
+]);
+
+/**
+ * `infernet.compute.v1.JobEvent`
+ *
+ * @typedef {object} JobEvent
+ * @property {string} event_type meta | token | tool_call | done | error
+ * @property {string} data_json the event's data as a JSON object
+ */
+export const JobEvent = message('infernet.compute.v1.JobEvent', [
+    { no: 1, name: 'event_type', type: 'string' },
+    { no: 2, name: 'data_json', type: 'string' }
+]);
+
+/**
+ * `infernet.compute.v1.JobEventBatch`
+ *
+ * @typedef {object} JobEventBatch
+ * @property {Array<JobEvent>} events at most 200
+ */
+export const JobEventBatch = message('infernet.compute.v1.JobEventBatch', [
+    { no: 1, name: 'events', message: () => JobEvent, repeated: true }
+]);
+
+/**
+ * `infernet.compute.v1.JobEventsAck`
+ *
+ * @typedef {object} JobEventsAck
+ * @property {number} inserted
+ * @property {boolean} cancel the client cancelled the job; stop generating
+ */
+export const JobEventsAck = message('infernet.compute.v1.JobEventsAck', [
+    { no: 1, name: 'inserted', type: 'uint32' },
+    { no: 2, name: 'cancel', type: 'bool' }
+]);
+
+/**
+ * `infernet.compute.v1.ComputeNode`
+ */
+export const ComputeNode = service('infernet.compute.v1.ComputeNode', {
+    SubmitJob: { requestType: JobRequest, responseType: JobStatus },
+    GetJobStatus: { requestType: JobRequest, responseType: JobStatus },
+    StreamJobLogs: { requestType: JobRequest, responseType: JobStatus, responseStream: true }
+});
+
+/**
+ * Client stub for ComputeNode; see createClient() in wire.js for the
+ * transport.
+ *
+ * @typedef {object} ComputeNodeClient
+ * @property {(request: JobRequest) => Promise<JobStatus>} submitJob
+ * @property {(request: JobRequest) => Promise<JobStatus>} getJobStatus
+ * @property {(request: JobRequest) => AsyncIterable<JobStatus>}
+ * streamJobLogs
+ *
+ * @returns {ComputeNodeClient}
+ */
+export const createComputeNodeClient = (transport, opts) => createClient(ComputeNode, transport, opts);
+
+/**
+ * Server interface for ComputeNode: bind an implementation to get path →
+ * bytes handlers.
+ *
+ * @typedef {object} ComputeNodeImplementation
+ * @property {(request: JobRequest, ctx?: object) => Promise<JobStatus>}
+ * submitJob
+ * @property {(request: JobRequest, ctx?: object) => Promise<JobStatus>}
+ * getJobStatus
+ * @property {(request: JobRequest, ctx?: object) =>
+ * AsyncIterable<JobStatus>} streamJobLogs
+ */
+export const bindComputeNode = (impl, opts) => bindService(ComputeNode, impl, opts);
@@ -0,0 +1,100 @@
+// Code generated by tooling/protocol-codegen.mjs from protocol/proto/dht/v1/dht.proto. DO NOT EDIT.
+
+import { bindService, createClient, message, service } from '../../wire.js';
+
+/** Version metadata (IPIP-0021 §6). */
+export const PACKAGE_INFO = Object.freeze({
+    package: 'infernet.dht.v1',
+    version: 1,
+    source: 'protocol/proto/dht/v1/dht.proto',
+    source_sha256: 'd82fcabcd9099dae05c44d2e407834e2bf88d8dcad0e30470c5600f63bd1a5b3',
+    generator: 'infernet-protocol-codegen/1'
+});
+
+/**
+ * `infernet.dht.v1.DhtKey`
+ *
+ * @typedef {object} DhtKey
+ * @property {Uint8Array} key sha256 of the canonical record name
+ */
+export const DhtKey = message('infernet.dht.v1.DhtKey', [
+    { no: 1, name: 'key', type: 'bytes' }
+]);
+
+/**
+ * `infernet.dht.v1.DhtValue`
+ *
+ * @typedef {object} DhtValue
+ * @property {Uint8Array} key
+ * @property {Uint8Array} value opaque payload — Nostr-signed envelope
+ * @property {string} provider_peer_id who published it
+ * @property {number | bigint} expires_at_unix record TTL
+ * @property {Uint8Array} signature BIP-340 Schnorr over
+ * (key|value|expires)
+ */
+export const DhtValue = message('infernet.dht.v1.DhtValue', [
+    { no: 1, name: 'key', type: 'bytes' },
+    { no: 2, name: 'value', type: 'bytes' },
+    { no: 3, name: 'provider_peer_id', type: 'string' },
+    { no: 4, name: 'expires_at_unix', type: 'int64' },
+    { no: 5, name: 'signature', type: 'bytes' }
+]);
+
+/**
+ * `infernet.dht.v1.FindValueRequest`
+ *
+ * @typedef {object} FindValueRequest
+ * @property {Uint8Array} key
+ * @property {number} max_hops bounds traversal cost
+ */
+export const FindValueRequest = message('infernet.dht.v1.FindValueRequest', [
+    { no: 1, name: 'key', type: 'bytes' },
+    { no: 2, name: 'max_hops', type: 'uint32' }
+]);
+
+/**
+ * `infernet.dht.v1.FindValueResponse`
+ *
+ * @typedef {object} FindValueResponse
+ * @property {boolean} found
+ * @property {DhtValue | null} value present iff found
+ * @property {string[]} closer_peer_ids for next-hop queries when not found
+ */
+export const FindValueResponse = message('infernet.dht.v1.FindValueResponse', [
+    { no: 1, name: 'found', type: 'bool' },
+    { no: 2, name: 'value', message: () => DhtValue },
+    { no: 3, name: 'closer_peer_ids', type: 'string', repeated: true }
+]);
+
+/**
+ * `infernet.dht.v1.DhtService`
+ */
+export const DhtService = service('infernet.dht.v1.DhtService', {
+    PutValue: { requestType: DhtValue, responseType: DhtValue },
+    FindValue: { requestType: FindValueRequest, responseType: FindValueResponse }
+});
+
+/**
+ * Client stub for DhtService; see createClient() in wire.js for the
+ * transport.
+ *
+ * @typedef {object} DhtServiceClient
+ * @property {(request: DhtValue) => Promise<DhtValue>} putValue
+ * @property {(request: FindValueRequest) => Promise<FindValueResponse>}
+ * findValue
+ *
+ * @returns {DhtServiceClient}
+ */
+export const createDhtServiceClient = (transport, opts) => createClient(DhtService, transport, opts);
+
+/**
+ * Server interface for DhtService: bind an implementation to get path →
+ * bytes handlers.
+ *
+ * @typedef {object} DhtServiceImplementation
+ * @property {(request: DhtValue, ctx?: object) => Promise<DhtValue>}
+ * putValue
+ * @property {(request: FindValueRequest, ctx?: object) =>
+ * Promise<FindValueResponse>} findValue
+ */
+export const bindDhtService = (impl, opts) => bindService(DhtService, impl, opts);
@@ -0,0 +1,86 @@
+// Code generated by tooling/protocol-codegen.mjs from protocol/proto/handshake/v1/handshake.proto. DO NOT EDIT.
+
+import { bindService, createClient, message, service } from '../../wire.js';
+
+/** Version metadata (IPIP-0021 §6). */
+export const PACKAGE_INFO = Object.freeze({
+    package: 'infernet.handshake.v1',
+    version: 1,
+    source: 'protocol/proto/handshake/v1/handshake.proto',
+    source_sha256: 'ab5c3d00a3579bb5f4a3d60c342d01bf9ce07d7a4ab8a24e3a6c15e1efcc1280',
+    generator: 'infernet-protocol-codegen/1'
+});
+
+/**
+ * `infernet.handshake.v1.HandshakeRequest`
+ *
+ * @typedef {object} HandshakeRequest
+ * @property {string} peer_id Stable peer identifier (e.g. Nostr pubkey,
+ * libp2p PeerID).
+ * @property {string} agent_version Free-form daemon version, e.g.
+ * "infernet-cli/0.1.7".
+ * @property {string[]} supported_protocols Versioned protocol identifiers
+ * this peer can speak, e.g. ["infernet.peer.v1", "infernet.dht.v1",
+ * "infernet.compute.v1"].
+ * @property {Uint8Array} public_key Sender's public key in the format
+ * identified by `peer_id`.
+ * @property {number | bigint} timestamp_unix Sender's wall-clock at
+ * request time. Receiver MAY reject if skew exceeds a configured
+ * threshold.
+ */
+export const HandshakeRequest = message('infernet.handshake.v1.HandshakeRequest', [
+    { no: 1, name: 'peer_id', type: 'string' },
+    { no: 2, name: 'agent_version', type: 'string' },
+    { no: 3, name: 'supported_protocols', type: 'string', repeated: true },
+    { no: 4, name: 'public_key', type: 'bytes' },
+    { no: 5, name: 'timestamp_unix', type: 'int64' }
+]);
+
+/**
+ * `infernet.handshake.v1.HandshakeResponse`
+ *
+ * @typedef {object} HandshakeResponse
+ * @property {string} peer_id Receiver's peer ID.
+ * @property {boolean} accepted True if the receiver agrees to talk to this
+ * peer.
+ * @property {string[]} selected_protocols Subset of the requester's
+ * supported_protocols the receiver also implements. Order is suggestive
+ * but not authoritative.
+ * @property {string} reason Free-form rejection reason when accepted ==
+ * false.
+ */
+export const HandshakeResponse = message('infernet.handshake.v1.HandshakeResponse', [
+    { no: 1, name: 'peer_id', type: 'string' },
+    { no: 2, name: 'accepted', type: 'bool' },
+    { no: 3, name: 'selected_protocols', type: 'string', repeated: true },
+    { no: 4, name: 'reason', type: 'string' }
+]);
+
+/**
+ * `infernet.handshake.v1.HandshakeService`
+ */
+export const HandshakeService = service('infernet.handshake.v1.HandshakeService', {
+    Handshake: { requestType: HandshakeRequest, responseType: HandshakeResponse }
+});
+
+/**
+ * Client stub for HandshakeService; see createClient() in wire.js for the
+ * transport.
+ *
+ * @typedef {object} HandshakeServiceClient
+ * @property {(request: HandshakeRequest) => Promise<HandshakeResponse>}
+ * handshake
+ *
+ * @returns {HandshakeServiceClient}
+ */
+export const createHandshakeServiceClient = (transport, opts) => createClient(HandshakeService, transport, opts);
+
+/**
+ * Server interface for HandshakeService: bind an implementation to get
+ * path → bytes handlers.
+ *
+ * @typedef {object} HandshakeServiceImplementation
+ * @property {(request: HandshakeRequest, ctx?: object) =>
+ * Promise<HandshakeResponse>} handshake
+ */
+export const bindHandshakeService = (impl, opts) => bindService(HandshakeService, impl, opts);
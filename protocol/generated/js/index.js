@@ -0,0 +1,22 @@
+// Code generated by tooling/protocol-codegen.mjs. DO NOT EDIT.
+
+export * from './wire.js';
+export * as computeV1 from './compute/v1/compute.js';
+export * as dhtV1 from './dht/v1/dht.js';
+export * as handshakeV1 from './handshake/v1/handshake.js';
+export * as paymentV1 from './payment/v1/payment.js';
+export * as peerV1 from './peer/v1/peer.js';
+export * as pubsubV1 from './pubsub/v1/pubsub.js';
+export * as relayV1 from './relay/v1/relay.js';
+export * as rmiV1 from './rmi/v1/rmi.js';
+
+export const PACKAGES = Object.freeze([
+    'infernet.compute.v1',
+    'infernet.dht.v1',
+    'infernet.handshake.v1',
+    'infernet.payment.v1',
+    'infernet.peer.v1',
+    'infernet.pubsub.v1',
+    'infernet.relay.v1',
+    'infernet.rmi.v1'
+]);
@@ -0,0 +1,97 @@
+// Code generated by tooling/protocol-codegen.mjs from protocol/proto/payment/v1/payment.proto. DO NOT EDIT.
+
+import { bindService, createClient, message, service } from '../../wire.js';
+
+/** Version metadata (IPIP-0021 §6). */
+export const PACKAGE_INFO = Object.freeze({
+    package: 'infernet.payment.v1',
+    version: 1,
+    source: 'protocol/proto/payment/v1/payment.proto',
+    source_sha256: '7f561f631d1afc91079de0c451c5efae204533d3477bd733099178b5c120a333',
+    generator: 'infernet-protocol-codegen/1'
+});
+
+/**
+ * `infernet.payment.v1.PaymentIntent`
+ *
+ * @typedef {object} PaymentIntent
+ * @property {string} intent_id generated at invoice creation
+ * @property {string} client_peer_id
+ * @property {string} worker_peer_id
+ * @property {string} job_id
+ * @property {string} coin "BTC", "ETH", "USDC", ...
+ * @property {string} chain "ethereum", "polygon", "solana", "base"
+ * @property {number | bigint} amount_minor smallest-unit (sats / wei /
+ * ...) — avoid float
+ * @property {number | bigint} expires_at_unix
+ * @property {Uint8Array} signature signed by control plane
+ */
+export const PaymentIntent = message('infernet.payment.v1.PaymentIntent', [
+    { no: 1, name: 'intent_id', type: 'string' },
+    { no: 2, name: 'client_peer_id', type: 'string' },
+    { no: 3, name: 'worker_peer_id', type: 'string' },
+    { no: 4, name: 'job_id', type: 'string' },
+    { no: 5, name: 'coin', type: 'string' },
+    { no: 6, name: 'chain', type: 'string' },
+    { no: 7, name: 'amount_minor', type: 'uint64' },
+    { no: 8, name: 'expires_at_unix', type: 'int64' },
+    { no: 9, name: 'signature', type: 'bytes' }
+]);
+
+/**
+ * `infernet.payment.v1.PaymentVerifyRequest`
+ *
+ * @typedef {object} PaymentVerifyRequest
+ * @property {string} intent_id
+ * @property {string} control_plane base URL of the issuing control plane
+ */
+export const PaymentVerifyRequest = message('infernet.payment.v1.PaymentVerifyRequest', [
+    { no: 1, name: 'intent_id', type: 'string' },
+    { no: 2, name: 'control_plane', type: 'string' }
+]);
+
+/**
+ * `infernet.payment.v1.PaymentVerifyResponse`
+ *
+ * @typedef {object} PaymentVerifyResponse
+ * @property {boolean} valid
+ * @property {string} state "pending" | "authorized" | "settled" |
+ * "refunded" | "expired"
+ * @property {number | bigint} verified_at
+ * @property {string} error populated when valid = false
+ */
+export const PaymentVerifyResponse = message('infernet.payment.v1.PaymentVerifyResponse', [
+    { no: 1, name: 'valid', type: 'bool' },
+    { no: 2, name: 'state', type: 'string' },
+    { no: 3, name: 'verified_at', type: 'int64' },
+    { no: 4, name: 'error', type: 'string' }
+]);
+
+/**
+ * `infernet.payment.v1.PaymentService`
+ */
+export const PaymentService = service('infernet.payment.v1.PaymentService', {
+    VerifyIntent: { requestType: PaymentVerifyRequest, responseType: PaymentVerifyResponse }
+});
+
+/**
+ * Client stub for PaymentService; see createClient() in wire.js for the
+ * transport.
+ *
+ * @typedef {object} PaymentServiceClient
+ * @property {(request: PaymentVerifyRequest) =>
+ * Promise<PaymentVerifyResponse>} verifyIntent
+ *
+ * @returns {PaymentServiceClient}
+ */
+export const createPaymentServiceClient = (transport, opts) => createClient(PaymentService, transport, opts);
+
+/**
+ * Server interface for PaymentService: bind an implementation to get path
+ * → bytes handlers.
+ *
+ * @typedef {object} PaymentServiceImplementation
+ * @property {(request: PaymentVerifyRequest, ctx?: object) =>
+ * Promise<PaymentVerifyResponse>} verifyIntent
+ */
+export const bindPaymentService = (impl, opts) => bindService(PaymentService, impl, opts);
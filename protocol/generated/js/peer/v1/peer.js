@@ -0,0 +1,156 @@
+// Code generated by tooling/protocol-codegen.mjs from protocol/proto/peer/v1/peer.proto. DO NOT EDIT.
+
+import { bindService, createClient, message, service } from '../../wire.js';
+
+/** Version metadata (IPIP-0021 §6). */
+export const PACKAGE_INFO = Object.freeze({
+    package: 'infernet.peer.v1',
+    version: 1,
+    source: 'protocol/proto/peer/v1/peer.proto',
+    source_sha256: '067e4d7330e550a9a282764c0af38266a1bddb6ae4ce9c37ded19595071dbfe4',
+    generator: 'infernet-protocol-codegen/1'
+});
+
+/**
+ * `infernet.peer.v1.PeerInfo`
+ *
+ * @typedef {object} PeerInfo
+ * @property {string} peer_id
+ * @property {string[]} multiaddrs libp2p multiaddrs (e.g.
+ * "/ip4/203.0.113.10/tcp/4001/p2p/QmFoo"). Multiple are common (IPv4 +
+ * IPv6 + relay).
+ * @property {string[]} protocols Protocols this peer reported during its
+ * last handshake.
+ * @property {number | bigint} last_seen_unix Last time the discovery layer
+ * saw this peer alive.
+ */
+export const PeerInfo = message('infernet.peer.v1.PeerInfo', [
+    { no: 1, name: 'peer_id', type: 'string' },
+    { no: 2, name: 'multiaddrs', type: 'string', repeated: true },
+    { no: 3, name: 'protocols', type: 'string', repeated: true },
+    { no: 4, name: 'last_seen_unix', type: 'int64' }
+]);
+
+/**
+ * `infernet.peer.v1.FindPeersRequest`
+ *
+ * @typedef {object} FindPeersRequest
+ * @property {string} namespace Logical namespace, e.g.
+ * "providers/qwen2.5:7b" or "validators/cpr". Empty string = match any
+ * namespace.
+ * @property {string[]} required_protocols Returned peers MUST claim every
+ * protocol in this list.
+ * @property {number} limit Cap on returned peers; receiver MAY return
+ * fewer.
+ */
+export const FindPeersRequest = message('infernet.peer.v1.FindPeersRequest', [
+    { no: 1, name: 'namespace', type: 'string' },
+    { no: 2, name: 'required_protocols', type: 'string', repeated: true },
+    { no: 3, name: 'limit', type: 'uint32' }
+]);
+
+/**
+ * `infernet.peer.v1.FindPeersResponse`
+ *
+ * @typedef {object} FindPeersResponse
+ * @property {Array<PeerInfo>} peers
+ */
+export const FindPeersResponse = message('infernet.peer.v1.FindPeersResponse', [
+    { no: 1, name: 'peers', message: () => PeerInfo, repeated: true }
+]);
+
+/**
+ * `infernet.peer.v1.GpuSummary` — One GPU, reduced to what routing needs —
+ * exact VRAM and board ids never leave the node.
+ *
+ * @typedef {object} GpuSummary
+ * @property {string} vendor nvidia | amd | apple | intel | unknown
+ * @property {string} vram_tier <8gb | 8-16gb | 16-24gb | 24-48gb | >=48gb
+ * | unknown
+ * @property {string} model
+ */
+export const GpuSummary = message('infernet.peer.v1.GpuSummary', [
+    { no: 1, name: 'vendor', type: 'string' },
+    { no: 2, name: 'vram_tier', type: 'string' },
+    { no: 3, name: 'model', type: 'string' }
+]);
+
+/**
+ * `infernet.peer.v1.NodeSpecs` — A provider's coarse capability snapshot
+ * (IPIP-0008).
+ *
+ * @typedef {object} NodeSpecs
+ * @property {Array<GpuSummary>} gpus
+ * @property {number} gpu_count
+ * @property {string[]} served_models
+ * @property {string[]} embedding_models
+ * @property {string[]} vision_models
+ * @property {string} extra_json Everything else the daemon reports (cpu,
+ * interconnects, bench, load, reachability, ...) as a JSON object. The
+ * typed fields above win over keys of the same name.
+ */
+export const NodeSpecs = message('infernet.peer.v1.NodeSpecs', [
+    { no: 1, name: 'gpus', message: () => GpuSummary, repeated: true },
+    { no: 2, name: 'gpu_count', type: 'uint32' },
+    { no: 3, name: 'served_models', type: 'string', repeated: true },
+    { no: 4, name: 'embedding_models', type: 'string', repeated: true },
+    { no: 5, name: 'vision_models', type: 'string', repeated: true },
+    { no: 6, name: 'extra_json', type: 'string' }
+]);
+
+/**
+ * `infernet.peer.v1.Heartbeat` — Liveness ping from a registered node.
+ *
+ * @typedef {object} Heartbeat
+ * @property {string} role provider | aggregator | client
+ * @property {string} status available | offline; empty = available
+ * @property {string} address advertised host; empty = unchanged
+ * @property {number} port advertised port; 0 = unchanged
+ * @property {NodeSpecs | null} specs providers only
+ */
+export const Heartbeat = message('infernet.peer.v1.Heartbeat', [
+    { no: 1, name: 'role', type: 'string' },
+    { no: 2, name: 'status', type: 'string' },
+    { no: 3, name: 'address', type: 'string' },
+    { no: 4, name: 'port', type: 'uint32' },
+    { no: 5, name: 'specs', message: () => NodeSpecs }
+]);
+
+/**
+ * `infernet.peer.v1.HeartbeatAck`
+ *
+ * @typedef {object} HeartbeatAck
+ * @property {string} id the node's row id
+ */
+export const HeartbeatAck = message('infernet.peer.v1.HeartbeatAck', [
+    { no: 1, name: 'id', type: 'string' }
+]);
+
+/**
+ * `infernet.peer.v1.PeerDiscovery`
+ */
+export const PeerDiscovery = service('infernet.peer.v1.PeerDiscovery', {
+    FindPeers: { requestType: FindPeersRequest, responseType: FindPeersResponse }
+});
+
+/**
+ * Client stub for PeerDiscovery; see createClient() in wire.js for the
+ * transport.
+ *
+ * @typedef {object} PeerDiscoveryClient
+ * @property {(request: FindPeersRequest) => Promise<FindPeersResponse>}
+ * findPeers
+ *
+ * @returns {PeerDiscoveryClient}
+ */
+export const createPeerDiscoveryClient = (transport, opts) => createClient(PeerDiscovery, transport, opts);
+
+/**
+ * Server interface for PeerDiscovery: bind an implementation to get path →
+ * bytes handlers.
+ *
+ * @typedef {object} PeerDiscoveryImplementation
+ * @property {(request: FindPeersRequest, ctx?: object) =>
+ * Promise<FindPeersResponse>} findPeers
+ */
+export const bindPeerDiscovery = (impl, opts) => bindService(PeerDiscovery, impl, opts);
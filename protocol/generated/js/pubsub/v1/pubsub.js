@@ -0,0 +1,48 @@
+// Code generated by tooling/protocol-codegen.mjs from protocol/proto/pubsub/v1/pubsub.proto. DO NOT EDIT.
+
+import { message } from '../../wire.js';
+
+/** Version metadata (IPIP-0021 §6). */
+export const PACKAGE_INFO = Object.freeze({
+    package: 'infernet.pubsub.v1',
+    version: 1,
+    source: 'protocol/proto/pubsub/v1/pubsub.proto',
+    source_sha256: '72dd9df4b31e1d8eb1bd113bc44bbd000f2f7c43068f4f2f9b2b7ad9bfe0d41a',
+    generator: 'infernet-protocol-codegen/1'
+});
+
+/**
+ * `infernet.pubsub.v1.Envelope`
+ *
+ * @typedef {object} Envelope
+ * @property {string} message_id unique per (sender, payload); used for
+ * dedup
+ * @property {string} topic e.g. "jobs/embedding/qwen2.5-7b"
+ * @property {string} sender_peer_id
+ * @property {number | bigint} timestamp_unix
+ * @property {Uint8Array} payload application-defined
+ * @property {Uint8Array} signature over
+ * (message_id|topic|sender|timestamp|sha256(payload))
+ */
+export const Envelope = message('infernet.pubsub.v1.Envelope', [
+    { no: 1, name: 'message_id', type: 'string' },
+    { no: 2, name: 'topic', type: 'string' },
+    { no: 3, name: 'sender_peer_id', type: 'string' },
+    { no: 4, name: 'timestamp_unix', type: 'int64' },
+    { no: 5, name: 'payload', type: 'bytes' },
+    { no: 6, name: 'signature', type: 'bytes' }
+]);
+
+/**
+ * `infernet.pubsub.v1.GossipMessage`
+ *
+ * @typedef {object} GossipMessage
+ * @property {Envelope | null} envelope
+ * @property {string[]} seen_by_peer_ids forwarders so far — prevents loops
+ * @property {number} ttl hops remaining; drop at 0
+ */
+export const GossipMessage = message('infernet.pubsub.v1.GossipMessage', [
+    { no: 1, name: 'envelope', message: () => Envelope },
+    { no: 2, name: 'seen_by_peer_ids', type: 'string', repeated: true },
+    { no: 3, name: 'ttl', type: 'uint32' }
+]);
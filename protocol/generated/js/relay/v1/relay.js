@@ -0,0 +1,119 @@
+// Code generated by tooling/protocol-codegen.mjs from protocol/proto/relay/v1/relay.proto. DO NOT EDIT.
+
+import { message } from '../../wire.js';
+
+/** Version metadata (IPIP-0021 §6). */
+export const PACKAGE_INFO = Object.freeze({
+    package: 'infernet.relay.v1',
+    version: 1,
+    source: 'protocol/proto/relay/v1/relay.proto',
+    source_sha256: 'a30af285683e8bf27aa061c7b52300fc4e7faa2c38ea4ae2bfa5f3d938ccb6f2',
+    generator: 'infernet-protocol-codegen/1'
+});
+
+/**
+ * `infernet.relay.v1.ReserveRequest` — Reserved peer → relay. The relay
+ * answers with a ReserveStatus and then one Incoming per circuit for as
+ * long as the connection lasts.
+ *
+ * @typedef {object} ReserveRequest
+ */
+export const ReserveRequest = message('infernet.relay.v1.ReserveRequest', []);
+
+/**
+ * `infernet.relay.v1.ReserveStatus`
+ *
+ * @typedef {object} ReserveStatus
+ * @property {boolean} reserved
+ */
+export const ReserveStatus = message('infernet.relay.v1.ReserveStatus', [
+    { no: 1, name: 'reserved', type: 'bool' }
+]);
+
+/**
+ * `infernet.relay.v1.Incoming`
+ *
+ * @typedef {object} Incoming
+ * @property {string} circuit_id
+ * @property {string} from_peer_id the dialer, as authenticated by the
+ * relay
+ * @property {boolean} punch a hole punch will be negotiated
+ */
+export const Incoming = message('infernet.relay.v1.Incoming', [
+    { no: 1, name: 'circuit_id', type: 'string' },
+    { no: 2, name: 'from_peer_id', type: 'string' },
+    { no: 3, name: 'punch', type: 'bool' }
+]);
+
+/**
+ * `infernet.relay.v1.ConnectRequest` — Dialer → relay.
+ *
+ * @typedef {object} ConnectRequest
+ * @property {string} target_peer_id
+ * @property {boolean} punch
+ */
+export const ConnectRequest = message('infernet.relay.v1.ConnectRequest', [
+    { no: 1, name: 'target_peer_id', type: 'string' },
+    { no: 2, name: 'punch', type: 'bool' }
+]);
+
+/**
+ * `infernet.relay.v1.AcceptRequest` — Reserved peer → relay, on a new
+ * connection.
+ *
+ * @typedef {object} AcceptRequest
+ * @property {string} circuit_id
+ */
+export const AcceptRequest = message('infernet.relay.v1.AcceptRequest', [
+    { no: 1, name: 'circuit_id', type: 'string' }
+]);
+
+/**
+ * `infernet.relay.v1.CircuitOpened` — Relay → dialer and reserved peer;
+ * the stream is spliced after it.
+ *
+ * @typedef {object} CircuitOpened
+ * @property {string} circuit_id
+ * @property {PunchOffer | null} punch unset: no hole punch
+ */
+export const CircuitOpened = message('infernet.relay.v1.CircuitOpened', [
+    { no: 1, name: 'circuit_id', type: 'string' },
+    { no: 2, name: 'punch', message: () => PunchOffer }
+]);
+
+/**
+ * `infernet.relay.v1.PunchOffer`
+ *
+ * @typedef {object} PunchOffer
+ * @property {string} token authorizes Observe on the relay's UDP port
+ * @property {number} udp_port
+ */
+export const PunchOffer = message('infernet.relay.v1.PunchOffer', [
+    { no: 1, name: 'token', type: 'string' },
+    { no: 2, name: 'udp_port', type: 'uint32' }
+]);
+
+/**
+ * `infernet.relay.v1.PunchCandidate` — The ends over the spliced circuit,
+ * before their handshake.
+ *
+ * @typedef {object} PunchCandidate
+ * @property {string} host public UDP mapping the relay observed
+ * @property {number} port
+ * @property {string} nonce
+ */
+export const PunchCandidate = message('infernet.relay.v1.PunchCandidate', [
+    { no: 1, name: 'host', type: 'string' },
+    { no: 2, name: 'port', type: 'uint32' },
+    { no: 3, name: 'nonce', type: 'string' }
+]);
+
+/**
+ * `infernet.relay.v1.PunchVerdict`
+ *
+ * @typedef {object} PunchVerdict
+ * @property {boolean} punched
+ */
+export const PunchVerdict = message('infernet.relay.v1.PunchVerdict', [
+    { no: 1, name: 'punched', type: 'bool' }
+]);
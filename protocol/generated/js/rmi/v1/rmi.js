@@ -0,0 +1,114 @@
+// Code generated by tooling/protocol-codegen.mjs from protocol/proto/rmi/v1/rmi.proto. DO NOT EDIT.
+
+import { bindService, createClient, message, service } from '../../wire.js';
+
+/** Version metadata (IPIP-0021 §6). */
+export const PACKAGE_INFO = Object.freeze({
+    package: 'infernet.rmi.v1',
+    version: 1,
+    source: 'protocol/proto/rmi/v1/rmi.proto',
+    source_sha256: 'b0023a26c53ad92ba7a1cdba6718c36040f798e9a26893e02245432ec743199d',
+    generator: 'infernet-protocol-codegen/1'
+});
+
+/**
+ * `infernet.rmi.v1.ObjectRef`
+ *
+ * @typedef {object} ObjectRef
+ * @property {string} object_id stable id, e.g. "job:abc123"
+ * @property {string} type_name versioned, e.g.
+ * "infernet.compute.ComputeJob.v1"
+ * @property {string} owner_peer_id current owner per the registry
+ */
+export const ObjectRef = message('infernet.rmi.v1.ObjectRef', [
+    { no: 1, name: 'object_id', type: 'string' },
+    { no: 2, name: 'type_name', type: 'string' },
+    { no: 3, name: 'owner_peer_id', type: 'string' }
+]);
+
+/**
+ * `infernet.rmi.v1.MethodArgument`
+ *
+ * @typedef {object} MethodArgument
+ * @property {string} name
+ * @property {Uint8Array} value
+ * @property {string} content_type "application/json",
+ * "application/protobuf;type=...", etc.
+ */
+export const MethodArgument = message('infernet.rmi.v1.MethodArgument', [
+    { no: 1, name: 'name', type: 'string' },
+    { no: 2, name: 'value', type: 'bytes' },
+    { no: 3, name: 'content_type', type: 'string' }
+]);
+
+/**
+ * `infernet.rmi.v1.RmiRequest`
+ *
+ * @typedef {object} RmiRequest
+ * @property {string} request_id idempotency key (IPIP-0014 §1)
+ * @property {ObjectRef | null} object_ref
+ * @property {string} method_name
+ * @property {Array<MethodArgument>} args
+ * @property {number | bigint} timestamp_unix replay protection
+ * @property {Uint8Array} caller_signature over
+ * (request_id|object_ref|method|args|timestamp)
+ */
+export const RmiRequest = message('infernet.rmi.v1.RmiRequest', [
+    { no: 1, name: 'request_id', type: 'string' },
+    { no: 2, name: 'object_ref', message: () => ObjectRef },
+    { no: 3, name: 'method_name', type: 'string' },
+    { no: 4, name: 'args', message: () => MethodArgument, repeated: true },
+    { no: 5, name: 'timestamp_unix', type: 'int64' },
+    { no: 6, name: 'caller_signature', type: 'bytes' }
+]);
+
+/**
+ * `infernet.rmi.v1.RmiResponse`
+ *
+ * @typedef {object} RmiResponse
+ * @property {string} request_id
+ * @property {boolean} ok
+ * @property {Uint8Array} return_value
+ * @property {string} return_content_type
+ * @property {string} error_code OBJECT_NOT_FOUND | METHOD_NOT_FOUND | ...
+ * @property {string} error_message
+ * @property {ObjectRef | null} migrated_to When error_code ==
+ * OBJECT_MIGRATED, this carries the new owner.
+ */
+export const RmiResponse = message('infernet.rmi.v1.RmiResponse', [
+    { no: 1, name: 'request_id', type: 'string' },
+    { no: 2, name: 'ok', type: 'bool' },
+    { no: 3, name: 'return_value', type: 'bytes' },
+    { no: 4, name: 'return_content_type', type: 'string' },
+    { no: 5, name: 'error_code', type: 'string' },
+    { no: 6, name: 'error_message', type: 'string' },
+    { no: 7, name: 'migrated_to', message: () => ObjectRef }
+]);
+
+/**
+ * `infernet.rmi.v1.RemoteObjectInvoker`
+ */
+export const RemoteObjectInvoker = service('infernet.rmi.v1.RemoteObjectInvoker', {
+    Invoke: { requestType: RmiRequest, responseType: RmiResponse }
+});
+
+/**
+ * Client stub for RemoteObjectInvoker; see createClient() in wire.js for
+ * the transport.
+ *
+ * @typedef {object} RemoteObjectInvokerClient
+ * @property {(request: RmiRequest) => Promise<RmiResponse>} invoke
+ *
+ * @returns {RemoteObjectInvokerClient}
+ */
+export const createRemoteObjectInvokerClient = (transport, opts) => createClient(RemoteObjectInvoker, transport, opts);
+
+/**
+ * Server interface for RemoteObjectInvoker: bind an implementation to get
+ * path → bytes handlers.
+ *
+ * @typedef {object} RemoteObjectInvokerImplementation
+ * @property {(request: RmiRequest, ctx?: object) => Promise<RmiResponse>}
+ * invoke
+ */
+export const bindRemoteObjectInvoker = (impl, opts) => bindService(RemoteObjectInvoker, impl, opts);
@@ -0,0 +1,473 @@
+// Code generated by tooling/protocol-codegen.mjs from tooling/protocol-wire.js. DO NOT EDIT.
+
+/**
+ * Protobuf (proto3) wire runtime for the generated JS SDK.
+ *
+ * tooling/protocol-codegen.mjs copies this file verbatim to
+ * protocol/generated/js/wire.js; every generated package describes its
+ * messages with message() / service() and this file does the encoding,
+ * so the generated code stays small enough to review in a diff.
+ *
+ * Value mapping:
+ *   - message fields keep their proto names (snake_case), like the
+ *     NDJSON shapes the daemon already speaks
+ *   - bytes are Uint8Array; 64-bit integers decode to numbers when
+ *     they are safe integers and to BigInt otherwise (encode takes
+ *     number, bigint or a decimal string)
+ *   - unset sub-messages decode to null; everything else gets its
+ *     proto3 default
+ *   - unknown fields survive decode → encode (IPIP-0021 §2), kept on a
+ *     non-enumerable UNKNOWN_FIELDS property
+ *
+ * decode() refuses input larger than maxBytes (default 1 MiB,
+ * IPIP-0021 "Security considerations") before reading a single tag.
+ */
+
+export const DEFAULT_MAX_MESSAGE_BYTES = 1024 * 1024;
+export const UNKNOWN_FIELDS = Symbol.for('infernet.protocol.unknownFields');
+const MAX_DEPTH = 64;
+
+const VARINT = 0;
+const I64 = 1;
+const LEN = 2;
+const I32 = 5;
+
+const SCALARS = {
+    double: I64, float: I32,
+    int32: VARINT, int64: VARINT, uint32: VARINT, uint64: VARINT,
+    sint32: VARINT, sint64: VARINT, bool: VARINT,
+    fixed32: I32, sfixed32: I32, fixed64: I64, sfixed64: I64,
+    string: LEN, bytes: LEN
+};
+const WIDE = new Set(['int64', 'uint64', 'sint64', 'fixed64', 'sfixed64']);
+
+export class WireError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WireError';
+    }
+}
+
+const utf8 = new TextEncoder();
+const utf8Strict = new TextDecoder('utf-8', { fatal: true });
+
+// ---------------------------------------------------------------- writer
+
+class Writer {
+    constructor() {
+        this.chunks = [];
+        this.length = 0;
+    }
+
+    push(bytes) {
+        this.chunks.push(bytes);
+        this.length += bytes.length;
+    }
+
+    varint(value) {
+        let v = BigInt.asUintN(64, BigInt(value));
+        const out = [];
+        while (v > 0x7fn) {
+            out.push(Number(v & 0x7fn) | 0x80);
+            v >>= 7n;
+        }
+        out.push(Number(v));
+        this.push(Uint8Array.from(out));
+    }
+
+    tag(no, wireType) {
+        this.varint((no << 3) | wireType);
+    }
+
+    fixed(value, size, kind) {
+        const buf = new Uint8Array(size);
+        const view = new DataView(buf.buffer);
+        if (kind === 'double') view.setFloat64(0, Number(value), true);
+        else if (kind === 'float') view.setFloat32(0, Number(value), true);
+        else if (size === 8) view.setBigUint64(0, BigInt.asUintN(64, BigInt(value)), true);
+        else view.setUint32(0, Number(value) >>> 0, true);
+        this.push(buf);
+    }
+
+    lengthDelimited(bytes) {
+        this.varint(bytes.length);
+        this.push(bytes);
+    }
+
+    finish() {
+        const out = new Uint8Array(this.length);
+        let offset = 0;
+        for (const c of this.chunks) {
+            out.set(c, offset);
+            offset += c.length;
+        }
+        return out;
+    }
+}
+
+function bigIntOf(value, type) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'number' && Number.isInteger(value)) return BigInt(value);
+    if (typeof value === 'string' && /^-?\d+$/.test(value)) return BigInt(value);
+    throw new WireError(`${type}: expected an integer, got ${typeof value}`);
+}
+
+function writeScalar(w, type, value) {
+    switch (type) {
+        case 'string': w.lengthDelimited(utf8.encode(String(value))); return;
+        case 'bytes':
+            if (!(value instanceof Uint8Array)) throw new WireError('bytes: expected a Uint8Array');
+            w.lengthDelimited(value);
+            return;
+        case 'bool': w.varint(value ? 1 : 0); return;
+        case 'int32': w.varint(BigInt.asIntN(32, bigIntOf(value, type))); return;
+        case 'uint32': w.varint(BigInt.asUintN(32, bigIntOf(value, type))); return;
+        case 'int64': case 'uint64': w.varint(bigIntOf(value, type)); return;
+        case 'sint32': case 'sint64': {
+            const v = bigIntOf(value, type);
+            w.varint(v >= 0n ? v << 1n : ((-v) << 1n) - 1n);
+            return;
+        }
+        case 'fixed32': case 'sfixed32': w.fixed(bigIntOf(value, type), 4); return;
+        case 'fixed64': case 'sfixed64': w.fixed(bigIntOf(value, type), 8); return;
+        case 'float': w.fixed(value, 4, 'float'); return;
+        case 'double': w.fixed(value, 8, 'double'); return;
+        default: throw new WireError(`unsupported type ${type}`);
+    }
+}
+
+// proto3: scalars equal to their default are not written.
+function isDefault(type, value) {
+    if (value === undefined || value === null) return true;
+    if (type === 'string') return value === '';
+    if (type === 'bytes') return value.length === 0;
+    if (type === 'bool') return value === false;
+    if (typeof value === 'bigint') return value === 0n;
+    if (typeof value === 'string') return /^-?0+$/.test(value);
+    return value === 0;
+}
+
+function encodeInto(w, desc, value, depth) {
+    if (depth > MAX_DEPTH) throw new WireError('message nesting too deep');
+    if (value === null || typeof value !== 'object') throw new WireError(`${desc.typeName}: expected an object`);
+    for (const f of desc.fields) {
+        const v = value[f.name];
+        if (f.message) {
+            const sub = f.message();
+            const items = f.repeated ? (v ?? []) : (v == null ? [] : [v]);
+            for (const item of items) {
+                const inner = new Writer();
+                encodeInto(inner, sub, item, depth + 1);
+                w.tag(f.no, LEN);
+                w.lengthDelimited(inner.finish());
+            }
+        } else if (f.repeated) {
+            const items = v ?? [];
+            if (!Array.isArray(items)) throw new WireError(`${desc.typeName}.${f.name}: expected an array`);
+            if (items.length === 0) continue;
+            if (SCALARS[f.type] === LEN) {
+                for (const item of items) {
+                    w.tag(f.no, LEN);
+                    writeScalar(w, f.type, item);
+                }
+            } else {
+                const packed = new Writer();
+                for (const item of items) writeScalar(packed, f.type, item);
+                w.tag(f.no, LEN);
+                w.lengthDelimited(packed.finish());
+            }
+        } else if (!isDefault(f.type, v)) {
+            w.tag(f.no, SCALARS[f.type]);
+            writeScalar(w, f.type, v);
+        }
+    }
+    for (const raw of value[UNKNOWN_FIELDS] ?? []) w.push(raw);
+}
+
+// ---------------------------------------------------------------- reader
+
+class Reader {
+    constructor(bytes) {
+        this.buf = bytes;
+        this.pos = 0;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    get done() {
+        return this.pos >= this.buf.length;
+    }
+
+    varint() {
+        let result = 0n;
+        let shift = 0n;
+        for (let i = 0; i < 10; i += 1) {
+            if (this.pos >= this.buf.length) throw new WireError('truncated varint');
+            const b = this.buf[this.pos++];
+            result |= BigInt(b & 0x7f) << shift;
+            if ((b & 0x80) === 0) return BigInt.asUintN(64, result);
+            shift += 7n;
+        }
+        throw new WireError('varint too long');
+    }
+
+    take(n) {
+        if (n < 0 || this.pos + n > this.buf.length) throw new WireError('truncated field');
+        const out = this.buf.subarray(this.pos, this.pos + n);
+        this.pos += n;
+        return out;
+    }
+
+    lengthDelimited() {
+        return this.take(Number(this.varint()));
+    }
+
+    skip(wireType) {
+        switch (wireType) {
+            case VARINT: this.varint(); return;
+            case I64: this.take(8); return;
+            case LEN: this.lengthDelimited(); return;
+            case I32: this.take(4); return;
+            default: throw new WireError(`unsupported wire type ${wireType}`);
+        }
+    }
+}
+
+const narrow = (big) => (big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big);
+
+function readScalar(r, type) {
+    switch (type) {
+        case 'string':
+            try { return utf8Strict.decode(r.lengthDelimited()); }
+            catch (err) { throw err instanceof WireError ? err : new WireError('string: invalid UTF-8'); }
+        case 'bytes': return Uint8Array.prototype.slice.call(r.lengthDelimited());
+        case 'bool': return r.varint() !== 0n;
+        case 'int32': return Number(BigInt.asIntN(32, r.varint()));
+        case 'uint32': return Number(BigInt.asUintN(32, r.varint()));
+        case 'int64': return narrow(BigInt.asIntN(64, r.varint()));
+        case 'uint64': return narrow(r.varint());
+        case 'sint32': case 'sint64': {
+            const v = r.varint();
+            return narrow((v & 1n) ? -((v >> 1n) + 1n) : v >> 1n);
+        }
+        case 'fixed32': { r.take(4); return r.view.getUint32(r.pos - 4, true); }
+        case 'sfixed32': { r.take(4); return r.view.getInt32(r.pos - 4, true); }
+        case 'fixed64': { r.take(8); return narrow(r.view.getBigUint64(r.pos - 8, true)); }
+        case 'sfixed64': { r.take(8); return narrow(r.view.getBigInt64(r.pos - 8, true)); }
+        case 'float': { r.take(4); return r.view.getFloat32(r.pos - 4, true); }
+        case 'double': { r.take(8); return r.view.getFloat64(r.pos - 8, true); }
+        default: throw new WireError(`unsupported type ${type}`);
+    }
+}
+
+function defaultFor(f) {
+    if (f.repeated) return [];
+    if (f.message) return null;
+    if (f.type === 'string') return '';
+    if (f.type === 'bytes') return new Uint8Array(0);
+    if (f.type === 'bool') return false;
+    return 0;
+}
+
+function decodeFrom(bytes, desc, depth) {
+    if (depth > MAX_DEPTH) throw new WireError('message nesting too deep');
+    const r = new Reader(bytes);
+    const out = desc.create();
+    const unknown = [];
+    while (!r.done) {
+        const start = r.pos;
+        const key = Number(r.varint());
+        const no = key >>> 3;
+        const wireType = key & 7;
+        if (no === 0) throw new WireError('field number 0');
+        const f = desc.byNumber.get(no);
+        if (!f) {
+            r.skip(wireType);
+            unknown.push(Uint8Array.prototype.slice.call(bytes, start, r.pos));
+            continue;
+        }
+        if (f.message) {
+            if (wireType !== LEN) throw new WireError(`${desc.typeName}.${f.name}: wrong wire type`);
+            const value = decodeFrom(r.lengthDelimited(), f.message(), depth + 1);
+            if (f.repeated) out[f.name].push(value);
+            else out[f.name] = value;
+            continue;
+        }
+        const expected = SCALARS[f.type];
+        if (f.repeated && wireType === LEN && expected !== LEN) {
+            const packed = new Reader(r.lengthDelimited());
+            while (!packed.done) out[f.name].push(readScalar(packed, f.type));
+            continue;
+        }
+        if (wireType !== expected) throw new WireError(`${desc.typeName}.${f.name}: wrong wire type`);
+        const value = readScalar(r, f.type);
+        if (f.repeated) out[f.name].push(value);
+        else out[f.name] = value;
+    }
+    if (unknown.length > 0) Object.defineProperty(out, UNKNOWN_FIELDS, { value: unknown, enumerable: false });
+    return out;
+}
+
+// ---------------------------------------------------------------- JSON
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+const fromBase64 = (text) => new Uint8Array(Buffer.from(String(text), 'base64'));
+
+function scalarToJson(type, value) {
+    if (type === 'bytes') return toBase64(value);
+    if (WIDE.has(type)) return String(value);
+    return value;
+}
+
+function scalarFromJson(type, value) {
+    if (type === 'bytes') return fromBase64(value);
+    if (WIDE.has(type)) return narrow(bigIntOf(value, type));
+    return value;
+}
+
+// ---------------------------------------------------------------- API
+
+/**
+ * Describe a message. `fields` are `{ no, name, type, repeated? }`, or
+ * `{ no, name, message: () => Descriptor, repeated? }` for message
+ * fields (a thunk, so messages can refer to ones declared later).
+ */
+export function message(typeName, fields) {
+    const desc = {
+        typeName,
+        fields,
+        byNumber: new Map(fields.map((f) => [f.no, f])),
+
+        /** A message with every field at its default, overlaid with `init`. */
+        create(init = {}) {
+            const out = {};
+            for (const f of fields) out[f.name] = init[f.name] ?? defaultFor(f);
+            return out;
+        },
+
+        /** @returns {Uint8Array} */
+        encode(value) {
+            const w = new Writer();
+            encodeInto(w, desc, value, 0);
+            return w.finish();
+        },
+
+        /**
+         * @param {Uint8Array} bytes
+         * @param {{ maxBytes?: number }} [opts]
+         */
+        decode(bytes, { maxBytes = DEFAULT_MAX_MESSAGE_BYTES } = {}) {
+            if (!(bytes instanceof Uint8Array)) throw new WireError(`${typeName}: expected a Uint8Array`);
+            if (bytes.length > maxBytes) throw new WireError(`${typeName}: message of ${bytes.length} bytes exceeds ${maxBytes}`);
+            return decodeFrom(bytes, desc, 0);
+        },
+
+        /** Proto3 JSON (proto field names, bytes base64, 64-bit as strings). */
+        toJSON(value) {
+            const out = {};
+            for (const f of fields) {
+                const v = value[f.name];
+                if (f.message) {
+                    const sub = f.message();
+                    if (f.repeated) out[f.name] = (v ?? []).map((item) => sub.toJSON(item));
+                    else if (v != null) out[f.name] = sub.toJSON(v);
+                } else if (f.repeated) {
+                    out[f.name] = (v ?? []).map((item) => scalarToJson(f.type, item));
+                } else {
+                    out[f.name] = scalarToJson(f.type, v ?? defaultFor(f));
+                }
+            }
+            return out;
+        },
+
+        fromJSON(json) {
+            const init = {};
+            for (const f of fields) {
+                const v = json?.[f.name];
+                if (v == null) continue;
+                if (f.message) {
+                    const sub = f.message();
+                    init[f.name] = f.repeated ? v.map((item) => sub.fromJSON(item)) : sub.fromJSON(v);
+                } else {
+                    init[f.name] = f.repeated ? v.map((item) => scalarFromJson(f.type, item)) : scalarFromJson(f.type, v);
+                }
+            }
+            return desc.create(init);
+        }
+    };
+    return desc;
+}
+
+/**
+ * Describe a service. `methods` maps the proto method name to
+ * `{ requestType, responseType, requestStream?, responseStream? }`;
+ * each gets its gRPC-style path `/<package>.<Service>/<Method>`.
+ */
+export function service(typeName, methods) {
+    const out = {};
+    for (const [name, m] of Object.entries(methods)) {
+        out[name] = { requestStream: false, responseStream: false, ...m, name, path: `/${typeName}/${name}` };
+    }
+    return { typeName, methods: out };
+}
+
+const lowerFirst = (name) => name[0].toLowerCase() + name.slice(1);
+
+/**
+ * Client stub over a byte transport:
+ *   transport.unary(path, requestBytes) → Promise<responseBytes>
+ *   transport.stream(path, requestBytes) → AsyncIterable<responseBytes>
+ * Methods are the proto names in lowerCamelCase. Client-streaming
+ * methods aren't generated — none of the v1 packages declare one.
+ */
+export function createClient(svc, transport, { maxBytes } = {}) {
+    const client = {};
+    for (const m of Object.values(svc.methods)) {
+        if (m.requestStream) continue;
+        client[lowerFirst(m.name)] = m.responseStream
+            ? async function* call(request) {
+                for await (const bytes of transport.stream(m.path, m.requestType.encode(request))) {
+                    yield m.responseType.decode(bytes, { maxBytes });
+                }
+            }
+            : async (request) => m.responseType.decode(await transport.unary(m.path, m.requestType.encode(request)), { maxBytes });
+    }
+    return client;
+}
+
+/**
+ * Server side: `impl` has one lowerCamelCase function per method
+ * (async, or an async generator for server-streaming ones). Returns a
+ * map of path → handler taking and returning encoded bytes.
+ */
+export function bindService(svc, impl, { maxBytes } = {}) {
+    const handlers = new Map();
+    for (const m of Object.values(svc.methods)) {
+        const fn = impl[lowerFirst(m.name)];
+        if (typeof fn !== 'function' || m.requestStream) continue;
+        handlers.set(m.path, m.responseStream
+            ? async function* handle(bytes, ctx) {
+                for await (const res of fn(m.requestType.decode(bytes, { maxBytes }), ctx)) yield m.responseType.encode(res);
+            }
+            : async (bytes, ctx) => m.responseType.encode(await fn(m.requestType.decode(bytes, { maxBytes }), ctx)));
+    }
+    return handlers;
+}
+
+/**
+ * Split the top-level fields of an encoded message without decoding
+ * them: `[{ no, wireType, bytes }]`, where `bytes` is the whole field
+ * (tag included). Lets a receiver check a signature over the other
+ * fields before it hands the message to decode().
+ */
+export function splitFields(bytes, { maxBytes = DEFAULT_MAX_MESSAGE_BYTES } = {}) {
+    if (bytes.length > maxBytes) throw new WireError(`message of ${bytes.length} bytes exceeds ${maxBytes}`);
+    const r = new Reader(bytes);
+    const out = [];
+    while (!r.done) {
+        const start = r.pos;
+        const key = Number(r.varint());
+        r.skip(key & 7);
+        out.push({ no: key >>> 3, wireType: key & 7, bytes: bytes.subarray(start, r.pos) });
+    }
+    return out;
+}
@@ -0,0 +1,101 @@
+-- User-issued API keys for the public inference API
+-- (/v1/chat/completions, /v1/embeddings, /api/chat).
+--
+-- Only a SHA-256 of the key is stored; the plaintext is shown once at
+-- creation. key_prefix ("inf_" + first 8 chars) is kept so owners can
+-- tell keys apart in /settings and `infernet keys list`.
+--
+-- Quotas are per key so one service can't starve another and a leaked
+-- key can be revoked without touching the rest:
+--   rate_limit_per_min    requests/minute (null = server default)
+--   monthly_token_budget  total tokens per calendar month (null = unlimited)
+--   allowed_models        model allowlist (null = any model)
+--
+-- Usage is attributed on jobs.api_key_id. The token tally for the
+-- current month is kept on the key row by a trigger on jobs, so every
+-- completion path (daemon complete endpoint, NIM relays) counts without
+-- each one having to remember to.
+
+create table if not exists public.api_keys (
+    id                    uuid primary key default gen_random_uuid(),
+    user_id               uuid not null references auth.users(id) on delete cascade,
+    name                  text not null,
+    key_prefix            text not null,
+    key_hash              text not null unique,                 -- sha256 hex of the full key
+    rate_limit_per_min    integer check (rate_limit_per_min is null or rate_limit_per_min > 0),
+    monthly_token_budget  bigint check (monthly_token_budget is null or monthly_token_budget > 0),
+    allowed_models        text[],
+    usage_month           date not null default date_trunc('month', now())::date,
+    tokens_used_month     bigint not null default 0,
+    created_at            timestamptz not null default now(),
+    last_used_at          timestamptz,
+    revoked_at            timestamptz
+);
+
+create index if not exists api_keys_user_id_idx
+    on public.api_keys (user_id, created_at desc);
+
+-- RLS: service-role-only. Owners read and write through
+-- /api/v1/user/api-keys, which re-checks user_id.
+alter table public.api_keys enable row level security;
+
+alter table public.jobs
+    add column if not exists api_key_id   uuid references public.api_keys(id) on delete set null,
+    add column if not exists total_tokens integer;
+
+-- A key's recent jobs (usage pages, per-key reporting).
+create index if not exists jobs_api_key_id_idx
+    on public.jobs (api_key_id, created_at desc)
+    where api_key_id is not null;
+
+-- When a job finishes with a usage block, copy total_tokens onto the
+-- job row and add it to the key's monthly tally (rolling the tally over
+-- when the month changes).
+create or replace function public.jobs_record_api_key_usage()
+returns trigger
+language plpgsql
+as $$
+declare
+    raw text;
+    tokens integer;
+    this_month date := date_trunc('month', now())::date;
+begin
+    if new.total_tokens is not null then
+        return new;
+    end if;
+    if new.result is null or jsonb_typeof(new.result -> 'usage') <> 'object' then
+        return new;
+    end if;
+    -- The usage block comes from the provider. Anything but a plain
+    -- integer (12.5, "lots", past integer range) counts as no usage
+    -- rather than failing the UPDATE that closes the job; 9 digits
+    -- can't overflow the cast.
+    raw := new.result -> 'usage' ->> 'total_tokens';
+    tokens := case when raw ~ '^\d{1,9}$' then raw::integer else 0 end;
+    if tokens <= 0 then
+        return new;
+    end if;
+    new.total_tokens := tokens;
+    if new.api_key_id is not null then
+        update public.api_keys
+           set tokens_used_month = case when usage_month = this_month
+                                        then tokens_used_month + tokens
+                                        else tokens end,
+               usage_month = this_month
+         where id = new.api_key_id;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists jobs_record_api_key_usage on public.jobs;
+create trigger jobs_record_api_key_usage
+    before update of result on public.jobs
+    for each row execute function public.jobs_record_api_key_usage();
+
+comment on table public.api_keys is
+    'Consumer API keys for the public inference API. Hashed at rest; quotas enforced in apps/web/lib/data/api-keys.js.';
+comment on column public.api_keys.tokens_used_month is
+    'Tokens consumed during usage_month. Maintained by the jobs_record_api_key_usage trigger; treat as 0 when usage_month is not the current month.';
+comment on column public.jobs.api_key_id is
+    'API key the job was submitted with (null for anonymous / playground traffic).';
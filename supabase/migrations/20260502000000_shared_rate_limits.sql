@@ -0,0 +1,53 @@
+-- Shared rate-limit counters and signed-request nonce cache, so limits
+-- and replay defense hold across every Next.js instance instead of
+-- per process. Used when the control plane runs with
+-- INFERNET_SHARED_STATE=postgres (apps/web/lib/data/shared-state.js);
+-- the in-memory stores remain the default for single-node setups.
+--
+-- Both tables are pure scratch state with an expiry column. The app
+-- deletes lapsed rows opportunistically (at most once a minute per
+-- instance); nothing else reads them.
+
+create table if not exists public.rate_limit_buckets (
+    key       text primary key,                  -- "<limiter name>:<ip or other key>"
+    hits      integer not null,
+    reset_at  timestamptz not null
+);
+
+create index if not exists rate_limit_buckets_reset_at_idx
+    on public.rate_limit_buckets (reset_at);
+
+create table if not exists public.request_nonces (
+    nonce       text primary key,                -- X-Infernet-Auth envelope nonce
+    expires_at  timestamptz not null
+);
+
+create index if not exists request_nonces_expires_at_idx
+    on public.request_nonces (expires_at);
+
+-- Increment the counter for p_key, starting a fresh window when the
+-- current one has lapsed. One statement, so concurrent hits from
+-- different instances serialize on the row lock and each sees its own
+-- count.
+create or replace function public.rate_limit_hit(p_key text, p_window_ms integer)
+returns table (hits integer, reset_at timestamptz)
+language sql
+as $$
+    insert into public.rate_limit_buckets as b (key, hits, reset_at)
+    values (p_key, 1, now() + make_interval(secs => p_window_ms / 1000.0))
+    on conflict (key) do update
+        set hits     = case when b.reset_at <= now() then 1 else b.hits + 1 end,
+            reset_at = case when b.reset_at <= now()
+                            then now() + make_interval(secs => p_window_ms / 1000.0)
+                            else b.reset_at end
+    returning b.hits, b.reset_at;
+$$;
+
+-- RLS: service-role-only, like every other control-plane table.
+alter table public.rate_limit_buckets enable row level security;
+alter table public.request_nonces enable row level security;
+
+comment on table public.rate_limit_buckets is
+    'Fixed-window rate-limit counters shared across control-plane instances. Written only via rate_limit_hit().';
+comment on table public.request_nonces is
+    'Signed-request nonces seen within the replay window. A duplicate insert means a replay.';
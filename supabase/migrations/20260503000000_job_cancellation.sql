@@ -0,0 +1,29 @@
+-- Job cancellation. A client that walks away (SSE disconnect) or calls
+-- POST /api/chat/<jobId>/cancel flips the job out of the provider's
+-- queue; the daemon stops its engine and closes the job with whatever
+-- it generated so far.
+--
+-- jobs.status gains two values (status is free text, no check
+-- constraint to widen):
+--   cancelling  cancel requested while a provider holds the job. The
+--               daemon learns about it from the job_events insert
+--               response or its next jobs/poll, cancels the generation,
+--               posts `done` with reason "cancel" and completes the job.
+--   cancelled   terminal. Set directly for jobs nobody picked up yet,
+--               otherwise by the provider's completion. `result` keeps
+--               the partial output + usage, so the api_keys usage
+--               trigger bills the tokens that were actually generated.
+
+alter table public.jobs
+    add column if not exists cancel_requested_at timestamptz,
+    add column if not exists cancel_reason       text;       -- "client" | "disconnect"
+
+-- jobs/poll asks "which of my jobs are being cancelled?" on every tick.
+create index if not exists jobs_provider_cancelling_idx
+    on public.jobs (provider_id)
+    where status = 'cancelling';
+
+comment on column public.jobs.cancel_requested_at is
+    'When cancellation was requested. Non-null on cancelling / cancelled jobs.';
+comment on column public.jobs.cancel_reason is
+    'Who cancelled: "client" (explicit cancel call) or "disconnect" (the streaming client went away).';
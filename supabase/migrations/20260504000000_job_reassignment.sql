@@ -0,0 +1,31 @@
+-- Heartbeat-stale job reassignment (IPIP-0014 §3). A provider that
+-- crashes mid-job used to leave the job `assigned` forever; the janitor
+-- (POST /api/cron/job-janitor, apps/web/lib/data/job-janitor.js) now
+-- hands such jobs to another provider and records the handoff as a
+-- `reassigned` job_events row so open streams reset and follow along.
+--
+--   reassign_count         handoffs away from a silent provider so far;
+--                          past the cap the job fails with
+--                          "exhausted_reassigns".
+--   excluded_provider_ids  every provider the job was taken away from —
+--                          never routed back to one of them.
+--
+-- A job handed off while no other provider qualifies goes back to
+-- `pending` (provider_id null) and the janitor keeps trying to route it
+-- until the progress deadline runs out.
+
+alter table public.jobs
+    add column if not exists reassign_count        integer not null default 0,
+    add column if not exists excluded_provider_ids uuid[]  not null default '{}';
+
+-- The janitor's scan: held jobs by age, plus pending jobs that were
+-- handed off and still need a provider.
+create index if not exists jobs_janitor_idx
+    on public.jobs (status, assigned_at)
+    where status in ('assigned', 'cancelling')
+       or (status = 'pending' and reassign_count > 0);
+
+comment on column public.jobs.reassign_count is
+    'Times the job was taken from a provider that stopped heartbeating or made no progress (IPIP-0014 §3).';
+comment on column public.jobs.excluded_provider_ids is
+    'Providers the job was reassigned away from; routing skips them.';
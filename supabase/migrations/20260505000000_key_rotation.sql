@@ -0,0 +1,83 @@
+-- Signed-request envelope v2: key rotation and delegated subkeys
+-- (packages/auth/src/key-delegation.js, apps/web/lib/data/node-keys.js).
+--
+-- revoked_keys holds two kinds of row:
+--   delegated_by = ''         the key itself is revoked — a node rotated
+--                             away from it. Refused on every request.
+--   delegated_by = <master>   that master's delegation to the key is
+--                             revoked. Only certificates from that
+--                             master stop working; the key is otherwise
+--                             untouched.
+-- Read on every signed request, whatever INFERNET_SHARED_STATE says
+-- (lib/auth/verify-signed-request.js), so the primary key is the lookup.
+
+create table if not exists public.revoked_keys (
+    pubkey        text        not null check (length(pubkey) = 64),
+    delegated_by  text        not null default '',
+    replaced_by   text        check (replaced_by is null or length(replaced_by) = 64),
+    revoked_at    timestamptz not null default now(),
+    primary key (pubkey, delegated_by)
+);
+
+-- Move every row owned by p_old to p_new and revoke p_old, in one
+-- transaction, so a node is never half-rotated. Idempotent: re-running
+-- a rotation that already happened (a retry after a lost response) is a
+-- no-op that reports zero moved rows.
+create or replace function public.rotate_node_pubkey(p_old text, p_new text)
+returns table (moved_providers integer, moved_aggregators integer, moved_clients integer, moved_links integer, moved_commands integer)
+language plpgsql
+as $$
+declare
+    n_providers integer := 0;
+    n_aggregators integer := 0;
+    n_clients integer := 0;
+    n_links integer := 0;
+    n_commands integer := 0;
+    prior text;
+begin
+    select r.replaced_by into prior
+    from public.revoked_keys r
+    where r.pubkey = p_old and r.delegated_by = '';
+    if found then
+        if prior is distinct from p_new then
+            raise exception 'key already revoked' using errcode = '22023';
+        end if;
+        return query select 0, 0, 0, 0, 0;
+        return;
+    end if;
+
+    if exists (select 1 from public.revoked_keys r where r.pubkey = p_new and r.delegated_by = '') then
+        raise exception 'new key is revoked' using errcode = '22023';
+    end if;
+    if exists (select 1 from public.providers p where p.public_key = p_new)
+        or exists (select 1 from public.aggregators a where a.public_key = p_new)
+        or exists (select 1 from public.clients c where c.public_key = p_new)
+        or exists (select 1 from public.pubkey_links l where l.pubkey = p_new) then
+        raise exception 'new key is already in use' using errcode = '23505';
+    end if;
+
+    update public.providers set public_key = p_new where public_key = p_old;
+    get diagnostics n_providers = row_count;
+    update public.aggregators set public_key = p_new where public_key = p_old;
+    get diagnostics n_aggregators = row_count;
+    update public.clients set public_key = p_new where public_key = p_old;
+    get diagnostics n_clients = row_count;
+    update public.pubkey_links set pubkey = p_new where pubkey = p_old;
+    get diagnostics n_links = row_count;
+    update public.node_commands set pubkey = p_new where pubkey = p_old;
+    get diagnostics n_commands = row_count;
+
+    insert into public.revoked_keys (pubkey, delegated_by, replaced_by)
+    values (p_old, '', p_new);
+
+    return query select n_providers, n_aggregators, n_clients, n_links, n_commands;
+end;
+$$;
+
+-- RLS: service-role-only, like every other control-plane table.
+alter table public.revoked_keys enable row level security;
+
+comment on table public.revoked_keys is
+    'Signed-request keys refused by the control plane: rotated-away node keys (delegated_by = '''') and revoked subkey delegations (delegated_by = master pubkey).';
+comment on function public.rotate_node_pubkey(text, text) is
+    'Atomically moves providers/aggregators/clients/pubkey_links/node_commands from p_old to p_new and revokes p_old.';
@@ -0,0 +1,96 @@
+-- Batch inference (IPIP-0013). POST /api/v1/jobs/batch splits a list of
+-- items into chunks; each chunk runs as one ordinary job on one provider
+-- (an `embeddings` job, or a `batch` job of chat requests the daemon
+-- runs back to back). The sweep at /api/cron/batch
+-- (apps/web/lib/data/batch.js) dispatches chunks, retries failed ones on
+-- another provider, and writes the manifest + fires the webhook once
+-- every chunk has settled.
+--
+-- Chunk lifecycle:
+--   queued → running → done
+--              ↘ failed (retry waits until visible_at) → running …
+--              ↘ failed_terminal (max_attempts used up, or deadline)
+--   anything unsettled → cancelled when the batch is cancelled
+--
+-- Results live on the chunk row (`result`, index-aligned with `payload`)
+-- and are served from /api/v1/jobs/batch/<id>/chunks/<index>; the
+-- manifest only points at them.
+
+create table if not exists public.jobs_batch (
+    id                   uuid primary key default gen_random_uuid(),
+    user_id              uuid not null references auth.users(id) on delete cascade,
+    api_key_id           uuid references public.api_keys(id) on delete set null,
+    kind                 text not null check (kind in ('embed', 'chat', 'classify', 'summarize', 'extract')),
+    model                text not null,
+    status               text not null default 'queued'
+                         check (status in ('queued', 'in_progress', 'completed', 'failed', 'cancelled')),
+    chunk_count          integer not null check (chunk_count > 0),
+    item_count           integer not null check (item_count > 0),
+    options              jsonb not null default '{}'::jsonb,
+    deadline_at          timestamptz,
+    manifest             jsonb,
+    result_manifest_url  text,
+    webhook_url          text,
+    webhook_secret       text,                     -- HMAC key, returned once at submission
+    webhook_attempts     integer not null default 0,
+    webhook_delivered_at timestamptz,
+    webhook_last_error   text,
+    created_at           timestamptz not null default now(),
+    started_at           timestamptz,
+    completed_at         timestamptz
+);
+
+create index if not exists jobs_batch_user_idx
+    on public.jobs_batch (user_id, created_at desc);
+-- The sweep: batches still running, and finished ones whose webhook
+-- hasn't gone through yet.
+create index if not exists jobs_batch_active_idx
+    on public.jobs_batch (created_at)
+    where status in ('queued', 'in_progress')
+       or (webhook_url is not null and webhook_delivered_at is null);
+
+create table if not exists public.jobs_batch_chunks (
+    id                   uuid primary key default gen_random_uuid(),
+    job_id               uuid not null references public.jobs_batch(id) on delete cascade,
+    chunk_index          integer not null,
+    status               text not null default 'queued'
+                         check (status in ('queued', 'running', 'done', 'failed', 'failed_terminal', 'cancelled')),
+    attempts             integer not null default 0,
+    max_attempts         integer not null default 3,
+    item_count           integer not null,
+    payload              jsonb not null,           -- the items in this chunk
+    result               jsonb,                    -- per-item results, same order
+    result_url           text,
+    last_error           text,
+    attempt_job_id       uuid references public.jobs(id) on delete set null,
+    last_provider        uuid references public.providers(id) on delete set null,
+    last_provider_pubkey text,
+    tried_provider_ids   uuid[] not null default '{}',
+    visible_at           timestamptz not null default now(),   -- retry backoff
+    lease_expires_at     timestamptz,              -- running attempt's timeout
+    created_at           timestamptz not null default now(),
+    done_at              timestamptz,
+    unique (job_id, chunk_index)
+);
+
+create index if not exists idx_jobs_batch_chunks_visible
+    on public.jobs_batch_chunks (status, visible_at)
+    where status in ('queued', 'failed');
+
+-- Chunk jobs point back at their chunk. They're billed to the batch's
+-- API key like any job, but don't count against its per-minute request
+-- limit (lib/data/api-keys.js) — the batch submission already did.
+alter table public.jobs
+    add column if not exists batch_chunk_id uuid references public.jobs_batch_chunks(id) on delete set null;
+
+-- RLS: service-role-only. Owners read through /api/v1/jobs/batch/*,
+-- which re-checks user_id.
+alter table public.jobs_batch enable row level security;
+alter table public.jobs_batch_chunks enable row level security;
+
+comment on table public.jobs_batch is
+    'IPIP-0013 batch inference jobs. Chunks in jobs_batch_chunks; manifest written when every chunk settles.';
+comment on table public.jobs_batch_chunks is
+    'One chunk of a batch job. Each attempt is an ordinary jobs row (attempt_job_id); retries avoid tried_provider_ids.';
+comment on column public.jobs.batch_chunk_id is
+    'Set on jobs that run a batch chunk (IPIP-0013).';
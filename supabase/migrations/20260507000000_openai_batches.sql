@@ -0,0 +1,71 @@
+-- OpenAI-compatible Batch API: /v1/files + /v1/batches
+-- (apps/web/lib/data/openai-batch.js). An OpenAI batch runs as an
+-- ordinary batch job (jobs_batch, IPIP-0013); these tables hold what the
+-- OpenAI surface adds on top — uploaded input files and the batch
+-- objects with their custom_id → item mapping.
+--
+-- Output and error files are rows too, but without `content`: they are
+-- rebuilt from the batch's chunk results whenever they're downloaded.
+
+create table if not exists public.openai_files (
+    id              text primary key,               -- "file-…"
+    user_id         uuid not null references auth.users(id) on delete cascade,
+    api_key_id      uuid references public.api_keys(id) on delete set null,
+    purpose         text not null check (purpose in ('batch', 'batch_output')),
+    filename        text not null,
+    bytes           bigint not null,
+    content         text,                           -- uploaded JSONL; null for generated files
+    batch_id        text,                           -- generated files: the batch they come from
+    batch_part      text check (batch_part in ('output', 'error')),
+    created_at      timestamptz not null default now(),
+    check ((content is null) = (batch_id is not null))
+);
+
+create index if not exists openai_files_user_idx
+    on public.openai_files (user_id, created_at desc);
+
+create table if not exists public.openai_batches (
+    id               text primary key,              -- "batch_…"
+    user_id          uuid not null references auth.users(id) on delete cascade,
+    api_key_id       uuid references public.api_keys(id) on delete set null,
+    endpoint         text not null check (endpoint in ('/v1/chat/completions', '/v1/embeddings')),
+    model            text,
+    input_file_id    text not null,
+    completion_window text not null,
+    metadata         jsonb,
+    status           text not null
+                     check (status in ('validating', 'failed', 'in_progress', 'finalizing',
+                                       'completed', 'expired', 'cancelling', 'cancelled')),
+    errors           jsonb,                         -- { object: "list", data: [...] } when validation failed
+    batch_job_id     uuid references public.jobs_batch(id) on delete set null,
+    requests         jsonb,                         -- [{ custom_id, count, encoding_format? }] in line order
+    request_counts   jsonb,                         -- final counts, set when finalized
+    output_file_id   text,
+    error_file_id    text,
+    created_at       timestamptz not null default now(),
+    in_progress_at   timestamptz,
+    expires_at       timestamptz,
+    finalizing_at    timestamptz,
+    completed_at     timestamptz,
+    failed_at        timestamptz,
+    expired_at       timestamptz,
+    cancelling_at    timestamptz,
+    cancelled_at     timestamptz
+);
+
+create index if not exists openai_batches_user_idx
+    on public.openai_batches (user_id, created_at desc);
+-- The finalize sweep (/api/cron/batch).
+create index if not exists openai_batches_open_idx
+    on public.openai_batches (created_at)
+    where status in ('in_progress', 'finalizing', 'cancelling');
+
+-- RLS: service-role-only. Owners go through /v1/files and /v1/batches,
+-- which re-check user_id.
+alter table public.openai_files enable row level security;
+alter table public.openai_batches enable row level security;
+
+comment on table public.openai_files is
+    'OpenAI-compatible /v1/files: uploaded batch input (content) and generated batch output/error files (built on read).';
+comment on table public.openai_batches is
+    'OpenAI-compatible /v1/batches. Runs as the jobs_batch row in batch_job_id; requests maps custom_ids onto its items.';
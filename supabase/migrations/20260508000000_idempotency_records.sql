@@ -0,0 +1,31 @@
+-- IPIP-0014 §1: idempotency keys (apps/web/lib/idempotency/middleware.js).
+-- A retried request carrying the same Idempotency-Key gets the first
+-- request's response back instead of running again; the same key with
+-- a different payload is refused with 409.
+--
+-- Used when the control plane runs with INFERNET_SHARED_STATE=postgres
+-- (apps/web/lib/data/shared-state.js), like the nonce cache. Rows are
+-- claimed before the handler runs (response_status null until it
+-- finishes) and deleted by the same opportunistic prune once expired.
+
+create table if not exists public.idempotency_records (
+    principal        text not null,                 -- "node:<pubkey>", "key:<api key id>" or "anon"
+    endpoint         text not null,                 -- request path
+    key              text not null check (octet_length(key) between 1 and 128),
+    request_hash     text not null,                 -- sha256(method, path, body)
+    response_status  integer,                       -- null while the first request is running
+    response_type    text,                          -- content type of the cached response
+    response_body    jsonb,                         -- JSON body, or base64 string for other types
+    created_at       timestamptz not null default now(),
+    expires_at       timestamptz not null,
+    primary key (principal, endpoint, key)
+);
+
+create index if not exists idempotency_records_expires_at_idx
+    on public.idempotency_records (expires_at);
+
+-- RLS: service-role-only, like every other control-plane table.
+alter table public.idempotency_records enable row level security;
+
+comment on table public.idempotency_records is
+    'Idempotency-Key claims and cached responses, kept 24h. The primary key is the claim: a duplicate insert means the key was already used.';
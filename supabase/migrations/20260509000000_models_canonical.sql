@@ -0,0 +1,28 @@
+-- IPIP-0014 §2: weight fingerprints. Providers advertise a content
+-- digest per served model (specs.model_digests, computed by the daemon
+-- in apps/cli/lib/model-fingerprint.js); this is the control plane's
+-- list of digests known to be the real thing for each model name.
+--
+-- A chat request with require_verified_weights only routes to providers
+-- whose advertised digest for the model is listed here. A model can
+-- have several good digests — one per packaging (Ollama manifest, GGUF
+-- file, safetensors snapshot) and per upstream revision.
+--
+-- Curated by operators with plain SQL, e.g.
+--   insert into public.models_canonical (model_name, digest, source, note)
+--   values ('llama3.1:70b', 'sha256:…', 'ollama', 'library tag, 2026-05');
+
+create table if not exists public.models_canonical (
+    model_name  text not null,                  -- as in specs.served_models
+    digest      text not null check (digest ~ '^sha256:[0-9a-f]{64}$'),
+    source      text not null check (source in ('ollama', 'gguf', 'safetensors')),
+    note        text,                           -- where the digest was taken from
+    created_at  timestamptz not null default now(),
+    primary key (model_name, digest)
+);
+
+-- RLS: service-role-only, like every other control-plane table.
+alter table public.models_canonical enable row level security;
+
+comment on table public.models_canonical is
+    'Known-good weight digests per model name (IPIP-0014 §2). require_verified_weights routes only to providers advertising one of them.';
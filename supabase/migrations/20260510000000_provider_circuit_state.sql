@@ -0,0 +1,27 @@
+-- IPIP-0014 §4: per-provider circuit breakers. One row per provider
+-- that has finished at least one job since this landed; no row means
+-- `closed`. The state machine is apps/web/lib/scheduler/circuit.js, the
+-- reads and writes apps/web/lib/data/provider-circuit.js.
+--
+-- Every control-plane instance records outcomes here and pickChatProvider
+-- reads it, so a breaker tripped by one instance keeps the provider out
+-- of routing on all of them. Writes are optimistic: read the row, fold
+-- the outcome in, update where `version` is still the one read.
+
+create table if not exists public.provider_circuit_state (
+    provider_id       uuid primary key references public.providers(id) on delete cascade,
+    state             text not null default 'closed' check (state in ('closed', 'open', 'half_open')),
+    consecutive_fail  integer not null default 0,
+    trip_count        integer not null default 0,    -- trips since the last full healthy window; picks the cooldown
+    opened_at         timestamptz,
+    next_probe_at     timestamptz,                   -- open: cooldown end; half_open: probe deadline
+    failure_window    jsonb not null default '[]'::jsonb, -- last 20 outcomes, [{ ok, reason, at }]
+    version           integer not null default 0,
+    updated_at        timestamptz not null default now()
+);
+
+-- RLS: service-role-only, like every other control-plane table.
+alter table public.provider_circuit_state enable row level security;
+
+comment on table public.provider_circuit_state is
+    'Circuit breaker per provider (IPIP-0014 §4). open rows are skipped by chat routing until next_probe_at, then get one probe job.';
@@ -0,0 +1,157 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+    API_KEY_PREFIX,
+    DEFAULT_KEY_RATE_LIMIT_PER_MIN,
+    apiKeyFromAuthorization,
+    generateApiKey,
+    hashApiKey,
+    isWellFormedApiKey,
+    keyQuotaViolation,
+    tokensUsedThisMonth,
+    validateApiKeyInput
+} from "../apps/web/lib/api-keys.js";
+
+const KEY = generateApiKey().key;
+
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        from() {
+            const chain = {
+                select: () => chain,
+                eq: () => chain,
+                update: () => chain,
+                then: (onF, onR) => Promise.resolve({ error: null }).then(onF, onR),
+                maybeSingle: async () => ({
+                    data: { id: "key-1", key_hash: hashApiKey(KEY), rate_limit_per_min: 3, allowed_models: null, revoked_at: null },
+                    error: null
+                })
+            };
+            return chain;
+        }
+    })
+}));
+
+const { authorizeApiKeyRequest } = await import("@/lib/data/api-keys");
+
+describe("generateApiKey", () => {
+    it("returns a well-formed key with its prefix and sha256", () => {
+        const { key, prefix, hash } = generateApiKey();
+        expect(key.startsWith(API_KEY_PREFIX)).toBe(true);
+        expect(isWellFormedApiKey(key)).toBe(true);
+        expect(prefix).toBe(key.slice(0, 12));
+        expect(hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(hash).toBe(hashApiKey(key));
+    });
+
+    it("never repeats", () => {
+        expect(generateApiKey().key).not.toBe(generateApiKey().key);
+    });
+});
+
+describe("apiKeyFromAuthorization", () => {
+    const key = generateApiKey().key;
+
+    it("extracts inf_ bearer tokens", () => {
+        expect(apiKeyFromAuthorization(`Bearer ${key}`)).toBe(key);
+        expect(apiKeyFromAuthorization(`bearer   ${key} `)).toBe(key);
+    });
+
+    it("treats missing headers and OpenAI placeholder keys as anonymous", () => {
+        expect(apiKeyFromAuthorization(null)).toBeNull();
+        expect(apiKeyFromAuthorization("Bearer sk-anything")).toBeNull();
+        expect(apiKeyFromAuthorization("Bearer none")).toBeNull();
+        expect(apiKeyFromAuthorization(`Basic ${key}`)).toBeNull();
+    });
+
+    it("passes malformed inf_ tokens through so they can be rejected", () => {
+        expect(apiKeyFromAuthorization("Bearer inf_short")).toBe("inf_short");
+        expect(isWellFormedApiKey("inf_short")).toBe(false);
+    });
+});
+
+describe("validateApiKeyInput", () => {
+    it("normalizes a full body", () => {
+        expect(validateApiKeyInput({
+            name: "  billing ",
+            rate_limit_per_min: "120",
+            monthly_token_budget: 1_000_000,
+            allowed_models: "qwen2.5:7b, llama3.1:8b,qwen2.5:7b"
+        })).toEqual({
+            value: {
+                name: "billing",
+                rate_limit_per_min: 120,
+                monthly_token_budget: 1_000_000,
+                allowed_models: ["qwen2.5:7b", "llama3.1:8b"]
+            }
+        });
+    });
+
+    it("leaves unset quotas null", () => {
+        expect(validateApiKeyInput({ name: "ci", rate_limit_per_min: "", allowed_models: [] }).value).toEqual({
+            name: "ci",
+            rate_limit_per_min: null,
+            monthly_token_budget: null,
+            allowed_models: null
+        });
+    });
+
+    it("rejects bad fields", () => {
+        expect(validateApiKeyInput({}).error).toMatch(/name/);
+        expect(validateApiKeyInput({ name: "x".repeat(65) }).error).toMatch(/name/);
+        expect(validateApiKeyInput({ name: "a", rate_limit_per_min: 0 }).error).toMatch(/rate_limit_per_min/);
+        expect(validateApiKeyInput({ name: "a", rate_limit_per_min: 1.5 }).error).toMatch(/rate_limit_per_min/);
+        expect(validateApiKeyInput({ name: "a", monthly_token_budget: -1 }).error).toMatch(/monthly_token_budget/);
+        expect(validateApiKeyInput({ name: "a", allowed_models: 7 }).error).toMatch(/allowed_models/);
+    });
+});
+
+describe("tokensUsedThisMonth", () => {
+    const now = new Date("2026-05-14T12:00:00Z");
+
+    it("counts the tally for the current month", () => {
+        expect(tokensUsedThisMonth({ usage_month: "2026-05-01", tokens_used_month: 900 }, now)).toBe(900);
+    });
+
+    it("treats a tally from an earlier month as zero", () => {
+        expect(tokensUsedThisMonth({ usage_month: "2026-04-01", tokens_used_month: 900 }, now)).toBe(0);
+    });
+});
+
+describe("keyQuotaViolation", () => {
+    const now = new Date("2026-05-14T12:00:00Z");
+    const base = { rate_limit_per_min: null, monthly_token_budget: null, allowed_models: null };
+
+    it("allows an unrestricted key", () => {
+        expect(keyQuotaViolation(base, { model: "anything", recentRequests: 0, now })).toBeNull();
+    });
+
+    it("enforces the model allowlist with 403", () => {
+        const key = { ...base, allowed_models: ["qwen2.5:7b"] };
+        expect(keyQuotaViolation(key, { model: "qwen2.5:7b", now })).toBeNull();
+        expect(keyQuotaViolation(key, { model: "llama3.1:8b", now })).toMatchObject({ status: 403 });
+        expect(keyQuotaViolation(key, { now }).message).toMatch(/requires a model/);
+    });
+
+    it("applies the per-key or default rate limit with 429", () => {
+        expect(keyQuotaViolation(base, { recentRequests: DEFAULT_KEY_RATE_LIMIT_PER_MIN - 1, now })).toBeNull();
+        expect(keyQuotaViolation(base, { recentRequests: DEFAULT_KEY_RATE_LIMIT_PER_MIN, now }))
+            .toMatchObject({ status: 429 });
+        expect(keyQuotaViolation({ ...base, rate_limit_per_min: 5 }, { recentRequests: 5, now }))
+            .toMatchObject({ status: 429 });
+    });
+
+    it("stops at the monthly budget and resets next month", () => {
+        const key = { ...base, monthly_token_budget: 1000, usage_month: "2026-05-01", tokens_used_month: 1000 };
+        expect(keyQuotaViolation(key, { now })).toMatchObject({ status: 429 });
+        expect(keyQuotaViolation(key, { now: new Date("2026-06-01T00:00:00Z") })).toBeNull();
+    });
+});
+
+describe("authorizeApiKeyRequest", () => {
+    it("holds the per-minute limit against concurrent requests", async () => {
+        const request = () => new Request("http://127.0.0.1/v1/chat/completions", { headers: { authorization: `Bearer ${KEY}` } });
+        const results = await Promise.allSettled(Array.from({ length: 6 }, () => authorizeApiKeyRequest(request())));
+        expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(3);
+        expect(results.filter((r) => r.status === "rejected").map((r) => r.reason.status)).toEqual([429, 429, 429]);
+    });
+});
@@ -108,4 +108,12 @@ describe("signed-request", () => {
         cache.add(first.nonce);
         expect(cache.has(first.nonce)).toBe(true);
     });
+
+    it("ReplayCache.claim accepts a nonce once and expires it after the TTL", () => {
+        const cache = new ReplayCache({ ttlSeconds: 60 });
+        expect(cache.claim("n1")).toBe(true);
+        expect(cache.claim("n1")).toBe(false);
+        expect(cache.claim("n2", -1)).toBe(true);
+        expect(cache.claim("n2")).toBe(true);
+    });
 });
@@ -0,0 +1,241 @@
+import { createHmac } from "node:crypto";
+import { describe, expect, it, vi } from "vitest";
+import {
+    DEFAULT_CHUNK_SIZE,
+    MAX_BATCH_ITEMS,
+    buildManifest,
+    chunkJobSpec,
+    chunkResults,
+    chunkVerdict,
+    retryDelayMs,
+    signWebhook,
+    splitIntoChunks,
+    validateBatchInput
+} from "@/lib/batch";
+import { parseItems } from "../apps/cli/commands/batch.js";
+
+// A canned engine: echoes the last user turn, fails items containing "boom".
+vi.mock("@infernetprotocol/engine", async (importOriginal) => {
+    const actual = await importOriginal();
+    const { MSG } = actual;
+    return {
+        ...actual,
+        createEngine: async () => ({
+            kind: "fake",
+            sampling: [],
+            generate({ messages }) {
+                const text = messages.at(-1)?.content ?? "";
+                async function* stream() {
+                    yield { type: MSG.META };
+                    if (text.includes("boom")) {
+                        yield { type: MSG.ERROR, message: "engine exploded" };
+                        return;
+                    }
+                    yield { type: MSG.TOKEN, text: `re: ${text}` };
+                    yield { type: MSG.DONE, reason: "stop", usage: { prompt_tokens: 2, completion_tokens: 3, total_tokens: 5 } };
+                }
+                return { stream: stream(), cancel() {} };
+            },
+            async shutdown() {}
+        })
+    };
+});
+
+const now = Date.parse("2026-05-06T12:00:00Z");
+const batch = { id: "6f1c2a4e-0000-4000-8000-000000000001", kind: "classify", model: "qwen2.5:7b", options: { labels: ["positive", "very positive", "negative"], max_tokens: 16 } };
+
+describe("validateBatchInput", () => {
+    it("fills in defaults per kind", () => {
+        const { value } = validateBatchInput({ kind: "embed", model: "nomic-embed-text", items: ["a", "b"] }, { now });
+        expect(value.options).toMatchObject({ chunk_size: DEFAULT_CHUNK_SIZE.embed, max_concurrency: 32, max_attempts: 3, chunk_timeout_seconds: 600 });
+        expect(value.deadlineAt).toBeNull();
+        expect(value.webhookUrl).toBeNull();
+
+        const chat = validateBatchInput({ kind: "chat", model: "m", items: ["hi", { messages: [{ role: "user", content: "yo" }] }] }, { now });
+        expect(chat.value.options.chunk_size).toBe(DEFAULT_CHUNK_SIZE.text);
+    });
+
+    it("rejects what it can't run", () => {
+        const bad = [
+            [{ kind: "translate", model: "m", items: ["a"] }, /kind must be one of/],
+            [{ kind: "chat", model: "m", items: [] }, /non-empty array/],
+            [{ kind: "embed", model: "m", items: [1] }, /items\[0\] must be a non-empty string/],
+            [{ kind: "classify", model: "m", items: ["a"] }, /options\.labels/],
+            [{ kind: "extract", model: "m", items: ["a"], options: { fields: [] } }, /options\.fields/],
+            [{ kind: "embed", model: "m", items: ["a"], options: { chunk_size: 1000 } }, /chunk_size must be an integer 1\.\.256/],
+            [{ kind: "chat", model: "m", items: ["a"], options: { chunk_size: 65 } }, /chunk_size must be an integer 1\.\.64/],
+            [{ kind: "chat", model: "m", items: ["a"], options: { deadline_at: "2026-05-06T11:00:00Z" } }, /in the past/],
+            [{ kind: "chat", model: "m", items: ["a"], options: { webhook_url: "ftp://x" } }, /http\(s\)/],
+            [{ kind: "chat", model: "m", items: ["a"], options: { webhook_url: "http://169.254.169.254/latest" } }, /public host/],
+            [{ kind: "chat", model: "m", items: ["a"], options: { webhook_url: "http://[::ffff:127.0.0.1]:8080/" } }, /public host/],
+            [{ kind: "chat", model: "m", items: ["a"], options: { webhook_url: "https://localhost/hook" } }, /public host/],
+            [{ kind: "chat", model: "m", items: ["a"], options: { result_destination: "s3://bucket" } }, /not supported/],
+            [{ kind: "chat", model: "m", items: [{ messages: [{ role: "user", content: [{ type: "image_url", image_url: { url: "https://x/y.png" } }] }] }] }, /image input/]
+        ];
+        for (const [body, message] of bad) {
+            expect(validateBatchInput(body, { now }).error).toMatch(message);
+        }
+        expect(validateBatchInput({ kind: "embed", model: "m", items: new Array(MAX_BATCH_ITEMS + 1).fill("x") }, { now }).error)
+            .toMatch(/too many items/);
+    });
+
+    it("keeps the kind-specific options and the webhook", () => {
+        const { value } = validateBatchInput({
+            kind: "classify",
+            model: "m",
+            items: ["great"],
+            options: { labels: ["pos", "neg"], webhook_url: "https://example.com/hook", deadline_at: "2026-05-07T00:00:00Z" }
+        }, { now });
+        expect(value.options.labels).toEqual(["pos", "neg"]);
+        expect(value.webhookUrl).toBe("https://example.com/hook");
+        expect(value.deadlineAt).toBe("2026-05-07T00:00:00.000Z");
+    });
+});
+
+describe("chunks", () => {
+    it("splits items in order", () => {
+        expect(splitIntoChunks([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    it("runs embed chunks as embeddings jobs and text kinds as batch jobs", () => {
+        const embed = chunkJobSpec({ ...batch, kind: "embed" }, { chunk_index: 3, payload: ["a", "b"] });
+        expect(embed.type).toBe("embeddings");
+        expect(embed.input_spec).toMatchObject({ input: ["a", "b"], batch: { chunk_index: 3 } });
+
+        const text = chunkJobSpec(batch, { chunk_index: 0, payload: ["love it"] });
+        expect(text.type).toBe("batch");
+        expect(text.input_spec.kind).toBe("classify");
+        const [req] = text.input_spec.requests;
+        expect(req.messages[0].role).toBe("system");
+        expect(req.messages[0].content).toMatch(/positive, very positive, negative/);
+        expect(req.messages.at(-1)).toEqual({ role: "user", content: "love it" });
+        expect(req.temperature).toBe(0);
+    });
+
+    it("marks chunks of a batch pinned to one provider", () => {
+        const pinned = { ...batch, options: { ...batch.options, provider_pubkey: "b".repeat(64) } };
+        expect(chunkJobSpec(pinned, { chunk_index: 0, payload: ["a"] }).input_spec.pinned).toBe(true);
+        expect(chunkJobSpec({ ...pinned, kind: "embed" }, { chunk_index: 0, payload: ["a"] }).input_spec.pinned).toBe(true);
+        expect(chunkJobSpec(batch, { chunk_index: 0, payload: ["a"] }).input_spec.pinned).toBeUndefined();
+    });
+
+    it("lets a chat item set its own max_tokens and temperature", () => {
+        const chat = { ...batch, kind: "chat", options: { max_tokens: 512 } };
+        const [own, plain] = chunkJobSpec(chat, {
+            chunk_index: 0,
+            payload: [{ messages: [{ role: "user", content: "hi" }], max_tokens: 20, temperature: 1 }, "hello"]
+        }).input_spec.requests;
+        expect(own).toMatchObject({ max_tokens: 20, temperature: 1 });
+        expect(plain).toMatchObject({ max_tokens: 512, temperature: 0.7 });
+        expect(validateBatchInput({ kind: "chat", model: "m", items: [{ messages: [{ role: "user", content: "x" }], max_tokens: 0 }] }, { now }).error)
+            .toMatch(/items\[0\]\.max_tokens/);
+    });
+
+    it("maps a done event back onto items", () => {
+        const chunk = { payload: ["a", "b", "c"] };
+        const results = chunkResults(batch, chunk, {
+            results: [{ text: "Very positive." }, { text: "negative" }, { error: "oom" }]
+        });
+        expect(results).toEqual([
+            { label: "very positive", text: "Very positive." },
+            { label: "negative", text: "negative" },
+            { error: "oom" }
+        ]);
+
+        const extract = chunkResults({ ...batch, kind: "extract" }, { payload: ["x", "y"] }, {
+            results: [{ text: "Sure: {\"name\": \"Ada\"}" }, { text: "no idea" }]
+        });
+        expect(extract).toEqual([{ data: { name: "Ada" }, text: "Sure: {\"name\": \"Ada\"}" }, { data: null, text: "no idea" }]);
+
+        expect(() => chunkResults(batch, chunk, { results: [{ text: "x" }] })).toThrow(/1 results for 3 items/);
+        expect(() => chunkResults({ ...batch, kind: "embed" }, chunk, { embeddings: [[0.1]] })).toThrow(/1 embeddings/);
+    });
+});
+
+describe("retries", () => {
+    it("backs off 1s, 5s, 25s", () => {
+        expect([1, 2, 3].map(retryDelayMs)).toEqual([1000, 5000, 25000]);
+        expect(retryDelayMs(20)).toBe(600_000);
+    });
+
+    it("settles a running chunk from its job", () => {
+        const lease = { lease_expires_at: new Date(now + 60_000).toISOString() };
+        const expired = { lease_expires_at: new Date(now - 1).toISOString() };
+        expect(chunkVerdict(lease, { status: "completed" }, { now })).toEqual({ action: "ack" });
+        expect(chunkVerdict(lease, { status: "failed", error: "oom" }, { now })).toEqual({ action: "nack", reason: "oom" });
+        expect(chunkVerdict(lease, { status: "running" }, { now })).toBeNull();
+        expect(chunkVerdict(expired, { status: "running" }, { now }))
+            .toEqual({ action: "nack", reason: "chunk timed out", cancelJob: true });
+        expect(chunkVerdict(expired, null, { now })).toEqual({ action: "nack", reason: "chunk was never started" });
+    });
+});
+
+describe("manifest and webhook", () => {
+    it("lists every chunk with its item range", () => {
+        const manifest = buildManifest(batch, [
+            { chunk_index: 1, item_count: 1, status: "failed_terminal", attempts: 3, last_error: "chunk timed out", last_provider_pubkey: "bb" },
+            { chunk_index: 0, item_count: 2, status: "done", attempts: 1, last_provider_pubkey: "aa" }
+        ], { completedAt: "2026-05-06T12:05:00Z" });
+        expect(manifest.chunks).toEqual([
+            { index: 0, items: { offset: 0, count: 2 }, status: "done", attempts: 1, result_url: `/api/v1/jobs/batch/${batch.id}/chunks/0`, provider: "aa" },
+            { index: 1, items: { offset: 2, count: 1 }, status: "failed", attempts: 3, error: "chunk timed out", last_provider: "bb" }
+        ]);
+        expect(manifest.summary).toEqual({ total: 2, done: 1, failed: 1, completed_at: "2026-05-06T12:05:00Z" });
+    });
+
+    it("signs the body with the batch secret", () => {
+        const body = JSON.stringify({ job_id: batch.id });
+        const header = signWebhook("s3cret", body, 1_700_000_000);
+        const mac = createHmac("sha256", "s3cret").update(`1700000000.${body}`).digest("hex");
+        expect(header).toBe(`t=1700000000,v1=${mac}`);
+    });
+});
+
+describe("executeBatchJob", () => {
+    const node = { nodeId: "node-1", name: "test" };
+    const fakeClient = () => {
+        const events = [];
+        return { events, async postJobEvents(_id, batchEvents) { events.push(...batchEvents); return {}; } };
+    };
+    const job = (requests) => ({
+        id: "00000000-0000-4000-8000-000000000002",
+        type: "batch",
+        model_name: "m",
+        input_spec: { kind: "summarize", requests }
+    });
+    const req = (content) => ({ messages: [{ role: "user", content }], max_tokens: 16 });
+
+    it("runs every request, reporting progress and per-item failures", async () => {
+        const { executeBatchJob } = await import("../apps/cli/lib/chat-executor.js");
+        const client = fakeClient();
+        const result = await executeBatchJob({ client, job: job([req("one"), req("boom"), req("three")]), node });
+
+        expect(result).toMatchObject({ kind: "summarize", count: 3, failed: 1, usage: { prompt_tokens: 4, completion_tokens: 6, total_tokens: 10 } });
+        expect(client.events.filter((e) => e.event_type === "progress").map((e) => e.data.index)).toEqual([0, 1, 2]);
+        const done = client.events.find((e) => e.event_type === "done");
+        expect(done.data.results).toEqual([
+            { text: "re: one", usage: { prompt_tokens: 2, completion_tokens: 3, total_tokens: 5 } },
+            { error: "engine exploded" },
+            { text: "re: three", usage: { prompt_tokens: 2, completion_tokens: 3, total_tokens: 5 } }
+        ]);
+    });
+
+    it("fails the job when every request failed", async () => {
+        const { executeBatchJob } = await import("../apps/cli/lib/chat-executor.js");
+        const client = fakeClient();
+        await expect(executeBatchJob({ client, job: job([req("boom"), req("boom again")]), node }))
+            .rejects.toThrow(/every request in the batch failed/);
+        expect(client.events.some((e) => e.event_type === "done")).toBe(false);
+    });
+});
+
+describe("infernet batch input files", () => {
+    it("reads JSONL, JSON arrays and plain lines", () => {
+        expect(parseItems("\"a\"\n{\"text\":\"b\"}\n\n{\"messages\":[{\"role\":\"user\",\"content\":\"c\"}]}\n", ".jsonl"))
+            .toEqual(["a", "b", { messages: [{ role: "user", content: "c" }] }]);
+        expect(parseItems("[\"a\", {\"text\": \"b\"}]", ".json")).toEqual(["a", "b"]);
+        expect(parseItems("first line\n\nsecond line\n", ".txt")).toEqual(["first line", "second line"]);
+        expect(() => parseItems("{\"nope\":1}\n", ".jsonl")).toThrow(/line 1/);
+        expect(() => parseItems("\n\n", ".txt")).toThrow(/no items/);
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { inlineRemoteImages } from "../apps/web/lib/chat-images.js";
+
+function imageResponse(bytes, { type = "image/png", status = 200 } = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Headers({ "content-type": type, "content-length": String(bytes.length) }),
+        body: (async function* () { yield bytes; })()
+    };
+}
+
+describe("inlineRemoteImages", () => {
+    it("replaces https image URLs with base64 data URLs and leaves the rest alone", async () => {
+        const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+        const messages = [
+            { role: "system", content: "be brief" },
+            {
+                role: "user",
+                content: [
+                    { type: "text", text: "what's this?" },
+                    { type: "image_url", image_url: { url: "https://93.184.216.34/cat.png", detail: "low" } }
+                ]
+            }
+        ];
+        const out = await inlineRemoteImages(messages, { fetchImpl: async () => imageResponse(png) });
+
+        expect(out[0]).toBe(messages[0]);
+        expect(out[1].content[0]).toEqual({ type: "text", text: "what's this?" });
+        expect(out[1].content[1].image_url).toEqual({
+            url: `data:image/png;base64,${png.toString("base64")}`,
+            detail: "low"
+        });
+    });
+
+    it("refuses private hosts without fetching", async () => {
+        let fetched = false;
+        const messages = [{ role: "user", content: [{ type: "image_url", image_url: { url: "https://169.254.169.254/latest" } }] }];
+        await expect(inlineRemoteImages(messages, { fetchImpl: async () => { fetched = true; } }))
+            .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/not a public address/) });
+        expect(fetched).toBe(false);
+    });
+
+    it("refuses a host name that resolves to a private address", async () => {
+        let fetched = false;
+        const messages = [{ role: "user", content: [{ type: "image_url", image_url: { url: "https://img.example.com/x.png" } }] }];
+        const lookupImpl = async () => [{ address: "::ffff:7f00:1", family: 6 }];
+        await expect(inlineRemoteImages(messages, { lookupImpl, fetchImpl: async () => { fetched = true; } }))
+            .rejects.toMatchObject({ status: 400, message: "image host img.example.com is not a public address" });
+        expect(fetched).toBe(false);
+    });
+
+    it("rejects non-image content types and HTTP errors with status 400", async () => {
+        const messages = [{ role: "user", content: [{ type: "image_url", image_url: { url: "https://93.184.216.34/x" } }] }];
+        await expect(inlineRemoteImages(messages, { fetchImpl: async () => imageResponse(Buffer.from("<html>"), { type: "text/html" }) }))
+            .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/unsupported content-type text\/html/) });
+        await expect(inlineRemoteImages(messages, { fetchImpl: async () => imageResponse(Buffer.alloc(0), { status: 404 }) }))
+            .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/HTTP 404/) });
+    });
+
+    it("caps the total bytes inlined across images, counting data: URLs the client sent", async () => {
+        const big = Buffer.alloc(7 * 1024 * 1024);
+        const remote = (n) => ({ type: "image_url", image_url: { url: `https://93.184.216.34/${n}.png` } });
+        const fetchImpl = async () => imageResponse(big);
+
+        const two = [{ role: "user", content: [remote(1), remote(2)] }];
+        const out = await inlineRemoteImages(two, { fetchImpl });
+        expect(out[0].content).toHaveLength(2);
+
+        const three = [{ role: "user", content: [remote(1), remote(2), remote(3)] }];
+        await expect(inlineRemoteImages(three, { fetchImpl }))
+            .rejects.toMatchObject({ status: 400, message: "images in one request exceed 20 MB in total" });
+
+        const inline = { type: "image_url", image_url: { url: `data:image/png;base64,${big.toString("base64")}` } };
+        const mixed = [{ role: "user", content: [inline] }, { role: "user", content: [remote(1), remote(2)] }];
+        await expect(inlineRemoteImages(mixed, { fetchImpl }))
+            .rejects.toMatchObject({ status: 400, message: "images in one request exceed 20 MB in total" });
+    });
+});
@@ -0,0 +1,179 @@
+import { describe, expect, it } from "vitest";
+import {
+    hasImageInput,
+    MAX_IMAGES_PER_REQUEST,
+    samplingFromBody,
+    validateChatMessages,
+    validateSampling,
+    validateTools
+} from "../apps/web/lib/chat-input.js";
+
+const weatherTool = {
+    type: "function",
+    function: {
+        name: "get_weather",
+        description: "Current weather for a city",
+        parameters: { type: "object", properties: { city: { type: "string" } } }
+    }
+};
+
+describe("validateChatMessages", () => {
+    it("accepts plain string turns", () => {
+        expect(validateChatMessages([{ role: "user", content: "hi" }])).toBeNull();
+    });
+
+    it("rejects an empty or missing array", () => {
+        expect(validateChatMessages([])).toMatch(/messages\[\] is required/);
+        expect(validateChatMessages(undefined)).toMatch(/messages\[\] is required/);
+    });
+
+    it("accepts an assistant tool_calls turn with null content and its tool result", () => {
+        const messages = [
+            { role: "user", content: "weather in Oslo?" },
+            {
+                role: "assistant",
+                content: null,
+                tool_calls: [
+                    { id: "call_1", type: "function", function: { name: "get_weather", arguments: "{\"city\":\"Oslo\"}" } }
+                ]
+            },
+            { role: "tool", tool_call_id: "call_1", content: "{\"temp_c\":4}" }
+        ];
+        expect(validateChatMessages(messages)).toBeNull();
+    });
+
+    it("requires tool_call_id on tool messages", () => {
+        expect(validateChatMessages([{ role: "tool", content: "x" }])).toMatch(/tool_call_id/);
+    });
+
+    it("rejects tool_calls with object arguments (OpenAI sends JSON strings)", () => {
+        const messages = [{
+            role: "assistant",
+            content: null,
+            tool_calls: [{ id: "c", function: { name: "f", arguments: { a: 1 } } }]
+        }];
+        expect(validateChatMessages(messages)).toMatch(/arguments: string/);
+    });
+
+    it("still rejects non-string content on user turns", () => {
+        expect(validateChatMessages([{ role: "user", content: 42 }])).toMatch(/content: string/);
+    });
+});
+
+describe("validateTools", () => {
+    it("treats absent tools as valid", () => {
+        expect(validateTools(undefined, undefined)).toBeNull();
+    });
+
+    it("accepts function tools with auto / required / named choice", () => {
+        expect(validateTools([weatherTool], "auto")).toBeNull();
+        expect(validateTools([weatherTool], "required")).toBeNull();
+        expect(validateTools([weatherTool], { type: "function", function: { name: "get_weather" } })).toBeNull();
+    });
+
+    it("rejects a named choice for an undeclared tool", () => {
+        expect(
+            validateTools([weatherTool], { type: "function", function: { name: "nope" } })
+        ).toMatch(/undeclared tool: nope/);
+    });
+
+    it("rejects tool_choice without tools", () => {
+        expect(validateTools(undefined, "required")).toMatch(/requires tools/);
+    });
+
+    it("rejects bad names, duplicates, and non-object parameters", () => {
+        expect(validateTools([{ type: "function", function: { name: "has space" } }])).toMatch(/names must match/);
+        expect(validateTools([weatherTool, weatherTool])).toMatch(/duplicate tool name/);
+        expect(
+            validateTools([{ type: "function", function: { name: "f", parameters: [] } }])
+        ).toMatch(/JSON Schema object/);
+    });
+});
+
+describe("validateSampling", () => {
+    it("accepts OpenAI's ranges", () => {
+        expect(validateSampling({
+            top_p: 0.9,
+            stop: ["\n\n", "END"],
+            seed: 42,
+            presence_penalty: -2,
+            frequency_penalty: 2,
+            logit_bias: { "50256": -100 },
+            n: 1
+        })).toBeNull();
+        expect(validateSampling({})).toBeNull();
+    });
+
+    it("rejects out-of-range or mistyped values", () => {
+        expect(validateSampling({ top_p: 1.5 })).toMatch(/top_p/);
+        expect(validateSampling({ stop: ["a", "b", "c", "d", "e"] })).toMatch(/at most 4/);
+        expect(validateSampling({ stop: [""] })).toMatch(/stop/);
+        expect(validateSampling({ seed: 1.5 })).toMatch(/seed must be an integer/);
+        expect(validateSampling({ frequency_penalty: 3 })).toMatch(/frequency_penalty/);
+        expect(validateSampling({ logit_bias: { foo: 1 } })).toMatch(/token ids/);
+        expect(validateSampling({ logit_bias: { "1": 101 } })).toMatch(/-100 and 100/);
+    });
+
+    it("refuses n > 1 instead of silently returning one choice", () => {
+        expect(validateSampling({ n: 3 })).toMatch(/n > 1 is not supported/);
+        expect(validateSampling({ n: 0 })).toMatch(/positive integer/);
+    });
+
+    it("validates response_format", () => {
+        expect(validateSampling({ response_format: { type: "json_object" } })).toBeNull();
+        expect(validateSampling({
+            response_format: {
+                type: "json_schema",
+                json_schema: { name: "invoice", schema: { type: "object" }, strict: true }
+            }
+        })).toBeNull();
+        expect(validateSampling({ response_format: { type: "xml" } })).toMatch(/response_format.type/);
+        expect(validateSampling({ response_format: { type: "json_schema", json_schema: { name: "x" } } }))
+            .toMatch(/schema must be a JSON Schema object/);
+    });
+});
+
+describe("samplingFromBody", () => {
+    it("keeps only the parameters that were set and normalizes stop", () => {
+        expect(samplingFromBody({ model: "m", temperature: 0.2, top_p: 0.8, stop: "END" }))
+            .toEqual({ top_p: 0.8, stop: ["END"] });
+    });
+
+    it("returns null for defaults so routing stays unconstrained", () => {
+        expect(samplingFromBody({ response_format: { type: "text" }, n: 1 })).toBeNull();
+        expect(samplingFromBody({})).toBeNull();
+    });
+});
+
+describe("validateChatMessages — image content parts", () => {
+    const png = "data:image/png;base64,iVBORw0KGgo=";
+    const imageTurn = (url) => ({
+        role: "user",
+        content: [{ type: "text", text: "describe" }, { type: "image_url", image_url: { url } }]
+    });
+
+    it("accepts text + base64 or https image parts", () => {
+        expect(validateChatMessages([imageTurn(png)])).toBeNull();
+        expect(validateChatMessages([imageTurn("https://example.com/cat.jpg")])).toBeNull();
+        expect(hasImageInput([imageTurn(png)])).toBe(true);
+        expect(hasImageInput([{ role: "user", content: "hi" }])).toBe(false);
+    });
+
+    it("rejects other schemes, unsupported types and bad parts", () => {
+        expect(validateChatMessages([imageTurn("http://example.com/cat.jpg")])).toMatch(/https:\/\/ URL/);
+        expect(validateChatMessages([imageTurn("file:///etc/passwd")])).toMatch(/https:\/\/ URL/);
+        expect(validateChatMessages([imageTurn("data:image/svg+xml;base64,PHN2Zz4=")])).toMatch(/unsupported image type/);
+        expect(validateChatMessages([imageTurn("data:image/png,notbase64")])).toMatch(/data URLs must be/);
+        expect(validateChatMessages([{ role: "user", content: [{ type: "audio" }] }])).toMatch(/content parts/);
+        expect(validateChatMessages([{ role: "assistant", content: [{ type: "image_url", image_url: { url: png } }] }]))
+            .toMatch(/each message must be/);
+    });
+
+    it("enforces the per-image size cap and per-request image count", () => {
+        const big = `data:image/png;base64,${"A".repeat(12 * 1024 * 1024)}`;
+        expect(validateChatMessages([imageTurn(big)])).toMatch(/exceeds 8 MB/);
+
+        const many = Array.from({ length: MAX_IMAGES_PER_REQUEST + 1 }, () => imageTurn(png));
+        expect(validateChatMessages(many)).toMatch(/too many images/);
+    });
+});
@@ -1,9 +1,16 @@
 import { describe, expect, it } from "vitest";
-import { filterFittingModels } from "../apps/cli/commands/register.js";
+import { filterFittingModels, isVisionModelName } from "../apps/cli/commands/register.js";
 
 // Don't import server-only modules in vitest's node env. Re-export
 // reputationWeightedPick from the same file.
-import { reputationWeightedPick, headroomScore, notSaturated } from "../apps/web/lib/data/chat.js";
+import {
+    reputationWeightedPick,
+    headroomScore,
+    missingSampling,
+    notSaturated,
+    verifiedDigestFor,
+    visionModelFor
+} from "../apps/web/lib/data/chat.js";
 
 const GB = 1024 ** 3;
 
@@ -242,3 +249,61 @@ describe("reputationWeightedPick", () => {
         expect(firstWins / N).toBeLessThan(0.6);
     });
 });
+
+describe("missingSampling", () => {
+    it("lists requested parameters the provider doesn't advertise", () => {
+        const ollama = ["top_p", "stop", "seed", "presence_penalty", "frequency_penalty", "response_format"];
+        expect(missingSampling(ollama, { top_p: 0.9, response_format: { type: "json_object" } })).toEqual([]);
+        expect(missingSampling(ollama, { seed: 1, logit_bias: { 50256: -100 } })).toEqual(["logit_bias"]);
+    });
+
+    it("treats a provider with no specs.sampling as supporting nothing", () => {
+        expect(missingSampling(undefined, { top_p: 0.5 })).toEqual(["top_p"]);
+    });
+
+    it("is empty when no sampling block was requested", () => {
+        expect(missingSampling(undefined, null)).toEqual([]);
+    });
+});
+
+describe("vision routing", () => {
+    const llavaNode = { specs: { served_models: ["llava:7b", "qwen2.5:7b"], vision_models: ["llava:7b"] } };
+    const textNode = { specs: { served_models: ["qwen2.5:7b"] } };
+
+    it("only matches providers listing the requested model as vision-capable", () => {
+        expect(visionModelFor(llavaNode, "llava:7b")).toBe("llava:7b");
+        expect(visionModelFor(llavaNode, "qwen2.5:7b")).toBeNull();
+        expect(visionModelFor(textNode, "qwen2.5:7b")).toBeNull();
+    });
+
+    it("picks the provider's first vision model when none was requested", () => {
+        expect(visionModelFor(llavaNode, undefined)).toBe("llava:7b");
+        expect(visionModelFor(textNode, undefined)).toBeNull();
+    });
+
+    it("recognizes vision model names when Ollama doesn't report capabilities", () => {
+        for (const name of ["llava:7b", "llama3.2-vision:11b", "qwen2.5vl:7b", "moondream", "minicpm-v:8b"]) {
+            expect(isVisionModelName(name), name).toBe(true);
+        }
+        for (const name of ["qwen2.5:7b", "llama3.1:8b", "nvlm"]) {
+            expect(isVisionModelName(name), name).toBe(false);
+        }
+    });
+});
+
+describe("verified weights", () => {
+    const good = `sha256:${"a".repeat(64)}`;
+    const other = `sha256:${"b".repeat(64)}`;
+    const canonical = new Set([good]);
+
+    it("accepts a provider advertising a canonical digest for the model", () => {
+        const p = { specs: { served_models: ["llama3.1:70b"], model_digests: { "llama3.1:70b": good } } };
+        expect(verifiedDigestFor(p, "llama3.1:70b", canonical)).toBe(good);
+    });
+
+    it("rejects an unknown digest, a digest for another model, and no digest", () => {
+        expect(verifiedDigestFor({ specs: { model_digests: { "llama3.1:70b": other } } }, "llama3.1:70b", canonical)).toBeNull();
+        expect(verifiedDigestFor({ specs: { model_digests: { "qwen2.5:7b": good } } }, "llama3.1:70b", canonical)).toBeNull();
+        expect(verifiedDigestFor({ specs: { served_models: ["llama3.1:70b"] } }, "llama3.1:70b", canonical)).toBeNull();
+    });
+});
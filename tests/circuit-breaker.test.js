@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import {
+    COOLDOWNS_MS,
+    FAILURE_THRESHOLD,
+    PROBE_TIMEOUT_MS,
+    SLOW_FIRST_TOKEN_MS,
+    WINDOW_SIZE,
+    circuitGate,
+    classifyOutcome,
+    initialCircuit,
+    recordOutcome,
+    startProbe
+} from "@/lib/scheduler/circuit";
+
+const now = Date.parse("2026-05-10T12:00:00Z");
+const ok = { ok: true, reason: "ok" };
+const fail = { ok: false, reason: "error" };
+
+function feed(circuit, outcomes, at = now) {
+    return outcomes.reduce((c, o) => recordOutcome(c, o, at), circuit);
+}
+
+describe("classifyOutcome", () => {
+    it("counts errors, janitor timeouts and a slow first token as failures", () => {
+        expect(classifyOutcome({ status: "failed" })).toEqual({ ok: false, reason: "error" });
+        expect(classifyOutcome({ status: "timeout" })).toEqual({ ok: false, reason: "timeout" });
+        expect(classifyOutcome({ status: "completed", firstTokenMs: SLOW_FIRST_TOKEN_MS + 1 }))
+            .toEqual({ ok: false, reason: "slow_first_token" });
+    });
+
+    it("counts completions and cancellations as successes", () => {
+        expect(classifyOutcome({ status: "completed", firstTokenMs: 800 })).toEqual({ ok: true, reason: "ok" });
+        expect(classifyOutcome({ status: "completed", firstTokenMs: null }).ok).toBe(true);
+        expect(classifyOutcome({ status: "cancelled", firstTokenMs: SLOW_FIRST_TOKEN_MS * 2 }))
+            .toEqual({ ok: true, reason: "cancelled" });
+    });
+
+    it("leaves out failures the job's input caused", () => {
+        for (const error of [
+            "vllm HTTP 400: This model's maximum context length is 8192 tokens",
+            "llamacpp HTTP 422: invalid tool schema",
+            "ollama HTTP 404: model \"m\" not found",
+            "the prompt is too long for this model's context window"
+        ]) expect(classifyOutcome({ status: "failed", error })).toBeNull();
+
+        expect(classifyOutcome({ status: "failed", error: "vllm HTTP 500: CUDA out of memory" })).toEqual(fail);
+        expect(classifyOutcome({ status: "failed", error: "vllm HTTP 429: too many requests" })).toEqual(fail);
+        expect(classifyOutcome({ status: "failed", error: "llamacpp HTTP 408: timed out" })).toEqual(fail);
+    });
+
+    it("leaves out jobs the consumer pinned to the provider", () => {
+        expect(classifyOutcome({ status: "failed", pinned: true })).toBeNull();
+        expect(classifyOutcome({ status: "timeout", pinned: true })).toBeNull();
+        expect(classifyOutcome({ status: "completed", firstTokenMs: 800, pinned: true })).toBeNull();
+    });
+});
+
+describe("recordOutcome", () => {
+    it("opens after consecutive failures", () => {
+        const almost = feed(initialCircuit(), Array(FAILURE_THRESHOLD - 1).fill(fail));
+        expect(almost.state).toBe("closed");
+        expect(circuitGate(almost, now)).toBe("closed");
+
+        const open = recordOutcome(almost, fail, now);
+        expect(open).toMatchObject({ state: "open", trip_count: 1, consecutive_fail: FAILURE_THRESHOLD });
+        expect(Date.parse(open.next_probe_at) - now).toBe(COOLDOWNS_MS[0]);
+        expect(circuitGate(open, now)).toBe("open");
+    });
+
+    it("a success resets the run of failures", () => {
+        const c = feed(initialCircuit(), [...Array(FAILURE_THRESHOLD - 1).fill(fail), ok, fail]);
+        expect(c).toMatchObject({ state: "closed", consecutive_fail: 1 });
+    });
+
+    it("opens on the failure rate only once the window is full", () => {
+        const alternating = Array.from({ length: WINDOW_SIZE - 1 }, (_, i) => (i % 2 === 0 ? fail : ok));
+        const c = feed(initialCircuit(), alternating);
+        expect(c.state).toBe("closed");
+        expect(recordOutcome(c, ok, now).state).toBe("open");
+    });
+
+    it("probes after the cooldown: success closes, failure reopens for longer", () => {
+        const open = feed(initialCircuit(), Array(FAILURE_THRESHOLD).fill(fail));
+        const later = now + COOLDOWNS_MS[0];
+        expect(circuitGate(open, later)).toBe("probe");
+
+        const probing = startProbe(open, later);
+        expect(probing.state).toBe("half_open");
+        expect(circuitGate(probing, later)).toBe("open");
+        // A probe that never reports back frees the slot.
+        expect(circuitGate(probing, later + PROBE_TIMEOUT_MS)).toBe("probe");
+
+        const closed = recordOutcome(probing, ok, later);
+        expect(closed).toMatchObject({ state: "closed", consecutive_fail: 0, opened_at: null, next_probe_at: null });
+        expect(closed.failure_window).toHaveLength(1);
+
+        const reopened = recordOutcome(probing, fail, later);
+        expect(reopened).toMatchObject({ state: "open", trip_count: 2 });
+        expect(Date.parse(reopened.next_probe_at) - later).toBe(COOLDOWNS_MS[1]);
+    });
+
+    it("caps the cooldown and forgets trips after a healthy window", () => {
+        let c = { ...initialCircuit(), state: "half_open", trip_count: COOLDOWNS_MS.length + 3 };
+        c = recordOutcome(c, fail, now);
+        expect(Date.parse(c.next_probe_at) - now).toBe(COOLDOWNS_MS.at(-1));
+
+        c = recordOutcome(startProbe(c, now), ok, now);
+        expect(c.trip_count).toBe(COOLDOWNS_MS.length + 4);
+        c = feed(c, Array(WINDOW_SIZE - 1).fill(ok));
+        expect(c).toMatchObject({ state: "closed", trip_count: 0 });
+    });
+
+    it("leaves an open breaker alone for jobs that finish late", () => {
+        const open = feed(initialCircuit(), Array(FAILURE_THRESHOLD).fill(fail));
+        const after = recordOutcome(open, ok, now + 1000);
+        expect(after).toMatchObject({ state: "open", next_probe_at: open.next_probe_at });
+    });
+
+    it("keeps only the last WINDOW_SIZE outcomes", () => {
+        const c = feed(initialCircuit(), Array(WINDOW_SIZE + 5).fill(ok));
+        expect(c.failure_window).toHaveLength(WINDOW_SIZE);
+    });
+});
+
+describe("circuitGate", () => {
+    it("treats a provider without history as closed", () => {
+        expect(circuitGate(null, now)).toBe("closed");
+        expect(circuitGate(undefined, now)).toBe("closed");
+    });
+});
@@ -0,0 +1,57 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+    MAX_CONCURRENCY,
+    freeSlots,
+    resolveConcurrency,
+    suggestConcurrency
+} from "../apps/cli/lib/concurrency.js";
+
+const gpu = (gb) => ({ vendor: "nvidia", vram_mb: gb * 1024 });
+
+describe("suggestConcurrency", () => {
+    it("gives CPU-only and small cards a single slot", () => {
+        expect(suggestConcurrency([])).toBe(1);
+        expect(suggestConcurrency([{ vendor: "amd" }])).toBe(1);
+        expect(suggestConcurrency([gpu(6)])).toBe(1);
+    });
+
+    it("scales with total VRAM across GPUs", () => {
+        expect(suggestConcurrency([gpu(12)])).toBe(2);
+        expect(suggestConcurrency([gpu(16)])).toBe(3);
+        expect(suggestConcurrency([gpu(24)])).toBe(4);
+        expect(suggestConcurrency([gpu(24), gpu(24)])).toBe(8);
+        expect(suggestConcurrency([gpu(80), gpu(80)])).toBe(16);
+    });
+});
+
+describe("resolveConcurrency", () => {
+    afterEach(() => {
+        vi.unstubAllEnvs();
+    });
+
+    it("prefers the flag, then config, then env", () => {
+        vi.stubEnv("INFERNET_CONCURRENCY", "3");
+        const config = { engine: { concurrency: 6 } };
+        expect(resolveConcurrency(config, { flag: "2" })).toEqual({ value: 2, source: "flag" });
+        expect(resolveConcurrency(config, {})).toEqual({ value: 6, source: "config" });
+        expect(resolveConcurrency({}, {})).toEqual({ value: 3, source: "env" });
+    });
+
+    it("falls back to the VRAM suggestion and ignores junk values", () => {
+        vi.stubEnv("INFERNET_CONCURRENCY", "lots");
+        expect(resolveConcurrency({ engine: { concurrency: 0 } }, { gpus: [gpu(24)] }))
+            .toEqual({ value: 4, source: "auto" });
+    });
+
+    it("clamps to MAX_CONCURRENCY", () => {
+        expect(resolveConcurrency({ engine: { concurrency: 1000 } }).value).toBe(MAX_CONCURRENCY);
+    });
+});
+
+describe("freeSlots", () => {
+    it("never goes negative", () => {
+        expect(freeSlots(4, 1)).toBe(3);
+        expect(freeSlots(4, 4)).toBe(0);
+        expect(freeSlots(2, 5)).toBe(0);
+    });
+});
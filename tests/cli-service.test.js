@@ -43,6 +43,7 @@ describe("buildServiceUnit", () => {
         const unit = buildServiceUnit(baseArgs);
         expect(unit).toContain("Restart=on-failure");
         expect(unit).toContain("RestartSec=10");
+        expect(unit).toContain("TimeoutStopSec=150");
     });
 
     it("default WantedBy is default.target (user-session, not multi-user)", () => {
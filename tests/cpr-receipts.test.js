@@ -244,6 +244,14 @@ describe("buildReceiptBody", () => {
         expect(r.artifact_hash).toBeNull();
     });
 
+    it("records the model_digest from the meta event", () => {
+        const digest = `sha256:${"c".repeat(64)}`;
+        const events = [{ event_type: "meta", data: { model: "qwen2.5:7b", model_digest: digest } }, ...baseArgs.events];
+        expect(buildReceiptBody({ ...baseArgs, events }).model_digest).toBe(digest);
+        expect(buildReceiptBody({ ...baseArgs, events: undefined, modelDigest: digest }).model_digest).toBe(digest);
+        expect(buildReceiptBody(baseArgs).model_digest).toBeNull();
+    });
+
     it("each call generates a new receipt_id", () => {
         const a = buildReceiptBody(baseArgs);
         const b = buildReceiptBody(baseArgs);
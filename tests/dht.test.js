@@ -0,0 +1,219 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import {
+    DHT_PROTOCOL,
+    HANDSHAKE_PROTOCOL,
+    generateKeyPair,
+    modelKey,
+    newerDhtRecord,
+    signDhtRecord,
+    verifyDhtRecord
+} from "@infernetprotocol/auth";
+import { RecordStore, RoutingTable, createDhtNode, createTcpTransport, nodeIdFor } from "../apps/cli/lib/dht.js";
+import { createP2pServer } from "../apps/cli/lib/p2p-server.js";
+
+const NOW = 1_777_400_123_000;
+const alice = generateKeyPair();
+const bob = generateKeyPair();
+
+function record(overrides = {}, { keys = alice, now = NOW } = {}) {
+    return signDhtRecord({
+        key: modelKey("qwen2.5:7b"),
+        value: { model: "qwen2.5:7b", multiaddr: "/ip4/203.0.113.7/tcp/46337" },
+        publicKey: keys.publicKey,
+        privateKey: keys.privateKey,
+        lamport: 1,
+        now,
+        ...overrides
+    });
+}
+
+describe("dht records", () => {
+    it("verify under the publisher's key", () => {
+        const r = record();
+        expect(verifyDhtRecord(r, { now: NOW })).toEqual(r);
+        expect(r.expires_at_unix).toBe(NOW / 1000 + 3600);
+    });
+
+    it("reject tampering, expiry and overlong lifetimes", () => {
+        const r = record();
+        expect(() => verifyDhtRecord({ ...r, value: { ...r.value, multiaddr: "/ip4/198.51.100.1/tcp/1" } }, { now: NOW }))
+            .toThrow("record signature invalid");
+        expect(() => verifyDhtRecord({ ...r, provider_peer_id: bob.publicKey }, { now: NOW }))
+            .toThrow("record signature invalid");
+        expect(() => verifyDhtRecord(r, { now: NOW + 3601_000 })).toThrow("record expired");
+        expect(() => verifyDhtRecord(record({ ttlSeconds: 86_400 }), { now: NOW })).toThrow("lifetime too long");
+        expect(() => verifyDhtRecord({ ...r, lamport: -1 }, { now: NOW })).toThrow("malformed record");
+    });
+
+    it("merge last-write-wins by lamport, ties by signature", () => {
+        const older = record({ lamport: 5 });
+        const newer = record({ lamport: 6, value: { model: "qwen2.5:7b", multiaddr: "/ip4/203.0.113.8/tcp/46337" } });
+        expect(newerDhtRecord(older, newer)).toBe(newer);
+        expect(newerDhtRecord(newer, older)).toBe(newer);
+        const twin = record({ lamport: 5, value: { model: "qwen2.5:7b", multiaddr: "/ip4/203.0.113.9/tcp/1" } });
+        expect(newerDhtRecord(older, twin)).toBe(newerDhtRecord(twin, older));
+    });
+});
+
+describe("RecordStore", () => {
+    it("keeps one record per publisher per key", () => {
+        const store = new RecordStore();
+        expect(store.put(record({ lamport: 2 }), NOW)).toBe(true);
+        expect(store.put(record({ lamport: 1 }), NOW)).toBe(false);
+        expect(store.put(record({ lamport: 3 }), NOW)).toBe(true);
+        expect(store.put(record({ lamport: 1 }, { keys: bob }), NOW)).toBe(true);
+        const held = store.get(modelKey("qwen2.5:7b"), NOW);
+        expect(held.map((r) => [r.provider_peer_id, r.lamport]).sort()).toEqual(
+            [[alice.publicKey, 3], [bob.publicKey, 1]].sort()
+        );
+    });
+
+    it("drops expired records and enforces the per-publisher quota", () => {
+        const store = new RecordStore({ maxKeysPerPublisher: 2 });
+        expect(store.put(record({ key: modelKey("a") }), NOW)).toBe(true);
+        expect(store.put(record({ key: modelKey("b") }), NOW)).toBe(true);
+        expect(store.put(record({ key: modelKey("c") }), NOW)).toBe(false);
+        expect(store.get(modelKey("a"), NOW + 3601_000)).toEqual([]);
+        expect(store.put(record({ key: modelKey("c") }, { now: NOW + 3601_000 }), NOW + 3601_000)).toBe(true);
+    });
+
+    it("caps the whole store, displacing the record that expires first", () => {
+        const store = new RecordStore({ maxRecords: 2 });
+        const publishers = [generateKeyPair(), generateKeyPair(), generateKeyPair(), generateKeyPair()];
+        expect(store.put(record({ key: modelKey("a"), ttlSeconds: 600 }, { keys: publishers[0] }), NOW)).toBe(true);
+        expect(store.put(record({ key: modelKey("b"), ttlSeconds: 1800 }, { keys: publishers[1] }), NOW)).toBe(true);
+
+        // Expires no later than anything held: refused.
+        expect(store.put(record({ key: modelKey("c"), ttlSeconds: 600 }, { keys: publishers[2] }), NOW)).toBe(false);
+        expect(store.size).toBe(2);
+
+        // Outlives the soonest record, which makes way.
+        expect(store.put(record({ key: modelKey("d"), ttlSeconds: 3600 }, { keys: publishers[3] }), NOW)).toBe(true);
+        expect(store.size).toBe(2);
+        expect(store.get(modelKey("a"), NOW)).toEqual([]);
+        expect(store.get(modelKey("b"), NOW)).toHaveLength(1);
+        expect(store.get(modelKey("d"), NOW)).toHaveLength(1);
+
+        // Republishing a held record doesn't count against the cap.
+        expect(store.put(record({ key: modelKey("b"), ttlSeconds: 1800, lamport: 2 }, { keys: publishers[1] }), NOW)).toBe(true);
+        expect(store.size).toBe(2);
+    });
+});
+
+describe("RoutingTable", () => {
+    // Peer ids whose node ids land in the same bucket as each other.
+    function sameBucketIds(self, count) {
+        const selfTop = nodeIdFor(self)[0] & 0x80;
+        const out = [];
+        while (out.length < count) {
+            const { publicKey } = generateKeyPair();
+            if ((nodeIdFor(publicKey)[0] & 0x80) !== selfTop) out.push(publicKey);
+        }
+        return out;
+    }
+
+    it("returns contacts ordered by XOR distance", () => {
+        const table = new RoutingTable(alice.publicKey);
+        const ids = Array.from({ length: 30 }, () => generateKeyPair().publicKey);
+        ids.forEach((peerId, i) => table.add({ peerId, host: "127.0.0.1", port: 1000 + i }));
+        const target = nodeIdFor(bob.publicKey);
+        const closest = table.closest(target, 5);
+        const dist = (c) => Buffer.from(c.id.map((b, i) => b ^ target[i]));
+        for (let i = 1; i < closest.length; i += 1) {
+            expect(Buffer.compare(dist(closest[i - 1]), dist(closest[i]))).toBeLessThan(0);
+        }
+    });
+
+    it("keeps a full bucket's oldest contact while it answers pings", async () => {
+        const [first, second, third] = sameBucketIds(alice.publicKey, 3);
+        let alive = true;
+        const table = new RoutingTable(alice.publicKey, { k: 2, ping: async () => alive });
+        table.add({ peerId: first, host: "h", port: 1 });
+        table.add({ peerId: second, host: "h", port: 2 });
+        expect(table.add({ peerId: third, host: "h", port: 3 })).toBe(false);
+        await new Promise((r) => setTimeout(r, 0));
+        expect(table.closest(nodeIdFor(first), 3).map((c) => c.peerId).sort()).toEqual([first, second].sort());
+        alive = false;
+        table.add({ peerId: third, host: "h", port: 3 });
+        await new Promise((r) => setTimeout(r, 0));
+        expect(table.closest(nodeIdFor(first), 3).map((c) => c.peerId).sort()).toEqual([second, third].sort());
+    });
+});
+
+describe("DHT over the P2P listener", () => {
+    const N = 12;
+    const nodes = [];
+
+    async function spawnNode() {
+        const identity = generateKeyPair();
+        let dht;
+        const p2p = createP2pServer({
+            identity,
+            protocols: [HANDSHAKE_PROTOCOL, DHT_PROTOCOL],
+            onCommand: (msg, peer) => dht.handle(msg, peer)
+        });
+        const port = await p2p.listen(0, "127.0.0.1");
+        const transport = createTcpTransport({ identity });
+        dht = createDhtNode({ identity, address: { host: "127.0.0.1", port }, transport });
+        const n = { identity, port, p2p, transport, dht, contact: { peerId: identity.publicKey, host: "127.0.0.1", port } };
+        nodes.push(n);
+        return n;
+    }
+
+    function client() {
+        const identity = generateKeyPair();
+        const transport = createTcpTransport({ identity });
+        nodes.push({ transport });
+        return createDhtNode({ identity, transport });
+    }
+
+    beforeAll(async () => {
+        for (let i = 0; i < N; i += 1) await spawnNode();
+        // Everyone joins through node 0, as daemons do through a seed.
+        for (const n of nodes.slice(1)) await n.dht.bootstrap([nodes[0].contact]);
+    }, 60_000);
+
+    afterAll(() => {
+        for (const n of nodes) {
+            n.transport.close();
+            n.p2p?.close();
+        }
+    });
+
+    it("bootstrapping fills routing tables beyond the seed", () => {
+        for (const n of nodes.slice(1)) expect(n.dht.table.size).toBeGreaterThan(1);
+    });
+
+    it("finds every provider that published a model, from a client that never stored anything", async () => {
+        const providers = nodes.slice(3, 6);
+        for (const p of providers) {
+            const stored = await p.dht.publishModels(["qwen2.5:7b"], { role: "provider", multiaddr: `/ip4/127.0.0.1/tcp/${p.port}` });
+            expect(stored).toBeGreaterThan(0);
+        }
+        await nodes[8].dht.publishModels(["llama3.1:8b"], { role: "provider", multiaddr: `/ip4/127.0.0.1/tcp/${nodes[8].port}` });
+
+        const c = client();
+        await c.bootstrap([nodes[N - 1].contact]);
+        const found = await c.findProviders("qwen2.5:7b");
+        expect(found.map((p) => p.pubkey).sort()).toEqual(providers.map((p) => p.identity.publicKey).sort());
+        expect(found.find((p) => p.pubkey === providers[0].identity.publicKey).multiaddr)
+            .toBe(`/ip4/127.0.0.1/tcp/${providers[0].port}`);
+        expect((await c.findProviders("llama3.1:8b")).map((p) => p.pubkey)).toEqual([nodes[8].identity.publicKey]);
+        expect(await c.findProviders("no-such-model")).toEqual([]);
+    }, 30_000);
+
+    it("serves a republished record over the old one", async () => {
+        const p = nodes[3];
+        await p.dht.publishModels(["qwen2.5:7b"], { role: "provider", multiaddr: "/ip4/127.0.0.1/tcp/9" });
+        const c = client();
+        await c.bootstrap([nodes[1].contact]);
+        const mine = (await c.findProviders("qwen2.5:7b")).find((r) => r.pubkey === p.identity.publicKey);
+        expect(mine.multiaddr).toBe("/ip4/127.0.0.1/tcp/9");
+    }, 30_000);
+
+    it("nodes refuse records with a forged signature", async () => {
+        const forged = { ...record({}, { now: Date.now() }), provider_peer_id: bob.publicKey };
+        const reply = await nodes[0].transport.request(nodes[1].contact, "dht.store", { record: forged });
+        expect(reply).toMatchObject({ ok: false, error: "bad-record", cause: "record signature invalid" });
+    });
+});
@@ -0,0 +1,175 @@
+import net from "node:net";
+import { generateKeyPairSync } from "node:crypto";
+import { afterEach, describe, expect, it } from "vitest";
+import {
+    ed25519PublicKeyFromMultibase,
+    ed25519SeedFromPkcs8,
+    generateKeyPair,
+    jobInputHash,
+    signJobTicket,
+    verifyJobTicket
+} from "@infernetprotocol/auth";
+import { acceptDirectJob } from "../apps/cli/lib/direct-jobs.js";
+import { createHandshakeResponse, evaluateHandshake, PROVIDER_PROTOCOLS } from "../apps/cli/lib/handshake.js";
+import { parseMultiaddr } from "../apps/cli/lib/p2p-client.js";
+import { streamDirectChat } from "../apps/cli/lib/remote-chat.js";
+
+const BASE58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// Same shape tooling/generate-secrets.mjs emits.
+function platformKeys() {
+    const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+    const raw = publicKey.export({ type: "spki", format: "der" }).subarray(-32);
+    let num = BigInt("0x" + Buffer.concat([Buffer.from([0xed, 0x01]), raw]).toString("hex"));
+    let out = "";
+    while (num > 0n) {
+        out = BASE58[Number(num % 58n)] + out;
+        num /= 58n;
+    }
+    return {
+        multibase: "z" + out,
+        pkcs8: privateKey.export({ type: "pkcs8", format: "der" }).toString("base64")
+    };
+}
+
+const platform = platformKeys();
+const seed = ed25519SeedFromPkcs8(platform.pkcs8);
+const platformKey = ed25519PublicKeyFromMultibase(platform.multibase);
+const provider = generateKeyPair();
+const consumer = generateKeyPair();
+const NOW = 1_777_400_123_000;
+const input = { messages: [{ role: "user", content: "hi" }], max_tokens: 16 };
+
+function issue(overrides = {}, { now = NOW } = {}) {
+    return signJobTicket({
+        iss: "did:web:example.com",
+        job_id: "job-1",
+        provider: provider.publicKey,
+        client: consumer.publicKey,
+        model: "qwen2.5:0.5b",
+        input_sha256: jobInputHash(input),
+        ...overrides
+    }, seed, { now }).ticket;
+}
+
+describe("job tickets", () => {
+    it("round-trips under the platform key", () => {
+        const claims = verifyJobTicket(issue(), { publicKey: platformKey, now: NOW + 60_000 });
+        expect(claims).toMatchObject({ v: 1, job_id: "job-1", client: consumer.publicKey, exp: NOW / 1000 + 120 });
+    });
+
+    it("hashes input independent of key order", () => {
+        expect(jobInputHash({ b: 1, a: [{ y: 2, x: 1 }] })).toBe(jobInputHash({ a: [{ x: 1, y: 2 }], b: 1 }));
+    });
+
+    it("rejects tampered, foreign and expired tickets", () => {
+        const ticket = issue();
+        const [body, sig] = ticket.split(".");
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url")), job_id: "job-2" }))
+            .toString("base64url");
+        expect(() => verifyJobTicket(`${forged}.${sig}`, { publicKey: platformKey, now: NOW })).toThrow("ticket signature invalid");
+        const other = ed25519PublicKeyFromMultibase(platformKeys().multibase);
+        expect(() => verifyJobTicket(ticket, { publicKey: other, now: NOW })).toThrow("ticket signature invalid");
+        expect(() => verifyJobTicket(ticket, { publicKey: platformKey, now: NOW + 151_000 })).toThrow("ticket expired");
+        expect(() => verifyJobTicket("garbage", { publicKey: platformKey, now: NOW })).toThrow("bad ticket");
+    });
+});
+
+describe("acceptDirectJob", () => {
+    const ctx = (seen = new Map()) => ({
+        platformKey,
+        peerId: consumer.publicKey,
+        providerPubkey: provider.publicKey,
+        seen,
+        now: NOW
+    });
+
+    it("turns a valid ticket into a chat job", () => {
+        const job = acceptDirectJob({ ticket: issue(), input }, ctx());
+        expect(job).toMatchObject({ id: "job-1", type: "chat", model_name: "qwen2.5:0.5b", input_spec: input });
+    });
+
+    it("refuses a ticket for another provider or client", () => {
+        expect(() => acceptDirectJob({ ticket: issue({ provider: consumer.publicKey }), input }, ctx()))
+            .toThrow("another provider");
+        expect(() => acceptDirectJob({ ticket: issue(), input }, { ...ctx(), peerId: provider.publicKey }))
+            .toThrow("another client");
+    });
+
+    it("refuses an input the ticket doesn't pin", () => {
+        const swapped = { ...input, messages: [{ role: "user", content: "something else" }] };
+        expect(() => acceptDirectJob({ ticket: issue(), input: swapped }, ctx())).toThrow("input does not match");
+    });
+
+    it("runs a ticket once", () => {
+        const seen = new Map();
+        acceptDirectJob({ ticket: issue(), input }, ctx(seen));
+        expect(() => acceptDirectJob({ ticket: issue(), input }, ctx(seen))).toThrow("already used");
+    });
+});
+
+describe("streamDirectChat", () => {
+    let server;
+    afterEach(() => server?.close());
+
+    // Stand-in provider: real handshake, scripted compute.v1 frames.
+    function fakeProvider(reply) {
+        const received = [];
+        server = net.createServer((sock) => {
+            sock.setEncoding("utf8");
+            let buf = "";
+            sock.on("data", (chunk) => {
+                buf += chunk;
+                let nl;
+                while ((nl = buf.indexOf("\n")) !== -1) {
+                    const msg = JSON.parse(buf.slice(0, nl));
+                    buf = buf.slice(nl + 1);
+                    received.push(msg);
+                    if (msg.cmd === "handshake") {
+                        const verdict = evaluateHandshake(msg, { protocols: PROVIDER_PROTOCOLS });
+                        sock.write(JSON.stringify(createHandshakeResponse({ ...provider, verdict, requestSig: msg.sig })) + "\n");
+                    } else {
+                        for (const frame of reply(msg)) sock.write(JSON.stringify(frame) + "\n");
+                    }
+                }
+            });
+            sock.on("error", () => {});
+        });
+        return new Promise((resolve) => {
+            server.listen(0, "127.0.0.1", () => resolve({ port: server.address().port, received }));
+        });
+    }
+
+    const job = { jobId: "job-1", ticket: "t", input, provider: { pubkey: provider.publicKey } };
+    const frame = (state, event) => ({ ok: true, data: { job_id: "job-1", state, event } });
+
+    it("yields provider events until the terminal frame", async () => {
+        const { port, received } = await fakeProvider(() => [
+            frame("running", { type: "meta", model: "m" }),
+            frame("running", { type: "token", text: "he" }),
+            frame("running", { type: "token", text: "llo" }),
+            frame("complete", { type: "done", text: "hello", reason: "stop" })
+        ]);
+        const events = [];
+        for await (const ev of streamDirectChat(job, { host: "127.0.0.1", port }, consumer)) events.push(ev);
+        expect(events.map((e) => e.event)).toEqual(["meta", "token", "token", "done"]);
+        expect(events[3].data).toMatchObject({ text: "hello", reason: "stop" });
+        expect(received[1]).toEqual({ cmd: "compute.submit", ticket: "t", input });
+    });
+
+    it("surfaces a refused ticket as an error event", async () => {
+        const { port } = await fakeProvider(() => [{ ok: false, error: "ticket-rejected", cause: "ticket expired" }]);
+        const events = [];
+        for await (const ev of streamDirectChat(job, { host: "127.0.0.1", port }, consumer)) events.push(ev);
+        expect(events).toEqual([{ event: "error", data: { message: "provider refused the job: ticket-rejected (ticket expired)" } }]);
+    });
+});
+
+describe("parseMultiaddr", () => {
+    it("reads the multiaddrs /api/peers returns", () => {
+        expect(parseMultiaddr("/ip4/203.0.113.7/tcp/46337")).toEqual({ host: "203.0.113.7", port: 46337 });
+        expect(parseMultiaddr("/ip6/2001:db8::1/tcp/46337")).toEqual({ host: "2001:db8::1", port: 46337 });
+        expect(parseMultiaddr("/ip4/203.0.113.7/udp/46337")).toBeNull();
+        expect(parseMultiaddr(null)).toBeNull();
+    });
+});
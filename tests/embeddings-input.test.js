@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import {
+    MAX_EMBEDDING_INPUTS,
+    validateEmbeddingsInput,
+    validateEncodingFormat
+} from "../apps/web/lib/embeddings-input.js";
+import { isEmbeddingModelName } from "../apps/cli/commands/register.js";
+
+describe("validateEmbeddingsInput", () => {
+    it("accepts a single string or an array of strings", () => {
+        expect(validateEmbeddingsInput("hello")).toBeNull();
+        expect(validateEmbeddingsInput(["a", "b"])).toBeNull();
+    });
+
+    it("rejects empty, non-string and token-array inputs", () => {
+        expect(validateEmbeddingsInput([])).toMatch(/non-empty array/);
+        expect(validateEmbeddingsInput(undefined)).toMatch(/non-empty array/);
+        expect(validateEmbeddingsInput("")).toMatch(/must not be empty/);
+        expect(validateEmbeddingsInput([[1, 2, 3]])).toMatch(/token arrays are not supported/);
+    });
+
+    it("caps the batch size", () => {
+        const batch = Array.from({ length: MAX_EMBEDDING_INPUTS + 1 }, (_, i) => `doc ${i}`);
+        expect(validateEmbeddingsInput(batch)).toMatch(/too many inputs/);
+        expect(validateEmbeddingsInput(batch.slice(1))).toBeNull();
+    });
+
+    it("only allows float and base64 encodings", () => {
+        expect(validateEncodingFormat(undefined)).toBeNull();
+        expect(validateEncodingFormat("base64")).toBeNull();
+        expect(validateEncodingFormat("int8")).toMatch(/encoding_format/);
+    });
+});
+
+describe("isEmbeddingModelName — served_models vs embedding_models split", () => {
+    it("recognizes the common embedding families", () => {
+        for (const name of [
+            "nomic-embed-text:latest",
+            "mxbai-embed-large",
+            "snowflake-arctic-embed2",
+            "bge-m3",
+            "all-minilm:l6-v2",
+            "multilingual-e5-large",
+            "gte-qwen2"
+        ]) {
+            expect(isEmbeddingModelName(name), name).toBe(true);
+        }
+    });
+
+    it("leaves chat models alone", () => {
+        for (const name of ["qwen2.5:7b", "llama3.1:8b", "gemma3:4b", "mistral-nemo"]) {
+            expect(isEmbeddingModelName(name), name).toBe(false);
+        }
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, expect, it, vi } from "vitest";
+import { MAX_EMBEDDING_INPUTS } from "@/lib/embeddings-input";
+
+/**
+ * /v1/embeddings with a full-size request: the vectors are far bigger
+ * than a Realtime message, so they travel on the job row and the `done`
+ * event only announces them.
+ */
+
+// A generous bound on what Supabase Realtime delivers in one message.
+const REALTIME_MESSAGE_CAP = 3 * 1024 * 1024;
+const DIMENSIONS = 3072;
+
+const vectors = Array.from({ length: MAX_EMBEDDING_INPUTS }, (_, i) =>
+    Array.from({ length: DIMENSIONS }, (_, d) => Number(((i * DIMENSIONS + d) % 997 / 997).toFixed(6))));
+
+// The daemon's two writes, as this test drives them.
+const jobRow = { id: "job-1", status: "assigned", result: null };
+const events = [];
+
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        from(table) {
+            expect(table).toBe("jobs");
+            const chain = {
+                select: () => chain,
+                eq: () => chain,
+                maybeSingle: async () => ({ data: { ...jobRow }, error: null })
+            };
+            return chain;
+        }
+    })
+}));
+vi.mock("@/lib/data/api-keys", () => ({ authorizeApiKeyRequest: async () => null }));
+vi.mock("@/lib/data/embeddings", async (importOriginal) => ({
+    ...(await importOriginal()),
+    createEmbeddingsJob: async () => ({ job: { id: jobRow.id } })
+}));
+vi.mock("@/lib/data/chat-stream", () => ({
+    // Realtime: anything over the cap never arrives.
+    async* streamJobEvents() {
+        const done = events.find((e) => e.event_type === "done");
+        if (JSON.stringify(done).length > REALTIME_MESSAGE_CAP) return;
+        yield { type: "done", data: done.data };
+    }
+}));
+vi.mock("@infernetprotocol/engine", async (importOriginal) => ({
+    ...(await importOriginal()),
+    createEngine: async () => ({
+        kind: "fake",
+        async embed({ input }) {
+            return { model: "big-embed", embeddings: vectors.slice(0, input.length), usage: { prompt_tokens: input.length, total_tokens: input.length } };
+        },
+        async shutdown() {}
+    })
+}));
+
+const { POST } = await import("@/app/v1/embeddings/route");
+const { executeEmbeddingsJob } = await import("../apps/cli/lib/chat-executor.js");
+
+describe("/v1/embeddings over the Realtime message cap", () => {
+    it("returns every vector, read from the job row", async () => {
+        const inputs = Array.from({ length: MAX_EMBEDDING_INPUTS }, (_, i) => `text ${i}`);
+        expect(JSON.stringify(vectors).length).toBeGreaterThan(REALTIME_MESSAGE_CAP);
+
+        // The daemon posts `done`, then completes the job with the result.
+        const client = { async postJobEvents(_id, batch) { events.push(...batch); return {}; } };
+        const result = await executeEmbeddingsJob({
+            client,
+            job: { id: jobRow.id, model_name: "big-embed", input_spec: { input: inputs } },
+            node: { nodeId: "node-1" }
+        });
+        const done = events.find((e) => e.event_type === "done");
+        expect(done.data).toMatchObject({ count: MAX_EMBEDDING_INPUTS });
+        expect(done.data.embeddings).toBeUndefined();
+        setTimeout(() => Object.assign(jobRow, { status: "completed", result: { type: "embeddings", embeddings: result.embeddings } }), 50);
+
+        const res = await POST(new Request("http://127.0.0.1/v1/embeddings", {
+            method: "POST",
+            headers: { "content-type": "application/json", "x-forwarded-for": "203.0.113.9" },
+            body: JSON.stringify({ model: "big-embed", input: inputs })
+        }));
+
+        expect(res.status).toBe(200);
+        const body = await res.json();
+        expect(body.data).toHaveLength(MAX_EMBEDDING_INPUTS);
+        expect(body.data[MAX_EMBEDDING_INPUTS - 1]).toMatchObject({ index: MAX_EMBEDDING_INPUTS - 1, embedding: vectors.at(-1) });
+    });
+});
@@ -0,0 +1,69 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+/**
+ * Embeddings routing honors the circuit breakers the same way chat
+ * routing does (IPIP-0014 §4).
+ */
+
+const now = Date.now();
+const live = new Date(now).toISOString();
+const provider = (id) => ({ id, public_key: id.padEnd(64, "0"), reputation: 50, last_seen: live, specs: { embedding_models: ["bge-m3"] } });
+
+let providers = [];
+let circuits = new Map();
+let probeWon = false;
+const probes = [];
+
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        from() {
+            const chain = {
+                select: () => chain,
+                eq: () => chain,
+                gte: async () => ({ data: providers, error: null })
+            };
+            return chain;
+        }
+    })
+}));
+vi.mock("@/lib/data/provider-circuit", () => ({
+    circuitStates: async (ids) => new Map(ids.filter((id) => circuits.has(id)).map((id) => [id, circuits.get(id)])),
+    claimProbe: async (circuit) => { probes.push(circuit.provider_id); return probeWon; }
+}));
+
+const { pickEmbeddingProvider } = await import("@/lib/data/embeddings");
+
+const open = (id, nextProbeAt) => ({ provider_id: id, state: "open", next_probe_at: new Date(nextProbeAt).toISOString() });
+
+describe("pickEmbeddingProvider circuit breakers", () => {
+    beforeEach(() => {
+        providers = [provider("a"), provider("b")];
+        circuits = new Map();
+        probeWon = false;
+        probes.length = 0;
+    });
+
+    it("never routes to a provider whose breaker is open", async () => {
+        circuits.set("a", open("a", now + 60_000));
+        for (let i = 0; i < 20; i++) {
+            expect((await pickEmbeddingProvider({ modelName: "bge-m3" })).id).toBe("b");
+        }
+        circuits.set("b", open("b", now + 60_000));
+        expect(await pickEmbeddingProvider({ modelName: "bge-m3" })).toBeNull();
+    });
+
+    it("gives a cooled-down provider the job only when it wins the probe slot", async () => {
+        providers = [provider("a")];
+        circuits.set("a", open("a", now - 1));
+        expect(await pickEmbeddingProvider({ modelName: "bge-m3" })).toBeNull();
+        expect(probes).toEqual(["a"]);
+
+        probeWon = true;
+        expect((await pickEmbeddingProvider({ modelName: "bge-m3" })).id).toBe("a");
+    });
+
+    it("ignores a preference for a provider whose breaker is open", async () => {
+        circuits.set("a", open("a", now + 60_000));
+        expect((await pickEmbeddingProvider({ modelName: "bge-m3", prefer: [provider("a").public_key] })).id).toBe("b");
+    });
+});
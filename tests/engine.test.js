@@ -10,7 +10,8 @@ import {
     isOllamaReachable,
     NdjsonSplitter,
     PROTOCOL_VERSION,
-    MSG
+    MSG,
+    toolCallDeltas
 } from "@infernetprotocol/engine";
 
 const here = dirname(fileURLToPath(import.meta.url));
@@ -88,6 +89,18 @@ describe("protocol codec", () => {
         expect(out.type).toBe(MSG.ERROR);
         expect(out.message).toMatch(/bad ndjson/);
     });
+
+    it("turns OpenAI tool-call deltas into tool_call fields", () => {
+        const choice = { delta: { tool_calls: [
+            { index: 1, id: "call_9", type: "function", function: { name: "get_weather", arguments: "" } },
+            { function: { arguments: "{\"city\"" } }
+        ] } };
+        expect(toolCallDeltas(choice)).toEqual([
+            { index: 1, call_id: "call_9", name: "get_weather", arguments: "" },
+            { index: 1, arguments: "{\"city\"" }
+        ]);
+        expect(toolCallDeltas({ delta: { content: "hi" } })).toEqual([]);
+    });
 });
 
 describe("NdjsonSplitter", () => {
@@ -284,6 +297,216 @@ describe("Ollama backend", () => {
         await engine.shutdown();
     });
 
+    it("forwards prompt_eval_count / eval_count as usage on done", async () => {
+        fake = await startFakeOllama();
+        fake.setChatHandler(async (_body, res) => {
+            res.writeHead(200, { "content-type": "application/x-ndjson" });
+            res.write(
+                JSON.stringify({
+                    model: "qwen2.5:0.5b",
+                    message: { role: "assistant", content: "hey" },
+                    done: false
+                }) + "\n"
+            );
+            res.write(
+                JSON.stringify({
+                    model: "qwen2.5:0.5b",
+                    message: { role: "assistant", content: "" },
+                    done: true,
+                    done_reason: "stop",
+                    prompt_eval_count: 26,
+                    eval_count: 3
+                }) + "\n"
+            );
+            res.end();
+        });
+
+        const engine = await createEngine({ backend: "ollama", host: fake.url, skipProbe: true });
+        const { stream } = engine.generate({
+            messages: [{ role: "user", content: "hi" }],
+            model: "qwen2.5:0.5b"
+        });
+        const events = [];
+        for await (const ev of stream) events.push(ev);
+
+        expect(events.at(-1).type).toBe(MSG.DONE);
+        expect(events.at(-1).usage).toEqual({
+            prompt_tokens: 26,
+            completion_tokens: 3,
+            total_tokens: 29
+        });
+        await engine.shutdown();
+    });
+
+    it("sends tools, translates OpenAI history, and emits whole tool calls", async () => {
+        fake = await startFakeOllama();
+        let seen = null;
+        fake.setChatHandler(async (body, res) => {
+            seen = body;
+            res.writeHead(200, { "content-type": "application/x-ndjson" });
+            res.write(
+                JSON.stringify({
+                    model: "qwen2.5:7b",
+                    message: {
+                        role: "assistant",
+                        content: "",
+                        tool_calls: [{ function: { name: "get_weather", arguments: { city: "Oslo" } } }]
+                    },
+                    done: false
+                }) + "\n"
+            );
+            res.write(JSON.stringify({ model: "qwen2.5:7b", message: { content: "" }, done: true, done_reason: "stop" }) + "\n");
+            res.end();
+        });
+
+        const tools = [{ type: "function", function: { name: "get_weather", parameters: { type: "object" } } }];
+        const engine = await createEngine({ backend: "ollama", host: fake.url, skipProbe: true });
+        const { stream } = engine.generate({
+            model: "qwen2.5:7b",
+            tools,
+            messages: [
+                { role: "user", content: "weather?" },
+                {
+                    role: "assistant",
+                    content: null,
+                    tool_calls: [{ id: "call_1", type: "function", function: { name: "get_weather", arguments: "{\"city\":\"Bergen\"}" } }]
+                },
+                { role: "tool", tool_call_id: "call_1", content: "rainy" }
+            ]
+        });
+        const events = [];
+        for await (const ev of stream) events.push(ev);
+
+        expect(seen.tools).toEqual(tools);
+        expect(seen.messages[1].tool_calls[0].function.arguments).toEqual({ city: "Bergen" });
+        expect(seen.messages[2]).toEqual({ role: "tool", content: "rainy", tool_name: "get_weather" });
+
+        const call = events.find((e) => e.type === MSG.TOOL_CALL);
+        expect(call).toMatchObject({ index: 0, name: "get_weather", arguments: "{\"city\":\"Oslo\"}" });
+        expect(call.call_id).toMatch(/^call_/);
+        expect(events.at(-1)).toMatchObject({ type: MSG.DONE, reason: "tool_calls" });
+        await engine.shutdown();
+    });
+
+    it("fails a forced tool_choice instead of letting the model answer in text", async () => {
+        fake = await startFakeOllama();
+        let called = false;
+        fake.setChatHandler(async (_body, res) => {
+            called = true;
+            res.end();
+        });
+
+        const tools = [{ type: "function", function: { name: "get_weather", parameters: { type: "object" } } }];
+        const engine = await createEngine({ backend: "ollama", host: fake.url, skipProbe: true });
+        for (const tool_choice of ["required", { type: "function", function: { name: "get_weather" } }]) {
+            const { stream } = engine.generate({ model: "qwen2.5:7b", tools, tool_choice, messages: [{ role: "user", content: "weather?" }] });
+            const events = [];
+            for await (const ev of stream) events.push(ev);
+            expect(events).toHaveLength(1);
+            expect(events[0]).toMatchObject({ type: MSG.ERROR, message: expect.stringMatching(/does not support tool_choice/) });
+        }
+        expect(called).toBe(false);
+        await engine.shutdown();
+    });
+
+    it("splits image content parts into content text + base64 images", async () => {
+        fake = await startFakeOllama();
+        let seen = null;
+        fake.setChatHandler(async (body, res) => {
+            seen = body;
+            res.writeHead(200, { "content-type": "application/x-ndjson" });
+            res.end(JSON.stringify({ model: "llava:7b", message: { role: "assistant", content: "a cat" }, done: true }) + "\n");
+        });
+
+        const engine = await createEngine({ backend: "ollama", host: fake.url, skipProbe: true });
+        const { stream } = engine.generate({
+            model: "llava:7b",
+            messages: [{
+                role: "user",
+                content: [
+                    { type: "text", text: "What is this?" },
+                    { type: "image_url", image_url: { url: "data:image/png;base64,iVBORw0KGgo=" } }
+                ]
+            }]
+        });
+        for await (const _ev of stream) { /* drain */ }
+
+        expect(seen.messages[0]).toEqual({ role: "user", content: "What is this?", images: ["iVBORw0KGgo="] });
+    });
+
+    it("maps sampling into options and response_format into format", async () => {
+        fake = await startFakeOllama();
+        const seen = [];
+        fake.setChatHandler(async (body, res) => {
+            seen.push(body);
+            res.writeHead(200, { "content-type": "application/x-ndjson" });
+            res.end(JSON.stringify({ model: "m", message: { role: "assistant", content: "{}" }, done: true }) + "\n");
+        });
+
+        const engine = await createEngine({ backend: "ollama", host: fake.url, skipProbe: true });
+        expect(engine.sampling).not.toContain("logit_bias");
+        const schema = { type: "object", properties: { city: { type: "string" } } };
+        for (const response_format of [
+            { type: "json_object" },
+            { type: "json_schema", json_schema: { name: "place", schema } }
+        ]) {
+            const { stream } = engine.generate({
+                messages: [{ role: "user", content: "hi" }],
+                model: "m",
+                top_p: 0.8,
+                stop: ["END"],
+                seed: 11,
+                presence_penalty: 0.5,
+                response_format
+            });
+            for await (const _ev of stream) { /* drain */ }
+        }
+
+        expect(seen[0].options).toMatchObject({ top_p: 0.8, stop: ["END"], seed: 11, presence_penalty: 0.5 });
+        expect(seen[0].format).toBe("json");
+        expect(seen[1].format).toEqual(schema);
+    });
+
+    it("embed() posts the batch to /api/embed and returns vectors + usage", async () => {
+        let seen = null;
+        const fetchImpl = async (url, init) => {
+            seen = { path: new URL(url).pathname, body: JSON.parse(init.body) };
+            return {
+                ok: true,
+                status: 200,
+                async json() {
+                    return {
+                        model: "nomic-embed-text",
+                        embeddings: [[0.1, 0.2], [0.3, 0.4]],
+                        prompt_eval_count: 7
+                    };
+                }
+            };
+        };
+        const engine = await createEngine({ backend: "ollama", skipProbe: true, fetchImpl });
+        const out = await engine.embed({ input: ["a", "b"], model: "nomic-embed-text" });
+
+        expect(seen).toEqual({ path: "/api/embed", body: { model: "nomic-embed-text", input: ["a", "b"] } });
+        expect(out.embeddings).toEqual([[0.1, 0.2], [0.3, 0.4]]);
+        expect(out.usage).toEqual({ prompt_tokens: 7, completion_tokens: 0, total_tokens: 7 });
+    });
+
+    it("embed() rejects on non-2xx and on a short batch", async () => {
+        const notFound = await createEngine({
+            backend: "ollama",
+            skipProbe: true,
+            fetchImpl: async () => ({ ok: false, status: 404, async text() { return "model not found"; } })
+        });
+        await expect(notFound.embed({ input: ["a"], model: "ghost" })).rejects.toThrow(/HTTP 404/);
+
+        const short = await createEngine({
+            backend: "ollama",
+            skipProbe: true,
+            fetchImpl: async () => ({ ok: true, status: 200, async json() { return { embeddings: [[1]] }; } })
+        });
+        await expect(short.embed({ input: ["a", "b"], model: "m" })).rejects.toThrow(/1 embeddings for 2 inputs/);
+    });
+
     it("surfaces an error on non-2xx response", async () => {
         fake = await startFakeOllama();
         fake.setChatHandler(async (_body, res) => {
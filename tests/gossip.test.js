@@ -0,0 +1,184 @@
+import { describe, expect, it } from "vitest";
+import {
+    PUBSUB_PROTOCOL,
+    generateKeyPair,
+    signPubsubEnvelope,
+    verifyPubsubEnvelope
+} from "@infernetprotocol/auth";
+import { D_HIGH, D_LOW, GRAYLIST_THRESHOLD, TOPICS, createGossipNode } from "../apps/cli/lib/gossip.js";
+
+const NOW = 1_777_400_123_000;
+const alice = generateKeyPair();
+const bob = generateKeyPair();
+
+/**
+ * In-process network for the gossip simulation: each node's transport
+ * calls the target node's handle() directly (after a microtask, as a
+ * socket would), so dozens of peers run in one test without sockets.
+ * Peers join a random graph of `degree` links each.
+ */
+function simulate(n, { degree = 6, topics = [TOPICS.availability], now = () => NOW } = {}) {
+    const byId = new Map();
+    const nodes = [];
+    for (let i = 0; i < n; i += 1) {
+        const identity = generateKeyPair();
+        const address = { host: "127.0.0.1", port: 10_000 + i };
+        const transport = {
+            async request(contact, cmd, payload) {
+                await Promise.resolve();
+                const target = byId.get(contact.peerId);
+                if (!target || target.down) throw new Error("unreachable");
+                return target.gossip.handle({ cmd, ...payload }, { peerId: identity.publicKey, protocols: [PUBSUB_PROTOCOL] });
+            }
+        };
+        const node = {
+            identity,
+            contact: { peerId: identity.publicKey, ...address },
+            received: new Map(topics.map((t) => [t, []])),
+            down: false,
+            gossip: createGossipNode({ identity, address, transport, now })
+        };
+        for (const t of topics) node.gossip.subscribe(t, (payload, envelope) => node.received.get(t).push(envelope.message_id));
+        byId.set(identity.publicKey, node);
+        nodes.push(node);
+    }
+    return {
+        nodes,
+        async connect() {
+            for (const node of nodes) {
+                const others = nodes.filter((o) => o !== node).sort(() => Math.random() - 0.5).slice(0, degree);
+                await Promise.all(others.map((o) => node.gossip.addPeer(o.contact)));
+            }
+        },
+        async rounds(count) {
+            for (let r = 0; r < count; r += 1) {
+                await Promise.all(nodes.map((node) => (node.down ? null : node.gossip.heartbeat())));
+                await settle();
+            }
+        }
+    };
+}
+
+// Let queued forwards run to completion.
+async function settle() {
+    for (let i = 0; i < 50; i += 1) await new Promise((r) => setImmediate(r));
+}
+
+describe("pubsub envelopes", () => {
+    it("verify under the sender's key and derive their message id", () => {
+        const env = signPubsubEnvelope({ topic: "t", payload: { a: 1 }, ...alice, now: NOW });
+        expect(verifyPubsubEnvelope(env, { now: NOW })).toEqual(env);
+        expect(() => verifyPubsubEnvelope({ ...env, payload: { a: 2 } }, { now: NOW })).toThrow("message id mismatch");
+        expect(() => verifyPubsubEnvelope({ ...env, topic: "other" }, { now: NOW })).toThrow("signature invalid");
+        expect(() => verifyPubsubEnvelope({ ...env, sender_peer_id: bob.publicKey }, { now: NOW })).toThrow("message id mismatch");
+        expect(() => verifyPubsubEnvelope(env, { now: NOW + 61_000 })).toThrow("timestamp out of range");
+        expect(() => verifyPubsubEnvelope({ ...env, payload: "x" }, { now: NOW })).toThrow("malformed envelope");
+    });
+});
+
+describe("gossip simulation", () => {
+    it("every subscriber gets each message exactly once across 40 peers", async () => {
+        const sim = simulate(40);
+        await sim.connect();
+        await sim.rounds(3);
+        for (const node of sim.nodes) {
+            const size = node.gossip.meshes.get(TOPICS.availability).size;
+            expect(size).toBeGreaterThanOrEqual(D_LOW);
+            expect(size).toBeLessThanOrEqual(D_HIGH);
+        }
+
+        const publishers = sim.nodes.slice(0, 5);
+        const ids = [];
+        for (const [i, p] of publishers.entries()) {
+            const env = await p.gossip.publish(TOPICS.availability, { status: "online", models: [`m${i}`] });
+            ids.push(env.message_id);
+        }
+        await settle();
+        await sim.rounds(3);
+
+        for (const node of sim.nodes) {
+            expect([...node.received.get(TOPICS.availability)].sort()).toEqual([...ids].sort());
+        }
+        const dupes = sim.nodes.reduce((n, node) => n + node.gossip.stats.duplicates, 0);
+        expect(dupes).toBeGreaterThan(0); // redundancy was there, and dedup absorbed it
+    }, 30_000);
+
+    it("IHAVE gossip repairs delivery to peers the eager push missed", async () => {
+        const sim = simulate(24, { degree: 5 });
+        await sim.connect();
+        await sim.rounds(2);
+        const [publisher, offline] = sim.nodes;
+        offline.down = true;
+        const env = await publisher.gossip.publish(TOPICS.availability, { status: "draining" });
+        await settle();
+        expect(offline.received.get(TOPICS.availability)).toEqual([]);
+        offline.down = false;
+        await sim.rounds(2);
+        expect(offline.received.get(TOPICS.availability)).toEqual([env.message_id]);
+    }, 30_000);
+
+    it("ttl bounds how far a message travels", async () => {
+        const sim = simulate(6, { degree: 0 });
+        // A line: 0 - 1 - 2 - 3 - 4 - 5
+        for (let i = 0; i < 5; i += 1) {
+            await sim.nodes[i].gossip.addPeer(sim.nodes[i + 1].contact);
+            await sim.nodes[i + 1].gossip.addPeer(sim.nodes[i].contact);
+        }
+        await sim.rounds(2);
+        await sim.nodes[0].gossip.publish(TOPICS.availability, { status: "online" }, { ttl: 1 });
+        await settle();
+        const got = sim.nodes.map((n) => n.received.get(TOPICS.availability).length);
+        expect(got).toEqual([1, 1, 1, 0, 0, 0]);
+    });
+
+    it("drops forgeries and graylists the peer that sent them", async () => {
+        const sim = simulate(3, { degree: 2 });
+        await sim.connect();
+        await sim.rounds(1);
+        const [victim, attacker] = sim.nodes;
+        const peer = { peerId: attacker.identity.publicKey, protocols: [PUBSUB_PROTOCOL] };
+        const real = signPubsubEnvelope({ topic: TOPICS.availability, payload: { status: "online" }, ...bob, now: NOW });
+        for (let i = 0; i < 3; i += 1) {
+            const forged = { ...real, payload: { status: "offline", n: i } };
+            const reply = victim.gossip.handle({ cmd: "pubsub.publish", message: { envelope: forged, seen_by_peer_ids: [], ttl: 3 } }, peer);
+            expect(reply.data.accepted).toBe("rejected");
+        }
+        expect(victim.gossip.score(peer.peerId)).toBeLessThan(GRAYLIST_THRESHOLD);
+        const reply = victim.gossip.handle({ cmd: "pubsub.publish", message: { envelope: real, seen_by_peer_ids: [], ttl: 3 } }, peer);
+        expect(reply.data.accepted).toBe("ignored");
+        expect(victim.received.get(TOPICS.availability)).toEqual([]);
+        await sim.rounds(1);
+        expect(victim.gossip.meshes.get(TOPICS.availability).has(peer.peerId)).toBe(false);
+    });
+
+    it("validates topic payloads and honours revocations", async () => {
+        const sim = simulate(8, { degree: 4, topics: [TOPICS.availability, TOPICS.revocations] });
+        await sim.connect();
+        await sim.rounds(2);
+        const [a, b] = sim.nodes;
+        await expect(a.gossip.publish(TOPICS.availability, { status: "sleepy" })).rejects.toThrow("bad status");
+        await expect(a.gossip.publish(TOPICS.revocations, { peer_id: b.identity.publicKey })).rejects.toThrow("not authorized");
+
+        await b.gossip.publish(TOPICS.revocations, { peer_id: b.identity.publicKey, reason: "key compromised" });
+        await settle();
+        await sim.rounds(1);
+        for (const node of sim.nodes) expect(node.gossip.revoked.has(b.identity.publicKey)).toBe(true);
+
+        await b.gossip.publish(TOPICS.availability, { status: "online" });
+        await settle();
+        for (const node of sim.nodes.slice(2)) expect(node.received.get(TOPICS.availability)).toEqual([]);
+    });
+
+    it("nodes not subscribed to a topic neither deliver nor relay it", async () => {
+        const sim = simulate(10, { degree: 9 });
+        await sim.connect();
+        const quiet = sim.nodes[9];
+        quiet.gossip.subscribe(TOPICS.models, () => {});
+        await sim.rounds(2);
+        const env = await sim.nodes[0].gossip.publish(TOPICS.models, { models: ["qwen2.5:7b"] });
+        await settle();
+        expect(env.topic).toBe(TOPICS.models);
+        expect(quiet.gossip.stats.delivered).toBe(1);
+        for (const node of sim.nodes.slice(1, 9)) expect(node.gossip.stats.delivered).toBe(0);
+    });
+});
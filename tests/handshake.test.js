@@ -0,0 +1,191 @@
+import net from "node:net";
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import {
+    createAttemptLimiter,
+    evaluateHandshake,
+    verifyHandshakeResponse
+} from "../apps/cli/lib/handshake.js";
+import { dialPeer } from "../apps/cli/lib/p2p-client.js";
+import { MAX_HANDSHAKE_BYTES, createP2pServer } from "../apps/cli/lib/p2p-server.js";
+
+const fixtures = JSON.parse(readFileSync(
+    new URL("../protocol/tests/conformance/handshake/v1/cases.json", import.meta.url),
+    "utf8"
+));
+const { dialer, receiver } = fixtures.keys;
+
+describe("handshake.v1 conformance: receiver", () => {
+    for (const c of fixtures.requests) {
+        it(c.name, () => {
+            const verdict = evaluateHandshake(c.message, {
+                protocols: fixtures.receiver_protocols,
+                now: (c.now_unix ?? fixtures.now_unix) * 1000,
+                blocklist: c.blocklist ?? [],
+                atCapacity: c.at_capacity ?? false
+            });
+            expect({
+                accepted: verdict.accepted,
+                reason: verdict.reason,
+                selected_protocols: verdict.selected_protocols
+            }).toEqual(c.expect);
+        });
+    }
+});
+
+describe("handshake.v1 conformance: dialer", () => {
+    for (const c of fixtures.responses) {
+        it(c.name, () => {
+            const check = () => verifyHandshakeResponse(c.reply, {
+                requestSig: c.request_sig,
+                expectedPeerId: c.expected_peer_id
+            });
+            if (!c.expect.valid) {
+                expect(check).toThrow();
+                return;
+            }
+            const { valid: _valid, ...fields } = c.expect;
+            expect(check()).toMatchObject(fields);
+        });
+    }
+});
+
+/** The daemon's listener, answering `ping` once a peer is in. */
+async function listen(opts = {}) {
+    const p2p = createP2pServer({
+        identity: receiver,
+        protocols: fixtures.receiver_protocols,
+        onCommand: (msg, peer) => (msg.cmd === "ping" ? { ok: true, data: { pong: true, peer: peer.peerId } } : undefined),
+        ...opts
+    });
+    const port = await p2p.listen(0, "127.0.0.1");
+    return { ...p2p, port };
+}
+
+/** A raw connection; `closed` resolves with everything the server sent. */
+function connectRaw(port) {
+    const sock = net.connect({ host: "127.0.0.1", port });
+    let received = "";
+    sock.setEncoding("utf8");
+    sock.on("data", (chunk) => { received += chunk; });
+    const closed = new Promise((resolve) => sock.on("close", () => resolve(received)));
+    sock.on("error", () => {});
+    return { sock, closed };
+}
+
+const dial = (port, extra = {}) => dialPeer({ host: "127.0.0.1", port, identity: dialer, timeoutMs: 2000, ...extra });
+
+describe("dialPeer", () => {
+    it("handshakes, then carries commands", async () => {
+        const server = await listen();
+        try {
+            const peer = await dialPeer({
+                host: "127.0.0.1",
+                port: server.port,
+                identity: dialer,
+                expectedPeerId: receiver.publicKey
+            });
+            expect(peer.peerId).toBe(receiver.publicKey);
+            expect(peer.protocols).toEqual(["infernet.peer.v1"]);
+            await expect(peer.request("ping")).resolves.toMatchObject({ ok: true, data: { peer: dialer.publicKey } });
+            peer.close();
+        } finally {
+            server.close();
+        }
+    });
+
+    it("surfaces the receiver's rejection reason", async () => {
+        const server = await listen({ blocklist: [dialer.publicKey] });
+        try {
+            await expect(dialPeer({ host: "127.0.0.1", port: server.port, identity: dialer }))
+                .rejects.toMatchObject({ reason: "blocked" });
+        } finally {
+            server.close();
+        }
+    });
+
+    it("refuses a receiver that isn't the expected peer", async () => {
+        const server = await listen();
+        try {
+            await expect(dialPeer({
+                host: "127.0.0.1",
+                port: server.port,
+                identity: dialer,
+                expectedPeerId: dialer.publicKey
+            })).rejects.toThrow(/expected peer/);
+        } finally {
+            server.close();
+        }
+    });
+});
+
+describe("p2p server handshake gate", () => {
+    it("answers nothing before the handshake", async () => {
+        const server = await listen();
+        try {
+            const { sock, closed } = connectRaw(server.port);
+            sock.write(JSON.stringify({ cmd: "ping" }) + "\n");
+            expect(JSON.parse(await closed)).toEqual({ ok: false, error: "handshake-required" });
+        } finally {
+            server.close();
+        }
+    });
+
+    it("drops a dialer that never handshakes", async () => {
+        const server = await listen({ handshakeTimeoutMs: 50 });
+        try {
+            await expect(connectRaw(server.port).closed).resolves.toBe("");
+        } finally {
+            server.close();
+        }
+    });
+
+    it("drops a dialer whose handshake line runs past the cap", async () => {
+        const server = await listen();
+        try {
+            const { sock, closed } = connectRaw(server.port);
+            sock.write("{\"cmd\":\"handshake\",\"pad\":\"" + "x".repeat(MAX_HANDSHAKE_BYTES) + "\"");
+            await expect(closed).resolves.toBe("");
+        } finally {
+            server.close();
+        }
+    });
+
+    it("drops a handshaken peer whose line runs past the cap", async () => {
+        const server = await listen({ maxLineBytes: 1024 });
+        try {
+            const peer = await dial(server.port);
+            await expect(peer.request("ping", { pad: "x".repeat(512) })).resolves.toMatchObject({ ok: true });
+            const { socket } = peer.detach();
+            const closed = new Promise((resolve) => socket.on("close", resolve));
+            socket.resume();
+            socket.write("{\"cmd\":\"ping\",\"pad\":\"" + "x".repeat(2048));
+            await closed;
+            expect(server.peers.size).toBe(0);
+        } finally {
+            server.close();
+        }
+    });
+
+    it("refuses peers past maxPeers", async () => {
+        const server = await listen({ maxPeers: 1 });
+        try {
+            const first = await dial(server.port);
+            await expect(dial(server.port)).rejects.toMatchObject({ reason: "capacity" });
+            first.close();
+        } finally {
+            server.close();
+        }
+    });
+
+    it("cuts off an address that keeps dialing", async () => {
+        const server = await listen({ allowAttempt: createAttemptLimiter({ limit: 1 }) });
+        try {
+            (await dial(server.port)).close();
+            await expect(dial(server.port)).rejects.toThrow();
+            expect(server.stats.connectionsTotal).toBe(2);
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,191 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { generateKeyPair } from "@infernetprotocol/auth";
+import {
+    KEY_IN_USE,
+    KEY_REUSE,
+    LOCK_TTL_MS,
+    RECORD_TTL_MS,
+    consumerPrincipal,
+    createMemoryIdempotencyStore,
+    idempotent,
+    requestHash
+} from "@/lib/idempotency/middleware";
+
+// Nothing is revoked: verifySignedNextRequest reads revoked_keys.
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        from: () => {
+            const chain = { select: () => chain, eq: () => chain, in: () => chain, limit: async () => ({ data: [], error: null }) };
+            return chain;
+        }
+    })
+}));
+
+// The data layer is the boundary: count how often completion runs.
+const completions = [];
+vi.mock("@/lib/data/node-api", () => ({
+    completeJobForNode: async (args) => {
+        completions.push(args);
+        return { id: args.jobId, status: args.body.status };
+    }
+}));
+
+const completeRoute = await import("@/app/api/v1/node/jobs/[id]/complete/route");
+const { createNodeClient } = await import("../apps/cli/lib/node-client.js");
+
+const THING_URL = "http://127.0.0.1/api/v1/node/thing";
+
+function post(body, key) {
+    const headers = { "content-type": "application/json" };
+    if (key) headers["idempotency-key"] = key;
+    return new Request(THING_URL, { method: "POST", headers, body: JSON.stringify(body) });
+}
+
+describe("idempotent()", () => {
+    let store;
+    let runs;
+    const call = async (request, principal) => {
+        const text = await request.clone().text();
+        return idempotent(request, { principal, body: text, store }, async () => {
+            runs += 1;
+            return Response.json({ data: { run: runs } });
+        });
+    };
+
+    beforeEach(() => {
+        store = createMemoryIdempotencyStore();
+        runs = 0;
+    });
+    afterEach(() => vi.useRealTimers());
+
+    it("runs every request that carries no key", async () => {
+        await call(post({ a: 1 }), "node:abc");
+        await call(post({ a: 1 }), "node:abc");
+        expect(runs).toBe(2);
+    });
+
+    it("keeps anonymous consumers on different addresses apart", async () => {
+        const from = (ip) => {
+            const request = post({ a: 1 }, "k1");
+            request.headers.set("x-forwarded-for", ip);
+            return request;
+        };
+        const a = from("203.0.113.1");
+        const b = from("203.0.113.2");
+        await call(a, consumerPrincipal(a, null));
+        const second = await call(b, consumerPrincipal(b, null));
+        expect(runs).toBe(2);
+        expect(second.headers.get("Idempotent-Replayed")).toBeNull();
+        expect(consumerPrincipal(a, { id: "k-1" })).toBe("key:k-1");
+    });
+
+    it("replays the first response for the same key and body", async () => {
+        const first = await call(post({ a: 1 }, "k1"), "node:abc");
+        const second = await call(post({ a: 1 }, "k1"), "node:abc");
+        expect(runs).toBe(1);
+        expect(await second.json()).toEqual(await first.json());
+        expect(second.headers.get("idempotent-replayed")).toBe("true");
+        expect(first.headers.get("idempotent-replayed")).toBeNull();
+    });
+
+    it("refuses the same key with a different body", async () => {
+        await call(post({ a: 1 }, "k1"), "node:abc");
+        const res = await call(post({ a: 2 }, "k1"), "node:abc");
+        expect(res.status).toBe(409);
+        expect(await res.json()).toEqual({ error: KEY_REUSE });
+        expect(runs).toBe(1);
+    });
+
+    it("keeps keys apart per principal", async () => {
+        await call(post({ a: 1 }, "k1"), "node:abc");
+        await call(post({ a: 1 }, "k1"), "node:def");
+        expect(runs).toBe(2);
+    });
+
+    it("lets only one of two concurrent requests run", async () => {
+        let finish;
+        const slow = idempotent(post({ a: 1 }, "k1"), { principal: "p", body: "{\"a\":1}", store }, async () => {
+            runs += 1;
+            await new Promise((resolve) => { finish = resolve; });
+            return Response.json({ data: "slow" });
+        });
+        await vi.waitFor(() => expect(runs).toBe(1));
+        const concurrent = await call(post({ a: 1 }, "k1"), "p");
+        expect(concurrent.status).toBe(409);
+        expect(await concurrent.json()).toEqual({ error: KEY_IN_USE });
+        finish();
+        expect(await (await slow).json()).toEqual({ data: "slow" });
+        expect(runs).toBe(1);
+    });
+
+    it("releases the key when the handler fails, so a retry runs", async () => {
+        const failing = (status) => idempotent(post({ a: 1 }, "k1"), { principal: "p", body: "{\"a\":1}", store }, async () => {
+            runs += 1;
+            if (status === "throw") throw new Error("boom");
+            return Response.json({ error: "down" }, { status });
+        });
+        await expect(failing("throw")).rejects.toThrow("boom");
+        expect((await failing(503)).status).toBe(503);
+        expect((await failing(400)).status).toBe(400);
+        // 4xx is the request's own answer and is kept.
+        expect((await failing(503)).status).toBe(400);
+        expect(runs).toBe(3);
+    });
+
+    it("runs again once the record expired or its claim was abandoned", async () => {
+        vi.useFakeTimers();
+        await call(post({ a: 1 }, "k1"), "p");
+        vi.advanceTimersByTime(RECORD_TTL_MS + 1);
+        await call(post({ a: 1 }, "k1"), "p");
+        expect(runs).toBe(2);
+
+        // A claim whose handler never finished (instance died).
+        const hash = requestHash({ method: "POST", path: "/api/v1/node/thing", body: "{\"a\":1}" });
+        await store.insert({ principal: "p", endpoint: "/api/v1/node/thing", key: "k2", hash, createdAt: Date.now(), expiresAt: Date.now() + RECORD_TTL_MS });
+        expect(await (await call(post({ a: 1 }, "k2"), "p")).json()).toEqual({ error: KEY_IN_USE });
+        vi.advanceTimersByTime(LOCK_TTL_MS + 1);
+        expect((await call(post({ a: 1 }, "k2"), "p")).status).toBe(200);
+        expect(runs).toBe(3);
+    });
+
+    it("rejects an oversized key", async () => {
+        await expect(call(post({ a: 1 }, "k".repeat(129)), "p")).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe("daemon job completion", () => {
+    const keys = generateKeyPair();
+    let dropNext;
+
+    beforeEach(() => {
+        completions.length = 0;
+        dropNext = 0;
+        vi.stubGlobal("fetch", async (url, init) => {
+            const id = new URL(url).pathname.match(/jobs\/([^/]+)\/complete$/)[1];
+            const res = await completeRoute.POST(new Request(url, init), { params: Promise.resolve({ id }) });
+            // The call landed but the daemon never hears back.
+            if (dropNext > 0) {
+                dropNext -= 1;
+                throw new TypeError("fetch failed");
+            }
+            return res;
+        });
+    });
+    afterEach(() => vi.unstubAllGlobals());
+
+    it("records a completion once when the daemon retries a lost response", async () => {
+        const client = createNodeClient({ url: "http://127.0.0.1", ...keys, retryDelaysMs: [0, 0] });
+        dropNext = 2;
+        const row = await client.completeJob("job-1", { status: "completed", result: { text: "hi" } });
+        expect(row).toEqual({ id: "job-1", status: "completed" });
+        expect(completions).toHaveLength(1);
+    });
+
+    it("gives up after the last retry", async () => {
+        const client = createNodeClient({ url: "http://127.0.0.1", ...keys, retryDelaysMs: [0] });
+        dropNext = 2;
+        await expect(client.failJob("job-2", "engine crashed")).rejects.toThrow("fetch failed");
+        expect(completions).toHaveLength(1);
+    });
+});
@@ -0,0 +1,254 @@
+import { mkdtempSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// The control-plane half runs against an in-memory database. An
+// `updateHook` runs once before the next update, to stage a race.
+const db = {};
+const outcomes = [];
+let updateHook = null;
+
+function matches(row, filters) {
+    return filters.every(([op, col, val]) => (op === "in" ? val.includes(row[col]) : row[col] === val));
+}
+
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        from(table) {
+            const rows = (db[table] ??= []);
+            const filters = [];
+            let patch = null;
+            let columns = null;
+            let limit = Infinity;
+            const run = () => {
+                if (patch && updateHook) {
+                    const hook = updateHook;
+                    updateHook = null;
+                    hook();
+                }
+                const hit = rows.filter((r) => matches(r, filters)).slice(0, limit);
+                if (patch) hit.forEach((r) => Object.assign(r, patch));
+                return hit.map((r) => (columns ? Object.fromEntries(columns.map((c) => [c, r[c]])) : { ...r }));
+            };
+            const chain = {
+                select: (cols = "*") => { columns = cols === "*" ? null : cols.split(",").map((c) => c.trim()); return chain; },
+                eq: (col, val) => { filters.push(["eq", col, val]); return chain; },
+                in: (col, val) => { filters.push(["in", col, val]); return chain; },
+                is: (col, val) => { filters.push(["eq", col, val]); return chain; },
+                or: () => chain,
+                order: () => chain,
+                limit: (n) => { limit = n; return chain; },
+                range: (from, to) => { limit = to - from + 1; return chain; },
+                update: (p) => { patch = p; return chain; },
+                insert: async (row) => { rows.push(...[row].flat().map((r) => ({ ...r }))); return { error: null }; },
+                maybeSingle: async () => ({ data: run()[0] ?? null, error: null }),
+                then: (onF, onR) => Promise.resolve({ data: run(), error: null }).then(onF, onR)
+            };
+            return chain;
+        }
+    })
+}));
+vi.mock("@/lib/data/provider-circuit", () => ({
+    circuitStates: async () => new Map(),
+    claimProbe: async () => true,
+    recordProviderOutcome: async (providerId, outcome) => { outcomes.push([providerId, outcome]); }
+}));
+vi.mock("@/lib/cpr/queue", () => ({ enqueueAndFlush: async () => {} }));
+
+// The executor builds its engine from the saved config + env; point both
+// at an empty config dir and the in-process stub backend.
+const configHome = mkdtempSync(path.join(os.tmpdir(), "infernet-cancel-"));
+const prevEnv = {
+    XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME,
+    INFERNET_ENGINE_BACKEND: process.env.INFERNET_ENGINE_BACKEND
+};
+let executeChatJob;
+let shutdownEngine;
+
+beforeAll(async () => {
+    process.env.XDG_CONFIG_HOME = configHome;
+    process.env.INFERNET_ENGINE_BACKEND = "stub";
+    ({ executeChatJob, shutdownEngine } = await import("../apps/cli/lib/chat-executor.js"));
+});
+
+afterAll(async () => {
+    await shutdownEngine();
+    for (const [k, v] of Object.entries(prevEnv)) {
+        if (v === undefined) delete process.env[k];
+        else process.env[k] = v;
+    }
+    rmSync(configHome, { recursive: true, force: true });
+});
+
+/** Records posted events; answers `{ cancel: true }` once cancelAfter events went out. */
+function fakeClient({ cancelAfter = Infinity } = {}) {
+    const events = [];
+    return {
+        events,
+        async postJobEvents(_jobId, batch) {
+            events.push(...batch);
+            const tokens = events.filter((e) => e.event_type === "token").length;
+            return { inserted: batch.length, ...(tokens >= cancelAfter ? { cancel: true } : {}) };
+        }
+    };
+}
+
+const job = {
+    id: "00000000-0000-4000-8000-000000000001",
+    type: "chat",
+    input_spec: { messages: [{ role: "user", content: "tell me a long story" }] }
+};
+const node = { nodeId: "node-1", name: "test" };
+
+describe("executeChatJob cancellation", () => {
+    it("stops when the control plane answers an event post with cancel", async () => {
+        const client = fakeClient({ cancelAfter: 1 });
+        const result = await executeChatJob({ client, job, node });
+
+        expect(result.cancelled).toBe(true);
+        const done = client.events.filter((e) => e.event_type === "done");
+        expect(done).toHaveLength(1);
+        expect(done[0].data.reason).toBe("cancel");
+
+        // Partial work only, and billed as such.
+        const tokens = client.events.filter((e) => e.event_type === "token");
+        expect(done[0].data.text).toBe(tokens.map((e) => e.data.text).join(""));
+        expect(result.text).not.toMatch(/actual inference\.$/);
+        expect(result.usage).toEqual({
+            prompt_tokens: 0,
+            completion_tokens: tokens.length,
+            total_tokens: tokens.length,
+            estimated: true
+        });
+        expect(result.token_count).toBe(tokens.length);
+    });
+
+    it("stops when the daemon aborts the job's signal", async () => {
+        const client = fakeClient();
+        const abort = new AbortController();
+        setTimeout(() => abort.abort(), 200);
+        const result = await executeChatJob({ client, job, node, signal: abort.signal });
+
+        expect(result.cancelled).toBe(true);
+        expect(client.events.at(-1)).toMatchObject({ event_type: "done", data: { reason: "cancel" } });
+    });
+
+    it("cancels right away when the signal is already aborted", async () => {
+        const client = fakeClient();
+        const abort = new AbortController();
+        abort.abort();
+        const result = await executeChatJob({ client, job, node, signal: abort.signal });
+
+        expect(result.cancelled).toBe(true);
+        // The stub emits its first chunk synchronously from generate().
+        const tokens = client.events.filter((e) => e.event_type === "token");
+        expect(tokens.length).toBeLessThanOrEqual(1);
+        expect(result.text).toBe(tokens.map((e) => e.data.text).join(""));
+        expect(client.events.at(-1).data.reason).toBe("cancel");
+    });
+});
+
+const PUBKEY = "a".repeat(64);
+const JOB_ID = "00000000-0000-4000-8000-0000000000c1";
+
+function seed(...jobs) {
+    for (const k of Object.keys(db)) delete db[k];
+    outcomes.length = 0;
+    updateHook = null;
+    db.providers = [{ id: "prov-1", public_key: PUBKEY }];
+    db.jobs = jobs.map((j) => ({
+        id: JOB_ID,
+        type: "chat",
+        provider_id: "prov-1",
+        payment_offer: "0.25",
+        payment_coin: "USDC",
+        model_name: "m",
+        assigned_at: "2026-05-10T12:00:00Z",
+        input_spec: {},
+        api_key_id: null,
+        ...j
+    }));
+    db.job_events = [];
+    db.payment_transactions = [];
+}
+
+describe("cancelChatJob", () => {
+    let cancelChatJob;
+    beforeAll(async () => {
+        ({ cancelChatJob } = await import("@/lib/data/chat"));
+    });
+
+    it("closes a pending job outright and asks a held one to stop", async () => {
+        seed({ status: "pending", provider_id: null });
+        expect(await cancelChatJob(JOB_ID)).toEqual({ id: JOB_ID, status: "cancelled", cancelled: true });
+        expect(db.job_events).toMatchObject([{ event_type: "done", data: { reason: "cancel" } }]);
+
+        seed({ status: "running" });
+        expect(await cancelChatJob(JOB_ID, { reason: "disconnect" })).toEqual({ id: JOB_ID, status: "cancelling", cancelled: true });
+        expect(db.jobs[0]).toMatchObject({ cancel_reason: "disconnect" });
+        expect(db.job_events).toEqual([]);
+
+        expect(await cancelChatJob(JOB_ID)).toEqual({ id: JOB_ID, status: "cancelling", cancelled: false });
+    });
+
+    it("re-reads and retries when the job moved between the read and the update", async () => {
+        seed({ status: "assigned" });
+        updateHook = () => { db.jobs[0].status = "running"; };
+        expect(await cancelChatJob(JOB_ID)).toEqual({ id: JOB_ID, status: "cancelling", cancelled: true });
+    });
+
+    it("leaves a completion that landed first alone", async () => {
+        seed({ status: "running" });
+        updateHook = () => { db.jobs[0].status = "completed"; };
+        expect(await cancelChatJob(JOB_ID)).toEqual({ id: JOB_ID, status: "completed", cancelled: false });
+        expect(db.jobs[0].cancel_requested_at).toBeUndefined();
+    });
+
+    it("only lets the job's own API key cancel it", async () => {
+        seed({ status: "running", api_key_id: "key-1" });
+        await expect(cancelChatJob(JOB_ID, { apiKeyId: "key-2" })).rejects.toMatchObject({ status: 403 });
+        await expect(cancelChatJob("not-a-uuid")).rejects.toMatchObject({ status: 404 });
+    });
+});
+
+describe("daemon side of a cancel", () => {
+    let completeJobForNode;
+    let emitJobEvents;
+    let pollJobsForNode;
+    beforeAll(async () => {
+        ({ completeJobForNode, emitJobEvents, pollJobsForNode } = await import("@/lib/data/node-api"));
+    });
+    beforeEach(() => seed({ status: "cancelling" }));
+
+    it("lists cancelling jobs beside the ones to start", async () => {
+        db.jobs.push(
+            { ...db.jobs[0], id: "job-new", status: "assigned" },
+            { ...db.jobs[0], id: "job-other", status: "cancelling", provider_id: "prov-2" }
+        );
+        const polled = await pollJobsForNode({ pubkey: PUBKEY });
+        expect(polled.jobs.map((j) => j.id)).toEqual(["job-new"]);
+        expect(polled.cancel).toEqual([JOB_ID]);
+    });
+
+    it("answers an event post with cancel once the client cancelled", async () => {
+        const events = [{ event_type: "token", data: { text: "hi" } }];
+        expect(await emitJobEvents({ pubkey: PUBKEY, jobId: JOB_ID, events })).toEqual({ inserted: 1, cancel: true });
+        db.jobs[0].status = "running";
+        expect(await emitJobEvents({ pubkey: PUBKEY, jobId: JOB_ID, events })).toEqual({ inserted: 1 });
+    });
+
+    it("closes a cancelling job as cancelled and pays for the partial result", async () => {
+        const body = { status: "completed", result: { text: "once upon", usage: { total_tokens: 3 } } };
+        expect(await completeJobForNode({ pubkey: PUBKEY, jobId: JOB_ID, body })).toEqual({ id: JOB_ID, status: "cancelled" });
+        expect(db.jobs[0]).toMatchObject({ status: "cancelled", result: body.result });
+        expect(db.payment_transactions).toMatchObject([{ job_id: JOB_ID, metadata: { cancelled: true } }]);
+        expect(outcomes).toEqual([["prov-1", { ok: true, reason: "cancelled" }]]);
+    });
+
+    it("pays nothing for a job cancelled before it produced anything", async () => {
+        expect(await completeJobForNode({ pubkey: PUBKEY, jobId: JOB_ID, body: { status: "cancelled" } }))
+            .toEqual({ id: JOB_ID, status: "cancelled" });
+        expect(db.payment_transactions).toEqual([]);
+    });
+});
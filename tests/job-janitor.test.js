@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { DIRECT_START_MS, janitorVerdict, MAX_REASSIGNS, NO_PROGRESS_MS, STALE_HEARTBEAT_MS } from "@/lib/data/job-janitor";
+
+const now = Date.parse("2026-05-04T12:00:00Z");
+const fresh = now - 10_000;
+const stale = now - STALE_HEARTBEAT_MS - 1;
+
+describe("janitorVerdict", () => {
+    it("leaves a healthy assigned job alone", () => {
+        const job = { status: "assigned", reassign_count: 0 };
+        expect(janitorVerdict(job, { providerLastSeen: fresh, lastActivityAt: fresh, now })).toBeNull();
+    });
+
+    it("reassigns when the provider stopped heartbeating", () => {
+        const job = { status: "assigned", reassign_count: 0 };
+        expect(janitorVerdict(job, { providerLastSeen: stale, lastActivityAt: fresh, now }))
+            .toEqual({ action: "reassign", reason: "provider_stale" });
+        // No providers row at all counts as stale.
+        expect(janitorVerdict(job, { providerLastSeen: null, lastActivityAt: fresh, now }))
+            .toEqual({ action: "reassign", reason: "provider_stale" });
+    });
+
+    it("reassigns a heartbeating provider that made no progress", () => {
+        const job = { status: "assigned", reassign_count: 1 };
+        expect(janitorVerdict(job, { providerLastSeen: fresh, lastActivityAt: now - NO_PROGRESS_MS - 1, now }))
+            .toEqual({ action: "reassign", reason: "no_progress" });
+    });
+
+    it("fails once the reassign budget is spent", () => {
+        const job = { status: "assigned", reassign_count: MAX_REASSIGNS };
+        expect(janitorVerdict(job, { providerLastSeen: stale, lastActivityAt: fresh, now }))
+            .toEqual({ action: "fail", reason: "exhausted_reassigns" });
+    });
+
+    it("keeps routing a handed-off pending job until the deadline", () => {
+        const job = { status: "pending", reassign_count: 1 };
+        expect(janitorVerdict(job, { providerLastSeen: null, lastActivityAt: fresh, now }))
+            .toEqual({ action: "reassign", reason: "awaiting_provider" });
+        expect(janitorVerdict(job, { providerLastSeen: null, lastActivityAt: now - NO_PROGRESS_MS - 1, now }))
+            .toEqual({ action: "fail", reason: "no_provider" });
+    });
+
+    it("closes a cancelling job only when its provider is gone", () => {
+        const job = { status: "cancelling", reassign_count: 0 };
+        expect(janitorVerdict(job, { providerLastSeen: fresh, lastActivityAt: fresh, now })).toBeNull();
+        expect(janitorVerdict(job, { providerLastSeen: stale, lastActivityAt: fresh, now }))
+            .toEqual({ action: "cancel", reason: "provider_stale" });
+    });
+
+    it("ignores jobs in any other state", () => {
+        for (const status of ["running", "completed", "failed", "cancelled"]) {
+            expect(janitorVerdict({ status }, { providerLastSeen: stale, lastActivityAt: 0, now })).toBeNull();
+        }
+    });
+});
+
+describe("janitorVerdict for direct jobs", () => {
+    const job = { status: "assigned", reassign_count: 0, input_spec: { transport: "direct" } };
+
+    it("never hands a direct job to someone else", () => {
+        expect(janitorVerdict(job, { providerLastSeen: stale, lastActivityAt: fresh, lastEventAt: fresh, now }))
+            .toEqual({ action: "fail", reason: "provider_stale" });
+        // A long generation posts nothing between meta and done.
+        expect(janitorVerdict(job, { providerLastSeen: fresh, lastActivityAt: now - NO_PROGRESS_MS - 1, lastEventAt: now - NO_PROGRESS_MS - 1, now }))
+            .toBeNull();
+    });
+
+    it("fails a job whose consumer never connected", () => {
+        expect(janitorVerdict(job, { providerLastSeen: fresh, lastActivityAt: now - DIRECT_START_MS - 1, lastEventAt: null, now }))
+            .toEqual({ action: "fail", reason: "ticket_unused" });
+    });
+});
+
+describe("janitorVerdict for pinned jobs", () => {
+    // A batch chunk whose submitter set options.provider_pubkey.
+    const job = { type: "batch", status: "assigned", reassign_count: 0, input_spec: { kind: "chat", pinned: true } };
+
+    it("fails a pinned chunk rather than handing it to another provider", () => {
+        expect(janitorVerdict(job, { providerLastSeen: stale, lastActivityAt: fresh, now }))
+            .toEqual({ action: "fail", reason: "provider_stale" });
+        expect(janitorVerdict(job, { providerLastSeen: fresh, lastActivityAt: now - NO_PROGRESS_MS - 1, now }))
+            .toEqual({ action: "fail", reason: "no_progress" });
+        expect(janitorVerdict(job, { providerLastSeen: fresh, lastActivityAt: fresh, now })).toBeNull();
+    });
+});
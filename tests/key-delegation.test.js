@@ -0,0 +1,265 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import {
+    AUTH_HEADER,
+    ENVELOPE_VERSION_V2,
+    RevocationList,
+    createDelegation,
+    generateKeyPair,
+    scopesAllow,
+    signRequest,
+    signRotation,
+    verifyDelegation,
+    verifyRotation,
+    verifySignedRequest
+} from "@infernetprotocol/auth";
+
+// rotate_node_pubkey and revoked_keys are the only database calls. The
+// rpc fake writes revoked_keys the way the SQL function does.
+const rpcCalls = [];
+let rpcResult = { data: [{ moved_providers: 1, moved_aggregators: 0, moved_clients: 0, moved_links: 2, moved_commands: 0 }], error: null };
+const revokedKeys = [];
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        rpc: async (name, args) => {
+            rpcCalls.push([name, args]);
+            const prior = revokedKeys.find((r) => r.pubkey === args.p_old && r.delegated_by === "");
+            if (prior) {
+                return prior.replaced_by === args.p_new
+                    ? { data: [{ moved_providers: 0, moved_aggregators: 0, moved_clients: 0, moved_links: 0, moved_commands: 0 }], error: null }
+                    : { data: null, error: { code: "22023", message: "key already revoked" } };
+            }
+            if (!rpcResult.error) revokedKeys.push({ pubkey: args.p_old, delegated_by: "", replaced_by: args.p_new });
+            return rpcResult;
+        },
+        from: () => {
+            const filters = {};
+            const chain = {
+                async upsert(row) {
+                    if (!revokedKeys.some((r) => r.pubkey === row.pubkey && r.delegated_by === row.delegated_by)) revokedKeys.push(row);
+                    return { error: null };
+                },
+                select: () => chain,
+                eq: (col, val) => { filters[col] = [val]; return chain; },
+                in: (col, vals) => { filters[col] = vals; return chain; },
+                limit: async () => ({
+                    data: revokedKeys.filter((r) => Object.entries(filters).every(([col, vals]) => vals.includes(r[col]))),
+                    error: null
+                })
+            };
+            return chain;
+        }
+    })
+}));
+vi.mock("@/lib/data/node-api", () => ({
+    heartbeatNode: async ({ pubkey }) => ({ pubkey }),
+    registerNode: async ({ pubkey }) => ({ pubkey })
+}));
+
+const rotateRoute = await import("@/app/api/v1/node/keys/rotate/route");
+const revokeRoute = await import("@/app/api/v1/node/keys/revoke/route");
+const heartbeatRoute = await import("@/app/api/v1/node/heartbeat/route");
+const registerRoute = await import("@/app/api/v1/node/register/route");
+const { createNodeClient } = await import("../apps/cli/lib/node-client.js");
+const { parseTtl } = await import("../apps/cli/commands/pubkey.js");
+
+const BASE = "http://127.0.0.1";
+const HEARTBEAT = "/api/v1/node/heartbeat";
+const REGISTER = "/api/v1/node/register";
+
+function routeFor(path) {
+    if (path === HEARTBEAT) return heartbeatRoute;
+    if (path === REGISTER) return registerRoute;
+    if (path === "/api/v1/node/keys/rotate") return rotateRoute;
+    return revokeRoute;
+}
+
+function signedPost(path, body, signing) {
+    const text = JSON.stringify(body);
+    const { header } = signRequest({ method: "POST", path, body: text, ...signing });
+    return routeFor(path).POST(new Request(BASE + path, { method: "POST", body: text, headers: { [AUTH_HEADER]: header } }));
+}
+
+describe("delegation certificates", () => {
+    const master = generateKeyPair();
+    const sub = generateKeyPair();
+
+    it("round-trips and covers only its scopes", () => {
+        const cert = createDelegation({ ...master, subkey: sub.publicKey, scopes: ["jobs", "heartbeat"] });
+        expect(verifyDelegation(cert)).toBe(cert);
+        expect(cert.scopes).toEqual(["heartbeat", "jobs"]);
+        expect(scopesAllow(cert.scopes, "/api/v1/node/jobs/abc/events")).toBe(true);
+        expect(scopesAllow(cert.scopes, "/api/v1/node/jobs//events")).toBe(false);
+        expect(scopesAllow(cert.scopes, "/api/v1/node/payouts/set")).toBe(false);
+        expect(scopesAllow(cert.scopes, "/api/v1/node/keys/rotate")).toBe(false);
+    });
+
+    it("rejects tampered, expired and unknown-scope certificates", () => {
+        const cert = createDelegation({ ...master, subkey: sub.publicKey, scopes: ["heartbeat"], ttlSeconds: 60 });
+        expect(() => verifyDelegation({ ...cert, scopes: ["heartbeat", "jobs"] })).toThrow("signature");
+        expect(() => verifyDelegation(cert, { now: Date.now() + 3600_000 })).toThrow("expired");
+        expect(() => createDelegation({ ...master, subkey: sub.publicKey, scopes: ["payouts"] })).toThrow("unknown scope");
+        expect(() => createDelegation({ ...master, subkey: master.publicKey, scopes: ["read"] })).toThrow("itself");
+    });
+
+    it("parses --ttl durations", () => {
+        expect(parseTtl("12h")).toBe(43200);
+        expect(parseTtl("7d")).toBe(604800);
+        expect(parseTtl("90")).toBe(90);
+        expect(() => parseTtl("soon")).toThrow("invalid --ttl");
+    });
+});
+
+describe("v2 envelope", () => {
+    const master = generateKeyPair();
+    const sub = generateKeyPair();
+    const cert = createDelegation({ ...master, subkey: sub.publicKey, scopes: ["heartbeat"] });
+    const body = "{}";
+    const sign = (path, extra) => signRequest({ method: "POST", path, body, ...sub, delegation: cert, ...extra }).header;
+
+    it("acts for the master within scope", () => {
+        const out = verifySignedRequest({ method: "POST", path: HEARTBEAT, body, headerValue: sign(HEARTBEAT) });
+        expect(out).toMatchObject({ ok: true, version: 2, pubkey: master.publicKey, signer: sub.publicKey });
+    });
+
+    it("refuses paths outside the scopes", () => {
+        const path = "/api/v1/node/payouts/set";
+        const out = verifySignedRequest({ method: "POST", path, body, headerValue: sign(path) });
+        expect(out.ok).toBe(false);
+        expect(out.error).toContain("may not call");
+    });
+
+    it("refuses a certificate for another subkey", () => {
+        const other = generateKeyPair();
+        const { header } = signRequest({ method: "POST", path: HEARTBEAT, body, ...other, version: ENVELOPE_VERSION_V2 });
+        const parsed = JSON.parse(Buffer.from(header, "base64").toString("utf8"));
+        const forged = Buffer.from(JSON.stringify({ ...parsed, delegation: cert })).toString("base64");
+        expect(verifySignedRequest({ method: "POST", path: HEARTBEAT, body, headerValue: forged }).ok).toBe(false);
+    });
+
+    it("doesn't accept a v1 signature relabelled v2", () => {
+        const { header } = signRequest({ method: "POST", path: HEARTBEAT, body, ...master });
+        const parsed = JSON.parse(Buffer.from(header, "base64").toString("utf8"));
+        const relabelled = Buffer.from(JSON.stringify({ ...parsed, v: 2 })).toString("base64");
+        expect(verifySignedRequest({ method: "POST", path: HEARTBEAT, body, headerValue: relabelled }).ok).toBe(false);
+    });
+});
+
+describe("rotation", () => {
+    it("binds the new key to the old one", () => {
+        const old = generateKeyPair();
+        const next = generateKeyPair();
+        const stmt = signRotation({ oldPublicKey: old.publicKey, ...next });
+        expect(verifyRotation(stmt, { oldPublicKey: old.publicKey })).toBe(next.publicKey);
+        expect(() => verifyRotation(stmt, { oldPublicKey: generateKeyPair().publicKey })).toThrow("signature");
+        expect(() => verifyRotation(stmt, { oldPublicKey: old.publicKey, now: Date.now() + 3600_000 })).toThrow("window");
+    });
+
+    it("keeps outright revocations apart from per-master ones", () => {
+        const list = new RevocationList();
+        list.revoke("a".repeat(64), { delegatedBy: "b".repeat(64) });
+        expect(list.isRevoked("a".repeat(64))).toBe(false);
+        expect(list.isRevoked("a".repeat(64), { delegatedBy: "b".repeat(64) })).toBe(true);
+        expect(list.isRevoked("a".repeat(64), { delegatedBy: "c".repeat(64) })).toBe(false);
+        list.revoke("a".repeat(64));
+        expect(list.isRevoked("a".repeat(64), { delegatedBy: "c".repeat(64) })).toBe(true);
+    });
+});
+
+describe("key routes", () => {
+    beforeEach(() => {
+        rpcCalls.length = 0;
+        vi.stubGlobal("fetch", async (url, init) => routeFor(new URL(url).pathname).POST(new Request(url, init)));
+    });
+    afterEach(() => vi.unstubAllGlobals());
+
+    it("rotates, then refuses the old key and its subkeys", async () => {
+        const old = generateKeyPair();
+        const next = generateKeyPair();
+        const sub = generateKeyPair();
+        const cert = createDelegation({ ...old, subkey: sub.publicKey, scopes: ["heartbeat"] });
+        const viaSub = createNodeClient({ url: BASE, ...sub, role: "provider", delegation: cert });
+        expect(await viaSub.heartbeat({ status: "available" })).toEqual({ pubkey: old.publicKey });
+
+        const res = await signedPost("/api/v1/node/keys/rotate", signRotation({ oldPublicKey: old.publicKey, ...next }), old);
+        expect(res.status).toBe(200);
+        const { data } = await res.json();
+        expect(data.moved).toMatchObject({ providers: 1, pubkey_links: 2 });
+        expect(rpcCalls).toEqual([["rotate_node_pubkey", { p_old: old.publicKey, p_new: next.publicKey }]]);
+
+        const again = await signedPost(HEARTBEAT, { role: "provider" }, old);
+        expect(again.status).toBe(401);
+        expect((await again.json()).error).toBe("key revoked");
+        await expect(viaSub.heartbeat({ status: "available" })).rejects.toThrow("key revoked");
+        expect((await signedPost(HEARTBEAT, { role: "provider" }, next)).status).toBe(200);
+    });
+
+    it("answers a repeat of a rotation that landed, signed by the revoked key", async () => {
+        const old = generateKeyPair();
+        const next = generateKeyPair();
+        const statement = signRotation({ oldPublicKey: old.publicKey, ...next });
+        expect((await signedPost("/api/v1/node/keys/rotate", statement, old)).status).toBe(200);
+
+        const retry = await signedPost("/api/v1/node/keys/rotate", statement, old);
+        expect(retry.status).toBe(200);
+        expect((await retry.json()).data).toMatchObject({ new_pubkey: next.publicKey, moved: { providers: 0, pubkey_links: 0 } });
+
+        const elsewhere = await signedPost("/api/v1/node/keys/rotate", signRotation({ oldPublicKey: old.publicKey, ...generateKeyPair() }), old);
+        expect(elsewhere.status).toBe(409);
+        expect((await signedPost(HEARTBEAT, { role: "provider" }, old)).status).toBe(401);
+    });
+
+    it("keeps refusing a rotated-away key at /register and after a restart", async () => {
+        const old = generateKeyPair();
+        const next = generateKeyPair();
+        expect((await signedPost("/api/v1/node/keys/rotate", signRotation({ oldPublicKey: old.publicKey, ...next }), old)).status).toBe(200);
+
+        const register = await signedPost(REGISTER, { role: "provider" }, old);
+        expect(register.status).toBe(401);
+        expect((await register.json()).error).toBe("key revoked");
+
+        // A fresh instance has no memory of the rotation; revoked_keys does.
+        vi.resetModules();
+        const fresh = await import("@/app/api/v1/node/register/route");
+        const text = JSON.stringify({ role: "provider" });
+        const { header } = signRequest({ method: "POST", path: REGISTER, body: text, ...old });
+        const res = await fresh.POST(new Request(BASE + REGISTER, { method: "POST", body: text, headers: { [AUTH_HEADER]: header } }));
+        expect(res.status).toBe(401);
+    });
+
+    it("maps a key already in use to 409", async () => {
+        rpcResult = { data: null, error: { code: "23505", message: "duplicate" } };
+        const old = generateKeyPair();
+        const res = await signedPost("/api/v1/node/keys/rotate", signRotation({ oldPublicKey: old.publicKey, ...generateKeyPair() }), old);
+        expect(res.status).toBe(409);
+        rpcResult = { data: [{}], error: null };
+    });
+
+    it("won't let a subkey manage keys", async () => {
+        const master = generateKeyPair();
+        const sub = generateKeyPair();
+        const cert = createDelegation({ ...master, subkey: sub.publicKey, scopes: ["heartbeat", "jobs", "read"] });
+        const res = await signedPost("/api/v1/node/keys/rotate", signRotation({ oldPublicKey: master.publicKey, ...generateKeyPair() }), { ...sub, delegation: cert });
+        expect(res.status).toBe(401);
+        expect(rpcCalls).toEqual([]);
+    });
+
+    it("revokes only the issuing master's delegation", async () => {
+        const master = generateKeyPair();
+        const sub = generateKeyPair();
+        const cert = createDelegation({ ...master, subkey: sub.publicKey, scopes: ["heartbeat"] });
+
+        const stranger = generateKeyPair();
+        const denied = await signedPost("/api/v1/node/keys/revoke", { delegation: cert }, { ...stranger, version: ENVELOPE_VERSION_V2 });
+        expect(denied.status).toBe(403);
+
+        const ok = await signedPost("/api/v1/node/keys/revoke", { delegation: cert }, { ...master, version: ENVELOPE_VERSION_V2 });
+        expect(ok.status).toBe(200);
+
+        const res = await signedPost(HEARTBEAT, { role: "provider" }, { ...sub, delegation: cert });
+        expect(res.status).toBe(401);
+        expect((await res.json()).error).toBe("delegated key revoked");
+        // The subkey itself isn't revoked — only this master's certificate.
+        expect((await signedPost(HEARTBEAT, { role: "provider" }, sub)).status).toBe(200);
+    });
+});
@@ -119,4 +119,94 @@ describe("llama.cpp / llama-swap backend", () => {
         expect(events[0].type).toBe(MSG.ERROR);
         expect(events[0].message).toMatch(/HTTP 500/);
     });
+
+    it("requests include_usage and carries the usage frame onto done", async () => {
+        let captured = null;
+        const lines = [
+            'data: {"model":"m","choices":[{"delta":{"content":"ok"}}]}',
+            'data: {"model":"m","choices":[{"delta":{},"finish_reason":"stop"}]}',
+            'data: {"model":"m","choices":[],"usage":{"prompt_tokens":12,"completion_tokens":1,"total_tokens":13}}',
+            "data: [DONE]"
+        ];
+        const fetchImpl = async (_url, init) => {
+            captured = JSON.parse(init.body);
+            return fakeStreamingFetch(lines)();
+        };
+        const engine = await createLlamacppBackend({ skipProbe: true, defaultModel: "m", fetchImpl });
+        const gen = engine.generate({ messages: [{ role: "user", content: "hi" }] });
+        const events = await drain(gen.stream);
+
+        expect(captured.stream_options).toEqual({ include_usage: true });
+        const last = events[events.length - 1];
+        expect(last.type).toBe(MSG.DONE);
+        expect(last.text).toBe("ok");
+        expect(last.usage).toEqual({ prompt_tokens: 12, completion_tokens: 1, total_tokens: 13 });
+    });
+
+    it("omits usage when the server never sends a usage frame", async () => {
+        const engine = await createLlamacppBackend({
+            skipProbe: true,
+            defaultModel: "m",
+            fetchImpl: fakeStreamingFetch([
+                'data: {"model":"m","choices":[{"delta":{"content":"ok"}}]}',
+                "data: [DONE]"
+            ])
+        });
+        const gen = engine.generate({ messages: [{ role: "user", content: "hi" }] });
+        const events = await drain(gen.stream);
+        expect(events[events.length - 1].usage).toBeUndefined();
+    });
+
+    it("embed() hits /v1/embeddings and rejects on HTTP errors", async () => {
+        let path = null;
+        const ok = await createLlamacppBackend({
+            skipProbe: true,
+            defaultModel: "nomic-embed",
+            fetchImpl: async (url) => {
+                path = new URL(url).pathname;
+                return {
+                    ok: true,
+                    status: 200,
+                    async json() { return { data: [{ index: 0, embedding: [1, 2, 3] }] }; }
+                };
+            }
+        });
+        const out = await ok.embed({ input: "hello" });
+        expect(path).toBe("/v1/embeddings");
+        expect(out.model).toBe("nomic-embed");
+        expect(out.embeddings).toEqual([[1, 2, 3]]);
+        expect(out.usage).toBeNull();
+
+        const failing = await createLlamacppBackend({
+            skipProbe: true,
+            defaultModel: "nomic-embed",
+            fetchImpl: async () => ({ ok: false, status: 501, async text() { return "embeddings not enabled"; } })
+        });
+        await expect(failing.embed({ input: ["x"] })).rejects.toThrow(/llamacpp HTTP 501/);
+    });
+
+    it("turns response_format into a json_schema grammar", async () => {
+        const bodies = [];
+        const engine = await createLlamacppBackend({
+            skipProbe: true,
+            defaultModel: "m",
+            fetchImpl: async (_url, init) => {
+                bodies.push(JSON.parse(init.body));
+                return fakeStreamingFetch(["data: [DONE]"])();
+            }
+        });
+        const schema = { type: "object", required: ["name"] };
+        await drain(engine.generate({
+            messages: [{ role: "user", content: "x" }],
+            response_format: { type: "json_schema", json_schema: { name: "person", schema } }
+        }).stream);
+        await drain(engine.generate({
+            messages: [{ role: "user", content: "x" }],
+            seed: 3,
+            response_format: { type: "json_object" }
+        }).stream);
+
+        expect(bodies[0].json_schema).toEqual(schema);
+        expect(bodies[1]).toMatchObject({ seed: 3, json_schema: { type: "object" } });
+    });
 });
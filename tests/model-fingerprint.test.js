@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+    gatherModelDigests,
+    ggufFingerprint,
+    ggufHeaderLength,
+    ollamaFingerprint,
+    safetensorsFingerprint
+} from "../apps/cli/lib/model-fingerprint.js";
+
+const u32 = (n) => { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; };
+const u64 = (n) => { const b = Buffer.alloc(8); b.writeBigUInt64LE(BigInt(n)); return b; };
+const str = (s) => Buffer.concat([u64(Buffer.byteLength(s)), Buffer.from(s)]);
+
+// A GGUF v3 header: a few metadata values (string, u32, string array,
+// u32 array) and two tensor infos, followed by `data` as tensor bytes.
+function gguf({ arch = "llama", data = Buffer.alloc(64, 1) } = {}) {
+    const kv = [
+        Buffer.concat([str("general.architecture"), u32(8), str(arch)]),
+        Buffer.concat([str("llama.block_count"), u32(4), u32(32)]),
+        Buffer.concat([str("tokenizer.ggml.tokens"), u32(9), u32(8), u64(3), str("<s>"), str("</s>"), str("hi")]),
+        Buffer.concat([str("tokenizer.ggml.token_type"), u32(9), u32(4), u64(3), u32(1), u32(1), u32(1)])
+    ];
+    const tensors = [
+        Buffer.concat([str("token_embd.weight"), u32(2), u64(4), u64(4), u32(0), u64(0)]),
+        Buffer.concat([str("output.weight"), u32(1), u64(4), u32(0), u64(32)])
+    ];
+    const header = Buffer.concat([Buffer.from("GGUF"), u32(3), u64(tensors.length), u64(kv.length), ...kv, ...tensors]);
+    return { header, file: Buffer.concat([header, data]) };
+}
+
+function safetensors(header, data = Buffer.alloc(16, 2)) {
+    const json = Buffer.from(JSON.stringify(header));
+    return Buffer.concat([u64(json.length), json, data]);
+}
+
+let dir;
+beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "infernet-fingerprint-test-"));
+});
+afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+describe("ollamaFingerprint", () => {
+    it("normalizes the /api/tags digest", () => {
+        const hex = "ab".repeat(32);
+        expect(ollamaFingerprint(hex)).toBe(`sha256:${hex}`);
+        expect(ollamaFingerprint(`sha256:${hex.toUpperCase()}`)).toBe(`sha256:${hex}`);
+        expect(ollamaFingerprint("abc")).toBeNull();
+        expect(ollamaFingerprint(undefined)).toBeNull();
+    });
+});
+
+describe("ggufFingerprint", () => {
+    it("hashes exactly the header", async () => {
+        const { header, file } = gguf();
+        writeFileSync(join(dir, "m.gguf"), file);
+        expect(await ggufHeaderLength(join(dir, "m.gguf"))).toBe(header.length);
+    });
+
+    it("changes with the metadata, not with the tensor bytes", async () => {
+        writeFileSync(join(dir, "a.gguf"), gguf().file);
+        writeFileSync(join(dir, "b.gguf"), gguf({ data: Buffer.alloc(64, 7) }).file);
+        writeFileSync(join(dir, "c.gguf"), gguf({ arch: "qwen2" }).file);
+        const a = await ggufFingerprint(join(dir, "a.gguf"));
+        expect(a).toMatch(/^sha256:[0-9a-f]{64}$/);
+        expect(await ggufFingerprint(join(dir, "b.gguf"))).toBe(a);
+        expect(await ggufFingerprint(join(dir, "c.gguf"))).not.toBe(a);
+    });
+
+    it("refuses files that aren't GGUF or are cut short", async () => {
+        writeFileSync(join(dir, "x.bin"), Buffer.alloc(64));
+        await expect(ggufFingerprint(join(dir, "x.bin"))).rejects.toThrow(/not a GGUF file/);
+        writeFileSync(join(dir, "short.gguf"), gguf().header.subarray(0, 60));
+        await expect(ggufFingerprint(join(dir, "short.gguf"))).rejects.toThrow(/truncated/);
+    });
+});
+
+describe("safetensorsFingerprint", () => {
+    const shardHeader = (dtype) => ({ "w.weight": { dtype, shape: [2, 2], data_offsets: [0, 16] } });
+
+    it("covers config.json and every shard header listed in the index", async () => {
+        const snapshot = join(dir, "snap");
+        mkdirSync(snapshot);
+        writeFileSync(join(snapshot, "config.json"), JSON.stringify({ model_type: "llama" }));
+        writeFileSync(join(snapshot, "model.safetensors.index.json"), JSON.stringify({
+            weight_map: { "a.weight": "model-00002-of-00002.safetensors", "b.weight": "model-00001-of-00002.safetensors" }
+        }));
+        writeFileSync(join(snapshot, "model-00001-of-00002.safetensors"), safetensors(shardHeader("F32")));
+        writeFileSync(join(snapshot, "model-00002-of-00002.safetensors"), safetensors(shardHeader("F32")));
+        const first = await safetensorsFingerprint(snapshot);
+
+        writeFileSync(join(snapshot, "model-00002-of-00002.safetensors"), safetensors(shardHeader("F32"), Buffer.alloc(16, 9)));
+        expect(await safetensorsFingerprint(snapshot)).toBe(first);
+
+        writeFileSync(join(snapshot, "model-00002-of-00002.safetensors"), safetensors(shardHeader("BF16")));
+        expect(await safetensorsFingerprint(snapshot)).not.toBe(first);
+    });
+
+    it("falls back to the directory listing without an index", async () => {
+        writeFileSync(join(dir, "model.safetensors"), safetensors(shardHeader("F16")));
+        expect(await safetensorsFingerprint(dir)).toMatch(/^sha256:[0-9a-f]{64}$/);
+        const empty = join(dir, "empty");
+        mkdirSync(empty);
+        await expect(safetensorsFingerprint(empty)).rejects.toThrow(/no \.safetensors files/);
+    });
+});
+
+describe("gatherModelDigests", () => {
+    const hex = "cd".repeat(32);
+
+    it("prefers configured paths over Ollama and skips what it can't fingerprint", async () => {
+        writeFileSync(join(dir, "m.gguf"), gguf().file);
+        const warnings = [];
+        const out = await gatherModelDigests({
+            names: ["llama3.1:8b", "qwen2.5:7b", "broken:1b", "nothing:1b"],
+            ollamaModels: [{ name: "llama3.1:8b", digest: hex }, { name: "qwen2.5:7b", digest: hex }, { name: "broken:1b", digest: null }],
+            modelPaths: { "llama3.1:8b": join(dir, "m.gguf"), "broken:1b": join(dir, "missing.gguf") },
+            warn: (msg) => warnings.push(msg)
+        });
+        expect(out["llama3.1:8b"]).toBe(await ggufFingerprint(join(dir, "m.gguf")));
+        expect(out["qwen2.5:7b"]).toBe(`sha256:${hex}`);
+        expect(Object.keys(out).sort()).toEqual(["llama3.1:8b", "qwen2.5:7b"]);
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toMatch(/broken:1b/);
+    });
+});
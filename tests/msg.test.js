@@ -0,0 +1,298 @@
+import { createCipheriv, createHmac } from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import {
+    generateKeyPair,
+    nip44ConversationKey,
+    nip44Decrypt,
+    nip44Encrypt,
+    signNostrEvent,
+    verifyNostrEvent
+} from "@infernetprotocol/auth";
+import {
+    DEFAULT_ROOMS,
+    buildDirectMessage,
+    buildRoomMessage,
+    fetchMessages,
+    getMessagesPath,
+    loadRooms,
+    messageFilters,
+    normalizeRoom,
+    publishMessage,
+    readMessage,
+    readStoredMessages,
+    saveRooms,
+    storeEvents,
+    subscribeMessages
+} from "../apps/cli/lib/messages.js";
+import { parseSince } from "../apps/cli/commands/msg.js";
+
+const NOW = 1_777_400_123_000;
+const alice = generateKeyPair();
+const bob = generateKeyPair();
+const carol = generateKeyPair();
+const hex = (bytes) => Buffer.from(bytes).toString("hex");
+
+/**
+ * In-process NIP-01 relay: stores events, answers REQ (kinds, authors,
+ * #tag and since filters) with stored matches then EOSE, fans new
+ * events out to open subscriptions. drop() closes every connection
+ * from the relay's side.
+ */
+function memoryRelay() {
+    const events = [];
+    const sockets = new Set();
+    const matches = (f, e) => (!f.kinds || f.kinds.includes(e.kind))
+        && (!f.authors || f.authors.includes(e.pubkey))
+        && (f.since === undefined || e.created_at >= f.since)
+        && Object.entries(f).every(([k, v]) => !k.startsWith("#") || e.tags.some((t) => t[0] === k.slice(1) && v.includes(t[1])));
+
+    class WebSocket {
+        constructor() {
+            this.listeners = {};
+            this.subs = new Map();
+            setTimeout(() => {
+                sockets.add(this);
+                this.emit("open", {});
+            }, 0);
+        }
+        addEventListener(type, fn) {
+            (this.listeners[type] ??= []).push(fn);
+        }
+        emit(type, ev) {
+            for (const fn of this.listeners[type] ?? []) fn(ev);
+        }
+        reply(msg) {
+            setTimeout(() => this.emit("message", { data: JSON.stringify(msg) }), 0);
+        }
+        send(raw) {
+            const [type, ...rest] = JSON.parse(raw);
+            if (type === "EVENT") {
+                const [event] = rest;
+                const ok = verifyNostrEvent(event);
+                if (ok && !events.some((e) => e.id === event.id)) {
+                    events.push(event);
+                    for (const s of sockets) {
+                        for (const [id, filters] of s.subs) if (filters.some((f) => matches(f, event))) s.reply(["EVENT", id, event]);
+                    }
+                }
+                this.reply(["OK", event.id, ok, ok ? "" : "invalid: bad signature"]);
+            } else if (type === "REQ") {
+                const [id, ...filters] = rest;
+                this.subs.set(id, filters);
+                for (const e of events) if (filters.some((f) => matches(f, e))) this.reply(["EVENT", id, e]);
+                this.reply(["EOSE", id]);
+            } else if (type === "CLOSE") {
+                this.subs.delete(rest[0]);
+            }
+        }
+        close() {
+            if (!sockets.delete(this)) return;
+            setTimeout(() => this.emit("close", {}), 0);
+        }
+    }
+
+    return {
+        WebSocket,
+        events,
+        drop: () => { for (const s of [...sockets]) s.close(); }
+    };
+}
+
+describe("nip44", () => {
+    it("matches the NIP-44 v2 reference vectors", () => {
+        const sec1 = "0000000000000000000000000000000000000000000000000000000000000001";
+        const pub2 = "c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5";
+        const convKey = nip44ConversationKey(sec1, pub2);
+        expect(hex(convKey)).toBe("c41c775356fd92eadc63ff5a0dc1da211b268cbea22316767095b2871ea1412d");
+        const nonce = new Uint8Array(32);
+        nonce[31] = 1;
+        const payload = nip44Encrypt("a", convKey, nonce);
+        expect(payload).toBe("AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABee0G5VSK0/9YypIObAtDKfYEAjD35uVkHyB0F4DwrcNaCXlCWZKaArsGrY6M9wnuTMxWfp1RTN9Xga8no+kF5Vsb");
+        expect(nip44Decrypt(payload, convKey)).toBe("a");
+    });
+
+    it("encrypts a multi-block message as an independent implementation would", () => {
+        // 1000 bytes pad to 1026: seventeen ChaCha20 blocks.
+        const plaintext = Array.from({ length: 1000 }, (_, i) => "abcdefghij"[i % 10]).join("");
+        const convKey = nip44ConversationKey(alice.privateKey, bob.publicKey);
+        const nonce = new Uint8Array(32).fill(7);
+
+        // HKDF-expand, the padding and ChaCha20 again, on node:crypto.
+        const hmacSha256 = (key, ...parts) => parts.reduce((h, p) => h.update(p), createHmac("sha256", key)).digest();
+        let block = Buffer.alloc(0);
+        const okm = [];
+        for (let i = 1; i <= 3; i += 1) okm.push(block = hmacSha256(convKey, block, nonce, Buffer.from([i])));
+        const keys = Buffer.concat(okm);
+        const padded = Buffer.alloc(2 + 1024);
+        padded.writeUInt16BE(1000, 0);
+        padded.write(plaintext, 2);
+        const iv = Buffer.concat([Buffer.alloc(4), keys.subarray(32, 44)]);
+        const ciphertext = createCipheriv("chacha20", keys.subarray(0, 32), iv).update(padded);
+        const mac = hmacSha256(keys.subarray(44, 76), nonce, ciphertext);
+        const expected = Buffer.concat([Buffer.from([2]), nonce, ciphertext, mac]).toString("base64");
+
+        expect(nip44Encrypt(plaintext, convKey, nonce)).toBe(expected);
+        expect(nip44Decrypt(expected, convKey)).toBe(plaintext);
+    });
+
+    it("derives the same key on both sides and rejects tampered payloads", () => {
+        const ab = nip44ConversationKey(alice.privateKey, bob.publicKey);
+        expect(hex(nip44ConversationKey(bob.privateKey, alice.publicKey))).toBe(hex(ab));
+        const payload = nip44Encrypt("maintenance at 02:00 UTC ✓", ab);
+        expect(nip44Decrypt(payload, ab)).toBe("maintenance at 02:00 UTC ✓");
+        const flipped = payload.slice(0, 60) + (payload[60] === "A" ? "B" : "A") + payload.slice(61);
+        expect(() => nip44Decrypt(flipped, ab)).toThrow("invalid MAC");
+        expect(() => nip44Decrypt(payload, nip44ConversationKey(carol.privateKey, alice.publicKey))).toThrow("invalid MAC");
+    });
+});
+
+describe("message events", () => {
+    it("DMs are readable by sender and recipient only", () => {
+        const event = buildDirectMessage({ to: bob.publicKey, text: "you up?", identity: alice, now: NOW });
+        expect(event.kind).toBe(14);
+        expect(event.content).not.toContain("you up?");
+        expect(event.tags).toContainEqual(["client", "infernet:talk:v1"]);
+        expect(readMessage(event, bob)).toMatchObject({ kind: "dm", from: alice.publicKey, to: bob.publicKey, text: "you up?", outgoing: false });
+        expect(readMessage(event, alice)).toMatchObject({ text: "you up?", outgoing: true });
+        expect(readMessage(event, carol)).toBeNull();
+        expect(readMessage({ ...event, content: buildDirectMessage({ to: bob.publicKey, text: "x", identity: alice }).content }, bob)).toBeNull();
+    });
+
+    it("marks DMs from other Nostr clients, and drops them in strict mode", () => {
+        const foreign = signNostrEvent({
+            kind: 14,
+            tags: [["p", bob.publicKey]],
+            content: nip44Encrypt("gm", nip44ConversationKey(carol.privateKey, bob.publicKey)),
+            created_at: NOW / 1000
+        }, carol);
+        expect(readMessage(foreign, bob)).toMatchObject({ text: "gm", foreign: true });
+        expect(readMessage(foreign, bob, { strict: true })).toBeNull();
+        const future = signNostrEvent({ ...foreign, tags: [["p", bob.publicKey], ["client", "infernet:talk:v2"]] }, carol);
+        expect(readMessage(future, bob)).toBeNull();
+    });
+
+    it("rooms need the infernet topic and client tags", () => {
+        const post = buildRoomMessage({ room: "#General", text: `ping ${bob.publicKey}`, identity: alice, now: NOW });
+        expect(post.tags).toContainEqual(["t", "infernet:general"]);
+        expect(post.tags).toContainEqual(["p", bob.publicKey]);
+        expect(readMessage(post, carol)).toMatchObject({ kind: "room", room: "general", from: alice.publicKey });
+        const plain = signNostrEvent({ kind: 1, tags: [["t", "general"], ["client", "infernet:room:v1"]], content: "hi", created_at: NOW / 1000 }, carol);
+        expect(readMessage(plain, alice)).toBeNull();
+        const untagged = signNostrEvent({ kind: 1, tags: [["t", "infernet:general"]], content: "hi", created_at: NOW / 1000 }, carol);
+        expect(readMessage(untagged, alice)).toBeNull();
+        expect(() => normalizeRoom("no spaces")).toThrow("invalid room name");
+    });
+
+    it("parses --since windows", () => {
+        expect(parseSince("2h", 0, NOW)).toBe(NOW / 1000 - 7200);
+        expect(parseSince(undefined, 60, NOW)).toBe(NOW / 1000 - 60);
+        expect(parseSince("1700000000", 0, NOW)).toBe(1700000000);
+        expect(() => parseSince("yesterday", 0, NOW)).toThrow("invalid --since");
+    });
+});
+
+describe("relay delivery", () => {
+    const open = [];
+    afterEach(() => {
+        for (const s of open.splice(0)) s.close();
+    });
+
+    it("a DM sent to two relays reaches the recipient once; other rooms stay out", async () => {
+        const a = memoryRelay();
+        const b = memoryRelay();
+        const relays = ["wss://a.test", "wss://b.test"];
+        class WebSocket {
+            constructor(url) {
+                return url === relays[0] ? new a.WebSocket() : new b.WebSocket();
+            }
+        }
+        const since = NOW / 1000 - 60;
+        const dm = buildDirectMessage({ to: bob.publicKey, text: "hello", identity: alice, now: NOW });
+        expect(await publishMessage(dm, { relays, WebSocketImpl: WebSocket })).toEqual({ accepted: 2, relays: 2 });
+        await publishMessage(buildRoomMessage({ room: "general", text: "sup", identity: alice, now: NOW }), { relays, WebSocketImpl: WebSocket });
+        await publishMessage(buildRoomMessage({ room: "dev", text: "rfc", identity: alice, now: NOW }), { relays, WebSocketImpl: WebSocket });
+
+        const forBob = await fetchMessages({ relays, filters: messageFilters(bob.publicKey, ["general"], since), WebSocketImpl: WebSocket });
+        const read = forBob.map((e) => readMessage(e, bob)).filter(Boolean);
+        expect(read.map((m) => m.text).sort()).toEqual(["hello", "sup"]);
+
+        const forCarol = await fetchMessages({ relays, filters: messageFilters(carol.publicKey, ["dev"], since), WebSocketImpl: WebSocket });
+        expect(forCarol.map((e) => readMessage(e, carol)?.text)).toEqual(["rfc"]);
+    });
+
+    it("counts a send as delivered when one relay is down", async () => {
+        const a = memoryRelay();
+        class WebSocket {
+            constructor(url) {
+                if (url !== "wss://a.test") throw new Error("unreachable");
+                return new a.WebSocket();
+            }
+        }
+        const dm = buildDirectMessage({ to: bob.publicKey, text: "hello", identity: alice, now: NOW });
+        expect(await publishMessage(dm, { relays: ["wss://a.test", "wss://down.test"], WebSocketImpl: WebSocket }))
+            .toEqual({ accepted: 1, relays: 2 });
+    });
+
+    it("live subscriptions reconnect after the relay drops them", async () => {
+        const relay = memoryRelay();
+        const got = [];
+        const sub = subscribeMessages({
+            relays: ["wss://a.test"],
+            filters: (s) => messageFilters(bob.publicKey, [], s),
+            since: NOW / 1000 - 60,
+            onEvent: (e) => got.push(readMessage(e, bob).text),
+            WebSocketImpl: relay.WebSocket
+        });
+        open.push(sub);
+        const send = (text, now) => publishMessage(
+            buildDirectMessage({ to: bob.publicKey, text, identity: alice, now }),
+            { relays: ["wss://a.test"], WebSocketImpl: relay.WebSocket }
+        );
+        await send("one", NOW);
+        await vi.waitFor(() => expect(got).toEqual(["one"]));
+        relay.drop();
+        await send("two", NOW + 1000);
+        await vi.waitFor(() => expect(got).toEqual(["one", "two"]), { timeout: 3000 });
+    });
+});
+
+describe("local state", () => {
+    let dir;
+    const prev = process.env.XDG_CONFIG_HOME;
+    beforeAll(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "infernet-msg-"));
+        process.env.XDG_CONFIG_HOME = dir;
+    });
+    afterAll(async () => {
+        if (prev === undefined) delete process.env.XDG_CONFIG_HOME;
+        else process.env.XDG_CONFIG_HOME = prev;
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it("seeds the default rooms once and remembers leaving one", async () => {
+        expect(await loadRooms()).toEqual(DEFAULT_ROOMS);
+        await saveRooms(["general", "dev"]);
+        expect(await loadRooms()).toEqual(["general", "dev"]);
+    });
+
+    it("stores raw events once, keeps DMs encrypted on disk, and filters blocked senders", async () => {
+        const dm = buildDirectMessage({ to: bob.publicKey, text: "secret plan", identity: alice, now: NOW });
+        const spam = buildDirectMessage({ to: bob.publicKey, text: "buy now", identity: carol, now: NOW + 1000 });
+        const post = buildRoomMessage({ room: "general", text: "hi all", identity: carol, now: NOW + 2000 });
+        expect(await storeEvents([dm, spam, post])).toHaveLength(3);
+        expect(await storeEvents([dm])).toHaveLength(0);
+
+        const raw = await fs.readFile(getMessagesPath(), "utf8");
+        expect(raw).not.toContain("secret plan");
+        expect((await fs.stat(getMessagesPath())).mode & 0o777).toBe(0o600);
+
+        const dms = await readStoredMessages(bob, { kind: "dm", blocked: [carol.publicKey] });
+        expect(dms.map((m) => m.text)).toEqual(["secret plan"]);
+        const rooms = await readStoredMessages(bob, { kind: "room", rooms: ["dev"] });
+        expect(rooms).toEqual([]);
+        expect((await readStoredMessages(bob, { since: NOW / 1000 + 1 })).map((m) => m.text)).toEqual(["buy now", "hi all"]);
+    });
+});
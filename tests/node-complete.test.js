@@ -0,0 +1,160 @@
+import { createHash } from "node:crypto";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+/**
+ * completeJobForNode against an in-memory database: a job closes once,
+ * and only the close that changed it pays, records a breaker outcome
+ * and emits a receipt.
+ */
+
+const db = {};
+const outcomes = [];
+const receipts = [];
+
+function matches(row, filters) {
+    return filters.every(([op, col, val]) => (op === "in" ? val.includes(row[col]) : op === "is" ? row[col] === val : row[col] === val));
+}
+
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        from(table) {
+            const rows = (db[table] ??= []);
+            const filters = [];
+            let patch = null;
+            let columns = null;
+            let offset = 0;
+            let limit = Infinity;
+            const run = () => {
+                const hit = rows.filter((r) => matches(r, filters)).slice(offset, offset + limit);
+                if (patch) hit.forEach((r) => Object.assign(r, patch));
+                return hit.map((r) => (columns ? Object.fromEntries(columns.map((c) => [c, r[c]])) : { ...r }));
+            };
+            const chain = {
+                select: (cols = "*") => { columns = cols === "*" ? null : cols.split(",").map((c) => c.trim()); return chain; },
+                eq: (col, val) => { filters.push(["eq", col, val]); return chain; },
+                in: (col, val) => { filters.push(["in", col, val]); return chain; },
+                is: (col, val) => { filters.push(["is", col, val]); return chain; },
+                or: () => chain,
+                order: () => chain,
+                limit: (n) => { limit = n; return chain; },
+                range: (from, to) => { offset = from; limit = to - from + 1; return chain; },
+                update: (p) => { patch = p; return chain; },
+                insert: async (row) => { rows.push({ ...row }); return { error: null }; },
+                maybeSingle: async () => ({ data: run()[0] ?? null, error: null }),
+                then: (onF, onR) => Promise.resolve({ data: run(), error: null }).then(onF, onR)
+            };
+            return chain;
+        }
+    })
+}));
+vi.mock("@/lib/data/provider-circuit", () => ({
+    recordProviderOutcome: async (providerId, outcome) => { outcomes.push([providerId, outcome]); }
+}));
+vi.mock("@/lib/cpr/queue", () => ({
+    enqueueAndFlush: async ({ receipt }) => { receipts.push(receipt); }
+}));
+
+const { completeJobForNode } = await import("@/lib/data/node-api");
+const { STALE_HEARTBEAT_MS, sweepStaleJobs } = await import("@/lib/data/job-janitor");
+
+const PUBKEY = "a".repeat(64);
+
+function seed(job) {
+    for (const k of Object.keys(db)) delete db[k];
+    outcomes.length = 0;
+    receipts.length = 0;
+    db.providers = [{ id: "prov-1", public_key: PUBKEY, specs: {} }];
+    db.jobs = [{
+        id: "job-1",
+        type: "inference",
+        provider_id: "prov-1",
+        payment_offer: "0.25",
+        payment_coin: "USDC",
+        payment_tx_hash: null,
+        model_name: "m",
+        assigned_at: "2026-05-10T12:00:00Z",
+        input_spec: {},
+        status: "running",
+        ...job
+    }];
+    db.job_events = [];
+    db.payment_transactions = [];
+}
+
+describe("completeJobForNode", () => {
+    beforeEach(() => seed());
+
+    it("pays, records and receipts a job once when it's completed twice without an Idempotency-Key", async () => {
+        const body = { status: "completed", result: { text: "hi" } };
+        expect(await completeJobForNode({ pubkey: PUBKEY, jobId: "job-1", body })).toEqual({ id: "job-1", status: "completed" });
+        expect(await completeJobForNode({ pubkey: PUBKEY, jobId: "job-1", body })).toEqual({ id: "job-1", status: "completed" });
+
+        expect(db.payment_transactions).toHaveLength(1);
+        expect(outcomes).toHaveLength(1);
+        expect(receipts).toHaveLength(1);
+    });
+
+    it("records a breaker outcome only for provider-side failures on unpinned jobs", async () => {
+        await completeJobForNode({ pubkey: PUBKEY, jobId: "job-1", body: { status: "failed", error: "vllm HTTP 400: maximum context length exceeded" } });
+        expect(outcomes).toEqual([["prov-1", null]]);
+
+        seed({ input_spec: { pinned: true } });
+        await completeJobForNode({ pubkey: PUBKEY, jobId: "job-1", body: { status: "failed", error: "vllm HTTP 500: engine crashed" } });
+        expect(outcomes).toEqual([["prov-1", null]]);
+
+        seed();
+        await completeJobForNode({ pubkey: PUBKEY, jobId: "job-1", body: { status: "failed", error: "vllm HTTP 500: engine crashed" } });
+        expect(outcomes).toEqual([["prov-1", { ok: false, reason: "error" }]]);
+    });
+
+    it("won't let a stale provider complete a job the janitor failed", async () => {
+        const now = Date.parse("2026-05-10T12:30:00Z");
+        seed({ type: "chat", status: "assigned", input_spec: { transport: "direct" }, reassign_count: 0, updated_at: "2026-05-10T12:00:00Z" });
+        db.providers[0].last_seen = new Date(now - STALE_HEARTBEAT_MS - 1).toISOString();
+
+        expect(await sweepStaleJobs({ now })).toMatchObject({ failed: 1 });
+        expect(db.jobs[0]).toMatchObject({ status: "failed", provider_id: "prov-1" });
+        outcomes.length = 0;
+
+        const late = await completeJobForNode({ pubkey: PUBKEY, jobId: "job-1", body: { status: "completed", result: { text: "late" } } });
+        expect(late).toEqual({ id: "job-1", status: "failed" });
+        expect(db.jobs[0].status).toBe("failed");
+        expect(db.jobs[0].result).toBeUndefined();
+        expect(db.payment_transactions).toHaveLength(0);
+        expect(outcomes).toHaveLength(0);
+        expect(receipts).toHaveLength(0);
+    });
+
+    it("fails a stalled pinned batch chunk in place instead of reassigning it", async () => {
+        const now = Date.parse("2026-05-10T12:30:00Z");
+        seed({ type: "batch", status: "assigned", input_spec: { kind: "chat", pinned: true }, reassign_count: 0, updated_at: "2026-05-10T12:00:00Z" });
+        db.providers[0].last_seen = new Date(now - STALE_HEARTBEAT_MS - 1).toISOString();
+        db.providers.push({ id: "prov-2", public_key: "c".repeat(64), specs: {}, status: "available", last_seen: new Date(now).toISOString() });
+
+        expect(await sweepStaleJobs({ now })).toMatchObject({ failed: 1, reassigned: 0 });
+        expect(db.jobs[0]).toMatchObject({ status: "failed", provider_id: "prov-1", error: "job failed: the provider it was pinned to went offline" });
+        expect(db.job_events.map((e) => e.event_type)).toEqual(["error"]);
+        expect(outcomes).toEqual([["prov-1", null]]);
+    });
+
+    it("hashes a relayed job's artifact from its events, not the provider's claim", async () => {
+        const text = Array.from({ length: 2500 }, (_, i) => `t${i} `);
+        db.job_events = text.map((t, i) => ({ id: i + 1, job_id: "job-1", event_type: "token", data: { text: t } }));
+        await completeJobForNode({ pubkey: PUBKEY, jobId: "job-1", body: { status: "completed", result: { text: "", output_sha256: "f".repeat(64) } } });
+
+        const expected = "sha256:" + createHash("sha256").update(text.join("")).digest("hex");
+        expect(receipts[0].artifact_hash).toBe(expected);
+    });
+
+    it("takes the provider's output hash for a direct job", async () => {
+        seed({ input_spec: { transport: "direct" } });
+        await completeJobForNode({ pubkey: PUBKEY, jobId: "job-1", body: { status: "completed", result: { output_sha256: "e".repeat(64), transport: "direct" } } });
+        expect(receipts[0].artifact_hash).toBe(`sha256:${"e".repeat(64)}`);
+    });
+
+    it("receipts the job's type and escrow transaction", async () => {
+        seed({ type: "embeddings", payment_tx_hash: "0xabc" });
+        await completeJobForNode({ pubkey: PUBKEY, jobId: "job-1", body: { status: "completed", result: { type: "embeddings" } } });
+        expect(receipts[0]).toMatchObject({ category: "embeddings", escrow_tx: "0xabc" });
+    });
+});
@@ -0,0 +1,185 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { AUTH_HEADER, generateKeyPair, signRequest, verifySignedRequest } from "@infernetprotocol/auth";
+import { computeV1, peerV1 } from "../protocol/generated/js/index.js";
+
+// The data layer is the boundary: record what each route hands it.
+const calls = [];
+const results = {};
+
+// Nothing is revoked: verifySignedNextRequest reads revoked_keys.
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        from: () => {
+            const chain = { select: () => chain, eq: () => chain, in: () => chain, limit: async () => ({ data: [], error: null }) };
+            return chain;
+        }
+    })
+}));
+
+vi.mock("@/lib/data/node-api", () => ({
+    heartbeatNode: async (args) => { calls.push(["heartbeat", args]); return results.heartbeat; },
+    pollJobsForNode: async (args) => { calls.push(["poll", args]); return results.poll; },
+    emitJobEvents: async (args) => { calls.push(["events", args]); return results.events; }
+}));
+
+const heartbeatRoute = await import("@/app/api/v1/node/heartbeat/route");
+const pollRoute = await import("@/app/api/v1/node/jobs/poll/route");
+const eventsRoute = await import("@/app/api/v1/node/jobs/[id]/events/route");
+const { createNodeClient } = await import("../apps/cli/lib/node-client.js");
+
+const BASE = "http://127.0.0.1";
+const keys = generateKeyPair();
+
+// fetch → the Next.js route handlers, in-process.
+async function route(url, init) {
+    const request = new Request(url, init);
+    const { pathname } = new URL(url);
+    if (pathname === "/api/v1/node/heartbeat") return heartbeatRoute.POST(request);
+    if (pathname === "/api/v1/node/jobs/poll") return pollRoute.POST(request);
+    const id = pathname.match(/^\/api\/v1\/node\/jobs\/([^/]+)\/events$/)?.[1];
+    return eventsRoute.POST(request, { params: Promise.resolve({ id: decodeURIComponent(id) }) });
+}
+
+const sent = [];
+beforeEach(() => {
+    calls.length = 0;
+    sent.length = 0;
+    vi.stubGlobal("fetch", async (url, init) => {
+        sent.push(init.headers);
+        return route(url, init);
+    });
+});
+afterEach(() => vi.unstubAllGlobals());
+
+const client = (wire) => createNodeClient({ url: BASE, ...keys, role: "provider", wire });
+
+/** A raw signed POST, for the cases the client never sends. */
+function signedPost(path, body, headers) {
+    const { header } = signRequest({ method: "POST", path, body, ...keys });
+    return route(BASE + path, { method: "POST", body, headers: { ...headers, [AUTH_HEADER]: header } });
+}
+
+describe("node API over protobuf", () => {
+    const specs = {
+        cpu: { vendor: "amd", arch: "x64", cores: 32 },
+        gpu_count: 1,
+        gpus: [{ vendor: "nvidia", vram_tier: "24-48gb", model: "RTX 4090" }],
+        served_models: ["qwen2.5:7b"],
+        embedding_models: [],
+        vision_models: [],
+        load: { active_jobs: 0 }
+    };
+
+    it("hands the data layer the same heartbeat either wire", async () => {
+        results.heartbeat = { id: "row-1" };
+        const input = { status: "available", address: "203.0.113.7", port: 46337, specs };
+        expect(await client("protobuf").heartbeat(input)).toEqual({ id: "row-1" });
+        expect(await client("json").heartbeat(input)).toEqual({ id: "row-1" });
+        const [[, viaProto], [, viaJson]] = calls;
+        expect(viaProto.body).toEqual(viaJson.body);
+        expect(viaProto.body.specs.cpu.cores).toBe(32);
+        expect(sent[0]["content-type"]).toBe("application/x-protobuf; proto=infernet.peer.v1.Heartbeat");
+        expect(sent[1]["content-type"]).toBe("application/json");
+    });
+
+    it("returns the same polled jobs either wire", async () => {
+        results.poll = {
+            provider_id: "prov-1",
+            jobs: [{
+                id: "job-1",
+                title: "chat",
+                type: "chat",
+                status: "assigned",
+                payment_offer: 0.002,
+                payment_coin: null,
+                model_name: "qwen2.5:7b",
+                input_spec: { messages: [{ role: "user", content: "héllo" }], max_tokens: 64 },
+                created_at: "2026-10-19T12:00:00.000Z"
+            }],
+            cancel: ["job-0"]
+        };
+        const viaProto = await client("protobuf").pollJobs({ limit: 3 });
+        expect(viaProto).toEqual(await client("json").pollJobs({ limit: 3 }));
+        expect(viaProto.jobs[0].input_spec.messages[0].content).toBe("héllo");
+        expect(calls.map(([, args]) => args.limit)).toEqual([3, 3]);
+    });
+
+    it("posts job events and passes on a cancel", async () => {
+        results.events = { inserted: 2, cancel: true };
+        const events = [
+            { event_type: "token", data: { text: "Hi" } },
+            { event_type: "done", data: { usage: { prompt_tokens: 3, completion_tokens: 1 } } }
+        ];
+        expect(await client("protobuf").postJobEvents("job 1", events)).toEqual({ inserted: 2, cancel: true });
+        expect(calls[0][1]).toEqual({ pubkey: keys.publicKey, jobId: "job 1", events });
+        results.events = { inserted: 1 };
+        expect(await client("protobuf").postJobEvents("job 1", events.slice(0, 1))).toEqual({ inserted: 1 });
+    });
+});
+
+describe("node API negotiation", () => {
+    const path = "/api/v1/node/jobs/poll";
+    const body = computeV1.PollJobsRequest.encode({ limit: 2 });
+
+    beforeEach(() => {
+        results.poll = { provider_id: "prov-1", jobs: [], cancel: [] };
+    });
+
+    it("signs the binary body byte for byte", async () => {
+        const { header } = signRequest({ method: "POST", path, body, ...keys });
+        const tampered = Uint8Array.from(body);
+        tampered[1] = 3;
+        const res = await route(BASE + path, {
+            method: "POST",
+            body: tampered,
+            headers: { "content-type": "application/x-protobuf", [AUTH_HEADER]: header }
+        });
+        expect(res.status).toBe(401);
+        expect(calls).toHaveLength(0);
+        // An ArrayBuffer is the same bytes, not an empty body.
+        const ok = verifySignedRequest({ method: "POST", path, body: body.slice().buffer, headerValue: header });
+        expect(ok.ok).toBe(true);
+        expect(verifySignedRequest({ method: "POST", path, body: { limit: 2 }, headerValue: header }).ok).toBe(false);
+    });
+
+    it("refuses message versions it doesn't speak", async () => {
+        const v2 = await signedPost(path, body, { "content-type": "application/x-protobuf; proto=infernet.compute.v2.PollJobsRequest" });
+        expect(v2.status).toBe(415);
+        expect((await v2.json()).error).toMatch("this endpoint speaks infernet.compute.v1.PollJobsRequest");
+
+        const onlyV2 = await signedPost(path, body, {
+            "content-type": "application/x-protobuf",
+            accept: "application/x-protobuf; proto=infernet.compute.v2.PollJobsResponse"
+        });
+        expect(onlyV2.status).toBe(406);
+        expect(calls).toHaveLength(0);
+
+        const fallback = await signedPost(path, body, {
+            "content-type": "application/x-protobuf; proto=infernet.compute.v1.PollJobsRequest",
+            accept: "application/x-protobuf; proto=infernet.compute.v2.PollJobsResponse, application/json"
+        });
+        expect(await fallback.json()).toEqual({ data: results.poll });
+    });
+
+    it("answers protobuf with the message named in the reply", async () => {
+        const res = await signedPost(path, body, {
+            "content-type": "application/x-protobuf",
+            accept: "application/x-protobuf"
+        });
+        expect(res.headers.get("content-type")).toBe("application/x-protobuf; proto=infernet.compute.v1.PollJobsResponse");
+        const reply = computeV1.PollJobsResponse.decode(new Uint8Array(await res.arrayBuffer()));
+        expect(reply.provider_id).toBe("prov-1");
+    });
+
+    it("rejects bodies that don't decode, as 400s in JSON", async () => {
+        const truncated = await signedPost(path, body.subarray(0, 1), { "content-type": "application/x-protobuf" });
+        expect(truncated.status).toBe(400);
+        expect((await truncated.json()).error).toMatch("invalid infernet.compute.v1.PollJobsRequest body");
+
+        const badSpecs = peerV1.Heartbeat.encode({ role: "provider", specs: { extra_json: "[1]" } });
+        const res = await signedPost("/api/v1/node/heartbeat", badSpecs, { "content-type": "application/x-protobuf" });
+        expect(res.status).toBe(400);
+        expect((await res.json()).error).toBe("specs.extra_json must be a JSON object");
+    });
+});
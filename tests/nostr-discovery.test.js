@@ -0,0 +1,280 @@
+import { createHash } from "node:crypto";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+    CAPABILITY_D_TAG,
+    CAPABILITY_KIND,
+    buildCapabilityEvent,
+    generateKeyPair,
+    newerNostrEvent,
+    parseCapabilityEvent,
+    signNostrEvent,
+    verifyNostrEvent
+} from "@infernetprotocol/auth";
+import {
+    createCapabilityPublisher,
+    createCapabilityResolver,
+    discoveryRelays,
+    findCapabilities
+} from "../apps/cli/lib/nostr-discovery.js";
+
+let providers = [];
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        from: () => {
+            const chain = {
+                select: () => chain,
+                eq: () => chain,
+                gte: () => Promise.resolve({ data: providers, error: null }),
+                // provider_circuit_state: no breaker history, all closed.
+                in: () => Promise.resolve({ data: [], error: null })
+            };
+            return chain;
+        }
+    })
+}));
+
+const { pickChatProvider } = await import("../apps/web/lib/data/chat.js");
+
+const NOW = 1_777_400_123_000;
+const alice = generateKeyPair();
+const bob = generateKeyPair();
+
+/**
+ * In-process stand-in for a NIP-01 relay: stores events (replacing
+ * parameterized-replaceable ones per pubkey + d tag), answers REQ with
+ * stored matches then EOSE, fans new events out to open subscriptions.
+ * `WebSocket` is the class to hand connectRelay() as WebSocketImpl.
+ */
+function memoryRelay() {
+    const events = [];
+    const sockets = new Set();
+    const dTag = (e) => e.tags.find((t) => t[0] === "d")?.[1] ?? "";
+    const matches = (f, e) => (!f.kinds || f.kinds.includes(e.kind))
+        && Object.entries(f).every(([k, v]) => !k.startsWith("#") || e.tags.some((t) => t[0] === k.slice(1) && v.includes(t[1])));
+
+    function store(event) {
+        const i = events.findIndex((e) => e.kind === event.kind && e.pubkey === event.pubkey && dTag(e) === dTag(event));
+        if (i >= 0) {
+            if (newerNostrEvent(events[i], event) === events[i]) return;
+            events.splice(i, 1);
+        }
+        events.push(event);
+        for (const s of sockets) s.deliver(event);
+    }
+
+    class WebSocket {
+        constructor(url) {
+            this.url = url;
+            this.listeners = {};
+            this.subs = new Map();
+            setTimeout(() => {
+                sockets.add(this);
+                this.emit("open", {});
+            }, 0);
+        }
+        addEventListener(type, fn) {
+            (this.listeners[type] ??= []).push(fn);
+        }
+        emit(type, ev) {
+            for (const fn of this.listeners[type] ?? []) fn(ev);
+        }
+        reply(msg) {
+            setTimeout(() => this.emit("message", { data: JSON.stringify(msg) }), 0);
+        }
+        deliver(event) {
+            for (const [id, filters] of this.subs) {
+                if (filters.some((f) => matches(f, event))) this.reply(["EVENT", id, event]);
+            }
+        }
+        send(raw) {
+            const [type, ...rest] = JSON.parse(raw);
+            if (type === "EVENT") {
+                const [event] = rest;
+                const ok = verifyNostrEvent(event);
+                if (ok) store(event);
+                this.reply(["OK", event.id, ok, ok ? "" : "invalid: bad signature"]);
+            } else if (type === "REQ") {
+                const [id, ...filters] = rest;
+                this.subs.set(id, filters);
+                for (const e of events) if (filters.some((f) => matches(f, e))) this.reply(["EVENT", id, e]);
+                this.reply(["EOSE", id]);
+            } else if (type === "CLOSE") {
+                this.subs.delete(rest[0]);
+            }
+        }
+        close() {
+            sockets.delete(this);
+            setTimeout(() => this.emit("close", {}), 0);
+        }
+    }
+
+    return { WebSocket, events, inject: (e) => events.push(e) };
+}
+
+/** Several relay URLs served by separate memory relays. */
+function relayNetwork(urls) {
+    const relays = new Map(urls.map((u) => [u, memoryRelay()]));
+    class WebSocket {
+        constructor(url) {
+            const relay = relays.get(url);
+            if (!relay) throw new Error(`no relay at ${url}`);
+            return new relay.WebSocket(url);
+        }
+    }
+    return { relays, WebSocket };
+}
+
+function capability(overrides = {}, { keys = alice, now = NOW } = {}) {
+    return buildCapabilityEvent({
+        models: ["qwen2.5:7b"],
+        multiaddr: "/ip4/203.0.113.7/tcp/46337",
+        gpus: [{ vendor: "nvidia", vram_tier: "16-24gb" }],
+        price: 0.002,
+        publicKey: keys.publicKey,
+        privateKey: keys.privateKey,
+        now,
+        ...overrides
+    });
+}
+
+describe("nostr events", () => {
+    it("ids are sha256 of the NIP-01 serialization and verify under the author's key", () => {
+        const event = signNostrEvent({ kind: 1, tags: [["t", "x"]], content: "hi\n\"there\"", created_at: 1700000000 }, alice);
+        const serialized = JSON.stringify([0, alice.publicKey, 1700000000, 1, [["t", "x"]], "hi\n\"there\""]);
+        expect(event.id).toBe(createHash("sha256").update(serialized).digest("hex"));
+        expect(verifyNostrEvent(event)).toBe(true);
+        expect(verifyNostrEvent({ ...event, content: "bye" })).toBe(false);
+        expect(verifyNostrEvent({ ...event, pubkey: bob.publicKey })).toBe(false);
+    });
+
+    it("NIP-33 replacement keeps the later event", () => {
+        const older = capability({ now: NOW });
+        const newer = capability({ now: NOW + 60_000 });
+        expect(newerNostrEvent(older, newer)).toBe(newer);
+        expect(newerNostrEvent(newer, older)).toBe(newer);
+    });
+});
+
+describe("capability events", () => {
+    it("round-trip the advertised fields", () => {
+        const event = capability({ coins: [{ code: "USDC", network: "solana" }] });
+        expect(event.kind).toBe(CAPABILITY_KIND);
+        expect(event.tags).toContainEqual(["d", CAPABILITY_D_TAG]);
+        expect(parseCapabilityEvent(event, { now: NOW })).toMatchObject({
+            pubkey: alice.publicKey,
+            models: ["qwen2.5:7b"],
+            multiaddr: "/ip4/203.0.113.7/tcp/46337",
+            gpus: [{ vendor: "nvidia", vram_tier: "16-24gb" }],
+            price: 0.002,
+            coins: [{ code: "USDC", network: "solana" }],
+            expires_at_unix: NOW / 1000 + 180
+        });
+    });
+
+    it("reject forgeries, expired and long-lived events", () => {
+        const event = capability();
+        const forged = { ...event, tags: event.tags.map((t) => (t[0] === "addr" ? ["addr", "/ip4/198.51.100.66/tcp/1"] : t)) };
+        expect(() => parseCapabilityEvent(forged, { now: NOW })).toThrow("signature invalid");
+        expect(() => parseCapabilityEvent(event, { now: NOW + 181_000 })).toThrow("expired");
+        expect(() => parseCapabilityEvent(capability({ ttlSeconds: 86_400 }), { now: NOW })).toThrow("lifetime too long");
+        const other = signNostrEvent({ kind: CAPABILITY_KIND, tags: [["d", "someone-else"]], created_at: NOW / 1000 }, alice);
+        expect(() => parseCapabilityEvent(other, { now: NOW })).toThrow("not a capability event");
+    });
+});
+
+describe("discoveryRelays", () => {
+    it("uses config.discovery.relays, else the defaults", () => {
+        expect(discoveryRelays({ discovery: { relays: ["wss://r.example", "http://nope"] } })).toEqual(["wss://r.example"]);
+        expect(discoveryRelays({}).length).toBeGreaterThan(0);
+    });
+});
+
+describe("publish → relays → resolve", () => {
+    const urls = ["wss://relay-a.test", "wss://relay-b.test"];
+    let clock = NOW;
+    const now = () => clock;
+    const open = [];
+    afterEach(() => {
+        for (const c of open.splice(0)) c.close();
+        clock = NOW;
+    });
+
+    function publisher(net, keys) {
+        const p = createCapabilityPublisher({ identity: keys, relays: urls, WebSocketImpl: net.WebSocket, now });
+        open.push(p);
+        return p;
+    }
+
+    it("verifies, de-duplicates per pubkey and filters by model", async () => {
+        const net = relayNetwork(urls);
+        const a = publisher(net, alice);
+        const b = publisher(net, bob);
+        expect((await a.publish({ models: ["qwen2.5:7b"], multiaddr: "/ip4/203.0.113.7/tcp/46337", price: 0.002 })).accepted).toBe(2);
+        await b.publish({ models: ["qwen2.5:7b", "llama3.1:8b"], multiaddr: "/ip4/203.0.113.8/tcp/46337", price: 0.001 });
+        clock += 60_000;
+        await a.publish({ models: ["qwen2.5:7b"], multiaddr: "/ip4/203.0.113.9/tcp/46337", price: 0.002 });
+        // A relay serving a tampered copy of bob's advertisement.
+        const tampered = { ...capability({}, { keys: bob, now: clock }), content: "x" };
+        net.relays.get(urls[1]).inject(tampered);
+
+        const found = await findCapabilities({ relays: urls, model: "qwen2.5:7b", WebSocketImpl: net.WebSocket, now });
+        expect(found.map((c) => c.pubkey)).toEqual([bob.publicKey, alice.publicKey]); // cheapest first
+        const mine = found.find((c) => c.pubkey === alice.publicKey);
+        expect(mine).toMatchObject({ multiaddr: "/ip4/203.0.113.9/tcp/46337", relays: 2 });
+
+        const llama = await findCapabilities({ relays: urls, model: "llama3.1:8b", WebSocketImpl: net.WebSocket, now });
+        expect(llama.map((c) => c.pubkey)).toEqual([bob.publicKey]);
+    });
+
+    it("follows live republishes and withdrawals, and drops expired advertisements", async () => {
+        const net = relayNetwork(urls);
+        const resolver = createCapabilityResolver({ relays: urls, WebSocketImpl: net.WebSocket, now });
+        open.push(resolver);
+        expect(await resolver.start()).toBe(2);
+        expect(resolver.candidates()).toEqual([]);
+
+        const a = publisher(net, alice);
+        await a.publish({ models: ["qwen2.5:7b"], multiaddr: "/ip4/203.0.113.7/tcp/46337" });
+        await vi.waitFor(() => expect(resolver.candidates({ model: "qwen2.5:7b" })).toHaveLength(1));
+
+        clock += 1000;
+        await a.withdraw("/ip4/203.0.113.7/tcp/46337");
+        await vi.waitFor(() => expect(resolver.candidates({ model: "qwen2.5:7b" })).toEqual([]));
+
+        const b = publisher(net, bob);
+        await b.publish({ models: ["qwen2.5:7b"] });
+        await vi.waitFor(() => expect(resolver.candidates({ model: "qwen2.5:7b" })).toHaveLength(1));
+        clock += 181_000;
+        expect(resolver.candidates({ model: "qwen2.5:7b" })).toEqual([]);
+    });
+
+    it("returns nothing instead of failing when a relay is unreachable", async () => {
+        const net = relayNetwork([urls[0]]);
+        await publisher(net, alice).publish({ models: ["qwen2.5:7b"] });
+        const found = await findCapabilities({ relays: urls, model: "qwen2.5:7b", WebSocketImpl: net.WebSocket, timeoutMs: 200, now });
+        expect(found.map((c) => c.pubkey)).toEqual([alice.publicKey]);
+    });
+});
+
+describe("pickChatProvider prefer", () => {
+    const row = (keys, reputation) => ({
+        id: keys.publicKey.slice(0, 8),
+        public_key: keys.publicKey,
+        reputation,
+        specs: { served_models: ["qwen2.5:7b"] }
+    });
+
+    it("picks among the preferred providers when one qualifies", async () => {
+        providers = [row(alice, 99), row(bob, 1)];
+        for (let i = 0; i < 10; i += 1) {
+            const p = await pickChatProvider({ modelName: "qwen2.5:7b", prefer: [bob.publicKey.toUpperCase()] });
+            expect(p.public_key).toBe(bob.publicKey);
+        }
+    });
+
+    it("ignores the preference when none of them qualifies", async () => {
+        providers = [row(alice, 50)];
+        const p = await pickChatProvider({ modelName: "qwen2.5:7b", prefer: [bob.publicKey] });
+        expect(p.public_key).toBe(alice.publicKey);
+    });
+});
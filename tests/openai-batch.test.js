@@ -0,0 +1,178 @@
+import { describe, expect, it } from "vitest";
+import {
+    MAX_BATCH_REQUESTS,
+    batchObject,
+    completionWindowMs,
+    lineAssembler,
+    parseBatchFile,
+    progressCounts,
+    validateBatchCreate
+} from "@/lib/openai-batch";
+
+const chatLine = (customId, body = {}) => JSON.stringify({
+    custom_id: customId,
+    method: "POST",
+    url: "/v1/chat/completions",
+    body: { model: "qwen2.5:7b", messages: [{ role: "user", content: `hello ${customId}` }], ...body }
+});
+const embedLine = (customId, input) => JSON.stringify({
+    custom_id: customId,
+    method: "POST",
+    url: "/v1/embeddings",
+    body: { model: "nomic-embed-text", input }
+});
+
+describe("validateBatchCreate", () => {
+    it("takes OpenAI's create body", () => {
+        const { value } = validateBatchCreate({ input_file_id: "file-abc", endpoint: "/v1/embeddings", completion_window: "24h", metadata: { job: "nightly" } });
+        expect(value).toEqual({ inputFileId: "file-abc", endpoint: "/v1/embeddings", completionWindow: "24h", windowMs: 86_400_000, metadata: { job: "nightly" } });
+    });
+
+    it("rejects what it can't run", () => {
+        expect(validateBatchCreate({ endpoint: "/v1/chat/completions" }).error).toMatch(/input_file_id/);
+        expect(validateBatchCreate({ input_file_id: "f", endpoint: "/v1/completions" }).error).toMatch(/endpoint must be one of/);
+        expect(validateBatchCreate({ input_file_id: "f", endpoint: "/v1/embeddings", metadata: { n: 1 } }).error).toMatch(/metadata/);
+        expect(completionWindowMs("0h")).toBeNull();
+        expect(completionWindowMs("7d")).toBeNull();
+        expect(completionWindowMs("168h")).toBe(168 * 3_600_000);
+    });
+});
+
+describe("parseBatchFile", () => {
+    it("turns chat lines into one item each", () => {
+        const text = [chatLine("a", { max_tokens: 50, temperature: 0.2 }), "", chatLine("b", { max_completion_tokens: 9 })].join("\n");
+        const { value } = parseBatchFile(text, "/v1/chat/completions");
+        expect(value.kind).toBe("chat");
+        expect(value.model).toBe("qwen2.5:7b");
+        expect(value.items).toEqual([
+            { messages: [{ role: "user", content: "hello a" }], max_tokens: 50, temperature: 0.2 },
+            { messages: [{ role: "user", content: "hello b" }], max_tokens: 9 }
+        ]);
+        expect(value.requests).toEqual([{ custom_id: "a", count: 1 }, { custom_id: "b", count: 1 }]);
+    });
+
+    it("flattens embedding inputs and remembers each line's share", () => {
+        const { value } = parseBatchFile([embedLine("x", ["one", "two"]), embedLine("y", "three")].join("\n"), "/v1/embeddings");
+        expect(value.items).toEqual(["one", "two", "three"]);
+        expect(value.requests).toEqual([{ custom_id: "x", count: 2 }, { custom_id: "y", count: 1 }]);
+    });
+
+    it("reports bad lines by line number", () => {
+        const text = [
+            chatLine("a"),
+            "{not json",
+            chatLine("a"),
+            chatLine("c", { model: "llama3" }),
+            chatLine("d", { tools: [] }),
+            chatLine("e", { stream: true }),
+            JSON.stringify({ custom_id: "f", method: "GET", url: "/v1/chat/completions", body: {} }),
+            JSON.stringify({ custom_id: "g", method: "POST", url: "/v1/embeddings", body: { model: "m", input: "x" } })
+        ].join("\n");
+        const { errors } = parseBatchFile(text, "/v1/chat/completions");
+        expect(errors.map((e) => [e.line, e.code])).toEqual([
+            [2, "invalid_json_line"],
+            [3, "duplicate_custom_id"],
+            [4, "mismatched_model"],
+            [5, "unsupported_parameter"],
+            [6, "unsupported_parameter"],
+            [7, "invalid_method"],
+            [8, "mismatched_endpoint"]
+        ]);
+        expect(parseBatchFile("\n\n", "/v1/embeddings").errors[0].code).toBe("empty_file");
+    });
+
+    it("caps a batch at OpenAI's request limit", () => {
+        const text = Array.from({ length: MAX_BATCH_REQUESTS + 1 }, (_, i) => embedLine(`r${i}`, "x")).join("\n");
+        const { errors } = parseBatchFile(text, "/v1/embeddings");
+        expect(errors).toEqual([expect.objectContaining({ line: MAX_BATCH_REQUESTS + 1, code: "too_many_requests" })]);
+    });
+});
+
+describe("progressCounts", () => {
+    it("counts a request once every chunk holding it settled", () => {
+        // Items: a=[0,1] b=[2,3,4] c=[5]; chunk size 2 → chunks 0:[0,1] 1:[2,3] 2:[4,5]
+        const requests = [{ custom_id: "a", count: 2 }, { custom_id: "b", count: 3 }, { custom_id: "c", count: 1 }];
+        expect(progressCounts(requests, ["done", "done", "running"], 2)).toEqual({ total: 3, completed: 1, failed: 0 });
+        expect(progressCounts(requests, ["done", "done", "done"], 2)).toEqual({ total: 3, completed: 3, failed: 0 });
+        expect(progressCounts(requests, ["done", "running", "failed_terminal"], 2)).toEqual({ total: 3, completed: 1, failed: 2 });
+    });
+});
+
+describe("lineAssembler", () => {
+    const doneAt = "2026-05-07T10:00:00Z";
+
+    it("writes chat output lines in OpenAI's shape and failures to the error file", () => {
+        const batch = { id: "batch_1", endpoint: "/v1/chat/completions", model: "qwen2.5:7b" };
+        const asm = lineAssembler(batch, [{ custom_id: "a", count: 1 }, { custom_id: "b", count: 1 }, { custom_id: "c", count: 1 }]);
+
+        const first = asm.push({
+            status: "done",
+            item_count: 2,
+            done_at: doneAt,
+            result: [{ text: "hi", usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 } }, { error: "engine exploded" }]
+        });
+        expect(first.output).toHaveLength(1);
+        const line = JSON.parse(first.output[0]);
+        expect(line).toMatchObject({ custom_id: "a", error: null, response: { status_code: 200 } });
+        expect(line.id).toMatch(/^batch_req_/);
+        expect(line.response.body).toMatchObject({
+            object: "chat.completion",
+            created: Date.parse(doneAt) / 1000,
+            model: "qwen2.5:7b",
+            choices: [{ index: 0, message: { role: "assistant", content: "hi" }, finish_reason: "stop" }],
+            usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 }
+        });
+        expect(JSON.parse(first.error[0])).toMatchObject({ custom_id: "b", response: null, error: { code: "request_failed", message: "engine exploded" } });
+
+        const second = asm.push({ status: "failed_terminal", item_count: 1, last_error: "batch deadline passed" });
+        expect(JSON.parse(second.error[0]).error.code).toBe("batch_expired");
+
+        // Same input, same lines — downloads are rebuilt on every read.
+        const again = lineAssembler(batch, [{ custom_id: "a", count: 1 }]).push({ status: "done", item_count: 1, done_at: doneAt, result: [{ text: "hi", usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 } }] });
+        expect(again.output[0]).toBe(first.output[0]);
+    });
+
+    it("joins an embeddings request whose inputs span chunks", () => {
+        const batch = { id: "batch_2", endpoint: "/v1/embeddings", model: "nomic-embed-text" };
+        const asm = lineAssembler(batch, [{ custom_id: "x", count: 3 }, { custom_id: "y", count: 1, encoding_format: "base64" }]);
+        expect(asm.push({ status: "done", item_count: 2, result: [{ embedding: [1] }, { embedding: [2] }] }).output).toEqual([]);
+        const out = asm.push({ status: "done", item_count: 2, result: [{ embedding: [3] }, { embedding: [0.5] }] });
+        const [x, y] = out.output.map((l) => JSON.parse(l));
+        expect(x.custom_id).toBe("x");
+        expect(x.response.body.data.map((d) => d.embedding)).toEqual([[1], [2], [3]]);
+        expect(typeof y.response.body.data[0].embedding).toBe("string");
+    });
+
+    it("fails a request when any of its chunks did", () => {
+        const batch = { id: "batch_3", endpoint: "/v1/embeddings", model: "m" };
+        const asm = lineAssembler(batch, [{ custom_id: "x", count: 2 }]);
+        asm.push({ status: "done", item_count: 1, result: [{ embedding: [1] }] });
+        const out = asm.push({ status: "cancelled", item_count: 1, last_error: null });
+        expect(JSON.parse(out.error[0]).error).toEqual({ code: "batch_cancelled", message: "batch cancelled" });
+    });
+});
+
+describe("batchObject", () => {
+    it("uses unix seconds and OpenAI's field set", () => {
+        const obj = batchObject({
+            id: "batch_1",
+            endpoint: "/v1/embeddings",
+            input_file_id: "file-1",
+            completion_window: "24h",
+            status: "in_progress",
+            created_at: "2026-05-07T10:00:00Z",
+            in_progress_at: "2026-05-07T10:00:01Z",
+            expires_at: "2026-05-08T10:00:00Z",
+            request_counts: { total: 5, completed: 0, failed: 0 }
+        }, { total: 5, completed: 2, failed: 1 });
+        expect(obj).toMatchObject({
+            object: "batch",
+            created_at: 1778148000,
+            in_progress_at: 1778148001,
+            completed_at: null,
+            output_file_id: null,
+            request_counts: { total: 5, completed: 2, failed: 1 },
+            metadata: null
+        });
+    });
+});
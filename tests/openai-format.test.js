@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+    assembleToolCalls,
+    chunkFrame,
+    embeddingsList,
+    finishReasonFor,
+    toOpenAiUsage,
+    toolCallDelta
+} from "../apps/web/lib/openai-format.js";
+
+describe("toOpenAiUsage", () => {
+    it("passes engine counts through and totals them", () => {
+        expect(toOpenAiUsage({ prompt_tokens: 10, completion_tokens: 5 })).toEqual({
+            prompt_tokens: 10,
+            completion_tokens: 5,
+            total_tokens: 15
+        });
+    });
+
+    it("returns zeros when the provider couldn't measure", () => {
+        expect(toOpenAiUsage(null)).toEqual({ prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+    });
+});
+
+describe("tool-call shaping", () => {
+    it("first delta carries id + type + name; later deltas only arguments", () => {
+        expect(toolCallDelta({ index: 0, call_id: "call_1", name: "get_weather", arguments: "{\"ci" })).toEqual({
+            index: 0,
+            id: "call_1",
+            type: "function",
+            function: { name: "get_weather", arguments: "{\"ci" }
+        });
+        expect(toolCallDelta({ index: 0, arguments: "ty\":\"Oslo\"}" })).toEqual({
+            index: 0,
+            function: { arguments: "ty\":\"Oslo\"}" }
+        });
+    });
+
+    it("chunkFrame puts tool_calls on the delta", () => {
+        const frame = chunkFrame({ id: "x", model: "m", toolCalls: [{ index: 0, function: { arguments: "{}" } }] });
+        expect(frame.choices[0].delta).toEqual({ tool_calls: [{ index: 0, function: { arguments: "{}" } }] });
+    });
+
+    it("assembleToolCalls concatenates argument fragments per index", () => {
+        const calls = assembleToolCalls([
+            { index: 1, call_id: "b", name: "g", arguments: "{}" },
+            { index: 0, call_id: "a", name: "f", arguments: "{\"x\":" },
+            { index: 0, arguments: "1}" }
+        ]);
+        expect(calls).toEqual([
+            { id: "a", type: "function", function: { name: "f", arguments: "{\"x\":1}" } },
+            { id: "b", type: "function", function: { name: "g", arguments: "{}" } }
+        ]);
+    });
+
+    it("finishReasonFor reports tool_calls whenever calls were made", () => {
+        expect(finishReasonFor("stop", { sawToolCalls: true })).toBe("tool_calls");
+        expect(finishReasonFor("tool_calls")).toBe("tool_calls");
+        expect(finishReasonFor("length")).toBe("length");
+        expect(finishReasonFor(undefined)).toBe("stop");
+    });
+});
+
+describe("embeddingsList", () => {
+    it("wraps vectors in OpenAI's list shape with prompt-only usage", () => {
+        const out = embeddingsList({ model: "bge-m3", embeddings: [[0.5, 1], [2, 4]], usage: { prompt_tokens: 6 } });
+        expect(out).toEqual({
+            object: "list",
+            data: [
+                { object: "embedding", index: 0, embedding: [0.5, 1] },
+                { object: "embedding", index: 1, embedding: [2, 4] }
+            ],
+            model: "bge-m3",
+            usage: { prompt_tokens: 6, total_tokens: 6 }
+        });
+    });
+
+    it("packs base64 as little-endian float32", () => {
+        const out = embeddingsList({ model: "m", embeddings: [[1, -2.5]], usage: null, encodingFormat: "base64" });
+        const bytes = Buffer.from(out.data[0].embedding, "base64");
+        expect(bytes.length).toBe(8);
+        expect(bytes.readFloatLE(0)).toBe(1);
+        expect(bytes.readFloatLE(4)).toBe(-2.5);
+        expect(out.usage).toEqual({ prompt_tokens: 0, total_tokens: 0 });
+    });
+});
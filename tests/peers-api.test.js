@@ -83,7 +83,7 @@ describe("listOnlinePeers — data helper", () => {
                 })
             );
             expect(Object.keys(p).sort()).toEqual(
-                ["cpu", "gpu_count", "gpu_model", "interconnects", "last_seen", "multiaddr", "pubkey", "served_models"]
+                ["cpu", "gpu_count", "gpu_model", "interconnects", "last_seen", "multiaddr", "pubkey", "reachable", "relay", "served_models"]
             );
         }
     });
@@ -98,6 +98,26 @@ describe("listOnlinePeers — data helper", () => {
         expect(peers[1].multiaddr).toBe("/ip6/2001:db8::1/tcp/46337");
     });
 
+    it("hands out the relay circuit for providers the probe found unreachable", () => {
+        const pubkey = "ab".repeat(32);
+        const circuit = `/ip4/203.0.113.5/tcp/46337/p2p/${"cd".repeat(32)}/p2p-circuit/p2p/${pubkey}`;
+        const row = { public_key: pubkey, address: "10.0.0.7", port: 46337, specs: { reachable: { ok: false }, relay: { circuit } } };
+        expect(__testables__.peerMultiaddr(row)).toBe(circuit);
+        // Reachable, or a circuit that ends at someone else's key → the direct address.
+        expect(__testables__.peerMultiaddr({ ...row, specs: { ...row.specs, reachable: { ok: true } } }))
+            .toBe("/ip4/10.0.0.7/tcp/46337");
+        const foreign = circuit.replace(/[0-9a-f]{64}$/, "ef".repeat(32));
+        expect(__testables__.peerMultiaddr({ ...row, specs: { reachable: { ok: false }, relay: { circuit: foreign } } }))
+            .toBe("/ip4/10.0.0.7/tcp/46337");
+    });
+
+    it("narrows to circuit relays with relay: true", async () => {
+        await listOnlinePeers({ relay: true });
+        expect(queryState.calls).toContainEqual(["eq", "specs->circuit_relay->>enabled", "true"]);
+        await listOnlinePeers();
+        expect(queryState.calls.some((c) => c[1] === "specs->circuit_relay->>enabled")).toBe(false);
+    });
+
     it("dedupes served_models across specs.gpus[].model and specs.served_models[]", async () => {
         const peers = await listOnlinePeers();
         expect(peers[0].served_models.sort()).toEqual(["llama-3-8b", "qwen2.5:7b"]);
@@ -148,7 +168,7 @@ describe("GET /api/peers — contract", () => {
         const body = await res.json();
         const allowedFields = new Set([
             "pubkey", "multiaddr", "last_seen", "served_models",
-            "gpu_model", "gpu_count", "cpu", "interconnects"
+            "gpu_model", "gpu_count", "cpu", "interconnects", "reachable", "relay"
         ]);
         for (const peer of body.data) {
             for (const field of Object.keys(peer)) {
@@ -0,0 +1,115 @@
+import { readFileSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { describe, expect, it } from "vitest";
+import { generate, generateFixtures, listProtos, parseProto } from "../tooling/protocol-codegen.mjs";
+import {
+    PACKAGES,
+    UNKNOWN_FIELDS,
+    WireError,
+    computeV1,
+    message,
+    peerV1,
+    rmiV1
+} from "../protocol/generated/js/index.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = join(ROOT, "protocol/tests/wire-compatibility");
+const hex = (bytes) => Buffer.from(bytes).toString("hex");
+
+describe("protocol codegen", () => {
+    it("committed output matches the .proto sources", async () => {
+        for (const [path, contents] of generate()) {
+            expect(readFileSync(join(ROOT, "protocol/generated/js", path), "utf8"), path).toBe(contents);
+        }
+        for (const [name, bytes] of await generateFixtures()) {
+            expect(readFileSync(join(FIXTURES, name)).equals(bytes), name).toBe(true);
+        }
+        expect(PACKAGES).toEqual(listProtos().map((p) => `infernet.${p.name}.${p.version}`));
+    });
+
+    it("rejects proto constructs it can't encode, with the line", () => {
+        expect(() => parseProto('syntax = "proto3";\npackage infernet.x.v1;\nenum E { A = 0; }\n', "x.proto"))
+            .toThrow('x.proto:3: "enum" is not supported');
+        expect(() => parseProto('syntax = "proto3";\npackage infernet.x.v1;\nmessage M {\n  Missing m = 1;\n}\n', "x.proto"))
+            .toThrow('x.proto:4: unknown type "Missing"');
+        expect(() => parseProto('syntax = "proto3";\npackage infernet.x.v1;\nmessage M { string a = 1; string b = 1; }\n'))
+            .toThrow("duplicate field number 1");
+    });
+});
+
+describe("wire format", () => {
+    it("encodes like protoc", () => {
+        expect(hex(peerV1.FindPeersRequest.encode({ limit: 150 }))).toBe("189601");
+        expect(hex(computeV1.JobStatus.encode({ job_id: "a", exit_code: -1 }))).toBe("0a016118ffffffffffffffffff01");
+        expect(hex(peerV1.PeerInfo.encode({ protocols: ["x", "y"], last_seen_unix: 0 }))).toBe("1a01781a0179");
+        // proto3 defaults are left off the wire.
+        expect(computeV1.JobStatus.encode(computeV1.JobStatus.create())).toHaveLength(0);
+    });
+
+    it("round-trips every fixture and decodes what the manifest says", () => {
+        const { fixtures } = JSON.parse(readFileSync(join(FIXTURES, "manifest.json"), "utf8"));
+        const types = new Map();
+        for (const mod of [computeV1, peerV1, rmiV1]) {
+            for (const v of Object.values(mod)) if (v?.typeName && v.encode) types.set(v.typeName, v);
+        }
+        let checked = 0;
+        for (const f of fixtures) {
+            const desc = types.get(f.type);
+            if (!desc) continue;
+            const bytes = new Uint8Array(readFileSync(join(FIXTURES, f.file)));
+            const decoded = desc.decode(bytes);
+            expect(desc.toJSON(decoded), f.file).toEqual(f.json);
+            expect(hex(desc.encode(desc.fromJSON(f.json))), f.file).toBe(hex(bytes));
+            checked += 1;
+        }
+        expect(checked).toBe(20);
+        const offer = computeV1.ResourceOffer.decode(new Uint8Array(readFileSync(join(FIXTURES, "compute-resourceoffer-v1.bin"))));
+        expect(offer.memory_mb).toBe(2n ** 53n + 3n);
+    });
+
+    it("keeps fields a newer schema added, and fills defaults the other way", () => {
+        const RefV2 = message("infernet.rmi.v1.ObjectRef", [
+            ...rmiV1.ObjectRef.fields,
+            { no: 9, name: "region", type: "string" }
+        ]);
+        const v2 = RefV2.encode({ object_id: "job:1", type_name: "T.v1", owner_peer_id: "p", region: "eu" });
+        const v1 = rmiV1.ObjectRef.decode(v2);
+        expect(v1).toEqual({ object_id: "job:1", type_name: "T.v1", owner_peer_id: "p" });
+        expect(v1[UNKNOWN_FIELDS]).toHaveLength(1);
+        expect(hex(rmiV1.ObjectRef.encode(v1))).toBe(hex(v2));
+        expect(RefV2.decode(rmiV1.ObjectRef.encode({ object_id: "x" })).region).toBe("");
+    });
+
+    it("refuses oversized, truncated and mistyped input", () => {
+        const big = rmiV1.MethodArgument.encode({ name: "a", value: new Uint8Array(2048) });
+        expect(() => rmiV1.MethodArgument.decode(big, { maxBytes: 1024 })).toThrow(WireError);
+        expect(() => rmiV1.MethodArgument.decode(big.subarray(0, 100))).toThrow("truncated");
+        expect(() => rmiV1.MethodArgument.decode(Uint8Array.from([0x10, 0x01]))).toThrow("wrong wire type");
+        expect(() => rmiV1.MethodArgument.decode(Uint8Array.from([0x0a, 0x01, 0xff]))).toThrow("invalid UTF-8");
+    });
+});
+
+describe("service stubs", () => {
+    it("client and server meet over a byte transport", async () => {
+        const handlers = computeV1.bindComputeNode({
+            async submitJob(req) { return { job_id: req.job_id, state: "queued" }; },
+            async *streamJobLogs(req) {
+                yield { job_id: req.job_id, state: "running" };
+                yield { job_id: req.job_id, state: "complete", exit_code: 0 };
+            }
+        });
+        const paths = [];
+        const client = computeV1.createComputeNodeClient({
+            unary: (path, bytes) => { paths.push(path); return handlers.get(path)(bytes); },
+            stream: (path, bytes) => handlers.get(path)(bytes)
+        });
+        expect((await client.submitJob({ job_id: "j1" })).state).toBe("queued");
+        const states = [];
+        for await (const s of client.streamJobLogs({ job_id: "j1" })) states.push(s.state);
+        expect(states).toEqual(["running", "complete"]);
+        expect(paths).toEqual(["/infernet.compute.v1.ComputeNode/SubmitJob"]);
+        // getJobStatus wasn't implemented, so nothing serves its path.
+        expect(handlers.has("/infernet.compute.v1.ComputeNode/GetJobStatus")).toBe(false);
+    });
+});
@@ -28,6 +28,9 @@ vi.mock("@/lib/supabase/server", () => ({
                 _insert: null,
                 select() { return chain; },
                 eq(col, val) { chain._filters[col] = val; return chain; },
+                in() { return chain; },
+                // revoked_keys: no key is revoked.
+                async limit() { return { data: [], error: null }; },
                 async maybeSingle() { return supabaseState.lookupResult; },
                 update(patch) { chain._patch = patch; return chain; },
                 insert(row) { chain._insert = row; return chain; },
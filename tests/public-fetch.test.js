@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import {
+    isNonPublicAddress,
+    isNonPublicHostname,
+    pinnedLookup,
+    publicFetch,
+    resolvePublicHost
+} from "../apps/web/lib/public-fetch.js";
+
+describe("isNonPublicAddress", () => {
+    it("flags loopback, private, link-local, CGNAT, ULA and reserved ranges", () => {
+        for (const ip of ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "224.0.0.1", "255.255.255.255", "::", "::1", "fd00::1", "fe80::1", "fec0::1", "::ffff:10.0.0.1"]) {
+            expect(isNonPublicAddress(ip), ip).toBe(true);
+        }
+    });
+
+    it("judges IPv4-mapped, IPv4-compatible and 6to4 addresses by the IPv4 address inside", () => {
+        // new URL("https://[::ffff:127.0.0.1]/").hostname is "[::ffff:7f00:1]"
+        for (const ip of ["::ffff:7f00:1", "::ffff:a9fe:a9fe", "0:0:0:0:0:ffff:127.0.0.1", "::7f00:1", "::127.0.0.1", "2002:7f00:1::", "2002:a9fe:a9fe::1"]) {
+            expect(isNonPublicAddress(ip), ip).toBe(true);
+        }
+        for (const ip of ["::ffff:808:808", "::ffff:8.8.8.8", "2002:808:808::1"]) {
+            expect(isNonPublicAddress(ip), ip).toBe(false);
+        }
+    });
+
+    it("flags multicast, NAT64, Teredo and documentation IPv6 ranges", () => {
+        for (const ip of ["ff02::1", "ff05::fb", "64:ff9b::7f00:1", "64:ff9b::808:808", "64:ff9b:1::1", "2001:0:4136:e378::1", "2001:db8::1"]) {
+            expect(isNonPublicAddress(ip), ip).toBe(true);
+        }
+    });
+
+    it("passes public addresses and rejects garbage", () => {
+        for (const ip of ["93.184.216.34", "8.8.8.8", "2606:4700::1111", "2a00:1450:4001:80b::200e"]) {
+            expect(isNonPublicAddress(ip), ip).toBe(false);
+        }
+        expect(isNonPublicAddress("not-an-ip")).toBe(true);
+    });
+});
+
+describe("isNonPublicHostname", () => {
+    it("rejects local names and private literals without resolving", () => {
+        for (const host of ["localhost", "api.localhost", "metadata.google.internal", "[::ffff:7f00:1]", "10.0.0.1"]) {
+            expect(isNonPublicHostname(host), host).toBe(true);
+        }
+        expect(isNonPublicHostname("hooks.example.com")).toBe(false);
+        expect(isNonPublicHostname("[2606:4700::1111]")).toBe(false);
+    });
+});
+
+describe("resolvePublicHost", () => {
+    it("refuses a name if any of its addresses is private", async () => {
+        const lookupImpl = async () => [{ address: "93.184.216.34", family: 4 }, { address: "10.0.0.5", family: 4 }];
+        await expect(resolvePublicHost("mixed.example.com", { label: "webhook host", lookupImpl }))
+            .rejects.toMatchObject({ status: 400, message: "webhook host mixed.example.com is not a public address" });
+    });
+
+    it("reports names that don't resolve", async () => {
+        const lookupImpl = async () => { throw new Error("ENOTFOUND"); };
+        await expect(resolvePublicHost("nope.example.com", { lookupImpl }))
+            .rejects.toMatchObject({ status: 400, message: "host nope.example.com does not resolve" });
+    });
+
+    it("returns the address to connect to", async () => {
+        const lookupImpl = async () => [{ address: "2606:4700::1111", family: 6 }];
+        await expect(resolvePublicHost("ok.example.com", { lookupImpl })).resolves.toEqual({ address: "2606:4700::1111", family: 6 });
+        await expect(resolvePublicHost("[2606:4700::1111]")).resolves.toEqual({ address: "2606:4700::1111", family: 6 });
+    });
+});
+
+describe("pinnedLookup", () => {
+    it("answers every lookup with the checked address", () => {
+        const lookup = pinnedLookup({ address: "93.184.216.34", family: 4 });
+        const one = [];
+        lookup("rebind.example.com", {}, (...args) => one.push(args));
+        lookup("rebind.example.com", { all: true }, (...args) => one.push(args));
+        expect(one).toEqual([
+            [null, "93.184.216.34", 4],
+            [null, [{ address: "93.184.216.34", family: 4 }]]
+        ]);
+    });
+});
+
+describe("publicFetch", () => {
+    it("resolves once and hands fetch a dispatcher pinned to that address, with redirects off", async () => {
+        // A rebinding resolver: public on the first answer, loopback after.
+        let lookups = 0;
+        const lookupImpl = async () => (lookups++ === 0
+            ? [{ address: "93.184.216.34", family: 4 }]
+            : [{ address: "127.0.0.1", family: 4 }]);
+        let seen;
+        const fetchImpl = async (url, init) => {
+            seen = { url, init };
+            return new Response("ok");
+        };
+        const res = await publicFetch("https://rebind.example.com/hook", { method: "POST" }, { fetchImpl, lookupImpl });
+
+        expect(await res.text()).toBe("ok");
+        expect(lookups).toBe(1);
+        expect(seen.url).toBe("https://rebind.example.com/hook");
+        expect(seen.init).toMatchObject({ method: "POST", redirect: "error" });
+
+        const connectLookup = seen.init.dispatcher[Object.getOwnPropertySymbols(seen.init.dispatcher)
+            .find((s) => s.description === "options")]?.connect?.lookup;
+        const answers = [];
+        connectLookup?.("rebind.example.com", {}, (...args) => answers.push(args));
+        expect(answers).toEqual([[null, "93.184.216.34", 4]]);
+    });
+
+    it("doesn't call fetch for a private host", async () => {
+        let fetched = false;
+        await expect(publicFetch("http://[::ffff:127.0.0.1]:8080/", {}, { fetchImpl: async () => { fetched = true; } }))
+            .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/not a public address/) });
+        expect(fetched).toBe(false);
+    });
+});
@@ -0,0 +1,137 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createMemoryRateLimitStore, rateLimit } from "../apps/web/lib/rate-limit.js";
+import {
+    createPostgresRateLimitStore,
+    createPostgresReplayStore,
+    sharedStateBackend
+} from "../apps/web/lib/data/shared-state.js";
+
+// What the Postgres stores get back; each test sets the answer it needs.
+const pg = { rpc: null, insert: null, calls: [] };
+
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        rpc: async (name, args) => {
+            pg.calls.push([name, args]);
+            return pg.rpc();
+        },
+        from: (table) => ({
+            insert: async (row) => {
+                pg.calls.push([table, row]);
+                return pg.insert();
+            },
+            // maybePrune()
+            delete: () => ({ lt: async () => ({ error: null }) })
+        })
+    })
+}));
+
+describe("rateLimit", () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("allows up to max hits per window, then refuses", async () => {
+        const limit = rateLimit({ windowMs: 60_000, max: 2, store: createMemoryRateLimitStore() });
+        expect((await limit.check("1.2.3.4")).ok).toBe(true);
+        const second = await limit.check("1.2.3.4");
+        expect(second).toMatchObject({ ok: true, remaining: 0 });
+        expect((await limit.check("1.2.3.4")).ok).toBe(false);
+        expect((await limit.check("5.6.7.8")).ok).toBe(true);
+    });
+
+    it("starts a fresh window once the old one lapses", async () => {
+        vi.useFakeTimers();
+        const limit = rateLimit({ windowMs: 1000, max: 1, store: createMemoryRateLimitStore() });
+        expect((await limit.check("ip")).ok).toBe(true);
+        expect((await limit.check("ip")).ok).toBe(false);
+        vi.advanceTimersByTime(1001);
+        expect((await limit.check("ip")).ok).toBe(true);
+    });
+
+    it("namespaces keys by limiter name in a shared store", async () => {
+        const hits = [];
+        const store = {
+            async hit(key, windowMs) {
+                hits.push([key, windowMs]);
+                return { count: 1, resetAt: Date.now() + windowMs };
+            }
+        };
+        await rateLimit({ name: "chat", windowMs: 10, max: 1, store }).check("ip");
+        await rateLimit({ name: "probe", windowMs: 20, max: 1, store }).check("ip");
+        expect(hits).toEqual([["chat:ip", 10], ["probe:ip", 20]]);
+    });
+
+    it("reports the store's count and reset time", async () => {
+        const store = { hit: async () => ({ count: 7, resetAt: 1234 }) };
+        expect(await rateLimit({ windowMs: 10, max: 5, store }).check("ip"))
+            .toEqual({ ok: false, remaining: 0, resetAt: 1234 });
+    });
+});
+
+describe("sharedStateBackend", () => {
+    afterEach(() => {
+        vi.unstubAllEnvs();
+    });
+
+    it("defaults to memory", () => {
+        vi.stubEnv("INFERNET_SHARED_STATE", "");
+        expect(sharedStateBackend()).toBe("memory");
+    });
+
+    it("selects postgres when asked", () => {
+        vi.stubEnv("INFERNET_SHARED_STATE", " Postgres ");
+        expect(sharedStateBackend()).toBe("postgres");
+    });
+});
+
+describe("createPostgresRateLimitStore", () => {
+    afterEach(() => {
+        pg.calls.length = 0;
+        vi.restoreAllMocks();
+    });
+
+    it("returns the hit count and reset time from rate_limit_hit's row", async () => {
+        pg.rpc = async () => ({ data: [{ hits: "3", reset_at: "2026-05-10T12:01:00Z" }], error: null });
+        expect(await createPostgresRateLimitStore().hit("chat:ip", 60_000.4))
+            .toEqual({ count: 3, resetAt: Date.parse("2026-05-10T12:01:00Z") });
+        expect(pg.calls).toContainEqual(["rate_limit_hit", { p_key: "chat:ip", p_window_ms: 60_001 }]);
+    });
+
+    it("fails open, with a warning, on an error or an empty result", async () => {
+        const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+        const store = createPostgresRateLimitStore();
+
+        pg.rpc = async () => ({ data: null, error: { message: "connection refused" } });
+        expect(await store.hit("chat:ip", 1000)).toMatchObject({ count: 0 });
+        pg.rpc = async () => ({ data: [], error: null });
+        expect(await store.hit("chat:ip", 1000)).toMatchObject({ count: 0 });
+
+        expect(warn.mock.calls.map(([m]) => m)).toEqual([
+            expect.stringMatching(/rate_limit_hit failed.*connection refused/),
+            expect.stringMatching(/rate_limit_hit failed.*no row returned/)
+        ]);
+    });
+});
+
+describe("createPostgresReplayStore", () => {
+    afterEach(() => {
+        pg.calls.length = 0;
+    });
+
+    it("claims a fresh nonce and refuses a duplicate", async () => {
+        const store = createPostgresReplayStore();
+        pg.insert = async () => ({ error: null });
+        await expect(store.claim("n-1", 300)).resolves.toBe(true);
+        expect(pg.calls).toContainEqual(["request_nonces", { nonce: "n-1", expires_at: expect.any(String) }]);
+
+        pg.insert = async () => ({ error: { code: "23505", message: "duplicate key value" } });
+        await expect(store.claim("n-1", 300)).resolves.toBe(false);
+    });
+
+    it("fails closed with 503 on any other error", async () => {
+        pg.insert = async () => ({ error: { code: "08006", message: "connection failure" } });
+        await expect(createPostgresReplayStore().claim("n-2", 300))
+            .rejects.toMatchObject({ status: 503, message: expect.stringMatching(/nonce store unavailable/) });
+    });
+});
@@ -0,0 +1,149 @@
+import { EventEmitter } from "node:events";
+import dgram from "node:dgram";
+import { randomBytes } from "node:crypto";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { generateKeyPair } from "@infernetprotocol/auth";
+import { SUPPORTED_PROTOCOLS } from "../apps/cli/lib/handshake.js";
+import { createUdpStream } from "../apps/cli/lib/holepunch.js";
+import { parseCircuitMultiaddr, parseMultiaddr } from "../apps/cli/lib/p2p-client.js";
+import { createP2pServer } from "../apps/cli/lib/p2p-server.js";
+import { RELAY_PROTOCOL, createRelayClient, createRelayService, dialCircuit } from "../apps/cli/lib/relay.js";
+
+const cleanups = [];
+afterEach(() => {
+    while (cleanups.length) cleanups.pop()();
+});
+
+/**
+ * A relay on localhost (TCP + UDP observer), a target that can only be
+ * reached through it (its P2P server never listens), and a dialer key.
+ */
+async function network({ limits } = {}) {
+    const relayKeys = generateKeyPair();
+    const targetKeys = generateKeyPair();
+    const udp = dgram.createSocket("udp4");
+    await new Promise((resolve) => udp.bind(0, "127.0.0.1", resolve));
+    const relay = createRelayService({ limits, udpPort: udp.address().port });
+    relay.bindUdp(udp);
+    const relayServer = createP2pServer({
+        identity: relayKeys,
+        protocols: [...SUPPORTED_PROTOCOLS, RELAY_PROTOCOL],
+        onCommand: (msg, peer, send) => relay.handle(msg, peer, send),
+        onClose: (peer) => relay.dropPeer(peer)
+    });
+    const port = await relayServer.listen(0, "127.0.0.1");
+
+    const target = createP2pServer({
+        identity: targetKeys,
+        protocols: SUPPORTED_PROTOCOLS,
+        onCommand(msg) {
+            if (msg.cmd === "echo") return { ok: true, data: { text: msg.text } };
+            return { ok: true, data: { peer_id: targetKeys.publicKey } };
+        }
+    });
+    const client = createRelayClient({
+        identity: targetKeys,
+        relays: async () => [{ host: "127.0.0.1", port, peerId: relayKeys.publicKey }],
+        onCircuit: (socket, head) => target.adopt(socket, head)
+    });
+    client.start();
+    await vi.waitFor(() => expect(client.state.multiaddr).toBeTruthy());
+
+    cleanups.push(() => {
+        client.stop();
+        relay.close();
+        target.close();
+        relayServer.close();
+        udp.close();
+    });
+    return { relay, client, targetKeys, dialer: generateKeyPair() };
+}
+
+describe("circuit multiaddrs", () => {
+    it("name the relay and the peer behind it", async () => {
+        const { client, targetKeys } = await network();
+        const addr = parseCircuitMultiaddr(client.state.multiaddr);
+        expect(addr.peerId).toBe(targetKeys.publicKey);
+        expect(addr.relay).toEqual({ host: "127.0.0.1", port: client.state.relay.port, peerId: client.state.relay.peerId });
+        expect(parseMultiaddr(client.state.multiaddr)).toBeNull();
+        expect(parseCircuitMultiaddr("/ip4/127.0.0.1/tcp/1")).toBeNull();
+    });
+});
+
+describe("circuit relay", () => {
+    it("splices a handshake-authenticated stream and accounts it to the target", async () => {
+        const { relay, client, targetKeys, dialer } = await network();
+        const { relay: via } = parseCircuitMultiaddr(client.state.multiaddr);
+        const peer = await dialCircuit({ relay: via, target: targetKeys.publicKey, identity: dialer, punch: false });
+        expect(peer.via).toBe("relay");
+        expect(peer.peerId).toBe(targetKeys.publicKey);
+
+        const text = "x".repeat(100_000);
+        expect((await peer.request("echo", { text })).data.text).toBe(text);
+        expect(relay.circuits.size).toBe(1);
+        expect(relay.accounting.get(targetKeys.publicKey).bytes).toBeGreaterThan(200_000);
+        peer.close();
+        await vi.waitFor(() => expect(relay.circuits.size).toBe(0));
+        expect(relay.stats.circuitsOpened).toBe(1);
+    });
+
+    it("moves the session to UDP when the hole punch works", async () => {
+        const { relay, client, targetKeys, dialer } = await network();
+        const { relay: via } = parseCircuitMultiaddr(client.state.multiaddr);
+        const peer = await dialCircuit({ relay: via, target: targetKeys.publicKey, identity: dialer });
+        expect(peer.via).toBe("udp");
+        const text = "y".repeat(20_000);
+        expect((await peer.request("echo", { text })).data.text).toBe(text);
+        // The relay only carried the punch negotiation.
+        await vi.waitFor(() => expect(relay.circuits.size).toBe(0));
+        expect(relay.accounting.get(targetKeys.publicKey).bytes).toBeLessThan(2000);
+        peer.close();
+    });
+
+    it("refuses peers without a reservation and caps circuit bytes", async () => {
+        const { relay, client, targetKeys, dialer } = await network({ limits: { maxCircuitBytes: 20_000 } });
+        const { relay: via } = parseCircuitMultiaddr(client.state.multiaddr);
+        await expect(dialCircuit({ relay: via, target: generateKeyPair().publicKey, identity: dialer }))
+            .rejects.toThrow("no-reservation");
+
+        const peer = await dialCircuit({ relay: via, target: targetKeys.publicKey, identity: dialer, punch: false });
+        await expect(peer.request("echo", { text: "z".repeat(50_000) })).rejects.toThrow();
+        expect(relay.stats.circuitsCapped).toBe(1);
+        expect(relay.stats.circuitsRefused).toBe(1);
+    });
+});
+
+describe("udp stream", () => {
+    // Two in-memory sockets that drop and reorder datagrams.
+    function lossyPair(loss) {
+        const make = (port) => Object.assign(new EventEmitter(), { port, closed: false, close() { this.closed = true; } });
+        const a = make(1);
+        const b = make(2);
+        const wire = (from, to) => {
+            from.send = (buf, _port, _host, cb) => {
+                cb?.();
+                if (from.closed || to.closed || Math.random() < loss) return;
+                const copy = Buffer.from(buf);
+                setTimeout(() => to.emit("message", copy, { address: "127.0.0.1", port: from.port }), Math.random() * 5);
+            };
+        };
+        wire(a, b);
+        wire(b, a);
+        return [a, b];
+    }
+
+    it("delivers bytes in order despite loss and reordering", async () => {
+        const [a, b] = lossyPair(0.15);
+        const left = createUdpStream({ socket: a, remote: { host: "127.0.0.1", port: 2 } });
+        const right = createUdpStream({ socket: b, remote: { host: "127.0.0.1", port: 1 } });
+        const sent = randomBytes(100_000);
+        const chunks = [];
+        right.on("data", (c) => chunks.push(c));
+        const ended = new Promise((resolve) => right.on("end", resolve));
+        left.end(sent);
+        await ended;
+        expect(Buffer.concat(chunks).equals(sent)).toBe(true);
+        await vi.waitFor(() => expect(left.destroyed && right.destroyed).toBe(true), { timeout: 5000 });
+        expect(a.closed && b.closed).toBe(true);
+    }, 20_000);
+});
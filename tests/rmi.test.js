@@ -0,0 +1,261 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { generateKeyPair } from "@infernetprotocol/auth";
+import { SUPPORTED_PROTOCOLS } from "../apps/cli/lib/handshake.js";
+import { dialPeer } from "../apps/cli/lib/p2p-client.js";
+import { createP2pServer } from "../apps/cli/lib/p2p-server.js";
+import {
+    DEFAULT_LEASE_MS,
+    DGC_OBJECT_ID,
+    DGC_TYPE,
+    REDIRECT_TTL_MS,
+    RMI_PROTOCOL,
+    createRmiClient,
+    createRmiRuntime,
+    encodeArgs,
+    resolveObject,
+    signRmiRequest
+} from "../apps/cli/lib/rmi.js";
+import { KV_CACHE_TYPE, exportDaemonObjects } from "../apps/cli/lib/rmi-objects.js";
+import { rmiV1 } from "../protocol/generated/js/index.js";
+
+const cleanups = [];
+afterEach(() => {
+    while (cleanups.length) cleanups.pop()();
+});
+
+/** A node serving `rmi.*` on localhost with the daemon's objects, on a movable clock. */
+async function serve({ dht = null, models = ["qwen2.5:7b"], maxTransientPerCaller } = {}) {
+    const clock = { t: 1_777_400_000_000 };
+    const identity = generateKeyPair();
+    const rmi = createRmiRuntime({ identity, dht, maxTransientPerCaller, now: () => clock.t, multiaddrs: () => ["/ip4/127.0.0.1/tcp/1"] });
+    const { modelRegistry } = exportDaemonObjects(rmi, { servedModels: () => models });
+    const server = createP2pServer({
+        identity,
+        protocols: [...SUPPORTED_PROTOCOLS, RMI_PROTOCOL],
+        onCommand: (msg, peer) => rmi.handle(msg, peer)
+    });
+    const port = await server.listen(0, "127.0.0.1");
+    cleanups.push(() => server.close());
+    return { rmi, clock, identity, port, modelRegistry };
+}
+
+/** An RMI client that dials whichever of `nodes` owns the object. */
+function clientFor(nodes, identity = generateKeyPair(), now = () => nodes[0].clock.t) {
+    const sessions = new Map();
+    return createRmiClient({
+        identity,
+        now,
+        async connect(ownerPeerId) {
+            if (!sessions.has(ownerPeerId)) {
+                const node = nodes.find((n) => n.identity.publicKey === ownerPeerId);
+                const peer = await dialPeer({ host: "127.0.0.1", port: node.port, identity, protocols: [...SUPPORTED_PROTOCOLS, RMI_PROTOCOL] });
+                cleanups.push(() => peer.close());
+                sessions.set(ownerPeerId, peer);
+            }
+            return sessions.get(ownerPeerId);
+        }
+    });
+}
+
+const codeOf = (promise) => promise.then(() => "ok", (err) => err.code);
+
+describe("remote objects over P2P", () => {
+    it("calls the model registry and a KV cache handle it opens", async () => {
+        const node = await serve();
+        const client = clientFor([node]);
+        expect(await client.invoke(node.modelRegistry, "list")).toEqual({ models: ["qwen2.5:7b"] });
+
+        const kv = await client.invoke(node.modelRegistry, "openKvCache", {
+            model: "qwen2.5:7b",
+            messages: [{ role: "system", content: "Be brief." }]
+        });
+        expect(kv.type_name).toBe(KV_CACHE_TYPE);
+        expect(kv.owner_peer_id).toBe(node.identity.publicKey);
+        expect(await client.invoke(kv, "append", { messages: [{ role: "user", content: "hi" }] })).toEqual({ messages: 2, chars: 11 });
+        expect((await client.invoke(kv, "read")).messages.map((m) => m.role)).toEqual(["system", "user"]);
+
+        expect(await codeOf(client.invoke(node.modelRegistry, "openKvCache", { model: "llama3:70b" }))).toBe("BAD_ARGUMENTS");
+        // Only what the type allowlists is callable.
+        for (const method of ["constructor", "toString", "__proto__", "dispose"]) {
+            expect(await codeOf(client.invoke(kv, method))).toBe("METHOD_NOT_FOUND");
+        }
+        // The handle belongs to whoever opened it.
+        expect(await codeOf(clientFor([node]).invoke(kv, "read"))).toBe("UNAUTHORIZED");
+
+        expect(await client.invoke(kv, "close")).toEqual({ closed: true });
+        expect(await codeOf(client.invoke(kv, "read"))).toBe("OBJECT_NOT_FOUND");
+    });
+
+    it("collects handles whose leases lapse and keeps the ones renewed", async () => {
+        const node = await serve();
+        const client = clientFor([node]);
+        const kept = await client.invoke(node.modelRegistry, "openKvCache", { model: "qwen2.5:7b" });
+        const dropped = await client.invoke(node.modelRegistry, "openKvCache", { model: "qwen2.5:7b" });
+        const released = await client.invoke(node.modelRegistry, "openKvCache", { model: "qwen2.5:7b" });
+
+        expect(await client.release(released)).toBe(true);
+        node.clock.t += DEFAULT_LEASE_MS - 1000;
+        expect(await client.lease(kept, 5 * 60_000)).toBe(5 * 60_000);
+        node.rmi.collect();
+        expect(node.rmi.objects.has(released.object_id)).toBe(false);
+        expect(node.rmi.objects.has(dropped.object_id)).toBe(true);
+
+        node.clock.t += 2000;
+        node.rmi.collect();
+        expect(await codeOf(client.invoke(dropped, "read"))).toBe("OBJECT_NOT_FOUND");
+        expect(await codeOf(client.invoke(kept, "read"))).toBe("ok");
+        expect(await client.lease(dropped)).toBe(0);
+        // The registry itself is pinned.
+        node.clock.t += 24 * 60 * 60_000;
+        node.rmi.collect();
+        expect(await codeOf(client.invoke(kept, "read"))).toBe("OBJECT_NOT_FOUND");
+        expect(await client.invoke(node.modelRegistry, "list")).toEqual({ models: ["qwen2.5:7b"] });
+        expect(node.rmi.stats.collected).toBe(3);
+    });
+
+    it("leases an object only to a peer holding a lease on it or one it authorizes", async () => {
+        const node = await serve();
+        const client = clientFor([node]);
+        const friend = generateKeyPair();
+        const stranger = clientFor([node]);
+        const kv = await client.invoke(node.modelRegistry, "openKvCache", { model: "qwen2.5:7b" });
+        const shared = node.rmi.exportObject({
+            typeName: "test.Shared.v1",
+            methods: {},
+            pinned: false,
+            leaseTo: node.identity.publicKey,
+            authorize: (peer) => peer === friend.publicKey
+        });
+
+        const dgc = { object_id: DGC_OBJECT_ID, type_name: DGC_TYPE, owner_peer_id: node.identity.publicKey };
+        const ids = [kv.object_id, shared.object_id, node.modelRegistry.object_id, "nope"];
+        expect(await stranger.invoke(dgc, "dirty", { object_ids: ids, lease_ms: 60_000 })).toEqual({
+            lease_ms: 60_000,
+            granted: [],
+            missing: ["nope"],
+            refused: [kv.object_id, shared.object_id, node.modelRegistry.object_id]
+        });
+        expect(await client.lease(kv)).toBe(DEFAULT_LEASE_MS);
+        expect(await clientFor([node], friend).lease(shared)).toBe(DEFAULT_LEASE_MS);
+
+        // Once the opener lets go, nobody else can keep the handle alive.
+        expect(await client.release(kv)).toBe(true);
+        node.rmi.collect();
+        expect(node.rmi.objects.has(kv.object_id)).toBe(false);
+        expect(node.rmi.objects.has(shared.object_id)).toBe(true);
+    });
+
+    it("caps the objects one caller's calls keep alive", async () => {
+        const node = await serve({ maxTransientPerCaller: 2 });
+        const client = clientFor([node]);
+        const open = () => client.invoke(node.modelRegistry, "openKvCache", { model: "qwen2.5:7b" });
+        const first = await open();
+        await open();
+        expect(await codeOf(open())).toBe("RATE_LIMITED");
+        expect(await codeOf(clientFor([node]).invoke(node.modelRegistry, "openKvCache", { model: "qwen2.5:7b" }))).toBe("ok");
+
+        expect(await client.release(first)).toBe(true);
+        node.rmi.collect();
+        expect(await codeOf(open())).toBe("ok");
+    });
+
+    it("follows a migrated object to its new owner", async () => {
+        const oldOwner = await serve();
+        const newOwner = await serve();
+        const client = clientFor([oldOwner, newOwner]);
+        const ref = await client.invoke(oldOwner.modelRegistry, "openKvCache", {
+            model: "qwen2.5:7b",
+            messages: [{ role: "user", content: "remember me" }]
+        });
+        const state = await oldOwner.rmi.migrate(ref.object_id, newOwner.identity.publicKey);
+        newOwner.rmi.exportObject({
+            id: ref.object_id,
+            typeName: KV_CACHE_TYPE,
+            methods: { read: () => state }
+        });
+        expect((await client.invoke(ref, "read")).messages[0].content).toBe("remember me");
+
+        oldOwner.clock.t += REDIRECT_TTL_MS + 1;
+        oldOwner.rmi.collect();
+        expect(await codeOf(client.invoke(ref, "read"))).toBe("OBJECT_NOT_FOUND");
+    });
+});
+
+describe("invocation security", () => {
+    const caller = generateKeyPair();
+    const NOW = 1_777_400_000_000;
+    let calls = 0;
+    const runtime = createRmiRuntime({ identity: generateKeyPair(), now: () => NOW });
+    const counter = runtime.exportObject({ id: "counter:1", typeName: "test.Counter.v1", methods: { bump: ({ by }) => (calls += by) } });
+
+    const request = (fields, signer = caller) => rmiV1.RmiRequest.encode(signRmiRequest({
+        request_id: "r1",
+        object_ref: counter,
+        method_name: "bump",
+        args: encodeArgs({ by: 1 }),
+        timestamp_unix: Math.floor(NOW / 1000),
+        ...fields
+    }, signer.privateKey));
+    const invoke = async (bytes, from = caller.publicKey) => rmiV1.RmiResponse.decode(await runtime.invokeBytes(bytes, from));
+
+    it("verifies the caller's signature and timestamp before running anything", async () => {
+        const bytes = request({ request_id: "sig-1" });
+        const tampered = Uint8Array.from(bytes);
+        tampered[tampered.indexOf(0x62)] = 0x63; // "bump" → "cump"
+        expect((await invoke(tampered)).error_code).toBe("UNAUTHORIZED");
+        expect((await invoke(bytes, generateKeyPair().publicKey)).error_code).toBe("UNAUTHORIZED");
+        expect((await invoke(request({ request_id: "sig-2" }, generateKeyPair()))).error_code).toBe("UNAUTHORIZED");
+        expect((await invoke(request({ request_id: "sig-3", timestamp_unix: Math.floor(NOW / 1000) - 61 }))).error_code).toBe("UNAUTHORIZED");
+        const unsigned = rmiV1.RmiRequest.encode({ request_id: "sig-4", object_ref: counter, method_name: "bump", timestamp_unix: Math.floor(NOW / 1000) });
+        expect((await invoke(unsigned)).error_message).toBe("missing caller signature");
+        expect(calls).toBe(0);
+    });
+
+    it("answers a repeated request_id from cache and refuses it with another body", async () => {
+        const first = await invoke(request({ request_id: "once" }));
+        expect(first.ok).toBe(true);
+        // A retry signs again with a new timestamp; same body, same answer.
+        const retry = await invoke(request({ request_id: "once", timestamp_unix: Math.floor(NOW / 1000) + 5 }));
+        expect(JSON.parse(Buffer.from(retry.return_value).toString())).toBe(1);
+        expect(calls).toBe(1);
+        expect(runtime.stats.replayed).toBe(1);
+        const conflict = await invoke(request({ request_id: "once", args: encodeArgs({ by: 5 }) }));
+        expect(conflict.error_code).toBe("STATE_CONFLICT");
+        expect(calls).toBe(1);
+        expect((await invoke(request({ request_id: "once" }), generateKeyPair().publicKey)).error_code).toBe("UNAUTHORIZED");
+    });
+
+    it("rejects arguments it can't decode", async () => {
+        const bad = await invoke(request({ request_id: "args-1", args: [{ name: "by", value: Buffer.from("{"), content_type: "application/json" }] }));
+        expect(bad.error_code).toBe("BAD_ARGUMENTS");
+        const xml = await invoke(request({ request_id: "args-2", args: [{ name: "by", value: Buffer.from("<a/>"), content_type: "text/xml" }] }));
+        expect(xml.error_code).toBe("BAD_ARGUMENTS");
+    });
+});
+
+describe("object registry", () => {
+    it("publishes owned objects and resolves the newest owner", async () => {
+        const records = [];
+        let lamport = 0;
+        const dht = {
+            async publish(key, value) {
+                records.push({ key, value, lamport: (lamport += 1), provider_peer_id: value.owner_peer_id });
+                return 1;
+            },
+            async lookup(key) {
+                return { closest: [], values: records.filter((r) => r.key === key) };
+            }
+        };
+        const node = await serve({ dht });
+        const other = generateKeyPair().publicKey;
+        expect(records.map((r) => r.value.object_id)).toEqual([node.modelRegistry.object_id]);
+        const found = await resolveObject(dht, node.modelRegistry.object_id);
+        expect(found.ref).toEqual(node.modelRegistry);
+        expect(found.multiaddrs).toEqual(["/ip4/127.0.0.1/tcp/1"]);
+        expect(found.methods).toEqual(["list", "openKvCache"]);
+
+        await node.rmi.migrate(node.modelRegistry.object_id, other);
+        expect((await resolveObject(dht, node.modelRegistry.object_id)).ref.owner_peer_id).toBe(other);
+        expect(await resolveObject(dht, "nope")).toBeNull();
+    });
+});
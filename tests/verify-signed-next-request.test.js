@@ -3,12 +3,32 @@
  * `Request` object (the global constructor on modern Node) so we catch
  * mistakes in header name, body read, or URL parsing.
  */
-import { describe, expect, it } from "vitest";
+import { afterEach, describe, expect, it, vi } from "vitest";
 
 import { generateKeyPair, signRequest, AUTH_HEADER } from "@infernetprotocol/auth";
 
+// revoked_keys, read on every request.
+const revoked = [];
+let revocationError = null;
+vi.mock("@/lib/supabase/server", () => ({
+    getSupabaseServerClient: () => ({
+        from: () => {
+            let pubkey;
+            const chain = {
+                select: () => chain,
+                eq: (_col, val) => { pubkey = val; return chain; },
+                in: () => chain,
+                limit: async () => revocationError
+                    ? { data: null, error: revocationError }
+                    : { data: revoked.filter((k) => k === pubkey).map((k) => ({ pubkey: k })), error: null }
+            };
+            return chain;
+        }
+    })
+}));
+
 // Avoid pulling in `server-only` by not using the "@" alias here.
-import { verifySignedNextRequest } from "../apps/web/lib/auth/verify-signed-request.js";
+const { verifySignedNextRequest } = await import("../apps/web/lib/auth/verify-signed-request.js");
 
 function makeRequest({ method = "POST", path, body, header }) {
     const url = `http://127.0.0.1${path}`;
@@ -60,4 +80,31 @@ describe("verifySignedNextRequest", () => {
             message: /nonce already used/
         });
     });
+
+    describe("revoked keys", () => {
+        afterEach(() => {
+            revoked.length = 0;
+            revocationError = null;
+        });
+
+        it("rejects a key listed in revoked_keys with 401", async () => {
+            const keys = generateKeyPair();
+            revoked.push(keys.publicKey.toLowerCase());
+            const { header } = signRequest({ method, path, body, ...keys });
+            await expect(verifySignedNextRequest(makeRequest({ method, path, body, header }))).rejects.toMatchObject({
+                status: 401,
+                message: "key revoked"
+            });
+        });
+
+        it("fails closed with 503 when revoked_keys can't be read", async () => {
+            revocationError = { message: "connection refused" };
+            const keys = generateKeyPair();
+            const { header } = signRequest({ method, path, body, ...keys });
+            await expect(verifySignedNextRequest(makeRequest({ method, path, body, header }))).rejects.toMatchObject({
+                status: 503,
+                message: /revocation store unavailable/
+            });
+        });
+    });
 });
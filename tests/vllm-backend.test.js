@@ -178,4 +178,121 @@ describe("vLLM backend", () => {
             reason: "cancel"
         });
     });
+
+    it("requests include_usage and carries the usage frame onto done", async () => {
+        let captured = null;
+        const lines = [
+            'data: {"model":"m","choices":[{"delta":{"content":"ok"}}]}',
+            'data: {"model":"m","choices":[{"delta":{},"finish_reason":"stop"}]}',
+            'data: {"model":"m","choices":[],"usage":{"prompt_tokens":12,"completion_tokens":1,"total_tokens":13}}',
+            "data: [DONE]"
+        ];
+        const fetchImpl = async (_url, init) => {
+            captured = JSON.parse(init.body);
+            return fakeStreamingFetch(lines)();
+        };
+        const engine = await createVllmBackend({ skipProbe: true, defaultModel: "m", fetchImpl });
+        const gen = engine.generate({ messages: [{ role: "user", content: "hi" }] });
+        const events = await drain(gen.stream);
+
+        expect(captured.stream_options).toEqual({ include_usage: true });
+        const last = events[events.length - 1];
+        expect(last.type).toBe(MSG.DONE);
+        expect(last.text).toBe("ok");
+        expect(last.usage).toEqual({ prompt_tokens: 12, completion_tokens: 1, total_tokens: 13 });
+    });
+
+    it("omits usage when the server never sends a usage frame", async () => {
+        const engine = await createVllmBackend({
+            skipProbe: true,
+            defaultModel: "m",
+            fetchImpl: fakeStreamingFetch([
+                'data: {"model":"m","choices":[{"delta":{"content":"ok"}}]}',
+                "data: [DONE]"
+            ])
+        });
+        const gen = engine.generate({ messages: [{ role: "user", content: "hi" }] });
+        const events = await drain(gen.stream);
+        expect(events[events.length - 1].usage).toBeUndefined();
+    });
+
+    it("forwards tools + tool_choice and emits tool_call deltas", async () => {
+        let captured = null;
+        const tools = [{ type: "function", function: { name: "get_weather", parameters: { type: "object" } } }];
+        const fetchImpl = async (_url, init) => {
+            captured = JSON.parse(init.body);
+            return fakeStreamingFetch([
+                'data: {"model":"m","choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_9","type":"function","function":{"name":"get_weather","arguments":""}}]}}]}',
+                'data: {"model":"m","choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{\\"city\\":\\"Oslo\\"}"}}]}}]}',
+                'data: {"model":"m","choices":[{"delta":{},"finish_reason":"tool_calls"}]}',
+                "data: [DONE]"
+            ])();
+        };
+        const engine = await createVllmBackend({ skipProbe: true, defaultModel: "m", fetchImpl });
+        const gen = engine.generate({
+            messages: [{ role: "user", content: "weather?" }],
+            tools,
+            tool_choice: "auto"
+        });
+        const events = await drain(gen.stream);
+
+        expect(captured.tools).toEqual(tools);
+        expect(captured.tool_choice).toBe("auto");
+        const calls = events.filter((e) => e.type === MSG.TOOL_CALL);
+        expect(calls[0]).toMatchObject({ index: 0, call_id: "call_9", name: "get_weather", arguments: "" });
+        expect(calls.map((c) => c.arguments).join("")).toBe('{"city":"Oslo"}');
+        expect(events[events.length - 1]).toMatchObject({ type: MSG.DONE, reason: "tool_calls" });
+    });
+
+    it("embed() calls /v1/embeddings and returns vectors in input order", async () => {
+        let seen = null;
+        const fetchImpl = async (url, init) => {
+            seen = { path: new URL(url).pathname, body: JSON.parse(init.body) };
+            return {
+                ok: true,
+                status: 200,
+                async json() {
+                    return {
+                        model: "BAAI/bge-m3",
+                        data: [
+                            { object: "embedding", index: 1, embedding: [0.3, 0.4] },
+                            { object: "embedding", index: 0, embedding: [0.1, 0.2] }
+                        ],
+                        usage: { prompt_tokens: 4, total_tokens: 4 }
+                    };
+                }
+            };
+        };
+        const engine = await createVllmBackend({ skipProbe: true, fetchImpl });
+        const out = await engine.embed({ input: ["a", "b"], model: "BAAI/bge-m3" });
+
+        expect(seen).toEqual({ path: "/v1/embeddings", body: { model: "BAAI/bge-m3", input: ["a", "b"] } });
+        expect(out).toEqual({
+            model: "BAAI/bge-m3",
+            embeddings: [[0.1, 0.2], [0.3, 0.4]],
+            usage: { prompt_tokens: 4, completion_tokens: 0, total_tokens: 4 }
+        });
+    });
+
+    it("passes sampling through and maps json_schema to guided_json", async () => {
+        let captured = null;
+        const fetchImpl = async (_url, init) => {
+            captured = JSON.parse(init.body);
+            return fakeStreamingFetch(["data: [DONE]"])();
+        };
+        const engine = await createVllmBackend({ skipProbe: true, defaultModel: "m", fetchImpl });
+        expect(engine.sampling).toContain("logit_bias");
+        const schema = { type: "object", properties: { total: { type: "number" } } };
+        await drain(engine.generate({
+            messages: [{ role: "user", content: "extract" }],
+            top_p: 0.5,
+            stop: ["END"],
+            seed: 7,
+            logit_bias: { "42": -100 },
+            response_format: { type: "json_schema", json_schema: { name: "invoice", schema } }
+        }).stream);
+
+        expect(captured).toMatchObject({ top_p: 0.5, stop: ["END"], seed: 7, logit_bias: { "42": -100 }, guided_json: schema });
+        expect(captured.response_format).toBeUndefined();
+    });
 });
@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+/**
+ * IPIP-0021 §6 — JS codegen for the wire protocols in protocol/proto.
+ *
+ * Reads every `protocol/proto/<name>/v<n>/<name>.proto` and writes
+ * protocol/generated/js (the `@infernetprotocol/protocol` package):
+ *
+ *   wire.js                    the encoding runtime (copied from
+ *                              tooling/protocol-wire.js)
+ *   <name>/v<n>/<name>.js      message codecs, service descriptors,
+ *                              client stubs and server binders,
+ *                              PACKAGE_INFO version metadata
+ *   index.js, package.json
+ *
+ * and the wire-compatibility fixtures (IPIP-0021 §7) in
+ * protocol/tests/wire-compatibility: one `<package>-<message>-v<n>.bin`
+ * per message, encoded from a deterministic sample, plus manifest.json
+ * holding each sample in proto3 JSON so other SDKs can cross-decode.
+ *
+ * The parser covers the proto3 subset the IDL uses — messages with
+ * scalar, message and repeated fields, and services. Enums, oneofs,
+ * maps and imports are rejected rather than half-supported.
+ *
+ * Usage:
+ *   node tooling/protocol-codegen.mjs           # regenerate
+ *   node tooling/protocol-codegen.mjs --check   # exit 1 if the committed output drifted
+ *
+ * Or import generate() / generateFixtures() programmatically (the
+ * vitest suite does this).
+ */
+
+import { createHash } from "node:crypto";
+import { mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync, existsSync } from "node:fs";
+import { dirname, join, relative } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const PROTO_DIR = join(ROOT, "protocol/proto");
+const JS_OUT = join(ROOT, "protocol/generated/js");
+const FIXTURE_OUT = join(ROOT, "protocol/tests/wire-compatibility");
+const WIRE_RUNTIME = join(ROOT, "tooling/protocol-wire.js");
+
+export const GENERATOR = "infernet-protocol-codegen/1";
+const SDK_VERSION = "0.1.7";
+
+const SCALAR_TYPES = new Set([
+    "double", "float", "int32", "int64", "uint32", "uint64", "sint32", "sint64",
+    "fixed32", "fixed64", "sfixed32", "sfixed64", "bool", "string", "bytes"
+]);
+const UNSUPPORTED = new Set(["enum", "oneof", "map", "import", "extend", "extensions"]);
+
+// ---------------------------------------------------------------- parse
+
+function tokenize(text) {
+    const tokens = [];
+    const re = /\/\/([^\n]*)|\/\*([\s\S]*?)\*\/|("(?:[^"\\]|\\.)*")|([A-Za-z_][\w.]*)|(\d+)|(\S)|(\n)/g;
+    let line = 1;
+    for (const m of text.matchAll(re)) {
+        if (m[7]) { line += 1; continue; }
+        if (m[1] !== undefined) tokens.push({ kind: "comment", value: m[1].trim(), line });
+        else if (m[2] !== undefined) {
+            tokens.push({ kind: "comment", value: m[2].replace(/^\s*\*?\s?/gm, "").trim(), line });
+            line += (m[2].match(/\n/g) ?? []).length;
+        } else if (m[3]) tokens.push({ kind: "string", value: JSON.parse(m[3]), line });
+        else if (m[4]) tokens.push({ kind: "ident", value: m[4], line });
+        else if (m[5]) tokens.push({ kind: "number", value: Number(m[5]), line });
+        else tokens.push({ kind: "symbol", value: m[6], line });
+    }
+    return tokens;
+}
+
+/**
+ * Parse one .proto file into
+ * `{ package, messages: [{ name, doc, fields }], services: [{ name, doc, methods }] }`.
+ * Throws with the file and line on anything outside the supported subset.
+ */
+export function parseProto(text, file = "<proto>") {
+    const all = tokenize(text);
+    const tokens = all.filter((t) => t.kind !== "comment");
+    const comments = all.filter((t) => t.kind === "comment");
+    let i = 0;
+
+    const fail = (msg, t = tokens[i]) => { throw new Error(`${file}:${t?.line ?? "EOF"}: ${msg}`); };
+    const peek = () => tokens[i];
+    const next = () => tokens[i++] ?? fail("unexpected end of file");
+    const expect = (value) => {
+        const t = next();
+        if (t.value !== value) fail(`expected "${value}", got "${t.value}"`, t);
+        return t;
+    };
+    const ident = () => {
+        const t = next();
+        if (t.kind !== "ident") fail(`expected an identifier, got "${t.value}"`, t);
+        return t.value;
+    };
+    // Comment lines directly above `line`, and any trailing comment on it.
+    const docFor = (line) => {
+        const above = [];
+        for (let l = line - 1; ; l -= 1) {
+            const c = comments.find((x) => x.line === l);
+            if (!c || tokens.some((t) => t.line === l)) break;
+            above.unshift(c.value);
+        }
+        const trailing = comments.find((x) => x.line === line && tokens.some((t) => t.line === line));
+        return [...above, ...(trailing ? [trailing.value] : [])].join(" ").trim();
+    };
+    const skipOptions = () => {
+        if (peek()?.value !== "[") return;
+        while (next().value !== "]") { /* field options don't affect encoding */ }
+    };
+
+    const proto = { package: null, messages: [], services: [] };
+    while (i < tokens.length) {
+        const t = next();
+        if (UNSUPPORTED.has(t.value)) fail(`"${t.value}" is not supported by the codegen`, t);
+        if (t.value === "syntax") {
+            expect("=");
+            const v = next();
+            if (v.value !== "proto3") fail(`only proto3 is supported, got "${v.value}"`, v);
+            expect(";");
+        } else if (t.value === "package") {
+            proto.package = ident();
+            expect(";");
+        } else if (t.value === "option") {
+            while (next().value !== ";") { /* file options */ }
+        } else if (t.value === "message") {
+            const name = ident();
+            const doc = docFor(t.line);
+            const fields = [];
+            expect("{");
+            while (peek()?.value !== "}") {
+                const f = next();
+                if (UNSUPPORTED.has(f.value) || f.value === "message") fail(`"${f.value}" inside a message is not supported`, f);
+                if (f.value === "reserved") {
+                    while (next().value !== ";") { /* reserved numbers and names */ }
+                    continue;
+                }
+                const repeated = f.value === "repeated";
+                const type = repeated ? ident() : f.value;
+                if (f.kind !== "ident") fail(`expected a field, got "${f.value}"`, f);
+                const fieldName = ident();
+                expect("=");
+                const no = next();
+                if (no.kind !== "number" || no.value < 1 || no.value > 536_870_911 || (no.value >= 19_000 && no.value <= 19_999)) {
+                    fail(`invalid field number "${no.value}"`, no);
+                }
+                skipOptions();
+                expect(";");
+                if (fields.some((x) => x.no === no.value)) fail(`duplicate field number ${no.value}`, no);
+                if (fields.some((x) => x.name === fieldName)) fail(`duplicate field name ${fieldName}`, no);
+                fields.push({ no: no.value, name: fieldName, type, repeated, doc: docFor(f.line), line: f.line });
+            }
+            expect("}");
+            proto.messages.push({ name, doc, fields });
+        } else if (t.value === "service") {
+            const name = ident();
+            const doc = docFor(t.line);
+            const methods = [];
+            expect("{");
+            while (peek()?.value !== "}") {
+                const r = next();
+                if (r.value === "option") {
+                    while (next().value !== ";") { /* service options */ }
+                    continue;
+                }
+                if (r.value !== "rpc") fail(`expected "rpc", got "${r.value}"`, r);
+                const methodName = ident();
+                expect("(");
+                const requestStream = peek()?.value === "stream" && next() && true;
+                const requestType = ident();
+                expect(")");
+                expect("returns");
+                expect("(");
+                const responseStream = peek()?.value === "stream" && next() && true;
+                const responseType = ident();
+                expect(")");
+                if (peek()?.value === "{") {
+                    while (next().value !== "}") { /* method options */ }
+                } else {
+                    expect(";");
+                }
+                methods.push({ name: methodName, requestType, responseType, requestStream, responseStream, doc: docFor(r.line), line: r.line });
+            }
+            expect("}");
+            proto.services.push({ name, doc, methods });
+        } else {
+            fail(`unexpected "${t.value}"`, t);
+        }
+    }
+    if (!proto.package) fail("missing package declaration");
+
+    const messageNames = new Set(proto.messages.map((m) => m.name));
+    for (const m of proto.messages) {
+        for (const f of m.fields) {
+            if (!SCALAR_TYPES.has(f.type) && !messageNames.has(f.type)) {
+                throw new Error(`${file}:${f.line}: unknown type "${f.type}" (only scalars and messages in the same package are supported)`);
+            }
+        }
+    }
+    for (const s of proto.services) {
+        for (const m of s.methods) {
+            for (const type of [m.requestType, m.responseType]) {
+                if (!messageNames.has(type)) throw new Error(`${file}:${m.line}: unknown message "${type}"`);
+            }
+        }
+    }
+    return proto;
+}
+
+/** Every proto file under protocol/proto, sorted: `[{ file, name, version, text }]`. */
+export function listProtos(protoDir = PROTO_DIR) {
+    const out = [];
+    for (const name of readdirSync(protoDir).sort()) {
+        const pkgDir = join(protoDir, name);
+        for (const version of readdirSync(pkgDir).filter((v) => /^v\d+$/.test(v)).sort()) {
+            const file = join(pkgDir, version, `${name}.proto`);
+            if (!existsSync(file)) continue;
+            out.push({ file: relative(ROOT, file), name, version, text: readFileSync(file, "utf8") });
+        }
+    }
+    return out;
+}
+
+// ---------------------------------------------------------------- emit
+
+const lowerFirst = (name) => name[0].toLowerCase() + name.slice(1);
+const quote = (s) => `'${s.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+
+function jsType(field) {
+    const base = SCALAR_TYPES.has(field.type)
+        ? { string: "string", bytes: "Uint8Array", bool: "boolean", double: "number", float: "number" }[field.type]
+            ?? (/64$/.test(field.type) ? "number | bigint" : "number")
+        : `${field.type} | null`;
+    if (!field.repeated) return base;
+    return SCALAR_TYPES.has(field.type) && !base.includes("|") ? `${base}[]` : `Array<${base.replace(" | null", "")}>`;
+}
+
+function docBlock(lines, indent = "") {
+    const body = lines.flatMap((l) => (l === "" ? [""] : wrap(l, 72)));
+    return [`${indent}/**`, ...body.map((l) => `${indent} *${l ? ` ${l}` : ""}`), `${indent} */`].join("\n");
+}
+
+function wrap(text, width) {
+    const out = [];
+    let line = "";
+    for (const word of text.split(/\s+/)) {
+        if (line && line.length + word.length + 1 > width) {
+            out.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) out.push(line);
+    return out;
+}
+
+function emitPackage(proto, { file, version }, sourceSha) {
+    const pkgVersion = Number(version.slice(1));
+    const lines = [
+        `// Code generated by tooling/protocol-codegen.mjs from ${file}. DO NOT EDIT.`,
+        "",
+        `import { ${proto.services.length > 0 ? "bindService, createClient, message, service" : "message"} } from '../../wire.js';`,
+        "",
+        "/** Version metadata (IPIP-0021 §6). */",
+        "export const PACKAGE_INFO = Object.freeze({",
+        `    package: ${quote(proto.package)},`,
+        `    version: ${pkgVersion},`,
+        `    source: ${quote(file)},`,
+        `    source_sha256: ${quote(sourceSha)},`,
+        `    generator: ${quote(GENERATOR)}`,
+        "});"
+    ];
+
+    for (const m of proto.messages) {
+        const doc = [`\`${proto.package}.${m.name}\`${m.doc ? ` — ${m.doc}` : ""}`, "", "@typedef {object} " + m.name];
+        for (const f of m.fields) doc.push(`@property {${jsType(f)}} ${f.name}${f.doc ? ` ${f.doc}` : ""}`);
+        lines.push("", docBlock(doc));
+        if (m.fields.length === 0) {
+            lines.push(`export const ${m.name} = message(${quote(`${proto.package}.${m.name}`)}, []);`);
+            continue;
+        }
+        lines.push(`export const ${m.name} = message(${quote(`${proto.package}.${m.name}`)}, [`);
+        lines.push(m.fields.map((f) => {
+            const parts = [`no: ${f.no}`, `name: ${quote(f.name)}`];
+            parts.push(SCALAR_TYPES.has(f.type) ? `type: ${quote(f.type)}` : `message: () => ${f.type}`);
+            if (f.repeated) parts.push("repeated: true");
+            return `    { ${parts.join(", ")} }`;
+        }).join(",\n"));
+        lines.push("]);");
+    }
+
+    for (const s of proto.services) {
+        lines.push("", docBlock([`\`${proto.package}.${s.name}\`${s.doc ? ` — ${s.doc}` : ""}`]));
+        lines.push(`export const ${s.name} = service(${quote(`${proto.package}.${s.name}`)}, {`);
+        lines.push(s.methods.map((m) => {
+            const parts = [`requestType: ${m.requestType}`, `responseType: ${m.responseType}`];
+            if (m.requestStream) parts.push("requestStream: true");
+            if (m.responseStream) parts.push("responseStream: true");
+            return `    ${m.name}: { ${parts.join(", ")} }`;
+        }).join(",\n"));
+        lines.push("});");
+
+        const signatures = s.methods.map((m) => {
+            const ret = m.responseStream ? `AsyncIterable<${m.responseType}>` : `Promise<${m.responseType}>`;
+            return `@property {(request: ${m.requestType}) => ${ret}} ${lowerFirst(m.name)}`;
+        });
+        lines.push("", docBlock([
+            `Client stub for ${s.name}; see createClient() in wire.js for the transport.`,
+            "",
+            `@typedef {object} ${s.name}Client`,
+            ...signatures,
+            "",
+            "@returns {" + s.name + "Client}"
+        ]));
+        lines.push(`export const create${s.name}Client = (transport, opts) => createClient(${s.name}, transport, opts);`);
+
+        const serverSigs = s.methods.map((m) => {
+            const ret = m.responseStream ? `AsyncIterable<${m.responseType}>` : `Promise<${m.responseType}>`;
+            return `@property {(request: ${m.requestType}, ctx?: object) => ${ret}} ${lowerFirst(m.name)}`;
+        });
+        lines.push("", docBlock([
+            `Server interface for ${s.name}: bind an implementation to get path → bytes handlers.`,
+            "",
+            `@typedef {object} ${s.name}Implementation`,
+            ...serverSigs
+        ]));
+        lines.push(`export const bind${s.name} = (impl, opts) => bindService(${s.name}, impl, opts);`);
+    }
+    return `${lines.join("\n")}\n`;
+}
+
+const modulePath = ({ name, version }) => `${name}/${version}/${name}.js`;
+const namespaceFor = ({ name, version }) => `${name}${version[0].toUpperCase()}${version.slice(1)}`;
+
+/**
+ * The generated JS package as a Map of path (relative to
+ * protocol/generated/js) → file contents.
+ */
+export function generate({ protos = listProtos(), wireRuntime = readFileSync(WIRE_RUNTIME, "utf8") } = {}) {
+    const files = new Map();
+    files.set("wire.js", `// Code generated by tooling/protocol-codegen.mjs from tooling/protocol-wire.js. DO NOT EDIT.\n\n${wireRuntime}`);
+    const index = [
+        "// Code generated by tooling/protocol-codegen.mjs. DO NOT EDIT.",
+        "",
+        "export * from './wire.js';"
+    ];
+    const exportsMap = { ".": "./index.js", "./wire": "./wire.js" };
+    const packages = [];
+    for (const p of protos) {
+        const proto = parseProto(p.text, p.file);
+        const expected = `infernet.${p.name}.${p.version}`;
+        if (proto.package !== expected) throw new Error(`${p.file}: package must be ${expected}, got ${proto.package}`);
+        const sha = createHash("sha256").update(p.text).digest("hex");
+        files.set(modulePath(p), emitPackage(proto, p, sha));
+        index.push(`export * as ${namespaceFor(p)} from './${modulePath(p)}';`);
+        exportsMap[`./${p.name}/${p.version}`] = `./${modulePath(p)}`;
+        packages.push(proto.package);
+    }
+    index.push("", `export const PACKAGES = Object.freeze([\n${packages.map((p) => `    ${quote(p)}`).join(",\n")}\n]);`, "");
+    files.set("index.js", index.join("\n"));
+    files.set("package.json", `${JSON.stringify({
+        name: "@infernetprotocol/protocol",
+        version: SDK_VERSION,
+        description: "Generated codecs and service stubs for the Infernet wire protocols (protocol/proto). Do not edit by hand.",
+        license: "MIT",
+        type: "module",
+        main: "./index.js",
+        exports: exportsMap,
+        files: ["**/*.js"],
+        engines: { node: ">=18" },
+        repository: {
+            type: "git",
+            url: "git+https://github.com/profullstack/infernet-protocol.git",
+            directory: "protocol/generated/js"
+        }
+    }, null, 2)}\n`);
+    return files;
+}
+
+// ---------------------------------------------------------------- fixtures
+
+/**
+ * Deterministic sample for a message: every field set to a value that
+ * exercises its encoding (multi-byte UTF-8, negative int32 → 10-byte
+ * varint, uint64 above 2^53, packed and unpacked repeats).
+ */
+function sampleValue(desc, field) {
+    const one = (k) => {
+        if (field.message) return sampleFor(field.message());
+        switch (field.type) {
+            case "string": return `${field.name}·${k}`;
+            case "bytes": return Uint8Array.from([field.no, 0x00, 0x7f, 0x80, 0xff, k]);
+            case "bool": return true;
+            case "int32": case "sint32": case "sfixed32": return -(field.no + k);
+            case "uint32": case "fixed32": return 300 + field.no + k;
+            case "int64": case "sint64": case "sfixed64": return 1_777_400_123 + field.no + k;
+            case "uint64": case "fixed64": return 2n ** 53n + BigInt(field.no + k);
+            case "float": return 0.5 + k;
+            case "double": return 1.25 + k;
+            default: throw new Error(`${desc.typeName}.${field.name}: no sample for ${field.type}`);
+        }
+    };
+    return field.repeated ? [one(0), one(1)] : one(0);
+}
+
+function sampleFor(desc) {
+    const init = {};
+    for (const f of desc.fields) init[f.name] = sampleValue(desc, f);
+    return desc.create(init);
+}
+
+function fixtureName(p, messageName) {
+    const lower = messageName.toLowerCase();
+    const stem = lower.startsWith(p.name) && lower.length > p.name.length ? lower.slice(p.name.length) : lower;
+    return `${p.name}-${stem}-${p.version}.bin`;
+}
+
+/**
+ * Wire-compatibility fixtures encoded by the generated package in
+ * `jsDir`: Map of file name → Buffer, including manifest.json.
+ */
+export async function generateFixtures({ protos = listProtos(), jsDir = JS_OUT } = {}) {
+    const files = new Map();
+    const manifest = [];
+    for (const p of protos) {
+        const mod = await import(pathToFileURL(join(jsDir, modulePath(p))).href);
+        const proto = parseProto(p.text, p.file);
+        for (const m of proto.messages) {
+            const desc = mod[m.name];
+            const value = sampleFor(desc);
+            const name = fixtureName(p, m.name);
+            if (files.has(name)) throw new Error(`fixture name collision: ${name}`);
+            files.set(name, Buffer.from(desc.encode(value)));
+            manifest.push({ file: name, type: desc.typeName, json: desc.toJSON(value) });
+        }
+    }
+    files.set("manifest.json", Buffer.from(`${JSON.stringify({ generator: GENERATOR, fixtures: manifest }, null, 2)}\n`));
+    return files;
+}
+
+// ---------------------------------------------------------------- CLI
+
+function drift(dir, files) {
+    const stale = [];
+    for (const [path, contents] of files) {
+        const full = join(dir, path);
+        if (!existsSync(full) || !readFileSync(full).equals(Buffer.from(contents))) stale.push(relative(ROOT, full));
+    }
+    return stale;
+}
+
+function writeAll(dir, files) {
+    for (const [path, contents] of files) {
+        mkdirSync(dirname(join(dir, path)), { recursive: true });
+        writeFileSync(join(dir, path), contents);
+    }
+}
+
+async function main(argv) {
+    const check = argv.includes("--check");
+    const code = generate();
+    if (check) {
+        const stale = drift(JS_OUT, code);
+        if (stale.length === 0) stale.push(...drift(FIXTURE_OUT, await generateFixtures()));
+        if (stale.length > 0) {
+            console.error(`protocol codegen: out of date — run \`node tooling/protocol-codegen.mjs\`:\n  ${stale.join("\n  ")}`);
+            process.exit(1);
+        }
+        console.log("protocol codegen: up to date");
+        return;
+    }
+    rmSync(join(JS_OUT, ".gitkeep"), { force: true });
+    writeAll(JS_OUT, code);
+    const fixtures = await generateFixtures();
+    rmSync(join(FIXTURE_OUT, ".gitkeep"), { force: true });
+    writeAll(FIXTURE_OUT, fixtures);
+    console.log(`protocol codegen: ${code.size} files in ${relative(ROOT, JS_OUT)}, ${fixtures.size} in ${relative(ROOT, FIXTURE_OUT)}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2)).catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}